@@ -8,11 +8,15 @@
  *
  * When ThinkDrop writes a TD:INSTRUCTION block, this watcher:
  *   1. Detects the new block via fs.watch (debounced)
- *   2. Sends a macOS notification with the instruction summary
+ *   2. Sends a desktop notification with the instruction summary
  *   3. Copies the instruction to the system clipboard
  *   4. Optionally opens/focuses the target IDE
  *   5. Optionally writes a trigger file the IDE's rules can detect
  *
+ * Steps 2-4 go through a platform adapter (skill-helpers/bridge-adapters.cjs):
+ * macos, linux (notify-send/D-Bus, wl-copy/xclip/xsel, wmctrl/xdotool) or
+ * headless (writes .bridge-notifications.jsonl / .bridge-clipboard.md only).
+ *
  * When the IDE writes back a WS: block, this watcher:
  *   1. Detects the response
  *   2. Sends a notification back to ThinkDrop (via stdout IPC or notification)
@@ -20,11 +24,13 @@
  *
  * Usage (as a child process started by file.bridge skill):
  *   node bridge-watcher.cjs [--bridge-file PATH] [--ide windsurf|cursor|vscode|warp] [--notify true]
+ *                           [--adapter auto|macos|linux|headless] [--focus true]
  *
  * IPC (stdout JSON lines — read by parent process):
- *   { type: 'ready', bridgeFile, pid }
+ *   { type: 'ready', bridgeFile, pid, ide, adapter }
  *   { type: 'td_block', block: { id, type, ts, status, body } }
  *   { type: 'ws_block', block: { id, type, ts, status, refId, body } }
+ *   { type: 'adapter_error', step: 'notify' | 'copy' | 'focus', error }
  *   { type: 'error', error }
  *   { type: 'exit' }
  */
@@ -33,7 +39,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
-const { spawnSync, execSync } = require('child_process');
+const { createAdapter } = require('./skill-helpers/bridge-adapters.cjs');
 
 // ---------------------------------------------------------------------------
 // Config from args
@@ -51,17 +57,17 @@ const TARGET_IDE = (getArg('--ide') || 'windsurf').toLowerCase();
 const NOTIFY = getArg('--notify') !== 'false';
 const DEBOUNCE_MS = parseInt(getArg('--debounce') || '600', 10);
 const WRITE_TRIGGER_FILE = getArg('--trigger-file') !== 'false'; // writes .bridge-trigger file
+const FOCUS = getArg('--focus') !== 'false';
 
 const TRIGGER_FILE = path.join(path.dirname(BRIDGE_FILE), '.bridge-trigger.md');
 
-// IDE app names for macOS `open -a`
-const IDE_APP_NAMES = {
-  windsurf: 'Windsurf',
-  cursor: 'Cursor',
-  vscode: 'Visual Studio Code',
-  code: 'Visual Studio Code',
-  warp: 'Warp',
-};
+let adapter;
+try {
+  adapter = createAdapter(getArg('--adapter') || 'auto', { triggerDir: path.dirname(BRIDGE_FILE) });
+} catch (err) {
+  process.stdout.write(JSON.stringify({ type: 'error', error: err.message }) + '\n');
+  process.exit(1);
+}
 
 // ---------------------------------------------------------------------------
 // Block parser (same protocol as file.bridge.cjs)
@@ -98,47 +104,27 @@ function hashBlocks(blocks) {
 }
 
 // ---------------------------------------------------------------------------
-// macOS notification via osascript
+// Desktop actions via the platform adapter
 // ---------------------------------------------------------------------------
 
+function runAdapterStep(step, ...args) {
+  const res = adapter[step](...args);
+  if (!res.ok) emit({ type: 'adapter_error', step, error: res.error || 'failed' });
+  return res.ok;
+}
+
 function sendNotification(title, body) {
   if (!NOTIFY) return;
-  try {
-    const safeTitle = title.replace(/"/g, '\\"').replace(/\n/g, ' ');
-    const safeBody = body.replace(/"/g, '\\"').replace(/\n/g, ' ').slice(0, 200);
-    spawnSync('osascript', [
-      '-e',
-      `display notification "${safeBody}" with title "${safeTitle}" sound name "Ping"`
-    ], { timeout: 3000 });
-  } catch (_) {}
+  runAdapterStep('notify', title, body);
 }
 
-// ---------------------------------------------------------------------------
-// Copy to clipboard via pbcopy
-// ---------------------------------------------------------------------------
-
 function copyToClipboard(text) {
-  try {
-    const result = spawnSync('pbcopy', [], {
-      input: text,
-      encoding: 'utf8',
-      timeout: 3000,
-    });
-    return result.status === 0;
-  } catch (_) {
-    return false;
-  }
+  return runAdapterStep('copy', text);
 }
 
-// ---------------------------------------------------------------------------
-// Focus IDE app
-// ---------------------------------------------------------------------------
-
 function focusIDE(ideName) {
-  const appName = IDE_APP_NAMES[ideName] || ideName;
-  try {
-    spawnSync('open', ['-a', appName], { timeout: 5000 });
-  } catch (_) {}
+  if (!FOCUS || adapter.name === 'headless') return;
+  runAdapterStep('focus', ideName);
 }
 
 // ---------------------------------------------------------------------------
@@ -195,7 +181,7 @@ let lastBlockHash = hashBlocks(lastBlocks);
 let lastTDCount = lastBlocks.filter(b => b.prefix === 'TD').length;
 let lastWSCount = lastBlocks.filter(b => b.prefix !== 'TD').length;
 
-emit({ type: 'ready', bridgeFile: BRIDGE_FILE, pid: process.pid, ide: TARGET_IDE });
+emit({ type: 'ready', bridgeFile: BRIDGE_FILE, pid: process.pid, ide: TARGET_IDE, adapter: adapter.name });
 
 let debounceTimer = null;
 
@@ -226,7 +212,7 @@ const watcher = fs.watch(BRIDGE_FILE, { persistent: true }, (eventType) => {
 
         const summary = block.body.split('\n')[0].slice(0, 100);
 
-        // 1. macOS notification
+        // 1. Desktop notification
         sendNotification(`ThinkDrop → ${TARGET_IDE.charAt(0).toUpperCase() + TARGET_IDE.slice(1)}`, summary);
 
         // 2. Copy full instruction to clipboard so IDE can paste/read it
@@ -2,7 +2,11 @@
  * Command Service MCP Server
  *
  * Actuation-only MCP service. Owns all "can touch the machine" skills:
- *   - command.automate  → skill router (shell.run, browser.act, image.analyze, fs.read, file.watch, file.bridge, screen.capture, external.skill, cli.agent, browser.agent, web.agent, video.agent, creator.agent, reviewer.agent)
+ *   - command.automate  → skill router (shell.run, shell.undo, shell.pipeline, browser.act, image.analyze, fs.read, file.watch, file.bridge, screen.capture, external.skill, cli.agent, browser.agent, web.agent, video.agent, creator.agent, reviewer.agent)
+ *   - command.automate/stream (SSE) and command.automate/ws (WebSocket) → same router, streaming progress events
+ *   - jobs              → durable background runs with run IDs (submit, status, result, cancel)
+ *   - concurrency       → per-skill / per-browser-session limits (queue or busy), reported on /health
+ *   - shell.audit       → query the append-only log of every shell.run execution
  *   - health            → service health check
  *
  * Perception, planning, memory, and intent resolution live in other services.
@@ -13,7 +17,12 @@ const fs   = require('fs');
 const os   = require('os');
 const path = require('path');
 const http = require('http');
+const crypto = require('crypto');
 const logger = require('./logger.cjs');
+const automationStream = require('./utils/automation-stream.cjs');
+const jobStore = require('./utils/job-store.cjs');
+const admission = require('./utils/admission-control.cjs');
+const shellAudit = require('./utils/shell-audit.cjs');
 
 // ── Defense-in-depth: keep a single bad deferred callback from killing the
 //    whole command-service (port 3007). These only LOG; they do not mask the
@@ -26,11 +35,37 @@ process.on('unhandledRejection', (reason) => {
   logger.warn(`[server] unhandledRejection (suppressed): ${reason}`);
 });
 
-// ── Active automation controller registry ──────────────────────────────────
-// Every /command.automate request registers its AbortController here so the
-// /automation.cancel endpoint can abort all in-flight runs at once. Controllers
-// are removed on completion/error/close to avoid unbounded growth.
-const activeAutomationControllers = new Set();
+// ── Active automation run registry ──────────────────────────────────────────
+// Every /command.automate run (plain, streamed or job) registers here under its
+// runId so /automation.cancel can abort exactly the runs the caller names — by
+// runId, skill or sessionId — instead of everything at once. Entries are removed
+// on completion/error/close to avoid unbounded growth.
+//   runId → { runId, controller, skill, action, sessionId, source, startedAt, children }
+// `children` holds pids of processes the run spawned (shell.run reports them) so
+// a scoped cancel can kill them without touching other runs.
+const activeAutomationRuns = new Map();
+
+/**
+ * Register a run under `runId`. A runId names exactly one live run: a reused
+ * client requestId would let one caller's cancel hit another's run, so it is
+ * refused — returns null instead of the unregister function.
+ */
+function registerAutomationRun(runId, controller, payload, source) {
+  if (activeAutomationRuns.has(runId)) return null;
+  const args = payload?.args || {};
+  const run = {
+    runId,
+    controller,
+    skill: payload?.skill || null,
+    action: args.action || null,
+    sessionId: admission.resolveSessionId(payload?.skill, args),
+    source,
+    startedAt: new Date().toISOString(),
+    children: new Set(),
+  };
+  activeAutomationRuns.set(runId, run);
+  return () => { if (activeAutomationRuns.get(runId) === run) activeAutomationRuns.delete(runId); };
+}
 
 // ── Forceful playwright-cli + Chrome cleanup ───────────────────────────────
 // Mirrors cleanupStalePlaywrightSessions() (startup) so the /automation.cancel
@@ -65,6 +100,26 @@ function forceKillPlaywright() {
   return summary;
 }
 
+// ── Scoped browser-session cleanup ─────────────────────────────────────────
+// Per-run counterpart of forceKillPlaywright(): closes ONE session (engine +
+// playwright-cli) and kills only the Chrome processes whose user-data-dir is
+// that session's profile, leaving every other ThinkDrop browser alone.
+async function forceCloseBrowserSession(sessionId) {
+  const { spawnSync } = require('child_process');
+  const summary = { sessionId, closed: false, chromeKilled: false };
+  try {
+    const res = await browserAct({ action: 'close', sessionId, timeoutMs: 8000 });
+    summary.closed = !!res?.ok;
+  } catch (e) { logger.warn(`[automation.cancel] close session=${sessionId} failed (non-fatal): ${e.message}`); }
+  try {
+    const escaped = String(sessionId).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pkillRes = spawnSync('pkill', ['-f', `user-data-dir=[^ ]*\\.thinkdrop/browser-profiles/${escaped}( |$)`], { timeout: 5000, encoding: 'utf8' });
+    summary.chromeKilled = pkillRes.status === 0;
+    if (summary.chromeKilled) logger.info(`[automation.cancel] killed Chrome processes for session=${sessionId} ✓`);
+  } catch (e) { logger.warn(`[automation.cancel] pkill Chrome session=${sessionId} failed (non-fatal): ${e.message}`); }
+  return summary;
+}
+
 // Shared infrastructure for skills — intelligence + storage
 // Any skill can require these directly:
 //   const { ask } = require('../skill-llm.cjs');
@@ -72,6 +127,8 @@ function forceKillPlaywright() {
 const skillLlm = require('./skill-helpers/skill-llm.cjs');
 const skillDb = require('./skill-helpers/skill-db.cjs');
 const { shellRun } = require('./skills/shell.run.cjs');
+const { shellUndo } = require('./skills/shell.undo.cjs');
+const { shellPipeline } = require('./skills/shell.pipeline.cjs');
 const { browserAct } = require('./skills/browser.act.cjs');
 const { webCrawl } = require('./skills/web.crawl.cjs');
 const { imageAnalyze } = require('./skills/image.analyze.cjs');
@@ -95,6 +152,7 @@ const webAgent   = require('./skills/web.agent.cjs');
 const videoAgent = require('./skills/video.agent.cjs');
 const appAgent   = require('./skills/app.agent.cjs');
 const skillScheduler = require('./skill-helpers/skill-scheduler.cjs');
+const watchTriggers = require('./skill-helpers/watch-triggers.cjs');
 const { startIdleWatcher, stopIdleWatcher, startScanScheduler, runMaintenanceScan, cancelMaintenanceScan, getScanStatus } = require('./skills/explore.agent.cjs');
 const { systemIntrospect } = require('./skills/system.introspect.cjs');
 const toolDiscoverAgent = require('./skills/tool.discover.agent.cjs');
@@ -103,6 +161,11 @@ const providerDiscoveryAgent = require('./skills/provider.discovery.agent.cjs');
 class CommandServiceMCPServer {
   constructor() {
     this.serviceName = process.env.SERVICE_NAME || 'command-service';
+    this.port = parseInt(process.env.PORT || '3007', 10);
+    // runId → { controller, events, lastEvent } for jobs running in this process.
+    // The persisted record lives in job-store; this map only holds what cannot
+    // be serialised (the AbortController) plus cheap in-memory progress.
+    this._runningJobs = new Map();
 
     logger.info('CommandServiceMCPServer initialized', {
       serviceName: this.serviceName
@@ -127,9 +190,34 @@ class CommandServiceMCPServer {
 
     logger.info('Routing automation skill', { skill });
 
+    // Admission control — wait for (or refuse) a slot under the configured
+    // per-skill / per-browser-session limits before touching the machine.
+    const ticket = await admission.acquire({ skill, args, signal: opts.signal || null });
+    if (!ticket.ok) {
+      logger.warn(`[admission] ${skill} not admitted: ${ticket.error}`);
+      return { success: false, ok: false, busy: ticket.busy, aborted: ticket.aborted, error: ticket.error };
+    }
+
+    try {
+      // A run holding a browser session hands its lease to nested calls it makes
+      // on that session (see admission-control.cjs).
+      const runArgs = ticket.lease ? { ...args, _admissionLease: ticket.lease } : args;
+      return await this._dispatchSkill(skill, runArgs, payload, opts);
+    } finally {
+      ticket.release();
+    }
+  }
+
+  async _dispatchSkill(skill, args, payload, opts) {
     switch (skill) {
       case 'shell.run':
-        return await this._skillShellRun(args);
+        return await this._skillShellRun(args, opts);
+
+      case 'shell.undo':
+        return await this._skillShellUndo(args);
+
+      case 'shell.pipeline':
+        return await this._skillShellPipeline(args, opts);
 
       case 'browser.act':
         return await this._skillBrowserAct(args);
@@ -214,12 +302,218 @@ class CommandServiceMCPServer {
     }
   }
 
+  /**
+   * Run a command.automate payload with a streaming channel attached.
+   * URL-based skills post progress back to /automation.progress/<streamId>;
+   * shell.run gets an in-process callback for runProcess output. A caller-supplied
+   * _progressCallbackUrl keeps receiving raw events because the stream forwards to it.
+   * @param {Object} payload - { skill, args }
+   * @param {string} runId - key of the run in activeAutomationRuns
+   * @param {AbortController} controller - the run's controller
+   * @param {function} send - receives each normalized event, the `result` event last
+   */
+  async _runStreamed(payload, runId, controller, send) {
+    const args = { ...(payload?.args || {}) };
+    const stream = automationStream.createStream({ forwardUrl: args._progressCallbackUrl || null });
+    const unsubscribe = stream.subscribe(send);
+    args._progressCallbackUrl = `http://127.0.0.1:${this.port}/automation.progress/${stream.id}`;
+    args._progressCallback = (evt) => stream.emit(evt);
+
+    stream.emit({ kind: 'run:started', type: 'run:started', runId, streamId: stream.id, skill: payload?.skill || null, action: args.action || null });
+    let result;
+    try {
+      result = await this.executeAutomation({ ...payload, args }, { signal: controller.signal, runId });
+    } catch (err) {
+      logger.error(`[server] streamed command.automate failed: ${err.stack || err.message}`, { skill: payload?.skill || null });
+      result = { ok: false, error: err.message };
+    }
+    stream.close(result, { aborted: controller.signal.aborted });
+    unsubscribe();
+    return result;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Jobs — durable, run-ID addressed command.automate runs
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Submit a command.automate payload as a background job. The record is
+   * persisted and returned immediately; the run continues detached from the
+   * HTTP request and writes its outcome back to the job store.
+   * @param {Object} payload - { skill, args }
+   * @returns {Object} the persisted job record (status: 'queued')
+   * @throws {Error} code RUN_IN_PROGRESS when a live run already holds the job's id
+   */
+  submitJob(payload) {
+    const { skill, args = {} } = payload || {};
+    const job = jobStore.createJob({ skill, args });
+    const controller = new AbortController();
+    const unregisterRun = registerAutomationRun(job.id, controller, { skill, args }, 'job');
+    if (!unregisterRun) {
+      const error = `A run with id "${job.id}" is already in progress`;
+      jobStore.updateJob(job.id, { status: 'failed', error });
+      throw Object.assign(new Error(error), { code: 'RUN_IN_PROGRESS' });
+    }
+    const runtime = { controller, events: 0, lastEvent: null };
+    this._runningJobs.set(job.id, runtime);
+
+    setImmediate(() => {
+      jobStore.updateJob(job.id, { status: 'running' });
+      this._runStreamed({ skill, args }, job.id, controller, (evt) => {
+        runtime.events++;
+        runtime.lastEvent = { kind: evt.kind, type: evt.type, ts: evt.ts };
+      })
+        .then((result) => {
+          if (controller.signal.aborted) {
+            // Status was already set to 'cancelled' by cancelRuns — keep it, but
+            // still record whatever the skill returned while winding down.
+            jobStore.updateJob(job.id, { result });
+            return;
+          }
+          const failed = result?.ok === false || result?.success === false;
+          jobStore.updateJob(job.id, {
+            status: failed ? 'failed' : 'succeeded',
+            result,
+            error: failed ? (result?.error || 'Skill reported failure') : null,
+          });
+        })
+        .catch((err) => {
+          logger.error(`[jobs] ${job.id} crashed: ${err.stack || err.message}`);
+          jobStore.updateJob(job.id, { status: 'failed', error: err.message });
+        })
+        .finally(() => {
+          this._runningJobs.delete(job.id);
+          unregisterRun();
+        });
+    });
+
+    logger.info(`[jobs] submitted ${job.id}`, { skill, action: args.action || null });
+    return job;
+  }
+
+  /**
+   * Status view of a job: the persisted record minus the (possibly large)
+   * result, plus live progress when the job is running in this process.
+   */
+  getJobStatus(id) {
+    const job = jobStore.getJob(id);
+    if (!job) return null;
+    const { result, ...rest } = job;
+    const runtime = this._runningJobs.get(id);
+    return {
+      ...rest,
+      hasResult: result != null,
+      progress: runtime ? { events: runtime.events, lastEvent: runtime.lastEvent } : null,
+    };
+  }
+
+  /**
+   * Cancel one job by run ID. Goes through cancelRuns() so the job's browser
+   * session and child processes are cleaned up like any other scoped cancel.
+   * @returns {Promise<{ ok: boolean, cancelled?: boolean, status?: string, stopped?: Object, error?: string }>}
+   */
+  async cancelJob(id) {
+    const job = jobStore.getJob(id);
+    if (!job) return { ok: false, error: `Unknown job: ${id}` };
+    if (!this._runningJobs.has(id)) return { ok: true, cancelled: false, status: job.status };
+    const { stopped } = await this.cancelRuns({ runId: id });
+    return { ok: true, cancelled: true, status: 'cancelled', stopped };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cancellation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Abort the runs matching `scope` and clean up only what belongs to them:
+   * their browser sessions (engine + playwright-cli + that profile's Chrome)
+   * and the child processes they spawned. A sessionId with no matching run
+   * still gets its browser session closed — that is how a stuck browser left
+   * behind by a finished run is cleared.
+   *
+   * @param {Object} scope - { runId?, skill?, sessionId?, all? }
+   *   all: true keeps the legacy behaviour (abort everything + forceKillPlaywright)
+   * @returns {Promise<{ aborted: number, stopped: { runs, browserSessions, childProcesses, playwright? } }>}
+   */
+  async cancelRuns({ runId, skill, sessionId, all = false } = {}) {
+    const matches = [...activeAutomationRuns.values()].filter(run =>
+      all || (
+        (!runId || run.runId === runId) &&
+        (!skill || run.skill === skill) &&
+        (!sessionId || run.sessionId === sessionId)
+      )
+    );
+
+    const stopped = { runs: [], browserSessions: [], childProcesses: [] };
+    for (const run of matches) {
+      try { run.controller.abort(); } catch (_) {}
+      activeAutomationRuns.delete(run.runId);
+      stopped.runs.push({ runId: run.runId, skill: run.skill, action: run.action, sessionId: run.sessionId, source: run.source });
+      if (run.source === 'job') {
+        jobStore.updateJob(run.runId, { status: 'cancelled', error: 'Cancelled by user' });
+      }
+      for (const pid of run.children) {
+        // shell.run spawns each command as a process-group leader; signal the
+        // group so grandchildren of `bash -c` scripts die with it.
+        try {
+          process.kill(-pid, 'SIGTERM');
+          stopped.childProcesses.push({ runId: run.runId, pid });
+        } catch (_) {
+          try {
+            process.kill(pid, 'SIGTERM');
+            stopped.childProcesses.push({ runId: run.runId, pid });
+          } catch (_) { /* already exited */ }
+        }
+      }
+    }
+
+    if (all) {
+      // Forceful cleanup: kill playwright-cli daemons + Chrome processes
+      // using ThinkDrop browser profiles (same pattern as startup cleanup).
+      try { stopped.playwright = forceKillPlaywright(); }
+      catch (fkErr) { logger.warn(`[automation.cancel] forceKillPlaywright error (non-fatal): ${fkErr.message}`); }
+    } else {
+      const sessionIds = new Set(matches.map(run => run.sessionId).filter(Boolean));
+      if (sessionId) sessionIds.add(sessionId);
+      for (const sid of sessionIds) {
+        stopped.browserSessions.push(await forceCloseBrowserSession(sid));
+      }
+    }
+
+    logger.info(`[automation.cancel] stopped ${stopped.runs.length} run(s), ${stopped.browserSessions.length} browser session(s), ${stopped.childProcesses.length} child process(es)`, { runId, skill, sessionId, all });
+    return { aborted: matches.length, stopped };
+  }
+
   // ---------------------------------------------------------------------------
   // Skills — stubs, implementations will live in skills/ and be required here
   // ---------------------------------------------------------------------------
 
-  async _skillShellRun(args) {
-    return await shellRun(args);
+  async _skillShellRun(args, opts = {}) {
+    // Abort kills the spawned process; spawned pids are recorded on the run so a
+    // scoped /automation.cancel can report (and, if needed, kill) exactly them.
+    const run = opts.runId ? activeAutomationRuns.get(opts.runId) : null;
+    return await shellRun({
+      ...args,
+      _originSkill: args._originSkill || 'command.automate',
+      _runId: opts.runId || null,
+      _abortSignal: opts.signal || null,
+      _onChildProcess: run ? ({ pid, state }) => (state === 'spawned' ? run.children.add(pid) : run.children.delete(pid)) : null,
+    });
+  }
+
+  async _skillShellUndo(args) {
+    return await shellUndo(args);
+  }
+
+  async _skillShellPipeline(args, opts = {}) {
+    // Each step is a shell.run call — same abort / child-process wiring as _skillShellRun.
+    const run = opts.runId ? activeAutomationRuns.get(opts.runId) : null;
+    return await shellPipeline({
+      ...args,
+      _runId: opts.runId || null,
+      _abortSignal: opts.signal || null,
+      _onChildProcess: run ? ({ pid, state }) => (state === 'spawned' ? run.children.add(pid) : run.children.delete(pid)) : null,
+    });
   }
 
   async _skillBrowserAct(args) {
@@ -404,7 +698,8 @@ class CommandServiceMCPServer {
       success: true,
       service: this.serviceName,
       status: 'healthy',
-      skills: ['shell.run', 'browser.act', 'web.crawl', 'image.analyze', 'fs.read', 'file.watch', 'file.bridge', 'screen.capture', 'external.skill', 'cli.agent', 'browser.agent', 'playwright.agent', 'creator.agent', 'reviewer.agent', 'skillCreator.skill', 'project.builder', 'project.launcher', 'project.editor', 'project.stopper', 'app.agent', 'system.introspect', 'provider.discovery']
+      skills: ['shell.run', 'shell.undo', 'shell.pipeline', 'browser.act', 'web.crawl', 'image.analyze', 'fs.read', 'file.watch', 'file.bridge', 'screen.capture', 'external.skill', 'cli.agent', 'browser.agent', 'playwright.agent', 'creator.agent', 'reviewer.agent', 'skillCreator.skill', 'project.builder', 'project.launcher', 'project.editor', 'project.stopper', 'app.agent', 'system.introspect', 'provider.discovery'],
+      concurrency: admission.snapshot()
     };
   }
 
@@ -441,6 +736,18 @@ class CommandServiceMCPServer {
       logger.debug(`[Server] Profile dir cleanup skipped: ${err.message}`);
     }
 
+    // ── Flag jobs cut short by the previous shutdown ─────────────────────────
+    // Nothing can be running yet, so any job still queued/running on disk was
+    // interrupted by a restart. Finished jobs older than 7 days are pruned.
+    try {
+      const interrupted = jobStore.markInterrupted();
+      const prunedJobs  = jobStore.pruneJobs();
+      if (interrupted > 0) logger.warn(`[Server] Marked ${interrupted} job(s) as interrupted by restart`);
+      if (prunedJobs > 0) logger.info(`[Server] Pruned ${prunedJobs} finished job record(s)`);
+    } catch (err) {
+      logger.warn(`[Server] Job store recovery failed (non-fatal): ${err.message}`);
+    }
+
     // ── Warm up creator.agent DB (ensures projects table exists) ────────────
     creatorAgent({ action: 'list_projects' }).catch(() => {});
     reviewerAgent({ action: 'status', projectId: '__warmup__' }).catch(() => {});
@@ -455,6 +762,10 @@ class CommandServiceMCPServer {
     // for any skill with a schedule ≠ on_demand. Re-syncs every 5 min.
     skillScheduler.start().catch(err => logger.warn('[Server] Skill scheduler start failed', { error: err.message }));
 
+    // ── Re-arm persisted file.watch triggers ──────────────────────────────────
+    // Rules from ~/.thinkdrop/watch-triggers.json fire skills through /command.automate.
+    watchTriggers.start().catch(err => logger.warn('[Server] Watch triggers start failed', { error: err.message }));
+
     // ── explore.agent maintenance scan services ──────────────────────────────
     // Auto-scan (idle watcher) has been DISABLED — skills are now created via the
     // trainer agent, not by automatic page scanning. The idle watcher generated
@@ -505,6 +816,7 @@ class CommandServiceMCPServer {
     // Keeps the Node.js event loop alive (no active I/O = process exits) and
     // satisfies the service manager's health check at http://localhost:3007/health
     const PORT = parseInt(process.env.PORT || '3007', 10);
+    this.port = PORT;
     const healthServer = http.createServer(async (req, res) => {
       res.setHeader('Content-Type', 'application/json');
       res.setHeader('Access-Control-Allow-Origin', '*');
@@ -523,7 +835,8 @@ class CommandServiceMCPServer {
         res.end(JSON.stringify({
           status: 'healthy',
           service: this.serviceName,
-          skills: ['shell.run', 'browser.act', 'web.crawl', 'image.analyze', 'fs.read', 'file.watch', 'file.bridge', 'screen.capture', 'external.skill', 'cli.agent', 'browser.agent', 'playwright.agent', 'creator.agent', 'reviewer.agent', 'skillCreator.skill', 'project.builder', 'project.launcher', 'project.editor', 'project.stopper', 'app.agent', 'system.introspect', 'provider.discovery']
+          skills: ['shell.run', 'shell.undo', 'shell.pipeline', 'browser.act', 'web.crawl', 'image.analyze', 'fs.read', 'file.watch', 'file.bridge', 'screen.capture', 'external.skill', 'cli.agent', 'browser.agent', 'playwright.agent', 'creator.agent', 'reviewer.agent', 'skillCreator.skill', 'project.builder', 'project.launcher', 'project.editor', 'project.stopper', 'app.agent', 'system.introspect', 'provider.discovery'],
+          concurrency: admission.snapshot()
         }));
         return;
       }
@@ -962,20 +1275,31 @@ class CommandServiceMCPServer {
         // (end-of-stream), even though the HTTP connection is still alive.
         if (req.socket) req.socket.on('close', onClose);
         req.on('aborted', onClose);
-        // Register this controller so /automation.cancel can abort it. Removed
-        // on completion/error/close to avoid unbounded growth.
-        activeAutomationControllers.add(controller);
-        const _unregister = () => activeAutomationControllers.delete(controller);
+        // Registered in activeAutomationRuns once the payload is parsed so
+        // /automation.cancel can target it by runId/skill/sessionId. The caller's
+        // envelope requestId doubles as the runId so it can cancel before the
+        // response arrives; a requestId already in flight gets 409. Removed on
+        // completion/error/close.
+        let _unregister = () => {};
         req.on('end', async () => {
           try {
-            const { payload } = JSON.parse(body);
-            const result = await this.executeAutomation(payload, { signal: controller.signal });
+            const { payload, requestId } = JSON.parse(body);
+            const runId = (typeof requestId === 'string' && requestId) || crypto.randomUUID();
+            const unregister = registerAutomationRun(runId, controller, payload, 'request');
+            if (!unregister) {
+              responded = true;
+              res.writeHead(409);
+              res.end(JSON.stringify({ success: false, error: `A run with requestId "${runId}" is already in progress` }));
+              return;
+            }
+            _unregister = unregister;
+            const result = await this.executeAutomation(payload, { signal: controller.signal, runId });
             responded = true;
             // Wrap in MCP envelope: envelope success=true always (HTTP 200).
             // The skill's own success/failure is inside data — the StateGraph
             // reads result.data and handles skill-level failures (needsManualStep, etc.)
             res.writeHead(200);
-            res.end(JSON.stringify({ success: true, data: result }));
+            res.end(JSON.stringify({ success: true, data: result, runId }));
           } catch (err) {
             const payloadContext = (() => {
               try {
@@ -997,34 +1321,222 @@ class CommandServiceMCPServer {
             _unregister();
           }
         });
-        // Also unregister if the socket closes before 'end' fires.
-        if (req.socket) req.socket.on('close', _unregister);
+        // Also unregister if the socket closes before the run finishes.
+        if (req.socket) req.socket.on('close', () => _unregister());
         return;
       }
 
-      // ── POST /automation.cancel ─────────────────────────────────────────────
-      // Called by main.js when the user clicks Cancel. Aborts every in-flight
-      // command.automate run (graceful signal propagation) AND force-kills the
-      // playwright-cli daemon + Chrome processes so the browser actually stops.
-      // This is the belt-and-suspenders fallback when graceful signal threading
-      // races or the playwright agent is mid-action.
-      if (req.method === 'POST' && req.url === '/automation.cancel') {
+      // ── POST /command.automate/stream — Server-Sent Events variant ─────────
+      // Same routing and cancellation as /command.automate, but the response is
+      // a text/event-stream of structured progress events (run:started,
+      // step:started, step:finished, repair:attempted, output, progress). The
+      // final skill result is always the last event (`event: result`).
+      if (req.method === 'POST' && req.url === '/command.automate/stream') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        const controller = new AbortController();
+        let responded = false;
+        const onClose = () => { if (!responded) controller.abort(); };
+        if (req.socket) req.socket.on('close', onClose);
+        req.on('aborted', onClose);
+        let _unregister = () => {};
+        req.on('end', async () => {
+          let payload, requestId;
+          try {
+            ({ payload, requestId } = JSON.parse(body || '{}'));
+          } catch (err) {
+            responded = true;
+            res.writeHead(400);
+            res.end(JSON.stringify({ success: false, error: `Invalid JSON body: ${err.message}` }));
+            return;
+          }
+          const runId = (typeof requestId === 'string' && requestId) || crypto.randomUUID();
+          const unregister = registerAutomationRun(runId, controller, payload, 'stream');
+          if (!unregister) {
+            responded = true;
+            res.writeHead(409);
+            res.end(JSON.stringify({ success: false, error: `A run with requestId "${runId}" is already in progress` }));
+            return;
+          }
+          _unregister = unregister;
+          res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+          });
+          try {
+            await this._runStreamed(payload, runId, controller, (evt) => {
+              if (!res.writableEnded) automationStream.writeSse(res, evt);
+            });
+          } finally {
+            responded = true;
+            _unregister();
+            res.end();
+          }
+        });
+        if (req.socket) req.socket.on('close', () => _unregister());
+        return;
+      }
+
+      // ── POST /automation.progress/<streamId> — progress sink for streamed runs ─
+      // Injected as _progressCallbackUrl by _runStreamed(); skills post their
+      // progress events here and they are re-emitted on the matching stream.
+      if (req.method === 'POST' && req.url?.startsWith('/automation.progress/')) {
+        const streamId = req.url.slice('/automation.progress/'.length);
         let body = '';
         req.on('data', chunk => { body += chunk; });
         req.on('end', () => {
+          const stream = automationStream.getStream(streamId);
+          if (!stream) {
+            res.writeHead(404);
+            res.end(JSON.stringify({ ok: false, error: `Unknown stream: ${streamId}` }));
+            return;
+          }
           try {
-            const abortedCount = activeAutomationControllers.size;
-            logger.info(`[automation.cancel] Aborting ${abortedCount} active automation run(s)`);
-            for (const ctrl of activeAutomationControllers) {
-              try { ctrl.abort(); } catch (_) {}
+            stream.emit(JSON.parse(body || '{}'));
+            res.writeHead(200);
+            res.end(JSON.stringify({ ok: true }));
+          } catch (err) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ ok: false, error: err.message }));
+          }
+        });
+        return;
+      }
+
+      // ── POST /jobs — submit a command.automate payload as a durable job ─────
+      // Returns { runId } immediately; poll GET /jobs/:id for status and fetch
+      // the outcome from GET /jobs/:id/result. Survives client timeouts.
+      if (req.method === 'POST' && req.url === '/jobs') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          try {
+            const { payload } = JSON.parse(body || '{}');
+            if (!payload?.skill) {
+              res.writeHead(400);
+              res.end(JSON.stringify({ ok: false, error: 'payload.skill is required' }));
+              return;
             }
-            activeAutomationControllers.clear();
-            // Forceful cleanup: kill playwright-cli daemons + Chrome processes
-            // using ThinkDrop browser profiles (same pattern as startup cleanup).
-            try { forceKillPlaywright(); }
-            catch (fkErr) { logger.warn(`[automation.cancel] forceKillPlaywright error (non-fatal): ${fkErr.message}`); }
+            const job = this.submitJob(payload);
             res.writeHead(200);
-            res.end(JSON.stringify({ ok: true, aborted: abortedCount }));
+            res.end(JSON.stringify({ ok: true, runId: job.id, status: job.status }));
+          } catch (err) {
+            res.writeHead(err.code === 'RUN_IN_PROGRESS' ? 409 : 400);
+            res.end(JSON.stringify({ ok: false, error: err.message }));
+          }
+        });
+        return;
+      }
+
+      // ── GET /shell.audit?since=&until=&command=&exitCode=&ok=&status=&limit= ─
+      // Query the shell.run audit trail, newest first. since/until take ISO
+      // dates or epoch ms; command is the executable base name (git, bash, …).
+      if (req.method === 'GET' && (req.url === '/shell.audit' || req.url?.startsWith('/shell.audit?'))) {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const exitCodeParam = params.get('exitCode');
+        const okParam = params.get('ok');
+        const records = shellAudit.queryAudit({
+          since:    params.get('since') || undefined,
+          until:    params.get('until') || undefined,
+          command:  params.get('command') || undefined,
+          exitCode: exitCodeParam != null && exitCodeParam !== '' ? parseInt(exitCodeParam, 10) : undefined,
+          ok:       okParam === 'true' ? true : okParam === 'false' ? false : undefined,
+          status:   params.get('status') || undefined,
+          limit:    parseInt(params.get('limit') || '100', 10) || 100,
+        });
+        res.writeHead(200);
+        res.end(JSON.stringify({ ok: true, count: records.length, records }));
+        return;
+      }
+
+      // ── GET /jobs?status=&skill=&limit= — list jobs, newest first ──────────
+      if (req.method === 'GET' && (req.url === '/jobs' || req.url?.startsWith('/jobs?'))) {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const jobs = jobStore.listJobs({
+          status: params.get('status') || undefined,
+          skill:  params.get('skill') || undefined,
+          limit:  parseInt(params.get('limit') || '50', 10) || 50,
+        });
+        res.writeHead(200);
+        res.end(JSON.stringify({ ok: true, jobs }));
+        return;
+      }
+
+      // ── GET /jobs/:id · GET /jobs/:id/result · POST /jobs/:id/cancel ────────
+      const jobRoute = req.url?.match(/^\/jobs\/([A-Za-z0-9_-]+)(\/result|\/cancel)?$/);
+      if (jobRoute) {
+        const [, runId, sub] = jobRoute;
+        if (req.method === 'GET' && !sub) {
+          const status = this.getJobStatus(runId);
+          res.writeHead(status ? 200 : 404);
+          res.end(JSON.stringify(status ? { ok: true, job: status } : { ok: false, error: `Unknown job: ${runId}` }));
+          return;
+        }
+        if (req.method === 'GET' && sub === '/result') {
+          const job = jobStore.getJob(runId);
+          if (!job) {
+            res.writeHead(404);
+            res.end(JSON.stringify({ ok: false, error: `Unknown job: ${runId}` }));
+            return;
+          }
+          const ready = jobStore.TERMINAL_STATUSES.has(job.status);
+          res.writeHead(200);
+          res.end(JSON.stringify({ ok: true, runId, status: job.status, ready, result: job.result, error: job.error }));
+          return;
+        }
+        if (req.method === 'POST' && sub === '/cancel') {
+          this.cancelJob(runId)
+            .then((outcome) => {
+              res.writeHead(outcome.ok ? 200 : 404);
+              res.end(JSON.stringify({ runId, ...outcome }));
+            })
+            .catch((err) => {
+              res.writeHead(500);
+              res.end(JSON.stringify({ ok: false, error: err.message }));
+            });
+          return;
+        }
+      }
+
+      // ── GET /automation.runs — list in-flight runs (what /automation.cancel can target) ─
+      if (req.method === 'GET' && req.url === '/automation.runs') {
+        const runs = [...activeAutomationRuns.values()].map(run => ({
+          runId: run.runId,
+          skill: run.skill,
+          action: run.action,
+          sessionId: run.sessionId,
+          source: run.source,
+          startedAt: run.startedAt,
+          childProcesses: [...run.children],
+        }));
+        res.writeHead(200);
+        res.end(JSON.stringify({ ok: true, runs }));
+        return;
+      }
+
+      // ── POST /automation.cancel ─────────────────────────────────────────────
+      // Body: { runId?, skill?, sessionId?, all? }. Aborts only the matching
+      // runs and cleans up only what belongs to them — their browser session
+      // (engine, playwright-cli and that profile's Chrome) and the child
+      // processes they spawned — so cancelling one stuck browser task leaves
+      // scheduled skills and unrelated sessions running. The response lists
+      // exactly what was stopped.
+      //
+      // An empty body (or all: true) keeps the legacy behaviour for older
+      // callers: abort every run AND force-kill all playwright-cli daemons +
+      // ThinkDrop Chrome processes.
+      if (req.method === 'POST' && req.url === '/automation.cancel') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+          try {
+            const { runId, skill, sessionId, all } = JSON.parse(body || '{}');
+            const scoped = !!(runId || skill || sessionId);
+            if (!scoped) logger.warn('[automation.cancel] no runId/skill/sessionId given — cancelling ALL runs');
+            const { aborted, stopped } = await this.cancelRuns({ runId, skill, sessionId, all: all === true || !scoped });
+            res.writeHead(200);
+            res.end(JSON.stringify({ ok: true, aborted, scope: scoped ? { runId: runId || null, skill: skill || null, sessionId: sessionId || null } : 'all', stopped }));
           } catch (err) {
             logger.error(`[automation.cancel] failed: ${err.message}`);
             res.writeHead(500);
@@ -1329,6 +1841,63 @@ class CommandServiceMCPServer {
       res.writeHead(404);
       res.end(JSON.stringify({ error: 'Not found' }));
     });
+
+    // ── WebSocket /command.automate/ws — streaming variant over `ws` ─────────
+    // Client sends one { payload, requestId? } message; the server replies with one JSON
+    // message per progress event and the `result` event last, then closes.
+    // Sending { type: 'cancel' } (or closing the socket) aborts the run.
+    const { WebSocketServer } = require('ws');
+    const automateWss = new WebSocketServer({ noServer: true });
+    healthServer.on('upgrade', (req, socket, head) => {
+      if (req.url !== '/command.automate/ws') {
+        socket.destroy();
+        return;
+      }
+      automateWss.handleUpgrade(req, socket, head, (ws) => automateWss.emit('connection', ws, req));
+    });
+    automateWss.on('connection', (ws) => {
+      const controller = new AbortController();
+      let started = false;
+      let finished = false;
+      let _unregister = () => {};
+      ws.on('close', () => {
+        if (!finished) controller.abort();
+        _unregister();
+      });
+      ws.on('message', async (data) => {
+        let msg;
+        try { msg = JSON.parse(data.toString()); } catch (err) {
+          ws.send(JSON.stringify({ kind: 'error', error: `Invalid JSON message: ${err.message}` }));
+          return;
+        }
+        if (msg.type === 'cancel') {
+          controller.abort();
+          return;
+        }
+        if (started) {
+          ws.send(JSON.stringify({ kind: 'error', error: 'A run is already in progress on this socket' }));
+          return;
+        }
+        const runId = (typeof msg.requestId === 'string' && msg.requestId) || crypto.randomUUID();
+        const unregister = registerAutomationRun(runId, controller, msg.payload, 'stream');
+        if (!unregister) {
+          ws.send(JSON.stringify({ kind: 'error', error: `A run with requestId "${runId}" is already in progress` }));
+          return;
+        }
+        started = true;
+        _unregister = unregister;
+        try {
+          await this._runStreamed(msg.payload, runId, controller, (evt) => {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(evt));
+          });
+        } finally {
+          finished = true;
+          _unregister();
+          if (ws.readyState === ws.OPEN) ws.close(1000, 'done');
+        }
+      });
+    });
+
     healthServer.listen(PORT, () => {
       logger.info(`Health endpoint listening on http://localhost:${PORT}/health`);
     });
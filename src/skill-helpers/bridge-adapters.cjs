@@ -0,0 +1,242 @@
+'use strict';
+/**
+ * bridge-adapters.cjs
+ *
+ * Desktop integration used by bridge-watcher.cjs when a new bridge block arrives:
+ * notify the user, put the instruction on the clipboard, and bring the IDE to the
+ * front. One adapter per environment:
+ *
+ *   macos     — osascript notification, pbcopy, `open -a`
+ *   linux     — notify-send (or the org.freedesktop.Notifications D-Bus call via gdbus),
+ *               wl-copy on Wayland / xclip / xsel, wmctrl / xdotool window activation
+ *   headless  — no desktop: notifications go to .bridge-notifications.jsonl and the
+ *               clipboard text to .bridge-clipboard.md next to the bridge file, so
+ *               an agent running over SSH or in a container can watch those instead
+ *
+ * `auto` picks macos on darwin, linux when a DISPLAY or WAYLAND_DISPLAY is set, and
+ * headless otherwise. Every method returns { ok, via } instead of throwing, and the
+ * process runner and command lookup are injectable so each adapter can be tested
+ * without the tools installed.
+ *
+ * No logger here on purpose: bridge-watcher.cjs speaks JSON lines on stdout, and the
+ * shared winston logger writes to stdout too.
+ *
+ * API:
+ *   createAdapter(name = 'auto', { platform, env, run, hasCommand, triggerDir })
+ *     → { name, notify(title, body), copy(text), focus(ide) }
+ *   detectAdapter({ platform, env }) → 'macos' | 'linux' | 'headless'
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const COMMAND_TIMEOUT_MS = 5000;
+const MAX_NOTIFY_BODY = 200;
+
+// Application names for macOS `open -a`
+const MAC_APP_NAMES = {
+  windsurf: 'Windsurf',
+  cursor: 'Cursor',
+  vscode: 'Visual Studio Code',
+  code: 'Visual Studio Code',
+  warp: 'Warp',
+};
+
+// Window title fragments for wmctrl / xdotool — Linux window titles end in the product name
+const LINUX_WINDOW_NAMES = {
+  windsurf: 'Windsurf',
+  cursor: 'Cursor',
+  vscode: 'Visual Studio Code',
+  code: 'Visual Studio Code',
+  warp: 'Warp',
+};
+
+// ── Defaults ──────────────────────────────────────────────────────────────────
+
+function defaultRun(cmd, args, { input } = {}) {
+  try {
+    const result = spawnSync(cmd, args, {
+      input,
+      encoding: 'utf8',
+      timeout: COMMAND_TIMEOUT_MS,
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'ignore', 'pipe'],
+    });
+    if (result.error) return { ok: false, error: result.error.message };
+    return { ok: result.status === 0, status: result.status, error: result.status === 0 ? null : (result.stderr || '').trim() || null };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+const _commandCache = new Map();
+function defaultHasCommand(cmd, env = process.env) {
+  const key = `${cmd}\0${env.PATH || ''}`;
+  if (_commandCache.has(key)) return _commandCache.get(key);
+  let found = false;
+  for (const dir of (env.PATH || '').split(path.delimiter)) {
+    if (!dir) continue;
+    try {
+      fs.accessSync(path.join(dir, cmd), fs.constants.X_OK);
+      found = true;
+      break;
+    } catch (_) {}
+  }
+  _commandCache.set(key, found);
+  return found;
+}
+
+function oneLine(text, max) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return max ? flat.slice(0, max) : flat;
+}
+
+// ── Detection ─────────────────────────────────────────────────────────────────
+
+function detectAdapter({ platform = process.platform, env = process.env } = {}) {
+  if (platform === 'darwin') return 'macos';
+  if (platform !== 'win32' && (env.DISPLAY || env.WAYLAND_DISPLAY)) return 'linux';
+  return 'headless';
+}
+
+// ── Adapters ──────────────────────────────────────────────────────────────────
+
+function macosAdapter({ run }) {
+  return {
+    name: 'macos',
+
+    notify(title, body) {
+      const safeTitle = oneLine(title).replace(/"/g, '\\"');
+      const safeBody = oneLine(body, MAX_NOTIFY_BODY).replace(/"/g, '\\"');
+      const res = run('osascript', ['-e', `display notification "${safeBody}" with title "${safeTitle}" sound name "Ping"`]);
+      return { ok: res.ok, via: 'osascript', error: res.error || undefined };
+    },
+
+    copy(text) {
+      const res = run('pbcopy', [], { input: text });
+      return { ok: res.ok, via: 'pbcopy', error: res.error || undefined };
+    },
+
+    focus(ide) {
+      const res = run('open', ['-a', MAC_APP_NAMES[ide] || ide]);
+      return { ok: res.ok, via: 'open', error: res.error || undefined };
+    },
+  };
+}
+
+function linuxAdapter({ run, hasCommand, env }) {
+  const wayland = !!env.WAYLAND_DISPLAY;
+
+  // Try each available tool in order until one succeeds
+  function firstOk(attempts) {
+    const errors = [];
+    for (const { cmd, args, input } of attempts) {
+      if (!hasCommand(cmd)) continue;
+      const res = run(cmd, args, { input });
+      if (res.ok) return { ok: true, via: cmd };
+      errors.push(`${cmd}: ${res.error || `exit ${res.status}`}`);
+    }
+    if (errors.length === 0) {
+      return { ok: false, via: null, error: `none of ${attempts.map(a => a.cmd).join(', ')} is installed` };
+    }
+    return { ok: false, via: null, error: errors.join('; ') };
+  }
+
+  return {
+    name: 'linux',
+
+    notify(title, body) {
+      const t = oneLine(title);
+      const b = oneLine(body, MAX_NOTIFY_BODY);
+      return firstOk([
+        { cmd: 'notify-send', args: ['--app-name=ThinkDrop', t, b] },
+        {
+          cmd: 'gdbus',
+          args: [
+            'call', '--session',
+            '--dest', 'org.freedesktop.Notifications',
+            '--object-path', '/org/freedesktop/Notifications',
+            '--method', 'org.freedesktop.Notifications.Notify',
+            'ThinkDrop', '0', '', t, b, '[]', '{}', '5000',
+          ],
+        },
+      ]);
+    },
+
+    copy(text) {
+      const wl = { cmd: 'wl-copy', args: [], input: text };
+      const x11 = [
+        { cmd: 'xclip', args: ['-selection', 'clipboard'], input: text },
+        { cmd: 'xsel', args: ['--clipboard', '--input'], input: text },
+      ];
+      return firstOk(wayland ? [wl, ...x11] : [...x11, wl]);
+    },
+
+    focus(ide) {
+      const name = LINUX_WINDOW_NAMES[ide] || ide;
+      return firstOk([
+        { cmd: 'wmctrl', args: ['-a', name] },
+        { cmd: 'xdotool', args: ['search', '--onlyvisible', '--name', name, 'windowactivate'] },
+      ]);
+    },
+  };
+}
+
+function headlessAdapter({ triggerDir }) {
+  const notificationsFile = path.join(triggerDir, '.bridge-notifications.jsonl');
+  const clipboardFile = path.join(triggerDir, '.bridge-clipboard.md');
+
+  function write(fn, via) {
+    try {
+      fs.mkdirSync(triggerDir, { recursive: true });
+      fn();
+      return { ok: true, via };
+    } catch (err) {
+      return { ok: false, via, error: err.message };
+    }
+  }
+
+  return {
+    name: 'headless',
+    notificationsFile,
+    clipboardFile,
+
+    notify(title, body) {
+      const line = JSON.stringify({ ts: new Date().toISOString(), title: oneLine(title), body: oneLine(body, MAX_NOTIFY_BODY) });
+      return write(() => fs.appendFileSync(notificationsFile, line + '\n', 'utf8'), notificationsFile);
+    },
+
+    copy(text) {
+      return write(() => fs.writeFileSync(clipboardFile, text, 'utf8'), clipboardFile);
+    },
+
+    focus() {
+      return { ok: false, via: null, error: 'no desktop to focus' };
+    },
+  };
+}
+
+const ADAPTERS = {
+  macos: macosAdapter,
+  linux: linuxAdapter,
+  headless: headlessAdapter,
+};
+
+function createAdapter(name = 'auto', options = {}) {
+  const {
+    platform = process.platform,
+    env = process.env,
+    run = defaultRun,
+    hasCommand = cmd => defaultHasCommand(cmd, env),
+    triggerDir = process.cwd(),
+  } = options;
+
+  const resolved = !name || name === 'auto' ? detectAdapter({ platform, env }) : name;
+  const factory = ADAPTERS[resolved];
+  if (!factory) {
+    throw new Error(`Unknown bridge adapter "${name}". Valid: auto | ${Object.keys(ADAPTERS).join(' | ')}`);
+  }
+  return factory({ platform, env, run, hasCommand, triggerDir });
+}
+
+module.exports = { createAdapter, detectAdapter, ADAPTERS, MAC_APP_NAMES, LINUX_WINDOW_NAMES };
@@ -0,0 +1,488 @@
+'use strict';
+/**
+ * bridge-channels.cjs
+ *
+ * Storage layer behind file.bridge: named channels, locked appends, a JSONL
+ * sidecar that mirrors every Markdown block, and per-reader cursors.
+ *
+ * Layout (base dir ~/.thinkdrop, override THINKDROP_BRIDGE_DIR):
+ *   bridge.md                      — the 'default' channel (unchanged location)
+ *   bridge/<channel>.md            — one file per named channel (IDE / agent)
+ *   <channel>.md.jsonl             — sidecar: one JSON record per block, in order
+ *   <channel>.md.lock              — O_EXCL lock held while appending / rewriting
+ *   bridge/cursors.json            — { "<jsonl path>": { "<reader>": { seq, offset, ino } } }
+ *
+ * The Markdown file stays the human-readable view and the interchange format for
+ * external agents, which keep appending WS: blocks to it directly. sync() mirrors
+ * any blocks appended since the last mirrored one into the sidecar by parsing only
+ * the new tail of the Markdown file; every sidecar record remembers the byte range
+ * (mdOffset..mdEnd) of its block so the next sync knows where to resume. If the
+ * Markdown was rewritten underneath us (the last mirrored END tag is no longer at
+ * mdEnd), the sidecar is rebuilt from the whole file, keeping known seq numbers.
+ *
+ * Record:
+ * { seq, id, prefix, type, ts, status, refId, body, channel, mdOffset, mdEnd }
+ *
+ * seq increases monotonically per channel and survives clear(), so a cursor
+ * ({ seq, offset, ino } — offset is a byte hint into the sidecar) stays valid
+ * after the sidecar is rewritten: a changed inode or a short file falls back to a
+ * full scan filtered by seq.
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const os     = require('os');
+const logger = require('../logger.cjs');
+
+const BRIDGE_DIR = process.env.THINKDROP_BRIDGE_DIR || path.join(os.homedir(), '.thinkdrop');
+const CHANNELS_DIR = path.join(BRIDGE_DIR, 'bridge');
+const CURSORS_FILE = path.join(CHANNELS_DIR, 'cursors.json');
+const DEFAULT_CHANNEL = 'default';
+const DEFAULT_BRIDGE_FILE = path.join(BRIDGE_DIR, 'bridge.md');
+const CHANNEL_NAME_RE = /^[a-z0-9][\w.-]{0,63}$/i;
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 15;
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+// ── Channels ──────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve a channel name and/or explicit bridge file into the paths it uses.
+ * An explicit bridgeFile wins; its channel name is the file's base name.
+ */
+function resolveChannel(channel, bridgeFile) {
+  if (bridgeFile) {
+    const mdFile = path.resolve(bridgeFile.replace(/^~/, os.homedir()));
+    const name = mdFile === DEFAULT_BRIDGE_FILE ? DEFAULT_CHANNEL : path.basename(mdFile, '.md');
+    return channelPaths(name, mdFile);
+  }
+  const name = channel ? String(channel).trim() : DEFAULT_CHANNEL;
+  if (!CHANNEL_NAME_RE.test(name)) {
+    throw new Error(`Invalid channel name "${channel}" — use letters, digits, ".", "_" or "-" (max 64)`);
+  }
+  const mdFile = name === DEFAULT_CHANNEL ? DEFAULT_BRIDGE_FILE : path.join(CHANNELS_DIR, `${name}.md`);
+  return channelPaths(name, mdFile);
+}
+
+function channelPaths(name, mdFile) {
+  return { channel: name, mdFile, jsonlFile: `${mdFile}.jsonl`, lockFile: `${mdFile}.lock` };
+}
+
+/** Every channel that has a Markdown file: the default one plus bridge/*.md. */
+function listChannels() {
+  const out = [];
+  if (fs.existsSync(DEFAULT_BRIDGE_FILE)) out.push(resolveChannel(DEFAULT_CHANNEL));
+  let names = [];
+  try { names = fs.readdirSync(CHANNELS_DIR); } catch (_) {}
+  for (const file of names.sort()) {
+    if (file.endsWith('.md')) out.push(channelPaths(path.basename(file, '.md'), path.join(CHANNELS_DIR, file)));
+  }
+  return out;
+}
+
+// ── Locking ───────────────────────────────────────────────────────────────────
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function lockIsStale(lockFile) {
+  try {
+    const stat = fs.statSync(lockFile);
+    if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) return true;
+    const pid = parseInt(fs.readFileSync(lockFile, 'utf8'), 10);
+    if (pid && pid !== process.pid) process.kill(pid, 0);
+    return false;
+  } catch (err) {
+    // ESRCH: holder died. ENOENT: released between our checks — retry either way.
+    return err.code === 'ESRCH' || err.code === 'ENOENT';
+  }
+}
+
+/**
+ * Run fn() while holding an exclusive O_EXCL lock file. Waiting for a busy lock
+ * retries on a timer, so it never blocks the event loop; fn itself runs
+ * synchronously once the lock is held, so nothing else in this process can slip
+ * in between its reads and writes. Locks older than LOCK_STALE_MS or held by a
+ * dead pid are broken. Resolves to fn()'s return value.
+ */
+async function withLock(lockFile, fn) {
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let fd = null;
+  while (fd === null) {
+    try {
+      fd = fs.openSync(lockFile, 'wx');
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      if (lockIsStale(lockFile)) {
+        logger.warn('bridge-channels: breaking stale lock', { lockFile });
+        try { fs.unlinkSync(lockFile); } catch (_) {}
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for bridge lock ${lockFile}`);
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+  try {
+    fs.writeSync(fd, String(process.pid));
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    try { fs.unlinkSync(lockFile); } catch (_) {}
+  }
+}
+
+// ── Markdown blocks ───────────────────────────────────────────────────────────
+
+// <!-- PREFIX:TYPE id=.. ts=.. status=.. ref=.. -->  body  <!-- PREFIX:END -->
+const BLOCK_RE = /<!--\s*([A-Z][A-Z0-9_]*):([\w]+)\s+(.*?)-->([\s\S]*?)<!--\s*\1:END\s*-->/g;
+const ATTR_RE = /(\w+)=("[^"]*"|'[^']*'|[^\s>]+)/g;
+
+function parseAttrs(attrsStr) {
+  const attrs = {};
+  let m;
+  ATTR_RE.lastIndex = 0;
+  while ((m = ATTR_RE.exec(attrsStr)) !== null) {
+    attrs[m[1]] = m[2].replace(/^(["'])(.*)\1$/, '$2');
+  }
+  return attrs;
+}
+
+/**
+ * Parse complete blocks out of Markdown text. `baseOffset` is the byte offset of
+ * `content` inside the file; each block gets mdOffset/mdEnd byte positions.
+ */
+function parseBlocks(content, baseOffset = 0) {
+  const blocks = [];
+  let bytePos = baseOffset;
+  let charPos = 0;
+  let match;
+  BLOCK_RE.lastIndex = 0;
+  while ((match = BLOCK_RE.exec(content)) !== null) {
+    const [raw, prefix, type, attrsStr, body] = match;
+    if (type === 'END') continue;
+    bytePos += Buffer.byteLength(content.slice(charPos, match.index));
+    const mdOffset = bytePos;
+    const mdEnd = mdOffset + Buffer.byteLength(raw);
+    bytePos = mdEnd;
+    charPos = match.index + raw.length;
+
+    const attrs = parseAttrs(attrsStr);
+    blocks.push({
+      id: attrs.id || `${prefix}_${type}_unknown`,
+      prefix,
+      type,
+      ts: attrs.ts || null,
+      status: attrs.status || 'unknown',
+      refId: attrs.ref || null,
+      body: body.trim(),
+      mdOffset,
+      mdEnd,
+    });
+  }
+  return blocks;
+}
+
+function formatBlock({ id, prefix, type, ts, status, refId, body }) {
+  const refAttr = refId ? ` ref=${refId}` : '';
+  const tsAttr = ts ? ` ts=${ts}` : '';
+  return [
+    `<!-- ${prefix}:${type} id=${id}${tsAttr} status=${status}${refAttr} -->`,
+    body.trim(),
+    `<!-- ${prefix}:END -->`,
+  ].join('\n');
+}
+
+/** A record as file.bridge returns it: the stored fields plus the Markdown text. */
+function toBlock(record) {
+  const { mdOffset, mdEnd, ...block } = record;
+  return { ...block, raw: formatBlock(record) };
+}
+
+// ── Sidecar ───────────────────────────────────────────────────────────────────
+
+function readJsonlLines(text) {
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try { records.push(JSON.parse(line)); } catch (_) {}
+  }
+  return records;
+}
+
+/** Last complete record of the sidecar, reading only as much of the tail as needed. */
+function lastRecord(jsonlFile) {
+  let fd;
+  try { fd = fs.openSync(jsonlFile, 'r'); } catch (_) { return null; }
+  try {
+    const size = fs.fstatSync(fd).size;
+    let chunk = TAIL_CHUNK_BYTES;
+    while (true) {
+      const start = Math.max(0, size - chunk);
+      const buf = Buffer.alloc(size - start);
+      fs.readSync(fd, buf, 0, buf.length, start);
+      const lines = buf.toString('utf8').split('\n').filter(l => l.trim());
+      // The first line may be cut in half unless we read from the very start
+      const candidates = start === 0 ? lines : lines.slice(1);
+      for (let i = candidates.length - 1; i >= 0; i--) {
+        try { return JSON.parse(candidates[i]); } catch (_) {}
+      }
+      if (start === 0) return null;
+      chunk *= 4;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function readAllRecords(jsonlFile) {
+  try { return readJsonlLines(fs.readFileSync(jsonlFile, 'utf8')); } catch (_) { return []; }
+}
+
+function appendLine(file, line) {
+  const fd = fs.openSync(file, 'a');
+  try { fs.writeSync(fd, line); } finally { fs.closeSync(fd); }
+}
+
+function writeAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content, 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+/** Does the Markdown file still end the last mirrored block where the record says? */
+function mirroredTailIntact(ch, last) {
+  const endTag = Buffer.from(`<!-- ${last.prefix}:END -->`);
+  if (last.mdEnd < endTag.length) return false;
+  let fd;
+  try {
+    fd = fs.openSync(ch.mdFile, 'r');
+    const buf = Buffer.alloc(endTag.length);
+    fs.readSync(fd, buf, 0, buf.length, last.mdEnd - endTag.length);
+    return buf.equals(endTag);
+  } catch (_) {
+    return false;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function rebuildUnlocked(ch) {
+  const known = new Map(readAllRecords(ch.jsonlFile).map(r => [r.id, r.seq]));
+  let nextSeq = Math.max(0, ...known.values()) + 1;
+  let content = '';
+  try { content = fs.readFileSync(ch.mdFile, 'utf8'); } catch (_) {}
+  const records = parseBlocks(content).map(b => ({
+    seq: known.has(b.id) ? known.get(b.id) : nextSeq++,
+    ...b,
+    channel: ch.channel,
+  }));
+  // Keep seq monotonic in file order even if blocks were moved around by hand
+  for (let i = 1; i < records.length; i++) {
+    if (records[i].seq <= records[i - 1].seq) records[i].seq = nextSeq++;
+  }
+  writeAtomic(ch.jsonlFile, records.map(r => JSON.stringify(r) + '\n').join(''));
+  logger.info('bridge-channels: sidecar rebuilt', { channel: ch.channel, blocks: records.length });
+  return records.length;
+}
+
+/**
+ * Mirror blocks appended to the Markdown file since the last sync. Caller holds
+ * the lock. Returns the number of newly mirrored blocks.
+ */
+function syncUnlocked(ch) {
+  let mdSize;
+  try { mdSize = fs.statSync(ch.mdFile).size; } catch (_) { return 0; }
+  const last = lastRecord(ch.jsonlFile);
+  const mirroredTo = last ? last.mdEnd : 0;
+
+  if (!last && fs.existsSync(ch.jsonlFile) && fs.statSync(ch.jsonlFile).size > 0) return rebuildUnlocked(ch);
+  if (last && (mdSize < mirroredTo || !mirroredTailIntact(ch, last))) return rebuildUnlocked(ch);
+  if (mdSize === mirroredTo) return 0;
+
+  const buf = Buffer.alloc(mdSize - mirroredTo);
+  const fd = fs.openSync(ch.mdFile, 'r');
+  try { fs.readSync(fd, buf, 0, buf.length, mirroredTo); } finally { fs.closeSync(fd); }
+
+  const blocks = parseBlocks(buf.toString('utf8'), mirroredTo);
+  if (blocks.length === 0) return 0;
+  let seq = last ? last.seq : 0;
+  const lines = blocks.map(b => JSON.stringify({ seq: ++seq, ...b, channel: ch.channel }) + '\n');
+  appendLine(ch.jsonlFile, lines.join(''));
+  return blocks.length;
+}
+
+async function sync(ch) {
+  if (!fs.existsSync(ch.mdFile)) return 0;
+  return withLock(ch.lockFile, () => syncUnlocked(ch));
+}
+
+/**
+ * Append one block to the channel: Markdown first (a single O_APPEND write),
+ * then its sidecar record, both under the channel lock. Anything external agents
+ * appended before us is mirrored first so seq order matches file order.
+ * Resolves to the stored record.
+ */
+async function appendBlock(ch, block, { header } = {}) {
+  fs.mkdirSync(path.dirname(ch.mdFile), { recursive: true });
+  return withLock(ch.lockFile, () => {
+    if (!fs.existsSync(ch.mdFile) && header) fs.writeFileSync(ch.mdFile, header, 'utf8');
+    syncUnlocked(ch);
+
+    const fd = fs.openSync(ch.mdFile, 'a');
+    let record;
+    try {
+      const size = fs.fstatSync(fd).size;
+      const text = formatBlock(block);
+      fs.writeSync(fd, `\n${text}\n`);
+      const last = lastRecord(ch.jsonlFile);
+      record = {
+        seq: (last ? last.seq : 0) + 1,
+        id: block.id,
+        prefix: block.prefix,
+        type: block.type,
+        ts: block.ts || null,
+        status: block.status,
+        refId: block.refId || null,
+        body: block.body.trim(),
+        mdOffset: size + 1,
+        mdEnd: size + 1 + Buffer.byteLength(text),
+        channel: ch.channel,
+      };
+    } finally {
+      fs.closeSync(fd);
+    }
+    appendLine(ch.jsonlFile, JSON.stringify(record) + '\n');
+    return record;
+  });
+}
+
+/**
+ * Rewrite the Markdown file through `transform(content) → content` under the
+ * lock (used by init / clear), then rebuild the sidecar from it.
+ */
+async function rewriteChannel(ch, transform) {
+  fs.mkdirSync(path.dirname(ch.mdFile), { recursive: true });
+  return withLock(ch.lockFile, () => {
+    syncUnlocked(ch);
+    let content = '';
+    try { content = fs.readFileSync(ch.mdFile, 'utf8'); } catch (_) {}
+    // In place rather than rename: bridge-watcher and editors hold the inode
+    fs.writeFileSync(ch.mdFile, transform(content), 'utf8');
+    return rebuildUnlocked(ch);
+  });
+}
+
+/**
+ * Records with seq > afterSeq. `hint` ({ offset, ino } from a cursor) lets us
+ * start reading the sidecar mid-file; it is ignored when the file was replaced
+ * or is shorter than the hint. Returns { records, offset, ino }.
+ */
+function readRecords(ch, { afterSeq = 0, hint = null } = {}) {
+  let fd;
+  try { fd = fs.openSync(ch.jsonlFile, 'r'); } catch (_) { return { records: [], offset: 0, ino: null }; }
+  try {
+    const stat = fs.fstatSync(fd);
+    const usable = hint && hint.ino === stat.ino && hint.offset <= stat.size;
+    const start = usable ? hint.offset : 0;
+    const buf = Buffer.alloc(stat.size - start);
+    fs.readSync(fd, buf, 0, buf.length, start);
+    const text = buf.toString('utf8');
+    // Only trust up to the last newline; a record may be mid-write by another process
+    const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+    const records = readJsonlLines(complete).filter(r => r.seq > afterSeq);
+    return { records, offset: start + Buffer.byteLength(complete), ino: stat.ino };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function lastSeq(ch) {
+  const last = lastRecord(ch.jsonlFile);
+  return last ? last.seq : 0;
+}
+
+// ── Cursors ───────────────────────────────────────────────────────────────────
+
+function loadCursors() {
+  try { return JSON.parse(fs.readFileSync(CURSORS_FILE, 'utf8')) || {}; } catch (_) { return {}; }
+}
+
+function getCursor(ch, reader) {
+  const cursors = loadCursors();
+  return (cursors[ch.jsonlFile] && cursors[ch.jsonlFile][reader]) || null;
+}
+
+async function setCursor(ch, reader, cursor) {
+  fs.mkdirSync(CHANNELS_DIR, { recursive: true });
+  await withLock(`${CURSORS_FILE}.lock`, () => {
+    const cursors = loadCursors();
+    cursors[ch.jsonlFile] = cursors[ch.jsonlFile] || {};
+    cursors[ch.jsonlFile][reader] = { ...cursor, updatedAt: new Date().toISOString() };
+    writeAtomic(CURSORS_FILE, JSON.stringify(cursors, null, 2));
+  });
+}
+
+function channelCursors(ch) {
+  return loadCursors()[ch.jsonlFile] || {};
+}
+
+// ── Threads ───────────────────────────────────────────────────────────────────
+
+/**
+ * The conversation a block belongs to: walk refId up to the root, then collect
+ * every block that (transitively) refers to it. Ordered by seq, with depth.
+ */
+function buildThread(records, blockId) {
+  const byId = new Map(records.map(r => [r.id, r]));
+  if (!byId.has(blockId)) return null;
+
+  let root = byId.get(blockId);
+  const seen = new Set([root.id]);
+  while (root.refId && byId.has(root.refId) && !seen.has(root.refId)) {
+    root = byId.get(root.refId);
+    seen.add(root.id);
+  }
+
+  const children = new Map();
+  for (const r of records) {
+    if (!r.refId) continue;
+    if (!children.has(r.refId)) children.set(r.refId, []);
+    children.get(r.refId).push(r);
+  }
+
+  const out = [];
+  const visited = new Set();
+  const queue = [{ record: root, depth: 0 }];
+  while (queue.length) {
+    const { record, depth } = queue.shift();
+    if (visited.has(record.id)) continue;
+    visited.add(record.id);
+    out.push({ ...record, depth });
+    for (const child of children.get(record.id) || []) queue.push({ record: child, depth: depth + 1 });
+  }
+  out.sort((a, b) => a.seq - b.seq);
+  return { rootId: root.id, blocks: out };
+}
+
+module.exports = {
+  resolveChannel,
+  listChannels,
+  withLock,
+  parseBlocks,
+  formatBlock,
+  toBlock,
+  sync,
+  appendBlock,
+  rewriteChannel,
+  readRecords,
+  lastSeq,
+  getCursor,
+  setCursor,
+  channelCursors,
+  buildThread,
+  DEFAULT_CHANNEL,
+  DEFAULT_BRIDGE_FILE,
+  BRIDGE_DIR,
+};
@@ -0,0 +1,353 @@
+'use strict';
+/**
+ * browser-fixtures.cjs
+ *
+ * Record / replay of a browser-engine session's network traffic, so browser.act
+ * flows (trainer recipes, playwright.agent plans) can be regression-tested
+ * offline against a frozen copy of a site.
+ *
+ * The fixture format is picked by path:
+ *   *.har / *.zip   Playwright's own HAR support (context.routeFromHAR). Recording
+ *                   writes the HAR when the context closes.
+ *   anything else   a fixture directory: index.json + bodies/<sha1>, written as
+ *                   responses arrive and served back through context.route. Easy
+ *                   to diff, prune and hand-edit.
+ *
+ * Directory replay matches on method + URL (query params compared order-
+ * insensitively, fragment ignored), prefers entries whose request body matches,
+ * and serves repeated requests in recorded order — the last one repeats — so
+ * polling endpoints replay their progression. Unmatched requests are aborted
+ * (notFound 'abort', the default) or passed on to the network ('fallback').
+ * Telemetry beacons are not recorded unless includeTelemetry is set.
+ *
+ * Credentials stay out of recordings: Set-Cookie, Authorization and the other
+ * credential headers network-inspector redacts are dropped from recorded
+ * headers, and a recorded .har has them (and its cookie lists) stripped once
+ * the context closes. A .zip HAR is left as Playwright writes it.
+ *
+ * Spec — launch(sessionId, { fixtures }) or THINKDROP_BROWSER_FIXTURES:
+ *   { mode: 'record' | 'replay', path, url?, notFound?, includeTelemetry? }
+ *   "record:/path/to/fixtures" | "replay:/path/to/session.har"
+ * `url` (RegExp or its source string) limits which requests are recorded or
+ * replayed; everything else goes to the network untouched.
+ * The env var applies to every session, so its path is per session: sessions
+ * record to <path>/<sessionId> (or <name>.<sessionId>.har) and replay from there
+ * when that recording exists, else from <path> itself.
+ *
+ * API:
+ *   resolveSpec(spec, env, sessionId) → normalized spec, or null when fixtures are off (throws on bad specs)
+ *   attach(context, spec)    → { mode, format, path, stats(), flush(), finalize() }
+ *   loadIndex(dir)           → { version, createdAt, entries }
+ *   requestKey(method, url)  → "GET https://host/path?a=1&b=2"
+ *   sanitizeHar(file)        → strip credential headers and cookies from a recorded HAR
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger.cjs');
+const { DEFAULT_REDACT_HEADERS } = require('./network-inspector.cjs');
+
+const INDEX_FILE = 'index.json';
+const BODIES_DIR = 'bodies';
+const INDEX_VERSION = 1;
+const FLUSH_DELAY_MS = 500;
+const MAX_MISSES_KEPT = 50;
+
+// Same beacon/telemetry pattern browser-engine uses for its mutation log
+const TELEMETRY_RE = /analytics|telemetry|beacon|metrics|sentry|collect|jot|log_event|track|amplitude|datadog|newrelic|rum|perf|\btapi\b|gen_?204|pixel|csp-report|\/li\/track|clienttelemetry|ingraph/i;
+
+// The stored body is already decoded, so these no longer describe it
+const STRIP_ON_REPLAY = new Set(['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive']);
+const STRIP_ON_RECORD = new Set(DEFAULT_REDACT_HEADERS);
+
+const sha1 = data => crypto.createHash('sha1').update(data).digest('hex');
+
+function formatFor(p) {
+  return /\.(har|zip)$/i.test(p) ? 'har' : 'dir';
+}
+
+function requestKey(method, url) {
+  let normalized = url;
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    u.searchParams.sort();
+    normalized = u.toString();
+  } catch (_) {}
+  return `${String(method).toUpperCase()} ${normalized}`;
+}
+
+function requiredFile(p, format) {
+  return format === 'har' ? p : path.join(p, INDEX_FILE);
+}
+
+function sessionFixturePath(p, format, sessionId) {
+  const safe = String(sessionId).replace(/[^\w.-]/g, '_');
+  if (format === 'dir') return path.join(p, safe);
+  const ext = path.extname(p);
+  return path.join(path.dirname(p), `${path.basename(p, ext)}.${safe}${ext}`);
+}
+
+function resolveSpec(spec, env = process.env, sessionId = null) {
+  let s = spec;
+  const fromEnv = s === undefined || s === null;
+  if (fromEnv) {
+    const raw = String(env.THINKDROP_BROWSER_FIXTURES || '').trim();
+    if (!raw) return null;
+    const m = raw.match(/^(record|replay):(.+)$/i);
+    if (!m) throw new Error(`THINKDROP_BROWSER_FIXTURES must be "record:<path>" or "replay:<path>", got "${raw}"`);
+    s = { mode: m[1].toLowerCase(), path: m[2].trim() };
+  }
+  if (s === false) return null;
+  if (typeof s !== 'object') throw new Error('fixtures must be { mode, path }');
+
+  const mode = String(s.mode || '').toLowerCase();
+  if (mode !== 'record' && mode !== 'replay') throw new Error(`fixtures.mode must be record | replay, got "${s.mode}"`);
+  if (!s.path) throw new Error('fixtures.path is required');
+  const notFound = s.notFound || 'abort';
+  if (notFound !== 'abort' && notFound !== 'fallback') throw new Error(`fixtures.notFound must be abort | fallback, got "${notFound}"`);
+
+  let url = null;
+  if (s.url instanceof RegExp) url = s.url;
+  else if (s.url) {
+    try { url = new RegExp(s.url); } catch (err) { throw new Error(`fixtures.url is not a valid RegExp: ${err.message}`); }
+  }
+
+  let fixturePath = path.resolve(s.path);
+  const format = formatFor(fixturePath);
+  if (fromEnv && sessionId) {
+    const own = sessionFixturePath(fixturePath, format, sessionId);
+    if (mode === 'record' || fs.existsSync(requiredFile(own, format))) fixturePath = own;
+  }
+  if (mode === 'replay') {
+    const required = requiredFile(fixturePath, format);
+    if (!fs.existsSync(required)) throw new Error(`No recorded fixtures at ${required}`);
+  }
+
+  return { mode, path: fixturePath, format, url, notFound, includeTelemetry: !!s.includeTelemetry };
+}
+
+function loadIndex(dir) {
+  const index = JSON.parse(fs.readFileSync(path.join(dir, INDEX_FILE), 'utf8'));
+  if (!Array.isArray(index.entries)) throw new Error(`${path.join(dir, INDEX_FILE)} has no entries array`);
+  return index;
+}
+
+function skipUrl(url, spec) {
+  if (!/^https?:/i.test(url)) return true;
+  if (spec.url && !spec.url.test(url)) return true;
+  return false;
+}
+
+// ---------------------------------------------------------------------------
+// Directory recorder
+// ---------------------------------------------------------------------------
+
+function attachDirRecorder(context, spec) {
+  fs.mkdirSync(path.join(spec.path, BODIES_DIR), { recursive: true });
+  const index = { version: INDEX_VERSION, createdAt: new Date().toISOString(), entries: [] };
+  const pending = new Set();
+  let flushTimer = null;
+  let skipped = 0;
+
+  const writeIndex = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    fs.writeFileSync(path.join(spec.path, INDEX_FILE), JSON.stringify(index, null, 2));
+  };
+  const scheduleFlush = () => {
+    if (flushTimer) return;
+    flushTimer = setTimeout(writeIndex, FLUSH_DELAY_MS);
+    if (flushTimer.unref) flushTimer.unref();
+  };
+
+  async function record(res) {
+    const req = res.request();
+    const url = res.url();
+    if (skipUrl(url, spec) || (!spec.includeTelemetry && TELEMETRY_RE.test(url))) {
+      skipped++;
+      return;
+    }
+
+    let allHeaders;
+    try { allHeaders = await res.allHeaders(); } catch (_) { allHeaders = res.headers(); }
+    const headers = {};
+    for (const [k, v] of Object.entries(allHeaders || {})) {
+      if (!STRIP_ON_RECORD.has(k.toLowerCase())) headers[k] = v;
+    }
+    // Redirects and some aborted loads have no body
+    let body = null;
+    try { body = await res.body(); } catch (_) {}
+
+    let bodyFile = null;
+    if (body) {
+      bodyFile = `${BODIES_DIR}/${sha1(body)}`;
+      const abs = path.join(spec.path, bodyFile);
+      if (!fs.existsSync(abs)) fs.writeFileSync(abs, body);
+    }
+    let postData = null;
+    try { postData = req.postDataBuffer(); } catch (_) {}
+
+    index.entries.push({
+      method: req.method().toUpperCase(),
+      url,
+      postDataSha1: postData && postData.length ? sha1(postData) : null,
+      resourceType: req.resourceType(),
+      status: res.status(),
+      statusText: res.statusText(),
+      headers,
+      bodyFile,
+      bodySize: body ? body.length : 0,
+      ts: Date.now(),
+    });
+    scheduleFlush();
+  }
+
+  context.on('response', (res) => {
+    const p = record(res)
+      .catch(err => logger.warn(`[browser-fixtures] record failed: ${err.message}`))
+      .finally(() => pending.delete(p));
+    pending.add(p);
+  });
+  writeIndex();
+  logger.info(`[browser-fixtures] recording to ${spec.path}`);
+
+  return {
+    mode: 'record',
+    format: 'dir',
+    path: spec.path,
+    stats: () => ({ mode: 'record', format: 'dir', path: spec.path, recorded: index.entries.length, skipped }),
+    flush: async () => {
+      while (pending.size) await Promise.all([...pending]);
+      writeIndex();
+    },
+    finalize: async () => {},
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Directory replay
+// ---------------------------------------------------------------------------
+
+async function attachDirReplay(context, spec) {
+  const index = loadIndex(spec.path);
+  const byKey = new Map();
+  for (const entry of index.entries) {
+    const key = requestKey(entry.method, entry.url);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(entry);
+  }
+  const served = new Map(); // key + body hash → times served
+  const misses = [];
+  let servedCount = 0;
+  let missCount = 0;
+
+  function pick(req) {
+    const key = requestKey(req.method(), req.url());
+    const candidates = byKey.get(key);
+    if (!candidates) return null;
+    let postHash = null;
+    try {
+      const post = req.postDataBuffer();
+      if (post && post.length) postHash = sha1(post);
+    } catch (_) {}
+    const sameBody = postHash ? candidates.filter(e => e.postDataSha1 === postHash) : [];
+    const pool = sameBody.length ? sameBody : candidates;
+    const seqKey = `${key}#${sameBody.length ? postHash : ''}`;
+    const n = served.get(seqKey) || 0;
+    served.set(seqKey, n + 1);
+    return pool[Math.min(n, pool.length - 1)];
+  }
+
+  await context.route('**/*', async (route) => {
+    const req = route.request();
+    if (skipUrl(req.url(), spec)) return route.fallback();
+
+    const entry = pick(req);
+    if (!entry) {
+      missCount++;
+      if (misses.length < MAX_MISSES_KEPT) misses.push(`${req.method()} ${req.url()}`);
+      logger.debug(`[browser-fixtures] no recording for ${req.method()} ${req.url()}`);
+      return spec.notFound === 'fallback' ? route.fallback() : route.abort('internetdisconnected');
+    }
+
+    const headers = {};
+    for (const [k, v] of Object.entries(entry.headers || {})) {
+      if (!STRIP_ON_REPLAY.has(k.toLowerCase())) headers[k] = v;
+    }
+    const body = entry.bodyFile ? fs.readFileSync(path.join(spec.path, entry.bodyFile)) : '';
+    servedCount++;
+    return route.fulfill({ status: entry.status, headers, body });
+  });
+  logger.info(`[browser-fixtures] replaying ${index.entries.length} response(s) from ${spec.path} (notFound=${spec.notFound})`);
+
+  return {
+    mode: 'replay',
+    format: 'dir',
+    path: spec.path,
+    stats: () => ({ mode: 'replay', format: 'dir', path: spec.path, entries: index.entries.length, served: servedCount, missed: missCount, misses: [...misses] }),
+    flush: async () => {},
+    finalize: async () => {},
+  };
+}
+
+// ---------------------------------------------------------------------------
+// HAR (Playwright-native)
+// ---------------------------------------------------------------------------
+
+// Drop credential headers and cookie lists from a HAR Playwright has written
+function sanitizeHar(file) {
+  const har = JSON.parse(fs.readFileSync(file, 'utf8'));
+  for (const entry of har.log?.entries || []) {
+    for (const part of [entry.request, entry.response]) {
+      if (!part) continue;
+      if (Array.isArray(part.headers)) part.headers = part.headers.filter(h => !STRIP_ON_RECORD.has(String(h.name).toLowerCase()));
+      if (Array.isArray(part.cookies)) part.cookies = [];
+    }
+  }
+  fs.writeFileSync(file, JSON.stringify(har, null, 2));
+}
+
+async function attachHar(context, spec) {
+  const options = { notFound: spec.notFound };
+  if (spec.url) options.url = spec.url;
+  if (spec.mode === 'record') {
+    fs.mkdirSync(path.dirname(spec.path), { recursive: true });
+    Object.assign(options, { update: true, updateContent: /\.zip$/i.test(spec.path) ? 'attach' : 'embed' });
+  }
+  await context.routeFromHAR(spec.path, options);
+  logger.info(`[browser-fixtures] ${spec.mode === 'record' ? 'recording to' : 'replaying from'} HAR ${spec.path}`);
+
+  return {
+    mode: spec.mode,
+    format: 'har',
+    path: spec.path,
+    // Playwright does the bookkeeping; the HAR itself is written on context close
+    stats: () => ({ mode: spec.mode, format: 'har', path: spec.path }),
+    flush: async () => {},
+    // Call once the context has closed
+    finalize: async () => {
+      if (spec.mode === 'record' && /\.har$/i.test(spec.path) && fs.existsSync(spec.path)) sanitizeHar(spec.path);
+    },
+  };
+}
+
+/**
+ * Wire a resolved spec into a browser context. Call after any other
+ * context.route handlers: the last registered route wins, so replay sees every
+ * request first and 'fallback' hands misses on to them.
+ */
+async function attach(context, spec) {
+  if (spec.format === 'har') return attachHar(context, spec);
+  return spec.mode === 'record' ? attachDirRecorder(context, spec) : attachDirReplay(context, spec);
+}
+
+module.exports = {
+  resolveSpec,
+  attach,
+  loadIndex,
+  requestKey,
+  sanitizeHar,
+  INDEX_FILE,
+};
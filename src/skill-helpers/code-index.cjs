@@ -0,0 +1,693 @@
+'use strict';
+/**
+ * code-index.cjs
+ *
+ * Persistent per-project code index behind fs.read's `symbols`, `references`
+ * and `semantic_search` actions — answers "where is the login handler" from an
+ * index instead of having the LLM read whole files.
+ *
+ * Per file the index keeps:
+ *   symbols  — definitions (function, class, method, const, type, interface, …) with line and export flag
+ *   imports  — module specifiers with the line, resolved to an indexed file when relative
+ *   chunks   — ~40-line windows aligned to definitions, stored as BM25 term frequencies
+ *              (identifiers are split camelCase/snake_case, the file path and the
+ *              symbols defined in the chunk are folded in)
+ *
+ * Ranking is BM25 (k1 1.2, b 0.75) with a small programming-synonym expansion
+ * (login → signin/auth, handler → handle/controller/route, …) at half weight.
+ * No embeddings — fully local and deterministic.
+ *
+ * Freshness: the first query builds the index and starts a recursive file.watch
+ * watcher on the root; changed paths are marked dirty and re-indexed on the next
+ * query. Without a watcher (or after a restart) a cheap mtime/size sweep finds
+ * changes instead. Nothing is re-parsed unless it changed. An index that goes
+ * WATCH_IDLE_MS without a query has its watcher stopped and is dropped from
+ * memory; the next query reloads it from disk and sweeps.
+ *
+ * Only project roots are indexed: findProjectRoot returns null when no marker
+ * (.git, package.json, …) sits at or above the path, so a stray path under the
+ * home dir never turns the whole home dir into an index.
+ *
+ * Storage: ~/.thinkdrop/code-index/<sha1(root)>.json (override THINKDROP_CODE_INDEX_DIR).
+ *
+ * API:
+ *   findProjectRoot(p)                                 → root dir (nearest .git / package.json / …) | null
+ *   getIndex(root, { excludes, rebuild, idleMs })      → Index (built or refreshed)
+ *   peekIndex(root)                                    → Index | null (no build)
+ *   Index#symbols({ query, kind, file, exported, limit })
+ *   Index#references(name, { limit })                  → { definitions, imports, importedBy, occurrences }
+ *   Index#search(query, { limit, under })              → [{ file, startLine, endLine, score, symbols, snippet }]
+ *   Index#centralFiles(limit)                          → most-imported files
+ *   Index#stats()
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const os     = require('os');
+const crypto = require('crypto');
+const logger = require('../logger.cjs');
+const { createIgnoreMatcher } = require('./ignore-rules.cjs');
+
+const INDEX_DIR = process.env.THINKDROP_CODE_INDEX_DIR || path.join(os.homedir(), '.thinkdrop', 'code-index');
+const INDEX_VERSION = 1;
+const MAX_FILES = 5000;
+const MAX_FILE_BYTES = 512 * 1024;
+const CHUNK_LINES = 40;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const WATCH_IDLE_MS = 10 * 60 * 1000;
+
+const ROOT_MARKERS = ['.git', 'package.json', 'pyproject.toml', 'go.mod', 'Cargo.toml', 'setup.py', 'Gemfile', 'pom.xml', 'build.gradle', 'composer.json'];
+
+const LANGS = {
+  '.js': 'js', '.cjs': 'js', '.mjs': 'js', '.jsx': 'js', '.ts': 'js', '.tsx': 'js', '.mts': 'js', '.cts': 'js',
+  '.py': 'py', '.go': 'go', '.rb': 'rb', '.rs': 'rs',
+  '.java': 'java', '.kt': 'java', '.cs': 'java', '.swift': 'java', '.php': 'php',
+  '.c': 'c', '.h': 'c', '.cpp': 'c', '.hpp': 'c', '.cc': 'c',
+  '.md': 'md', '.mdx': 'md',
+};
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'of', 'to', 'in', 'is', 'it', 'and', 'or', 'for', 'on', 'at', 'by', 'be', 'as', 'this', 'that',
+  'with', 'from', 'where', 'what', 'which', 'how', 'does', 'do', 'are', 'was', 'we', 'i', 'my', 'our', 'find',
+  'const', 'let', 'var', 'function', 'return', 'if', 'else', 'new', 'true', 'false', 'null', 'undefined', 'await',
+  'async', 'require', 'module', 'exports', 'import', 'export', 'default', 'def', 'self', 'this', 'class', 'try',
+  'catch', 'throw', 'typeof', 'void', 'string', 'number', 'int', 'str', 'none', 'pass', 'end', 'func', 'err', 'nil',
+]);
+
+const SYNONYMS = {
+  login: ['signin', 'logon', 'auth', 'authenticate', 'session'],
+  logout: ['signout', 'logoff'],
+  signup: ['register', 'registration'],
+  auth: ['authenticate', 'authentication', 'login', 'credential', 'token'],
+  handler: ['handle', 'controller', 'route', 'listener', 'callback'],
+  route: ['router', 'endpoint', 'handler', 'path'],
+  config: ['configuration', 'settings', 'options', 'env'],
+  db: ['database', 'sql', 'query', 'repository', 'model'],
+  database: ['db', 'sql', 'query'],
+  error: ['exception', 'fail', 'failure', 'throw'],
+  test: ['spec', 'assert', 'expect'],
+  delete: ['remove', 'destroy', 'unlink'],
+  create: ['add', 'insert', 'new', 'make'],
+  fetch: ['request', 'http', 'get', 'download'],
+  user: ['account', 'profile', 'member'],
+  payment: ['billing', 'charge', 'invoice', 'checkout', 'stripe'],
+  email: ['mail', 'smtp', 'send'],
+  cache: ['memo', 'memoize', 'store'],
+};
+
+// ── Tokenizing ───────────────────────────────────────────────────────────────
+
+function _stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith('es') && /(ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/** Identifier-aware tokens: "handleUserLogin" → handleuserlogin, handle, user, login. */
+function tokenize(text) {
+  const out = [];
+  for (const raw of text.match(/[A-Za-z_$][A-Za-z0-9_$]*|\d+[A-Za-z]+/g) || []) {
+    const word = raw.replace(/\$/g, '');
+    const parts = word.split(/_+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).filter(Boolean);
+    const whole = word.toLowerCase();
+    if (parts.length > 1 && whole.length > 2 && !STOPWORDS.has(whole)) out.push(_stem(whole));
+    for (const p of parts) {
+      const lower = p.toLowerCase();
+      if (lower.length < 2 || STOPWORDS.has(lower) || /^\d+$/.test(lower)) continue;
+      out.push(_stem(lower));
+    }
+  }
+  return out;
+}
+
+// ── Parsing ──────────────────────────────────────────────────────────────────
+
+const KEYWORDS_NOT_METHODS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'with', 'else', 'do', 'constructor']);
+
+function _jsSymbols(lines) {
+  const symbols = [];
+  const exportedNames = new Set();
+  let inClass = null;
+  let classIndent = -1;
+  lines.forEach((line, i) => {
+    const lineNo = i + 1;
+    const indent = line.match(/^\s*/)[0].length;
+    let m;
+    if (inClass && indent <= classIndent && /\S/.test(line) && !/^\s*[})\]]/.test(line)) inClass = null;
+
+    if ((m = line.match(/^\s*(export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)\s*\(/))) {
+      symbols.push({ name: m[2], kind: 'function', line: lineNo, exported: !!m[1] });
+    } else if ((m = line.match(/^\s*(export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/))) {
+      symbols.push({ name: m[2], kind: 'class', line: lineNo, exported: !!m[1] });
+      inClass = m[2];
+      classIndent = indent;
+    } else if ((m = line.match(/^\s*(export\s+)?(?:declare\s+)?(interface|type|enum)\s+([A-Za-z_$][\w$]*)/))) {
+      symbols.push({ name: m[3], kind: m[2], line: lineNo, exported: !!m[1] });
+    } else if ((m = line.match(/^(\s*)(export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(async\s+)?(function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>|class\b)?/))) {
+      if (m[1].length === 0 || m[2]) {
+        const kind = m[5] ? (m[5].startsWith('class') ? 'class' : 'function') : 'const';
+        symbols.push({ name: m[3], kind, line: lineNo, exported: !!m[2] });
+      }
+    } else if (inClass && (m = line.match(/^\s+(?:static\s+|public\s+|private\s+|protected\s+|readonly\s+)*(?:async\s+)?(?:get\s+|set\s+)?\*?([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*(?::[^{]+)?\{\s*$/))) {
+      if (!KEYWORDS_NOT_METHODS.has(m[1])) symbols.push({ name: m[1], kind: 'method', line: lineNo, exported: false, parent: inClass });
+    } else if ((m = line.match(/^\s*(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/))) {
+      exportedNames.add(m[1]);
+      if (!symbols.some(s => s.name === m[1])) symbols.push({ name: m[1], kind: 'const', line: lineNo, exported: true });
+    }
+    if ((m = line.match(/module\.exports\s*=\s*\{([^}]*)\}?/))) {
+      for (const part of m[1].split(',')) {
+        const name = part.split(':')[0].trim();
+        if (/^[A-Za-z_$][\w$]*$/.test(name)) exportedNames.add(name);
+      }
+    }
+    if ((m = line.match(/^\s*export\s*\{([^}]*)\}/))) {
+      for (const part of m[1].split(',')) exportedNames.add(part.trim().split(/\s+as\s+/)[0]);
+    }
+  });
+  for (const s of symbols) if (exportedNames.has(s.name) && s.kind !== 'method') s.exported = true;
+  return symbols;
+}
+
+function _genericSymbols(lines, lang) {
+  const symbols = [];
+  let currentClass = null;
+  let classIndent = -1;
+  lines.forEach((line, i) => {
+    const lineNo = i + 1;
+    const indent = line.match(/^\s*/)[0].length;
+    let m;
+    if (lang === 'py') {
+      if (currentClass && indent <= classIndent && /\S/.test(line)) currentClass = null;
+      if ((m = line.match(/^(\s*)class\s+([A-Za-z_]\w*)/))) {
+        symbols.push({ name: m[2], kind: 'class', line: lineNo, exported: !m[2].startsWith('_') });
+        currentClass = m[2]; classIndent = m[1].length;
+      } else if ((m = line.match(/^(\s*)(?:async\s+)?def\s+([A-Za-z_]\w*)/))) {
+        const method = currentClass && m[1].length > classIndent;
+        symbols.push({ name: m[2], kind: method ? 'method' : 'function', line: lineNo, exported: !m[2].startsWith('_'), ...(method ? { parent: currentClass } : {}) });
+      }
+    } else if (lang === 'go') {
+      if ((m = line.match(/^func\s+(?:\([^)]*\*?\s*([A-Za-z_]\w*)\)\s*)?([A-Za-z_]\w*)\s*[[(]/))) {
+        symbols.push({ name: m[2], kind: m[1] ? 'method' : 'function', line: lineNo, exported: /^[A-Z]/.test(m[2]), ...(m[1] ? { parent: m[1] } : {}) });
+      } else if ((m = line.match(/^type\s+([A-Za-z_]\w*)\s+(struct|interface)?/))) {
+        symbols.push({ name: m[1], kind: m[2] || 'type', line: lineNo, exported: /^[A-Z]/.test(m[1]) });
+      }
+    } else if (lang === 'rb') {
+      if ((m = line.match(/^\s*(class|module)\s+([A-Z]\w*(?:::\w+)*)/))) symbols.push({ name: m[2], kind: m[1], line: lineNo, exported: true });
+      else if ((m = line.match(/^\s*def\s+(?:self\.)?([A-Za-z_]\w*[?!=]?)/))) symbols.push({ name: m[1], kind: 'method', line: lineNo, exported: true });
+    } else if (lang === 'rs') {
+      if ((m = line.match(/^\s*(pub(?:\([^)]*\))?\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+([A-Za-z_]\w*)/))) symbols.push({ name: m[2], kind: 'function', line: lineNo, exported: !!m[1] });
+      else if ((m = line.match(/^\s*(pub(?:\([^)]*\))?\s+)?(struct|enum|trait|type|mod)\s+([A-Za-z_]\w*)/))) symbols.push({ name: m[3], kind: m[2], line: lineNo, exported: !!m[1] });
+    } else if (lang === 'md') {
+      if ((m = line.match(/^(#{1,3})\s+(.+?)\s*#*$/))) symbols.push({ name: m[2], kind: 'heading', line: lineNo, exported: false });
+    } else {
+      // java / kotlin / c# / swift / php / c-family: types and function-looking definitions
+      if ((m = line.match(/^\s*(?:(?:public|private|protected|internal|static|final|abstract|sealed|open|data|export)\s+)*(class|interface|enum|struct|record|protocol|trait|object)\s+([A-Za-z_]\w*)/))) {
+        symbols.push({ name: m[2], kind: m[1], line: lineNo, exported: !/\bprivate\b/.test(line) });
+      } else if ((m = line.match(/^\s*(?:(?:public|private|protected|internal|static|final|abstract|override|async|virtual|inline|suspend)\s+)*(?:fun|func|function)\s+([A-Za-z_]\w*)/))) {
+        symbols.push({ name: m[1], kind: 'function', line: lineNo, exported: !/\bprivate\b/.test(line) });
+      } else if ((m = line.match(/^\s*(?:(?:public|private|protected|internal|static|final|abstract|override|virtual|inline|const|unsigned|extern)\s+)*[A-Za-z_][\w<>,\s*&:[\]]*?\s+\**([A-Za-z_]\w*)\s*\([^;]*\)\s*(?:const\s*)?(?:throws\s+[\w.,\s]+)?\{?\s*$/)) && !/^\s*(if|for|while|switch|return|else|catch|new)\b/.test(line)) {
+        symbols.push({ name: m[1], kind: 'function', line: lineNo, exported: !/\bprivate\b/.test(line) && (lang === 'java' || !/\bstatic\b/.test(line)) });
+      }
+    }
+  });
+  return symbols;
+}
+
+function _imports(lines, lang) {
+  const out = [];
+  const add = (source, line, names = []) => { if (source) out.push({ source, line, names }); };
+  lines.forEach((line, i) => {
+    const lineNo = i + 1;
+    let m;
+    if (lang === 'js') {
+      if ((m = line.match(/^\s*import\s+(?:type\s+)?(?:(.+?)\s+from\s+)?['"]([^'"]+)['"]/))) {
+        const names = (m[1] || '').replace(/[{}*]/g, ' ').split(/[\s,]+/).filter(n => n && n !== 'as');
+        add(m[2], lineNo, names);
+      } else if ((m = line.match(/^\s*export\s+(?:\*|\{[^}]*\})\s+from\s+['"]([^'"]+)['"]/))) add(m[1], lineNo);
+      const re = /\b(?:require|import)\(\s*['"]([^'"]+)['"]\s*\)/g;
+      while ((m = re.exec(line)) !== null) {
+        const destructured = line.match(/(?:const|let|var)\s*\{([^}]*)\}\s*=\s*require/);
+        add(m[1], lineNo, destructured ? destructured[1].split(',').map(n => n.split(':')[0].trim()).filter(Boolean) : []);
+      }
+    } else if (lang === 'py') {
+      if ((m = line.match(/^\s*from\s+([.\w]+)\s+import\s+(.+)/))) add(m[1], lineNo, m[2].replace(/[()]/g, '').split(',').map(n => n.trim().split(/\s+as\s+/)[0]).filter(Boolean));
+      else if ((m = line.match(/^\s*import\s+([\w.]+(?:\s*,\s*[\w.]+)*)/))) m[1].split(',').forEach(src => add(src.trim(), lineNo));
+    } else if (lang === 'go') {
+      if ((m = line.match(/^\s*(?:import\s+)?(?:[A-Za-z_.]+\s+)?"([^"]+)"\s*$/))) add(m[1], lineNo);
+    } else if (lang === 'rb') {
+      if ((m = line.match(/^\s*require(?:_relative)?\s+['"]([^'"]+)['"]/))) add(m[1], lineNo);
+    } else if (lang === 'rs') {
+      if ((m = line.match(/^\s*(?:pub\s+)?use\s+([\w:]+)/))) add(m[1], lineNo);
+    } else if (lang === 'java' || lang === 'php') {
+      if ((m = line.match(/^\s*(?:import|using|use)\s+(?:static\s+)?([\w.\\]+)/))) add(m[1], lineNo);
+    } else if (lang === 'c') {
+      if ((m = line.match(/^\s*#\s*include\s+"([^"]+)"/))) add(m[1], lineNo);
+    }
+  });
+  return out;
+}
+
+function _chunks(lines, symbols, relPath) {
+  // Boundaries at top-level-ish definitions, with a hard cap of CHUNK_LINES.
+  const starts = new Set([1]);
+  for (const s of symbols) starts.add(s.line);
+  const sorted = [...starts].sort((a, b) => a - b);
+  const ranges = [];
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i];
+    const end = (sorted[i + 1] || lines.length + 1) - 1;
+    for (let s = start; s <= end; s += CHUNK_LINES) ranges.push([s, Math.min(end, s + CHUNK_LINES - 1)]);
+  }
+  // Merge tiny neighbours so a run of one-line consts is one chunk.
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[1] - last[0] < CHUNK_LINES / 2 && last[1] - last[0] < 8) last[1] = r[1];
+    else merged.push([...r]);
+  }
+  const pathTerms = tokenize(relPath.replace(/\.[^.]+$/, ''));
+  return merged
+    .filter(([s, e]) => lines.slice(s - 1, e).some(l => /\S/.test(l)))
+    .map(([startLine, endLine]) => {
+      const terms = Object.create(null);
+      const add = (t, w = 1) => { terms[t] = (terms[t] || 0) + w; };
+      tokenize(lines.slice(startLine - 1, endLine).join('\n')).forEach(t => add(t));
+      pathTerms.forEach(t => add(t));
+      symbols.filter(s => s.line >= startLine && s.line <= endLine).forEach(s => tokenize(s.name).forEach(t => add(t, 3)));
+      const len = Object.values(terms).reduce((a, b) => a + b, 0);
+      return { startLine, endLine, terms, len };
+    });
+}
+
+// Term maps round-trip through JSON as plain objects — never read inherited keys ("constructor").
+function _tf(terms, t) {
+  return Object.prototype.hasOwnProperty.call(terms, t) ? terms[t] : 0;
+}
+
+function parseFile(relPath, text) {
+  const lang = LANGS[path.extname(relPath).toLowerCase()];
+  const lines = text.split(/\r?\n/);
+  const symbols = lang === 'js' ? _jsSymbols(lines) : _genericSymbols(lines, lang);
+  return { lang, lines: lines.length, symbols, imports: lang === 'md' ? [] : _imports(lines, lang), chunks: _chunks(lines, symbols, relPath) };
+}
+
+// ── Walking ──────────────────────────────────────────────────────────────────
+
+function _walk(root, matcher) {
+  const files = new Map();
+  const stack = [''];
+  while (stack.length && files.size < MAX_FILES) {
+    const rel = stack.pop();
+    let entries = [];
+    try { entries = fs.readdirSync(path.join(root, rel), { withFileTypes: true }); } catch (_) { continue; }
+    for (const e of entries) {
+      const childRel = rel ? path.join(rel, e.name) : e.name;
+      if (matcher.test(path.join(root, childRel), e.isDirectory())) continue;
+      if (e.isDirectory()) { if (!e.name.startsWith('.')) stack.push(childRel); continue; }
+      if (!e.isFile() || !LANGS[path.extname(e.name).toLowerCase()]) continue;
+      try {
+        const st = fs.statSync(path.join(root, childRel));
+        if (st.size <= MAX_FILE_BYTES) files.set(childRel, { mtimeMs: st.mtimeMs, size: st.size });
+      } catch (_) {}
+      if (files.size >= MAX_FILES) break;
+    }
+  }
+  return files;
+}
+
+function findProjectRoot(p) {
+  let dir = p;
+  try { if (!fs.statSync(p).isDirectory()) dir = path.dirname(p); } catch (_) { return null; }
+  const home = os.homedir();
+  for (let cur = dir; ; cur = path.dirname(cur)) {
+    if (ROOT_MARKERS.some(m => fs.existsSync(path.join(cur, m)))) return cur;
+    if (cur === home || cur === path.dirname(cur)) break;
+  }
+  return null;
+}
+
+// ── Index ────────────────────────────────────────────────────────────────────
+
+class Index {
+  constructor(root, data, excludes) {
+    this.root = root;
+    this.files = data.files || {};
+    this.builtAt = data.builtAt || null;
+    this.excludes = excludes;
+    this.dirty = new Set();
+    this.fullSweep = true;  // until a watcher is attached, changes are found by stat sweep
+    this._derived = null;
+  }
+
+  _indexOne(rel, stat) {
+    let text;
+    try { text = fs.readFileSync(path.join(this.root, rel), 'utf8'); } catch (_) { delete this.files[rel]; return; }
+    this.files[rel] = { mtimeMs: stat.mtimeMs, size: stat.size, ...parseFile(rel, text) };
+  }
+
+  /** Bring the index up to date. Returns { added, updated, removed }. */
+  refresh() {
+    const counts = { added: 0, updated: 0, removed: 0 };
+    if (!this.fullSweep) {
+      for (const rel of this.dirty) {
+        const abs = path.join(this.root, rel);
+        let st = null;
+        try { st = fs.statSync(abs); } catch (_) {}
+        if (st && st.isDirectory()) { this.fullSweep = true; continue; } // new directory — sweep once
+        if (/^\.(git)?ignore$/.test(path.basename(rel))) { this.fullSweep = true; continue; } // ignore rules changed
+        const indexable = st && st.isFile() && st.size <= MAX_FILE_BYTES && LANGS[path.extname(rel).toLowerCase()]
+          && !rel.split(path.sep).some(part => part.startsWith('.')) && !this.matcher.test(abs, false);
+        if (!indexable) {
+          if (this.files[rel]) { delete this.files[rel]; counts.removed++; }
+          continue;
+        }
+        const prev = this.files[rel];
+        if (prev && prev.mtimeMs === st.mtimeMs && prev.size === st.size) continue;
+        this._indexOne(rel, st);
+        counts[prev ? 'updated' : 'added']++;
+      }
+    }
+    if (this.fullSweep) {
+      // Fresh matcher per sweep so edited .gitignore files take effect
+      this.matcher = createIgnoreMatcher(this.root, { patterns: this.excludes });
+      const current = _walk(this.root, this.matcher);
+      for (const [rel, st] of current) {
+        const prev = this.files[rel];
+        if (prev && prev.mtimeMs === st.mtimeMs && prev.size === st.size) continue;
+        this._indexOne(rel, st);
+        counts[prev ? 'updated' : 'added']++;
+      }
+      for (const rel of Object.keys(this.files)) {
+        if (!current.has(rel)) { delete this.files[rel]; counts.removed++; }
+      }
+      this.fullSweep = !this.watchId; // back to dirty-path updates when a watcher is attached
+    }
+    this.dirty.clear();
+    if (counts.added || counts.updated || counts.removed || !this.builtAt) {
+      this._derived = null;
+      this.builtAt = this.builtAt || new Date().toISOString();
+      this.updatedAt = new Date().toISOString();
+      this.save();
+    }
+    return counts;
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(INDEX_DIR, { recursive: true });
+      const file = _indexPath(this.root);
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: INDEX_VERSION, root: this.root, builtAt: this.builtAt, updatedAt: this.updatedAt, files: this.files }));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      logger.warn(`[code-index] could not save index for ${this.root}: ${err.message}`);
+    }
+  }
+
+  /** BM25 corpus statistics and the resolved import graph, rebuilt after changes. */
+  derived() {
+    if (this._derived) return this._derived;
+    const df = new Map();
+    let chunkCount = 0;
+    let totalLen = 0;
+    for (const f of Object.values(this.files)) {
+      for (const c of f.chunks) {
+        chunkCount++;
+        totalLen += c.len;
+        for (const t of Object.keys(c.terms)) df.set(t, (df.get(t) || 0) + 1);
+      }
+    }
+    const importedBy = new Map();
+    const resolvedImports = new Map();
+    for (const [rel, f] of Object.entries(this.files)) {
+      const resolved = f.imports.map(imp => ({ ...imp, resolved: this._resolveImport(rel, imp.source) }));
+      resolvedImports.set(rel, resolved);
+      for (const imp of resolved) {
+        if (!imp.resolved) continue;
+        if (!importedBy.has(imp.resolved)) importedBy.set(imp.resolved, []);
+        importedBy.get(imp.resolved).push({ file: rel, line: imp.line, names: imp.names });
+      }
+    }
+    this._derived = { df, chunkCount, avgLen: chunkCount ? totalLen / chunkCount : 1, importedBy, resolvedImports };
+    return this._derived;
+  }
+
+  _resolveImport(fromRel, source) {
+    const lang = this.files[fromRel]?.lang;
+    let base;
+    if (source.startsWith('.')) {
+      if (lang === 'py') {
+        const dots = source.match(/^\.+/)[0].length;
+        let dir = path.dirname(fromRel);
+        for (let i = 1; i < dots; i++) dir = path.dirname(dir);
+        base = path.join(dir, source.slice(dots).replace(/\./g, path.sep));
+      } else {
+        base = path.normalize(path.join(path.dirname(fromRel), source));
+      }
+    } else if (lang === 'py') {
+      base = source.replace(/\./g, path.sep);
+    } else if (lang === 'rb' || lang === 'c') {
+      base = path.normalize(path.join(path.dirname(fromRel), source));
+    } else {
+      return null; // package import
+    }
+    const exts = ['', '.js', '.cjs', '.mjs', '.ts', '.tsx', '.jsx', '.py', '.rb', '.h'];
+    for (const ext of exts) if (this.files[base + ext]) return base + ext;
+    for (const idx of ['index.js', 'index.ts', 'index.cjs', 'index.tsx', '__init__.py']) {
+      const candidate = path.join(base, idx);
+      if (this.files[candidate]) return candidate;
+    }
+    return null;
+  }
+
+  stats() {
+    const files = Object.values(this.files);
+    return {
+      root: this.root,
+      files: files.length,
+      symbols: files.reduce((n, f) => n + f.symbols.length, 0),
+      chunks: files.reduce((n, f) => n + f.chunks.length, 0),
+      builtAt: this.builtAt,
+      updatedAt: this.updatedAt || this.builtAt,
+      watching: !this.fullSweep,
+    };
+  }
+
+  symbols({ query, kind, file, exported, limit = 50 } = {}) {
+    const q = query ? String(query).toLowerCase() : null;
+    const out = [];
+    for (const [rel, f] of Object.entries(this.files)) {
+      if (file && rel !== file && !rel.endsWith(file)) continue;
+      for (const s of f.symbols) {
+        if (kind && s.kind !== kind) continue;
+        if (exported != null && !!s.exported !== !!exported) continue;
+        let score = 1;
+        if (q) {
+          const name = s.name.toLowerCase();
+          if (name === q) score = 100;
+          else if (name.startsWith(q)) score = 50;
+          else if (name.includes(q)) score = 25;
+          else {
+            const qTerms = tokenize(query);
+            const nTerms = new Set(tokenize(s.name));
+            const hit = qTerms.filter(t => nTerms.has(t)).length;
+            if (!hit) continue;
+            score = 10 * hit / qTerms.length;
+          }
+          if (s.exported) score += 1;
+          if (f.lang === 'md') score -= 5;
+        }
+        out.push({ name: s.name, kind: s.kind, file: rel, line: s.line, exported: !!s.exported, ...(s.parent ? { parent: s.parent } : {}), score });
+      }
+    }
+    out.sort((a, b) => b.score - a.score || a.file.localeCompare(b.file) || a.line - b.line);
+    return out.slice(0, limit).map(({ score, ...rest }) => rest);
+  }
+
+  references(name, { limit = 100 } = {}) {
+    const { importedBy, resolvedImports } = this.derived();
+    // A file path: its import graph.
+    if (this.files[name]) {
+      return {
+        file: name,
+        imports: resolvedImports.get(name) || [],
+        importedBy: importedBy.get(name) || [],
+      };
+    }
+    const definitions = this.symbols({ query: name, limit: 1000 }).filter(s => s.name === name);
+    const defFiles = new Set(definitions.map(d => d.file));
+    const importers = [];
+    for (const def of defFiles) for (const imp of importedBy.get(def) || []) importers.push({ ...imp, from: def });
+
+    // Text occurrences, only in files whose terms mention the name.
+    const needle = new RegExp(`(^|[^A-Za-z0-9_$])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![A-Za-z0-9_$])`);
+    const term = _stem(name.toLowerCase());
+    const occurrences = [];
+    for (const [rel, f] of Object.entries(this.files)) {
+      if (occurrences.length >= limit) break;
+      if (!f.chunks.some(c => _tf(c.terms, term))) continue;
+      let lines;
+      try { lines = fs.readFileSync(path.join(this.root, rel), 'utf8').split(/\r?\n/); } catch (_) { continue; }
+      lines.forEach((text, i) => {
+        if (occurrences.length >= limit || !needle.test(text)) return;
+        if (definitions.some(d => d.file === rel && d.line === i + 1)) return;
+        occurrences.push({ file: rel, line: i + 1, text: text.trim().slice(0, 200) });
+      });
+    }
+    return { symbol: name, definitions, importedBy: importers, occurrences, truncated: occurrences.length >= limit };
+  }
+
+  search(query, { limit = 10, under = null } = {}) {
+    const { df, chunkCount, avgLen } = this.derived();
+    const weights = new Map();
+    for (const t of tokenize(query)) weights.set(t, Math.max(weights.get(t) || 0, 1));
+    for (const t of [...weights.keys()]) {
+      for (const syn of SYNONYMS[t] || []) {
+        const s = _stem(syn);
+        if (!weights.has(s)) weights.set(s, 0.5);
+      }
+    }
+    if (!weights.size) return [];
+    const idf = t => {
+      const n = df.get(t) || 0;
+      return Math.log(1 + (chunkCount - n + 0.5) / (n + 0.5));
+    };
+    const hits = [];
+    for (const [rel, f] of Object.entries(this.files)) {
+      if (under && !rel.startsWith(under)) continue;
+      for (const c of f.chunks) {
+        let score = 0;
+        let matched = 0;
+        for (const [t, w] of weights) {
+          const tf = _tf(c.terms, t);
+          if (!tf) continue;
+          matched += w;
+          score += w * idf(t) * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * c.len / avgLen));
+        }
+        if (score > 0) {
+          if (f.lang === 'md') score *= 0.7; // prefer code over prose about it
+          hits.push({ file: rel, startLine: c.startLine, endLine: c.endLine, score, matched });
+        }
+      }
+    }
+    hits.sort((a, b) => b.score - a.score);
+    return hits.slice(0, limit).map(h => {
+      const f = this.files[h.file];
+      let snippet = '';
+      try {
+        snippet = fs.readFileSync(path.join(this.root, h.file), 'utf8').split(/\r?\n/).slice(h.startLine - 1, Math.min(h.endLine, h.startLine + 11)).join('\n');
+      } catch (_) {}
+      return {
+        file: h.file,
+        startLine: h.startLine,
+        endLine: h.endLine,
+        score: Math.round(h.score * 1000) / 1000,
+        symbols: f.symbols.filter(s => s.line >= h.startLine && s.line <= h.endLine).map(s => s.name),
+        snippet,
+      };
+    });
+  }
+
+  centralFiles(limit = 10) {
+    const { importedBy } = this.derived();
+    return [...importedBy.entries()]
+      .map(([file, list]) => ({ file, importedBy: new Set(list.map(x => x.file)).size }))
+      .sort((a, b) => b.importedBy - a.importedBy || a.file.localeCompare(b.file))
+      .slice(0, limit);
+  }
+}
+
+// ── Registry / persistence ───────────────────────────────────────────────────
+
+const _indexes = new Map(); // root → Index
+
+function _indexPath(root) {
+  return path.join(INDEX_DIR, `${crypto.createHash('sha1').update(root).digest('hex').slice(0, 16)}.json`);
+}
+
+function _load(root, excludes) {
+  try {
+    const data = JSON.parse(fs.readFileSync(_indexPath(root), 'utf8'));
+    if (data.version === INDEX_VERSION && data.root === root) return new Index(root, data, excludes);
+  } catch (_) {}
+  return null;
+}
+
+/** Start a recursive file.watch on the root and mark changed paths dirty. */
+function _attachWatcher(index) {
+  let fileWatch;
+  try { fileWatch = require('../skills/file.watch.cjs'); } catch (_) { return; }
+  fileWatch.fileWatch({ action: 'start', path: index.root, recursive: true, label: 'code-index' })
+    .then(res => {
+      if (!res.ok) { logger.info(`[code-index] no watcher for ${index.root}: ${res.error} — using stat sweeps`); return; }
+      // Rebuilt or idled out while the watcher was starting
+      if (_indexes.get(index.root) !== index) { fileWatch.fileWatch({ action: 'stop', watchId: res.watchId }).catch(() => {}); return; }
+      const unsubscribe = fileWatch.subscribe(res.watchId, ({ path: changed }) => {
+        const rel = path.relative(index.root, changed);
+        if (rel && !rel.startsWith('..')) index.dirty.add(rel);
+      });
+      if (unsubscribe) {
+        index.fullSweep = false;
+        index.unwatch = unsubscribe;
+        index.watchId = res.watchId;
+      }
+    })
+    .catch(err => logger.warn(`[code-index] watcher failed for ${index.root}: ${err.message}`));
+}
+
+function _detachWatcher(index) {
+  if (!index) return;
+  clearTimeout(index.idleTimer);
+  if (!index.watchId) return;
+  if (index.unwatch) index.unwatch();
+  require('../skills/file.watch.cjs').fileWatch({ action: 'stop', watchId: index.watchId }).catch(() => {});
+  index.watchId = null;
+  index.fullSweep = true;
+}
+
+/** Stop the watcher and forget the index once it has gone `idleMs` without a query. */
+function _scheduleIdleStop(index, idleMs) {
+  clearTimeout(index.idleTimer);
+  index.idleTimer = setTimeout(() => {
+    if (_indexes.get(index.root) === index) _indexes.delete(index.root);
+    _detachWatcher(index);
+    logger.info(`[code-index] ${index.root} idle for ${idleMs}ms — watcher stopped`);
+  }, idleMs);
+  index.idleTimer.unref();
+}
+
+/**
+ * Get an up-to-date index for `root`, building it on first use.
+ * @param {string} root
+ * @param {Object} [opts]
+ * @param {string[]} [opts.excludes] - gitignore-style patterns to skip (on top of the project's ignore files)
+ * @param {boolean}  [opts.rebuild]  - discard the stored index and parse everything again
+ * @param {boolean}  [opts.watch=true]
+ * @param {number}   [opts.idleMs=WATCH_IDLE_MS] - stop watching after this long without a query
+ */
+async function getIndex(root, { excludes = [], rebuild = false, watch = true, idleMs = WATCH_IDLE_MS } = {}) {
+  if (rebuild) _detachWatcher(_indexes.get(root));
+  let index = rebuild ? null : _indexes.get(root) || _load(root, excludes);
+  if (!index) index = new Index(root, {}, excludes);
+  index.excludes = excludes;
+  if (!_indexes.has(root) || rebuild) {
+    _indexes.set(root, index);
+    if (watch) _attachWatcher(index);
+  }
+  _scheduleIdleStop(index, idleMs);
+  const started = Date.now();
+  const counts = index.refresh();
+  if (counts.added || counts.updated || counts.removed) {
+    logger.info(`[code-index] ${root} refreshed in ${Date.now() - started}ms`, counts);
+  }
+  return index;
+}
+
+function peekIndex(root) {
+  return _indexes.get(root) || _load(root, []);
+}
+
+module.exports = { findProjectRoot, getIndex, peekIndex, tokenize, parseFile, INDEX_DIR };
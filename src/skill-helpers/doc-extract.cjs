@@ -0,0 +1,589 @@
+'use strict';
+/**
+ * doc-extract.cjs
+ *
+ * Format-aware document extraction for fs.read — pure JS (Node built-ins only)
+ * so it works offline and without native modules.
+ *
+ *   pdf   — text per page (skill-helpers/pdf-text.cjs)
+ *   docx  — paragraphs, headings (with level) and tables, in document order
+ *   xlsx  — every sheet as a typed table (numbers, booleans, dates, strings)
+ *   csv / tsv — one typed table, delimiter sniffed
+ *   epub  — chapters in spine order with titles
+ *
+ * DOCX/XLSX/EPUB are ZIP containers: a small central-directory reader inflates
+ * just the XML parts needed (zlib.inflateRawSync). XML is read with targeted
+ * regexes — these formats are machine-written and flat enough for that.
+ * Inflation is capped per part and per document (PDF streams likewise), so a
+ * small decompression bomb fails with "Document too large after decompression"
+ * instead of exhausting memory.
+ *
+ * Every unit carries a `ref` a later plan step can cite:
+ *   'page 4'   'Sheet2!B7' (cells; tables carry their A1 range)   'chapter 3'   'paragraph 12'
+ * and `content` is a plain-text rendering with the same markers inline
+ * ("[Page 4]", "[Sheet2!A1:D20]" tables with row numbers and column letters).
+ *
+ * API:
+ *   detectFormat(filePath, headBuffer) → 'pdf' | 'docx' | 'xlsx' | 'csv' | 'tsv' | 'epub' | null
+ *   extractDocument(filePath, { maxChars, maxRows, maxInflatedBytes }) → {
+ *     format, content, truncated,
+ *     pages?:    [{ page, ref, text }],                                    (pdf)
+ *     blocks?:   [{ index, ref, type: 'heading'|'paragraph'|'table', level?, text, rows? }], (docx)
+ *     sheets?:   [{ name, index, ref, range, header, columnTypes, rows, rowCount, truncated }], (xlsx/csv)
+ *     chapters?: [{ index, ref, title, href, text }],                      (epub)
+ *     meta:      { title?, author?, pageCount?, emptyPages?, ... }
+ *   }
+ *   columnLetter(index) / cellRef(sheet, rowNumber, colIndex) — coordinate helpers
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { extractPdfText } = require('./pdf-text.cjs');
+
+const DEFAULT_MAX_CHARS = 200 * 1024;
+const DEFAULT_MAX_ROWS = 2000;
+const MAX_PART_BYTES = 64 * 1024 * 1024;
+const DEFAULT_MAX_INFLATED_BYTES = 256 * 1024 * 1024;
+
+const EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.xlsx': 'xlsx',
+  '.xlsm': 'xlsx',
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.epub': 'epub',
+};
+
+// ── Coordinates ──────────────────────────────────────────────────────────────
+
+function columnLetter(index) {
+  let n = index + 1;
+  let out = '';
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    out = String.fromCharCode(65 + r) + out;
+    n = Math.floor((n - 1) / 26);
+  }
+  return out;
+}
+
+function _columnIndex(letters) {
+  let n = 0;
+  for (const ch of letters.toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function _quoteSheet(name) {
+  return /^[A-Za-z0-9_]+$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`;
+}
+
+function cellRef(sheet, rowNumber, colIndex) {
+  return `${_quoteSheet(sheet)}!${columnLetter(colIndex)}${rowNumber}`;
+}
+
+// ── ZIP ──────────────────────────────────────────────────────────────────────
+
+function _mb(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+function _openZip(buf, { maxInflatedBytes = DEFAULT_MAX_INFLATED_BYTES } = {}) {
+  const min = Math.max(0, buf.length - 0xffff - 22);
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= min; i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('Not a ZIP container (no end-of-central-directory record)');
+  const count = buf.readUInt16LE(eocd + 10);
+  let off = buf.readUInt32LE(eocd + 16);
+  if (off === 0xffffffff) throw new Error('ZIP64 containers are not supported');
+  const entries = new Map();
+  for (let i = 0; i < count && off + 46 <= buf.length; i++) {
+    if (buf.readUInt32LE(off) !== 0x02014b50) break;
+    const method = buf.readUInt16LE(off + 10);
+    const compSize = buf.readUInt32LE(off + 20);
+    const nameLen = buf.readUInt16LE(off + 28);
+    const extraLen = buf.readUInt16LE(off + 30);
+    const commentLen = buf.readUInt16LE(off + 32);
+    const localOff = buf.readUInt32LE(off + 42);
+    const name = buf.toString('utf8', off + 46, off + 46 + nameLen);
+    entries.set(name, { method, compSize, localOff });
+    off += 46 + nameLen + extraLen + commentLen;
+  }
+  let inflated = 0;
+  return {
+    read(name) {
+      const e = entries.get(name);
+      if (!e) return null;
+      const lh = e.localOff;
+      const start = lh + 30 + buf.readUInt16LE(lh + 26) + buf.readUInt16LE(lh + 28);
+      const data = buf.subarray(start, start + e.compSize);
+      if (e.method === 0) return data;
+      if (e.method === 8) {
+        const remaining = maxInflatedBytes - inflated;
+        let out;
+        try {
+          out = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, Math.min(MAX_PART_BYTES, remaining)) });
+        } catch (err) {
+          if (err.code !== 'ERR_BUFFER_TOO_LARGE') throw err;
+          throw new Error(remaining < MAX_PART_BYTES
+            ? `Document too large after decompression: parts inflate past ${_mb(maxInflatedBytes)} in total`
+            : `Document too large after decompression: ${name} inflates past ${_mb(MAX_PART_BYTES)}`);
+        }
+        inflated += out.length;
+        return out;
+      }
+      throw new Error(`Unsupported ZIP compression method ${e.method} for ${name}`);
+    },
+    text(name) {
+      const data = this.read(name);
+      return data ? data.toString('utf8') : null;
+    },
+  };
+}
+
+// ── XML helpers ──────────────────────────────────────────────────────────────
+
+function _decodeEntities(s) {
+  return s
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+function _attr(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name.replace(':', '\\:')}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return m ? _decodeEntities(m[2] !== undefined ? m[2] : m[3]) : null;
+}
+
+function _resolveZipPath(base, href) {
+  const clean = decodeURIComponent(href.split('#')[0]);
+  return path.posix.normalize(path.posix.join(path.posix.dirname(base), clean)).replace(/^\//, '');
+}
+
+// ── DOCX ─────────────────────────────────────────────────────────────────────
+
+function _docxHeadingStyles(zip) {
+  // styleId → heading level, from the style's name ("heading 2") or outline level.
+  const levels = new Map();
+  const xml = zip.text('word/styles.xml') || '';
+  for (const m of xml.matchAll(/<w:style\b[^>]*>[\s\S]*?<\/w:style>/g)) {
+    const id = _attr(m[0].match(/<w:style\b[^>]*>/)[0], 'w:styleId');
+    const name = (m[0].match(/<w:name\s+w:val="([^"]*)"/) || [])[1] || '';
+    const outline = m[0].match(/<w:outlineLvl\s+w:val="(\d+)"/);
+    let level = null;
+    const h = name.match(/^heading\s*(\d)$/i);
+    if (h) level = Number(h[1]);
+    else if (/^title$/i.test(name)) level = 0;
+    else if (outline) level = Number(outline[1]) + 1;
+    if (id && level != null) levels.set(id, level);
+  }
+  return levels;
+}
+
+// Word's own style ids, for documents whose styles.xml does not define them.
+function _builtinHeadingLevel(styleId) {
+  if (/^title$/i.test(styleId)) return 0;
+  const m = styleId.match(/^heading(\d)$/i);
+  return m ? Number(m[1]) : null;
+}
+
+function _docxRunsText(xml) {
+  let out = '';
+  for (const m of xml.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|br|cr)\b[^>]*\/>/g)) {
+    if (m[1] !== undefined) out += _decodeEntities(m[1]);
+    else out += m[2] === 'tab' ? '\t' : '\n';
+  }
+  return out;
+}
+
+function _extractDocx(buf, { maxChars, maxInflatedBytes }) {
+  const zip = _openZip(buf, { maxInflatedBytes });
+  const xml = zip.text('word/document.xml');
+  if (!xml) throw new Error('Not a DOCX file (word/document.xml missing)');
+  const headingStyles = _docxHeadingStyles(zip);
+  const body = (xml.match(/<w:body>([\s\S]*)<\/w:body>/) || [])[1] || xml;
+
+  const blocks = [];
+  let paragraphNo = 0;
+  let tableNo = 0;
+  for (const m of body.matchAll(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p\b[^>]*?(?:\/>|>[\s\S]*?<\/w:p>)/g)) {
+    const chunk = m[0];
+    if (chunk.startsWith('<w:tbl>')) {
+      const rows = [...chunk.matchAll(/<w:tr\b[\s\S]*?<\/w:tr>/g)].map(tr =>
+        [...tr[0].matchAll(/<w:tc\b[\s\S]*?<\/w:tc>/g)].map(tc =>
+          [...tc[0].matchAll(/<w:p\b[^>]*?(?:\/>|>[\s\S]*?<\/w:p>)/g)].map(p => _docxRunsText(p[0])).join('\n').trim()));
+      tableNo++;
+      blocks.push({ index: blocks.length, ref: `table ${tableNo}`, type: 'table', rows, text: rows.map(r => r.join(' | ')).join('\n') });
+      continue;
+    }
+    const text = _docxRunsText(chunk).trim();
+    if (!text) continue;
+    paragraphNo++;
+    const style = (chunk.match(/<w:pStyle\s+w:val="([^"]*)"/) || [])[1];
+    const level = style != null ? headingStyles.get(style) ?? _builtinHeadingLevel(style) : null;
+    blocks.push(level != null
+      ? { index: blocks.length, ref: `paragraph ${paragraphNo}`, type: 'heading', level, text }
+      : { index: blocks.length, ref: `paragraph ${paragraphNo}`, type: 'paragraph', text });
+  }
+
+  const core = zip.text('docProps/core.xml') || '';
+  const meta = {
+    title: _decodeEntities((core.match(/<dc:title>([^<]*)<\/dc:title>/) || [])[1] || '') || undefined,
+    author: _decodeEntities((core.match(/<dc:creator>([^<]*)<\/dc:creator>/) || [])[1] || '') || undefined,
+    paragraphs: paragraphNo,
+    tables: tableNo,
+  };
+
+  const rendered = blocks.map(b => (b.type === 'heading' ? `${'#'.repeat(Math.max(1, b.level))} ${b.text}` : b.text));
+  const { text, truncated, kept } = _cap(rendered, maxChars, '\n\n');
+  return { format: 'docx', content: text, truncated, blocks: blocks.slice(0, kept), meta };
+}
+
+// ── Tables (XLSX / CSV) ──────────────────────────────────────────────────────
+
+function _typeOf(v) {
+  if (v === null || v === '') return 'empty';
+  if (typeof v === 'number') return 'number';
+  if (typeof v === 'boolean') return 'boolean';
+  if (v instanceof Date) return 'date';
+  return 'string';
+}
+
+/**
+ * Build the sheet contract from a sparse Map(rowNumber → Map(colIndex → value)).
+ * Dates are stored as ISO strings; columnTypes keeps them distinguishable.
+ */
+function _buildSheet(name, index, cells, maxRows) {
+  const rowNumbers = [...cells.keys()].sort((a, b) => a - b);
+  if (!rowNumbers.length) {
+    return { name, index, ref: _quoteSheet(name), range: null, header: null, columnTypes: [], rows: [], rowCount: 0, firstRow: null, truncated: false };
+  }
+  let minCol = Infinity;
+  let maxCol = -1;
+  for (const r of rowNumbers) for (const c of cells.get(r).keys()) { minCol = Math.min(minCol, c); maxCol = Math.max(maxCol, c); }
+  const firstRow = rowNumbers[0];
+  const lastRow = rowNumbers[rowNumbers.length - 1];
+  const width = maxCol - minCol + 1;
+
+  const rows = [];
+  const limit = Math.min(lastRow, firstRow + maxRows - 1);
+  for (let r = firstRow; r <= limit; r++) {
+    const row = cells.get(r);
+    const out = new Array(width).fill(null);
+    if (row) for (const [c, v] of row) out[c - minCol] = v;
+    rows.push(out);
+  }
+
+  // Column types from the body (skip the first row when it looks like a header).
+  const isHeader = rows.length > 1 && rows[0].every(v => v === null || typeof v === 'string') && rows[1].some(v => v !== null && typeof v !== 'string');
+  const body = isHeader ? rows.slice(1) : rows;
+  const columnTypes = [];
+  for (let c = 0; c < width; c++) {
+    const types = new Set(body.map(r => _typeOf(r[c])).filter(t => t !== 'empty'));
+    columnTypes.push(types.size === 0 ? 'empty' : types.size === 1 ? [...types][0] : 'mixed');
+  }
+  const jsonRows = rows.map(r => r.map(v => (v instanceof Date ? v.toISOString().replace('T00:00:00.000Z', '') : v)));
+
+  return {
+    name,
+    index,
+    ref: _quoteSheet(name),
+    range: `${columnLetter(minCol)}${firstRow}:${columnLetter(maxCol)}${lastRow}`,
+    firstRow,
+    firstColumn: columnLetter(minCol),
+    header: isHeader ? jsonRows[0] : null,
+    columnTypes,
+    rows: jsonRows,
+    rowCount: lastRow - firstRow + 1,
+    truncated: limit < lastRow,
+  };
+}
+
+function _renderSheet(sheet) {
+  if (!sheet.range) return `[${sheet.ref}] (empty)`;
+  const firstCol = _columnIndex(sheet.firstColumn);
+  const letters = sheet.columnTypes.map((_, i) => columnLetter(firstCol + i));
+  const lines = [`[${sheet.ref}!${sheet.range}]`, `\t${letters.join('\t')}`];
+  sheet.rows.forEach((row, i) => {
+    lines.push(`${sheet.firstRow + i}\t${row.map(v => (v == null ? '' : String(v).replace(/\s+/g, ' '))).join('\t')}`);
+  });
+  if (sheet.truncated) lines.push(`… ${sheet.rowCount - sheet.rows.length} more rows`);
+  return lines.join('\n');
+}
+
+function _excelDate(serial, date1904) {
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+  return new Date(epoch + Math.round(serial * 86400000));
+}
+
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 30, 36, 45, 46, 47, 50, 57]);
+
+function _xlsxDateStyles(zip) {
+  const xml = zip.text('xl/styles.xml') || '';
+  const custom = new Map();
+  for (const m of xml.matchAll(/<numFmt\b[^>]*\/?>/g)) {
+    custom.set(Number(_attr(m[0], 'numFmtId')), _attr(m[0], 'formatCode') || '');
+  }
+  const isDateFmt = (id) => {
+    if (BUILTIN_DATE_FORMATS.has(id)) return true;
+    const code = custom.get(id);
+    if (!code) return false;
+    const bare = code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+    return /[dmyhs]/i.test(bare) && !/^[#0.,%\s]*$/.test(bare);
+  };
+  const xfs = (xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/) || [])[1] || '';
+  return [...xfs.matchAll(/<xf\b[^>]*\/?>/g)].map(m => isDateFmt(Number(_attr(m[0], 'numFmtId') || 0)));
+}
+
+function _extractXlsx(buf, { maxChars, maxRows, maxInflatedBytes }) {
+  const zip = _openZip(buf, { maxInflatedBytes });
+  const workbook = zip.text('xl/workbook.xml');
+  if (!workbook) throw new Error('Not an XLSX file (xl/workbook.xml missing)');
+  const date1904 = /<workbookPr\b[^>]*date1904\s*=\s*"(1|true)"/.test(workbook);
+
+  const rels = new Map();
+  for (const m of (zip.text('xl/_rels/workbook.xml.rels') || '').matchAll(/<Relationship\b[^>]*\/?>/g)) {
+    rels.set(_attr(m[0], 'Id'), _attr(m[0], 'Target'));
+  }
+  const shared = [];
+  for (const m of (zip.text('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+    // Rich text: concatenate runs; phonetic hints (<rPh>) are not part of the value.
+    const inner = m[1].replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    shared.push([...inner.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(t => _decodeEntities(t[1])).join(''));
+  }
+  const dateStyles = _xlsxDateStyles(zip);
+
+  const sheets = [];
+  const sheetTags = [...workbook.matchAll(/<sheet\b[^>]*\/?>/g)].map(m => m[0]);
+  sheetTags.forEach((tag, index) => {
+    const name = _attr(tag, 'name') || `Sheet${index + 1}`;
+    const target = rels.get(_attr(tag, 'r:id'));
+    if (!target) return;
+    const partPath = target.startsWith('/') ? target.slice(1) : _resolveZipPath('xl/workbook.xml', target);
+    const xml = zip.text(partPath);
+    if (!xml) return;
+
+    const cells = new Map();
+    for (const row of xml.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      if (!row[1]) continue;
+      for (const c of row[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const attrs = ` ${c[1]}`;
+        const ref = _attr(attrs, 'r');
+        const m = ref && ref.match(/^([A-Z]+)(\d+)$/);
+        if (!m) continue;
+        const inner = c[2] || '';
+        const t = _attr(attrs, 't');
+        const raw = (inner.match(/<v>([^<]*)<\/v>/) || [])[1];
+        let value = null;
+        if (t === 's') value = raw != null ? shared[Number(raw)] ?? null : null;
+        else if (t === 'inlineStr') value = [...inner.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(x => _decodeEntities(x[1])).join('');
+        else if (t === 'str') value = raw != null ? _decodeEntities(raw) : null;
+        else if (t === 'b') value = raw === '1';
+        else if (t === 'e') value = raw != null ? _decodeEntities(raw) : null;
+        else if (t === 'd') value = raw ? new Date(raw) : null;
+        else if (raw != null && raw !== '') {
+          const n = Number(raw);
+          value = dateStyles[Number(_attr(attrs, 's') || 0)] ? _excelDate(n, date1904) : n;
+        }
+        if (value === null || value === '') continue;
+        const rowNo = Number(m[2]);
+        if (!cells.has(rowNo)) cells.set(rowNo, new Map());
+        cells.get(rowNo).set(_columnIndex(m[1]), value);
+      }
+    }
+    sheets.push(_buildSheet(name, index, cells, maxRows));
+  });
+
+  const { text, truncated, kept } = _cap(sheets.map(_renderSheet), maxChars, '\n\n');
+  return { format: 'xlsx', content: text, truncated: truncated || sheets.some(s => s.truncated), sheets: sheets.slice(0, kept), meta: { sheetNames: sheets.map(s => s.name) } };
+}
+
+function _sniffDelimiter(text) {
+  const sample = text.split(/\r?\n/).slice(0, 5).join('\n');
+  const candidates = [',', ';', '\t', '|'];
+  let best = ',';
+  let bestCount = 0;
+  for (const d of candidates) {
+    const count = sample.split(d).length - 1;
+    if (count > bestCount) { best = d; bestCount = count; }
+  }
+  return best;
+}
+
+function _parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; } else quoted = false;
+      } else field += ch;
+    } else if (ch === '"' && field === '') quoted = true;
+    else if (ch === delimiter) { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+function _typedCell(raw) {
+  const s = raw.trim();
+  if (s === '') return null;
+  if (/^[+-]?(\d+(\.\d+)?|\.\d+)([eE][+-]?\d+)?$/.test(s) && !/^0\d/.test(s)) return Number(s);
+  if (/^(true|false)$/i.test(s)) return s.toLowerCase() === 'true';
+  if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(s) && !Number.isNaN(Date.parse(s))) return new Date(Date.parse(s.length === 10 ? `${s}T00:00:00Z` : s));
+  return raw;
+}
+
+function _extractCsv(buf, { maxChars, maxRows, filePath, format }) {
+  const text = buf.toString('utf8').replace(/^﻿/, '');
+  const delimiter = format === 'tsv' ? '\t' : _sniffDelimiter(text);
+  const cells = new Map();
+  _parseDelimited(text, delimiter).forEach((row, i) => {
+    if (row.length === 1 && row[0] === '') return;
+    const map = new Map();
+    row.forEach((v, c) => { const typed = _typedCell(v); if (typed !== null) map.set(c, typed); });
+    if (map.size) cells.set(i + 1, map);
+  });
+  const name = path.basename(filePath, path.extname(filePath));
+  const sheet = _buildSheet(name, 0, cells, maxRows);
+  const { text: content, truncated } = _cap([_renderSheet(sheet)], maxChars, '');
+  return { format, content, truncated: truncated || sheet.truncated, sheets: [sheet], meta: { delimiter } };
+}
+
+// ── EPUB ─────────────────────────────────────────────────────────────────────
+
+function _htmlToText(html) {
+  return _decodeEntities(
+    html
+      .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|h[1-6]|li|tr|blockquote|section|pre)>/gi, '\n\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function _extractEpub(buf, { maxChars, maxInflatedBytes }) {
+  const zip = _openZip(buf, { maxInflatedBytes });
+  const container = zip.text('META-INF/container.xml');
+  const opfPath = container && _attr((container.match(/<rootfile\b[^>]*>/) || [''])[0], 'full-path');
+  const opf = opfPath && zip.text(opfPath);
+  if (!opf) throw new Error('Not an EPUB file (package document missing)');
+
+  const manifest = new Map();
+  for (const m of opf.matchAll(/<item\b[^>]*\/?>/g)) {
+    manifest.set(_attr(m[0], 'id'), { href: _attr(m[0], 'href'), type: _attr(m[0], 'media-type') || '' });
+  }
+  const spine = [...opf.matchAll(/<itemref\b[^>]*\/?>/g)].map(m => _attr(m[0], 'idref'));
+
+  const chapters = [];
+  for (const idref of spine) {
+    const item = manifest.get(idref);
+    if (!item || !/html/.test(item.type)) continue;
+    const href = _resolveZipPath(opfPath, item.href);
+    const html = zip.text(href);
+    if (!html) continue;
+    const text = _htmlToText(html);
+    if (!text) continue;
+    const heading = (html.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i) || [])[1];
+    const titleTag = (html.match(/<title>([\s\S]*?)<\/title>/i) || [])[1];
+    const title = _htmlToText(heading || titleTag || '') || null;
+    chapters.push({ index: chapters.length + 1, ref: `chapter ${chapters.length + 1}`, title, href, text });
+  }
+
+  const meta = {
+    title: _decodeEntities((opf.match(/<dc:title[^>]*>([^<]*)<\/dc:title>/) || [])[1] || '') || undefined,
+    author: _decodeEntities((opf.match(/<dc:creator[^>]*>([^<]*)<\/dc:creator>/) || [])[1] || '') || undefined,
+    chapterCount: chapters.length,
+  };
+  const rendered = chapters.map(c => `[Chapter ${c.index}${c.title ? `: ${c.title}` : ''}]\n${c.text}`);
+  const { text, truncated, kept } = _cap(rendered, maxChars, '\n\n');
+  return { format: 'epub', content: text, truncated, chapters: chapters.slice(0, kept), meta };
+}
+
+// ── PDF ──────────────────────────────────────────────────────────────────────
+
+function _extractPdf(buf, { maxChars, maxInflatedBytes }) {
+  const { pages, pageCount, emptyPages, info } = extractPdfText(buf, { maxInflatedBytes });
+  const withRefs = pages.map(p => ({ page: p.page, ref: `page ${p.page}`, text: p.text }));
+  const { text, truncated, kept } = _cap(withRefs.map(p => `[Page ${p.page}]\n${p.text}`), maxChars, '\n\n');
+  return {
+    format: 'pdf',
+    content: text,
+    truncated: truncated || pages.length < pageCount,
+    pages: withRefs.slice(0, kept),
+    meta: { ...info, pageCount, emptyPages, ...(emptyPages.length === pageCount && pageCount ? { hint: 'No text layer — the PDF looks scanned; use screen.capture / image.analyze OCR instead' } : {}) },
+  };
+}
+
+// ── Shared ───────────────────────────────────────────────────────────────────
+
+/** Join rendered units until maxChars; `kept` = how many units made it in (the last may be cut). */
+function _cap(units, maxChars, sep) {
+  let out = '';
+  let kept = 0;
+  for (const u of units) {
+    const next = (out ? sep : '') + u;
+    if (out.length + next.length > maxChars) {
+      const room = maxChars - out.length;
+      if (room > 200) { out += next.slice(0, room); kept++; }
+      return { text: out + '\n…[truncated]', truncated: true, kept };
+    }
+    out += next;
+    kept++;
+  }
+  return { text: out, truncated: false, kept };
+}
+
+function detectFormat(filePath, head) {
+  const byExt = EXTENSIONS[path.extname(filePath).toLowerCase()] || null;
+  if (head && head.length >= 4) {
+    if (head.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+    if (head.readUInt32LE(0) === 0x04034b50 && byExt && ['docx', 'xlsx', 'epub'].includes(byExt)) return byExt;
+    if (byExt && ['docx', 'xlsx', 'epub', 'pdf'].includes(byExt)) return null; // extension lies about the bytes
+  }
+  return byExt;
+}
+
+/**
+ * @param {string} filePath
+ * @param {Object} [opts]
+ * @param {number} [opts.maxChars=200KB] - cap on the rendered `content`
+ * @param {number} [opts.maxRows=2000]   - per sheet
+ * @param {number} [opts.maxInflatedBytes=256MB] - total decompressed size across ZIP parts / PDF streams
+ */
+function extractDocument(filePath, {
+  maxChars = DEFAULT_MAX_CHARS,
+  maxRows = DEFAULT_MAX_ROWS,
+  maxInflatedBytes = DEFAULT_MAX_INFLATED_BYTES,
+} = {}) {
+  const buf = fs.readFileSync(filePath);
+  const format = detectFormat(filePath, buf.subarray(0, 8));
+  const opts = { maxChars, maxRows, maxInflatedBytes, filePath, format };
+  switch (format) {
+    case 'pdf':  return _extractPdf(buf, opts);
+    case 'docx': return _extractDocx(buf, opts);
+    case 'xlsx': return _extractXlsx(buf, opts);
+    case 'csv':
+    case 'tsv':  return _extractCsv(buf, opts);
+    case 'epub': return _extractEpub(buf, opts);
+    default:     throw new Error(`Unsupported document format: ${path.extname(filePath) || 'unknown'}`);
+  }
+}
+
+module.exports = { detectFormat, extractDocument, columnLetter, cellRef, EXTENSIONS };
@@ -0,0 +1,467 @@
+'use strict';
+/**
+ * element-fingerprint.cjs
+ *
+ * Persistent element fingerprints: a description of an element that outlives
+ * the snapshot it was taken from. data-td-ref tags and CSS selectors break when
+ * a React re-render swaps the node or shuffles classes; a fingerprint records
+ * what a person would use to find the element again — role, accessible name,
+ * nearby label text, surrounding context, structural path and on-page position —
+ * and a similarity matcher scores every candidate on a fresh page against it.
+ *
+ * Fingerprint (v1):
+ *   { v: 1, tag, role, type, name, text, label, context, placeholder,
+ *     attrs: { id, name, testId, href },
+ *     path: ['main', 'form', 'div[2]', 'button'],
+ *     rect: { x, y, width, height },    document coordinates (scroll included)
+ *     viewport: { width, height } }
+ * Empty fields are "unknown" and do not count against a candidate. Dynamic-looking
+ * ids (react-1234, hashed suffixes) are dropped at capture time.
+ *
+ * Selector form: "fp:" + JSON. browser.act accepts it anywhere a selector goes
+ * (or the fingerprint object as args.fingerprint) and resolves it to a fresh
+ * [data-td-fp="fpN"] tag on the best match before running the action.
+ *
+ * API:
+ *   CAPTURE_SOURCE               in-page source defining __tdFingerprint(el) — ES5, so the
+ *                                trainer recorder can embed it
+ *   captureElement               page function el → fingerprint, for locator.evaluate()
+ *   similarity(fp, candidate)    → { score 0..1, parts }
+ *   rank(fp, candidates)         → [{ index, score, parts }] best first
+ *   resolve(page, fp, { threshold, limit }) → { selector, score, margin, match, candidates } (throws on no match)
+ *   fromScannerEntry(entry)      → partial fingerprint from a DOM-scanner / buildRefTree entry
+ *   toSelector(fp) / parseSelector(selector) / isFingerprintSelector(selector) / describe(fp)
+ *   waypointSelectors(wp)        → recipe waypoint's candidate selectors, fingerprint first
+ */
+
+const SELECTOR_PREFIX = 'fp:';
+const DEFAULT_THRESHOLD = 0.65;
+const MAX_CANDIDATES = 1500;
+const DEFAULT_VIEWPORT = { width: 1280, height: 800 };
+
+// Relative weight of each feature; features unknown on the recorded side are skipped
+const WEIGHTS = {
+  role: 2,
+  name: 5,
+  text: 1.5,
+  label: 2,
+  context: 1,
+  placeholder: 1.5,
+  tag: 1,
+  type: 1,
+  testId: 3,
+  id: 2,
+  attrName: 2,
+  href: 2,
+  path: 1.5,
+  position: 1.5,
+};
+
+// ---------------------------------------------------------------------------
+// In-page capture (serialized with Function#toString — keep it self-contained ES5)
+// ---------------------------------------------------------------------------
+
+function fingerprintElement(el) {
+  if (!el || el.nodeType !== 1) return null;
+  var tag = el.tagName.toLowerCase();
+  function attr(n) { return el.getAttribute(n) || ''; }
+  function clean(s, max) { return String(s || '').replace(/\s+/g, ' ').trim().substring(0, max || 80); }
+  function textOf(node) { return node ? clean(node.innerText || node.textContent, 80) : ''; }
+  function isDynamicId(id) {
+    return /^[a-z]+-\d{4,}$/i.test(id) || /[a-f0-9]{8,}$/i.test(id) || /^(css|style)[-_][a-z0-9]{5,}$/i.test(id) || /^:r[0-9a-z]+:$/i.test(id);
+  }
+
+  function role() {
+    var explicit = attr('role');
+    if (explicit) return explicit.split(/\s+/)[0];
+    if (tag === 'button' || tag === 'summary') return 'button';
+    if (tag === 'a') return el.hasAttribute('href') ? 'link' : 'generic';
+    if (tag === 'select') return el.multiple ? 'listbox' : 'combobox';
+    if (tag === 'textarea') return 'textbox';
+    if (tag === 'input') {
+      var t = (el.type || 'text').toLowerCase();
+      if (t === 'button' || t === 'submit' || t === 'reset' || t === 'image') return 'button';
+      if (t === 'checkbox' || t === 'radio') return t;
+      if (t === 'range') return 'slider';
+      if (t === 'search') return 'searchbox';
+      return 'textbox';
+    }
+    if (el.isContentEditable) return 'textbox';
+    if (/^h[1-6]$/.test(tag)) return 'heading';
+    if (tag === 'img') return 'img';
+    if (tag === 'option') return 'option';
+    if (tag === 'li') return 'listitem';
+    return 'generic';
+  }
+
+  function labelsText() {
+    var out = [];
+    if (el.labels) for (var i = 0; i < el.labels.length; i++) out.push(textOf(el.labels[i]));
+    return clean(out.join(' '), 80);
+  }
+
+  function accessibleName() {
+    var ids = attr('aria-labelledby');
+    if (ids) {
+      var root = el.getRootNode ? el.getRootNode() : document;
+      var parts = [];
+      ids.split(/\s+/).forEach(function (id) {
+        var ref = root.getElementById ? root.getElementById(id) : document.getElementById(id);
+        var t = textOf(ref);
+        if (t) parts.push(t);
+      });
+      if (parts.length) return clean(parts.join(' '), 80);
+    }
+    if (attr('aria-label')) return clean(attr('aria-label'), 80);
+    var fromLabel = labelsText();
+    if (fromLabel) return fromLabel;
+    if (tag === 'input' && /^(button|submit|reset)$/i.test(el.type)) return clean(el.value, 80);
+    if (tag === 'img' || (tag === 'input' && el.type === 'image')) return clean(attr('alt'), 80);
+    var isField = tag === 'input' || tag === 'textarea' || tag === 'select' || el.isContentEditable;
+    if (!isField) {
+      var t = textOf(el);
+      if (t) return t;
+    }
+    return clean(attr('title') || attr('placeholder') || attr('aria-placeholder'), 80);
+  }
+
+  // What a person reads next to the element: its <label>, the previous sibling,
+  // the previous sibling of its wrapper, or the fieldset legend
+  function nearbyLabel(name) {
+    var found = [labelsText()];
+    if (el.previousElementSibling) found.push(textOf(el.previousElementSibling));
+    var parent = el.parentElement;
+    if (parent && parent.previousElementSibling) found.push(textOf(parent.previousElementSibling));
+    var fieldset = el.closest ? el.closest('fieldset') : null;
+    if (fieldset && fieldset.querySelector('legend')) found.push(textOf(fieldset.querySelector('legend')));
+    for (var i = 0; i < found.length; i++) {
+      if (found[i] && found[i] !== name && found[i].length <= 60) return found[i];
+    }
+    return '';
+  }
+
+  function context() {
+    var node = el.parentElement;
+    for (var i = 0; i < 6 && node && node !== document.body; i++, node = node.parentElement) {
+      var label = node.getAttribute('aria-label') || node.getAttribute('data-testid');
+      if (label) return clean(label, 60);
+      var r = node.getAttribute('role');
+      if (r === 'dialog' || r === 'form' || r === 'region' || node.tagName === 'FORM' || node.tagName === 'DIALOG') {
+        var heading = node.querySelector('h1, h2, h3, [role="heading"]');
+        if (heading) return textOf(heading).substring(0, 60);
+      }
+    }
+    return '';
+  }
+
+  // tag[n] segments from <body> down, n only where same-tag siblings exist;
+  // shadow roots appear as "#shadow" between the host and its content
+  function structuralPath() {
+    var segs = [];
+    var node = el;
+    while (node && node.nodeType === 1 && segs.length < 25) {
+      var t = node.tagName.toLowerCase();
+      if (t === 'body' || t === 'html') break;
+      var parentNode = node.parentNode;
+      var siblings = parentNode && parentNode.children ? parentNode.children : [];
+      var idx = 1;
+      var same = 0;
+      for (var i = 0; i < siblings.length; i++) {
+        if (siblings[i].tagName === node.tagName) {
+          same++;
+          if (siblings[i] === node) idx = same;
+        }
+      }
+      segs.unshift(same > 1 ? t + '[' + idx + ']' : t);
+      if (parentNode && parentNode.nodeType === 11 && parentNode.host) {
+        segs.unshift('#shadow');
+        node = parentNode.host;
+      } else {
+        node = node.parentElement;
+      }
+    }
+    return segs;
+  }
+
+  var name = accessibleName();
+  var isField = tag === 'input' || tag === 'textarea' || tag === 'select';
+  var text = isField ? '' : textOf(el);
+  var href = tag === 'a' && el.href ? String(el.href).split('#')[0].split('?')[0] : '';
+  var id = el.id && !isDynamicId(el.id) ? el.id : '';
+  var r = el.getBoundingClientRect();
+  return {
+    v: 1,
+    tag: tag,
+    role: role(),
+    type: tag === 'input' ? (el.type || 'text').toLowerCase() : '',
+    name: name,
+    text: text === name ? '' : text,
+    label: nearbyLabel(name),
+    context: context(),
+    placeholder: clean(attr('placeholder') || attr('aria-placeholder'), 80),
+    attrs: {
+      id: id,
+      name: attr('name'),
+      testId: attr('data-testid') || attr('data-test-id') || attr('data-qa') || attr('data-test'),
+      href: href,
+    },
+    path: structuralPath(),
+    rect: { x: Math.round(r.left + window.scrollX), y: Math.round(r.top + window.scrollY), width: Math.round(r.width), height: Math.round(r.height) },
+    viewport: { width: window.innerWidth, height: window.innerHeight },
+  };
+}
+
+const CAPTURE_SOURCE = `var __tdFingerprint = ${fingerprintElement.toString()};`;
+
+// Visible interactive elements (plus every element with the recorded tag),
+// open shadow roots included. Kept on window so the winner can be tagged next.
+function collectCandidates(opts) {
+  var base = 'button, a[href], input, textarea, select, summary, label, [role], [contenteditable], [onclick], [tabindex]';
+  var selector = opts.tag ? base + ', ' + opts.tag : base;
+  var found = [];
+  var seen = new Set();
+  function scan(root) {
+    root.querySelectorAll(selector).forEach(function (el) {
+      if (!seen.has(el)) { seen.add(el); found.push(el); }
+    });
+    root.querySelectorAll('*').forEach(function (el) { if (el.shadowRoot) scan(el.shadowRoot); });
+  }
+  scan(document);
+  document.querySelectorAll('[data-td-fp]').forEach(function (el) { el.removeAttribute('data-td-fp'); });
+  var visible = found.filter(function (el) {
+    var r = el.getBoundingClientRect();
+    if (r.width < 1 || r.height < 1) return false;
+    var s = window.getComputedStyle(el);
+    return s.display !== 'none' && s.visibility !== 'hidden';
+  }).slice(0, opts.limit);
+  window.__tdFpCandidates = visible;
+  return visible.map(__tdFingerprint);
+}
+
+function tagCandidate({ index, token }) {
+  const el = window.__tdFpCandidates && window.__tdFpCandidates[index];
+  window.__tdFpCandidates = null;
+  if (!el || !el.isConnected) return false;
+  el.setAttribute('data-td-fp', token);
+  return true;
+}
+
+function collectScript(opts) {
+  return `(() => { ${CAPTURE_SOURCE} return (${collectCandidates.toString()})(${JSON.stringify(opts)}); })()`;
+}
+
+const captureElement = new Function('el', `${CAPTURE_SOURCE} return __tdFingerprint(el);`);
+
+// ---------------------------------------------------------------------------
+// Similarity
+// ---------------------------------------------------------------------------
+
+function _norm(s) {
+  return String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function _tokens(s) {
+  return new Set(_norm(s).split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+}
+
+// 1 for equal text, partial credit for containment ("Send" vs "Send now") and shared words
+function textSimilarity(a, b) {
+  const x = _norm(a);
+  const y = _norm(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const [short, long] = x.length <= y.length ? [x, y] : [y, x];
+  const contains = short.length >= 3 && long.includes(short) ? 0.6 + 0.4 * (short.length / long.length) : 0;
+  const tx = _tokens(x);
+  const ty = _tokens(y);
+  let shared = 0;
+  for (const t of tx) if (ty.has(t)) shared++;
+  const dice = tx.size + ty.size ? (2 * shared) / (tx.size + ty.size) : 0;
+  return Math.max(contains, dice);
+}
+
+function _lcs(a, b) {
+  const row = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = 0;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = a[i - 1] === b[j - 1] ? prev + 1 : Math.max(row[j], row[j - 1]);
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+// Tag sequence (LCS, tolerant of inserted wrappers) blended with the exact
+// leaf-side suffix (sibling indices included)
+function pathSimilarity(a, b) {
+  if (!a.length || !b.length) return 0;
+  const strip = p => p.map(s => s.replace(/\[\d+\]$/, ''));
+  const shape = _lcs(strip(a), strip(b)) / Math.max(a.length, b.length);
+  let suffix = 0;
+  while (suffix < a.length && suffix < b.length && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+  return 0.6 * shape + 0.4 * (suffix / Math.max(a.length, b.length));
+}
+
+function positionSimilarity(a, b, viewport) {
+  const vw = viewport?.width || DEFAULT_VIEWPORT.width;
+  const vh = viewport?.height || DEFAULT_VIEWPORT.height;
+  const dx = (a.x + a.width / 2 - (b.x + b.width / 2)) / vw;
+  const dy = (a.y + a.height / 2 - (b.y + b.height / 2)) / vh;
+  const near = Math.max(0, 1 - Math.sqrt(dx * dx + dy * dy) * 2);
+  const ratio = (p, q) => (Math.max(p, q) > 0 ? Math.min(p, q) / Math.max(p, q) : 1);
+  return 0.7 * near + 0.3 * ratio(a.width, b.width) * ratio(a.height, b.height);
+}
+
+function hrefSimilarity(a, b) {
+  if (!b) return 0;
+  if (a === b) return 1;
+  try {
+    return new URL(a).pathname === new URL(b).pathname ? 0.9 : 0;
+  } catch (_) { return 0; }
+}
+
+function similarity(fp, candidate) {
+  const parts = {};
+  const add = (key, recorded, score) => {
+    if (recorded === undefined || recorded === null || recorded === '') return;
+    parts[key] = score();
+  };
+  const a = fp.attrs || {};
+  const b = candidate.attrs || {};
+
+  add('role', fp.role, () => (fp.role === candidate.role ? 1 : 0));
+  add('name', fp.name, () => textSimilarity(fp.name, candidate.name));
+  add('text', fp.text, () => textSimilarity(fp.text, candidate.text || candidate.name));
+  add('label', fp.label, () => textSimilarity(fp.label, candidate.label));
+  add('context', fp.context, () => textSimilarity(fp.context, candidate.context));
+  add('placeholder', fp.placeholder, () => textSimilarity(fp.placeholder, candidate.placeholder));
+  add('tag', fp.tag, () => (fp.tag === candidate.tag ? 1 : 0));
+  add('type', fp.type, () => (fp.type === candidate.type ? 1 : 0));
+  add('testId', a.testId, () => (a.testId === b.testId ? 1 : 0));
+  add('id', a.id, () => (a.id === b.id ? 1 : 0));
+  add('attrName', a.name, () => (a.name === b.name ? 1 : 0));
+  add('href', a.href, () => hrefSimilarity(a.href, b.href));
+  if (fp.path?.length) parts.path = pathSimilarity(fp.path, candidate.path || []);
+  if (fp.rect && candidate.rect) parts.position = positionSimilarity(fp.rect, candidate.rect, fp.viewport);
+
+  let total = 0;
+  let weight = 0;
+  for (const [key, s] of Object.entries(parts)) {
+    total += WEIGHTS[key] * s;
+    weight += WEIGHTS[key];
+  }
+  return { score: weight ? total / weight : 0, parts };
+}
+
+function rank(fp, candidates) {
+  return candidates
+    .map((c, index) => (c ? { index, ...similarity(fp, c) } : null))
+    .filter(Boolean)
+    .sort((x, y) => y.score - x.score);
+}
+
+// ---------------------------------------------------------------------------
+// Selector form + helpers
+// ---------------------------------------------------------------------------
+
+function _validate(fp) {
+  if (!fp || typeof fp !== 'object' || Array.isArray(fp)) throw new Error('fingerprint must be an object');
+  if (!fp.tag && !fp.role && !fp.name) throw new Error('fingerprint needs at least a tag, role or name');
+  return fp;
+}
+
+function isFingerprintSelector(selector) {
+  return typeof selector === 'string' && selector.trim().startsWith(SELECTOR_PREFIX);
+}
+
+function toSelector(fp) {
+  return SELECTOR_PREFIX + JSON.stringify(_validate(fp));
+}
+
+// "fp:{…}" → fingerprint; anything else → null
+function parseSelector(selector) {
+  if (!isFingerprintSelector(selector)) return null;
+  let fp;
+  try {
+    fp = JSON.parse(selector.trim().slice(SELECTOR_PREFIX.length));
+  } catch (err) {
+    throw new Error(`Invalid fingerprint selector: ${err.message}`);
+  }
+  return _validate(fp);
+}
+
+function describe(fp) {
+  if (!fp) return '(no fingerprint)';
+  const what = fp.name || fp.text || fp.placeholder || fp.attrs?.testId || '';
+  return `${fp.role && fp.role !== 'generic' ? fp.role : fp.tag || 'element'}${what ? ` "${what}"` : ''}${fp.label ? ` near "${fp.label}"` : ''}`;
+}
+
+function fromScannerEntry(entry) {
+  return {
+    v: 1,
+    tag: entry.tag || '',
+    role: entry.role || '',
+    type: entry.tag === 'input' ? entry.type || 'text' : '',
+    name: entry.name ?? entry.label ?? '',
+    text: '',
+    label: '',
+    context: entry.context || '',
+    placeholder: entry.placeholder || '',
+    attrs: {},
+    path: [],
+    rect: entry.rect || null,
+    viewport: null,
+  };
+}
+
+function waypointSelectors(wp) {
+  return [wp.fingerprint ? toSelector(wp.fingerprint) : null, wp.selector, ...(wp.altSelectors || [])].filter(Boolean);
+}
+
+let _tokenSeq = 0;
+
+/**
+ * Find the element on `page` that best matches `fp` and tag it with a fresh
+ * data-td-fp attribute. Collect and tag are two evaluates; if the page
+ * re-renders in between, the collect runs once more.
+ */
+async function resolve(page, fp, { threshold = DEFAULT_THRESHOLD, limit = MAX_CANDIDATES } = {}) {
+  _validate(fp);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const candidates = await page.evaluate(collectScript({ tag: fp.tag || '', limit }));
+    const ranked = rank(fp, candidates || []);
+    const best = ranked[0];
+    if (!best || best.score < threshold) {
+      throw new Error(`No element matches fingerprint ${describe(fp)} (best ${best ? `${describe(candidates[best.index])} scored ${best.score.toFixed(2)}` : 'candidate: none'}; threshold ${threshold})`);
+    }
+    const token = `fp${++_tokenSeq}`;
+    if (!(await page.evaluate(tagCandidate, { index: best.index, token }))) continue;
+    const round = n => Math.round(n * 1000) / 1000;
+    return {
+      selector: `[data-td-fp="${token}"]`,
+      score: round(best.score),
+      margin: round(best.score - (ranked[1]?.score || 0)),
+      match: candidates[best.index],
+      candidates: ranked.slice(0, 5).map(r => ({ score: round(r.score), element: describe(candidates[r.index]) })),
+    };
+  }
+  throw new Error(`Element matching fingerprint ${describe(fp)} was detached while being tagged — the page is still re-rendering`);
+}
+
+module.exports = {
+  CAPTURE_SOURCE,
+  captureElement,
+  similarity,
+  textSimilarity,
+  rank,
+  resolve,
+  fromScannerEntry,
+  toSelector,
+  parseSelector,
+  isFingerprintSelector,
+  describe,
+  waypointSelectors,
+  DEFAULT_THRESHOLD,
+};
@@ -0,0 +1,250 @@
+'use strict';
+/**
+ * ignore-rules.cjs
+ *
+ * gitignore-semantics matcher and binary / large-file detection shared by the
+ * fs.read walkers (tree, search, explore) and the code index.
+ *
+ * Rules are gathered, lowest to highest precedence, from:
+ *   base patterns      — fs.read's DEFAULT_EXCLUDES plus the caller's `exclude`
+ *   .git/info/exclude  — at the repository root
+ *   .gitignore, .ignore — in the root and every directory below it (a deeper
+ *                        file overrides a shallower one; .ignore overrides .gitignore)
+ *
+ * Pattern semantics follow gitignore(5): `#` comments, `!` negation (last
+ * matching rule wins), trailing `/` for directories only, a `/` at the start or
+ * in the middle anchors the pattern to the ignore file's directory, `*` `?`
+ * `[a-z]` never cross `/`, and `**` spans directories. A path inside an ignored
+ * directory stays ignored — negations cannot re-include it, as in git.
+ *
+ * The root is the nearest enclosing git work tree (falls back to the start
+ * path), so `tree` on a sub-directory still honours the project's ignore files.
+ *
+ * API:
+ *   createIgnoreMatcher(startPath, { patterns }) → matcher
+ *     matcher.test(absPath, isDir) → null | { rule, source }   (the rule that ignored it)
+ *   classifyFile(absPath, { size, maxBytes })    → null | { reason: 'binary' | 'large', … }
+ *   createSkipLog(limit)                         → { add(path, reason, detail), toJSON() }
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const IGNORE_FILES = ['.gitignore', '.ignore'];
+const BINARY_SNIFF_BYTES = 8000;
+const DEFAULT_LARGE_FILE_BYTES = 2 * 1024 * 1024;
+
+// Extensions that are binary without looking (saves an open() per file on big trees).
+const BINARY_EXTENSIONS = new Set([
+  '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.icns', '.webp', '.tif', '.tiff', '.psd',
+  '.mp3', '.mp4', '.m4a', '.mov', '.avi', '.mkv', '.wav', '.flac', '.ogg', '.webm',
+  '.zip', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.tar', '.jar', '.war', '.dmg', '.iso',
+  '.exe', '.dll', '.so', '.dylib', '.o', '.a', '.class', '.pyc', '.wasm', '.node', '.bin',
+  '.woff', '.woff2', '.ttf', '.otf', '.eot', '.sqlite', '.db',
+]);
+
+// Formats fs.read extracts as documents — binary on disk but readable, so never skipped as binary.
+const DOCUMENT_EXTENSIONS = new Set(['.pdf', '.docx', '.xlsx', '.epub']);
+
+// ── Pattern compilation ──────────────────────────────────────────────────────
+
+function _globToRegex(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        if (atStart && atEnd) {
+          if (i + 2 === glob.length) { re += '.*'; i += 1; }   // trailing "/**": everything inside
+          else { re += '(?:.*/)?'; i += 2; }                     // "**/": zero or more directories
+          continue;
+        }
+      }
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) { re += '\\['; continue; }
+      let cls = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+      if (cls[0] === '!') cls = '^' + cls.slice(1);
+      re += `[${cls}]`;
+      i = close;
+    } else if (c === '\\' && i + 1 < glob.length) {
+      re += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      re += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return re;
+}
+
+/**
+ * Compile one ignore-file line. Returns null for blanks and comments.
+ * @param {string} line
+ * @param {string} base   - directory the rule is relative to ('' for the root), posix separators
+ * @param {string} source - 'path/.gitignore:12' for reporting
+ */
+function compileRule(line, base, source) {
+  let text = line.replace(/\r$/, '');
+  if (!text.trim() || text.startsWith('#')) return null;
+  text = text.replace(/(?<!\\)\s+$/, '');
+  let negate = false;
+  if (text.startsWith('!')) { negate = true; text = text.slice(1); }
+  else if (text.startsWith('\\!') || text.startsWith('\\#')) text = text.slice(1);
+  let dirOnly = false;
+  if (text.endsWith('/')) { dirOnly = true; text = text.slice(0, -1); }
+  if (!text) return null;
+  const anchored = text.includes('/');
+  if (text.startsWith('/')) text = text.slice(1);
+  const body = _globToRegex(text);
+  const prefix = base ? `${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/` : '';
+  const regex = new RegExp(anchored ? `^${prefix}${body}$` : `^${prefix}(?:.*/)?${body}$`);
+  return { pattern: line.trim(), negate, dirOnly, regex, source };
+}
+
+function _readRules(file, base, sourceName) {
+  let text;
+  try { text = fs.readFileSync(file, 'utf8'); } catch (_) { return []; }
+  return text.split('\n')
+    .map((line, i) => compileRule(line, base, `${sourceName}:${i + 1}`))
+    .filter(Boolean);
+}
+
+// ── Matcher ──────────────────────────────────────────────────────────────────
+
+function _findRoot(startPath) {
+  for (let cur = startPath; ; cur = path.dirname(cur)) {
+    if (fs.existsSync(path.join(cur, '.git'))) return cur;
+    if (cur === path.dirname(cur)) return startPath;
+  }
+}
+
+function _toPosix(rel) {
+  return rel.split(path.sep).join('/');
+}
+
+/**
+ * @param {string} startPath - directory being walked (absolute)
+ * @param {Object} [opts]
+ * @param {string[]} [opts.patterns] - base patterns (lowest precedence), gitignore syntax
+ */
+function createIgnoreMatcher(startPath, { patterns = [] } = {}) {
+  let start = startPath;
+  try { if (!fs.statSync(startPath).isDirectory()) start = path.dirname(startPath); } catch (_) {}
+  const root = _findRoot(start);
+  const baseRules = [
+    ...patterns.map((p, i) => compileRule(p, '', `exclude:${i + 1}`)).filter(Boolean),
+    ..._readRules(path.join(root, '.git', 'info', 'exclude'), '', '.git/info/exclude'),
+  ];
+  // The directory the caller asked for is never ignored, even inside e.g. node_modules.
+  const startRel = _toPosix(path.relative(root, start));
+  const dirRules = new Map(); // posix rel dir → rules from its ignore files
+  const verdicts = new Map(); // posix rel dir → ignore verdict (ancestor cache)
+
+  function rulesFor(relDir) {
+    if (!dirRules.has(relDir)) {
+      const abs = path.join(root, relDir);
+      const rules = [];
+      for (const name of IGNORE_FILES) {
+        rules.push(..._readRules(path.join(abs, name), relDir, relDir ? `${relDir}/${name}` : name));
+      }
+      dirRules.set(relDir, rules);
+    }
+    return dirRules.get(relDir);
+  }
+
+  // Last matching rule wins across base rules and every ignore file from the root down.
+  function matchOwn(rel, isDir) {
+    const parts = rel.split('/');
+    let hit = null;
+    const consider = rule => {
+      if (rule.dirOnly && !isDir) return;
+      if (rule.regex.test(rel)) hit = rule;
+    };
+    baseRules.forEach(consider);
+    for (let depth = 0; depth < parts.length; depth++) {
+      rulesFor(parts.slice(0, depth).join('/')).forEach(consider);
+    }
+    return hit && !hit.negate ? { rule: hit.pattern, source: hit.source } : null;
+  }
+
+  function test(absPath, isDir = false) {
+    const rel = _toPosix(path.relative(root, absPath));
+    if (!rel || rel.startsWith('..')) return null;
+    const parts = rel.split('/');
+    // An ignored ancestor directory ignores everything below it.
+    for (let i = 1; i < parts.length; i++) {
+      const dirRel = parts.slice(0, i).join('/');
+      if (startRel === dirRel || startRel.startsWith(dirRel + '/')) continue;
+      if (!verdicts.has(dirRel)) verdicts.set(dirRel, matchOwn(dirRel, true));
+      const verdict = verdicts.get(dirRel);
+      if (verdict) return verdict;
+    }
+    if (parts.includes('.git')) return { rule: '.git', source: 'builtin' };
+    return matchOwn(rel, isDir);
+  }
+
+  return { root, test };
+}
+
+// ── Binary / large files ─────────────────────────────────────────────────────
+
+/**
+ * Decide whether a file should be skipped by content walkers.
+ * @param {string} absPath
+ * @param {Object} [opts]
+ * @param {number} [opts.size]     - already-known size (saves a stat)
+ * @param {number} [opts.maxBytes] - files above this are 'large'
+ * @returns {null | { reason: 'binary', detail } | { reason: 'large', size }}
+ */
+function classifyFile(absPath, { size, maxBytes = DEFAULT_LARGE_FILE_BYTES } = {}) {
+  const ext = path.extname(absPath).toLowerCase();
+  if (DOCUMENT_EXTENSIONS.has(ext)) return null;
+  if (BINARY_EXTENSIONS.has(ext)) return { reason: 'binary', detail: `extension ${ext}` };
+  if (size == null) {
+    try { size = fs.statSync(absPath).size; } catch (_) { return null; }
+  }
+  if (size > maxBytes) return { reason: 'large', size };
+  if (size === 0) return null;
+
+  const head = Buffer.alloc(Math.min(size, BINARY_SNIFF_BYTES));
+  try {
+    const fd = fs.openSync(absPath, 'r');
+    try { fs.readSync(fd, head, 0, head.length, 0); } finally { fs.closeSync(fd); }
+  } catch (_) {
+    return null;
+  }
+  // UTF-16 BOMs are text (and full of NULs); otherwise NULs or control
+  // characters that never appear in text mean binary.
+  if ((head[0] === 0xff && head[1] === 0xfe) || (head[0] === 0xfe && head[1] === 0xff)) return null;
+  if (head.includes(0)) return { reason: 'binary', detail: 'contains NUL bytes' };
+  let suspicious = 0;
+  for (const b of head) if (b < 7 || (b > 13 && b < 32 && b !== 27)) suspicious++;
+  if (suspicious / head.length > 0.1) return { reason: 'binary', detail: 'non-text bytes' };
+  return null;
+}
+
+// ── Skip reporting ───────────────────────────────────────────────────────────
+
+/**
+ * Collects what a walk skipped. Counts are exact; the entry list is capped.
+ */
+function createSkipLog(limit = 100) {
+  const entries = [];
+  const counts = {};
+  return {
+    add(p, reason, detail = {}) {
+      counts[reason] = (counts[reason] || 0) + 1;
+      if (entries.length < limit) entries.push({ path: p, reason, ...detail });
+    },
+    toJSON() {
+      const total = Object.values(counts).reduce((a, b) => a + b, 0);
+      return { total, counts, entries, truncated: total > entries.length };
+    },
+  };
+}
+
+module.exports = { createIgnoreMatcher, classifyFile, createSkipLog, compileRule, DEFAULT_LARGE_FILE_BYTES };
@@ -0,0 +1,451 @@
+'use strict';
+/**
+ * log-follow.cjs
+ *
+ * Offset-tracking log follower behind file.watch's `follow` mode. Reads only the
+ * bytes appended since the last read (never the whole file), survives rotation
+ * (the path now points at a new inode: the old file is drained, then the new one
+ * is read from the start) and truncation (size dropped below the offset, or the
+ * file's first bytes changed — a rewrite that already grew past the old offset).
+ *
+ * Lines are parsed into records:
+ *   { line, raw, format, level, message, timestamp, fields }
+ * Formats: 'json', 'logfmt', 'nginx' (combined access + error log), 'winston'
+ * ("<ts> [level]: msg {meta}" / "level: msg"), 'plain' (level keyword sniffing),
+ * or 'auto' — detected per line.
+ *
+ * Filter expressions select records:
+ *   level == "error" && status >= 500
+ *   message ~ /timeout|refused/i || fields.code == "ECONNRESET"
+ *   !(path ~ "/health") and level != debug
+ * Operators: == != > >= < <= ~ (regex / substring) !~, && || ! (and / or / not),
+ * parentheses. Bare identifiers read record fields (`level`, `message`, parsed
+ * fields like `status`) — on the right-hand side an identifier that is not a
+ * field is taken as a string; a lone string or /regex/ matches the raw line.
+ * Comparisons are numeric when both sides are numbers, otherwise case-insensitive.
+ *
+ * Thresholds: { count, windowMs, filter? } alerts when MORE than `count` matching
+ * records arrive within `windowMs` ("more than 5 ERROR lines in 60s"); the next
+ * alert needs a fresh window.
+ *
+ * API:
+ *   parseLine(line, format)        → record
+ *   compileFilter(expr)            → (record) => boolean   (throws on syntax errors)
+ *   new LogFollower(file, { format, filter, threshold, fromStart })
+ *     .read()  → { records, alerts, rotated, truncated, offset }
+ *     .close()
+ */
+
+const fs = require('fs');
+
+const MAX_READ_BYTES = 4 * 1024 * 1024; // per read() — big backlogs are consumed over several reads
+const MAX_LINE_BYTES = 64 * 1024;       // a "line" longer than this is cut (binary junk, minified dumps)
+const HEAD_BYTES = 64;                  // fingerprint used to notice a file rewritten in place
+
+const LEVEL_ALIASES = {
+  err: 'error', error: 'error', eror: 'error', severe: 'error', alert: 'fatal', emerg: 'fatal', crit: 'fatal', critical: 'fatal', fatal: 'fatal', panic: 'fatal',
+  warn: 'warn', warning: 'warn', notice: 'info', info: 'info', information: 'info', http: 'info',
+  debug: 'debug', verbose: 'debug', silly: 'trace', trace: 'trace',
+};
+const PINO_LEVELS = { 10: 'trace', 20: 'debug', 30: 'info', 40: 'warn', 50: 'error', 60: 'fatal' };
+
+function _level(value) {
+  if (value == null) return null;
+  if (typeof value === 'number') return PINO_LEVELS[value] || null;
+  return LEVEL_ALIASES[String(value).toLowerCase()] || null;
+}
+
+// ── Parsers ──────────────────────────────────────────────────────────────────
+
+function _parseJson(line) {
+  if (!line.startsWith('{')) return null;
+  let obj;
+  try { obj = JSON.parse(line); } catch (_) { return null; }
+  if (!obj || typeof obj !== 'object') return null;
+  return {
+    format: 'json',
+    level: _level(obj.level ?? obj.lvl ?? obj.severity ?? obj.levelname ?? obj['log.level']),
+    message: String(obj.message ?? obj.msg ?? obj.event ?? ''),
+    timestamp: obj.timestamp ?? obj.time ?? obj.ts ?? obj['@timestamp'] ?? null,
+    fields: obj,
+  };
+}
+
+function _parseLogfmt(line) {
+  const re = /([A-Za-z_][\w.\-/]*)=("(?:[^"\\]|\\.)*"|\S*)/g;
+  const fields = {};
+  let m;
+  let pairs = 0;
+  let covered = 0;
+  while ((m = re.exec(line)) !== null) {
+    let v = m[2];
+    if (v.startsWith('"')) v = v.slice(1, -1).replace(/\\(.)/g, '$1');
+    fields[m[1]] = /^-?\d+(\.\d+)?$/.test(v) ? Number(v) : v;
+    pairs++;
+    covered += m[0].length;
+  }
+  // Mostly key=value, not prose that happens to contain one "a=b"
+  if (pairs < 2 || covered < line.replace(/\s+/g, '').length * 0.6) return null;
+  return {
+    format: 'logfmt',
+    level: _level(fields.level ?? fields.lvl ?? fields.severity),
+    message: String(fields.msg ?? fields.message ?? ''),
+    timestamp: fields.ts ?? fields.time ?? fields.timestamp ?? null,
+    fields,
+  };
+}
+
+const NGINX_ACCESS = /^(\S+) \S+ (\S+) \[([^\]]+)\] "(\S+) (\S+)(?: (\S+))?" (\d{3}) (\d+|-)(?: "([^"]*)" "([^"]*)")?/;
+const NGINX_ERROR = /^(\d{4}\/\d\d\/\d\d \d\d:\d\d:\d\d) \[(\w+)\] (\d+)#(\d+): (?:\*(\d+) )?(.*)$/;
+
+function _parseNginx(line) {
+  let m = NGINX_ACCESS.exec(line);
+  if (m) {
+    const status = Number(m[7]);
+    return {
+      format: 'nginx',
+      level: status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info',
+      message: `${m[4]} ${m[5]} ${status}`,
+      timestamp: m[3],
+      fields: {
+        remote_addr: m[1], remote_user: m[2] === '-' ? null : m[2], method: m[4], path: m[5], protocol: m[6] || null,
+        status, bytes: m[8] === '-' ? 0 : Number(m[8]), referer: m[9] || null, user_agent: m[10] || null,
+      },
+    };
+  }
+  m = NGINX_ERROR.exec(line);
+  if (m) {
+    return {
+      format: 'nginx',
+      level: _level(m[2]) || 'error',
+      message: m[6],
+      timestamp: m[1],
+      fields: { pid: Number(m[3]), tid: Number(m[4]), connection: m[5] ? Number(m[5]) : null },
+    };
+  }
+  return null;
+}
+
+const WINSTON = /^(?:(\d{4}-\d\d-\d\d[T ][\d:.]+(?:Z|[+-]\d\d:?\d\d)?)\s+)?\[?(error|warn|info|http|verbose|debug|silly)\]?:\s?(.*)$/i;
+
+function _parseWinston(line) {
+  const m = WINSTON.exec(line);
+  if (!m) return null;
+  let message = m[3];
+  let fields = {};
+  const meta = message.match(/\s(\{.*\})$/);
+  if (meta) {
+    try { fields = JSON.parse(meta[1]); message = message.slice(0, meta.index); } catch (_) {}
+  }
+  return { format: 'winston', level: _level(m[2]), message, timestamp: m[1] || null, fields };
+}
+
+function _parsePlain(line) {
+  const lvl = line.match(/\b(FATAL|CRITICAL|CRIT|PANIC|ERROR|ERR|WARNING|WARN|INFO|NOTICE|DEBUG|TRACE)\b/i);
+  const ts = line.match(/^\[?(\d{4}-\d\d-\d\d[T ][\d:.,]+(?:Z|[+-]\d\d:?\d\d)?)\]?/);
+  return { format: 'plain', level: lvl ? _level(lvl[1]) : null, message: line, timestamp: ts ? ts[1] : null, fields: {} };
+}
+
+const PARSERS = { json: _parseJson, logfmt: _parseLogfmt, nginx: _parseNginx, winston: _parseWinston, plain: _parsePlain };
+const AUTO_ORDER = ['json', 'nginx', 'winston', 'logfmt'];
+
+/**
+ * Parse one log line.
+ * @param {string} line
+ * @param {string} [format='auto'] - 'auto' | 'json' | 'logfmt' | 'nginx' | 'winston' | 'plain'
+ */
+function parseLine(line, format = 'auto') {
+  const clean = line.replace(/\u001b\[[0-9;]*m/g, '').trimEnd();
+  let parsed = null;
+  if (format === 'auto') {
+    for (const f of AUTO_ORDER) if ((parsed = PARSERS[f](clean))) break;
+  } else if (PARSERS[format]) {
+    parsed = PARSERS[format](clean);
+  } else {
+    throw new Error(`Unknown log format: ${format} (valid: auto, ${Object.keys(PARSERS).join(', ')})`);
+  }
+  return { raw: clean, ...(parsed || _parsePlain(clean)) };
+}
+
+// ── Filter expressions ───────────────────────────────────────────────────────
+
+function _tokenize(expr) {
+  const tokens = [];
+  const re = /\s*(?:(&&|\|\||!~|==|!=|>=|<=|[()<>!~])|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\/((?:[^/\\]|\\.)+)\/([gimsuy]*)|(-?\d+(?:\.\d+)?)(?![\w.])|([A-Za-z_@][\w.@\-]*))/y;
+  let pos = 0;
+  while (pos < expr.length) {
+    if (/^\s*$/.test(expr.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(expr);
+    if (!m) throw new Error(`Unexpected character at ${pos}: "${expr.slice(pos, pos + 10)}"`);
+    pos = re.lastIndex;
+    if (m[1]) tokens.push({ t: 'op', v: m[1] });
+    else if (m[2] != null || m[3] != null) tokens.push({ t: 'lit', v: (m[2] ?? m[3]).replace(/\\(.)/g, '$1') });
+    else if (m[4] != null) tokens.push({ t: 'lit', v: new RegExp(m[4], m[5].replace('g', '')) });
+    else if (m[6] != null) tokens.push({ t: 'lit', v: Number(m[6]) });
+    else {
+      const word = m[7];
+      const lower = word.toLowerCase();
+      if (lower === 'and') tokens.push({ t: 'op', v: '&&' });
+      else if (lower === 'or') tokens.push({ t: 'op', v: '||' });
+      else if (lower === 'not') tokens.push({ t: 'op', v: '!' });
+      else if (lower === 'true' || lower === 'false') tokens.push({ t: 'lit', v: lower === 'true' });
+      else if (lower === 'null') tokens.push({ t: 'lit', v: null });
+      else tokens.push({ t: 'id', v: word });
+    }
+  }
+  return tokens;
+}
+
+function _field(record, name) {
+  const lookup = (obj, parts) => parts.reduce((o, k) => (o == null ? undefined : o[k]), obj);
+  const parts = name.split('.');
+  if (parts[0] === 'fields') return lookup(record.fields, parts.slice(1));
+  const direct = lookup(record, parts);
+  return direct !== undefined ? direct : lookup(record.fields, parts);
+}
+
+function _compare(op, a, b) {
+  if (op === '~' || op === '!~') {
+    const hit = b instanceof RegExp ? b.test(String(a ?? '')) : String(a ?? '').toLowerCase().includes(String(b ?? '').toLowerCase());
+    return op === '~' ? hit : !hit;
+  }
+  const numeric = a !== null && b !== null && a !== '' && b !== '' && !isNaN(Number(a)) && !isNaN(Number(b)) && typeof a !== 'boolean' && typeof b !== 'boolean';
+  const x = numeric ? Number(a) : String(a ?? '').toLowerCase();
+  const y = numeric ? Number(b) : String(b ?? '').toLowerCase();
+  const missing = v => v === null || v === undefined;
+  if (missing(a) || missing(b)) {
+    // A missing field only equals another missing value
+    if (op === '==') return missing(a) && missing(b);
+    if (op === '!=') return !(missing(a) && missing(b));
+    return false;
+  }
+  switch (op) {
+    case '==': return x === y;
+    case '!=': return x !== y;
+    case '>': return x > y;
+    case '>=': return x >= y;
+    case '<': return x < y;
+    case '<=': return x <= y;
+    default: return false;
+  }
+}
+
+/**
+ * Compile a filter expression into a predicate over parsed records.
+ * An empty expression matches everything.
+ */
+function compileFilter(expr) {
+  if (!expr || !String(expr).trim()) return () => true;
+  const tokens = _tokenize(String(expr));
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = v => peek() && peek().t === 'op' && peek().v === v;
+
+  // On the right of a comparison an unknown bare word is a string: `level == error`
+  function operand(right = false) {
+    const tok = tokens[i++];
+    if (!tok) throw new Error('Unexpected end of filter expression');
+    if (tok.t === 'lit') return () => tok.v;
+    if (tok.t === 'id' && right) return rec => { const v = _field(rec, tok.v); return v === undefined ? tok.v : v; };
+    if (tok.t === 'id') return rec => _field(rec, tok.v);
+    throw new Error(`Unexpected "${tok.v}" in filter expression`);
+  }
+
+  function primary() {
+    if (isOp('(')) {
+      i++;
+      const inner = orExpr();
+      if (!isOp(')')) throw new Error('Missing ")" in filter expression');
+      i++;
+      return inner;
+    }
+    const startTok = peek();
+    const left = operand();
+    const next = peek();
+    if (next && next.t === 'op' && ['==', '!=', '>', '>=', '<', '<=', '~', '!~'].includes(next.v)) {
+      i++;
+      const right = operand(true);
+      return rec => _compare(next.v, left(rec), right(rec));
+    }
+    // A lone literal searches the raw line; a lone field is a truthiness test
+    if (startTok.t === 'lit') return rec => _compare('~', rec.raw, startTok.v);
+    return rec => { const v = left(rec); return v != null && v !== false && v !== '' && v !== 0; };
+  }
+
+  function unary() {
+    if (isOp('!')) { i++; const inner = unary(); return rec => !inner(rec); }
+    return primary();
+  }
+
+  function andExpr() {
+    let left = unary();
+    while (isOp('&&')) { i++; const l = left; const r = unary(); left = rec => l(rec) && r(rec); }
+    return left;
+  }
+
+  function orExpr() {
+    let left = andExpr();
+    while (isOp('||')) { i++; const l = left; const r = andExpr(); left = rec => l(rec) || r(rec); }
+    return left;
+  }
+
+  const predicate = orExpr();
+  if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].v}" in filter expression`);
+  return rec => {
+    try { return !!predicate(rec); } catch (_) { return false; }
+  };
+}
+
+// ── Follower ─────────────────────────────────────────────────────────────────
+
+class LogFollower {
+  /**
+   * @param {string} file
+   * @param {Object} [opts]
+   * @param {string}  [opts.format='auto']
+   * @param {string}  [opts.filter]     - records to emit
+   * @param {Object}  [opts.threshold]  - { count, windowMs, filter? } — alert on more than count in window
+   * @param {boolean} [opts.fromStart]  - read existing content first (default: only new lines)
+   */
+  constructor(file, { format = 'auto', filter, threshold, fromStart = false } = {}) {
+    if (format !== 'auto' && !PARSERS[format]) parseLine('', format); // throws with the valid list
+    this.file = file;
+    this.format = format;
+    this.filter = compileFilter(filter);
+    this.filterExpr = filter || null;
+    if (threshold) {
+      if (!(threshold.count >= 0) || !(threshold.windowMs > 0)) throw new Error('threshold needs count >= 0 and windowMs > 0');
+      this.threshold = { count: threshold.count, windowMs: threshold.windowMs, filter: threshold.filter || null };
+      this.thresholdFilter = threshold.filter ? compileFilter(threshold.filter) : this.filter;
+    } else {
+      this.threshold = null;
+    }
+    this.hits = [];          // timestamps of threshold matches inside the window
+    this.alertedAt = 0;
+    this.partial = '';
+    this.lineNo = 0;
+    this.fd = null;
+    this.ino = null;
+    this.offset = 0;
+    this.head = null;        // first bytes of the file — a rewrite that outgrows the offset changes them
+    this.stats = { lines: 0, records: 0, alerts: 0, rotations: 0, truncations: 0 };
+    this._open(fromStart);
+  }
+
+  _open(fromStart) {
+    try {
+      this.fd = fs.openSync(this.file, 'r');
+      const st = fs.fstatSync(this.fd);
+      this.ino = `${st.dev}:${st.ino}`;
+      this.offset = fromStart ? 0 : st.size;
+      this.head = this._readHead();
+    } catch (_) {
+      this.fd = null; // not there yet — picked up by a later read()
+      this.ino = null;
+      this.offset = 0;
+      this.head = null;
+    }
+  }
+
+  _readHead() {
+    const buf = Buffer.alloc(HEAD_BYTES);
+    const n = fs.readSync(this.fd, buf, 0, HEAD_BYTES, 0);
+    return buf.slice(0, n);
+  }
+
+  _drain(now, out) {
+    if (this.fd == null) return;
+    const size = fs.fstatSync(this.fd).size;
+    const head = this.head;
+    const rewritten = head && head.length && size >= head.length && !this._readHead().slice(0, head.length).equals(head);
+    if (size < this.offset || rewritten) {
+      // Truncated in place (copytruncate, `> file`) or rewritten from the start: start over
+      this.offset = 0;
+      this.partial = '';
+      this.stats.truncations++;
+      out.truncated = true;
+    }
+    let budget = MAX_READ_BYTES;
+    while (this.offset < size && budget > 0) {
+      const len = Math.min(size - this.offset, 256 * 1024, budget);
+      const buf = Buffer.alloc(len);
+      const n = fs.readSync(this.fd, buf, 0, len, this.offset);
+      if (n <= 0) break;
+      this.offset += n;
+      budget -= n;
+      this._consume(buf.slice(0, n).toString('utf8'), now, out);
+    }
+    if (!this.head || this.head.length < HEAD_BYTES) this.head = this._readHead();
+  }
+
+  _consume(text, now, out) {
+    const parts = (this.partial + text).split('\n');
+    this.partial = parts.pop();
+    if (this.partial.length > MAX_LINE_BYTES) { parts.push(this.partial.slice(0, MAX_LINE_BYTES)); this.partial = ''; }
+    for (let line of parts) {
+      this.lineNo++;
+      if (line.length > MAX_LINE_BYTES) line = line.slice(0, MAX_LINE_BYTES);
+      if (!line.trim()) continue;
+      this.stats.lines++;
+      const record = { line: this.lineNo, ...parseLine(line, this.format) };
+      if (this.filter(record)) {
+        out.records.push(record);
+        this.stats.records++;
+      }
+      if (this.threshold && this.thresholdFilter(record)) this._countHit(record, now, out);
+    }
+  }
+
+  _countHit(record, now, out) {
+    const { count, windowMs } = this.threshold;
+    this.hits.push({ at: now, record });
+    while (this.hits.length && now - this.hits[0].at > windowMs) this.hits.shift();
+    if (this.hits.length > count && now - this.alertedAt >= windowMs) {
+      this.alertedAt = now;
+      this.stats.alerts++;
+      out.alerts.push({
+        at: new Date(now).toISOString(),
+        count: this.hits.length,
+        threshold: count,
+        windowMs,
+        filter: this.threshold.filter || this.filterExpr,
+        message: `${this.hits.length} matching lines in ${Math.round(windowMs / 1000)}s (threshold: more than ${count})`,
+        sample: this.hits.slice(-5).map(h => h.record.raw),
+      });
+    }
+  }
+
+  /** Read everything appended since the last call. */
+  read(now = Date.now()) {
+    const out = { records: [], alerts: [], rotated: false, truncated: false };
+    if (this.fd == null) this._open(true);
+    if (this.fd != null) {
+      let st = null;
+      try { st = fs.statSync(this.file); } catch (_) {}
+      const currentIno = st ? `${st.dev}:${st.ino}` : null;
+      this._drain(now, out);
+      if (currentIno && currentIno !== this.ino) {
+        // Rotated: finish the old file (done above), then follow the new one from its start
+        if (this.partial) { this._consume('\n', now, out); }
+        try { fs.closeSync(this.fd); } catch (_) {}
+        this.stats.rotations++;
+        out.rotated = true;
+        this.partial = '';
+        this._open(true);
+        this._drain(now, out);
+      }
+    }
+    out.offset = this.offset;
+    return out;
+  }
+
+  close() {
+    if (this.fd != null) {
+      try { fs.closeSync(this.fd); } catch (_) {}
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = { parseLine, compileFilter, LogFollower, FORMATS: ['auto', ...Object.keys(PARSERS)] };
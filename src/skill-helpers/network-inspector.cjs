@@ -0,0 +1,334 @@
+'use strict';
+/**
+ * network-inspector.cjs
+ *
+ * Per-session network inspector behind browser.act's network-* actions. Listens
+ * to a Playwright BrowserContext ('request' / 'response' / 'requestfinished' /
+ * 'requestfailed', which cover every page and frame; a Page emits the same events
+ * for just that tab) and keeps the most recent requests in a ring buffer, so an
+ * agent can check "the send API returned 200" instead of guessing from DOM text.
+ *
+ * Each entry:
+ *   { id, seq, method, url, resourceType, state: 'pending' | 'done' | 'failed',
+ *     status, statusText, failure, startedAt, endedAt, durationMs, timing,
+ *     frame: { url, name, isMain }, redirectedFrom,
+ *     requestHeaders, responseHeaders, requestBody, responseBody }
+ * Bodies are { text, size, truncated } — text only for textual content types and
+ * cut at maxBodyBytes; other bodies are { omitted: 'binary', size }. A response
+ * whose Content-Type is not textual, or whose Content-Length is over maxBodyBytes
+ * ({ omitted: 'too-large', size }), is never fetched from the browser. Credential
+ * headers (Authorization, Cookie, Set-Cookie, API-key / token headers) are
+ * replaced with "[redacted]", and so are credential fields (password, token,
+ * secret, api_key, …) in form-urlencoded and JSON request bodies.
+ *
+ * URL patterns: "/regex/flags" or a plain substring. A slash-wrapped pattern is
+ * only a regex when its body uses regex syntax, so "/api/send/" stays a substring.
+ * Status filters: a number (200), a class ("2xx") or an array of either.
+ *
+ * API:
+ *   new NetworkInspector({ capacity, maxBodyBytes, captureBodies, redactHeaders, redactFields })
+ *     .attach(contextOrPage)                  → may be called again for popups
+ *     .list({ url, method, status, resourceType, state, sinceSeq, limit }) → summaries (newest last)
+ *     .get(id)                                → full entry or null
+ *     .find(filter)                           → newest full entry matching, or null
+ *     .waitFor(filter, { timeoutMs, sinceSeq, sinceTs }) → full entry (rejects on timeout)
+ *     .clear()
+ *     .dispose()                              → rejects pending waits
+ */
+
+const DEFAULT_CAPACITY = 500;
+const DEFAULT_MAX_BODY_BYTES = 64 * 1024;
+const REDACTED = '[redacted]';
+const DEFAULT_REDACT_HEADERS = [
+  'authorization', 'proxy-authorization', 'cookie', 'set-cookie',
+  'x-api-key', 'api-key', 'x-auth-token', 'x-access-token', 'x-csrf-token', 'x-xsrf-token',
+];
+const TEXT_TYPE_RE = /^text\/|json|xml|javascript|ecmascript|x-www-form-urlencoded|graphql|csv/i;
+const CREDENTIAL_FIELD_RE = /passw(?:or)?d|passphrase|^pwd$|secret|token|api[-_]?key|access[-_]?key|private[-_]?key|credential|^auth(?:orization)?$|^otp$|^cvc$|^cvv$|card[-_]?number/i;
+// "key": value pairs, for JSON bodies that do not parse (cut off, or JSON-ish)
+const JSON_PAIR_RE = /("((?:[^"\\]|\\.)*)"\s*:\s*)("(?:[^"\\]|\\.)*"|[^,}\]\s]+)/g;
+
+function compileUrlPattern(pattern) {
+  if (pattern === undefined || pattern === null || pattern === '') return () => true;
+  if (pattern instanceof RegExp) return u => pattern.test(u);
+  // URL paths look like /regex/ too: only treat it as one when it uses regex syntax
+  const m = String(pattern).match(/^\/(.+)\/([dgimsuy]*)$/);
+  if (m && /[\\^$.*+?()[\]{}|]/.test(m[1])) {
+    const re = new RegExp(m[1], m[2]);
+    return u => re.test(u);
+  }
+  return u => u.includes(String(pattern));
+}
+
+function compileStatus(status) {
+  if (status === undefined || status === null || status === '') return () => true;
+  const tests = (Array.isArray(status) ? status : [status]).map((s) => {
+    const cls = String(s).match(/^([1-5])xx$/i);
+    if (cls) return code => Math.floor(code / 100) === Number(cls[1]);
+    const n = Number(s);
+    if (!Number.isInteger(n)) throw new Error(`Invalid status filter "${s}" (use 200, "2xx" or a list)`);
+    return code => code === n;
+  });
+  return code => code !== null && tests.some(t => t(code));
+}
+
+function compileFilter(filter = {}) {
+  const url = compileUrlPattern(filter.url);
+  const status = compileStatus(filter.status);
+  const method = filter.method ? String(filter.method).toUpperCase() : null;
+  const type = filter.resourceType ? String(filter.resourceType).toLowerCase() : null;
+  const hasStatus = filter.status !== undefined && filter.status !== null && filter.status !== '';
+  return e => url(e.url)
+    && (!method || e.method === method)
+    && (!type || e.resourceType === type)
+    && (!filter.state || e.state === filter.state)
+    && (!hasStatus || status(e.status));
+}
+
+/** Replace credential fields in a form-urlencoded or JSON body; other bodies pass through. */
+function redactBodyFields(text, contentType, isCredential) {
+  if (/x-www-form-urlencoded/i.test(contentType)) {
+    const params = new URLSearchParams(text);
+    const keys = [...new Set(params.keys())].filter(isCredential);
+    for (const key of keys) params.set(key, REDACTED);
+    return keys.length ? params.toString() : text;
+  }
+  if (!/json|graphql/i.test(contentType)) return text;
+  let hit = false;
+  const walk = (v) => {
+    if (Array.isArray(v)) return v.map(walk);
+    if (!v || typeof v !== 'object') return v;
+    const out = {};
+    for (const [k, val] of Object.entries(v)) {
+      if (isCredential(k) && !(val && typeof val === 'object' && !Array.isArray(val))) { out[k] = REDACTED; hit = true; } else out[k] = walk(val);
+    }
+    return out;
+  };
+  try {
+    const redacted = walk(JSON.parse(text));
+    return hit ? JSON.stringify(redacted) : text;
+  } catch (_) {
+    return text.replace(JSON_PAIR_RE, (m, head, key) => (isCredential(key) ? `${head}"${REDACTED}"` : m));
+  }
+}
+
+function summarize(e) {
+  return {
+    id: e.id,
+    seq: e.seq,
+    method: e.method,
+    url: e.url,
+    resourceType: e.resourceType,
+    state: e.state,
+    status: e.status,
+    failure: e.failure,
+    durationMs: e.durationMs,
+    frame: e.frame,
+    startedAt: e.startedAt,
+  };
+}
+
+class NetworkInspector {
+  constructor({ capacity = DEFAULT_CAPACITY, maxBodyBytes = DEFAULT_MAX_BODY_BYTES, captureBodies = true, redactHeaders = [], redactFields = [] } = {}) {
+    this.capacity = Math.max(1, Math.floor(capacity));
+    this.maxBodyBytes = maxBodyBytes;
+    this.captureBodies = captureBodies;
+    this.redact = new Set([...DEFAULT_REDACT_HEADERS, ...redactHeaders.map(h => h.toLowerCase())]);
+    const extraFields = new Set(redactFields.map(f => f.toLowerCase()));
+    this.isCredentialField = k => CREDENTIAL_FIELD_RE.test(k) || extraFields.has(k.toLowerCase());
+    this.entries = [];
+    this.byId = new Map();
+    this.byRequest = new WeakMap();
+    this.waiters = new Set();
+    this.seq = 0;
+    this.dropped = 0;
+  }
+
+  attach(context) {
+    context.on('request', req => this._onRequest(req));
+    context.on('response', res => this._onResponse(res));
+    context.on('requestfinished', req => this._settle(req, null));
+    context.on('requestfailed', req => this._settle(req, this._safe(() => req.failure()?.errorText, 'failed')));
+    return this;
+  }
+
+  _safe(fn, fallback = null) {
+    try { return fn(); } catch (_) { return fallback; }
+  }
+
+  _headers(headers) {
+    const out = {};
+    for (const [k, v] of Object.entries(headers || {})) {
+      out[k] = this.redact.has(k.toLowerCase()) ? REDACTED : v;
+    }
+    return out;
+  }
+
+  _body(buffer, contentType) {
+    if (!buffer || !buffer.length) return null;
+    if (contentType && !TEXT_TYPE_RE.test(contentType)) return { omitted: 'binary', size: buffer.length };
+    const truncated = buffer.length > this.maxBodyBytes;
+    return { text: buffer.subarray(0, this.maxBodyBytes).toString('utf8'), size: buffer.length, truncated };
+  }
+
+  _requestBody(buffer, contentType) {
+    const body = this._body(buffer, contentType);
+    if (!body || body.text === undefined || !contentType) return body;
+    const redacted = redactBodyFields(buffer.toString('utf8'), contentType, this.isCredentialField);
+    return { ...body, text: Buffer.from(redacted).subarray(0, this.maxBodyBytes).toString('utf8') };
+  }
+
+  /** Read a response body unless its headers already say it would be omitted. */
+  async _responseBody(res, headers) {
+    const contentType = headers?.['content-type'];
+    const length = headers?.['content-length'];
+    const size = length && Number.isFinite(Number(length)) ? Number(length) : null;
+    if (contentType && !TEXT_TYPE_RE.test(contentType)) return { omitted: 'binary', size };
+    if (size !== null && size > this.maxBodyBytes) return { omitted: 'too-large', size };
+    let buffer = null;
+    try { buffer = await res.body(); } catch (_) {}
+    return this._body(buffer, contentType);
+  }
+
+  _onRequest(req) {
+    const frame = this._safe(() => req.frame());
+    const headers = this._safe(() => req.headers(), {});
+    const entry = {
+      id: `n${++this.seq}`,
+      seq: this.seq,
+      method: this._safe(() => req.method(), 'GET').toUpperCase(),
+      url: this._safe(() => req.url(), ''),
+      resourceType: this._safe(() => req.resourceType(), 'other'),
+      state: 'pending',
+      status: null,
+      statusText: null,
+      failure: null,
+      startedAt: Date.now(),
+      endedAt: null,
+      durationMs: null,
+      timing: null,
+      frame: frame ? {
+        url: this._safe(() => frame.url(), ''),
+        name: this._safe(() => frame.name(), ''),
+        isMain: this._safe(() => !frame.parentFrame(), false),
+      } : null,
+      redirectedFrom: this.byRequest.get(this._safe(() => req.redirectedFrom()))?.id || null,
+      requestHeaders: this._headers(headers),
+      responseHeaders: null,
+      requestBody: this.captureBodies ? this._requestBody(this._safe(() => req.postDataBuffer()), headers['content-type']) : null,
+      responseBody: null,
+      _request: req,
+      _response: null,
+    };
+    this.byRequest.set(req, entry);
+    this.byId.set(entry.id, entry);
+    this.entries.push(entry);
+    while (this.entries.length > this.capacity) {
+      const old = this.entries.shift();
+      this.byId.delete(old.id);
+      this.dropped++;
+    }
+  }
+
+  _onResponse(res) {
+    const entry = this.byRequest.get(this._safe(() => res.request()));
+    if (!entry) return;
+    entry._response = res;
+    entry.status = this._safe(() => res.status());
+    entry.statusText = this._safe(() => res.statusText(), '');
+    entry.responseHeaders = this._headers(this._safe(() => res.headers(), {}));
+  }
+
+  async _settle(req, failure) {
+    const entry = this.byRequest.get(req);
+    if (!entry || entry.state !== 'pending') return;
+    const res = entry._response;
+    if (res && this.captureBodies && !failure) {
+      // Redirect responses have no body; everything else is read once, here
+      entry.responseBody = await this._responseBody(res, entry.responseHeaders);
+    }
+    const timing = this._safe(() => req.timing());
+    entry.timing = timing || null;
+    entry.endedAt = Date.now();
+    entry.durationMs = timing && timing.responseEnd >= 0 ? Math.round(timing.responseEnd) : entry.endedAt - entry.startedAt;
+    entry.failure = failure;
+    entry.state = failure ? 'failed' : 'done';
+    entry._request = null;
+    entry._response = null;
+    for (const w of [...this.waiters]) w.check(entry);
+  }
+
+  _public(entry) {
+    if (!entry) return null;
+    const { _request, _response, ...rest } = entry;
+    return rest;
+  }
+
+  list(filter = {}) {
+    const match = compileFilter(filter);
+    const sinceSeq = filter.sinceSeq || 0;
+    const out = this.entries.filter(e => e.seq > sinceSeq && match(e)).map(summarize);
+    return filter.limit ? out.slice(-filter.limit) : out;
+  }
+
+  get(id) {
+    return this._public(this.byId.get(id));
+  }
+
+  find(filter = {}) {
+    const match = compileFilter(filter);
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      if (match(this.entries[i])) return this._public(this.entries[i]);
+    }
+    return null;
+  }
+
+  /**
+   * Resolve with the first settled request (done or failed) matching `filter`.
+   * Requests already in the buffer count when they started after sinceSeq /
+   * sinceTs, so a wait issued just after a click still sees a fast response.
+   */
+  waitFor(filter = {}, { timeoutMs = 15000, sinceSeq = 0, sinceTs = 0 } = {}) {
+    const match = compileFilter({ ...filter, state: undefined });
+    const eligible = e => e.state !== 'pending' && e.seq > sinceSeq && e.startedAt >= sinceTs && match(e);
+
+    const existing = this.entries.find(eligible);
+    if (existing) return Promise.resolve(this._public(existing));
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        check: (e) => {
+          if (!eligible(e)) return;
+          finish();
+          resolve(this._public(e));
+        },
+        cancel: (err) => { finish(); reject(err); },
+      };
+      const timer = setTimeout(() => {
+        const pending = this.entries.filter(e => e.state === 'pending' && e.seq > sinceSeq && match(e)).length;
+        waiter.cancel(new Error(`No matching network response within ${timeoutMs}ms${pending ? ` (${pending} matching request(s) still pending)` : ''}`));
+      }, timeoutMs);
+      const finish = () => { clearTimeout(timer); this.waiters.delete(waiter); };
+      this.waiters.add(waiter);
+    });
+  }
+
+  clear() {
+    this.entries = [];
+    this.byId.clear();
+  }
+
+  dispose() {
+    for (const w of [...this.waiters]) w.cancel(new Error('Browser session closed'));
+    this.clear();
+  }
+}
+
+module.exports = {
+  NetworkInspector,
+  compileUrlPattern,
+  compileStatus,
+  DEFAULT_CAPACITY,
+  DEFAULT_MAX_BODY_BYTES,
+  DEFAULT_REDACT_HEADERS,
+};
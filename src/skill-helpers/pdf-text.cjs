@@ -0,0 +1,673 @@
+'use strict';
+/**
+ * pdf-text.cjs
+ *
+ * Dependency-free PDF text extraction for fs.read. Works offline on the raw
+ * bytes: objects (including PDF 1.5 object streams) are parsed, the page tree
+ * is walked in order, and each page's content stream is interpreted for its
+ * text operators (Tj, TJ, ', ", with Td/TD/Tm/T* for line breaks).
+ *
+ * Glyph codes are mapped to Unicode through the font's /ToUnicode CMap when
+ * present, otherwise through /Differences glyph names or a WinAnsi (latin1)
+ * fallback. Form XObjects are followed so text inside them is not lost.
+ *
+ * Flate streams are inflated with a per-stream and a per-document output cap;
+ * past either the whole extraction fails with "Document too large after
+ * decompression" rather than returning partial text.
+ *
+ * Not supported (reported as an error, never as garbage text): encrypted PDFs.
+ * Scanned pages have no text layer and come back empty — `emptyPages` says
+ * which, so the caller can suggest OCR.
+ *
+ * API:
+ *   extractPdfText(buffer, { maxPages, maxInflatedBytes }) → { pages: [{ page, text }], pageCount, emptyPages, info }
+ */
+
+const zlib = require('zlib');
+
+const MAX_STREAM_BYTES = 64 * 1024 * 1024;
+const DEFAULT_MAX_INFLATED_BYTES = 256 * 1024 * 1024;
+
+// ── Lexer / object parser ────────────────────────────────────────────────────
+// Values: number | boolean | null | '/Name' (string with slash) |
+//         { str: 'binary' } | { ref, gen } | array | dict (plain object) | { op }
+
+const WS = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIM = new Set('()<>[]{}/%'.split('').map(c => c.charCodeAt(0)));
+
+class Lexer {
+  constructor(src, pos = 0) {
+    this.src = src; // latin1 string — one char per byte
+    this.pos = pos;
+  }
+
+  skipWs() {
+    const s = this.src;
+    while (this.pos < s.length) {
+      const c = s.charCodeAt(this.pos);
+      if (WS.has(c)) { this.pos++; continue; }
+      if (c === 0x25) { // % comment
+        while (this.pos < s.length && s[this.pos] !== '\n' && s[this.pos] !== '\r') this.pos++;
+        continue;
+      }
+      break;
+    }
+  }
+
+  _word() {
+    const s = this.src;
+    const start = this.pos;
+    while (this.pos < s.length) {
+      const c = s.charCodeAt(this.pos);
+      if (WS.has(c) || DELIM.has(c)) break;
+      this.pos++;
+    }
+    return s.slice(start, this.pos);
+  }
+
+  _literalString() {
+    const s = this.src;
+    let depth = 1;
+    let out = '';
+    this.pos++; // (
+    while (this.pos < s.length) {
+      const ch = s[this.pos++];
+      if (ch === '\\') {
+        const n = s[this.pos++];
+        if (n === 'n') out += '\n';
+        else if (n === 'r') out += '\r';
+        else if (n === 't') out += '\t';
+        else if (n === 'b') out += '\b';
+        else if (n === 'f') out += '\f';
+        else if (n === '\r') { if (s[this.pos] === '\n') this.pos++; }
+        else if (n === '\n') { /* line continuation */ }
+        else if (n >= '0' && n <= '7') {
+          let oct = n;
+          while (oct.length < 3 && s[this.pos] >= '0' && s[this.pos] <= '7') oct += s[this.pos++];
+          out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+        } else out += n;
+      } else if (ch === '(') { depth++; out += ch; }
+      else if (ch === ')') { if (--depth === 0) break; out += ch; }
+      else out += ch;
+    }
+    return { str: out };
+  }
+
+  _hexString() {
+    const s = this.src;
+    const end = s.indexOf('>', this.pos);
+    const hex = s.slice(this.pos + 1, end === -1 ? s.length : end).replace(/[^0-9a-fA-F]/g, '');
+    this.pos = end === -1 ? s.length : end + 1;
+    let out = '';
+    for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt((hex.slice(i, i + 2) + '0').slice(0, 2), 16));
+    return { str: out };
+  }
+
+  /** Next value or operator; undefined at end of input. */
+  next() {
+    this.skipWs();
+    const s = this.src;
+    if (this.pos >= s.length) return undefined;
+    const ch = s[this.pos];
+    if (ch === '(') return this._literalString();
+    if (ch === '<') {
+      if (s[this.pos + 1] === '<') {
+        this.pos += 2;
+        const dict = {};
+        for (;;) {
+          this.skipWs();
+          if (this.pos >= s.length) break;
+          if (s[this.pos] === '>' && s[this.pos + 1] === '>') { this.pos += 2; break; }
+          const key = this.next();
+          if (typeof key !== 'string' || key[0] !== '/') { if (key === undefined) break; continue; }
+          dict[key.slice(1)] = this.value();
+        }
+        return dict;
+      }
+      return this._hexString();
+    }
+    if (ch === '[') {
+      this.pos++;
+      const arr = [];
+      for (;;) {
+        this.skipWs();
+        if (this.pos >= s.length) break;
+        if (s[this.pos] === ']') { this.pos++; break; }
+        const v = this.value();
+        if (v === undefined) break;
+        arr.push(v);
+      }
+      return arr;
+    }
+    if (ch === '/') {
+      this.pos++;
+      return '/' + this._word().replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+    }
+    if (ch === ']' || ch === '>' || ch === ')' || ch === '{' || ch === '}') { this.pos++; return { op: ch }; }
+    const word = this._word();
+    if (!word) { this.pos++; return { op: ch }; }
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return parseFloat(word);
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return { op: word };
+  }
+
+  /** Like next(), but folds "num gen R" into a reference. */
+  value() {
+    const v = this.next();
+    if (typeof v === 'number' && Number.isInteger(v)) {
+      const save = this.pos;
+      const gen = this.next();
+      if (typeof gen === 'number' && Number.isInteger(gen)) {
+        const r = this.next();
+        if (r && r.op === 'R') return { ref: v, gen };
+      }
+      this.pos = save;
+    }
+    return v;
+  }
+}
+
+// ── Streams ──────────────────────────────────────────────────────────────────
+
+function _tooLarge(message) {
+  const err = new Error(`Document too large after decompression: ${message}`);
+  err.code = 'ERR_DOCUMENT_TOO_LARGE';
+  return err;
+}
+
+function _mb(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+function _inflate(buf, maxOutputLength) {
+  try {
+    return zlib.inflateSync(buf, { maxOutputLength });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw err;
+    // Truncated / slightly corrupt streams are common — take what inflates.
+    return zlib.inflateSync(buf, { maxOutputLength, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  }
+}
+
+function _ascii85(str) {
+  const out = [];
+  const s = str.replace(/\s/g, '').replace(/^<~/, '').replace(/~>.*$/, '');
+  let group = [];
+  const flush = (n) => {
+    let v = 0;
+    for (let i = 0; i < 5; i++) v = v * 85 + (group[i] ?? 84);
+    const bytes = [(v >>> 24) & 0xff, (v >>> 16) & 0xff, (v >>> 8) & 0xff, v & 0xff];
+    out.push(...bytes.slice(0, n));
+    group = [];
+  };
+  for (const ch of s) {
+    if (ch === 'z' && group.length === 0) { out.push(0, 0, 0, 0); continue; }
+    group.push(ch.charCodeAt(0) - 33);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length) flush(group.length - 1);
+  return Buffer.from(out);
+}
+
+function _pngUnpredict(buf, columns) {
+  const rowLen = columns + 1;
+  const out = Buffer.alloc(Math.floor(buf.length / rowLen) * columns);
+  let prev = Buffer.alloc(columns);
+  for (let r = 0; r * rowLen < buf.length - 1; r++) {
+    const type = buf[r * rowLen];
+    const row = Buffer.from(buf.subarray(r * rowLen + 1, r * rowLen + rowLen));
+    for (let i = 0; i < row.length; i++) {
+      const left = i > 0 ? row[i - 1] : 0;
+      const up = prev[i] || 0;
+      const upLeft = i > 0 ? prev[i - 1] || 0 : 0;
+      if (type === 1) row[i] = (row[i] + left) & 0xff;
+      else if (type === 2) row[i] = (row[i] + up) & 0xff;
+      else if (type === 3) row[i] = (row[i] + ((left + up) >> 1)) & 0xff;
+      else if (type === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        row[i] = (row[i] + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft)) & 0xff;
+      }
+    }
+    row.copy(out, r * columns);
+    prev = row;
+  }
+  return out;
+}
+
+// ── Document ─────────────────────────────────────────────────────────────────
+
+class PdfDoc {
+  constructor(buffer, { maxInflatedBytes = DEFAULT_MAX_INFLATED_BYTES } = {}) {
+    this.buf = buffer;
+    this.maxInflatedBytes = maxInflatedBytes;
+    this.inflated = 0;
+    this.src = buffer.toString('latin1');
+    this.objects = new Map(); // num → { value, stream: Buffer|null }
+    this._scanObjects();
+    this._loadObjectStreams();
+  }
+
+  _scanObjects() {
+    const re = /(\d+)\s+(\d+)\s+obj\b/g;
+    let m;
+    while ((m = re.exec(this.src)) !== null) {
+      const lex = new Lexer(this.src, m.index + m[0].length);
+      let value;
+      try { value = lex.value(); } catch (_) { continue; }
+      let stream = null;
+      lex.skipWs();
+      if (this.src.startsWith('stream', lex.pos)) {
+        let start = lex.pos + 6;
+        if (this.src[start] === '\r') start++;
+        if (this.src[start] === '\n') start++;
+        let end = -1;
+        const len = value && typeof value.Length === 'number' ? value.Length : null;
+        if (len != null && /^\s*endstream/.test(this.src.slice(start + len, start + len + 20))) end = start + len;
+        if (end === -1) {
+          end = this.src.indexOf('endstream', start);
+          if (end === -1) end = this.src.length;
+          while (end > start && (this.src[end - 1] === '\n' || this.src[end - 1] === '\r')) end--;
+        }
+        stream = this.buf.subarray(start, end);
+        re.lastIndex = end;
+      }
+      this.objects.set(Number(m[1]), { value, stream });
+    }
+  }
+
+  _loadObjectStreams() {
+    for (const [, obj] of [...this.objects]) {
+      const v = obj.value;
+      if (!v || v.Type !== '/ObjStm' || !obj.stream) continue;
+      const data = this.decodeStream(obj);
+      if (!data) continue;
+      const text = data.toString('latin1');
+      const header = new Lexer(text, 0);
+      const pairs = [];
+      for (let i = 0; i < (v.N || 0); i++) pairs.push([header.next(), header.next()]);
+      for (const [num, off] of pairs) {
+        if (typeof num !== 'number' || this.objects.has(num)) continue;
+        try {
+          this.objects.set(num, { value: new Lexer(text, (v.First || 0) + off).value(), stream: null });
+        } catch (_) {}
+      }
+    }
+  }
+
+  resolve(v) {
+    let guard = 0;
+    while (v && typeof v === 'object' && 'ref' in v && guard++ < 32) {
+      const obj = this.objects.get(v.ref);
+      v = obj ? obj.value : null;
+    }
+    return v;
+  }
+
+  object(v) {
+    return v && typeof v === 'object' && 'ref' in v ? this.objects.get(v.ref) || null : null;
+  }
+
+  decodeStream(obj) {
+    if (!obj || !obj.stream) return null;
+    const dict = obj.value || {};
+    const filters = [].concat(this.resolve(dict.Filter) || []);
+    const parms = [].concat(this.resolve(dict.DecodeParms) || []);
+    let data = obj.stream;
+    try {
+      for (let i = 0; i < filters.length; i++) {
+        const f = filters[i];
+        if (f === '/FlateDecode' || f === '/Fl') {
+          data = this._inflate(data);
+          const p = this.resolve(parms[i]) || {};
+          if (p.Predictor >= 10) data = _pngUnpredict(data, p.Columns || 1);
+        } else if (f === '/ASCIIHexDecode' || f === '/AHx') {
+          data = Buffer.from(data.toString('latin1').replace(/[^0-9a-fA-F]/g, ''), 'hex');
+        } else if (f === '/ASCII85Decode' || f === '/A85') {
+          data = _ascii85(data.toString('latin1'));
+        } else {
+          return null; // image codecs etc. — no text in there
+        }
+      }
+    } catch (err) {
+      if (err.code === 'ERR_DOCUMENT_TOO_LARGE') throw err;
+      return null;
+    }
+    return data;
+  }
+
+  _inflate(data) {
+    const remaining = this.maxInflatedBytes - this.inflated;
+    let out;
+    try {
+      out = _inflate(data, Math.max(1, Math.min(MAX_STREAM_BYTES, remaining)));
+    } catch (err) {
+      if (err.code !== 'ERR_BUFFER_TOO_LARGE') throw err;
+      throw _tooLarge(remaining < MAX_STREAM_BYTES
+        ? `streams inflate past ${_mb(this.maxInflatedBytes)} in total`
+        : `a stream inflates past ${_mb(MAX_STREAM_BYTES)}`);
+    }
+    this.inflated += out.length;
+    return out;
+  }
+
+  isEncrypted() {
+    return /\/Encrypt\s+\d+\s+\d+\s+R/.test(this.src);
+  }
+
+  catalog() {
+    let cat = null;
+    for (const [, obj] of this.objects) if (obj.value && obj.value.Type === '/Catalog') cat = obj.value;
+    return cat;
+  }
+
+  info() {
+    const m = this.src.match(/\/Info\s+(\d+)\s+\d+\s+R/);
+    const dict = m ? this.resolve({ ref: Number(m[1]), gen: 0 }) : null;
+    if (!dict || typeof dict !== 'object') return {};
+    const out = {};
+    for (const k of ['Title', 'Author', 'Subject', 'Creator', 'Producer']) {
+      const v = this.resolve(dict[k]);
+      if (v && v.str) out[k.toLowerCase()] = _decodeTextString(v.str);
+    }
+    return out;
+  }
+
+  /** Pages in document order, each with inherited Resources. */
+  pages() {
+    const out = [];
+    const cat = this.catalog();
+    const walk = (node, inherited, depth) => {
+      node = this.resolve(node);
+      if (!node || depth > 64) return;
+      const resources = node.Resources ? this.resolve(node.Resources) : inherited;
+      if (node.Type === '/Pages' || Array.isArray(this.resolve(node.Kids))) {
+        for (const kid of this.resolve(node.Kids) || []) walk(kid, resources, depth + 1);
+      } else {
+        out.push({ dict: node, resources: resources || {} });
+      }
+    };
+    if (cat && cat.Pages) walk(cat.Pages, null, 0);
+    if (!out.length) {
+      for (const [, obj] of this.objects) {
+        if (obj.value && obj.value.Type === '/Page') out.push({ dict: obj.value, resources: this.resolve(obj.value.Resources) || {} });
+      }
+    }
+    return out;
+  }
+}
+
+function _decodeTextString(s) {
+  if (s.charCodeAt(0) === 0xfe && s.charCodeAt(1) === 0xff) {
+    return Buffer.from(s.slice(2), 'latin1').swap16().toString('utf16le');
+  }
+  return s;
+}
+
+// ── Fonts ────────────────────────────────────────────────────────────────────
+
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(', parenright: ')', asterisk: '*',
+  plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/', colon: ':', semicolon: ';', less: '<',
+  equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+  underscore: '_', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~', bullet: '•',
+  endash: '–', emdash: '—', quotedblleft: '“', quotedblright: '”', ellipsis: '…',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', zero: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9', copyright: '©', registered: '®',
+  degree: '°', trademark: '™', Euro: '€', nbspace: ' ',
+};
+
+function _glyphToChar(name) {
+  if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+  if (/^[A-Za-z]$/.test(name)) return name;
+  let m = name.match(/^uni([0-9A-Fa-f]{4,})$/);
+  if (m) return String.fromCodePoint(parseInt(m[1].slice(0, 4), 16));
+  m = name.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (m) return String.fromCodePoint(parseInt(m[1], 16));
+  return null;
+}
+
+function _utf16be(hex) {
+  const bytes = Buffer.from(hex.length % 2 ? hex + '0' : hex, 'hex');
+  if (bytes.length % 2) return String.fromCharCode(bytes[0]);
+  return Buffer.from(bytes).swap16().toString('utf16le');
+}
+
+function _parseCMap(text) {
+  const map = new Map();
+  let codeBytes = 1;
+  const cs = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  if (cs) codeBytes = Math.max(1, cs[1].length / 2);
+  const hexNum = h => parseInt(h, 16);
+
+  for (const block of text.match(/beginbfchar([\s\S]*?)endbfchar/g) || []) {
+    const re = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+    let m;
+    while ((m = re.exec(block)) !== null) map.set(hexNum(m[1]), _utf16be(m[2]));
+  }
+  for (const block of text.match(/beginbfrange([\s\S]*?)endbfrange/g) || []) {
+    const re = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g;
+    let m;
+    while ((m = re.exec(block)) !== null) {
+      const lo = hexNum(m[1]);
+      const hi = Math.min(hexNum(m[2]), lo + 0xffff);
+      if (m[3] !== undefined) {
+        const base = m[3];
+        const prefix = base.slice(0, -4);
+        const last = hexNum(base.slice(-4));
+        for (let c = lo; c <= hi; c++) map.set(c, _utf16be(prefix + (last + c - lo).toString(16).padStart(4, '0')));
+      } else {
+        const dsts = m[4].match(/<([0-9a-fA-F]*)>/g) || [];
+        dsts.forEach((d, i) => map.set(lo + i, _utf16be(d.slice(1, -1))));
+      }
+    }
+  }
+  return { map, codeBytes };
+}
+
+function _loadFont(doc, fontRef, cache) {
+  const key = fontRef && fontRef.ref != null ? `r${fontRef.ref}` : null;
+  if (key && cache.has(key)) return cache.get(key);
+  const dict = doc.resolve(fontRef) || {};
+  const font = { composite: dict.Subtype === '/Type0', cmap: null, codeBytes: dict.Subtype === '/Type0' ? 2 : 1, differences: null };
+
+  const tu = doc.object(dict.ToUnicode);
+  const tuData = tu ? doc.decodeStream(tu) : null;
+  if (tuData) {
+    const parsed = _parseCMap(tuData.toString('latin1'));
+    font.cmap = parsed.map;
+    if (font.composite) font.codeBytes = parsed.codeBytes;
+  }
+  const enc = doc.resolve(dict.Encoding);
+  if (enc && typeof enc === 'object' && Array.isArray(doc.resolve(enc.Differences))) {
+    font.differences = new Map();
+    let code = 0;
+    for (const item of doc.resolve(enc.Differences)) {
+      if (typeof item === 'number') code = item;
+      else if (typeof item === 'string') {
+        const ch = _glyphToChar(item.slice(1));
+        if (ch != null) font.differences.set(code, ch);
+        code++;
+      }
+    }
+  }
+  if (key) cache.set(key, font);
+  return font;
+}
+
+function _decodeString(bytes, font) {
+  if (!font) return bytes;
+  let out = '';
+  const width = font.codeBytes;
+  for (let i = 0; i + width <= bytes.length; i += width) {
+    let code = 0;
+    for (let b = 0; b < width; b++) code = (code << 8) | bytes.charCodeAt(i + b);
+    if (font.cmap && font.cmap.has(code)) out += font.cmap.get(code);
+    else if (font.differences && font.differences.has(code)) out += font.differences.get(code);
+    else if (!font.composite) out += code === 0xa0 ? ' ' : String.fromCharCode(code);
+    // composite font without a mapping: the glyph id carries no Unicode — drop it
+  }
+  return out;
+}
+
+// ── Content streams ──────────────────────────────────────────────────────────
+
+function _contentData(doc, contents) {
+  const direct = doc.object(contents);
+  const refs = direct && direct.stream ? [contents] : [].concat(doc.resolve(contents) || []);
+  const parts = [];
+  for (const r of refs) {
+    const data = doc.decodeStream(doc.object(r));
+    if (data) parts.push(data.toString('latin1'));
+  }
+  return parts.join('\n');
+}
+
+function _runContent(doc, text, resources, out, fontCache, depth) {
+  const lex = new Lexer(text);
+  const fonts = doc.resolve(resources.Font) || {};
+  const xobjects = doc.resolve(resources.XObject) || {};
+  let stack = [];
+  let font = null;
+  let fontSize = 10;
+  let tmScale = 1;
+  let lineY = null;
+  let estX = null; // rough end of the last run: ~0.5em per character, enough to spot word gaps
+  const em = () => fontSize * tmScale;
+
+  const newline = () => { if (out.length && !out[out.length - 1].endsWith('\n')) out.push('\n'); };
+  const emit = (s) => {
+    const str = _decodeString(s, font);
+    if (!str) return;
+    out.push(str);
+    if (estX != null) estX += str.length * em() * 0.5;
+  };
+  const moveTo = (x, y, absolute) => {
+    if (lineY != null && Math.abs(y - lineY) > em() * 0.3) newline();
+    else if (estX != null && x - estX > em() * 0.15 && out.length && !/\s$/.test(out[out.length - 1])) out.push(' ');
+    lineY = y;
+    estX = absolute ? x : estX;
+  };
+  let tx = 0;
+  let ty = 0;
+
+  for (;;) {
+    const tok = lex.next();
+    if (tok === undefined) break;
+    if (!tok || typeof tok !== 'object' || !('op' in tok)) { stack.push(tok); continue; }
+    switch (tok.op) {
+      case 'BT': tx = 0; ty = 0; tmScale = 1; estX = null; break;
+      case 'Tf': {
+        const name = stack[stack.length - 2];
+        if (typeof name === 'string') font = _loadFont(doc, fonts[name.slice(1)], fontCache);
+        if (typeof stack[stack.length - 1] === 'number') fontSize = Math.abs(stack[stack.length - 1]) || fontSize;
+        break;
+      }
+      case 'Td':
+      case 'TD': {
+        const [dx, dy] = stack.slice(-2);
+        if (typeof dx === 'number' && typeof dy === 'number') {
+          tx += dx; ty += dy;
+          if (dy !== 0) { newline(); lineY = ty; estX = tx; }
+          else moveTo(tx, ty, true);
+        }
+        break;
+      }
+      case 'Tm': {
+        const m = stack.slice(-6);
+        if (m.length === 6 && m.every(n => typeof n === 'number')) {
+          tmScale = Math.hypot(m[2], m[3]) || 1;
+          tx = m[4]; ty = m[5];
+          if (lineY != null && Math.abs(ty - lineY) > em() * 0.3) { newline(); lineY = ty; estX = tx; }
+          else moveTo(tx, ty, true);
+        }
+        break;
+      }
+      case 'T*': newline(); break;
+      case 'Tj': if (stack.length && stack[stack.length - 1]?.str != null) emit(stack[stack.length - 1].str); break;
+      case "'": newline(); if (stack[stack.length - 1]?.str != null) emit(stack[stack.length - 1].str); break;
+      case '"': newline(); if (stack[stack.length - 1]?.str != null) emit(stack[stack.length - 1].str); break;
+      case 'TJ': {
+        const arr = stack[stack.length - 1];
+        if (Array.isArray(arr)) {
+          for (const el of arr) {
+            if (el && el.str != null) emit(el.str);
+            else if (typeof el === 'number' && el < -200 && out.length && !/\s$/.test(out[out.length - 1])) out.push(' ');
+          }
+        }
+        break;
+      }
+      case 'ET': break;
+      case 'Do': {
+        const name = stack[stack.length - 1];
+        if (typeof name !== 'string' || depth > 8) break;
+        const xo = doc.object(xobjects[name.slice(1)]);
+        if (xo && xo.value && xo.value.Subtype === '/Form') {
+          const data = doc.decodeStream(xo);
+          if (data) {
+            newline();
+            _runContent(doc, data.toString('latin1'), doc.resolve(xo.value.Resources) || resources, out, fontCache, depth + 1);
+          }
+        }
+        break;
+      }
+      case 'BI': {
+        // Inline image: skip the binary payload between ID and EI.
+        const id = text.indexOf('ID', lex.pos);
+        const ei = id === -1 ? -1 : text.slice(id + 2).search(/\sEI(\s|$)/);
+        lex.pos = ei === -1 ? text.length : id + 2 + ei + 3;
+        break;
+      }
+      default: break;
+    }
+    stack = [];
+  }
+}
+
+function _tidy(text) {
+  return text
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * @param {Buffer} buffer - the whole PDF file
+ * @param {Object} [opts]
+ * @param {number} [opts.maxPages=500]
+ * @param {number} [opts.maxInflatedBytes=256MB] - total decompressed size across streams
+ */
+function extractPdfText(buffer, { maxPages = 500, maxInflatedBytes } = {}) {
+  if (buffer.subarray(0, 1024).toString('latin1').indexOf('%PDF-') === -1) {
+    throw new Error('Not a PDF file (missing %PDF- header)');
+  }
+  const doc = new PdfDoc(buffer, { maxInflatedBytes });
+  if (doc.isEncrypted()) throw new Error('PDF is encrypted — text extraction is not supported for encrypted files');
+
+  const pageList = doc.pages();
+  const fontCache = new Map();
+  const pages = [];
+  const emptyPages = [];
+  for (let i = 0; i < pageList.length && i < maxPages; i++) {
+    const { dict, resources } = pageList[i];
+    const out = [];
+    try {
+      _runContent(doc, _contentData(doc, dict.Contents), resources, out, fontCache, 0);
+    } catch (err) {
+      // Keep whatever text was collected before the bad operator — unless it was a bomb.
+      if (err.code === 'ERR_DOCUMENT_TOO_LARGE') throw err;
+    }
+    const text = _tidy(out.join(''));
+    if (!text) emptyPages.push(i + 1);
+    pages.push({ page: i + 1, text });
+  }
+  return { pages, pageCount: pageList.length, emptyPages, info: doc.info() };
+}
+
+module.exports = { extractPdfText };
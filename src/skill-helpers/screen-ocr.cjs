@@ -0,0 +1,393 @@
+'use strict';
+/**
+ * screen-ocr.cjs
+ *
+ * In-process screen capture + OCR used by screen.capture when the
+ * screen-intelligence-service (port 3008) is down, or when asked for local mode.
+ *
+ *   grabScreen({ imagePath, display })  → { buffer, path, source }
+ *       imagePath (or THINKDROP_SCREEN_FIXTURE) reads a PNG from disk instead of the
+ *       live display — that is how tests run without one. Otherwise the existing
+ *       screenshot-desktop dependency captures `display` (default: primary).
+ *   activeWindow()                      → { appName, windowTitle, url } (nulls when unknown)
+ *   cropImage(image, region)            → image restricted to { x, y, width, height }
+ *   findWindow('title or app' | { title, app }) → { appName, windowTitle, bounds } | null
+ *   recognize(image, { engine, lang })  → { engine, text, confidence, words, lines }
+ *   diffLines(previousLines, lines)     → { appeared, disappeared, unchanged }
+ *
+ * OCR engines are pluggable. An engine is
+ *   { name, available(): Promise<boolean>, recognize(image, opts): Promise<OcrResult> }
+ * where OcrResult = { text, confidence (0-100, Tesseract's scale), words, lines } and
+ * words / lines carry { text, confidence, bbox: { x, y, width, height } }.
+ *
+ * Built in:
+ *   tesseract — the `tesseract` CLI (TSV output) when it is on PATH
+ *   stub      — no OCR: reads <image>.ocr.json ({ text, words?, confidence? }) or
+ *               <image>.txt next to a fixture image; empty text for a live grab
+ *
+ * `engine: 'auto'` (default, or THINKDROP_OCR_ENGINE) uses tesseract, then any
+ * engine added with registerEngine(). The stub is never picked automatically, so a
+ * box without OCR fails loudly instead of returning an empty screen.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const logger = require('../logger.cjs');
+
+const OCR_TIMEOUT_MS = 60000;
+const WINDOW_TIMEOUT_MS = 3000;
+const AUTO_ORDER = ['tesseract'];
+const EXPLICIT_ONLY = new Set(['stub']);
+
+const ENGINES = new Map();
+
+function registerEngine(engine) {
+  if (!engine || !engine.name || typeof engine.recognize !== 'function') {
+    throw new Error('OCR engine needs a name and a recognize(image, opts) function');
+  }
+  ENGINES.set(engine.name, { available: async () => true, ...engine });
+  return engine;
+}
+
+function listEngines() {
+  return [...ENGINES.keys()];
+}
+
+// ── Capture ───────────────────────────────────────────────────────────────────
+
+async function grabScreen({ imagePath, display } = {}) {
+  const fixture = imagePath || process.env.THINKDROP_SCREEN_FIXTURE;
+  if (fixture) {
+    const resolved = path.resolve(fixture.replace(/^~/, os.homedir()));
+    return { buffer: fs.readFileSync(resolved), path: resolved, source: 'file' };
+  }
+  const screenshot = require('screenshot-desktop');
+  const opts = { format: 'png' };
+  if (display !== undefined && display !== null) opts.screen = display;
+  const buffer = await screenshot(opts);
+  return { buffer, path: null, source: 'display' };
+}
+
+async function listDisplays() {
+  const screenshot = require('screenshot-desktop');
+  return screenshot.listDisplays();
+}
+
+/**
+ * Frontmost window via get-windows (same library app.agent uses). Never throws:
+ * headless boxes and sandboxes simply get nulls.
+ */
+async function activeWindow() {
+  const empty = { appName: null, windowTitle: null, url: null, bounds: null };
+  try {
+    const { activeWindow: getActive } = await import('get-windows');
+    let timer;
+    const win = await Promise.race([
+      getActive(),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('get-windows timeout')), WINDOW_TIMEOUT_MS); }),
+    ]).finally(() => clearTimeout(timer));
+    if (!win) return empty;
+    return {
+      appName: win.owner?.name || null,
+      windowTitle: win.title || null,
+      url: win.url || null,
+      bounds: win.bounds || null,
+    };
+  } catch (err) {
+    logger.debug('[screen-ocr] active window unavailable', { error: err.message });
+    return empty;
+  }
+}
+
+// ── Engines ───────────────────────────────────────────────────────────────────
+
+function run(cmd, args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    execFile(cmd, args, { timeout: timeoutMs, maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        err.stderr = stderr;
+        return reject(err);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/** Group Tesseract TSV word rows into lines, keeping boxes and confidences. */
+function parseTesseractTsv(tsv) {
+  const words = [];
+  const lineMap = new Map();
+  for (const row of tsv.split('\n').slice(1)) {
+    const cols = row.split('\t');
+    if (cols.length < 12 || cols[0] !== '5') continue;
+    const text = cols.slice(11).join('\t').trim();
+    const confidence = parseFloat(cols[10]);
+    if (!text || confidence < 0) continue;
+    const bbox = { x: +cols[6], y: +cols[7], width: +cols[8], height: +cols[9] };
+    const word = { text, confidence, bbox };
+    words.push(word);
+    const key = `${cols[1]}.${cols[2]}.${cols[3]}.${cols[4]}`;
+    if (!lineMap.has(key)) lineMap.set(key, { block: `${cols[1]}.${cols[2]}`, words: [] });
+    lineMap.get(key).words.push(word);
+  }
+
+  const lines = [...lineMap.values()].map(({ block, words: lw }) => ({
+    text: lw.map(w => w.text).join(' '),
+    confidence: lw.reduce((s, w) => s + w.confidence, 0) / lw.length,
+    bbox: unionBox(lw.map(w => w.bbox)),
+    block,
+  }));
+
+  // Blank line between blocks, like Tesseract's plain-text output
+  let text = '';
+  lines.forEach((line, i) => {
+    if (i > 0) text += line.block !== lines[i - 1].block ? '\n\n' : '\n';
+    text += line.text;
+  });
+
+  const confidence = words.length ? words.reduce((s, w) => s + w.confidence, 0) / words.length : 0;
+  return { text, confidence, words, lines: lines.map(({ block, ...l }) => l) };
+}
+
+function unionBox(boxes) {
+  const x = Math.min(...boxes.map(b => b.x));
+  const y = Math.min(...boxes.map(b => b.y));
+  const right = Math.max(...boxes.map(b => b.x + b.width));
+  const bottom = Math.max(...boxes.map(b => b.y + b.height));
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+let _tesseractAvailable = null;
+
+registerEngine({
+  name: 'tesseract',
+
+  async available() {
+    if (_tesseractAvailable === null) {
+      _tesseractAvailable = await run('tesseract', ['--version'], 5000).then(() => true, () => false);
+    }
+    return _tesseractAvailable;
+  },
+
+  async recognize(image, { lang = 'eng', psm = 3 } = {}) {
+    // Tesseract reads files; a live grab only exists in memory
+    let input = image.path;
+    let tmp = null;
+    if (!input) {
+      tmp = path.join(os.tmpdir(), `td-ocr-${process.pid}-${Date.now()}.png`);
+      fs.writeFileSync(tmp, image.buffer);
+      input = tmp;
+    }
+    try {
+      const tsv = await run('tesseract', [input, 'stdout', '-l', lang, '--psm', String(psm), 'tsv'], OCR_TIMEOUT_MS);
+      return parseTesseractTsv(tsv);
+    } finally {
+      if (tmp) fs.rmSync(tmp, { force: true });
+    }
+  },
+});
+
+function loadStubSidecar(imagePath) {
+  const base = imagePath.replace(/\.[^./\\]+$/, '');
+  for (const candidate of [`${imagePath}.ocr.json`, `${base}.ocr.json`]) {
+    if (!fs.existsSync(candidate)) continue;
+    const data = JSON.parse(fs.readFileSync(candidate, 'utf8'));
+    const confidence = data.confidence ?? 100;
+    const lines = data.lines
+      || (data.text || '').split('\n').filter(Boolean).map(text => ({ text, confidence, bbox: null }));
+    return { confidence, words: data.words || [], lines };
+  }
+  for (const candidate of [`${imagePath}.txt`, `${base}.txt`]) {
+    if (!fs.existsSync(candidate)) continue;
+    const text = fs.readFileSync(candidate, 'utf8').trim();
+    return { confidence: 100, words: [], lines: text.split('\n').filter(Boolean).map(t => ({ text: t, confidence: 100, bbox: null })) };
+  }
+  return null;
+}
+
+// Keep items whose box centre falls inside `region`, re-based onto the crop. Items
+// without a box cannot be placed and are kept as-is.
+function clipToRegion(items, region) {
+  if (!region) return items;
+  return items
+    .filter((item) => {
+      if (!item.bbox) return true;
+      const cx = item.bbox.x + item.bbox.width / 2;
+      const cy = item.bbox.y + item.bbox.height / 2;
+      return cx >= region.x && cx < region.x + region.width && cy >= region.y && cy < region.y + region.height;
+    })
+    .map(item => (item.bbox ? { ...item, bbox: { ...item.bbox, x: item.bbox.x - region.x, y: item.bbox.y - region.y } } : item));
+}
+
+registerEngine({
+  name: 'stub',
+
+  async recognize(image) {
+    const sidecarFor = image.path || image.sourcePath;
+    const data = sidecarFor ? loadStubSidecar(sidecarFor) : null;
+    if (!data) return { text: '', confidence: 0, words: [], lines: [] };
+
+    // Sidecar boxes are in full-image coordinates; a cropped image only "sees" its region
+    const lines = clipToRegion(data.lines, image.region);
+    const words = clipToRegion(data.words, image.region);
+    return { text: lines.map(l => l.text).join('\n'), confidence: data.confidence, words, lines };
+  },
+});
+
+async function pickEngine(name = process.env.THINKDROP_OCR_ENGINE || 'auto') {
+  if (name !== 'auto') {
+    const engine = ENGINES.get(name);
+    if (!engine) throw new Error(`Unknown OCR engine "${name}". Available: ${listEngines().join(', ')}`);
+    if (!(await engine.available())) throw new Error(`OCR engine "${name}" is not available on this machine`);
+    return engine;
+  }
+  const order = [...AUTO_ORDER, ...listEngines().filter(n => !AUTO_ORDER.includes(n) && !EXPLICIT_ONLY.has(n))];
+  for (const candidate of order) {
+    const engine = ENGINES.get(candidate);
+    if (engine && await engine.available()) return engine;
+  }
+  throw new Error('No OCR engine available — install tesseract (e.g. `brew install tesseract` / `apt install tesseract-ocr`)');
+}
+
+/**
+ * OCR an image from grabScreen() / cropImage(). Engines report boxes relative to
+ * the buffer they were given; for a cropped image they are shifted back here so
+ * callers always get full-capture coordinates.
+ */
+async function recognize(image, { engine = undefined, ...opts } = {}) {
+  const chosen = await pickEngine(engine);
+  const result = await chosen.recognize(image, opts);
+  const shift = (item) => {
+    if (!image.region || !item.bbox) return item;
+    return { ...item, bbox: { ...item.bbox, x: item.bbox.x + image.region.x, y: item.bbox.y + image.region.y } };
+  };
+  return {
+    engine: chosen.name,
+    text: result.text || '',
+    confidence: result.confidence ?? null,
+    words: (result.words || []).map(shift),
+    lines: (result.lines || []).map(shift),
+  };
+}
+
+// ── Selectors ─────────────────────────────────────────────────────────────────
+
+/**
+ * Crop a captured image to `region` ({ x, y, width, height } in image pixels),
+ * clamped to the image. The result keeps `sourcePath` so fixture-backed engines
+ * can still find their sidecar, and `region` so boxes can be shifted back.
+ */
+async function cropImage(image, region) {
+  const Jimp = require('jimp');
+  const bitmap = await Jimp.read(image.buffer);
+  const { width: imgW, height: imgH } = bitmap.bitmap;
+  const x = Math.max(0, Math.round(region.x));
+  const y = Math.max(0, Math.round(region.y));
+  const right = Math.min(imgW, Math.round(region.x + region.width));
+  const bottom = Math.min(imgH, Math.round(region.y + region.height));
+  if (right <= x || bottom <= y) {
+    throw new Error(`Region ${JSON.stringify(region)} is outside the ${imgW}x${imgH} capture`);
+  }
+  const clamped = { x, y, width: right - x, height: bottom - y };
+  bitmap.crop(clamped.x, clamped.y, clamped.width, clamped.height);
+  return {
+    buffer: await bitmap.getBufferAsync(Jimp.MIME_PNG),
+    path: null,
+    sourcePath: image.path || image.sourcePath || null,
+    source: image.source,
+    region: clamped,
+    captureSize: { width: imgW, height: imgH },
+  };
+}
+
+/**
+ * Open windows, front to back, as { appName, windowTitle, bounds }. Uses
+ * get-windows; THINKDROP_SCREEN_WINDOWS_FIXTURE (a JSON array in that shape)
+ * replaces it for tests, like THINKDROP_SCREEN_FIXTURE does for the display.
+ */
+async function listWindows() {
+  const fixture = process.env.THINKDROP_SCREEN_WINDOWS_FIXTURE;
+  if (fixture) return JSON.parse(fs.readFileSync(fixture, 'utf8'));
+
+  const { openWindows } = await import('get-windows');
+  let timer;
+  const wins = await Promise.race([
+    openWindows(),
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('get-windows timeout')), WINDOW_TIMEOUT_MS); }),
+  ]).finally(() => clearTimeout(timer));
+  return (wins || []).map(w => ({
+    appName: w.owner?.name || null,
+    windowTitle: w.title || null,
+    url: w.url || null,
+    bounds: w.bounds || null,
+  }));
+}
+
+/**
+ * First (front-most) window matching `query`: a string matches the title or the
+ * app name, { title, app } must match each given field. Case-insensitive substrings.
+ */
+async function findWindow(query) {
+  const wanted = typeof query === 'string' ? { any: query } : (query || {});
+  const has = (value, needle) => !!value && value.toLowerCase().includes(String(needle).toLowerCase());
+  const windows = await listWindows();
+  return windows.find((w) => {
+    if (!w.bounds) return false;
+    if (wanted.any !== undefined) return has(w.windowTitle, wanted.any) || has(w.appName, wanted.any);
+    if (wanted.title !== undefined && !has(w.windowTitle, wanted.title)) return false;
+    if (wanted.app !== undefined && !has(w.appName, wanted.app)) return false;
+    return wanted.title !== undefined || wanted.app !== undefined;
+  }) || null;
+}
+
+// ── Diff ──────────────────────────────────────────────────────────────────────
+
+const normalizeLine = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Line-level diff of two OCR captures. Lines are compared by whitespace-normalised
+ * text as a multiset, so a repeated line only counts as new when it appears more
+ * often than before. Returns { appeared, disappeared, unchanged } in screen order.
+ */
+function diffLines(previous, current) {
+  const remaining = new Map();
+  previous.forEach((line, index) => {
+    const key = normalizeLine(line.text);
+    if (!key) return;
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push({ line, index });
+  });
+
+  const appeared = [];
+  let unchanged = 0;
+  for (const line of current) {
+    const key = normalizeLine(line.text);
+    if (!key) continue;
+    const bucket = remaining.get(key);
+    if (bucket && bucket.length) {
+      bucket.shift();
+      unchanged++;
+    } else {
+      appeared.push(line);
+    }
+  }
+  const disappeared = [...remaining.values()].flat().sort((a, b) => a.index - b.index).map(e => e.line);
+  return { appeared, disappeared, unchanged };
+}
+
+module.exports = {
+  grabScreen,
+  cropImage,
+  listDisplays,
+  listWindows,
+  findWindow,
+  activeWindow,
+  recognize,
+  diffLines,
+  registerEngine,
+  listEngines,
+  pickEngine,
+  parseTesseractTsv,
+};
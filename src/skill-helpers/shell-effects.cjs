@@ -0,0 +1,365 @@
+'use strict';
+/**
+ * shell-effects.cjs
+ *
+ * Static effects preview for shell.run dry runs — a "terraform plan" for a
+ * command or goal-generated script. Nothing is executed; the script is parsed
+ * (skill-helpers/shell-policy.cjs parseScript) and every simple command is
+ * mapped to the effects it is known to have.
+ *
+ * Shape:
+ *   {
+ *     files:       { created: [], modified: [], moved: [{ from, to }], deleted: [] },
+ *     directories: { created: [], moved: [{ from, to }], deleted: [] },
+ *     network:     { hosts: [] },
+ *     packages:    [{ manager, name, action: 'install' | 'uninstall' }],
+ *     commands:    ['mkdir', 'mv', …]   // executables the script calls, in order
+ *     unresolved:  [{ command, reason }] // effects the preview could not pin down
+ *   }
+ *
+ * Paths are absolute when literal. Paths that depend on a variable ("$SRC/x")
+ * are reported as written and the entry carries `dynamic: true`, so the UI can
+ * show them differently. A path counts as modified (not created) when it
+ * already exists at preview time.
+ *
+ * API:
+ *   inferEffects(baseName, argv, cwd) → effects
+ *   summarizeEffects(effects)          → one-line human summary
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+const { parseScript, unwrapCommand } = require('./shell-policy.cjs');
+
+const SHELL_INTERPRETERS = new Set(['bash', 'sh', 'zsh']);
+
+// Package managers: subcommands that install / uninstall, and the registry host.
+const PACKAGE_MANAGERS = {
+  npm:    { install: ['install', 'i', 'add'], uninstall: ['uninstall', 'remove', 'rm', 'un'], host: 'registry.npmjs.org' },
+  pnpm:   { install: ['add', 'install', 'i'], uninstall: ['remove', 'rm', 'uninstall'], host: 'registry.npmjs.org' },
+  yarn:   { install: ['add', 'install'], uninstall: ['remove'], host: 'registry.yarnpkg.com' },
+  pip:    { install: ['install'], uninstall: ['uninstall'], host: 'pypi.org' },
+  pip3:   { install: ['install'], uninstall: ['uninstall'], host: 'pypi.org' },
+  brew:   { install: ['install', 'reinstall', 'upgrade'], uninstall: ['uninstall', 'remove', 'rm'], host: 'formulae.brew.sh' },
+  'apt-get': { install: ['install'], uninstall: ['remove', 'purge'], host: null },
+  apt:    { install: ['install'], uninstall: ['remove', 'purge'], host: null },
+  gem:    { install: ['install'], uninstall: ['uninstall'], host: 'rubygems.org' },
+  cargo:  { install: ['install', 'add'], uninstall: ['uninstall', 'remove'], host: 'crates.io' },
+  go:     { install: ['install', 'get'], uninstall: [], host: 'proxy.golang.org' },
+};
+
+// curl flags whose next argument is a value, not a URL.
+const CURL_VALUE_FLAGS = new Set(['-o', '--output', '-H', '--header', '-d', '--data', '--data-raw', '--data-binary',
+  '-u', '--user', '-X', '--request', '-A', '--user-agent', '-e', '--referer', '-F', '--form', '-T', '--upload-file',
+  '-b', '--cookie', '-c', '--cookie-jar', '-x', '--proxy', '--connect-timeout', '-m', '--max-time', '-w', '--write-out']);
+
+// Commands known to have no file/network effects worth previewing.
+const READ_ONLY = new Set([
+  'echo', 'printf', 'cat', 'ls', 'pwd', 'cd', 'grep', 'egrep', 'rg', 'head', 'tail', 'wc', 'sort',
+  'uniq', 'cut', 'tr', 'awk', 'jq', 'stat', 'file', 'du', 'df', 'which', 'type', 'test', '[', '[[',
+  'true', 'false', 'date', 'whoami', 'hostname', 'uname', 'env', 'printenv', 'basename', 'dirname',
+  'realpath', 'readlink', 'find', 'mdfind', 'mdls', 'ps', 'sleep', 'set', 'export', 'local', 'read',
+  'for', 'do', 'done', 'while', 'until', 'if', 'then', 'else', 'elif', 'fi', 'case', 'esac', 'in',
+  'return', 'exit', 'shift', 'diff', 'cmp', 'md5', 'md5sum', 'shasum', 'sha256sum', 'xxd', 'less', 'more',
+]);
+
+function _emptyEffects() {
+  return {
+    files: { created: [], modified: [], moved: [], deleted: [] },
+    directories: { created: [], moved: [], deleted: [] },
+    network: { hosts: [] },
+    packages: [],
+    commands: [],
+    unresolved: [],
+  };
+}
+
+function _expandHome(p) {
+  return p.replace(/^~(?=\/|$)/, os.homedir()).replace(/^\$\{?HOME\}?(?=\/|$)/, os.homedir());
+}
+
+function _resolvePath(word, cwd) {
+  const expanded = _expandHome(word);
+  if (/[$`]/.test(expanded)) return { path: word, dynamic: true };
+  return { path: path.resolve(cwd, expanded), dynamic: false };
+}
+
+function _exists(p) {
+  try { return fs.statSync(p); } catch (_) { return null; }
+}
+
+function _isDir(p) {
+  const st = _exists(p);
+  return !!st && st.isDirectory();
+}
+
+function _positional(args) {
+  return args.filter(a => !a.startsWith('-'));
+}
+
+function _hostOf(word) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(word)) {
+    try { return new URL(word).hostname.toLowerCase() || null; } catch (_) { return null; }
+  }
+  // scp/rsync/ssh style: user@host:path or host:path
+  const m = word.match(/^(?:[\w.-]+@)?([a-z0-9-]+(?:\.[a-z0-9-]+)+):/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+/**
+ * Build a recorder that de-duplicates paths and keeps each path in one bucket
+ * (a file created then appended to is still "created").
+ */
+function _recorder(effects, cwd) {
+  const seen = new Map(); // path → bucket name
+  const bucketFor = (kind, action) => (kind === 'dir' ? effects.directories : effects.files)[action];
+  return {
+    path(kind, action, word) {
+      const { path: p, dynamic } = _resolvePath(word, cwd);
+      const key = `${kind}:${p}`;
+      if (seen.has(key)) {
+        // created-then-deleted cancels out; otherwise keep the first classification
+        if (action === 'deleted' && seen.get(key) === 'created') {
+          const list = bucketFor(kind, 'created');
+          list.splice(list.findIndex(e => e.path === p), 1);
+          seen.delete(key);
+        }
+        return;
+      }
+      seen.set(key, action);
+      bucketFor(kind, action).push(dynamic ? { path: p, dynamic: true } : { path: p });
+    },
+    write(word) {
+      const { path: p, dynamic } = _resolvePath(word, cwd);
+      this.path('file', !dynamic && _exists(p) ? 'modified' : 'created', word);
+    },
+    // A destination is a directory if it exists as one, is written with a
+    // trailing slash, or an earlier command in the script creates it.
+    isDirTarget(word) {
+      const { path: p } = _resolvePath(word, cwd);
+      return /\/$/.test(word) || _isDir(p) || seen.get(`dir:${p}`) === 'created';
+    },
+    move(fromWord, toWord) {
+      const from = _resolvePath(fromWord, cwd);
+      const to = _resolvePath(toWord, cwd);
+      const kind = !from.dynamic && _isDir(from.path) ? 'dir' : 'file';
+      const dest = this.isDirTarget(toWord) && !from.dynamic ? path.join(to.path, path.basename(from.path)) : to.path;
+      const entry = { from: from.path, to: dest };
+      if (from.dynamic || to.dynamic) entry.dynamic = true;
+      (kind === 'dir' ? effects.directories : effects.files).moved.push(entry);
+    },
+    host(h) {
+      if (h && !effects.network.hosts.includes(h)) effects.network.hosts.push(h);
+    },
+    pkg(manager, name, action) {
+      effects.packages.push({ manager, name, action });
+    },
+    unresolved(command, reason) {
+      effects.unresolved.push({ command, reason });
+    },
+  };
+}
+
+function _analyzeCommand(words, redirects, rec, cwd) {
+  const unwrapped = unwrapCommand(words);
+  if (!unwrapped.length) return;
+  const head = path.basename(unwrapped[0]);
+  const args = unwrapped.slice(1);
+  const pos = _positional(args);
+
+  // Redirections write files regardless of the command.
+  for (const r of redirects) {
+    if (r.op === '>' || r.op === '>>') {
+      if (r.target !== '/dev/null' && r.target !== '/dev/stderr' && r.target !== '/dev/stdout') rec.write(r.target);
+    }
+  }
+  // URLs anywhere in the command are contacted (curl, wget, git clone, open, …).
+  for (const a of args) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(a)) rec.host(_hostOf(a));
+  }
+
+  switch (head) {
+    case 'mkdir':
+      pos.forEach(p => { if (!_isDir(_resolvePath(p, cwd).path)) rec.path('dir', 'created', p); });
+      return;
+    case 'touch':
+      pos.forEach(p => rec.write(p));
+      return;
+    case 'rm': {
+      pos.forEach(p => rec.path(_isDir(_resolvePath(p, cwd).path) ? 'dir' : 'file', 'deleted', p));
+      return;
+    }
+    case 'rmdir':
+      pos.forEach(p => rec.path('dir', 'deleted', p));
+      return;
+    case 'mv':
+      if (pos.length >= 2) pos.slice(0, -1).forEach(src => rec.move(src, pos[pos.length - 1]));
+      return;
+    case 'cp':
+    case 'ln':
+    case 'rsync':
+    case 'scp':
+      if (pos.length >= 2) {
+        const destWord = pos[pos.length - 1];
+        pos.forEach(p => rec.host(_hostOf(p)));
+        if (_hostOf(destWord)) return; // remote destination — nothing local is written
+        const dest = _resolvePath(destWord, cwd);
+        for (const src of pos.slice(0, -1)) {
+          if (_hostOf(src)) { rec.write(destWord); continue; }
+          const s = _resolvePath(src, cwd);
+          const srcIsDir = !s.dynamic && _isDir(s.path);
+          if (!dest.dynamic && rec.isDirTarget(destWord)) {
+            const target = path.join(dest.path, path.basename(s.path));
+            if (srcIsDir) rec.path('dir', _isDir(target) ? 'modified' : 'created', target);
+            else rec.write(target);
+          } else if (srcIsDir) {
+            rec.path('dir', 'created', destWord);
+          } else {
+            rec.write(destWord);
+          }
+        }
+      }
+      return;
+    case 'tee':
+      pos.forEach(p => rec.write(p));
+      return;
+    case 'sed':
+    case 'perl':
+      if (args.some(a => /^-i/.test(a) || /^-p?i/.test(a))) {
+        // First positional is the expression unless given with -e.
+        const files = args.some(a => a === '-e') ? pos : pos.slice(1);
+        files.forEach(f => rec.path('file', 'modified', f));
+      }
+      return;
+    case 'curl': {
+      const i = args.findIndex(a => a === '-o' || a === '--output');
+      if (i !== -1 && args[i + 1]) rec.write(args[i + 1]);
+      else if (args.includes('-O') || args.includes('--remote-name')) {
+        const url = args.find(a => /^https?:\/\//i.test(a));
+        if (url) rec.write(path.basename(new URL(url).pathname) || 'index.html');
+      }
+      // Scheme-less targets ("curl example.com/x"); skip values of flags like -o / -H.
+      args.forEach((a, idx) => {
+        if (idx > 0 && CURL_VALUE_FLAGS.has(args[idx - 1])) return;
+        if (!a.startsWith('-') && !/^[a-z]+:\/\//i.test(a) && /^[a-z0-9-]+(\.[a-z0-9-]+)+(\/|:|$)/i.test(a)) rec.host(a.split(/[/:]/)[0].toLowerCase());
+      });
+      return;
+    }
+    case 'wget': {
+      const i = args.findIndex(a => a === '-O' || a === '--output-document');
+      if (i !== -1 && args[i + 1]) rec.write(args[i + 1]);
+      else {
+        const url = args.find(a => /^https?:\/\//i.test(a));
+        if (url) rec.write(path.basename(new URL(url).pathname) || 'index.html');
+      }
+      return;
+    }
+    case 'git': {
+      const sub = pos[0];
+      if (sub === 'clone') {
+        const [, repo, dir] = pos;
+        if (repo) {
+          rec.host(_hostOf(repo));
+          rec.path('dir', 'created', dir || path.basename(repo).replace(/\.git$/, ''));
+        }
+      } else if (['push', 'pull', 'fetch'].includes(sub)) {
+        rec.unresolved('git', `git ${sub} contacts the configured remote (host not known statically)`);
+        if (sub === 'pull') rec.unresolved('git', 'git pull modifies tracked files in the working tree');
+      } else if (['checkout', 'reset', 'restore', 'merge', 'rebase', 'stash', 'clean'].includes(sub)) {
+        rec.unresolved('git', `git ${sub} may modify or delete files in the working tree`);
+      }
+      return;
+    }
+    case 'ssh':
+      if (pos[0]) rec.host(pos[0].replace(/^[^@]+@/, '').toLowerCase());
+      return;
+    case 'tar': {
+      const mode = args.find(a => /^-?[a-zA-Z]+$/.test(a)) || '';
+      if (/x/.test(mode)) {
+        rec.unresolved('tar', 'extracts archive contents — the created files are not known until it runs');
+      } else if (/c/.test(mode)) {
+        const fIdx = args.findIndex(a => /^-?[a-zA-Z]*f$/.test(a));
+        if (fIdx !== -1 && args[fIdx + 1]) rec.write(args[fIdx + 1]);
+      }
+      return;
+    }
+    case 'unzip':
+      rec.unresolved('unzip', 'extracts archive contents — the created files are not known until it runs');
+      return;
+    default:
+      break;
+  }
+
+  const pm = PACKAGE_MANAGERS[head];
+  if (pm) {
+    const sub = pos[0];
+    const action = pm.install.includes(sub) ? 'install' : pm.uninstall.includes(sub) ? 'uninstall' : null;
+    if (!action) return;
+    const names = pos.slice(1);
+    if (names.length) names.forEach(name => rec.pkg(head, name, action));
+    else rec.pkg(head, null, action); // bare `npm install` — whatever the manifest lists
+    if (pm.host && action === 'install') rec.host(pm.host);
+    if (['npm', 'pnpm', 'yarn'].includes(head)) rec.path('dir', _isDir(path.join(cwd, 'node_modules')) ? 'modified' : 'created', 'node_modules');
+    return;
+  }
+
+  if (READ_ONLY.has(head)) {
+    if (head === 'find' && args.some(a => a === '-delete' || a === '-exec' || a === '-execdir')) {
+      rec.unresolved('find', 'find -exec / -delete acts on files matched at run time');
+    }
+    return;
+  }
+  if (head === 'xargs') {
+    rec.unresolved('xargs', `xargs ${pos[0] || ''} acts on input produced at run time`.trim());
+    return;
+  }
+  if (['python', 'python3', 'node', 'ruby', 'osascript', 'open', 'make', 'npx'].includes(head)) {
+    rec.unresolved(head, `${head} runs code whose effects cannot be previewed statically`);
+  }
+}
+
+/**
+ * Infer the effects of one shell.run invocation without running it.
+ * @param {string}   baseName - executable base name (bash, mv, npm, …)
+ * @param {string[]} argv
+ * @param {string}   [cwd]
+ */
+function inferEffects(baseName, argv = [], cwd) {
+  const workDir = path.resolve(cwd || process.cwd());
+  const effects = _emptyEffects();
+  const rec = _recorder(effects, workDir);
+
+  const simple = SHELL_INTERPRETERS.has(baseName) && argv[0] === '-c' && typeof argv[1] === 'string'
+    ? parseScript(argv[1])
+    : [{ words: [baseName, ...argv], redirects: [] }];
+
+  for (const { words, redirects } of simple) {
+    const unwrapped = unwrapCommand(words);
+    if (unwrapped.length) effects.commands.push(path.basename(unwrapped[0]));
+    _analyzeCommand(words, redirects, rec, workDir);
+  }
+  return effects;
+}
+
+function summarizeEffects(effects) {
+  const f = effects.files;
+  const d = effects.directories;
+  const parts = [];
+  const count = (n, word) => (n ? `${n} ${word}` : null);
+  parts.push(
+    count(f.created.length + d.created.length, 'created'),
+    count(f.modified.length, 'modified'),
+    count(f.moved.length + d.moved.length, 'moved'),
+    count(f.deleted.length + d.deleted.length, 'deleted'),
+  );
+  const fileSummary = parts.filter(Boolean).join(', ');
+  return [
+    fileSummary ? `paths: ${fileSummary}` : 'no file changes detected',
+    effects.network.hosts.length ? `network: ${effects.network.hosts.join(', ')}` : null,
+    effects.packages.length ? `packages: ${effects.packages.map(p => `${p.action} ${p.name || `${p.manager} deps`}`).join(', ')}` : null,
+    effects.unresolved.length ? `${effects.unresolved.length} effect(s) not predictable` : null,
+  ].filter(Boolean).join('; ');
+}
+
+module.exports = { inferEffects, summarizeEffects };
@@ -0,0 +1,373 @@
+'use strict';
+/**
+ * shell-policy.cjs
+ *
+ * Declarative per-command policy for shell.run. Where ALLOWED_COMMANDS only says
+ * "this executable may run", a policy rule can look at the arguments:
+ *
+ *   git      allowed, except `push --force`
+ *   rm       only on paths under CWD_ROOTS
+ *   curl     only to listed hosts
+ *   npm      `install` needs the user's confirmation
+ *
+ * Policy file: ~/.thinkdrop/shell-policy.json (override with THINKDROP_SHELL_POLICY_FILE),
+ * re-read when its mtime changes.
+ *   {
+ *     "extendDefaults": true,          // false = drop DEFAULT_RULES entirely
+ *     "rules": [
+ *       { "id": "git-no-force-push", "command": "git", "verdict": "deny",
+ *         "reason": "Force-pushing rewrites shared history.",
+ *         "match": { "subcommand": "push", "argvAny": ["--force", "-f"] } },
+ *       { "id": "curl-hosts", "command": "curl", "verdict": "deny",
+ *         "reason": "curl may only reach approved hosts.",
+ *         "match": { "hostsNotIn": ["api.github.com", "*.googleapis.com"] } },
+ *       { "id": "npm-install", "command": ["npm", "pnpm", "yarn"], "verdict": "ask",
+ *         "reason": "Installing packages runs third-party install scripts.",
+ *         "match": { "subcommand": ["install", "i", "add"] } }
+ *     ]
+ *   }
+ *
+ * Rules are checked in order — user rules first, then DEFAULT_RULES — and the
+ * first rule whose command and every `match` condition hold wins. A rule without
+ * `match` covers every invocation of the command, so an `allow` rule doubles as
+ * an allowlist entry.
+ *
+ * Match conditions (all optional, all must hold):
+ *   subcommand   string|string[]  first non-flag argument is one of these
+ *   argvIncludes string[]         every token appears in argv
+ *   argvAny      string[]         at least one token appears in argv (`--force` also matches `--force=…`)
+ *   argvPattern  string           regex tested against argv joined with spaces
+ *   pathsOutside "CWD_ROOTS"|string[]  some path argument resolves outside these roots
+ *   hostsNotIn   string[]         some URL/host argument is not in the list (`*.` wildcards allowed)
+ *
+ * For bash/sh/zsh -c the script is split into simple commands (on ; && || | and
+ * newlines) and every one of them is checked, so `bash -c "git push -f"` is
+ * caught the same as a direct git call. Quoting is honoured; $(…) and variable
+ * expansion are not evaluated.
+ *
+ * An `ask` verdict is answered with a one-time approval token: shell.run issues
+ * it with the question, bound to the rule and the exact command, and the re-run
+ * redeems it. Naming the rule is not enough to skip the question.
+ *
+ * API:
+ *   evaluate(cmd, argv, { cwd, cwdRoots }) → { rule, verdict, reason, command, source } | null
+ *   createApproval({ rule, cmd, argv })    → token (valid once, for 10 minutes)
+ *   takeApproval(token, { rule, cmd, argv }) → true when the token was issued for exactly this
+ *   loadPolicy()                           → { rules, path }
+ *   parseScript(script)                    → [{ words, redirects }] (also used by shell-undo / shell-effects)
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const os     = require('os');
+const crypto = require('crypto');
+const logger = require('../logger.cjs');
+
+const POLICY_PATH = process.env.THINKDROP_SHELL_POLICY_FILE || path.join(os.homedir(), '.thinkdrop', 'shell-policy.json');
+
+const VERDICTS = new Set(['allow', 'deny', 'ask']);
+
+// Shipped rules — kept to cases that are never what an automation step means.
+const DEFAULT_RULES = [
+  {
+    id: 'git-no-force-push',
+    command: 'git',
+    verdict: 'deny',
+    reason: 'Force-pushing rewrites shared history on the remote and cannot be undone from this machine.',
+    match: { subcommand: 'push', argvAny: ['--force', '-f', '--force-with-lease', '--mirror'] },
+  },
+  {
+    id: 'rm-inside-cwd-roots',
+    command: 'rm',
+    verdict: 'deny',
+    reason: 'rm may only delete paths under the allowed working roots (SHELL_RUN_CWD_ROOTS).',
+    match: { pathsOutside: 'CWD_ROOTS' },
+  },
+];
+
+const SHELL_INTERPRETERS = new Set(['bash', 'sh', 'zsh']);
+
+// Flags whose next token is a value, not a target — a file name after -o is not a host.
+const VALUE_FLAGS = new Set([
+  '-o', '--output', '-T', '--upload-file', '-d', '--data', '--data-raw', '--data-binary',
+  '--data-urlencode', '-F', '--form', '-H', '--header', '-b', '--cookie', '-c', '--cookie-jar',
+  '-K', '--config', '-D', '--dump-header', '-e', '--referer', '-A', '--user-agent', '-u', '--user',
+  '-X', '--request', '-m', '--max-time', '-w', '--write-out', '-O', '--output-document',
+]);
+
+let _policy = null;
+let _policyMtime = -1;
+
+function _normalizeRules(rules, source) {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .filter(r => r && r.command && VERDICTS.has(r.verdict))
+    .map((r, i) => ({
+      id: r.id || `${source}-${i + 1}`,
+      command: Array.isArray(r.command) ? r.command.map(String) : [String(r.command)],
+      verdict: r.verdict,
+      reason: r.reason || `shell policy rule ${r.id || i + 1} (${r.verdict})`,
+      match: r.match || {},
+      source,
+    }));
+}
+
+function loadPolicy() {
+  let mtime = 0;
+  try { mtime = fs.statSync(POLICY_PATH).mtimeMs; } catch (_) { mtime = 0; }
+  if (_policy && mtime === _policyMtime) return _policy;
+
+  let userRules = [];
+  let extendDefaults = true;
+  if (mtime) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(POLICY_PATH, 'utf8'));
+      userRules = _normalizeRules(Array.isArray(parsed) ? parsed : parsed.rules, 'user');
+      if (parsed && parsed.extendDefaults === false) extendDefaults = false;
+      logger.info(`[shell.policy] loaded ${userRules.length} rule(s) from ${POLICY_PATH}`);
+    } catch (err) {
+      // A broken file must not silently drop the user's deny rules — keep the last good policy.
+      logger.warn(`[shell.policy] could not parse ${POLICY_PATH}: ${err.message}`);
+      if (_policy) return _policy;
+    }
+  }
+
+  _policy = {
+    path: POLICY_PATH,
+    rules: [...userRules, ...(extendDefaults ? _normalizeRules(DEFAULT_RULES, 'default') : [])],
+  };
+  _policyMtime = mtime;
+  return _policy;
+}
+
+// ── Script splitting ─────────────────────────────────────────────────────────
+
+/**
+ * Parse a shell script into simple commands: { words, redirects }.
+ * Honours single/double quotes and backslash escapes; treats ; & | newlines
+ * (and their doubled forms) as separators. Redirections are kept apart from
+ * the words — `2>&1`, `> out.log`, `<in` are never mistaken for arguments.
+ *   redirects: [{ op: '>' | '>>' | '<' | '<<', target }]
+ */
+function parseScript(script) {
+  const commands = [];
+  let words = [];
+  let redirects = [];
+  let word = '';
+  let inWord = false;
+  let quote = null;
+  let redirectOp = null; // next word is the target of this redirection
+
+  const endWord = () => {
+    if (inWord) {
+      if (redirectOp) redirects.push({ op: redirectOp, target: word });
+      else words.push(word);
+      redirectOp = null;
+    }
+    word = '';
+    inWord = false;
+  };
+  const endCommand = () => {
+    endWord();
+    if (words.length) commands.push({ words, redirects });
+    words = [];
+    redirects = [];
+  };
+
+  for (let i = 0; i < script.length; i++) {
+    const ch = script[i];
+    if (quote) {
+      if (ch === quote) { quote = null; continue; }
+      if (ch === '\\' && quote === '"' && i + 1 < script.length) { word += script[++i]; continue; }
+      word += ch;
+      continue;
+    }
+    if (ch === "'" || ch === '"') { quote = ch; inWord = true; continue; }
+    if (ch === '\\' && i + 1 < script.length) { word += script[++i]; inWord = true; continue; }
+    if (ch === '>' || ch === '<') {
+      // Drop the fd number (`2>`) and fd duplications (`>&1`) entirely.
+      if (/^\d+$/.test(word)) { word = ''; inWord = false; } else endWord();
+      let op = ch;
+      while (script[i + 1] === '>' || script[i + 1] === '<') op += script[++i];
+      if (script[i + 1] === '&') {
+        i++;
+        while (/[\d-]/.test(script[i + 1] || '')) i++;
+      } else {
+        redirectOp = op;
+      }
+      continue;
+    }
+    if (ch === ';' || ch === '&' || ch === '|' || ch === '\n' || ch === '(' || ch === ')') { endCommand(); continue; }
+    if (ch === ' ' || ch === '\t') { endWord(); continue; }
+    word += ch;
+    inWord = true;
+  }
+  endCommand();
+  return commands;
+}
+
+/** Split a shell script into simple commands, each an array of words. */
+function splitScript(script) {
+  return parseScript(script).map(c => c.words);
+}
+
+// Drop leading VAR=value assignments and transparent wrappers so
+// `FOO=1 sudo git push -f` is evaluated as git.
+const COMMAND_PREFIXES = new Set(['sudo', 'command', 'exec', 'time', 'nohup', 'env']);
+// Compound-command keywords that can precede a simple command after splitting
+// ("for f in *; do rm "$f"; done" → "do rm $f").
+const SHELL_KEYWORDS = new Set(['do', 'then', 'else', 'elif', 'if', 'while', 'until', '!', '{', '(']);
+
+function unwrapCommand(words) {
+  let i = 0;
+  while (i < words.length && (/^[A-Za-z_][A-Za-z0-9_]*=/.test(words[i]) || COMMAND_PREFIXES.has(words[i]) || SHELL_KEYWORDS.has(words[i]))) i++;
+  return words.slice(i);
+}
+
+// ── Conditions ───────────────────────────────────────────────────────────────
+
+function _list(v) {
+  return v == null ? [] : (Array.isArray(v) ? v.map(String) : [String(v)]);
+}
+
+function _hasToken(argv, token) {
+  return argv.some(a => a === token || (token.startsWith('--') && a.startsWith(`${token}=`)));
+}
+
+function _subcommand(argv) {
+  return argv.find(a => !a.startsWith('-')) || null;
+}
+
+function _pathArgs(argv, cwd) {
+  return argv
+    .filter(a => a && !a.startsWith('-'))
+    .map(a => (a === '~' || a.startsWith('~/') ? path.join(os.homedir(), a.slice(1)) : a))
+    .map(a => path.resolve(cwd, a));
+}
+
+function _hostArgs(argv) {
+  const hosts = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith('-')) continue;
+    if (i > 0 && VALUE_FLAGS.has(argv[i - 1])) continue;
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(a)) {
+      try { hosts.push(new URL(a).hostname.toLowerCase()); } catch (_) {}
+    } else if (/^(?:[a-z0-9-]+\.)+[a-z]{2,}(?::\d+)?(?:\/\S*)?$/i.test(a)) {
+      hosts.push(a.split(/[:/]/)[0].toLowerCase());
+    }
+  }
+  return hosts;
+}
+
+function _hostAllowed(host, allowed) {
+  return allowed.some(h => {
+    const pattern = h.toLowerCase();
+    if (pattern.startsWith('*.')) return host === pattern.slice(2) || host.endsWith(pattern.slice(1));
+    return host === pattern;
+  });
+}
+
+function _conditionsHold(match, argv, ctx) {
+  if (match.subcommand != null && !_list(match.subcommand).includes(_subcommand(argv))) return false;
+  if (match.argvIncludes && !_list(match.argvIncludes).every(t => _hasToken(argv, t))) return false;
+  if (match.argvAny && !_list(match.argvAny).some(t => _hasToken(argv, t))) return false;
+  if (match.argvPattern) {
+    let re;
+    try { re = new RegExp(match.argvPattern); } catch (_) { return false; }
+    if (!re.test(argv.join(' '))) return false;
+  }
+  if (match.pathsOutside) {
+    const roots = (match.pathsOutside === 'CWD_ROOTS' ? ctx.cwdRoots : _list(match.pathsOutside)).map(r => path.resolve(r));
+    const inside = p => roots.some(root => p === root || p.startsWith(root + path.sep));
+    if (!_pathArgs(argv, ctx.cwd).some(p => !inside(p))) return false;
+  }
+  if (match.hostsNotIn) {
+    const allowed = _list(match.hostsNotIn);
+    if (!_hostArgs(argv).some(h => !_hostAllowed(h, allowed))) return false;
+  }
+  return true;
+}
+
+function _evaluateOne(baseName, argv, rules, ctx) {
+  for (const rule of rules) {
+    if (!rule.command.includes(baseName)) continue;
+    if (!_conditionsHold(rule.match, argv, ctx)) continue;
+    return { rule: rule.id, verdict: rule.verdict, reason: rule.reason, command: baseName, source: rule.source };
+  }
+  return null;
+}
+
+const SEVERITY = { deny: 3, ask: 2, allow: 1 };
+
+/**
+ * Evaluate the policy for one shell.run invocation.
+ * For shell -c scripts every simple command is checked and the strictest
+ * verdict wins (deny > ask > allow); a rule on the interpreter itself is
+ * checked first like any other command.
+ * @returns {{ rule, verdict, reason, command, source }|null} null when no rule matched
+ */
+function evaluate(cmd, argv = [], { cwd = process.cwd(), cwdRoots = [] } = {}) {
+  const { rules } = loadPolicy();
+  if (!rules.length) return null;
+  const ctx = { cwd: path.resolve(cwd || process.cwd()), cwdRoots };
+  const baseName = path.basename(cmd);
+
+  const matches = [];
+  const direct = _evaluateOne(baseName, argv, rules, ctx);
+  if (direct) matches.push(direct);
+
+  if (SHELL_INTERPRETERS.has(baseName)) {
+    const flagIdx = argv.indexOf('-c');
+    const script = flagIdx !== -1 ? argv[flagIdx + 1] : null;
+    if (typeof script === 'string') {
+      for (const words of splitScript(script)) {
+        const [head, ...rest] = unwrapCommand(words);
+        if (!head) continue;
+        const hit = _evaluateOne(path.basename(head), rest, rules, ctx);
+        if (hit) matches.push(hit);
+      }
+    }
+  }
+
+  if (!matches.length) return null;
+  return matches.reduce((worst, m) => (SEVERITY[m.verdict] > SEVERITY[worst.verdict] ? m : worst));
+}
+
+// ── Approvals ────────────────────────────────────────────────────────────────
+
+const APPROVAL_TTL_MS = 10 * 60 * 1000;
+const _approvals = new Map(); // token → { rule, cmd, argv, expiresAt }
+
+function _pruneApprovals() {
+  const now = Date.now();
+  for (const [token, entry] of _approvals) if (entry.expiresAt <= now) _approvals.delete(token);
+}
+
+function createApproval({ rule, cmd, argv = [] }) {
+  _pruneApprovals();
+  const token = crypto.randomUUID();
+  _approvals.set(token, { rule, cmd, argv: JSON.stringify(argv), expiresAt: Date.now() + APPROVAL_TTL_MS });
+  return token;
+}
+
+/** One-time check: the token is consumed even when it does not match. */
+function takeApproval(token, { rule, cmd, argv = [] }) {
+  if (!token || typeof token !== 'string') return false;
+  _pruneApprovals();
+  const entry = _approvals.get(token);
+  _approvals.delete(token);
+  return !!entry && entry.rule === rule && entry.cmd === cmd && entry.argv === JSON.stringify(argv);
+}
+
+module.exports = {
+  evaluate,
+  loadPolicy,
+  parseScript,
+  splitScript,
+  unwrapCommand,
+  createApproval,
+  takeApproval,
+  DEFAULT_RULES,
+  POLICY_PATH,
+};
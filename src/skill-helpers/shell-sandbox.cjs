@@ -0,0 +1,322 @@
+'use strict';
+/**
+ * shell-sandbox.cjs
+ *
+ * Preview runs for LLM-written shell.run scripts. Instead of letting a goal-
+ * resolved `bash -c` script loose on the real files, shell.run can first run it
+ * against a throwaway copy of its working directory, report the file-system
+ * diff, and hold the real run until the caller approves that diff.
+ *
+ * Backends (picked automatically, best first):
+ *   bwrap  — bubblewrap: the whole filesystem is mounted read-only, the copy is
+ *            bind-mounted over the working directory, /tmp is a private tmpfs.
+ *            Writes outside the working directory fail instead of landing.
+ *            Network can be cut with --unshare-net.
+ *   copy   — the script runs with cwd set to the copy and every literal mention
+ *            of the working directory rewritten to the copy. Writes to absolute
+ *            paths elsewhere are NOT contained, so the preview itself can change
+ *            real files or call out to the network. It is refused unless the
+ *            caller opts in with allowUnisolated (shell.run: sandbox:
+ *            { allowUnisolated: true }); the result then says isolation
+ *            'cwd-only'. Network is cut with `unshare -rn` when user namespaces
+ *            are available.
+ *
+ * The copy uses copy-on-write clones where the filesystem supports them
+ * (`cp -c` on APFS, `cp --reflink=auto` on Linux) and falls back to a plain copy.
+ *
+ * Approval: runInSandbox() stores the exact command it previewed under a
+ * one-time token. shell.run re-runs that command for real only when called
+ * with `sandboxApproval: <token>` — the goal is not re-resolved, so what runs
+ * is exactly what was previewed. Tokens expire after APPROVAL_TTL_MS.
+ *
+ * Env:
+ *   SHELL_RUN_SANDBOX_GOALS=true      sandbox every goal-resolved script by default
+ *   SHELL_RUN_SANDBOX_MAX_BYTES       refuse to copy working dirs bigger than this (default 500MB)
+ *   SHELL_RUN_SANDBOX_ALLOW_UNISOLATED=true  allow the copy backend without a per-call opt-in
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const os     = require('os');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const logger = require('../logger.cjs');
+
+const MAX_COPY_BYTES   = parseInt(process.env.SHELL_RUN_SANDBOX_MAX_BYTES || String(500 * 1024 * 1024), 10);
+const MAX_FILES        = 50000;
+const MAX_DIFF_ENTRIES = 500;
+const HASH_LIMIT_BYTES = 4 * 1024 * 1024;
+const APPROVAL_TTL_MS  = 30 * 60 * 1000;
+
+// token → { cmd, argv, cwd, env, stdin, timeoutMs, origin, goal, expiresAt }
+const _approvals = new Map();
+
+let _capabilities = null;
+
+function detectCapabilities() {
+  if (_capabilities) return _capabilities;
+  const probe = (bin, args) => {
+    try {
+      return spawnSync(bin, args, { timeout: 5000, stdio: 'ignore' }).status === 0;
+    } catch (_) {
+      return false;
+    }
+  };
+  const linux = process.platform === 'linux';
+  _capabilities = {
+    bwrap: linux && probe('bwrap', ['--ro-bind', '/', '/', 'true']),
+    unshareNet: linux && probe('unshare', ['-rn', 'true']),
+  };
+  logger.info('[shell.sandbox] capabilities', _capabilities);
+  return _capabilities;
+}
+
+// ── Tree walking ─────────────────────────────────────────────────────────────
+
+function _measure(root) {
+  let bytes = 0;
+  let files = 0;
+  const stack = [root];
+  while (stack.length) {
+    const dir = stack.pop();
+    let entries = [];
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (_) { continue; }
+    for (const e of entries) {
+      const full = path.join(dir, e.name);
+      if (e.isDirectory()) { stack.push(full); continue; }
+      files++;
+      try { bytes += fs.lstatSync(full).size; } catch (_) {}
+      if (files > MAX_FILES || bytes > MAX_COPY_BYTES) return { bytes, files, tooLarge: true };
+    }
+  }
+  return { bytes, files, tooLarge: false };
+}
+
+function _fingerprint(full, stat) {
+  if (stat.isSymbolicLink()) {
+    try { return `link:${fs.readlinkSync(full)}`; } catch (_) { return 'link:?'; }
+  }
+  if (stat.size > HASH_LIMIT_BYTES) return `size:${stat.size}:${Math.floor(stat.mtimeMs)}`;
+  try {
+    return `sha1:${crypto.createHash('sha1').update(fs.readFileSync(full)).digest('hex')}`;
+  } catch (_) {
+    return `size:${stat.size}`;
+  }
+}
+
+/** rel path → { type, size, fp } for every entry under root. */
+function snapshotTree(root) {
+  const out = new Map();
+  const stack = [''];
+  while (stack.length) {
+    const rel = stack.pop();
+    let entries = [];
+    try { entries = fs.readdirSync(path.join(root, rel), { withFileTypes: true }); } catch (_) { continue; }
+    for (const e of entries) {
+      const childRel = rel ? path.join(rel, e.name) : e.name;
+      const full = path.join(root, childRel);
+      let stat;
+      try { stat = fs.lstatSync(full); } catch (_) { continue; }
+      if (stat.isDirectory()) {
+        out.set(childRel, { type: 'dir', size: 0, fp: 'dir' });
+        stack.push(childRel);
+      } else {
+        out.set(childRel, { type: stat.isSymbolicLink() ? 'symlink' : 'file', size: stat.size, fp: _fingerprint(full, stat) });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Compare two snapshots. Paths are reported against `displayRoot` (the real
+ * working directory) so the caller sees where the change would land.
+ */
+function diffTrees(before, after, displayRoot) {
+  const created = [];
+  const modified = [];
+  const deleted = [];
+  for (const [rel, a] of after) {
+    const b = before.get(rel);
+    if (!b) created.push({ path: path.join(displayRoot, rel), type: a.type, size: a.size });
+    else if (b.fp !== a.fp) modified.push({ path: path.join(displayRoot, rel), type: a.type, sizeBefore: b.size, sizeAfter: a.size });
+  }
+  for (const [rel, b] of before) {
+    if (!after.has(rel)) deleted.push({ path: path.join(displayRoot, rel), type: b.type });
+  }
+  const total = created.length + modified.length + deleted.length;
+  const cap = list => list.sort((x, y) => x.path.localeCompare(y.path)).slice(0, MAX_DIFF_ENTRIES);
+  return {
+    created: cap(created),
+    modified: cap(modified),
+    deleted: cap(deleted),
+    counts: { created: created.length, modified: modified.length, deleted: deleted.length },
+    truncated: total > MAX_DIFF_ENTRIES * 3 || [created, modified, deleted].some(l => l.length > MAX_DIFF_ENTRIES),
+  };
+}
+
+function _copyTree(src, dest) {
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  const args = process.platform === 'darwin'
+    ? ['-cRp', src, dest]                  // APFS clonefile
+    : ['-a', '--reflink=auto', src, dest];
+  try {
+    const res = spawnSync('cp', args, { timeout: 120000, stdio: 'ignore' });
+    if (res.status === 0) return;
+  } catch (_) {}
+  fs.rmSync(dest, { recursive: true, force: true });
+  fs.cpSync(src, dest, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+}
+
+// ── Approval tokens ──────────────────────────────────────────────────────────
+
+function _pruneApprovals() {
+  const now = Date.now();
+  for (const [token, entry] of _approvals) if (entry.expiresAt <= now) _approvals.delete(token);
+}
+
+function createApproval(entry) {
+  _pruneApprovals();
+  const token = crypto.randomUUID();
+  _approvals.set(token, { ...entry, expiresAt: Date.now() + APPROVAL_TTL_MS });
+  return token;
+}
+
+/** One-time lookup: the token is consumed whether or not the real run succeeds. */
+function takeApproval(token) {
+  _pruneApprovals();
+  const entry = _approvals.get(token) || null;
+  _approvals.delete(token);
+  return entry;
+}
+
+// ── Sandboxed run ────────────────────────────────────────────────────────────
+
+/**
+ * Run a command against a throwaway copy of `cwd` and report what it changed.
+ * @param {Object} opts
+ * @param {string}   opts.cmd
+ * @param {string[]} opts.argv
+ * @param {string}   opts.cwd        - working directory to copy (required — home is never copied)
+ * @param {Object}   [opts.env]
+ * @param {string}   [opts.stdin]
+ * @param {number}   opts.timeoutMs
+ * @param {boolean}  [opts.network=true] - false cuts network access where the backend can
+ * @param {boolean}  [opts.allowUnisolated=false] - run the preview with the copy backend when
+ *                                   bubblewrap is missing (writes outside cwd are NOT contained)
+ * @param {AbortSignal} [opts.signal]
+ * @param {Function} runProcess     - shell.run's spawn helper (cmd, argv, options, onProgress)
+ * @returns {Promise<Object>} { ok, backend, isolation, networkIsolated, diff, stdout, stderr, exitCode, executionTime, error? }
+ */
+async function runInSandbox({ cmd, argv = [], cwd, env, stdin, timeoutMs, network = true, allowUnisolated = false, signal = null }, runProcess) {
+  const root = path.resolve(cwd);
+  if (root === path.resolve(os.homedir()) || root === path.parse(root).root) {
+    return { ok: false, error: `Refusing to sandbox ${root} — pass a project directory as cwd` };
+  }
+  if (!detectCapabilities().bwrap && !allowUnisolated && process.env.SHELL_RUN_SANDBOX_ALLOW_UNISOLATED !== 'true') {
+    return {
+      ok: false,
+      unisolated: true,
+      error: 'No isolated sandbox is available (bubblewrap is not installed), so a preview would run the script for real ' +
+        'with your permissions — writes outside the working directory and network calls would happen before approval. ' +
+        'Pass sandbox: { allowUnisolated: true } to preview anyway.',
+    };
+  }
+  const size = _measure(root);
+  if (size.tooLarge) {
+    return { ok: false, error: `Working directory ${root} is too large to sandbox (>${MAX_FILES} files or >${Math.round(MAX_COPY_BYTES / 1048576)}MB)` };
+  }
+
+  const caps = detectCapabilities();
+  const tmpBase = fs.mkdtempSync(path.join(os.tmpdir(), 'td-sandbox-'));
+  const copy = path.join(tmpBase, 'root');
+  try {
+    _copyTree(root, copy);
+    // Baseline is the copy itself, so clone quirks never show up as changes.
+    const before = snapshotTree(copy);
+
+    let runCmd;
+    let runArgv;
+    let runCwd;
+    let backend;
+    let networkIsolated = false;
+
+    if (caps.bwrap) {
+      backend = 'bwrap';
+      runCmd = 'bwrap';
+      runArgv = [
+        '--ro-bind', '/', '/',
+        '--dev', '/dev',
+        '--proc', '/proc',
+        '--tmpfs', '/tmp',
+        '--bind', copy, root,
+        '--unshare-pid',
+        '--die-with-parent',
+        ...(network ? [] : ['--unshare-net']),
+        '--chdir', root,
+        '--', cmd, ...argv,
+      ];
+      runCwd = os.tmpdir();
+      networkIsolated = !network;
+    } else {
+      backend = 'copy';
+      const rewritten = argv.map(a => (typeof a === 'string' ? a.split(root).join(copy) : a));
+      if (!network && caps.unshareNet) {
+        runCmd = 'unshare';
+        runArgv = ['-rn', '--', cmd, ...rewritten];
+        networkIsolated = true;
+      } else {
+        runCmd = cmd;
+        runArgv = rewritten;
+      }
+      runCwd = copy;
+    }
+
+    logger.info('[shell.sandbox] preview run', { backend, root, networkIsolated });
+    const result = await runProcess(runCmd, runArgv, { cwd: runCwd, env, stdin, timeoutMs, signal }, null);
+    const diff = diffTrees(before, snapshotTree(copy), root);
+
+    return {
+      ok: true,
+      backend,
+      isolation: backend === 'bwrap' ? 'filesystem' : 'cwd-only',
+      networkIsolated,
+      networkRequested: network,
+      diff,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      exitCode: result.exitCode,
+      executionTime: result.executionTime,
+      scriptOk: !!result.ok,
+      scriptError: result.ok ? undefined : result.error,
+      aborted: !!result.aborted,
+    };
+  } catch (err) {
+    logger.warn(`[shell.sandbox] preview failed: ${err.message}`);
+    return { ok: false, error: `Sandbox preview failed: ${err.message}` };
+  } finally {
+    fs.rmSync(tmpBase, { recursive: true, force: true });
+  }
+}
+
+/** One-line human summary of a diff, used in the approval question. */
+function summarizeDiff(diff) {
+  const { created, modified, deleted } = diff.counts;
+  if (!created && !modified && !deleted) return 'no file changes';
+  return [
+    created ? `create ${created} file${created === 1 ? '' : 's'}` : null,
+    modified ? `modify ${modified}` : null,
+    deleted ? `delete ${deleted}` : null,
+  ].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  runInSandbox,
+  createApproval,
+  takeApproval,
+  snapshotTree,
+  diffTrees,
+  summarizeDiff,
+  detectCapabilities,
+  APPROVAL_TTL_MS,
+};
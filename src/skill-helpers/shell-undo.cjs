@@ -0,0 +1,507 @@
+'use strict';
+/**
+ * shell-undo.cjs
+ *
+ * Undo journal for destructive shell.run file operations (mv, rm, cp, rename,
+ * rmdir — directly or inside a bash -c script, including find -exec / xargs).
+ *
+ * Goal-resolved file moves are the most common way shell.run goes wrong (see the
+ * mv/cp/rm loop rules in SHELL_RUN_SYSTEM), and loops like
+ *   for f in ~/Desktop/*; do mv "$f" "$DEST"; done
+ * cannot be understood statically. So instead of parsing what a script will do,
+ * the journal watches what it did:
+ *
+ *   prepare() — before the run. Collects "watch dirs" from every literal path in
+ *               the command (plus cwd and the paths _extractExpectedOutputs
+ *               predicts), records every entry in them by inode, and backs up
+ *               (copy-on-write clone where possible) the literal targets of rm
+ *               and the files cp/mv are about to overwrite.
+ *   commit()  — after the run. Re-scans the watch dirs, matches inodes to find
+ *               moves/renames, and writes one journal entry with the moves,
+ *               created, deleted and overwritten paths.
+ *   undo()    — restores the last N entries newest first: moves go back, files
+ *               a cp created are removed (only if untouched since), deleted and
+ *               overwritten paths come back from their backups.
+ *
+ * Moving a whole Desktop into the wrong folder is one inode move per entry, so
+ * one undo puts everything back without having copied anything.
+ *
+ * Storage: ~/.thinkdrop/undo/<entryId>/entry.json (+ backups/ next to it),
+ *          override with THINKDROP_UNDO_DIR. Entries older than 7 days or beyond
+ *          the newest 50 are pruned on commit.
+ * Env:     SHELL_RUN_UNDO=false disables journaling;
+ *          SHELL_RUN_UNDO_BACKUP_MAX_BYTES caps backups per run (default 512MB).
+ *
+ * API:
+ *   prepare({ baseName, argv, cwd, expectedPaths }) → plan | null (not destructive)
+ *   commit(plan, { cmd, runId, ok })                → entry summary | null (nothing changed)
+ *   undo({ steps, id, dryRun })                     → { ok, undone: [...], errors }
+ *   listEntries({ limit })                          → entry summaries, newest first
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const os     = require('os');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const logger = require('../logger.cjs');
+const { splitScript } = require('./shell-policy.cjs');
+
+const UNDO_DIR         = process.env.THINKDROP_UNDO_DIR || path.join(os.homedir(), '.thinkdrop', 'undo');
+const BACKUP_MAX_BYTES = parseInt(process.env.SHELL_RUN_UNDO_BACKUP_MAX_BYTES || String(512 * 1024 * 1024), 10);
+const MAX_WATCH_DIRS   = 24;
+const MAX_DIR_ENTRIES  = 5000;
+const MAX_ENTRIES      = 50;
+const MAX_AGE_MS       = 7 * 24 * 60 * 60 * 1000;
+const ENTRY_ID_RE      = /^[A-Za-z0-9_-]+$/;
+
+const DESTRUCTIVE = new Set(['mv', 'rm', 'cp', 'rename', 'rmdir']);
+const SHELL_INTERPRETERS = new Set(['bash', 'sh', 'zsh']);
+
+function isEnabled() {
+  return process.env.SHELL_RUN_UNDO !== 'false';
+}
+
+// ── Command analysis ─────────────────────────────────────────────────────────
+
+/** Simple commands of the invocation: [[cmd, ...args]] (scripts are split). */
+function _commands(baseName, argv) {
+  if (SHELL_INTERPRETERS.has(baseName) && argv[0] === '-c' && typeof argv[1] === 'string') {
+    return splitScript(argv[1]);
+  }
+  return [[baseName, ...argv]];
+}
+
+function _isDestructive(commands) {
+  return commands.some(words => words.some(w => DESTRUCTIVE.has(path.basename(w))));
+}
+
+function _expandHome(p) {
+  return p
+    .replace(/^~(?=\/|$)/, os.homedir())
+    .replace(/^\$\{?HOME\}?(?=\/|$)/, os.homedir());
+}
+
+/** Literal absolute path for a word, or null when it depends on a variable. */
+function _literalPath(word, cwd) {
+  if (!word || word.startsWith('-') || word === '{}') return null;
+  const expanded = _expandHome(word);
+  if (expanded.includes('$') || expanded.includes('`')) return null;
+  if (!/[/.~]/.test(word) && !fs.existsSync(path.resolve(cwd, expanded))) return null;
+  return path.resolve(cwd, expanded);
+}
+
+/** Directory part of a word even when its tail is a variable: "$HOME/Desktop/$f" → ~/Desktop. */
+function _literalDir(word, cwd) {
+  const expanded = _expandHome(word);
+  const cut = expanded.search(/[$`]/);
+  const prefix = cut === -1 ? expanded : expanded.slice(0, cut);
+  if (!prefix.includes('/')) return null;
+  return path.resolve(cwd, prefix.endsWith('/') ? prefix : path.dirname(prefix));
+}
+
+function _hasGlob(p) {
+  return /[*?[]/.test(path.basename(p));
+}
+
+function _expandGlob(p) {
+  if (!_hasGlob(p)) return [p];
+  const dir = path.dirname(p);
+  const re = new RegExp('^' + path.basename(p).replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+  try {
+    return fs.readdirSync(dir).filter(n => re.test(n) && !n.startsWith('.')).map(n => path.join(dir, n));
+  } catch (_) {
+    return [];
+  }
+}
+
+function _lstat(p) {
+  try { return fs.lstatSync(p); } catch (_) { return null; }
+}
+
+// ── Snapshots ────────────────────────────────────────────────────────────────
+
+function _scanDirs(dirs) {
+  const byPath = new Map(); // path → { ino, dev, type, size, mtimeMs }
+  for (const dir of dirs) {
+    let names = [];
+    try { names = fs.readdirSync(dir); } catch (_) { continue; }
+    for (const name of names.slice(0, MAX_DIR_ENTRIES)) {
+      const full = path.join(dir, name);
+      const st = _lstat(full);
+      if (!st) continue;
+      byPath.set(full, {
+        ino: st.ino,
+        dev: st.dev,
+        type: st.isDirectory() ? 'dir' : st.isSymbolicLink() ? 'symlink' : 'file',
+        size: st.size,
+        mtimeMs: Math.floor(st.mtimeMs),
+      });
+    }
+  }
+  return byPath;
+}
+
+function _treeSize(p, cap) {
+  let total = 0;
+  const stack = [p];
+  while (stack.length) {
+    const cur = stack.pop();
+    const st = _lstat(cur);
+    if (!st) continue;
+    total += st.size;
+    if (total > cap) return total;
+    if (st.isDirectory()) {
+      let names = [];
+      try { names = fs.readdirSync(cur); } catch (_) {}
+      for (const n of names) stack.push(path.join(cur, n));
+    }
+  }
+  return total;
+}
+
+function _clone(src, dest) {
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  const args = process.platform === 'darwin' ? ['-cRp', src, dest] : ['-a', '--reflink=auto', src, dest];
+  try {
+    if (spawnSync('cp', args, { timeout: 120000, stdio: 'ignore' }).status === 0) return;
+  } catch (_) {}
+  fs.cpSync(src, dest, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+}
+
+/**
+ * Inspect a command before it runs. Returns null when it does not look
+ * destructive (or journaling is off), otherwise a plan to pass to commit().
+ * @param {Object} opts
+ * @param {string}   opts.baseName      - executable base name
+ * @param {string[]} opts.argv          - argv as it will run
+ * @param {string}   [opts.cwd]
+ * @param {string[]} [opts.expectedPaths] - paths from _extractExpectedOutputs (mv/cp destinations)
+ */
+function prepare({ baseName, argv = [], cwd, expectedPaths = [] }) {
+  if (!isEnabled()) return null;
+  const commands = _commands(baseName, argv);
+  if (!_isDestructive(commands)) return null;
+
+  const workDir = path.resolve(cwd || process.cwd());
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const watch = new Set([workDir]);
+  const backupTargets = new Set();
+  const literalTokens = [];
+
+  for (const words of commands) {
+    const head = path.basename(words[0] || '');
+    const args = words.slice(1).filter(w => !w.startsWith('-'));
+    for (const w of words.slice(1)) {
+      const lit = _literalPath(w, workDir);
+      if (lit) {
+        literalTokens.push(lit);
+        for (const p of _expandGlob(lit)) {
+          const st = _lstat(p);
+          if (st && st.isDirectory()) watch.add(p);
+        }
+        watch.add(path.dirname(lit));
+      } else {
+        const dir = _literalDir(w, workDir);
+        if (dir) watch.add(dir);
+      }
+    }
+    // rm / rmdir targets and cp / mv overwrite destinations are the only
+    // changes an inode scan cannot undo on its own — back them up now.
+    if (head === 'rm' || head === 'rmdir') {
+      for (const a of args) {
+        const lit = _literalPath(a, workDir);
+        if (lit) _expandGlob(lit).forEach(p => backupTargets.add(p));
+      }
+    }
+    if ((head === 'cp' || head === 'mv') && args.length >= 2) {
+      const dest = _literalPath(args[args.length - 1], workDir);
+      const destSt = dest ? _lstat(dest) : null;
+      if (dest && destSt && !destSt.isDirectory()) backupTargets.add(dest);
+      if (dest && destSt && destSt.isDirectory()) {
+        for (const src of args.slice(0, -1)) {
+          const lit = _literalPath(src, workDir);
+          if (!lit) continue;
+          for (const s of _expandGlob(lit)) {
+            const target = path.join(dest, path.basename(s));
+            const tSt = _lstat(target);
+            if (tSt && !tSt.isDirectory()) backupTargets.add(target);
+          }
+        }
+      }
+    }
+  }
+  for (const p of expectedPaths) {
+    const st = _lstat(p);
+    watch.add(st && st.isDirectory() ? p : path.dirname(p));
+  }
+
+  const watchDirs = [...watch].filter(d => { const st = _lstat(d); return !st || st.isDirectory(); }).slice(0, MAX_WATCH_DIRS);
+  const before = _scanDirs(watchDirs);
+
+  // Backups
+  const entryDir = path.join(UNDO_DIR, id);
+  const backups = new Map(); // original path → backup path | null (too large)
+  let budget = BACKUP_MAX_BYTES;
+  let n = 0;
+  for (const target of backupTargets) {
+    if (!_lstat(target)) continue;
+    const size = _treeSize(target, budget + 1);
+    if (size > budget) {
+      backups.set(target, null);
+      logger.warn(`[shell.undo] ${target} is too large to back up (${size} bytes over budget) — its deletion will not be undoable`);
+      continue;
+    }
+    const dest = path.join(entryDir, 'backups', String(n++), path.basename(target));
+    try {
+      _clone(target, dest);
+      backups.set(target, dest);
+      budget -= size;
+    } catch (err) {
+      backups.set(target, null);
+      logger.warn(`[shell.undo] backup of ${target} failed: ${err.message}`);
+    }
+  }
+
+  return { id, entryDir, cwd: workDir, watchDirs, literalTokens, before, backups, startedAt: new Date().toISOString() };
+}
+
+// ── Journal ──────────────────────────────────────────────────────────────────
+
+function _entryPath(id) {
+  return ENTRY_ID_RE.test(String(id || '')) ? path.join(UNDO_DIR, id, 'entry.json') : null;
+}
+
+function _readEntry(id) {
+  const file = _entryPath(id);
+  try { return file ? JSON.parse(fs.readFileSync(file, 'utf8')) : null; } catch (_) { return null; }
+}
+
+function _writeEntry(entry) {
+  const file = _entryPath(entry.id);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(entry, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function _allEntries() {
+  let ids = [];
+  try { ids = fs.readdirSync(UNDO_DIR).filter(n => ENTRY_ID_RE.test(n)); } catch (_) { return []; }
+  return ids.map(_readEntry).filter(Boolean).sort((a, b) => String(b.ts).localeCompare(String(a.ts)));
+}
+
+function _prune() {
+  const entries = _allEntries();
+  const cutoff = Date.now() - MAX_AGE_MS;
+  entries.forEach((e, i) => {
+    if (i >= MAX_ENTRIES || Date.parse(e.ts) < cutoff) {
+      fs.rmSync(path.join(UNDO_DIR, e.id), { recursive: true, force: true });
+    }
+  });
+}
+
+function _summary(entry) {
+  return {
+    id: entry.id,
+    ts: entry.ts,
+    cmd: entry.cmd,
+    undone: !!entry.undone,
+    counts: {
+      moved: entry.moves.length,
+      created: entry.created.length,
+      deleted: entry.deleted.length,
+      overwritten: entry.overwritten.length,
+    },
+    notRestorable: entry.deleted.filter(d => !d.backup).map(d => d.path),
+  };
+}
+
+/**
+ * Record what a prepared command actually changed.
+ * @returns {Object|null} entry summary, or null when nothing in the watched dirs changed
+ */
+function commit(plan, { cmd, runId = null, ok = true } = {}) {
+  if (!plan) return null;
+  try {
+    const postDirs = new Set(plan.watchDirs);
+    for (const tok of plan.literalTokens) {
+      const st = _lstat(tok);
+      if (st && st.isDirectory()) postDirs.add(tok);
+    }
+    const after = _scanDirs([...postDirs]);
+    const afterByInode = new Map();
+    for (const [p, meta] of after) afterByInode.set(`${meta.dev}:${meta.ino}`, p);
+
+    const moves = [];
+    const deleted = [];
+    const overwritten = [];
+    const movedTo = new Set();
+
+    for (const [p, meta] of plan.before) {
+      const now = after.get(p);
+      const newPath = afterByInode.get(`${meta.dev}:${meta.ino}`);
+      if (newPath && newPath !== p && !(now && `${now.dev}:${now.ino}` === `${meta.dev}:${meta.ino}`)) {
+        moves.push({ from: p, to: newPath, type: meta.type });
+        movedTo.add(newPath);
+        continue;
+      }
+      if (!now && !newPath) {
+        deleted.push({ path: p, type: meta.type, backup: plan.backups.get(p) || null });
+        continue;
+      }
+      if (now && plan.backups.get(p) && (now.ino !== meta.ino || now.size !== meta.size || now.mtimeMs !== meta.mtimeMs)) {
+        overwritten.push({ path: p, backup: plan.backups.get(p) });
+      }
+    }
+
+    // Cross-device moves change inode: pair a deleted entry with a new one of
+    // the same name, type and size.
+    const created = [];
+    for (const [p, meta] of after) {
+      if (plan.before.has(p) || movedTo.has(p)) continue;
+      if (p === UNDO_DIR || p.startsWith(UNDO_DIR + path.sep)) continue;
+      const idx = deleted.findIndex(d => !d.backup && path.basename(d.path) === path.basename(p) && d.type === meta.type &&
+        (meta.type === 'dir' || plan.before.get(d.path)?.size === meta.size));
+      if (idx !== -1) {
+        moves.push({ from: deleted[idx].path, to: p, type: meta.type });
+        deleted.splice(idx, 1);
+        continue;
+      }
+      created.push({ path: p, type: meta.type, size: meta.size, mtimeMs: meta.mtimeMs });
+    }
+
+    // Entries inside a moved directory travelled with it — they are neither
+    // deleted nor separate moves.
+    const movedDirs = moves.filter(m => m.type === 'dir').map(m => m.from + path.sep);
+    const insideMovedDir = p => movedDirs.some(d => p.startsWith(d));
+    for (let i = deleted.length - 1; i >= 0; i--) if (insideMovedDir(deleted[i].path)) deleted.splice(i, 1);
+    for (let i = moves.length - 1; i >= 0; i--) if (insideMovedDir(moves[i].from)) moves.splice(i, 1);
+
+    // Backed-up targets outside the watch dirs (rm of a literal deep path).
+    for (const [p, backup] of plan.backups) {
+      if (plan.before.has(p)) continue;
+      if (!_lstat(p)) deleted.push({ path: p, type: 'file', backup });
+      else if (backup) overwritten.push({ path: p, backup });
+    }
+
+    if (!moves.length && !deleted.length && !overwritten.length && !created.length) {
+      fs.rmSync(plan.entryDir, { recursive: true, force: true });
+      return null;
+    }
+
+    const entry = {
+      id: plan.id,
+      ts: plan.startedAt,
+      cmd,
+      cwd: plan.cwd,
+      runId,
+      commandOk: ok,
+      moves,
+      created,
+      deleted,
+      overwritten,
+      undone: false,
+      undoneAt: null,
+    };
+    _writeEntry(entry);
+    _prune();
+    logger.info(`[shell.undo] journaled ${plan.id}`, _summary(entry).counts);
+    return _summary(entry);
+  } catch (err) {
+    logger.warn(`[shell.undo] commit failed: ${err.message}`);
+    return null;
+  }
+}
+
+// ── Undo ─────────────────────────────────────────────────────────────────────
+
+function _undoEntry(entry, dryRun) {
+  const actions = [];
+  const errors = [];
+  const act = (description, fn) => {
+    actions.push(description);
+    if (dryRun) return;
+    try { fn(); } catch (err) { errors.push(`${description}: ${err.message}`); }
+  };
+
+  // Reverse order so chained moves (a → b → c) unwind correctly.
+  for (const m of [...entry.moves].reverse()) {
+    if (!_lstat(m.to)) { errors.push(`cannot move back ${m.to}: it no longer exists`); continue; }
+    if (_lstat(m.from)) { errors.push(`cannot move back to ${m.from}: something already exists there`); continue; }
+    act(`move ${m.to} → ${m.from}`, () => {
+      fs.mkdirSync(path.dirname(m.from), { recursive: true });
+      fs.renameSync(m.to, m.from);
+    });
+  }
+  for (const o of entry.overwritten) {
+    act(`restore ${o.path} from backup`, () => {
+      fs.rmSync(o.path, { recursive: true, force: true });
+      _clone(o.backup, o.path);
+    });
+  }
+  for (const d of entry.deleted) {
+    if (!d.backup) { errors.push(`cannot restore ${d.path}: no backup was taken`); continue; }
+    if (_lstat(d.path)) { errors.push(`cannot restore ${d.path}: something already exists there`); continue; }
+    act(`restore ${d.path} from backup`, () => _clone(d.backup, d.path));
+  }
+  for (const c of entry.created) {
+    const st = _lstat(c.path);
+    if (!st) continue;
+    // Only remove what the command made and nobody touched since.
+    if (c.type !== 'dir' && (st.size !== c.size || Math.floor(st.mtimeMs) !== c.mtimeMs)) {
+      errors.push(`left ${c.path} in place: it changed after the command ran`);
+      continue;
+    }
+    if (c.type === 'dir') {
+      let names = [];
+      try { names = fs.readdirSync(c.path); } catch (_) {}
+      if (names.length) { errors.push(`left ${c.path} in place: directory is not empty`); continue; }
+    }
+    act(`remove created ${c.path}`, () => fs.rmSync(c.path, { recursive: true, force: true }));
+  }
+  return { actions, errors };
+}
+
+/**
+ * Restore journaled operations, newest first.
+ * @param {Object} [opts]
+ * @param {number}  [opts.steps=1] - how many not-yet-undone entries to restore
+ * @param {string}  [opts.id]      - restore this entry only
+ * @param {boolean} [opts.dryRun]  - list what would be done
+ */
+function undo({ steps = 1, id = null, dryRun = false } = {}) {
+  const candidates = id
+    ? [_readEntry(id)].filter(Boolean)
+    : _allEntries().filter(e => !e.undone).slice(0, Math.max(1, steps));
+  if (!candidates.length) {
+    return { ok: false, undone: [], error: id ? `No undo entry ${id}` : 'Nothing to undo' };
+  }
+
+  const undone = [];
+  let allOk = true;
+  for (const entry of candidates) {
+    if (entry.undone) {
+      undone.push({ ..._summary(entry), actions: [], errors: ['already undone'] });
+      allOk = false;
+      continue;
+    }
+    const { actions, errors } = _undoEntry(entry, dryRun);
+    if (!dryRun) {
+      entry.undone = true;
+      entry.undoneAt = new Date().toISOString();
+      entry.undoErrors = errors;
+      _writeEntry(entry);
+    }
+    if (errors.length) allOk = false;
+    undone.push({ ..._summary(entry), actions, errors });
+  }
+  logger.info(`[shell.undo] ${dryRun ? 'dry-run' : 'undid'} ${undone.length} entr${undone.length === 1 ? 'y' : 'ies'}`);
+  return { ok: allOk, dryRun, undone };
+}
+
+function listEntries({ limit = 20 } = {}) {
+  return _allEntries().slice(0, Math.max(1, limit)).map(_summary);
+}
+
+module.exports = { prepare, commit, undo, listEntries, isEnabled, UNDO_DIR };
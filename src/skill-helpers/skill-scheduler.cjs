@@ -281,13 +281,14 @@ function checkUserActivity() {
 }
 
 // Append a WS:INSTRUCTION block to bridge.md so Electron's bridge watcher picks it up.
-function writeBridgeInstruction(skillName, instruction) {
-  const fs = require('fs');
-  const bridgePath = path.join(os.homedir(), '.thinkdrop', 'bridge.md');
-  const blockId    = `sched_${skillName.replace(/\./g, '_')}_${Date.now()}`;
-  const block = `\n<!-- WS:INSTRUCTION id="${blockId}" status="pending" -->\n${instruction}\n<!-- WS:END -->\n`;
+// Goes through the bridge channel layer so it takes the same lock as file.bridge writes.
+async function writeBridgeInstruction(skillName, instruction) {
+  const bridgeChannels = require('./bridge-channels.cjs');
+  const blockId = `sched_${skillName.replace(/\./g, '_')}_${Date.now()}`;
   try {
-    fs.appendFileSync(bridgePath, block, 'utf8');
+    await bridgeChannels.appendBlock(bridgeChannels.resolveChannel(), {
+      id: blockId, prefix: 'WS', type: 'INSTRUCTION', ts: new Date().toISOString(), status: 'pending', body: instruction,
+    });
     logger.info(`[SkillScheduler] bridge instruction written: ${blockId}`);
   } catch (err) {
     logger.error(`[SkillScheduler] writeBridgeInstruction failed for ${skillName}: ${err.message}`);
@@ -348,7 +349,7 @@ async function fireBridgeSkill(skillName, metadata, retryCount = 0, forced = fal
   }
   // Task is firing — clear any pending-retry entry
   removeBridgePending(skillName);
-  writeBridgeInstruction(skillName, metadata.instruction || skillName);
+  await writeBridgeInstruction(skillName, metadata.instruction || skillName);
 }
 
 // ── Tier dispatch ─────────────────────────────────────────────────────────────
@@ -376,7 +377,7 @@ async function fireSkill(skillName, execPath, metadata = {}) {
     if (result?.data?.success === false) {
       logger.warn(`[SkillScheduler] Skill run failed: ${skillName}`, { error: result?.data?.error });
       if (result?.data?.sessionExpired) {
-        writeBridgeInstruction(skillName, `Scheduled task "${skillName}" failed: ${result.data.question || 'Browser session expired — please re-authenticate in the Agents tab.'}`);
+        await writeBridgeInstruction(skillName, `Scheduled task "${skillName}" failed: ${result.data.question || 'Browser session expired — please re-authenticate in the Agents tab.'}`);
       }
     } else {
       logger.info(`[SkillScheduler] Skill run ok: ${skillName}`);
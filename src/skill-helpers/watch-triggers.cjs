@@ -0,0 +1,516 @@
+'use strict';
+/**
+ * watch-triggers.cjs
+ *
+ * Persistent "when files matching X under Y change, run skill Z" rules on top of
+ * file.watch. Runs inside command-service as a background daemon, like
+ * skill-scheduler.cjs does for cron jobs: rules live in
+ * ~/.thinkdrop/watch-triggers.json (override THINKDROP_WATCH_TRIGGERS_FILE) and
+ * start() re-arms every enabled rule when the service boots.
+ *
+ * Rule:
+ * {
+ *   id, name,
+ *   path:         string             — file or directory to watch
+ *   recursive:    boolean            — watch sub-directories (default true for directories)
+ *   match:        string | string[]  — gitignore-style globs relative to path ('*.log', 'src/**\/*.ts')
+ *   events:       string[]           — 'created' | 'modified' | 'deleted' (default: all)
+ *   skill:        string             — skill to run, e.g. 'shell.run', 'file.bridge', 'external.skill'
+ *   args:         object             — skill args; strings are templated from the event (below)
+ *   debounceMs:   number             — collapse bursts into one run (default 1000)
+ *   rateLimit:    { max, windowMs }  — at most `max` runs per window (default 6 per minute)
+ *   errorPattern: string             — regex ('/.../i' form allowed) tested against lines appended
+ *                                      since the last run; the rule only fires when a line matches
+ *   enabled:      boolean
+ * }
+ *
+ * Template variables: {{path}} {{relativePath}} {{name}} {{dir}} {{event}} {{paths}}
+ * {{count}} {{lines}} {{match}} {{timestamp}} {{rule}}. An arg that is exactly
+ * "{{paths}}" becomes the array itself.
+ *
+ * File names and log lines are attacker-controlled text, so shell.run rules never
+ * get them pasted into script source: the variables are exported as TD_PATH,
+ * TD_RELATIVE_PATH, TD_NAME, TD_DIR, TD_EVENT, TD_PATHS, TD_COUNT, TD_LINES,
+ * TD_MATCH, TD_TIMESTAMP and TD_RULE, and a placeholder inside a `bash -c` (sh,
+ * zsh) script becomes a quoted "${TD_…}" reference. Plain argv entries of
+ * non-shell commands are substituted as text — no shell parses them.
+ *
+ * While a rule's skill is running, further changes are coalesced into one
+ * follow-up run, so a skill that writes into its own watched directory cannot
+ * stack runs (and the rate limit stops any loop that remains).
+ *
+ * API:
+ *   start({ runSkill })   — load rules and arm them; runSkill(skill, args) defaults to
+ *                           POST /command.automate on this service
+ *   stop()
+ *   addTrigger(rule)      → { ok, trigger }   (same name replaces)
+ *   removeTrigger(idOrName)
+ *   setEnabled(idOrName, enabled)
+ *   listTriggers()        → rules with runtime state (armed, lastFiredAt, fireCount, suppressed, lastError)
+ */
+
+const fs     = require('fs');
+const http   = require('http');
+const path   = require('path');
+const os     = require('os');
+const crypto = require('crypto');
+const logger = require('../logger.cjs');
+const { compileRule } = require('./ignore-rules.cjs');
+
+const TRIGGERS_FILE = process.env.THINKDROP_WATCH_TRIGGERS_FILE || path.join(os.homedir(), '.thinkdrop', 'watch-triggers.json');
+const COMMAND_SERVICE_PORT = parseInt(process.env.PORT || '3007', 10);
+const DEFAULT_DEBOUNCE_MS = 1000;
+const DEFAULT_RATE_LIMIT = { max: 6, windowMs: 60 * 1000 };
+const REARM_INTERVAL_MS = 60 * 1000;      // retry rules whose path did not exist yet
+const MAX_APPENDED_BYTES = 1024 * 1024;   // per file per run, for errorPattern scans
+const MAX_BASELINE_FILES = 1000;
+const EVENT_KINDS = ['created', 'modified', 'deleted'];
+
+// Map of rule id → runtime state { rule, watchId, ownsWatcher, unsubscribe, timer, pending, running, … }
+const _armed = new Map();
+let _runSkill = null;
+let _rearmTimer = null;
+
+// ── Persistence ───────────────────────────────────────────────────────────────
+
+function loadRules() {
+  try {
+    const data = JSON.parse(fs.readFileSync(TRIGGERS_FILE, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function saveRules(rules) {
+  try {
+    fs.mkdirSync(path.dirname(TRIGGERS_FILE), { recursive: true });
+    const tmp = `${TRIGGERS_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(rules, null, 2), 'utf8');
+    fs.renameSync(tmp, TRIGGERS_FILE);
+  } catch (err) {
+    logger.warn(`[WatchTriggers] saveRules failed: ${err.message}`);
+  }
+}
+
+function _updateRule(id, patch) {
+  const rules = loadRules();
+  const rule = rules.find(r => r.id === id);
+  if (!rule) return null;
+  Object.assign(rule, patch);
+  saveRules(rules);
+  return rule;
+}
+
+function _findRule(rules, idOrName) {
+  return rules.find(r => r.id === idOrName || r.name === idOrName) || null;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _parseRegex(spec) {
+  const m = /^\/(.+)\/([gimsuy]*)$/.exec(spec);
+  return m ? new RegExp(m[1], m[2].replace('g', '')) : new RegExp(spec);
+}
+
+function _matchers(match) {
+  const globs = match == null ? [] : Array.isArray(match) ? match : [match];
+  return globs.map((g, i) => compileRule(g, '', `match:${i + 1}`)).filter(Boolean);
+}
+
+function _matches(globs, rel) {
+  let hit = globs.length === 0;
+  for (const g of globs) if (g.regex.test(rel)) hit = !g.negate;
+  return hit;
+}
+
+function _template(value, vars) {
+  if (typeof value === 'string') {
+    if (value === '{{paths}}') return vars.paths;
+    return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (whole, key) => {
+      if (!(key in vars)) return whole;
+      const v = vars[key];
+      return Array.isArray(v) ? v.join('\n') : String(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map(v => _template(v, vars));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, _template(v, vars)]));
+  }
+  return value;
+}
+
+const SHELL_INTERPRETERS = new Set(['bash', 'sh', 'zsh']);
+
+function _envName(key) {
+  return `TD_${key.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+/**
+ * Replace {{var}} placeholders in shell source with references to the exported
+ * TD_* variable, quoted for whatever quoting context the placeholder sits in.
+ * The value itself never becomes part of the script.
+ */
+function _templateScript(script, vars) {
+  let out = '';
+  let quote = null; // null | "'" | '"'
+  for (let i = 0; i < script.length; i++) {
+    const m = /^\{\{\s*(\w+)\s*\}\}/.exec(script.slice(i, i + 64));
+    if (m && m[1] in vars) {
+      const ref = `\${${_envName(m[1])}}`;
+      out += quote === '"' ? ref : quote === "'" ? `'"${ref}"'` : `"${ref}"`;
+      i += m[0].length - 1;
+      continue;
+    }
+    const ch = script[i];
+    if (ch === '\\' && quote !== "'") { out += ch + (script[i + 1] || ''); i++; continue; }
+    if ((ch === "'" || ch === '"') && (quote === null || quote === ch)) quote = quote ? null : ch;
+    out += ch;
+  }
+  return out;
+}
+
+/** shell.run args: values travel as env vars; only shell script source is rewritten. */
+function _templateShellRun(args, vars) {
+  const env = {};
+  for (const [key, v] of Object.entries(vars)) env[_envName(key)] = Array.isArray(v) ? v.join('\n') : String(v);
+  const { argv, env: ownEnv, ...rest } = args;
+  const out = _template(rest, vars);
+  const shell = SHELL_INTERPRETERS.has(path.basename(String(args.cmd || '')));
+  if (Array.isArray(argv)) {
+    out.argv = argv.map((a, i) => (typeof a === 'string' && shell && argv[i - 1] === '-c' ? _templateScript(a, vars) : _template(a, vars)));
+  }
+  out.env = { ..._template(ownEnv || {}, vars), ...env };
+  return out;
+}
+
+function _fileSize(p) {
+  try {
+    const st = fs.statSync(p);
+    return st.isFile() ? st.size : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Lines appended to `file` since `offset` (from 0 when the file shrank — rotation/truncation). */
+function _appendedLines(file, offset) {
+  const size = _fileSize(file);
+  if (size == null) return { lines: [], size: 0 };
+  const start = size < offset ? 0 : offset;
+  const from = Math.max(start, size - MAX_APPENDED_BYTES);
+  if (size === from) return { lines: [], size };
+  const buf = Buffer.alloc(size - from);
+  try {
+    const fd = fs.openSync(file, 'r');
+    try { fs.readSync(fd, buf, 0, buf.length, from); } finally { fs.closeSync(fd); }
+  } catch (_) {
+    return { lines: [], size };
+  }
+  return { lines: buf.toString('utf8').split(/\r?\n/).filter(l => l.trim()), size };
+}
+
+/** Default runner: same route the skill scheduler uses. */
+function _postAutomate(skill, args) {
+  return new Promise((resolve) => {
+    const body = JSON.stringify({ payload: { skill, args }, requestId: `trigger-${Date.now()}` });
+    const req = http.request({
+      hostname: '127.0.0.1', port: COMMAND_SERVICE_PORT, path: '/command.automate', method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout: 10 * 60 * 1000,
+    }, (res) => {
+      let raw = '';
+      res.on('data', c => { raw += c; });
+      res.on('end', () => {
+        try {
+          const parsed = JSON.parse(raw);
+          const data = parsed.data || parsed;
+          resolve({ ok: data.success !== false && data.ok !== false, error: data.error });
+        } catch (_) {
+          resolve({ ok: false, error: `Unparseable response (HTTP ${res.statusCode})` });
+        }
+      });
+    });
+    req.on('error', err => resolve({ ok: false, error: err.message }));
+    req.on('timeout', () => { req.destroy(); resolve({ ok: false, error: 'timeout' }); });
+    req.write(body);
+    req.end();
+  });
+}
+
+// ── Arming ────────────────────────────────────────────────────────────────────
+
+async function _arm(rule) {
+  if (_armed.has(rule.id) || rule.enabled === false) return _armed.get(rule.id) || null;
+  const fileWatch = require('../skills/file.watch.cjs');
+  const root = path.resolve(rule.path.replace(/^~/, os.homedir()));
+  let isDir;
+  try { isDir = fs.statSync(root).isDirectory(); } catch (_) {
+    _updateRule(rule.id, { lastError: `Path does not exist yet: ${root}` });
+    return null;
+  }
+
+  const res = await fileWatch.fileWatch({
+    action: 'start',
+    path: root,
+    recursive: isDir && rule.recursive !== false,
+    label: `trigger_${rule.name}`,
+  });
+  if (!res.ok) {
+    _updateRule(rule.id, { lastError: res.error });
+    logger.warn(`[WatchTriggers] could not arm "${rule.name}": ${res.error}`);
+    return null;
+  }
+
+  const state = {
+    rule,
+    root,
+    isDir,
+    watchId: res.watchId,
+    ownsWatcher: !res.alreadyWatching,
+    globs: _matchers(rule.match),
+    errorRegex: rule.errorPattern ? _parseRegex(rule.errorPattern) : null,
+    sizes: new Map(),   // file → size at last look (created/modified detection + errorPattern offsets)
+    pending: new Map(), // file → event kind, collected during the debounce window
+    firedAt: [],        // run timestamps inside the rate-limit window
+    timer: null,
+    running: false,
+    rerun: false,
+  };
+
+  // Baseline sizes so the first change is classified correctly and errorPattern
+  // only sees lines written after arming.
+  if (!isDir) {
+    state.sizes.set(root, _fileSize(root));
+  } else {
+    const stack = [root];
+    while (stack.length && state.sizes.size < MAX_BASELINE_FILES) {
+      const dir = stack.pop();
+      let entries = [];
+      try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (_) {}
+      for (const e of entries) {
+        const full = path.join(dir, e.name);
+        if (e.isDirectory()) { if (rule.recursive !== false && e.name !== 'node_modules' && e.name !== '.git') stack.push(full); continue; }
+        if (_matches(state.globs, path.relative(root, full).split(path.sep).join('/'))) state.sizes.set(full, _fileSize(full));
+      }
+    }
+  }
+
+  state.unsubscribe = fileWatch.subscribe(res.watchId, ({ type, path: changed }) => _onEvent(state, type, changed));
+  _armed.set(rule.id, state);
+  _updateRule(rule.id, { lastError: null, armedAt: new Date().toISOString() });
+  logger.info(`[WatchTriggers] armed "${rule.name}" on ${root} → ${rule.skill}`);
+  return state;
+}
+
+async function _disarm(id) {
+  const state = _armed.get(id);
+  if (!state) return;
+  _armed.delete(id);
+  if (state.timer) clearTimeout(state.timer);
+  if (state.unsubscribe) state.unsubscribe();
+  const sharer = [..._armed.values()].find(other => other.watchId === state.watchId);
+  if (sharer) {
+    // Another rule rides on the same file.watch watcher — hand over ownership.
+    sharer.ownsWatcher = sharer.ownsWatcher || state.ownsWatcher;
+  } else if (state.ownsWatcher) {
+    const fileWatch = require('../skills/file.watch.cjs');
+    await fileWatch.fileWatch({ action: 'stop', watchId: state.watchId }).catch(() => {});
+  }
+}
+
+function _onEvent(state, type, changed) {
+  const rel = path.relative(state.root, changed).split(path.sep).join('/');
+  if (state.isDir && (!rel || !_matches(state.globs, rel))) return;
+
+  const size = _fileSize(changed);
+  let kind;
+  if (size == null) {
+    let isDir = false;
+    try { isDir = fs.statSync(changed).isDirectory(); } catch (_) {}
+    if (isDir) return; // directory events carry no file change of their own
+    kind = 'deleted';
+  } else {
+    kind = state.sizes.has(changed) || type === 'change' ? 'modified' : 'created';
+  }
+  const events = state.rule.events && state.rule.events.length ? state.rule.events : EVENT_KINDS;
+  if (!events.includes(kind)) return;
+
+  // A create followed by writes within the window stays 'created'
+  if (!(state.pending.get(changed) === 'created' && kind === 'modified')) state.pending.set(changed, kind);
+  if (!state.sizes.has(changed)) state.sizes.set(changed, kind === 'created' ? 0 : size);
+
+  if (state.timer) clearTimeout(state.timer);
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    _fire(state).catch(err => logger.warn(`[WatchTriggers] "${state.rule.name}" failed: ${err.message}`));
+  }, state.rule.debounceMs ?? DEFAULT_DEBOUNCE_MS);
+}
+
+async function _fire(state) {
+  if (state.running) { state.rerun = true; return; }
+  if (!state.pending.size) return;
+  const { rule } = state;
+  const batch = [...state.pending.entries()];
+  state.pending.clear();
+
+  // errorPattern: only fire when newly appended lines match
+  let matchedLines = [];
+  for (const [file, kind] of batch) {
+    if (kind === 'deleted') { state.sizes.delete(file); continue; }
+    const { lines, size } = _appendedLines(file, state.sizes.get(file) || 0);
+    state.sizes.set(file, size);
+    if (state.errorRegex) matchedLines.push(...lines.filter(l => state.errorRegex.test(l)));
+  }
+  if (state.errorRegex && !matchedLines.length) return;
+
+  const now = Date.now();
+  const limit = { ...DEFAULT_RATE_LIMIT, ...(rule.rateLimit || {}) };
+  state.firedAt = state.firedAt.filter(t => now - t < limit.windowMs);
+  if (state.firedAt.length >= limit.max) {
+    const current = _findRule(loadRules(), rule.id);
+    _updateRule(rule.id, { suppressed: ((current && current.suppressed) || 0) + 1 });
+    logger.warn(`[WatchTriggers] "${rule.name}" rate-limited (${limit.max} per ${limit.windowMs}ms) — ${batch.length} change(s) dropped`);
+    return;
+  }
+  state.firedAt.push(now);
+
+  const [firstPath, firstKind] = batch[0];
+  matchedLines = matchedLines.slice(0, 50);
+  const vars = {
+    path: firstPath,
+    relativePath: state.isDir ? path.relative(state.root, firstPath) : path.basename(firstPath),
+    name: path.basename(firstPath),
+    dir: path.dirname(firstPath),
+    event: firstKind,
+    paths: batch.map(([p]) => p),
+    count: batch.length,
+    lines: matchedLines,
+    match: matchedLines[0] || '',
+    timestamp: new Date(now).toISOString(),
+    rule: rule.name,
+  };
+  const args = rule.skill === 'shell.run' ? _templateShellRun(rule.args || {}, vars) : _template(rule.args || {}, vars);
+
+  state.running = true;
+  logger.info(`[WatchTriggers] "${rule.name}" firing ${rule.skill} (${batch.length} change(s))`);
+  let result;
+  try {
+    result = await (_runSkill || _postAutomate)(rule.skill, args, { trigger: rule.name, vars });
+  } catch (err) {
+    result = { ok: false, error: err.message };
+  }
+  state.running = false;
+
+  const current = _findRule(loadRules(), rule.id);
+  _updateRule(rule.id, {
+    lastFiredAt: new Date(now).toISOString(),
+    fireCount: ((current && current.fireCount) || 0) + 1,
+    lastResult: { ok: result?.ok !== false, error: result?.error || null, event: firstKind, path: firstPath },
+  });
+
+  if (state.rerun) {
+    state.rerun = false;
+    await _fire(state);
+  }
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+function _validate(rule) {
+  if (!rule.name || typeof rule.name !== 'string') return 'name is required';
+  if (!rule.path) return 'path is required';
+  if (!rule.skill) return 'skill is required';
+  if (rule.events && (!Array.isArray(rule.events) || rule.events.some(e => !EVENT_KINDS.includes(e)))) {
+    return `events must be a subset of: ${EVENT_KINDS.join(', ')}`;
+  }
+  if (rule.errorPattern) {
+    try { _parseRegex(rule.errorPattern); } catch (err) { return `invalid errorPattern: ${err.message}`; }
+  }
+  if (rule.rateLimit && !(rule.rateLimit.max > 0 && (rule.rateLimit.windowMs == null || rule.rateLimit.windowMs > 0))) {
+    return 'rateLimit needs max > 0 and windowMs > 0';
+  }
+  return null;
+}
+
+/**
+ * Create or replace (by name) a trigger rule, persist it and arm it.
+ */
+async function addTrigger(input) {
+  const error = _validate(input || {});
+  if (error) return { ok: false, error };
+  const rules = loadRules();
+  const existing = rules.find(r => r.name === input.name);
+  const rule = {
+    id: existing ? existing.id : `trg_${crypto.randomBytes(4).toString('hex')}`,
+    name: input.name,
+    path: input.path,
+    recursive: input.recursive !== false,
+    match: input.match || null,
+    events: input.events || null,
+    skill: input.skill,
+    args: input.args || {},
+    debounceMs: input.debounceMs ?? DEFAULT_DEBOUNCE_MS,
+    rateLimit: input.rateLimit || null,
+    errorPattern: input.errorPattern || null,
+    enabled: input.enabled !== false,
+    createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    fireCount: existing ? existing.fireCount || 0 : 0,
+    suppressed: existing ? existing.suppressed || 0 : 0,
+  };
+  if (existing) await _disarm(existing.id);
+  saveRules([...rules.filter(r => r.name !== rule.name), rule]);
+  const armed = rule.enabled ? await _arm(rule) : null;
+  return { ok: true, trigger: { ...rule, armed: !!armed }, replaced: !!existing };
+}
+
+async function removeTrigger(idOrName) {
+  const rules = loadRules();
+  const rule = _findRule(rules, idOrName);
+  if (!rule) return { ok: false, error: `Trigger not found: ${idOrName}` };
+  await _disarm(rule.id);
+  saveRules(rules.filter(r => r.id !== rule.id));
+  return { ok: true, removed: rule.name };
+}
+
+async function setEnabled(idOrName, enabled) {
+  const rule = _findRule(loadRules(), idOrName);
+  if (!rule) return { ok: false, error: `Trigger not found: ${idOrName}` };
+  const updated = _updateRule(rule.id, { enabled: !!enabled, updatedAt: new Date().toISOString() });
+  if (enabled) await _arm(updated);
+  else await _disarm(rule.id);
+  return { ok: true, trigger: { ...updated, armed: _armed.has(rule.id) } };
+}
+
+function listTriggers() {
+  return loadRules().map(r => ({ ...r, armed: _armed.has(r.id) }));
+}
+
+/**
+ * Start the trigger daemon. Called once from server.cjs on startup.
+ * @param {Object} [opts]
+ * @param {Function} [opts.runSkill] - (skill, args, context) => Promise<{ ok, error? }>
+ */
+async function start({ runSkill } = {}) {
+  if (runSkill) _runSkill = runSkill;
+  const rules = loadRules().filter(r => r.enabled !== false);
+  logger.info(`[WatchTriggers] Starting — ${rules.length} enabled trigger(s)`);
+  for (const rule of rules) await _arm(rule);
+
+  if (!_rearmTimer) {
+    _rearmTimer = setInterval(() => {
+      for (const rule of loadRules()) {
+        if (rule.enabled !== false && !_armed.has(rule.id)) _arm(rule).catch(() => {});
+      }
+    }, REARM_INTERVAL_MS);
+    _rearmTimer.unref();
+  }
+}
+
+async function stop() {
+  if (_rearmTimer) { clearInterval(_rearmTimer); _rearmTimer = null; }
+  for (const id of [..._armed.keys()]) await _disarm(id);
+}
+
+module.exports = { start, stop, addTrigger, removeTrigger, setEnabled, listTriggers, TRIGGERS_FILE };
@@ -5,11 +5,46 @@ const os = require('os');
 const fs = require('fs');
 const logger = require('../logger.cjs');
 const { setupInterceptionNode, clearAdBlockSession } = require('../utils/ad-block-network.cjs');
+const browserFixtures = require('../skill-helpers/browser-fixtures.cjs');
+const { NetworkInspector } = require('../skill-helpers/network-inspector.cjs');
+
+// ── Browser engines ─────────────────────────────────────────────────────────
+// chromium (default: real Chrome when installed, else bundled Chrome for Testing),
+// firefox or webkit — per launch via opts.browser, or THINKDROP_BROWSER_ENGINE.
+// Agent descriptors pin one with `browser_engine:` (see browser.agent).
+const SUPPORTED_BROWSERS = ['chromium', 'firefox', 'webkit'];
+const _BROWSER_ALIASES = { chrome: 'chromium', 'google-chrome': 'chromium', ff: 'firefox', safari: 'webkit' };
+const _browserTypes = {};
+const _browserPins = new Map(); // sessionId → engine pinned by the agent that owns the session
+
+function resolveBrowser(name) {
+  const raw = String(name || process.env.THINKDROP_BROWSER_ENGINE || 'chromium').trim().toLowerCase();
+  const browser = _BROWSER_ALIASES[raw] || raw;
+  if (!SUPPORTED_BROWSERS.includes(browser)) {
+    throw new Error(`Unknown browser engine "${name}" — expected one of ${SUPPORTED_BROWSERS.join(', ')}`);
+  }
+  return browser;
+}
+
+// Pin the engine future launches of a session use when the caller does not pass
+// opts.browser (null clears it). A running session keeps its engine until closed.
+function pinSessionBrowser(sessionId, browser) {
+  if (browser) _browserPins.set(sessionId, resolveBrowser(browser));
+  else _browserPins.delete(sessionId);
+}
+
+// Engine a session's next launch would use when the caller passes none (pin, then env)
+function pinnedBrowser(sessionId) {
+  return _browserPins.get(sessionId) || null;
+}
+
+function getBrowserType(browser) {
+  if (!_browserTypes[browser]) _browserTypes[browser] = require('playwright')[browser];
+  return _browserTypes[browser];
+}
 
-let _chromium = null;
 function getChromium() {
-  if (!_chromium) _chromium = require('playwright').chromium;
-  return _chromium;
+  return getBrowserType('chromium');
 }
 
 // Cached result of whether the user's real Google Chrome is installed.
@@ -56,13 +91,19 @@ function _detectRealChrome() {
 const _sessions = new Map();
 const _telRe = /analytics|telemetry|beacon|metrics|sentry|collect|jot|log_event|track|amplitude|datadog|newrelic|rum|perf|\btapi\b|gen_?204|pixel|csp-report|\/li\/track|clienttelemetry|ingraph/i;
 
-function sessionProfileDir(sessionId) {
-  const dir = path.join(os.homedir(), '.thinkdrop', 'browser-profiles', sessionId);
+// Profiles are engine-specific on disk, so each engine keeps its own directory.
+// Chromium keeps the original <sessionId> path so existing logins survive.
+function sessionProfileDir(sessionId, browser = 'chromium') {
+  const name = browser === 'chromium' ? sessionId : `${sessionId}.${browser}`;
+  const dir = path.join(os.homedir(), '.thinkdrop', 'browser-profiles', name);
   fs.mkdirSync(dir, { recursive: true });
   return dir;
 }
 
-function clearProfileLock(sessionId) {
+// Chrome-only: SingletonLock and crash markers. Firefox and WebKit profiles are
+// owned by Playwright and need no cleanup.
+function clearProfileLock(sessionId, browser = 'chromium') {
+  if (browser !== 'chromium') return;
   try {
     const lockFile = path.join(sessionProfileDir(sessionId), 'SingletonLock');
     if (fs.existsSync(lockFile)) fs.unlinkSync(lockFile);
@@ -95,41 +136,152 @@ function _attachNetLog(page, netLog) {
   });
 }
 
+// ── Remote attach over CDP ──────────────────────────────────────────────────
+// launch(sessionId, { attach: { cdpUrl, context, tab, timeoutMs, headers } }) — or
+// opts.cdpUrl / THINKDROP_BROWSER_CDP_URL — connects to a Chrome that is already
+// running with --remote-debugging-port (the user's own browser, or a containerized
+// headless one) instead of launching a local profile.
+//   context: 'default' (the browser's own context: its cookies and tabs) | 'new' (isolated)
+//   tab:     'new' (open a tab for the session) | 'active' (drive the visible tab)
+// In the browser's own context the network inspector, ad-block routes and fixtures
+// are bound to the session's tab (and popups it opens), never to the user's other tabs.
+// closeSession() only disconnects: the browser and the user's tabs keep running; a
+// tab the session opened is closed.
+const ATTACH_TIMEOUT_MS = 15000;
+
+function resolveAttach(opts, browser, env = process.env) {
+  let spec = opts.attach || (opts.cdpUrl ? { cdpUrl: opts.cdpUrl } : null);
+  if (!spec && env.THINKDROP_BROWSER_CDP_URL && browser === 'chromium') spec = { cdpUrl: env.THINKDROP_BROWSER_CDP_URL };
+  if (!spec) return null;
+  if (typeof spec === 'string') spec = { cdpUrl: spec };
+
+  if (browser !== 'chromium') throw new Error(`CDP attach needs a Chromium browser, not ${browser}`);
+  const cdpUrl = String(spec.cdpUrl || '').trim();
+  if (!/^(wss?|https?):\/\/[^/]/i.test(cdpUrl)) {
+    throw new Error(`cdpUrl must be a ws:// or http:// DevTools endpoint (e.g. http://127.0.0.1:9222), got "${cdpUrl}"`);
+  }
+  const context = spec.context || 'default';
+  if (context !== 'default' && context !== 'new') throw new Error(`attach.context must be default | new, got "${context}"`);
+  const tab = spec.tab || 'new';
+  if (tab !== 'new' && tab !== 'active') throw new Error(`attach.tab must be new | active, got "${tab}"`);
+  return { cdpUrl, context, tab, timeoutMs: spec.timeoutMs || ATTACH_TIMEOUT_MS, headers: spec.headers };
+}
+
+// Endpoints can carry credentials (?token=…) — log scheme, host and path only
+function _endpointLabel(cdpUrl) {
+  try {
+    const u = new URL(cdpUrl);
+    return `${u.protocol}//${u.host}${u.pathname === '/' ? '' : u.pathname}`;
+  } catch (_) { return '(invalid endpoint)'; }
+}
+
+// The tab the user is looking at: first visible non-blank page, else the last non-blank one
+async function _visiblePage(pages) {
+  const candidates = pages.filter((p) => !p.isClosed() && !/^about:blank$/i.test(p.url()));
+  for (const p of candidates) {
+    try {
+      if (await p.evaluate(() => document.visibilityState === 'visible')) return p;
+    } catch (_) {}
+  }
+  return candidates[candidates.length - 1] || null;
+}
+
+async function _attachOverCDP(sessionId, spec, opts, fixtureSpec) {
+  const endpoint = _endpointLabel(spec.cdpUrl);
+  if (fixtureSpec?.format === 'har' && fixtureSpec.mode === 'record' && spec.context !== 'new') {
+    // Playwright writes a HAR when its context closes, and detaching never closes the browser's own context
+    throw new Error('Recording a HAR over an attached browser needs attach.context "new" (or record to a fixture directory)');
+  }
+
+  let cdpBrowser;
+  try {
+    cdpBrowser = await getChromium().connectOverCDP(spec.cdpUrl, { timeout: spec.timeoutMs, headers: spec.headers });
+  } catch (err) {
+    throw new Error(`Could not attach to Chrome at ${endpoint}: ${String(err.message).split('\n')[0]} — is it running with --remote-debugging-port?`);
+  }
+
+  let ctx = spec.context === 'default' ? cdpBrowser.contexts()[0] || null : null;
+  const ownsContext = !ctx;
+  if (ownsContext) {
+    ctx = await cdpBrowser.newContext({
+      viewport: { width: 1280, height: 800 },
+      deviceScaleFactor: 2,
+      ...(fixtureSpec ? { serviceWorkers: 'block' } : {}),
+    });
+  }
+  let activePage = spec.tab === 'active' ? await _visiblePage(ctx.pages()) : null;
+  const createdPage = activePage ? null : await ctx.newPage();
+  if (!activePage) activePage = createdPage;
+
+  const attach = { browser: cdpBrowser, endpoint, ownsContext, createdPage, closing: false };
+  cdpBrowser.on('disconnected', () => {
+    const s = _sessions.get(sessionId);
+    if (s?.attach !== attach || attach.closing) return;
+    logger.warn(`[browser-engine] session=${sessionId} lost its CDP connection to ${endpoint}`);
+    s.network.dispose();
+    clearAdBlockSession(sessionId);
+    _sessions.delete(sessionId);
+  });
+
+  return _initSession(sessionId, ctx, {
+    browser: 'chromium',
+    fixtureSpec,
+    networkOpts: opts.network,
+    label: `cdp=${endpoint}, context=${spec.context}, tab=${spec.tab}`,
+    release: () => cdpBrowser.close(),
+    activePage,
+    attach,
+    scope: ownsContext ? null : activePage,
+  });
+}
+
 async function launch(sessionId, opts = {}) {
   const existing = _sessions.get(sessionId);
   if (existing?.context) return existing.context;
 
   const headed = opts.headed !== false;
-  const profileDir = opts.profileDir || sessionProfileDir(sessionId);
+  const browser = resolveBrowser(opts.browser || _browserPins.get(sessionId));
 
-  // Check if Chrome is already running with this profile via SingletonLock.
-  // If a live Chrome process exists, kill it so we can launch cleanly.
-  // Without this, launchPersistentContext exits with "Opening in existing browser session"
-  // and leaves an about:blank tab.
-  try {
-    const lockPath = path.join(profileDir, 'SingletonLock');
-    if (fs.existsSync(lockPath)) {
-      let target = '';
-      try { target = fs.readlinkSync(lockPath); } catch (_) { target = ''; }
-      const m = String(target).match(/-(\d+)$/);
-      if (m) {
-        const pid = parseInt(m[1], 10);
-        if (pid) {
-          try {
-            process.kill(pid, 0); // check if process is alive
-            // Chrome is running — kill it so we can launch cleanly
-            logger.info(`[browser-engine] killing existing Chrome pid=${pid} for session=${sessionId}`);
-            try { process.kill(pid, 'SIGTERM'); } catch (_) {}
-            await new Promise(r => setTimeout(r, 1000));
-          } catch (_) {
-            // Stale lock — pid is gone, will be cleaned by clearProfileLock
+  // Network fixtures: opts.fixtures = { mode: 'record' | 'replay', path, ... } or
+  // THINKDROP_BROWSER_FIXTURES="record:<path>" — see skill-helpers/browser-fixtures.cjs.
+  // Resolved before launching so a missing recording fails without opening a browser.
+  const fixtureSpec = browserFixtures.resolveSpec(opts.fixtures, process.env, sessionId);
+
+  const attachSpec = resolveAttach(opts, browser);
+  if (attachSpec) return _attachOverCDP(sessionId, attachSpec, opts, fixtureSpec);
+
+  const profileDir = opts.profileDir || sessionProfileDir(sessionId, browser);
+
+  if (browser === 'chromium') {
+    // Check if Chrome is already running with this profile via SingletonLock.
+    // If a live Chrome process exists, kill it so we can launch cleanly.
+    // Without this, launchPersistentContext exits with "Opening in existing browser session"
+    // and leaves an about:blank tab.
+    try {
+      const lockPath = path.join(profileDir, 'SingletonLock');
+      if (fs.existsSync(lockPath)) {
+        let target = '';
+        try { target = fs.readlinkSync(lockPath); } catch (_) { target = ''; }
+        const m = String(target).match(/-(\d+)$/);
+        if (m) {
+          const pid = parseInt(m[1], 10);
+          if (pid) {
+            try {
+              process.kill(pid, 0); // check if process is alive
+              // Chrome is running — kill it so we can launch cleanly
+              logger.info(`[browser-engine] killing existing Chrome pid=${pid} for session=${sessionId}`);
+              try { process.kill(pid, 'SIGTERM'); } catch (_) {}
+              await new Promise(r => setTimeout(r, 1000));
+            } catch (_) {
+              // Stale lock — pid is gone, will be cleaned by clearProfileLock
+            }
           }
         }
       }
-    }
-  } catch (_) { /* non-fatal */ }
+    } catch (_) { /* non-fatal */ }
 
-  clearProfileLock(sessionId);
+    clearProfileLock(sessionId);
+  }
 
   // ── Browser channel selection ──────────────────────────────────────────────
   // Default to the user's installed Google Chrome (channel: 'chrome') instead of
@@ -148,11 +300,14 @@ async function launch(sessionId, opts = {}) {
     // are 1280x800 and LiteParse/OCR can barely read the small UI text; at 2x they are
     // 2560x1600 which reads cleanly. Coordinate scaling reads the real PNG dimensions.
     deviceScaleFactor: 2,
-    args: ['--disable-blink-features=AutomationControlled', '--no-first-run', '--no-default-browser-check'],
+    // Chromium switches; Firefox and WebKit would reject them
+    args: browser === 'chromium' ? ['--disable-blink-features=AutomationControlled', '--no-first-run', '--no-default-browser-check'] : [],
   };
+  // Service-worker fetches bypass context.route, so they would escape recording and replay
+  if (fixtureSpec) launchOpts.serviceWorkers = 'block';
 
   const _envChannel = String(process.env.THINKDROP_BROWSER_CHANNEL || '').toLowerCase();
-  const _wantChrome = _envChannel !== 'cft'; // default: real Chrome; 'cft' opts out
+  const _wantChrome = browser === 'chromium' && _envChannel !== 'cft'; // default: real Chrome; 'cft' opts out
   let _usedChannel = null;
   let ctx = null;
 
@@ -214,20 +369,59 @@ async function launch(sessionId, opts = {}) {
   }
 
   if (!ctx) {
-    ctx = await getChromium().launchPersistentContext(profileDir, launchOpts);
-    _usedChannel = 'cft';
+    ctx = await getBrowserType(browser).launchPersistentContext(profileDir, launchOpts);
+    _usedChannel = browser === 'chromium' ? 'cft' : browser;
   }
 
+  return _initSession(sessionId, ctx, {
+    browser,
+    fixtureSpec,
+    networkOpts: opts.network,
+    label: `browser=${browser}, channel=${_usedChannel}`,
+    release: () => ctx.close(),
+  });
+}
+
+// Shared by launched and attached contexts: mutation log, network inspector,
+// ad-block interception and fixtures, then the session record. `scope` (a page)
+// narrows all of them to that page when the context is shared with the user.
+async function _initSession(sessionId, ctx, { browser, fixtureSpec, networkOpts, label, release, activePage = null, attach = null, scope = null }) {
   const netLog = [];
   const pages = ctx.pages();
-  ctx.on('page', (p) => _attachNetLog(p, netLog));
-  for (const p of pages) _attachNetLog(p, netLog);
+
+  // Full inspector (all methods, headers, bodies, timing) behind browser.act's network-* actions.
+  // opts.network = { capacity, maxBodyBytes, captureBodies, redactHeaders, redactFields }
+  const network = new NetworkInspector(networkOpts || {});
+  if (scope) {
+    const watchPage = (p) => {
+      _attachNetLog(p, netLog);
+      network.attach(p);
+      p.on('popup', watchPage);
+    };
+    watchPage(scope);
+  } else {
+    ctx.on('page', (p) => _attachNetLog(p, netLog));
+    for (const p of pages) _attachNetLog(p, netLog);
+    network.attach(ctx);
+  }
 
   // Register ad-block interception (route blocking + init script) for all future navigations
-  await setupInterceptionNode(ctx, sessionId);
+  await setupInterceptionNode(scope || ctx, sessionId);
+
+  // Fixtures go last: the newest route handler sees requests first
+  let fixtures = null;
+  if (fixtureSpec) {
+    try {
+      fixtures = await browserFixtures.attach(scope || ctx, fixtureSpec);
+    } catch (err) {
+      try { await release(); } catch (_) {}
+      clearAdBlockSession(sessionId);
+      throw new Error(`Could not ${fixtureSpec.mode} fixtures at ${fixtureSpec.path}: ${err.message}`);
+    }
+  }
 
-  _sessions.set(sessionId, { context: ctx, netLog, refMaps: new Map(), activePage: pages.find((p) => !/^about:blank$/i.test(p.url())) || pages[0] || null });
-  logger.info(`[browser-engine] session=${sessionId} launched (channel=${_usedChannel}, ${pages.length} page(s))`);
+  _sessions.set(sessionId, { context: ctx, browser, attach, netLog, network, fixtures, refMaps: new Map(), activePage: activePage || pages.find((p) => !/^about:blank$/i.test(p.url())) || pages[0] || null });
+  logger.info(`[browser-engine] session=${sessionId} ${attach ? 'attached' : 'launched'} (${label}, ${pages.length} page(s)${fixtures ? `, fixtures=${fixtures.mode}:${fixtures.path}` : ''})`);
   return ctx;
 }
 
@@ -251,12 +445,56 @@ function getContext(sessionId) {
   return _sessions.get(sessionId)?.context || null;
 }
 
+// Engine a live session was launched with ('chromium' | 'firefox' | 'webkit'), or null
+function getSessionBrowser(sessionId) {
+  return _sessions.get(sessionId)?.browser || null;
+}
+
+// True for sessions attached over CDP (closing them detaches instead of quitting)
+function isAttachedSession(sessionId) {
+  return !!_sessions.get(sessionId)?.attach;
+}
+
+// Engine behind a page's context (chromium for pages this module did not launch)
+function browserForPage(page) {
+  try {
+    const ctx = page.context();
+    for (const s of _sessions.values()) if (s.context === ctx) return s.browser;
+  } catch (_) {}
+  return 'chromium';
+}
+
+// Resolves to the session's final fixture stats (null when launched without fixtures)
 async function closeSession(sessionId) {
   const s = _sessions.get(sessionId);
-  if (!s) return;
-  try { await s.context.close(); } catch (e) { logger.warn(`[browser-engine] close: ${e.message}`); }
+  if (!s) return null;
+  // Finish writing recorded responses before the context (and a HAR recording) closes
+  if (s.fixtures) {
+    try { await s.fixtures.flush(); } catch (e) { logger.warn(`[browser-engine] fixtures flush: ${e.message}`); }
+  }
+  if (s.attach) {
+    // Attached: disconnect only. A context this session created is closed first (that
+    // is what writes a HAR); in the browser's own context only the tab the session
+    // opened is closed, and the user's tabs stay open.
+    s.attach.closing = true;
+    if (s.attach.ownsContext) {
+      try { await s.context.close(); } catch (e) { logger.warn(`[browser-engine] close: ${e.message}`); }
+    } else if (s.attach.createdPage && !s.attach.createdPage.isClosed()) {
+      try { await s.attach.createdPage.close(); } catch (e) { logger.warn(`[browser-engine] close tab: ${e.message}`); }
+    }
+    try { await s.attach.browser.close(); } catch (e) { logger.warn(`[browser-engine] detach: ${e.message}`); }
+    logger.info(`[browser-engine] session=${sessionId} detached from ${s.attach.endpoint}`);
+  } else {
+    try { await s.context.close(); } catch (e) { logger.warn(`[browser-engine] close: ${e.message}`); }
+  }
+  // A recorded HAR exists only now that its context is closed
+  if (s.fixtures) {
+    try { await s.fixtures.finalize(); } catch (e) { logger.warn(`[browser-engine] fixtures finalize: ${e.message}`); }
+  }
+  s.network.dispose();
   clearAdBlockSession(sessionId);
   _sessions.delete(sessionId);
+  return s.fixtures ? s.fixtures.stats() : null;
 }
 
 function listSessions() { return [..._sessions.keys()]; }
@@ -272,13 +510,22 @@ function clearNetLog(sessionId) {
   if (s?.netLog) s.netLog.length = 0;
 }
 
+function getNetworkInspector(sessionId) { return _sessions.get(sessionId)?.network || null; }
+
+// Record/replay counters for a session launched with fixtures, or null
+function getFixtureStats(sessionId) {
+  return _sessions.get(sessionId)?.fixtures?.stats() || null;
+}
+
 // ── DOM Scanner: tags real interactive elements with data-td-ref ─────────
 // Replaces the ARIA-snapshot-based buildRefTree. Scans the DOM for interactive
 // elements, checks visibility/occlusion, assigns stable refs, and produces a
 // YAML-like text for LLM consumption. Falls back to page.ariaSnapshot() when
 // the scanner finds 0 candidates (shadow DOM, canvas, SPA not yet rendered).
 
-const _DOM_SCANNER_SCRIPT = `(() => {
+// __TD_ENGINE__ is filled in by domScannerScript() with the session's browser engine.
+const _DOM_SCANNER_TEMPLATE = `(() => {
+  const ENGINE = '__TD_ENGINE__';
   const EXCLUDE_CONTEXT = /\\b(search|filter|sort|history|recent|sidebar|nav|footer|breadcrumb|pagination|prev|next|page-?number|load-?more|show-?more|sign-?up|sign-?in|log-?in|subscribe|newsletter|cookie|accept|reject|settings|preferences|privacy|terms|about|help|support|contact|feedback|share|follow|social|footer-?link|copyright|skip-?to-?content|skip-?link|screen-?reader|sr-?only|aria-?hidden|hidden|back-?to-?top|scroll-?to-?top|avatar|notification|bell-?icon|inbox-?count|message-?count|unread|badge|tooltip|carousel|slider|banner|promo|ad-?container|sponsor|advertisement|google-?ads|adsense|doubleclick)\\b/i;
 
   const SEMANTIC_SELECTOR = 'button, a[href], input, textarea, select, [role="button"], [role="link"], [role="menuitem"], [role="menuitemcheckbox"], [role="menuitemradio"], [role="tab"], [role="option"], [role="checkbox"], [role="radio"], [role="switch"], [role="combobox"], [role="searchbox"], [role="textbox"], [contenteditable], [onclick], [tabindex]:not([tabindex="-1"])';
@@ -292,6 +539,12 @@ const _DOM_SCANNER_SCRIPT = `(() => {
     if (style.display === 'none' || style.visibility === 'hidden') return false;
     if (parseFloat(style.opacity) === 0) return false;
     if (style.position === 'fixed' && rect.width < 3 && rect.height < 3) return false;
+    // Gecko and WebKit disagree with Blink on offsetParent (Gecko reports <body> for
+    // fixed elements, and both differ inside sticky / transformed subtrees), so off
+    // Chromium ask the engine directly where checkVisibility() exists.
+    if (ENGINE !== 'chromium' && typeof el.checkVisibility === 'function') {
+      return el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
+    }
     // offsetParent check — but skip for fixed-position elements
     if (style.position !== 'fixed' && !el.offsetParent) return false;
     return true;
@@ -499,15 +752,21 @@ const _DOM_SCANNER_SCRIPT = `(() => {
   });
 })()`;
 
+function domScannerScript(browser = 'chromium') {
+  return _DOM_SCANNER_TEMPLATE.replace('__TD_ENGINE__', browser);
+}
+const _DOM_SCANNER_SCRIPT = domScannerScript('chromium');
+
 // ── buildRefTree: DOM scanner (primary) → ARIA snapshot (fallback) ──────────
-// Returns { yaml, refMap, lowConfidenceRefs, activeElement, scannerUsed }
+// Returns { yaml, refMap, lowConfidenceRefs, activeElement, scannerUsed, browser }
 // - scannerUsed: true when DOM scanner produced refs (tdN), false for ARIA (eN)
 // - activeElement: { tag, type, placeholder, ref, isPrimaryInput } or null
 
 async function buildRefTree(page) {
+  const browser = browserForPage(page);
   let scannerResult = null;
   try {
-    const raw = await page.evaluate(_DOM_SCANNER_SCRIPT);
+    const raw = await page.evaluate(domScannerScript(browser));
     if (raw) {
       scannerResult = JSON.parse(raw);
     }
@@ -547,6 +806,7 @@ async function buildRefTree(page) {
       lowConfidenceRefs,
       activeElement: scannerResult.activeElement || null,
       scannerUsed: true,
+      browser,
     };
   }
 
@@ -595,11 +855,12 @@ async function buildRefTree(page) {
     lowConfidenceRefs,
     activeElement: null,
     scannerUsed: false,
+    browser,
   };
 }
 
 module.exports = {
-  launch, getPage, setActivePage, getContext, closeSession, listSessions, isSessionActive,
-  getNetLog, clearNetLog, buildRefTree, _DOM_SCANNER_SCRIPT,
-  sessionProfileDir, clearProfileLock,
+  launch, getPage, setActivePage, getContext, getSessionBrowser, isAttachedSession, browserForPage, closeSession, listSessions, isSessionActive,
+  getNetLog, clearNetLog, getNetworkInspector, getFixtureStats, buildRefTree, domScannerScript, _DOM_SCANNER_SCRIPT,
+  sessionProfileDir, clearProfileLock, resolveBrowser, pinSessionBrowser, pinnedBrowser, resolveAttach, SUPPORTED_BROWSERS,
 };
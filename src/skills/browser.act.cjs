@@ -17,7 +17,7 @@
  *   Sessions: -s=<sessionId> keeps a browser alive between calls.
  *
  * Actions supported:
- *   navigate | goto | back | forward | reload | close | snapshot
+ *   navigate | goto | back | forward | reload | close | snapshot | attach
  *   click | dblclick | fill | type | hover | select | check | uncheck | upload
  *   reactFill | clickByText | clickBySelector  (injection-first, React-aware)
  *   keyboard | press | scroll | screenshot | pdf
@@ -26,13 +26,21 @@
  *   tab-new | tab-list | tab-close | tab-select
  *   state-save | state-load | resize
  *   paste | pasteAttachment
+ *   network-list | network-get | network-wait | network-clear  (engine sessions only)
+ *   fingerprint  (engine sessions only)
  *
  * Args schema:
  * {
  *   action:     string   — action name
  *   sessionId:  string   — browser session id (default: 'default')
  *   url:        string   — URL for navigate/goto
- *   selector:   string   — element ref (e1, e21) or label to resolve via snapshot
+ *   selector:   string   — element ref (e1, e21) or label to resolve via snapshot, or an
+ *                          element fingerprint as "fp:{…}" (see skill-helpers/element-fingerprint.cjs)
+ *   fingerprint: object  — element fingerprint; same as selector "fp:{…}". Engine sessions
+ *                          re-find the element by similarity before the action runs.
+ *                          fingerprint action: with selector → capture the element's
+ *                          fingerprint; with a fingerprint → report the match without acting
+ *   fingerprintThreshold: number — minimum similarity for a fingerprint match (default: 0.65)
  *   text:       string   — text to type/fill
  *   key:        string   — key for keyboard/press actions
  *   value:      string   — option value for select
@@ -40,9 +48,40 @@
  *   dy:         number   — vertical scroll delta
  *   width:      number   — width for resize
  *   height:     number   — height for resize
- *   filePath:   string   — path for screenshot/pdf/state-save/state-load
+ *   filePath:   string   — path for screenshot/pdf/state-save/state-load. state-load on an
+ *                          attached session (or with an explicit filePath) applies the saved
+ *                          cookies and the localStorage of open pages' origins
  *   headed:     boolean  — show browser window (default: true)
  *   timeoutMs:  number   — per-action timeout ms (default: 15000)
+ *   browser:    string   — engine for a new engine session: chromium (default) | firefox | webkit
+ *                          (also THINKDROP_BROWSER_ENGINE); ignored once the session is running.
+ *                          A Firefox/WebKit session (asked for or pinned by an agent) that cannot
+ *                          launch fails navigate — it never falls back to the CLI Chrome
+ *   cdpUrl:     string   — attach the engine session to a running Chrome over CDP
+ *                          (ws://… or http://127.0.0.1:9222) instead of launching one;
+ *                          close then detaches and leaves the browser running. An attached
+ *                          session never falls back to the CLI: an action the engine cannot
+ *                          do there fails instead of launching a local Chrome
+ *   attach:     object   — { cdpUrl, context: 'default'|'new', tab: 'new'|'active' } —
+ *                          full attach options (see browser-engine.cjs)
+ *   fixtures:   object   — { mode: 'record'|'replay', path, url?, notFound? } network
+ *                          fixtures for the engine session, applied when it launches
+ *                          (see skill-helpers/browser-fixtures.cjs); close reports stats.
+ *                          With fixtures set (or THINKDROP_BROWSER_FIXTURES) a failed launch
+ *                          fails navigate instead of loading the live site through the CLI
+ *
+ * Network inspector args (network-*; see skill-helpers/network-inspector.cjs):
+ *   url:          string   — URL pattern: "/regex/flags" or a substring
+ *   method:       string   — HTTP method filter
+ *   status:       number|string|array — 200, "2xx" or a list; network-wait fails
+ *                            (ok: false) when the matching response has another status
+ *   resourceType: string   — fetch | xhr | document | script | …
+ *   requestId:    string   — entry id (n42) for network-get
+ *   sinceSeq:     number   — only requests after this seq (network-list returns lastSeq)
+ *   since:        number   — network-wait: epoch ms requests must start after
+ *                            (default: the last 5s, so a response that finished
+ *                            right after a click still counts)
+ *   limit:        number   — network-list: newest N entries (default: 50)
  * }
  *
  * Returns: { ok, action, sessionId, result?, stdout?, error?, executionTime }
@@ -59,6 +98,8 @@ const { buildAdBlockScript } = require('../utils/ad-block-init.js');
 const { BASELINE_DOMAINS } = require('../utils/ad-block-updater.cjs');
 const { setupInterception, clearAdBlockSession } = require('../utils/ad-block-network.cjs');
 const engine = require('./browser-engine.cjs');
+const { compileStatus } = require('../skill-helpers/network-inspector.cjs');
+const elementFingerprint = require('../skill-helpers/element-fingerprint.cjs');
 
 // ── LiteParse CLI resolution (for clickByText coordinate fallback) ──
 const _LIT_CANDIDATES = [
@@ -318,6 +359,15 @@ async function _sniffAuthCookies(engine, sessionId, page, targetDomain) {
   if (!page || !targetDomain) return { ok: false, authed: false, cookies: [], reason: 'missing-args' };
   const ctx = engine && typeof engine.getContext === 'function' ? engine.getContext(sessionId) : null;
   if (!ctx) return { ok: false, authed: false, cookies: [], reason: 'no-engine-context' };
+  // CDP is Chromium-only; Firefox / WebKit sessions read the context's cookie jar
+  if (typeof engine.getSessionBrowser === 'function' && (engine.getSessionBrowser(sessionId) || 'chromium') !== 'chromium') {
+    try {
+      const cookies = await ctx.cookies();
+      return { ok: true, ..._classifyAuthCookies(cookies, targetDomain) };
+    } catch (err) {
+      return { ok: false, authed: false, cookies: [], reason: `cookies-error:${(err && err.message) || 'unknown'}` };
+    }
+  }
   let cdp = _cookieSniffCdpSessions.get(page);
   try {
     if (!cdp) {
@@ -476,8 +526,10 @@ async function startSessionTracing(sessionId) {
     }
   }
 
-  // Start DevTools — engine path uses CDP session
-  if (_ctx) {
+  // Start DevTools — engine path uses CDP session (Chromium only)
+  if (_ctx && engine.getSessionBrowser(sessionId) !== 'chromium') {
+    logger.info(`[browser.act] DevTools (CDP) not available for ${engine.getSessionBrowser(sessionId)} session=${sessionId}`);
+  } else if (_ctx) {
     try {
       const cdpSession = await _ctx.newCDPSession(_ctx.pages()[0] || await _ctx.newPage());
       debugSession.devToolsActive = true;
@@ -1586,19 +1638,54 @@ function _engineActive(sessionId) {
   return engine.isSessionActive(sessionId);
 }
 
-// Ensure engine session is launched. Returns the Page or null on failure.
-async function _ensureEngine(sessionId, headed) {
+// Ensure engine session is launched. Returns { page } or { page: null, error } on failure.
+// launchOpts: { browser, fixtures } — only applied when the session is launched here.
+async function _ensureEngine(sessionId, headed, launchOpts = {}) {
   if (engine.isSessionActive(sessionId)) {
-    return engine.getPage(sessionId);
+    const running = engine.getSessionBrowser(sessionId);
+    if (launchOpts.browser && running && engine.resolveBrowser(launchOpts.browser) !== running) {
+      logger.warn(`[browser.act] session=${sessionId} is already running ${running} — close it to switch to ${launchOpts.browser}`);
+    }
+    return { page: engine.getPage(sessionId) };
   }
   try {
-    await engine.launch(sessionId, { headed });
+    await engine.launch(sessionId, { headed, ...launchOpts });
     openSessions.add(sessionId);
-    return engine.getPage(sessionId);
+    return { page: engine.getPage(sessionId) };
   } catch (err) {
     logger.warn(`[browser.act] engine launch failed for session=${sessionId}: ${err.message}`);
-    return null;
+    return { page: null, error: err.message };
+  }
+}
+
+// Why a session must not fall back to the playwright-cli Chrome, or null when it may.
+// A CDP-attached session would get a second, locally launched Chrome under the same
+// id; fixture sessions would reach the live network; a requested or pinned Firefox /
+// WebKit session would quietly become Chrome.
+function _engineOnlyReason(sessionId, launchOpts = {}) {
+  if (engine.isAttachedSession(sessionId)) return 'attached';
+  if (launchOpts.fixtures || (launchOpts.fixtures !== false && process.env.THINKDROP_BROWSER_FIXTURES)) return 'fixtures';
+  const requested = launchOpts.browser || engine.pinnedBrowser(sessionId) || process.env.THINKDROP_BROWSER_ENGINE;
+  if (!requested) return null;
+  try {
+    return engine.resolveBrowser(requested) === 'chromium' ? null : 'browser';
+  } catch (_) {
+    return 'browser'; // unknown engine name — launch reports it
+  }
+}
+
+function _engineOnlyError(sessionId, reason, launchOpts, message) {
+  if (reason === 'attached') {
+    return `Session ${sessionId} is attached to a running browser over CDP — not falling back to a locally launched browser: ${message}`;
+  }
+  if (reason === 'fixtures') {
+    return `Browser launch with network fixtures failed — not falling back to the live browser: ${message}`;
   }
+  let browser = null;
+  try { browser = engine.resolveBrowser(launchOpts.browser || engine.pinnedBrowser(sessionId)); } catch (_) {}
+  if (!browser) return message;
+  const hint = /playwright install/.test(message) ? '' : ` — install it with "npx playwright install ${browser}"`;
+  return `Could not launch ${browser} for session ${sessionId}: ${message}${hint}`;
 }
 
 // Store the current refMap per session (from the last snapshot via engine)
@@ -1630,6 +1717,33 @@ function _engineActionFailure(action, sessionId, error, extra = {}) {
   return { ok: false, action, sessionId, error, engineOwned: true, ...extra };
 }
 
+// Failure result for an engine action the CLI must not take over, or null when
+// the playwright-cli fallback may run.
+function _engineOnlyFailure(action, sessionId, message, start) {
+  const reason = _engineOnlyReason(sessionId);
+  if (!reason) return null;
+  return { ok: false, action, sessionId, error: _engineOnlyError(sessionId, reason, {}, message), executionTime: Date.now() - start };
+}
+
+// ── Network inspector helpers ───────────────────────────────────────────────
+const NETWORK_WAIT_LOOKBACK_MS = 5000;
+const NETWORK_LIST_DEFAULT_LIMIT = 50;
+
+function _networkLine(e) {
+  const outcome = e.state === 'failed' ? `FAILED (${e.failure})` : e.state === 'pending' ? 'pending' : String(e.status);
+  return `${e.id} ${outcome} ${e.method} ${e.url}${e.durationMs !== null ? ` ${e.durationMs}ms` : ''}`;
+}
+
+// Full entry plus the response body parsed as JSON when it is JSON
+function _networkEntryResult(entry) {
+  let json;
+  const text = entry.responseBody?.text;
+  if (text && !entry.responseBody.truncated && /json/i.test(entry.responseHeaders?.['content-type'] || '')) {
+    try { json = JSON.parse(text); } catch (_) {}
+  }
+  return json === undefined ? entry : { ...entry, json };
+}
+
 function _engineRefEntry(sessionId, page, selector) {
   // Accept ref formats: [ref=e93], [e93], bare e93 (ARIA) AND [ref=td93], [td93], bare td93 (DOM scanner)
   // (repair LLMs sometimes emit [e93] instead of [ref=e93] or e93)
@@ -1649,34 +1763,25 @@ function _isTdRef(ref) {
 
 // Re-tag-on-miss: when [data-td-ref="tdN"] doesn't resolve (SPA re-rendered),
 // re-run a lightweight scan to re-tag visible interactive elements.
-// Returns the new ref matching the original element's characteristics, or null.
+// Returns the new ref of the rescanned element most similar to the original
+// (element-fingerprint similarity over role, label, tag, context and position), or null.
+const RETAG_MIN_SCORE = 0.75;
+
 async function _reTagAndResolve(page, originalRef, originalEntry) {
   if (!page || !originalEntry) return null;
   logger.info(`[browser.act] re-tag-on-miss: [data-td-ref="${originalRef}"] not found — re-scanning DOM`);
   try {
-    const raw = await page.evaluate(engine._DOM_SCANNER_SCRIPT);
+    const raw = await page.evaluate(engine.domScannerScript(engine.browserForPage(page)));
     if (!raw) return null;
     const result = JSON.parse(raw);
-    // Find a matching element by comparing key characteristics
-    const match = result.elements.find(el =>
-      el.role === originalEntry.role &&
-      el.label === originalEntry.name &&
-      el.tag === originalEntry.tag &&
-      el.type === originalEntry.type
-    );
-    if (match) {
-      logger.info(`[browser.act] re-tag-on-miss: matched element found as ${match.ref} (role=${match.role}, label="${match.label}")`);
+    const target = elementFingerprint.fromScannerEntry(originalEntry);
+    const [best, second] = elementFingerprint.rank(target, result.elements.map(elementFingerprint.fromScannerEntry));
+    if (best && best.score >= RETAG_MIN_SCORE) {
+      const match = result.elements[best.index];
+      logger.info(`[browser.act] re-tag-on-miss: matched element found as ${match.ref} (role=${match.role}, label="${match.label}", score=${best.score.toFixed(2)}${second ? `, next=${second.score.toFixed(2)}` : ''})`);
       return match.ref;
     }
-    // Fallback: match by label + role only
-    const looseMatch = result.elements.find(el =>
-      el.label === originalEntry.name && el.role === originalEntry.role
-    );
-    if (looseMatch) {
-      logger.info(`[browser.act] re-tag-on-miss: loose match found as ${looseMatch.ref} (role=${looseMatch.role}, label="${looseMatch.label}")`);
-      return looseMatch.ref;
-    }
-    logger.warn(`[browser.act] re-tag-on-miss: no matching element found after re-scan`);
+    logger.warn(`[browser.act] re-tag-on-miss: no matching element found after re-scan${best ? ` (best score ${best.score.toFixed(2)})` : ''}`);
     return null;
   } catch (err) {
     logger.warn(`[browser.act] re-tag-on-miss: re-scan failed: ${err.message}`);
@@ -2643,7 +2748,7 @@ async function browserAct(args) {
     action,
     sessionId  = 'default',
     url,
-    selector,
+    selector: _selector,
     text,
     key,
     value,
@@ -2654,6 +2759,10 @@ async function browserAct(args) {
     filePath,
     headed     = true,
     timeoutMs  = 15000,
+    fixtures,
+    browser,
+    cdpUrl,
+    attach,
     authSuccessUrl: _authSuccessUrl,
     currentUrl,
     credentials,
@@ -2663,6 +2772,7 @@ async function browserAct(args) {
     _progressCallbackUrl,
   } = args || {};
   let authSuccessUrl = _authSuccessUrl;
+  let selector = _selector;
 
   const start = Date.now();
 
@@ -2672,6 +2782,9 @@ async function browserAct(args) {
 
   logger.info(`[browser.act] ${action} session=${sessionId}`, { url, selector, text, key });
 
+  // An explicit CDP attach must never fall back to a locally launched browser
+  const attachOpts = attach || (cdpUrl ? { cdpUrl } : null);
+
   // Start debugging tracing if enabled and not upload action
   if (action !== 'upload' && shouldEnableDebugging(sessionId)) {
     await startSessionTracing(sessionId);
@@ -2679,6 +2792,29 @@ async function browserAct(args) {
 
   const S = sessionFlags(sessionId, headed);
 
+  // Fingerprint selectors: re-find the element by similarity and run the action
+  // against a fresh [data-td-fp] tag, so every CSS path below handles it unchanged.
+  let _fingerprint = null;
+  try {
+    _fingerprint = args.fingerprint || elementFingerprint.parseSelector(selector);
+  } catch (err) {
+    return { ok: false, action, sessionId, error: err.message, executionTime: Date.now() - start };
+  }
+  if (_fingerprint && action !== 'fingerprint') {
+    const _fpPage = engine.getPage(sessionId);
+    if (!_fpPage) {
+      return { ok: false, action, sessionId, error: 'Fingerprint selectors need an engine browser session — navigate first', executionTime: Date.now() - start };
+    }
+    try {
+      const match = await elementFingerprint.resolve(_fpPage, _fingerprint, { threshold: args.fingerprintThreshold });
+      logger.info(`[browser.act] ${action}: fingerprint ${elementFingerprint.describe(_fingerprint)} → ${elementFingerprint.describe(match.match)} (score=${match.score}, margin=${match.margin})`);
+      selector = match.selector;
+    } catch (err) {
+      logger.warn(`[browser.act] ${action}: ${err.message}`);
+      return { ok: false, action, sessionId, error: err.message, fingerprintMiss: true, executionTime: Date.now() - start };
+    }
+  }
+
   // Helper: run + return standardised result with debugging
   async function run(cmdArgs, label) {
     const actionStart = Date.now();
@@ -2892,9 +3028,21 @@ async function browserAct(args) {
       // Fast path: no subprocess, no daemon probing, no about:blank dance.
       // Ad-block init script is registered at launch time via context.addInitScript()
       // and persists automatically for all future navigations.
+      if (attachOpts && !_engineActive(sessionId)) {
+        try {
+          await engine.launch(sessionId, { headed, browser, fixtures, attach: attachOpts });
+          openSessions.add(sessionId);
+        } catch (err) {
+          return { ok: false, action, sessionId, error: err.message, executionTime: Date.now() - start };
+        }
+      }
+      const engineOnly = _engineActive(sessionId) ? null : _engineOnlyReason(sessionId, { browser, fixtures });
+      if (engineOnly && openSessions.has(sessionId)) {
+        return { ok: false, action, sessionId, error: `Session ${sessionId} is already open in the CLI browser — close it before navigating with ${engineOnly === 'fixtures' ? 'network fixtures' : `the ${browser || engine.pinnedBrowser(sessionId)} engine`}`, executionTime: Date.now() - start };
+      }
       if (_engineActive(sessionId) || !openSessions.has(sessionId)) {
-        let page = await _ensureEngine(sessionId, headed);
-        if (!page) {
+        let { page, error: launchError } = await _ensureEngine(sessionId, headed, { browser, fixtures });
+        if (!page && engineOnly !== 'browser') {
           // Engine launch failed — likely "Opening in existing browser session".
           // Kill any Chrome holding this profile, clear the lock, and retry once.
           const _killed = killExistingChromeForProfile(sessionId);
@@ -2902,9 +3050,12 @@ async function browserAct(args) {
             logger.info(`[browser.act] navigate: killed conflicting Chrome for session=${sessionId} — retrying engine launch`);
             clearProfileLock(sessionId);
             await new Promise(r => setTimeout(r, 500));
-            page = await _ensureEngine(sessionId, headed);
+            ({ page, error: launchError } = await _ensureEngine(sessionId, headed, { browser, fixtures }));
           }
         }
+        if (!page && engineOnly) {
+          return { ok: false, action, sessionId, error: _engineOnlyError(sessionId, engineOnly, { browser, fixtures }, launchError || 'no page'), executionTime: Date.now() - start };
+        }
         if (page) {
           try {
             logger.info(`[browser.act] navigate (engine) ${sanitizedUrl} (session=${sessionId})`);
@@ -2921,6 +3072,10 @@ async function browserAct(args) {
               executionTime: Date.now() - start,
             };
           } catch (navErr) {
+            // Fixture / non-Chromium sessions have no CLI equivalent — report instead
+            if (engineOnly || (engine.getSessionBrowser(sessionId) || 'chromium') !== 'chromium' || engine.getFixtureStats(sessionId)) {
+              return { ok: false, action, sessionId, error: `navigate failed: ${navErr.message}`, executionTime: Date.now() - start };
+            }
             logger.warn(`[browser.act] navigate (engine) failed: ${navErr.message} — falling back to CLI`);
             // Fall through to CLI path
           }
@@ -3049,17 +3204,22 @@ async function browserAct(args) {
 
     case 'close': {
       openSessions.delete(sessionId);
-      // Close engine session if active
+      // Close engine session if active (attached sessions only disconnect)
+      let fixtureStats = null;
+      const detached = engine.isAttachedSession(sessionId);
       if (engine.isSessionActive(sessionId)) {
-        await engine.closeSession(sessionId);
+        fixtureStats = await engine.closeSession(sessionId);
       }
-      // Also try CLI close (in case CLI daemon is running)
-      const res = await cliRun([...S, 'close'], timeoutMs).catch(() => ({ ok: false }));
       for (const k of snapshotCache.keys()) { if (k.startsWith(`${sessionId}:`)) snapshotCache.delete(k); }
       currentTabIndex.delete(sessionId);
       _engineRefMaps.delete(sessionId);
       clearAdBlockSession(sessionId);
-      return { ok: true, action, sessionId, executionTime: Date.now() - start, error: undefined };
+      if (detached) {
+        return { ok: true, action, sessionId, detached: true, ...(fixtureStats ? { fixtures: fixtureStats } : {}), executionTime: Date.now() - start, error: undefined };
+      }
+      // Also try CLI close (in case CLI daemon is running)
+      await cliRun([...S, 'close'], timeoutMs).catch(() => ({ ok: false }));
+      return { ok: true, action, sessionId, ...(fixtureStats ? { fixtures: fixtureStats } : {}), executionTime: Date.now() - start, error: undefined };
     }
 
     case 'close-all': {
@@ -3087,6 +3247,36 @@ async function browserAct(args) {
       return { ok: true, action, closed, total: sessions.length, executionTime: Date.now() - start };
     }
 
+    // ── Attach to a running Chrome over CDP ──────────────────────────────────
+    // Every other action then drives the attached session unchanged; close detaches.
+    case 'attach': {
+      if (!attachOpts) {
+        return { ok: false, action, sessionId, error: 'cdpUrl (or attach: { cdpUrl }) is required for attach', executionTime: Date.now() - start };
+      }
+      if (_engineActive(sessionId) && !engine.isAttachedSession(sessionId)) {
+        return { ok: false, action, sessionId, error: `Session ${sessionId} is running a launched browser — close it before attaching`, executionTime: Date.now() - start };
+      }
+      const alreadyAttached = _engineActive(sessionId);
+      if (!alreadyAttached) {
+        try {
+          await engine.launch(sessionId, { headed, browser, fixtures, attach: attachOpts });
+        } catch (err) {
+          return { ok: false, action, sessionId, error: err.message, executionTime: Date.now() - start };
+        }
+        openSessions.add(sessionId);
+      }
+      const _page = engine.getPage(sessionId);
+      const _tabs = engine.getContext(sessionId).pages().map((p, i) => `  - ${i}: ${p.url()}${p === _page ? ' (session tab)' : ''}`);
+      return {
+        ok: true, action, sessionId,
+        alreadyAttached,
+        url: _page ? _page.url() : null,
+        result: _tabs.join('\n'),
+        stdout: _tabs.join('\n'),
+        executionTime: Date.now() - start,
+      };
+    }
+
     // ── Snapshot ─────────────────────────────────────────────────────────────
     case 'snapshot': {
       // ── Engine path ──
@@ -5388,8 +5578,25 @@ async function browserAct(args) {
       }
       return _pressRes;
     }
-    case 'keydown': return run(['keydown', key || ''], `keydown ${key}`);
-    case 'keyup':   return run(['keyup',   key || ''], `keyup ${key}`);
+    case 'keydown':
+    case 'keyup': {
+      if (!key) {
+        return { ok: false, action, sessionId, error: `key is required for ${action}`, executionTime: Date.now() - start };
+      }
+      // ── Engine path ──
+      const _ePage = engine.getPage(sessionId);
+      let _engineErr = 'no engine page';
+      if (_ePage) {
+        try {
+          await _ePage.keyboard[action === 'keydown' ? 'down' : 'up'](key);
+          return { ok: true, action, sessionId, executionTime: Date.now() - start };
+        } catch (e) {
+          _engineErr = e.message;
+          logger.warn(`[browser.act] ${action} (engine) failed: ${e.message} — falling back to CLI`);
+        }
+      }
+      return _engineOnlyFailure(action, sessionId, _engineErr, start) || run([action, key], `${action} ${key}`);
+    }
 
     // ── Drag ─────────────────────────────────────────────────────────────────
     // Drags the source element (selector/ref) to the targetSelector element.
@@ -5510,6 +5717,22 @@ async function browserAct(args) {
     // ── PDF ──────────────────────────────────────────────────────────────────
     case 'pdf': {
       const outPath = filePath || path.join(os.tmpdir(), `page_${sessionId}_${Date.now()}.pdf`);
+      // ── Engine path ──
+      const _ePage = engine.getPage(sessionId);
+      let _engineErr = 'no engine page';
+      if (_ePage) {
+        try {
+          await _ePage.pdf({ path: outPath });
+          return { ok: true, action, sessionId, result: outPath, executionTime: Date.now() - start };
+        } catch (e) {
+          _engineErr = e.message;
+          logger.warn(`[browser.act] pdf (engine) failed: ${e.message} — falling back to CLI`);
+        }
+      }
+      const _noCli = _engineOnlyFailure(action, sessionId, _engineErr, start);
+      if (_noCli) return _noCli;
+
+      // ── CLI fallback ──
       const res = await cliRun([...S, 'pdf', outPath], timeoutMs);
       return {
         ok:            res.ok,
@@ -7700,36 +7923,170 @@ If no videos found, return []. Do not explain, only output the JSON array.`;
       return run(['tab-select', String(idx)], `tab-select ${idx}`);
     }
 
+    // ── Network inspector (engine sessions only) ─────────────────────────────
+    case 'network-list':
+    case 'network-get':
+    case 'network-wait':
+    case 'network-clear': {
+      const inspector = engine.getNetworkInspector(sessionId);
+      if (!inspector) {
+        return { ok: false, action, sessionId, error: `No engine session "${sessionId}" — network inspection needs a session opened by browser.act (navigate first)`, executionTime: Date.now() - start };
+      }
+      const filter = { url, method: args.method, resourceType: args.resourceType };
+      try {
+        if (action === 'network-clear') {
+          inspector.clear();
+          return { ok: true, action, sessionId, lastSeq: inspector.seq, executionTime: Date.now() - start };
+        }
+
+        if (action === 'network-list') {
+          const entries = inspector.list({ ...filter, status: args.status, sinceSeq: args.sinceSeq, limit: args.limit ?? NETWORK_LIST_DEFAULT_LIMIT });
+          return {
+            ok: true, action, sessionId,
+            result: entries,
+            stdout: entries.map(_networkLine).join('\n'),
+            count: entries.length,
+            lastSeq: inspector.seq,
+            executionTime: Date.now() - start,
+          };
+        }
+
+        if (action === 'network-get') {
+          const entry = args.requestId ? inspector.get(args.requestId) : inspector.find({ ...filter, status: args.status });
+          if (!entry) {
+            const error = args.requestId
+              ? `No network entry ${args.requestId} (it may have been evicted from the buffer)`
+              : `No network request matches${url ? ` "${url}"` : ''}`;
+            return { ok: false, action, sessionId, error, executionTime: Date.now() - start };
+          }
+          return { ok: true, action, sessionId, result: _networkEntryResult(entry), stdout: _networkLine(entry), executionTime: Date.now() - start };
+        }
+
+        // network-wait: match on URL / method / type, then judge the status, so a
+        // 500 from the send API is reported as such instead of timing out
+        const expectStatus = compileStatus(args.status);
+        const sinceTs = args.since !== undefined ? Number(args.since) : Date.now() - NETWORK_WAIT_LOOKBACK_MS;
+        const entry = await inspector.waitFor(filter, { timeoutMs, sinceSeq: args.sinceSeq || 0, sinceTs });
+        const result = _networkEntryResult(entry);
+        if (entry.state === 'failed') {
+          return { ok: false, action, sessionId, result, stdout: _networkLine(entry), error: `${entry.method} ${entry.url} failed: ${entry.failure}`, executionTime: Date.now() - start };
+        }
+        if (!expectStatus(entry.status)) {
+          return { ok: false, action, sessionId, result, stdout: _networkLine(entry), error: `${entry.method} ${entry.url} returned ${entry.status}, expected ${[].concat(args.status).join(' | ')}`, executionTime: Date.now() - start };
+        }
+        return { ok: true, action, sessionId, result, stdout: _networkLine(entry), executionTime: Date.now() - start };
+      } catch (e) {
+        return { ok: false, action, sessionId, error: e.message, executionTime: Date.now() - start };
+      }
+    }
+
     // ── Auth state persistence ────────────────────────────────────────────────
+    // ── Element fingerprints ─────────────────────────────────────────────────
+    // selector → capture the element's fingerprint (what recipes store instead of CSS);
+    // fingerprint → report which element it resolves to right now, without acting.
+    case 'fingerprint': {
+      const _ePage = engine.getPage(sessionId);
+      if (!_ePage) {
+        return _engineActionFailure(action, sessionId, 'fingerprint needs an engine browser session — navigate first', { executionTime: Date.now() - start });
+      }
+      if (_fingerprint) {
+        try {
+          const match = await elementFingerprint.resolve(_ePage, _fingerprint, { threshold: args.fingerprintThreshold });
+          return {
+            ok: true, action, sessionId,
+            selector: match.selector,
+            score: match.score,
+            margin: match.margin,
+            match: match.match,
+            candidates: match.candidates,
+            result: match.candidates.map(c => `${c.score.toFixed(3)} ${c.element}`).join('\n'),
+            executionTime: Date.now() - start,
+          };
+        } catch (err) {
+          return { ok: false, action, sessionId, error: err.message, fingerprintMiss: true, executionTime: Date.now() - start };
+        }
+      }
+      if (!selector) {
+        return { ok: false, action, sessionId, error: 'selector or fingerprint is required for fingerprint', executionTime: Date.now() - start };
+      }
+      const { ref: cleanRef } = _engineRefEntry(sessionId, _ePage, selector);
+      if (cleanRef && !_isTdRef(cleanRef)) {
+        return _engineActionFailure(action, sessionId, `ARIA ref ${cleanRef} is not tagged in the DOM — fingerprint a DOM-scanner ref (tdN) or a selector`, { executionTime: Date.now() - start });
+      }
+      const _fpTarget = cleanRef ? `[data-td-ref="${cleanRef}"]` : selector;
+      let fp = null;
+      try {
+        fp = await _ePage.locator(_fpTarget).first().evaluate(elementFingerprint.captureElement, null, { timeout: Math.min(timeoutMs, 5000) });
+      } catch (err) {
+        return _engineActionFailure(action, sessionId, `Could not fingerprint "${_fpTarget}": ${err.message.split('\n')[0]}`, { executionTime: Date.now() - start });
+      }
+      return {
+        ok: true, action, sessionId,
+        fingerprint: fp,
+        selector: elementFingerprint.toSelector(fp),
+        result: elementFingerprint.describe(fp),
+        executionTime: Date.now() - start,
+      };
+    }
+
     case 'state-save': {
       const p = filePath || path.join(os.homedir(), '.thinkdrop', 'browser-sessions', `${sessionId}.json`);
       fs.mkdirSync(path.dirname(p), { recursive: true });
       // Engine path: use context.storageState()
       const _ctx = engine.getContext(sessionId);
+      let _engineErr = 'no engine context';
       if (_ctx) {
-        try { await _ctx.storageState({ path: p }); return { ok: true, action, sessionId, executionTime: Date.now() - start }; }
-        catch (e) { logger.warn(`[browser.act] state-save (engine) failed: ${e.message} — falling back to CLI`); }
+        try { await _ctx.storageState({ path: p }); return { ok: true, action, sessionId, result: p, executionTime: Date.now() - start }; }
+        catch (e) { _engineErr = e.message; logger.warn(`[browser.act] state-save (engine) failed: ${e.message} — falling back to CLI`); }
       }
-      return run(['state-save', p], `state-save ${p}`);
+      return _engineOnlyFailure(action, sessionId, _engineErr, start) || run(['state-save', p], `state-save ${p}`);
     }
     case 'state-load': {
       const p = filePath || path.join(os.homedir(), '.thinkdrop', 'browser-sessions', `${sessionId}.json`);
-      // Engine path: persistent context already restores state — no-op if engine active
-      if (engine.isSessionActive(sessionId)) {
+      // A launched engine session's persistent profile already restores its own
+      // state; an attached browser (or an explicit file) gets the saved state applied.
+      if (engine.isSessionActive(sessionId) && !engine.isAttachedSession(sessionId) && !filePath) {
         logger.info(`[browser.act] state-load: engine active, state already persisted in profile dir`);
         return { ok: true, action, sessionId, executionTime: Date.now() - start };
       }
-      return run(['state-load', p], `state-load ${p}`);
+      const _ctx = engine.getContext(sessionId);
+      if (_ctx) {
+        let state;
+        try {
+          state = JSON.parse(fs.readFileSync(p, 'utf8'));
+        } catch (e) {
+          return { ok: false, action, sessionId, error: `Could not read saved state ${p}: ${e.message}`, executionTime: Date.now() - start };
+        }
+        try {
+          const cookies = Array.isArray(state.cookies) ? state.cookies : [];
+          if (cookies.length) await _ctx.addCookies(cookies);
+          // localStorage can only be written from a page on its origin: fill the open ones
+          let origins = 0;
+          for (const page of _ctx.pages()) {
+            let origin = null;
+            try { origin = new URL(page.url()).origin; } catch (_) {}
+            const saved = (state.origins || []).find(o => o.origin === origin);
+            if (!saved || !Array.isArray(saved.localStorage)) continue;
+            await page.evaluate((items) => { for (const { name, value } of items) localStorage.setItem(name, value); }, saved.localStorage);
+            origins++;
+          }
+          return { ok: true, action, sessionId, cookies: cookies.length, origins, executionTime: Date.now() - start };
+        } catch (e) {
+          return _engineOnlyFailure(action, sessionId, e.message, start) || { ok: false, action, sessionId, error: `state-load failed: ${e.message}`, executionTime: Date.now() - start };
+        }
+      }
+      return _engineOnlyFailure(action, sessionId, 'no engine context', start) || run(['state-load', p], `state-load ${p}`);
     }
 
     // ── Resize ────────────────────────────────────────────────────────────────
     case 'resize': {
       const _ePage = engine.getPage(sessionId);
+      let _engineErr = 'no engine page';
       if (_ePage) {
         try { await _ePage.setViewportSize({ width: width || 1280, height: height || 800 }); return { ok: true, action, sessionId, executionTime: Date.now() - start }; }
-        catch (e) { logger.warn(`[browser.act] resize (engine) failed: ${e.message} — falling back to CLI`); }
+        catch (e) { _engineErr = e.message; logger.warn(`[browser.act] resize (engine) failed: ${e.message} — falling back to CLI`); }
       }
-      return run(['resize', String(width || 1280), String(height || 800)], 'resize');
+      return _engineOnlyFailure(action, sessionId, _engineErr, start) || run(['resize', String(width || 1280), String(height || 800)], 'resize');
     }
 
     // ── newPage (alias tab-new) ───────────────────────────────────────────────
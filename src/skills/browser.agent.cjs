@@ -20,6 +20,9 @@
  *                                                    updates status
  *   run            { agentId, task, context? }    → executes a task using the agent's
  *                                                    descriptor as LLM context + browser.act
+ *   set_browser    { id, browser }                → pins the agent to chromium | firefox |
+ *                                                    webkit (browser_engine: in the descriptor;
+ *                                                    "default" unpins)
  */
 
 const path = require('path');
@@ -260,6 +263,7 @@ const { userAgent } = require('./user.agent.cjs');
 const { resolveDestination, recordCorrection, classifyTaskIntent, classifyUrlType, getLearnedCorrection, deleteLearnedCorrection, suggestTaskUrl, getTaskKeywords, getCachedDeepLink, recordDeepLinkCache, deleteDeepLinkCache, getSearchUrlPattern, recordSearchUrlPattern, INTENTS, SERVICE_CHAT_URLS, isAuthFlowUrl } = require('../skill-helpers/destination-resolver.cjs');
 const { killExistingChromeForProfile, clearProfileLock, findCli, shortSessionId, _sniffAuthCookies, engine: browserEngine } = require('./browser.act.cjs');
 const { loadAppKnowledge, saveAppKnowledge, loadAndFormat, isCacheStale, recordVerification } = require('./lib/appKnowledge.cjs');
+const { waypointSelectors, describe: describeFingerprint, toSelector: fingerprintSelector } = require('../skill-helpers/element-fingerprint.cjs');
 
 const BROWSER_ACT_PORT = parseInt(process.env.COMMAND_SERVICE_PORT || '3007', 10);
 
@@ -297,6 +301,7 @@ const VIDEO_PLATFORMS = new Set([
 // Bootstrap seed map — cold-start anchors for first build_agent call before DuckDB has an entry.
 // Three fields only: startUrl (post-login dashboard), authSuccessPattern (URL substring after auth),
 // isOAuth (true = browser OAuth session required; false = API key settings page).
+// Optional browserEngine ('firefox' | 'webkit') pins the built agent off Chromium (browser_engine:).
 // After first build, DuckDB owns the descriptor and validate_agent can self-correct any entry.
 // (resolveBrowserMeta priorities: DuckDB descriptor → DuckDB meta cache → this seed map → LLM+web_search)
 const KNOWN_BROWSER_SERVICES = {
@@ -1628,7 +1633,7 @@ function deriveAgentType(meta) {
 // Action: build_agent
 // ---------------------------------------------------------------------------
 
-function buildBrowserDescriptorMd({ id, service, startUrl, signInUrl, authSuccessPattern, capabilities, type = 'browser', playbooks = null, goals = null, hostAliases = null, metaRevision = null }) {
+function buildBrowserDescriptorMd({ id, service, startUrl, signInUrl, authSuccessPattern, capabilities, type = 'browser', playbooks = null, goals = null, hostAliases = null, metaRevision = null, browserEngine = null }) {
   const capYaml = capabilities.map(c => `  - ${c}`).join('\n');
   const goalsYaml = goals && goals.length > 0
     ? goals.map(g => `  - "${g.replace(/"/g, '\\"')}"`).join('\n')
@@ -1643,6 +1648,7 @@ function buildBrowserDescriptorMd({ id, service, startUrl, signInUrl, authSucces
     `auth_success_pattern: ${authSuccessPattern}`,
     ...(hostAliases && hostAliases.length > 0 ? [`host_aliases: ${hostAliases.join(', ')}`] : []),
     ...(metaRevision ? [`meta_revision: ${metaRevision}`] : []),
+    ...(browserEngine ? [`browser_engine: ${browserEngine}`] : []),
     `capabilities:`,
     capYaml,
     `user_goals:`,
@@ -1676,7 +1682,7 @@ function buildBrowserDescriptorMd({ id, service, startUrl, signInUrl, authSucces
   return parts.join('\n');
 }
 
-async function actionBuildAgent({ service, startUrl: explicitUrl, force = false, goals = null }) {
+async function actionBuildAgent({ service, startUrl: explicitUrl, force = false, goals = null, browser = null }) {
   if (!service) return { ok: false, error: 'service is required' };
 
   const serviceKey = service.toLowerCase().replace(/[^a-z0-9_]/g, '');
@@ -1693,6 +1699,12 @@ async function actionBuildAgent({ service, startUrl: explicitUrl, force = false,
   // api_key — consumer web apps (chatgpt, gemini, etc.) are always type=browser regardless.
   const agentType = deriveAgentType({ ...meta, capabilities });
 
+  // Browser engine pin: explicit arg → seed map → whatever a previous build pinned
+  let pinnedBrowser = browser || meta?.browserEngine || null;
+  if (pinnedBrowser) {
+    try { pinnedBrowser = browserEngine.resolveBrowser(pinnedBrowser); } catch (err) { return { ok: false, error: err.message }; }
+  }
+
   if (!startUrl) {
     return {
       ok: false,
@@ -1748,7 +1760,12 @@ async function actionBuildAgent({ service, startUrl: explicitUrl, force = false,
   // successful run can upgrade to 'healthy'. Seeded playbooks are battle-tested — healthy directly.
   const initialStatus = playbooksSource === 'generated' ? 'needs_validation' : 'healthy';
 
-  const descriptor = buildBrowserDescriptorMd({ id: agentId, service: serviceKey, startUrl, signInUrl, authSuccessPattern, capabilities, type: agentType, playbooks, goals, hostAliases: meta?.hostAliases, metaRevision: meta?._metaRevision });
+  if (!pinnedBrowser) {
+    const previous = await actionQueryAgent({ id: agentId }).catch(() => null);
+    pinnedBrowser = (previous?.found && extractDescriptorUrl(previous.descriptor, 'browser_engine')) || null;
+  }
+
+  const descriptor = buildBrowserDescriptorMd({ id: agentId, service: serviceKey, startUrl, signInUrl, authSuccessPattern, capabilities, type: agentType, playbooks, goals, hostAliases: meta?.hostAliases, metaRevision: meta?._metaRevision, browserEngine: pinnedBrowser });
 
   // Write .md to disk
   fs.mkdirSync(AGENTS_DIR, { recursive: true });
@@ -1784,11 +1801,62 @@ async function actionBuildAgent({ service, startUrl: explicitUrl, force = false,
     service: serviceKey,
     startUrl,
     capabilities,
+    browser: pinnedBrowser || 'default',
     mdPath,
     descriptor,
   };
 }
 
+// ---------------------------------------------------------------------------
+// Action: set_browser — pin (or unpin) the browser engine an agent runs on
+// ---------------------------------------------------------------------------
+
+// Apply the descriptor's browser_engine: pin (or clear a stale one) for a session
+// the agent drives, so every engine launch of it — browser.act, explore.agent,
+// playwright.agent — uses that engine.
+function _pinDescriptorBrowser(descriptor, sessionId) {
+  const pinned = extractDescriptorUrl(descriptor, 'browser_engine');
+  try {
+    browserEngine.pinSessionBrowser(sessionId, pinned || null);
+  } catch (err) {
+    logger.warn(`[browser.agent] ignoring browser_engine "${pinned}" for session=${sessionId}: ${err.message}`);
+  }
+}
+
+async function actionSetBrowser({ id, browser }) {
+  if (!id) return { ok: false, error: 'id is required' };
+  let pinned = null;
+  if (browser && !/^(default|none)$/i.test(browser)) {
+    try { pinned = browserEngine.resolveBrowser(browser); } catch (err) { return { ok: false, error: err.message }; }
+  }
+
+  const existing = await actionQueryAgent({ id });
+  if (!existing.found) return { ok: false, error: `Agent not found: ${id}` };
+
+  const fieldRe = /^browser_engine:.*\n?/m;
+  let patched = existing.descriptor.replace(fieldRe, '');
+  if (pinned) patched = patched.replace(/^(service:.*)$/m, `$1\nbrowser_engine: ${pinned}`);
+
+  try {
+    fs.mkdirSync(AGENTS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(AGENTS_DIR, `${id}.md`), patched, 'utf8');
+  } catch (e) {
+    logger.warn(`[browser.agent] set_browser: failed to write .md for ${id}: ${e.message}`);
+  }
+  await withDb(async (db) => {
+    await db.run('UPDATE agents SET descriptor = ? WHERE id = ?', patched, id);
+  });
+
+  logger.info(`[browser.agent] set_browser: ${id} → ${pinned || 'default'}`);
+  return {
+    ok: true,
+    agentId: id,
+    browser: pinned || 'default',
+    // Each engine has its own profile directory, so the first run on a new engine needs a fresh login
+    note: 'Takes effect the next time the agent launches its browser session; each engine keeps its own profile and login.',
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Migrate stale built-in browser-agent descriptors to current seed metadata.
 // Compares the descriptor's meta_revision against the seed's _metaRevision.
@@ -2144,6 +2212,7 @@ async function actionValidateAgent({ id, sessionId: explicitSession }) {
   // Step 2: use browser.act scanCurrentPage to get live DOM snapshot
   const profile   = `${id.replace('.agent', '')}_validator`;
   const sessionId = explicitSession || `${id}_validate_${Date.now()}`;
+  _pinDescriptorBrowser(existing.descriptor, sessionId);
   let domSnapshot = null;
 
   try {
@@ -3751,7 +3820,7 @@ function _isSigninWall(href) {
   return false;
 }
 
-async function actionRun({ agentId: _agentIdArg, task, url, context, requiresAuth, skipAuth, manualLogin = false, preflightProbe = false, forceAuthProbe = false, requireCookieConfirmation = false, _progressCallbackUrl, _stepIndex, _loginWallRetried = false, _emitThinking = null, _authOnly = false, planExtend = false, sessionId: _planExtendSessionId = null, _abortSignal = null }) {
+async function actionRun({ agentId: _agentIdArg, task, url, context, requiresAuth, skipAuth, manualLogin = false, preflightProbe = false, forceAuthProbe = false, requireCookieConfirmation = false, _progressCallbackUrl, _stepIndex, _loginWallRetried = false, _emitThinking = null, _authOnly = false, planExtend = false, sessionId: _planExtendSessionId = null, _abortSignal = null, _admissionLease = null }) {
   // Derive agentId from url hostname when caller omits it (LLM sometimes emits only url)
   let agentId = _agentIdArg;
   if (!agentId && url) {
@@ -4108,6 +4177,7 @@ async function actionRun({ agentId: _agentIdArg, task, url, context, requiresAut
   // → Chrome shows the login page every time. 'gmail_agent' ≈ 94-char socket path,
   // safely under macOS's 104-char Unix socket limit.
   const sessionId = profile;
+  _pinDescriptorBrowser(existing.descriptor, sessionId);
 
   // ── Destination intent mismatch correction ────────────────────────────────────
   // Pre-navigation: detect when the configured startUrl (e.g. developer API console)
@@ -5675,18 +5745,20 @@ async function actionRun({ agentId: _agentIdArg, task, url, context, requiresAut
       }
     }
     if (recipe && recipe.waypoints && recipe.waypoints.length > 0) {
+      // Trained waypoints carry the recorded CSS plus, usually, an element fingerprint
+      const _wpTarget = wp => [wp.selector, wp.fingerprint && `(${describeFingerprint(wp.fingerprint)})`].filter(Boolean).join(' ');
       const waypointSteps = recipe.waypoints.map(wp => {
         if (wp.type === 'navigate') return `  ${wp.step}. NAVIGATE to ${wp.url} (checkpoint: ${wp.checkpoint || wp.pageTitle || ''})`;
-        if (wp.type === 'click') return `  ${wp.step}. CLICK "${wp.elementText || ''}" selector: ${wp.selector}${wp.altSelectors?.length ? ` (alt: ${wp.altSelectors[0]})` : ''}`;
-        if (wp.type === 'fill') return `  ${wp.step}. FILL ${wp.selector} with "${wp.value || '<from task>'}"${wp.altSelectors?.length ? ` (alt: ${wp.altSelectors[0]})` : ''}`;
-        if (wp.type === 'check') return `  ${wp.step}. CHECK "${wp.label || ''}" selector: ${wp.selector} → ${wp.checked ? 'on' : 'off'}`;
+        if (wp.type === 'click') return `  ${wp.step}. CLICK "${wp.elementText || ''}" selector: ${_wpTarget(wp)}${wp.altSelectors?.length ? ` (alt: ${wp.altSelectors[0]})` : ''}`;
+        if (wp.type === 'fill') return `  ${wp.step}. FILL ${_wpTarget(wp)} with "${wp.value || '<from task>'}"${wp.altSelectors?.length ? ` (alt: ${wp.altSelectors[0]})` : ''}`;
+        if (wp.type === 'check') return `  ${wp.step}. CHECK "${wp.label || ''}" selector: ${_wpTarget(wp)} → ${wp.checked ? 'on' : 'off'}`;
         if (wp.type === 'drag') return `  ${wp.step}. DRAG from ${wp.fromSelector} by (${(wp.toX || 0) - (wp.fromX || 0)}, ${(wp.toY || 0) - (wp.fromY || 0)})px`;
         if (wp.type === 'scroll') return `  ${wp.step}. SCROLL ${wp.deltaY > 0 ? 'down' : 'up'} ${Math.abs(wp.deltaY || 0)}px to reveal content`;
-        if (wp.type === 'select') return `  ${wp.step}. SELECT ${wp.selector} value: "${wp.value || ''}"`;
+        if (wp.type === 'select') return `  ${wp.step}. SELECT ${_wpTarget(wp)} value: "${wp.value || ''}"`;
         if (wp.type === 'submit') return `  ${wp.step}. SUBMIT ${wp.selector}`;
         if (wp.type === 'keycombo') return `  ${wp.step}. KEYCOMBO ${[wp.ctrl?'Ctrl':'',wp.shift?'Shift':'',wp.alt?'Alt':'',wp.key].filter(Boolean).join('+')} on ${wp.selector}`;
-        if (wp.type === 'hover') return `  ${wp.step}. HOVER ${wp.selector}${wp.altSelectors?.length ? ` (alt: ${wp.altSelectors[0]})` : ''}`;
-        return `  ${wp.step}. ${wp.type.toUpperCase()} ${wp.selector || wp.url || ''}`;
+        if (wp.type === 'hover') return `  ${wp.step}. HOVER ${_wpTarget(wp)}${wp.altSelectors?.length ? ` (alt: ${wp.altSelectors[0]})` : ''}`;
+        return `  ${wp.step}. ${wp.type.toUpperCase()} ${_wpTarget(wp) || wp.url || ''}`;
       }).join('\n');
 
       const recipeBlock = `\n\n## Trained Navigation Recipe: ${recipe.name}\n` +
@@ -5858,7 +5930,7 @@ Output ONLY valid JSON: {${_execRecipe.params.map(p => `"${p.name}": "<extracted
                 }
                 _skipSkillNav = false; // only skip the first nav
               } else if (wp.type === 'click') {
-                const clickSelectors = [wp.selector, ...(wp.altSelectors || [])].filter(Boolean);
+                const clickSelectors = waypointSelectors(wp);
                 let clicked = false;
                 for (const sel of clickSelectors) {
                   const clickRes = await callBrowserAct({ action: 'click', selector: sel, sessionId });
@@ -5871,7 +5943,7 @@ Output ONLY valid JSON: {${_execRecipe.params.map(p => `"${p.name}": "<extracted
                   _fillValue = skillParams[wp.paramRef];
                   logger.info(`[browser.agent] recipe-chain: param sub ${wp.paramRef}="${_fillValue.substring(0, 50)}"`);
                 }
-                const fillSelectors = [wp.selector, ...(wp.altSelectors || [])].filter(Boolean);
+                const fillSelectors = waypointSelectors(wp);
                 let filled = false;
                 for (const sel of fillSelectors) {
                   const fillRes = await callBrowserAct({ action: 'type', selector: sel, text: _fillValue, sessionId });
@@ -5901,7 +5973,7 @@ Output ONLY valid JSON: {${_execRecipe.params.map(p => `"${p.name}": "<extracted
               } else if (wp.type === 'select') {
                 let _selectValue = wp.value || '';
                 if (wp.paramRef && skillParams[wp.paramRef]) _selectValue = skillParams[wp.paramRef];
-                const selectSelectors = [wp.selector, ...(wp.altSelectors || [])].filter(Boolean);
+                const selectSelectors = waypointSelectors(wp);
                 let selected = false;
                 for (const sel of selectSelectors) {
                   const selectRes = await callBrowserAct({ action: 'select', selector: sel, value: _selectValue, sessionId });
@@ -5912,19 +5984,19 @@ Output ONLY valid JSON: {${_execRecipe.params.map(p => `"${p.name}": "<extracted
                 const key = [wp.ctrl ? 'Control' : '', wp.shift ? 'Shift' : '', wp.alt ? 'Alt' : '', wp.key].filter(Boolean).join('+') || wp.key || 'Enter';
                 await callBrowserAct({ action: 'press', key, selector: wp.selector, sessionId });
               } else if (wp.type === 'check') {
-                const checkSelectors = [wp.selector, ...(wp.altSelectors || [])].filter(Boolean);
+                const checkSelectors = waypointSelectors(wp);
                 for (const sel of checkSelectors) {
                   const checkRes = await callBrowserAct({ action: 'check', selector: sel, sessionId });
                   if (checkRes?.exitCode === 0 || checkRes?.ok === true) break;
                 }
               } else if (wp.type === 'hover') {
-                const hoverSelectors = [wp.selector, ...(wp.altSelectors || [])].filter(Boolean);
+                const hoverSelectors = waypointSelectors(wp);
                 for (const sel of hoverSelectors) {
                   const hoverRes = await callBrowserAct({ action: 'hover', selector: sel, sessionId });
                   if (hoverRes?.exitCode === 0 || hoverRes?.ok === true) break;
                 }
               } else if (wp.type === 'dblclick') {
-                const dblSelectors = [wp.selector, ...(wp.altSelectors || [])].filter(Boolean);
+                const dblSelectors = waypointSelectors(wp);
                 for (const sel of dblSelectors) {
                   const dblRes = await callBrowserAct({ action: 'dblclick', selector: sel, sessionId });
                   if (dblRes?.exitCode === 0 || dblRes?.ok === true) break;
@@ -6028,6 +6100,9 @@ Output ONLY valid JSON: {${_execRecipe.params.map(p => `"${p.name}": "<extracted
                 // Build selector fallback chain with priorities
                 let selectors = [];
                 
+                // Priority 0: element fingerprint from the trainer (survives re-renders)
+                if (wp.fingerprint) selectors.push(fingerprintSelector(wp.fingerprint));
+                
                 // Priority 1: Combined href + text (most specific from new CDP recorder)
                 if (wp.altSelectors) {
                   const combined = wp.altSelectors.find(s => s.includes('[href*="') && s.includes(':has-text('));
@@ -6127,8 +6202,8 @@ Output ONLY valid JSON: {${_execRecipe.params.map(p => `"${p.name}": "<extracted
                   }
                 }
               } else if (wp.type === 'check') {
-                // Try primary selector, then alt selectors
-                let checkSelectors = [wp.selector];
+                // Try the fingerprint, then primary selector, then alt selectors
+                let checkSelectors = waypointSelectors({ fingerprint: wp.fingerprint, selector: wp.selector });
                 if (wp.altSelectors) {
                   checkSelectors.push(...wp.altSelectors.filter(s => !s.startsWith('text=')));
                 }
@@ -6213,7 +6288,7 @@ Output ONLY valid JSON: {${_execRecipe.params.map(p => `"${p.name}": "<extracted
                   _fillValue = _extractedParams[wp.paramRef];
                   logger.info(`[browser.agent] recipe-exec: param substitution ${wp.paramRef}="${_fillValue.substring(0, 50)}"`);
                 }
-                const fillSelectors = [wp.selector, ...(wp.altSelectors || [])].filter(Boolean);
+                const fillSelectors = waypointSelectors(wp);
                 let filled = false;
                 for (const sel of fillSelectors) {
                   const fillRes = await callBrowserAct({ action: 'type', selector: sel, text: _fillValue, sessionId });
@@ -6248,7 +6323,7 @@ Output ONLY valid JSON: {${_execRecipe.params.map(p => `"${p.name}": "<extracted
                   _selectValue = _extractedParams[wp.paramRef];
                   logger.info(`[browser.agent] recipe-exec: param substitution ${wp.paramRef}="${_selectValue.substring(0, 50)}"`);
                 }
-                const selectSelectors = [wp.selector, ...(wp.altSelectors || [])].filter(Boolean);
+                const selectSelectors = waypointSelectors(wp);
                 let selected = false;
                 for (const sel of selectSelectors) {
                   const selectRes = await callBrowserAct({ action: 'select', selector: sel, value: _selectValue, sessionId });
@@ -6262,7 +6337,7 @@ Output ONLY valid JSON: {${_execRecipe.params.map(p => `"${p.name}": "<extracted
 
               } else if (wp.type === 'dblclick') {
                 // Double-click an element — non-fatal
-                const dblSelectors = [wp.selector, ...(wp.altSelectors || [])].filter(Boolean);
+                const dblSelectors = waypointSelectors(wp);
                 let dblClicked = false;
                 for (const sel of dblSelectors) {
                   const dblRes = await callBrowserAct({ action: 'dblclick', selector: sel, sessionId });
@@ -6327,7 +6402,7 @@ Output ONLY valid JSON: {${_execRecipe.params.map(p => `"${p.name}": "<extracted
 
               } else if (wp.type === 'hover') {
                 // Hover over an element (menu reveals, tooltips) — non-fatal
-                const hoverSelectors = [wp.selector, ...(wp.altSelectors || [])].filter(Boolean);
+                const hoverSelectors = waypointSelectors(wp);
                 for (const sel of hoverSelectors) {
                   const hoverRes = await callBrowserAct({ action: 'hover', selector: sel, sessionId });
                   if (hoverRes?.exitCode === 0 || hoverRes?.ok === true) {
@@ -6754,6 +6829,8 @@ When extracting page content with run-code, prioritize these selectors over gene
         logger.info(`[browser.agent] run: passing URL-first post-enforcement URL ${_playwrightUrl} to playwright.agent for ${agentId}`);
     }
     const agentResult = await _withSessionMutex(sessionId, () => callSkill(_agentSkill, {
+        // Shares this run's browser-session slot instead of queueing behind it
+        _admissionLease,
         goal: _effectiveTask,
         agentContext: _agentContext,
         appKnowledgeEntries: _appKnowledgeEntries,
@@ -7001,6 +7078,7 @@ When extracting page content with run-code, prioritize these selectors over gene
               });
             } catch (_) {}
             const _retryResult = await _withSessionMutex(sessionId, () => callSkill(_agentSkill, {
+              _admissionLease,
               goal: _effectiveTask,
               agentContext: _agentContext,
               url: startUrl,
@@ -7770,7 +7848,7 @@ async function actionRecordFailure({ id, failureEntry }) {
 // Ensures a browser or API-key agent has valid credentials/session before the
 // plan runs. Reuses actionRun's agent lookup + auth flow but stops as soon as
 // auth succeeds. Called from preflightAgents.
-async function actionAuthenticate({ agentId, task, url, skipAuth, manualLogin = false, preflightProbe = false, forceAuthProbe = false, requireCookieConfirmation = false, _progressCallbackUrl }) {
+async function actionAuthenticate({ agentId, task, url, skipAuth, manualLogin = false, preflightProbe = false, forceAuthProbe = false, requireCookieConfirmation = false, _progressCallbackUrl, _admissionLease = null }) {
   if (!agentId) return { ok: false, error: 'agentId is required' };
   const authTask = task || `Authenticate to ${agentId}`;
   return await actionRun({
@@ -7784,6 +7862,7 @@ async function actionAuthenticate({ agentId, task, url, skipAuth, manualLogin =
     requireCookieConfirmation,
     _progressCallbackUrl,
     _authOnly: true,
+    _admissionLease,
   });
 }
 
@@ -7815,6 +7894,7 @@ async function actionExplore({ agentId, goal, url, sessionId, maxDepth, maxNavIt
   if (!startUrl) return { ok: false, error: `No start URL for agent ${agentId}` };
 
   const exploreSessionId = sessionId || `${agentId}_explore`;
+  _pinDescriptorBrowser(existing.descriptor, exploreSessionId);
 
   // scan mode — route directly to scanDomain (no goal needed)
   if (resolvedMode === 'scan') {
@@ -7871,6 +7951,9 @@ async function browserAgent(args) {
     case 'run':
         return await actionRun(args);
 
+    case 'set_browser':
+        return await actionSetBrowser(args);
+
     case 'authenticate':
         return await actionAuthenticate(args);
 
@@ -7905,7 +7988,7 @@ async function browserAgent(args) {
     default:
         return {
         ok: false,
-        error: `Unknown action: "${action}". Valid: build_agent | query_agent | list_agents | validate_agent | run | authenticate | explore | scan_domain | scan_page | delete_agent | record_failure | resolve_deep_link`,
+        error: `Unknown action: "${action}". Valid: build_agent | query_agent | list_agents | validate_agent | run | set_browser | authenticate | explore | scan_domain | scan_page | delete_agent | record_failure | resolve_deep_link`,
         };
   }
 }
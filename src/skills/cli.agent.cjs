@@ -1516,7 +1516,7 @@ async function actionRun({ cli, argv = [], cwd, env, timeoutMs, stdin, agentId,
             const _interp = _SHELL_INTERPRETERS.has(action.interpreter) ? action.interpreter : 'bash';
             // node uses -e (eval), shell interpreters use -c (command)
             const _interpFlag = _interp === 'node' ? '-e' : '-c';
-            const _shellR = await shellRun({ cmd: _interp, argv: [_interpFlag, _script], timeoutMs: 15000 });
+            const _shellR = await shellRun({ cmd: _interp, argv: [_interpFlag, _script], timeoutMs: 15000, _originSkill: 'cli.agent' });
             const _combined = [_shellR.stdout || '', _shellR.stderr || ''].filter(Boolean).join('\n').trim();
             // When probe returns the same short error as the original failure (< 60 chars),
             // the LLM has no new information. Enrich with a diagnostic hint so it knows
@@ -34,6 +34,7 @@ const fs = require('fs');
 const logger = require('../logger.cjs');
 const { browserAct } = require('./browser.act.cjs');
 const { askWithMessages } = require('../skill-helpers/skill-llm.cjs');
+const { waypointSelectors } = require('../skill-helpers/element-fingerprint.cjs');
 
 const SKILLS_BASE_DIR = path.join(os.homedir(), '.thinkdrop', 'skills');
 const DEFAULT_TIMEOUT_MS = 30000;
@@ -653,8 +654,8 @@ async function runRecipeSkill(resolvedPath, skillArgs, timeoutMs) {
       continue;
     }
 
-    // Build candidate selectors: primary + all altSelectors
-    const selectors = [wp.selector, ...(wp.altSelectors || [])].filter(Boolean);
+    // Build candidate selectors: fingerprint + primary + all altSelectors
+    const selectors = waypointSelectors(wp);
 
     // Determine the browserAct action and extra args for this waypoint type
     const actionMap = {
@@ -23,28 +23,55 @@
  *     WS: — written by Windsurf / Cursor / external agent
  *   (Custom prefix configurable via `prefix` arg)
  *
+ * Channels:
+ *   Each IDE / agent can get its own named channel (~/.thinkdrop/bridge/<channel>.md);
+ *   the 'default' channel is ~/.thinkdrop/bridge.md. Writes take a lock file and append
+ *   atomically, and every block is mirrored into a JSONL sidecar (<file>.jsonl) that
+ *   read/poll/status use instead of re-parsing the Markdown. Blocks appended by hand or
+ *   by external agents are picked up incrementally. Each reader keeps a cursor per
+ *   channel, so poll returns only blocks that reader has not seen yet.
+ *   See skill-helpers/bridge-channels.cjs.
+ *
  * Actions:
  *   write    — write/append a TD: instruction block to the bridge file
- *   read     — read all message blocks, optionally filtered by prefix/status
- *   poll     — wait for a new WS: (or any non-TD) response block since last write
+ *   read     — read all message blocks, optionally filtered by prefix/status/refId
+ *   thread   — the conversation a block belongs to (root + every block replying via ref)
+ *   poll     — wait for WS: (or any non-TD) blocks this reader has not seen yet
+ *   ask      — write a TD: instruction and wait for the reply that refs it; on timeout
+ *              write a TD:REMINDER (which bridge-watcher re-notifies) and retry. The reply
+ *              body comes back parsed: JSON from a fenced block, code blocks, sections
  *   clear    — remove all blocks with a given prefix (or all blocks)
- *   status   — show bridge file path, block counts, last activity
+ *   status   — show bridge file path, block counts, cursors, last activity
+ *   watch    — start/stop/list the bridge-watcher daemon for this channel
+ *   channels — list channels with their last seq and readers
  *   init     — create/reset the bridge file with a header comment
  *
  * Args schema:
  * {
- *   action:       string    — 'write' | 'read' | 'poll' | 'clear' | 'status' | 'init'
- *   message:      string    — body text to write (for 'write')
- *   bridgeFile:   string    — path to bridge .md file (default: ~/.thinkdrop/bridge.md)
+ *   action:       string    — 'write' | 'read' | 'thread' | 'poll' | 'ask' | 'clear' | 'status' | 'channels' | 'init'
+ *   message:      string    — body text to write (for 'write' / 'ask')
+ *   channel:      string    — channel name (default 'default')
+ *   bridgeFile:   string    — explicit bridge .md path; overrides channel
  *   prefix:       string    — block prefix for write: 'TD' (default) or custom
  *   blockType:    string    — block type label, e.g. 'INSTRUCTION', 'RESULT', 'QUESTION' (default 'INSTRUCTION')
  *   status:       string    — status tag: 'pending' | 'done' | 'error' | 'info' (default 'pending')
- *   refId:        string    — reference ID of a prior block this responds to
+ *   refId:        string    — write: ID of the block this responds to; read/poll: only replies
+ *                             to this block; thread: any block in the thread
+ *   reader:       string    — cursor owner for poll (default 'thinkdrop')
  *   filterPrefix: string    — for read/poll: only return blocks with this prefix (e.g. 'WS')
  *   filterStatus: string    — for read: only return blocks with this status
- *   pollTimeoutMs: number   — for poll: max ms to wait for a response block (default 120000 = 2min)
+ *   pollTimeoutMs: number   — for poll: max ms to wait for a response block (default 120000 = 2min);
+ *                             for ask: per attempt
+ *   retries:      number    — for ask: reminders to send before giving up (default 1)
+ *   expect:       string    — for ask: 'auto' (default) | 'json' (fail unless the reply has JSON) | 'markdown'
  *   sinceTs:      string    — for poll/read: only return blocks after this ISO timestamp
+ *                             (a reader's first poll with sinceTs starts from the beginning)
  *   label:        string    — human label for this bridge channel (shown in status)
+ *   watchAction:  string    — for watch: 'start' (default) | 'stop' | 'list'
+ *   ide:          string    — for watch: IDE to notify/focus (default 'windsurf')
+ *   adapter:      string    — for watch: 'auto' (default) | 'macos' | 'linux' | 'headless'
+ *   notify:       boolean   — for watch: desktop notifications (default true)
+ *   focus:        boolean   — for watch: bring the IDE to the front (default true)
  * }
  *
  * Returns:
@@ -52,15 +79,24 @@
  *   ok:          boolean
  *   action:      string
  *   bridgeFile:  string
+ *   channel:     string
  *   blockId?:    string    — ID of the block written
  *   blocks?:     Block[]   — parsed blocks (for read/poll)
  *   newBlocks?:  Block[]   — new blocks found (for poll)
  *   changed?:    boolean   — whether any new blocks arrived (for poll)
+ *   cursor?:     number    — reader's cursor (last seen seq) after poll
+ *   requestId?:  string    — ask: ID of the instruction block
+ *   response?:   Block     — ask: the reply (statuses pending/info/working/progress are
+ *                             collected in `progress` instead)
+ *   json?:       any       — ask: first JSON value in a ```json / bare fence, or the whole body
+ *   codeBlocks?: { lang, code }[]          — ask
+ *   sections?:   { heading, level, body }[] — ask: Markdown sections; byHeading maps heading → body
  *   error?:      string
  * }
  *
  * Block shape:
  * {
+ *   seq:       number    — position in the channel (monotonic, survives clear)
  *   id:        string    — unique block ID
  *   prefix:    string    — 'TD' | 'WS' | custom
  *   type:      string    — 'INSTRUCTION' | 'RESPONSE' | custom
@@ -68,16 +104,17 @@
  *   status:    string    — 'pending' | 'done' | 'error' | 'info'
  *   refId?:    string    — reference to another block's ID
  *   body:      string    — block body content (trimmed)
+ *   channel:   string
  *   raw:       string    — full raw block text
  * }
  */
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const crypto = require('crypto');
 const { spawn } = require('child_process');
 const logger = require('../logger.cjs');
+const channels = require('../skill-helpers/bridge-channels.cjs');
 
 // In-process watcher daemon registry (survives across skill calls in same process)
 const WATCHER_PROCS = new Map(); // bridgeFile → { proc, pid, ide, startedAt }
@@ -86,11 +123,12 @@ const WATCHER_PROCS = new Map(); // bridgeFile → { proc, pid, ide, startedAt }
 // Defaults
 // ---------------------------------------------------------------------------
 
-const DEFAULT_BRIDGE_FILE = path.join(os.homedir(), '.thinkdrop', 'bridge.md');
 const DEFAULT_PREFIX = 'TD';
 const DEFAULT_BLOCK_TYPE = 'INSTRUCTION';
 const DEFAULT_POLL_TIMEOUT_MS = 120000; // 2 minutes
 const POLL_INTERVAL_MS = 500;
+const DEFAULT_READER = 'thinkdrop';
+const DEFAULT_ASK_RETRIES = 1;
 
 const BRIDGE_HEADER = `# ThinkDrop Bridge
 
@@ -110,11 +148,6 @@ The body between the open/close tags is plain Markdown that renders normally.
 // Helpers
 // ---------------------------------------------------------------------------
 
-function resolveBridgeFile(inputPath) {
-  if (!inputPath) return DEFAULT_BRIDGE_FILE;
-  return path.resolve(inputPath.replace(/^~/, os.homedir()));
-}
-
 function generateBlockId(prefix, type) {
   const hash = crypto.randomBytes(3).toString('hex');
   const ts = Date.now().toString(36);
@@ -125,70 +158,36 @@ function formatIso() {
   return new Date().toISOString();
 }
 
-function ensureBridgeDir(filePath) {
-  const dir = path.dirname(filePath);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
+function channelHeader(ch, label) {
+  const title = ch.channel === channels.DEFAULT_CHANNEL ? '' : `**Channel:** ${ch.channel}\n\n`;
+  const labelLine = label ? `**Label:** ${label}\n\n` : '';
+  return BRIDGE_HEADER + (title || labelLine ? `${title}${labelLine}---\n\n` : '');
 }
 
-// ---------------------------------------------------------------------------
-// Block parser — extracts all structured blocks from the bridge file content
-// ---------------------------------------------------------------------------
-
-// Matches: <!-- PREFIX:TYPE id=X ts=Y status=Z [ref=R] -->
-//          ...body...
-//          <!-- PREFIX:END -->
-const BLOCK_OPEN_RE = /<!--\s*([A-Z][A-Z0-9_]*):([\w]+)\s+(.*?)-->/g;
-const ATTR_RE = /(\w+)=([^\s>]+)/g;
-
-function parseBlocks(content) {
-  const blocks = [];
-  // Split on close tags to find block regions
-  const blockPattern = /<!--\s*([A-Z][A-Z0-9_]*):([\w]+)\s+(.*?)-->([\s\S]*?)<!--\s*\1:END\s*-->/g;
-  let match;
-  while ((match = blockPattern.exec(content)) !== null) {
-    const [raw, prefix, type, attrsStr, body] = match;
-    if (type === 'END') continue;
-
-    const attrs = {};
-    let attrMatch;
-    const attrRe = /(\w+)=([^\s>]+)/g;
-    while ((attrMatch = attrRe.exec(attrsStr)) !== null) {
-      attrs[attrMatch[1]] = attrMatch[2];
-    }
-
-    blocks.push({
-      id: attrs.id || `${prefix}_${type}_unknown`,
-      prefix,
-      type,
-      ts: attrs.ts || null,
-      status: attrs.status || 'unknown',
-      refId: attrs.ref || null,
-      body: body.trim(),
-      raw,
-    });
+function matchesFilters(block, { filterPrefix, filterStatus, sinceTs, refId }) {
+  if (filterPrefix && block.prefix !== filterPrefix.toUpperCase()) return false;
+  if (filterStatus && block.status !== filterStatus) return false;
+  if (refId && block.refId !== refId) return false;
+  if (sinceTs) {
+    const since = new Date(sinceTs).getTime();
+    if (!block.ts || new Date(block.ts).getTime() <= since) return false;
   }
-  return blocks;
+  return true;
 }
 
 // ---------------------------------------------------------------------------
 // Action: init — create/reset the bridge file
 // ---------------------------------------------------------------------------
 
-function actionInit(bridgeFile, options) {
+async function actionInit(ch, options) {
   const { label } = options;
-  ensureBridgeDir(bridgeFile);
-
-  const header = BRIDGE_HEADER + (label ? `**Channel:** ${label}\n\n---\n\n` : '');
-
   try {
-    fs.writeFileSync(bridgeFile, header, 'utf8');
-    logger.info('file.bridge init', { bridgeFile });
+    await channels.rewriteChannel(ch, () => channelHeader(ch, label));
+    logger.info('file.bridge init', { bridgeFile: ch.mdFile, channel: ch.channel });
     return {
       ok: true,
-      bridgeFile,
-      message: `Bridge file initialized: ${bridgeFile}`,
+      bridgeFile: ch.mdFile,
+      message: `Bridge file initialized: ${ch.mdFile}`,
     };
   } catch (err) {
     return { ok: false, error: `Failed to init bridge file: ${err.message}` };
@@ -199,48 +198,43 @@ function actionInit(bridgeFile, options) {
 // Action: write — append a block to the bridge file
 // ---------------------------------------------------------------------------
 
-function actionWrite(bridgeFile, options) {
+async function actionWrite(ch, options) {
   const {
     message,
     prefix = DEFAULT_PREFIX,
     blockType = DEFAULT_BLOCK_TYPE,
     status = 'pending',
     refId,
+    reader = DEFAULT_READER,
   } = options;
 
   if (!message || !message.trim()) {
     return { ok: false, error: 'message is required for write action' };
   }
 
-  ensureBridgeDir(bridgeFile);
-
-  // Create bridge file with header if it doesn't exist
-  if (!fs.existsSync(bridgeFile)) {
-    fs.writeFileSync(bridgeFile, BRIDGE_HEADER, 'utf8');
-  }
+  // A reader that writes before its first poll should still see replies that
+  // arrive before it starts polling, so pin its cursor to "just before this block".
+  const cursorBefore = channels.getCursor(ch, reader) ? null : channels.lastSeq(ch);
 
   const blockId = generateBlockId(prefix, blockType);
   const ts = formatIso();
-  const refAttr = refId ? ` ref=${refId}` : '';
-
-  const block = [
-    `<!-- ${prefix}:${blockType} id=${blockId} ts=${ts} status=${status}${refAttr} -->`,
-    message.trim(),
-    `<!-- ${prefix}:END -->`,
-    '',
-  ].join('\n');
 
   try {
-    fs.appendFileSync(bridgeFile, '\n' + block, 'utf8');
-    logger.info('file.bridge write', { bridgeFile, blockId, prefix, blockType, status });
+    const record = await channels.appendBlock(ch, {
+      id: blockId, prefix, type: blockType, ts, status, refId, body: message,
+    }, { header: channelHeader(ch) });
+    if (cursorBefore !== null) await channels.setCursor(ch, reader, { seq: Math.min(cursorBefore, record.seq - 1) });
+    logger.info('file.bridge write', { bridgeFile: ch.mdFile, channel: ch.channel, blockId, prefix, blockType, status });
 
     return {
       ok: true,
-      bridgeFile,
+      bridgeFile: ch.mdFile,
       blockId,
+      seq: record.seq,
       prefix,
       blockType,
       status,
+      refId: refId || null,
       ts,
       message: `Block written: ${blockId}`,
     };
@@ -250,105 +244,115 @@ function actionWrite(bridgeFile, options) {
 }
 
 // ---------------------------------------------------------------------------
-// Action: read — read and parse all blocks
+// Action: read — read blocks from the sidecar, optionally filtered
 // ---------------------------------------------------------------------------
 
-function actionRead(bridgeFile, options) {
-  const { filterPrefix, filterStatus, sinceTs } = options;
-
-  if (!fs.existsSync(bridgeFile)) {
+async function actionRead(ch, options) {
+  if (!fs.existsSync(ch.mdFile)) {
     return {
       ok: true,
-      bridgeFile,
+      bridgeFile: ch.mdFile,
       blocks: [],
       count: 0,
       message: 'Bridge file does not exist yet',
     };
   }
 
-  let content;
+  let records;
   try {
-    content = fs.readFileSync(bridgeFile, 'utf8');
+    await channels.sync(ch);
+    records = channels.readRecords(ch).records;
   } catch (err) {
     return { ok: false, error: `Failed to read bridge file: ${err.message}` };
   }
 
-  let blocks = parseBlocks(content);
+  const blocks = records.filter(r => matchesFilters(r, options)).map(channels.toBlock);
+  return {
+    ok: true,
+    bridgeFile: ch.mdFile,
+    blocks,
+    count: blocks.length,
+  };
+}
 
-  if (filterPrefix) {
-    blocks = blocks.filter(b => b.prefix === filterPrefix.toUpperCase());
-  }
-  if (filterStatus) {
-    blocks = blocks.filter(b => b.status === filterStatus);
-  }
-  if (sinceTs) {
-    const since = new Date(sinceTs).getTime();
-    blocks = blocks.filter(b => b.ts && new Date(b.ts).getTime() > since);
+// ---------------------------------------------------------------------------
+// Action: thread — a block plus everything that refers to it via refId
+// ---------------------------------------------------------------------------
+
+async function actionThread(ch, options) {
+  const { refId } = options;
+  if (!refId) return { ok: false, error: 'refId is required for thread action' };
+
+  try {
+    await channels.sync(ch);
+  } catch (err) {
+    return { ok: false, error: `Failed to read bridge file: ${err.message}` };
   }
+  const thread = channels.buildThread(channels.readRecords(ch).records, refId);
+  if (!thread) return { ok: false, bridgeFile: ch.mdFile, error: `Block not found: ${refId}` };
 
+  const blocks = thread.blocks.map(({ depth, ...r }) => ({ ...channels.toBlock(r), depth }));
   return {
     ok: true,
-    bridgeFile,
+    bridgeFile: ch.mdFile,
+    rootId: thread.rootId,
     blocks,
     count: blocks.length,
   };
 }
 
 // ---------------------------------------------------------------------------
-// Action: poll — wait for a response block from external agent
+// Action: poll — wait for blocks this reader has not seen yet
 // ---------------------------------------------------------------------------
 
-async function actionPoll(bridgeFile, options) {
+async function actionPoll(ch, options) {
   const {
     filterPrefix,
     pollTimeoutMs = DEFAULT_POLL_TIMEOUT_MS,
     sinceTs,
+    refId,
+    reader = DEFAULT_READER,
   } = options;
 
-  // Determine the baseline timestamp — only show blocks newer than this
-  const baseline = sinceTs ? new Date(sinceTs).getTime() : Date.now();
+  // First poll by this reader: start from now, or from the beginning when the
+  // caller narrows it down with sinceTs (the old timestamp-baseline behaviour).
+  let cursor = channels.getCursor(ch, reader);
+  if (!cursor) {
+    cursor = { seq: sinceTs ? 0 : channels.lastSeq(ch) };
+    await channels.setCursor(ch, reader, cursor);
+  }
   const deadline = Date.now() + pollTimeoutMs;
 
-  logger.info('file.bridge poll start', { bridgeFile, filterPrefix, pollTimeoutMs });
+  logger.info('file.bridge poll start', { bridgeFile: ch.mdFile, channel: ch.channel, reader, fromSeq: cursor.seq, filterPrefix, pollTimeoutMs });
 
   while (Date.now() < deadline) {
-    if (!fs.existsSync(bridgeFile)) {
-      await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
-      continue;
-    }
-
-    let content;
     try {
-      content = fs.readFileSync(bridgeFile, 'utf8');
-    } catch (_) {
-      await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
-      continue;
-    }
-
-    let blocks = parseBlocks(content);
-
-    // Filter to blocks newer than baseline
-    const newBlocks = blocks.filter(b => {
-      if (!b.ts) return false;
-      return new Date(b.ts).getTime() > baseline;
-    });
-
-    // Apply prefix filter (default: anything NOT written by ThinkDrop)
-    const responseBlocks = newBlocks.filter(b => {
-      if (filterPrefix) return b.prefix === filterPrefix.toUpperCase();
-      return b.prefix !== DEFAULT_PREFIX; // any non-TD block is a response
-    });
-
-    if (responseBlocks.length > 0) {
-      logger.info('file.bridge poll found response', { count: responseBlocks.length });
-      return {
-        ok: true,
-        bridgeFile,
-        changed: true,
-        newBlocks: responseBlocks,
-        count: responseBlocks.length,
-        latestBlock: responseBlocks[responseBlocks.length - 1],
-      };
+      await channels.sync(ch);
+      const { records, offset, ino } = channels.readRecords(ch, { afterSeq: cursor.seq, hint: cursor });
+
+      // Default filter: anything NOT written by ThinkDrop is a response
+      const responseBlocks = records.filter(r => {
+        if (!filterPrefix && r.prefix === DEFAULT_PREFIX) return false;
+        return matchesFilters(r, { filterPrefix, sinceTs, refId });
+      });
+
+      if (responseBlocks.length > 0) {
+        const seq = records[records.length - 1].seq;
+        await channels.setCursor(ch, reader, { seq, offset, ino });
+        const newBlocks = responseBlocks.map(channels.toBlock);
+        logger.info('file.bridge poll found response', { count: newBlocks.length, reader, seq });
+        return {
+          ok: true,
+          bridgeFile: ch.mdFile,
+          changed: true,
+          newBlocks,
+          count: newBlocks.length,
+          latestBlock: newBlocks[newBlocks.length - 1],
+          cursor: seq,
+        };
+      }
+    } catch (err) {
+      logger.warn('file.bridge poll read failed', { error: err.message });
     }
 
     await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
@@ -358,59 +362,214 @@ async function actionPoll(bridgeFile, options) {
   logger.info('file.bridge poll timed out', { pollTimeoutMs });
   return {
     ok: true,
-    bridgeFile,
+    bridgeFile: ch.mdFile,
     changed: false,
     newBlocks: [],
     count: 0,
+    cursor: cursor.seq,
     message: `No response received within ${pollTimeoutMs}ms`,
   };
 }
 
 // ---------------------------------------------------------------------------
-// Action: clear — remove blocks from the bridge file
+// Action: ask — write an instruction and wait for the reply that refs it
 // ---------------------------------------------------------------------------
 
-function actionClear(bridgeFile, options) {
-  const { filterPrefix } = options;
+// Reply statuses that mean "still working" — collected as progress, not returned as the answer
+const PROGRESS_STATUSES = new Set(['pending', 'info', 'working', 'progress']);
 
-  if (!fs.existsSync(bridgeFile)) {
-    return { ok: true, bridgeFile, message: 'Bridge file does not exist, nothing to clear' };
+/**
+ * Split a reply body into something a plan can use: the first fenced (or bare)
+ * JSON value, every fenced code block, and the Markdown sections by heading.
+ */
+function parseResponseBody(body) {
+  const codeBlocks = [];
+  const fenceRe = /```([\w+-]*)[^\n]*\n([\s\S]*?)```/g;
+  let m;
+  while ((m = fenceRe.exec(body)) !== null) {
+    codeBlocks.push({ lang: m[1].toLowerCase() || null, code: m[2].replace(/\n$/, '') });
   }
 
-  let content;
-  try {
-    content = fs.readFileSync(bridgeFile, 'utf8');
-  } catch (err) {
-    return { ok: false, error: `Failed to read bridge file: ${err.message}` };
+  let json;
+  const candidates = [
+    ...codeBlocks.filter(b => b.lang === 'json' || b.lang === 'jsonc'),
+    ...codeBlocks.filter(b => !b.lang),
+    { code: body },
+  ];
+  for (const { code } of candidates) {
+    const text = code.trim();
+    if (!/^[[{]/.test(text)) continue;
+    try { json = JSON.parse(text); break; } catch (_) {}
   }
 
-  let newContent;
-  if (!filterPrefix) {
-    // Clear all blocks but keep the header
-    newContent = content.replace(
-      /\n<!-- [A-Z][A-Z0-9_]*:[\w]+ [\s\S]*?<!-- [A-Z][A-Z0-9_]*:END -->/g,
-      ''
-    );
-  } else {
-    const prefix = filterPrefix.toUpperCase();
-    // Remove only blocks with this prefix
-    const blockRe = new RegExp(
-      `\\n<!-- ${prefix}:[\\w]+ [\\s\\S]*?<!-- ${prefix}:END -->`,
-      'g'
-    );
-    newContent = content.replace(blockRe, '');
+  // Sections: text under each Markdown heading (fenced code is not scanned for headings)
+  const sections = [];
+  let current = { heading: null, level: 0, lines: [] };
+  let inFence = false;
+  for (const line of body.split('\n')) {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push(current);
+      current = { heading: heading[2], level: heading[1].length, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+  const parsedSections = sections
+    .map(s => ({ heading: s.heading, level: s.level, body: s.lines.join('\n').trim() }))
+    .filter(s => s.heading !== null || s.body);
+  const byHeading = {};
+  for (const s of parsedSections) {
+    if (s.heading && !(s.heading in byHeading)) byHeading[s.heading] = s.body;
+  }
+
+  return { json, codeBlocks, sections: parsedSections, byHeading };
+}
+
+/**
+ * Wait until a reply whose refId is one of `refIds` and whose status is final
+ * shows up after `scan.seq`. `scan` ({ seq, hint }) is advanced in place so the
+ * next attempt resumes where this one stopped. Progress replies are collected.
+ */
+async function waitForReply(ch, scan, { refIds, filterPrefix, timeoutMs, progress }) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    try {
+      await channels.sync(ch);
+      const { records, offset, ino } = channels.readRecords(ch, { afterSeq: scan.seq, hint: scan.hint });
+      scan.hint = { offset, ino };
+      for (const r of records) {
+        scan.seq = r.seq;
+        if (!refIds.includes(r.refId)) continue;
+        if (filterPrefix ? r.prefix !== filterPrefix.toUpperCase() : r.prefix === DEFAULT_PREFIX) continue;
+        if (PROGRESS_STATUSES.has(r.status)) {
+          progress.push(channels.toBlock(r));
+          continue;
+        }
+        return channels.toBlock(r);
+      }
+    } catch (err) {
+      logger.warn('file.bridge ask read failed', { error: err.message });
+    }
+    await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
   }
+  return null;
+}
+
+async function actionAsk(ch, options) {
+  const {
+    message,
+    blockType = DEFAULT_BLOCK_TYPE,
+    filterPrefix,
+    pollTimeoutMs = DEFAULT_POLL_TIMEOUT_MS,
+    retries = DEFAULT_ASK_RETRIES,
+    expect = 'auto',
+  } = options;
+
+  if (!message || !message.trim()) {
+    return { ok: false, error: 'message is required for ask action' };
+  }
+  if (!['auto', 'json', 'markdown'].includes(expect)) {
+    return { ok: false, error: `expect must be auto | json | markdown, got "${expect}"` };
+  }
+
+  const startedAt = Date.now();
+  const written = await actionWrite(ch, { message, prefix: DEFAULT_PREFIX, blockType, status: 'pending' });
+  if (!written.ok) return written;
+
+  const requestId = written.blockId;
+  const refIds = [requestId];
+  const progress = [];
+  const attempts = Math.max(0, Math.floor(retries)) + 1;
+  const scan = { seq: written.seq, hint: null };
+  let response = null;
+
+  logger.info('file.bridge ask sent', { channel: ch.channel, requestId, attempts, pollTimeoutMs });
+
+  for (let attempt = 1; attempt <= attempts && !response; attempt++) {
+    response = await waitForReply(ch, scan, { refIds, filterPrefix, timeoutMs: pollTimeoutMs, progress });
+    if (response || attempt === attempts) break;
+
+    // Re-notify: a new pending TD block is what bridge-watcher reacts to. Replies
+    // to the reminder count as replies to the request.
+    const reminder = await actionWrite(ch, {
+      message: `Reminder ${attempt}/${attempts - 1}: still waiting for a response to \`${requestId}\` (reply with ref=${requestId}).\n\n${message.trim()}`,
+      prefix: DEFAULT_PREFIX,
+      blockType: 'REMINDER',
+      status: 'pending',
+      refId: requestId,
+    });
+    if (reminder.ok) refIds.push(reminder.blockId);
+    logger.info('file.bridge ask re-notified', { requestId, attempt, reminderId: reminder.blockId });
+  }
+
+  const base = {
+    bridgeFile: ch.mdFile,
+    requestId,
+    reminders: refIds.length - 1,
+    elapsedMs: Date.now() - startedAt,
+    progress,
+    watcherRunning: WATCHER_PROCS.has(ch.mdFile),
+  };
+
+  if (!response) {
+    return {
+      ok: false,
+      ...base,
+      timedOut: true,
+      error: `No response to ${requestId} after ${attempts} attempt(s) of ${pollTimeoutMs}ms`,
+    };
+  }
+
+  const parsed = parseResponseBody(response.body);
+  logger.info('file.bridge ask answered', { requestId, responseId: response.id, status: response.status });
+
+  if (response.status === 'error') {
+    return { ok: false, ...base, response, ...parsed, error: `Agent reported an error: ${response.body.split('\n')[0].slice(0, 200)}` };
+  }
+  if (expect === 'json' && parsed.json === undefined) {
+    return { ok: false, ...base, response, ...parsed, error: 'Response did not contain a JSON value' };
+  }
+
+  return {
+    ok: true,
+    ...base,
+    response,
+    body: response.body,
+    ...parsed,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Action: clear — remove blocks from the bridge file
+// ---------------------------------------------------------------------------
+
+async function actionClear(ch, options) {
+  const { filterPrefix } = options;
+
+  if (!fs.existsSync(ch.mdFile)) {
+    return { ok: true, bridgeFile: ch.mdFile, message: 'Bridge file does not exist, nothing to clear' };
+  }
+
+  const blockRe = filterPrefix
+    ? new RegExp(`\\n<!-- ${filterPrefix.toUpperCase()}:[\\w]+ [\\s\\S]*?<!-- ${filterPrefix.toUpperCase()}:END -->\\n?`, 'g')
+    // Clear all blocks but keep the header
+    : /\n<!-- ([A-Z][A-Z0-9_]*):[\w]+ [\s\S]*?<!-- \1:END -->\n?/g;
 
   try {
-    fs.writeFileSync(bridgeFile, newContent, 'utf8');
+    const remaining = await channels.rewriteChannel(ch, content => content.replace(blockRe, ''));
     const clearedDesc = filterPrefix ? `${filterPrefix.toUpperCase()} blocks` : 'all blocks';
     return {
       ok: true,
-      bridgeFile,
+      bridgeFile: ch.mdFile,
+      remaining,
       message: `Cleared ${clearedDesc} from bridge file`,
     };
   } catch (err) {
-    return { ok: false, error: `Failed to write bridge file: ${err.message}` };
+    return { ok: false, error: `Failed to clear bridge file: ${err.message}` };
   }
 }
 
@@ -418,30 +577,31 @@ function actionClear(bridgeFile, options) {
 // Action: status — bridge file metadata and block counts
 // ---------------------------------------------------------------------------
 
-function actionStatus(bridgeFile) {
-  const exists = fs.existsSync(bridgeFile);
+async function actionStatus(ch) {
+  const exists = fs.existsSync(ch.mdFile);
 
   if (!exists) {
     return {
       ok: true,
-      bridgeFile,
+      bridgeFile: ch.mdFile,
       exists: false,
-      message: `Bridge file not yet created: ${bridgeFile}`,
+      message: `Bridge file not yet created: ${ch.mdFile}`,
       tdBlocks: 0,
       wsBlocks: 0,
       totalBlocks: 0,
     };
   }
 
-  let content, stat;
+  let records, stat;
   try {
-    content = fs.readFileSync(bridgeFile, 'utf8');
-    stat = fs.statSync(bridgeFile);
+    await channels.sync(ch);
+    records = channels.readRecords(ch).records;
+    stat = fs.statSync(ch.mdFile);
   } catch (err) {
     return { ok: false, error: err.message };
   }
 
-  const blocks = parseBlocks(content);
+  const blocks = records.map(channels.toBlock);
   const tdBlocks = blocks.filter(b => b.prefix === 'TD');
   const wsBlocks = blocks.filter(b => b.prefix === 'WS');
   const otherBlocks = blocks.filter(b => b.prefix !== 'TD' && b.prefix !== 'WS');
@@ -450,7 +610,8 @@ function actionStatus(bridgeFile) {
 
   return {
     ok: true,
-    bridgeFile,
+    bridgeFile: ch.mdFile,
+    sidecarFile: ch.jsonlFile,
     exists: true,
     size: stat.size,
     modified: stat.mtime.toISOString(),
@@ -459,11 +620,32 @@ function actionStatus(bridgeFile) {
     wsBlocks: wsBlocks.length,
     otherBlocks: otherBlocks.length,
     pendingTD: tdBlocks.filter(b => b.status === 'pending').length,
-    lastBlock: lastBlock ? { id: lastBlock.id, prefix: lastBlock.prefix, ts: lastBlock.ts, status: lastBlock.status } : null,
+    lastBlock: lastBlock ? { id: lastBlock.id, seq: lastBlock.seq, prefix: lastBlock.prefix, ts: lastBlock.ts, status: lastBlock.status } : null,
+    cursors: channels.channelCursors(ch),
     blocks,
   };
 }
 
+// ---------------------------------------------------------------------------
+// Action: channels — every channel with a bridge file
+// ---------------------------------------------------------------------------
+
+function actionChannels() {
+  const list = channels.listChannels().map(ch => {
+    let modified = null;
+    try { modified = fs.statSync(ch.mdFile).mtime.toISOString(); } catch (_) {}
+    return {
+      channel: ch.channel,
+      bridgeFile: ch.mdFile,
+      lastSeq: channels.lastSeq(ch),
+      modified,
+      readers: Object.keys(channels.channelCursors(ch)),
+      watching: WATCHER_PROCS.has(ch.mdFile),
+    };
+  });
+  return { ok: true, count: list.length, channels: list };
+}
+
 // ---------------------------------------------------------------------------
 // Action: watch — start/stop/status the bridge-watcher daemon
 // ---------------------------------------------------------------------------
@@ -471,7 +653,7 @@ function actionStatus(bridgeFile) {
 const WATCHER_SCRIPT = path.join(__dirname, '..', 'bridge-watcher.cjs');
 
 function actionWatchStart(bridgeFile, options) {
-  const { ide = 'windsurf', notify = true, label } = options;
+  const { ide = 'windsurf', notify = true, focus = true, adapter = 'auto', label } = options;
 
   // Already watching this file?
   if (WATCHER_PROCS.has(bridgeFile)) {
@@ -496,6 +678,8 @@ function actionWatchStart(bridgeFile, options) {
     '--bridge-file', bridgeFile,
     '--ide', ide,
     '--notify', String(notify),
+    '--focus', String(focus),
+    '--adapter', adapter,
   ];
 
   const proc = spawn(process.execPath, watcherArgs, {
@@ -510,7 +694,9 @@ function actionWatchStart(bridgeFile, options) {
     for (const line of lines) {
       try {
         const msg = JSON.parse(line);
-        logger.info('bridge-watcher IPC', msg);
+        if (msg.type === 'ready' && WATCHER_PROCS.has(bridgeFile)) WATCHER_PROCS.get(bridgeFile).adapter = msg.adapter;
+        if (msg.type === 'adapter_error') logger.warn('bridge-watcher adapter step failed', msg);
+        else logger.info('bridge-watcher IPC', msg);
       } catch (_) {
         logger.debug('bridge-watcher stdout', { line });
       }
@@ -526,7 +712,7 @@ function actionWatchStart(bridgeFile, options) {
     WATCHER_PROCS.delete(bridgeFile);
   });
 
-  WATCHER_PROCS.set(bridgeFile, { proc, pid: proc.pid, ide, startedAt, label });
+  WATCHER_PROCS.set(bridgeFile, { proc, pid: proc.pid, ide, adapter, startedAt, label });
 
   logger.info('file.bridge watch started', { bridgeFile, pid: proc.pid, ide });
 
@@ -535,6 +721,7 @@ function actionWatchStart(bridgeFile, options) {
     bridgeFile,
     pid: proc.pid,
     ide,
+    adapter,
     startedAt,
     message: `Bridge watcher started (pid ${proc.pid}) — watching ${bridgeFile} for ${ide}`,
   };
@@ -563,6 +750,7 @@ function actionWatchList() {
     bridgeFile: file,
     pid: entry.pid,
     ide: entry.ide,
+    adapter: entry.adapter,
     startedAt: entry.startedAt,
     label: entry.label || null,
   }));
@@ -577,11 +765,13 @@ async function fileBridge(args) {
   const {
     action = 'status',
     message,
+    channel,
     bridgeFile: bridgeFilePath,
     prefix,
     blockType,
     status,
     refId,
+    reader,
     filterPrefix,
     filterStatus,
     pollTimeoutMs,
@@ -589,38 +779,60 @@ async function fileBridge(args) {
     label,
     ide,
     notify,
+    focus,
+    adapter,
     watchAction,
+    retries,
+    expect,
   } = args || {};
 
-  const bridgeFile = resolveBridgeFile(bridgeFilePath);
+  let ch;
+  try {
+    ch = channels.resolveChannel(channel, bridgeFilePath);
+  } catch (err) {
+    return { ok: false, action, error: err.message };
+  }
+  const bridgeFile = ch.mdFile;
 
-  logger.info('file.bridge invoked', { action, bridgeFile });
+  logger.info('file.bridge invoked', { action, channel: ch.channel, bridgeFile });
 
   let result;
 
   switch (action) {
     case 'init':
-      result = actionInit(bridgeFile, { label });
+      result = await actionInit(ch, { label });
       break;
 
     case 'write':
-      result = actionWrite(bridgeFile, { message, prefix, blockType, status, refId });
+      result = await actionWrite(ch, { message, prefix, blockType, status, refId, reader });
       break;
 
     case 'read':
-      result = actionRead(bridgeFile, { filterPrefix, filterStatus, sinceTs });
+      result = await actionRead(ch, { filterPrefix, filterStatus, sinceTs, refId });
+      break;
+
+    case 'thread':
+      result = await actionThread(ch, { refId });
       break;
 
     case 'poll':
-      result = await actionPoll(bridgeFile, { filterPrefix, pollTimeoutMs, sinceTs });
+      result = await actionPoll(ch, { filterPrefix, pollTimeoutMs, sinceTs, refId, reader });
+      break;
+
+    case 'ask':
+      result = await actionAsk(ch, { message, blockType, filterPrefix, pollTimeoutMs, retries, expect });
       break;
 
     case 'clear':
-      result = actionClear(bridgeFile, { filterPrefix });
+      result = await actionClear(ch, { filterPrefix });
       break;
 
     case 'status':
-      result = actionStatus(bridgeFile);
+      result = await actionStatus(ch);
+      break;
+
+    case 'channels':
+      result = actionChannels();
       break;
 
     case 'watch':
@@ -631,7 +843,7 @@ async function fileBridge(args) {
         result = actionWatchList();
       } else {
         // default: start
-        result = actionWatchStart(bridgeFile, { ide, notify, label });
+        result = actionWatchStart(bridgeFile, { ide, notify, focus, adapter, label });
       }
       break;
 
@@ -639,10 +851,11 @@ async function fileBridge(args) {
       return {
         ok: false,
         action,
-        error: `Unknown action: "${action}". Valid: init | write | read | poll | clear | status | watch`,
+        error: `Unknown action: "${action}". Valid: init | write | read | thread | poll | ask | clear | status | channels | watch`,
       };
   }
 
+  if (result.ok && action !== 'channels') result.channel = ch.channel;
   logger.info('file.bridge completed', { action, ok: result.ok });
 
   return { ...result, action };
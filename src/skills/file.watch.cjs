@@ -17,11 +17,19 @@
  *   stop     — stop a watcher by watchId
  *   list     — list all active watchers
  *   read     — read the current content of a watched file (with last-change info)
- *   poll     — check if a watched file has changed since last poll (non-blocking)
+ *   poll     — check if a watched file has changed since last poll (non-blocking);
+ *              on a follow watcher: the new parsed records and threshold alerts
+ *   follow   — tail-follow a growing log: byte offsets, rotation/truncation safe, parsed
+ *              records (json / logfmt / nginx / winston / plain), filter + threshold alerts
+ *   add_trigger     — persist a rule "when files matching `match` under `path` change, run `skill`"
+ *   remove_trigger  — delete a trigger rule by name (or id)
+ *   enable_trigger / disable_trigger — arm or disarm a rule without deleting it
+ *   list_triggers   — list trigger rules with fire counts, last result and armed state
  *
  * Args schema:
  * {
- *   action:      string   — 'start' | 'stop' | 'list' | 'read' | 'poll'
+ *   action:      string   — 'start' | 'stop' | 'list' | 'read' | 'poll' | 'follow'
+ *                          | 'add_trigger' | 'remove_trigger' | 'enable_trigger' | 'disable_trigger' | 'list_triggers'
  *   path:        string   — file or directory to watch (required for start/read/poll)
  *   watchId:     string   — watcher ID (required for stop/read/poll)
  *   label:       string   — human label for this watcher (optional)
@@ -29,8 +37,28 @@
  *   recursive:   boolean  — watch directory recursively (default false)
  *   pattern:     string   — regex pattern to filter events (e.g. '\\.js$')
  *   pollTimeoutMs: number — for poll: max ms to wait for a change (default 0 = instant check)
+ *
+ *   Follow mode (see skill-helpers/log-follow.cjs):
+ *   format:       string   — 'auto' | 'json' | 'logfmt' | 'nginx' | 'winston' | 'plain' (default 'auto')
+ *   filter:       string   — records to emit, e.g. 'level == "error" && status >= 500'
+ *   threshold:    object   — { count, windowMs, filter? } — alert when MORE than count matches in windowMs
+ *   fromStart:    boolean  — also parse what is already in the file (default: only new lines)
+ *   maxRecords:   number   — poll: max records returned per call (default 200; the rest stay queued)
+ *
+ *   Triggers (see skill-helpers/watch-triggers.cjs):
+ *   name:         string   — trigger name (unique; add_trigger with an existing name replaces it)
+ *   match:        string | string[] — gitignore-style globs relative to path (default: everything)
+ *   events:       string[] — 'created' | 'modified' | 'deleted' (default: all)
+ *   skill:        string   — skill to run when the rule fires
+ *   skillArgs:    object   — args for that skill; strings may use {{path}}, {{event}}, {{lines}}, …
+ *   errorPattern: string   — only fire when an appended line matches this regex ('/error|fatal/i')
+ *   rateLimit:    object   — { max, windowMs } runs per window (default 6 per minute)
+ *   enabled:      boolean  — add_trigger: store without arming when false
  * }
  *
+ * Plain watchers live in memory and end with the process; triggers are stored in
+ * ~/.thinkdrop/watch-triggers.json and re-armed at startup.
+ *
  * Returns:
  * {
  *   ok:       boolean
@@ -48,6 +76,7 @@ const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
 const logger = require('../logger.cjs');
+const { LogFollower } = require('../skill-helpers/log-follow.cjs');
 
 // ---------------------------------------------------------------------------
 // In-process watcher registry (survives across skill calls within same process)
@@ -60,6 +89,10 @@ const WATCHERS = new Map();
 const MAX_WATCHERS = 20;
 const MAX_FILE_SIZE_FOR_CONTENT = 500 * 1024; // 500KB
 const DEFAULT_DEBOUNCE_MS = 500;
+const FOLLOW_POLL_MS = 1000;          // follow: stat/read interval alongside fs.watch on the directory
+const FOLLOW_MAX_QUEUED = 2000;       // follow: unread records kept per watcher (oldest dropped)
+const FOLLOW_MAX_ALERTS = 50;
+const DEFAULT_MAX_RECORDS = 200;
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -186,6 +219,7 @@ function actionStart(resolvedPath, options) {
     eventCount: 0,
     events: [], // ring buffer, last 20 events
     watcher: null,
+    listeners: new Set(), // in-process subscribers (see subscribe()), called per raw event
   };
 
   let debounceTimer = null;
@@ -196,6 +230,13 @@ function actionStart(resolvedPath, options) {
     // Apply pattern filter
     if (patternRegex && !patternRegex.test(changedPath)) return;
 
+    // Subscribers get every path — the debounce below collapses bursts to one event.
+    for (const listener of watcherState.listeners) {
+      try { listener({ type: eventType, path: changedPath }); } catch (err) {
+        logger.warn('file.watch listener error', { watchId, error: err.message });
+      }
+    }
+
     // Debounce
     if (debounceTimer) clearTimeout(debounceTimer);
     debounceTimer = setTimeout(() => {
@@ -266,6 +307,184 @@ function actionStart(resolvedPath, options) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Action: follow — tail a growing log by byte offset, emitting parsed records
+// ---------------------------------------------------------------------------
+
+function actionFollow(resolvedPath, options) {
+  if (WATCHERS.size >= MAX_WATCHERS) {
+    return {
+      ok: false,
+      error: `Max watcher limit (${MAX_WATCHERS}) reached. Stop an existing watcher first.`,
+    };
+  }
+
+  const { label, format = 'auto', filter, threshold, fromStart = false } = options;
+
+  for (const [id, state] of WATCHERS) {
+    if (state.path === resolvedPath && state.mode === 'follow') {
+      return {
+        ok: true,
+        watchId: id,
+        alreadyWatching: true,
+        message: `Already following: ${resolvedPath} (watchId: ${id})`,
+        state: serializeWatcher(state),
+      };
+    }
+  }
+
+  if (fs.statSync(resolvedPath).isDirectory()) {
+    return { ok: false, error: 'follow needs a file — use start to watch a directory' };
+  }
+
+  let follower;
+  try {
+    follower = new LogFollower(resolvedPath, { format, filter, threshold, fromStart });
+  } catch (err) {
+    return { ok: false, error: `Invalid follow options: ${err.message}` };
+  }
+
+  const watchId = generateWatchId(resolvedPath, label);
+  const watcherState = {
+    watchId,
+    path: resolvedPath,
+    label: label || path.basename(resolvedPath),
+    mode: 'follow',
+    isDirectory: false,
+    recursive: false,
+    debounceMs: 0,
+    pattern: null,
+    startedAt: new Date().toISOString(),
+    lastEventAt: null,
+    lastContent: null,
+    lastHash: null,
+    eventCount: 0,
+    events: [], // rotation / truncation / alert markers, last 20
+    watcher: null,
+    listeners: new Set(),
+    follow: { follower, format, filter: filter || null, threshold: threshold || null, queue: [], dropped: 0, alerts: [], unreadAlerts: [] },
+  };
+
+  const pump = () => {
+    let out;
+    try {
+      out = follower.read();
+    } catch (err) {
+      watcherState.error = err.message;
+      return;
+    }
+    const f = watcherState.follow;
+    const now = new Date().toISOString();
+    for (const kind of ['rotated', 'truncated']) {
+      if (out[kind]) watcherState.events.push({ type: kind, path: resolvedPath, timestamp: now });
+    }
+    if (!out.records.length && !out.alerts.length) return;
+
+    watcherState.lastEventAt = now;
+    watcherState.eventCount += out.records.length;
+    f.queue.push(...out.records);
+    if (f.queue.length > FOLLOW_MAX_QUEUED) f.dropped += f.queue.splice(0, f.queue.length - FOLLOW_MAX_QUEUED).length;
+    for (const alert of out.alerts) {
+      f.alerts.push(alert);
+      f.unreadAlerts.push(alert);
+      watcherState.events.push({ type: 'alert', path: resolvedPath, timestamp: alert.at, message: alert.message });
+      logger.warn('file.watch follow threshold alert', { watchId, message: alert.message });
+    }
+    if (f.alerts.length > FOLLOW_MAX_ALERTS) f.alerts.splice(0, f.alerts.length - FOLLOW_MAX_ALERTS);
+    if (watcherState.events.length > 20) watcherState.events.splice(0, watcherState.events.length - 20);
+
+    for (const listener of watcherState.listeners) {
+      try {
+        for (const record of out.records) listener({ type: 'record', path: resolvedPath, record });
+        for (const alert of out.alerts) listener({ type: 'alert', path: resolvedPath, alert });
+      } catch (err) {
+        logger.warn('file.watch listener error', { watchId, error: err.message });
+      }
+    }
+  };
+  watcherState.follow.pump = pump;
+
+  // Watch the directory, not the file: after a rotation the file's own watch
+  // would stay on the old inode. The interval catches anything fs.watch misses.
+  let dirWatcher = null;
+  try {
+    dirWatcher = fs.watch(path.dirname(resolvedPath), { persistent: false }, (eventType, filename) => {
+      if (!filename || filename === path.basename(resolvedPath)) pump();
+    });
+    dirWatcher.on('error', (err) => { watcherState.error = err.message; });
+  } catch (err) {
+    logger.warn('file.watch follow: directory watch unavailable, polling only', { watchId, error: err.message });
+  }
+  const interval = setInterval(pump, FOLLOW_POLL_MS);
+  interval.unref();
+
+  watcherState.watcher = {
+    close() {
+      clearInterval(interval);
+      if (dirWatcher) dirWatcher.close();
+      follower.close();
+    },
+  };
+  WATCHERS.set(watchId, watcherState);
+  if (fromStart) pump();
+
+  logger.info('file.watch follow started', { watchId, path: resolvedPath, format, filter: filter || null });
+
+  return {
+    ok: true,
+    watchId,
+    path: resolvedPath,
+    label: watcherState.label,
+    mode: 'follow',
+    format,
+    filter: filter || null,
+    threshold: threshold || null,
+    offset: follower.offset,
+    startedAt: watcherState.startedAt,
+    message: `Now following: ${resolvedPath}`,
+  };
+}
+
+async function actionPollFollow(state, options) {
+  const { pollTimeoutMs = 0, maxRecords = DEFAULT_MAX_RECORDS } = options;
+  const f = state.follow;
+  f.pump();
+
+  const startTime = Date.now();
+  if (pollTimeoutMs > 0 && !f.queue.length && !f.unreadAlerts.length) {
+    await new Promise(resolve => {
+      const interval = setInterval(() => {
+        f.pump();
+        if (f.queue.length || f.unreadAlerts.length || Date.now() - startTime >= pollTimeoutMs) {
+          clearInterval(interval);
+          resolve();
+        }
+      }, 250);
+    });
+  }
+
+  const records = f.queue.splice(0, maxRecords);
+  const alerts = f.unreadAlerts.splice(0);
+  const dropped = f.dropped;
+  f.dropped = 0;
+
+  return {
+    ok: true,
+    watchId: state.watchId,
+    path: state.path,
+    label: state.label,
+    mode: 'follow',
+    changed: records.length > 0,
+    records,
+    remaining: f.queue.length,
+    dropped,
+    alerts,
+    offset: f.follower.offset,
+    stats: { ...f.follower.stats },
+    lastEventAt: state.lastEventAt,
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Action: stop — stop a watcher
 // ---------------------------------------------------------------------------
@@ -284,6 +503,7 @@ function actionStop(watchId) {
     if (state.watcher) state.watcher.close();
   } catch (_) {}
 
+  state.listeners.clear();
   WATCHERS.delete(watchId);
 
   logger.info('file.watch stopped', { watchId });
@@ -315,6 +535,16 @@ function serializeWatcher(state) {
     eventCount: state.eventCount,
     recentEvents: state.events.slice(-5),
     error: state.error || null,
+    ...(state.mode === 'follow' ? {
+      mode: 'follow',
+      format: state.follow.format,
+      filter: state.follow.filter,
+      threshold: state.follow.threshold,
+      offset: state.follow.follower.offset,
+      queued: state.follow.queue.length,
+      stats: { ...state.follow.follower.stats },
+      recentAlerts: state.follow.alerts.slice(-3),
+    } : {}),
   };
 }
 
@@ -341,6 +571,8 @@ async function actionPoll(watchId, options) {
     return { ok: false, error: `Watcher not found: ${watchId}` };
   }
 
+  if (state.mode === 'follow') return actionPollFollow(state, options);
+
   const { pollTimeoutMs = 0 } = options;
   const startTime = Date.now();
 
@@ -413,10 +645,32 @@ function actionRead(watchId) {
   };
 }
 
+// ---------------------------------------------------------------------------
+// In-process subscription — lets other modules (e.g. the fs.read code index)
+// react to every changed path of a watcher without polling.
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} watchId
+ * @param {Function} listener - ({ type, path }) => void, called for each raw fs.watch event
+ * @returns {Function|null} unsubscribe, or null when the watcher does not exist
+ */
+function subscribe(watchId, listener) {
+  const state = WATCHERS.get(watchId);
+  if (!state) return null;
+  state.listeners.add(listener);
+  return () => state.listeners.delete(listener);
+}
+
 // ---------------------------------------------------------------------------
 // Skill entry point
 // ---------------------------------------------------------------------------
 
+// Lazy: watch-triggers requires this module to arm its watchers.
+function watchTriggers() {
+  return require('../skill-helpers/watch-triggers.cjs');
+}
+
 async function fileWatch(args) {
   const {
     action = 'list',
@@ -427,6 +681,19 @@ async function fileWatch(args) {
     recursive,
     pattern,
     pollTimeoutMs,
+    name,
+    match,
+    events,
+    skill,
+    skillArgs,
+    errorPattern,
+    rateLimit,
+    enabled,
+    format,
+    filter,
+    threshold,
+    fromStart,
+    maxRecords,
   } = args || {};
 
   logger.info('file.watch invoked', { action, path: inputPath, watchId });
@@ -465,18 +732,47 @@ async function fileWatch(args) {
       break;
 
     case 'poll':
-      result = await actionPoll(watchId, { pollTimeoutMs });
+      result = await actionPoll(watchId, { pollTimeoutMs, maxRecords });
+      break;
+
+    case 'follow':
+      if (!resolvedPath) return { ok: false, action, error: 'path is required for follow' };
+      result = actionFollow(resolvedPath, { label, format, filter, threshold, fromStart });
       break;
 
     case 'read':
       result = actionRead(watchId);
       break;
 
+    case 'add_trigger':
+      result = await watchTriggers().addTrigger({
+        name, path: resolvedPath, recursive, match, events, skill, args: skillArgs,
+        debounceMs, rateLimit, errorPattern, enabled,
+      });
+      break;
+
+    case 'remove_trigger':
+      result = name || watchId ? await watchTriggers().removeTrigger(name || watchId) : { ok: false, error: 'name is required' };
+      break;
+
+    case 'enable_trigger':
+    case 'disable_trigger':
+      result = name || watchId
+        ? await watchTriggers().setEnabled(name || watchId, action === 'enable_trigger')
+        : { ok: false, error: 'name is required' };
+      break;
+
+    case 'list_triggers': {
+      const triggers = watchTriggers().listTriggers();
+      result = { ok: true, count: triggers.length, triggers };
+      break;
+    }
+
     default:
       return {
         ok: false,
         action,
-        error: `Unknown action: "${action}". Valid: start | stop | list | poll | read`,
+        error: `Unknown action: "${action}". Valid: start | stop | list | poll | read | follow | add_trigger | remove_trigger | enable_trigger | disable_trigger | list_triggers`,
       };
   }
 
@@ -485,4 +781,4 @@ async function fileWatch(args) {
   return { ...result, action };
 }
 
-module.exports = { fileWatch, WATCHERS };
+module.exports = { fileWatch, subscribe, WATCHERS };
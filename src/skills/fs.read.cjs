@@ -7,28 +7,62 @@
  * Combines directory tree mapping, selective file reading, and pattern search into one skill.
  *
  * Actions:
- *   tree     — map directory structure (respects .gitignore patterns, depth limit)
+ *   tree     — map directory structure (respects .gitignore / .ignore files, depth limit)
  *   read     — read one or more files and return their content
  *   search   — search for patterns across files using ripgrep or grep fallback
  *   explore  — full codebase understanding: tree + read key files + search entry points
  *   tail     — read last N lines of a file (for logs, output files)
  *   stat     — get file/directory metadata (size, modified, type)
+ *   symbols  — definitions (functions, classes, methods, exports) from the project's code index
+ *   references — where a symbol is defined, imported and used; for a file path, its import graph
+ *   semantic_search — ranked code chunks for a natural-language query ("where is the login handler")
  *
  * Args schema:
  * {
  *   action:     string   — 'tree' | 'read' | 'search' | 'explore' | 'tail' | 'stat'
+ *                          | 'symbols' | 'references' | 'semantic_search'
  *   path:       string   — target file or directory path (supports ~)
  *   paths:      string[] — multiple file paths (for 'read' action)
  *   pattern:    string   — search pattern (for 'search' action)
  *   maxDepth:   number   — max directory depth for tree (default 4)
  *   maxFileSize: number  — max file size in bytes to read (default 100KB)
- *   maxFiles:   number   — max files to read in explore (default 20)
+ *   maxFiles:   number   — max files to read in explore (default 20); search: max files
+ *                          to scan (default and ceiling 20000)
  *   lines:      number   — number of lines for tail (default 50)
  *   extensions: string[] — file extensions to include in search (e.g. ['.js', '.ts'])
- *   exclude:    string[] — patterns to exclude (default: node_modules, .git, dist, build)
+ *   exclude:    string[] — extra gitignore-style patterns to exclude (on top of DEFAULT_EXCLUDES)
+ *   largeFileSize: number — tree/search/explore: skip files above this many bytes (default 2MB)
  *   encoding:   string   — file encoding (default 'utf8')
+ *   raw:        boolean  — read: skip document extraction and return the bytes as text
+ *   query:      string   — symbols: name filter; semantic_search: what to look for
+ *   symbol:     string   — references: symbol name or project-relative file path
+ *   kind:       string   — symbols: 'function' | 'class' | 'method' | 'const' | 'type' | …
+ *   limit:      number   — max results for the index actions (default 20)
+ *   reindex:    boolean  — index actions: rebuild the project index from scratch
+ *   root:       string   — index actions: directory to index when `path` is not inside a project
  * }
  *
+ * Documents: PDF, DOCX, XLSX, CSV/TSV and EPUB files are extracted instead of
+ * read as utf8 (skill-helpers/doc-extract.cjs, pure JS). A file entry then carries
+ * `format` plus `pages` / `blocks` / `sheets` / `chapters`, each unit with a `ref`
+ * ('page 4', 'Sheet2!A1:D20', 'chapter 3', 'paragraph 12') a later step can cite;
+ * `content` is the text rendering with the same markers. maxFileSize caps the
+ * extracted text, not the file (documents up to MAX_DOCUMENT_BYTES are accepted).
+ *
+ * Ignore rules: tree, search and explore walk the same way — DEFAULT_EXCLUDES and
+ * `exclude`, then .git/info/exclude and every .gitignore / .ignore from the git root
+ * down, with full gitignore semantics (negation, dir-only, anchored, `**`; see
+ * skill-helpers/ignore-rules.cjs). Binary files and files over largeFileSize are
+ * skipped too. Each of these results carries `skipped: { total, counts, entries }`
+ * with the reason per entry ('ignored' + the rule and file:line, 'binary', 'large').
+ *
+ * Code index: symbols / references / semantic_search resolve `path` to its project
+ * root (nearest .git, package.json, …) and query a persistent index kept under
+ * ~/.thinkdrop/code-index (skill-helpers/code-index.cjs). It is built on first use
+ * and kept fresh through file.watch, so repeat queries only re-parse changed files.
+ * A `path` below the root narrows semantic_search to that subtree. A path with no
+ * project marker above it is refused unless `root` names the directory to index.
+ *
  * Returns:
  * {
  *   ok:      boolean
@@ -43,6 +77,9 @@ const path = require('path');
 const os = require('os');
 const { execFileSync, spawnSync } = require('child_process');
 const logger = require('../logger.cjs');
+const docExtract = require('../skill-helpers/doc-extract.cjs');
+const codeIndex = require('../skill-helpers/code-index.cjs');
+const ignoreRules = require('../skill-helpers/ignore-rules.cjs');
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -53,6 +90,12 @@ const DEFAULT_MAX_FILE_SIZE = 100 * 1024; // 100KB
 const DEFAULT_MAX_FILES = 20;
 const DEFAULT_TAIL_LINES = 50;
 const MAX_OUTPUT_CHARS = 500 * 1024; // 500KB total output cap
+const MAX_DOCUMENT_BYTES = 50 * 1024 * 1024; // PDFs/spreadsheets are big on disk, small as text
+const EXPLORE_DOCUMENT_PREVIEW_CHARS = 4 * 1024;
+const EXPLORE_MAX_DOCUMENTS = 5;
+const DEFAULT_INDEX_LIMIT = 20;
+const MAX_SEARCH_FILES = 20000;
+const SEARCH_BATCH_FILES = 200; // files per rg/grep invocation (argv length)
 
 const DEFAULT_EXCLUDES = [
   'node_modules',
@@ -185,15 +228,59 @@ function isPathSafe(resolvedPath) {
   return safePrefixes.some(prefix => resolvedPath === prefix || resolvedPath.startsWith(prefix + path.sep));
 }
 
-function shouldExclude(name, excludePatterns) {
-  return excludePatterns.some(pattern => {
-    if (pattern.includes('*')) {
-      // Simple glob: *.lock matches yarn.lock
-      const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
-      return regex.test(name);
+function createMatcher(rootPath, exclude) {
+  return ignoreRules.createIgnoreMatcher(rootPath, { patterns: [...DEFAULT_EXCLUDES, ...(exclude || [])] });
+}
+
+/**
+ * Decide whether a walker should skip an entry, logging the reason when it does.
+ * Directories are only checked against ignore rules; files are also checked for
+ * binary content and size (documents are never skipped as binary).
+ */
+function skipEntry(fullPath, isDir, { matcher, skipped, largeFileSize }) {
+  const ignored = matcher.test(fullPath, isDir);
+  if (ignored) {
+    skipped.add(fullPath, 'ignored', ignored);
+    return true;
+  }
+  if (isDir) return false;
+  const verdict = ignoreRules.classifyFile(fullPath, { maxBytes: largeFileSize });
+  if (verdict) {
+    const { reason, ...detail } = verdict;
+    skipped.add(fullPath, reason, detail);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Walk files under a directory honouring ignore rules, binary and large-file
+ * detection. Returns { files (absolute paths, capped at `limit`), truncated }.
+ */
+function walkFiles(rootPath, options) {
+  const { extensions, limit = MAX_SEARCH_FILES } = options;
+  const files = [];
+  const stack = [rootPath];
+  let truncated = false;
+  while (stack.length && !truncated) {
+    const dir = stack.pop();
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (_) { continue; }
+    entries.sort((a, b) => b.name.localeCompare(a.name)); // popped in alphabetical order
+    for (const entry of entries) {
+      if (files.length >= limit) { truncated = true; break; }
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!skipEntry(fullPath, true, options)) stack.push(fullPath);
+        continue;
+      }
+      if (!entry.isFile()) continue;
+      if (extensions && extensions.length && !extensions.some(ext => entry.name.endsWith(ext))) continue;
+      if (skipEntry(fullPath, false, options)) continue;
+      files.push(fullPath);
     }
-    return name === pattern;
-  });
+  }
+  return { files: files.sort(), truncated };
 }
 
 function formatBytes(bytes) {
@@ -207,7 +294,7 @@ function formatBytes(bytes) {
 // ---------------------------------------------------------------------------
 
 function buildTree(dirPath, options, depth = 0, prefix = '') {
-  const { maxDepth, exclude } = options;
+  const { maxDepth } = options;
   const lines = [];
 
   if (depth > maxDepth) {
@@ -224,7 +311,7 @@ function buildTree(dirPath, options, depth = 0, prefix = '') {
   }
 
   // Filter and sort: dirs first, then files, both alphabetical
-  const filtered = entries.filter(e => !shouldExclude(e.name, exclude));
+  const filtered = entries.filter(e => !skipEntry(path.join(dirPath, e.name), e.isDirectory(), options));
   const dirs = filtered.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name));
   const files = filtered.filter(e => !e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name));
   const sorted = [...dirs, ...files];
@@ -262,10 +349,11 @@ function actionTree(resolvedPath, options) {
     return { ok: false, error: `Path is not a directory: ${resolvedPath}` };
   }
 
-  const exclude = [...DEFAULT_EXCLUDES, ...(options.exclude || [])];
   const maxDepth = options.maxDepth || DEFAULT_MAX_DEPTH;
+  const matcher = options.matcher || createMatcher(resolvedPath, options.exclude);
+  const skipped = options.skipped || ignoreRules.createSkipLog();
 
-  const treeLines = buildTree(resolvedPath, { maxDepth, exclude });
+  const treeLines = buildTree(resolvedPath, { maxDepth, matcher, skipped, largeFileSize: options.largeFileSize });
   const treeStr = resolvedPath + '/\n' + treeLines.join('\n');
 
   return {
@@ -273,6 +361,7 @@ function actionTree(resolvedPath, options) {
     path: resolvedPath,
     tree: treeStr,
     lineCount: treeLines.length,
+    skipped: skipped.toJSON(),
   };
 }
 
@@ -280,8 +369,46 @@ function actionTree(resolvedPath, options) {
 // Action: read — read one or more files
 // ---------------------------------------------------------------------------
 
+function _documentFormat(filePath) {
+  if (!docExtract.EXTENSIONS[path.extname(filePath).toLowerCase()]) return null;
+  let head = null;
+  try {
+    const fd = fs.openSync(filePath, 'r');
+    head = Buffer.alloc(8);
+    fs.readSync(fd, head, 0, 8, 0);
+    fs.closeSync(fd);
+  } catch (_) {}
+  return docExtract.detectFormat(filePath, head);
+}
+
+function readDocument(filePath, stat, format, maxChars) {
+  if (stat.size > MAX_DOCUMENT_BYTES) {
+    return {
+      path: filePath,
+      ok: false,
+      format,
+      error: `Document too large: ${formatBytes(stat.size)} (limit ${formatBytes(MAX_DOCUMENT_BYTES)})`,
+      size: stat.size,
+    };
+  }
+  try {
+    const doc = docExtract.extractDocument(filePath, { maxChars });
+    return {
+      path: filePath,
+      ok: true,
+      ...doc,
+      size: stat.size,
+      lines: doc.content.split('\n').length,
+      modified: stat.mtime.toISOString(),
+    };
+  } catch (err) {
+    logger.warn(`[fs.read] ${format} extraction failed for ${filePath}: ${err.message}`);
+    return { path: filePath, ok: false, format, error: `Could not extract ${format}: ${err.message}`, size: stat.size };
+  }
+}
+
 function readSingleFile(filePath, options) {
-  const { maxFileSize = DEFAULT_MAX_FILE_SIZE, encoding = 'utf8' } = options;
+  const { maxFileSize = DEFAULT_MAX_FILE_SIZE, encoding = 'utf8', raw = false } = options;
 
   let stat;
   try {
@@ -294,6 +421,9 @@ function readSingleFile(filePath, options) {
     return { path: filePath, ok: false, error: 'Path is a directory, not a file' };
   }
 
+  const format = raw ? null : _documentFormat(filePath);
+  if (format) return readDocument(filePath, stat, format, maxFileSize);
+
   if (stat.size > maxFileSize) {
     return {
       path: filePath,
@@ -319,8 +449,8 @@ function readSingleFile(filePath, options) {
 }
 
 function actionRead(args) {
-  const { maxFileSize, encoding } = args;
-  const options = { maxFileSize, encoding };
+  const { maxFileSize, encoding, raw } = args;
+  const options = { maxFileSize, encoding, raw };
 
   // Multiple files
   if (args.paths && Array.isArray(args.paths)) {
@@ -351,65 +481,62 @@ function actionRead(args) {
 // ---------------------------------------------------------------------------
 
 function actionSearch(resolvedPath, options) {
-  const { pattern, extensions, exclude } = options;
+  const { pattern, extensions, exclude, largeFileSize, maxFiles } = options;
 
   if (!pattern) {
     return { ok: false, error: 'pattern is required for search action' };
   }
 
-  const excludeList = [...DEFAULT_EXCLUDES, ...(exclude || [])];
+  // Walk ourselves so ignore rules, binary and large-file skips match tree/explore
+  // exactly, then hand the surviving files to ripgrep/grep in batches.
+  const skipped = ignoreRules.createSkipLog();
+  const limit = Math.min(maxFiles > 0 ? Math.floor(maxFiles) : MAX_SEARCH_FILES, MAX_SEARCH_FILES);
+  const walk = fs.statSync(resolvedPath).isDirectory()
+    ? walkFiles(resolvedPath, { matcher: createMatcher(resolvedPath, exclude), skipped, largeFileSize, extensions, limit })
+    : { files: [resolvedPath], truncated: false };
+  const { files } = walk;
 
-  // Try ripgrep first (faster, respects .gitignore)
   const rgPath = (() => {
     try { return execFileSync('which', ['rg'], { encoding: 'utf8' }).trim(); } catch (_) { return null; }
   })();
-
-  if (rgPath) {
-    const argv = ['-n', '--no-heading', '--color=never', '--max-count=5'];
-    excludeList.forEach(ex => argv.push('--glob', `!${ex}`));
-    if (extensions && extensions.length > 0) {
-      extensions.forEach(ext => argv.push('--glob', `*${ext}`));
+  const tool = rgPath ? 'ripgrep' : 'grep';
+  const baseArgv = rgPath
+    ? ['-n', '--no-heading', '--with-filename', '--color=never', '--max-count=5', '--no-ignore', '--', pattern]
+    : ['-n', '-H', '--color=never', '-m', '5', '--', pattern];
+
+  let output = '';
+  let searched = 0;
+  for (let i = 0; i < files.length && output.length < MAX_OUTPUT_CHARS; i += SEARCH_BATCH_FILES) {
+    const batch = files.slice(i, i + SEARCH_BATCH_FILES);
+    searched += batch.length;
+    const result = spawnSync(rgPath ? 'rg' : 'grep', [...baseArgv, ...batch], { encoding: 'utf8', timeout: 30000 });
+    if (result.status === 2 && result.stderr && !result.stdout) {
+      return { ok: false, tool, pattern, path: resolvedPath, error: result.stderr.trim().split('\n')[0] };
     }
-    argv.push(pattern, resolvedPath);
-
-    const result = spawnSync('rg', argv, { encoding: 'utf8', timeout: 30000 });
-    const output = (result.stdout || '').slice(0, MAX_OUTPUT_CHARS);
-    const matches = output.split('\n').filter(Boolean);
-
-    return {
-      ok: true,
-      tool: 'ripgrep',
-      pattern,
-      path: resolvedPath,
-      matches,
-      matchCount: matches.length,
-      output,
-    };
-  }
-
-  // Fallback to grep
-  const argv = ['-rn', '--include=*.*', '--color=never', '-m', '5'];
-  if (extensions && extensions.length > 0) {
-    // grep doesn't support multiple --include easily, use first
-    argv.splice(argv.indexOf('--include=*.*'), 1, `--include=*${extensions[0]}`);
+    output += result.stdout || '';
   }
-  excludeList.forEach(ex => {
-    if (!ex.includes('*')) argv.push('--exclude-dir', ex);
-  });
-  argv.push(pattern, resolvedPath);
-
-  const result = spawnSync('grep', argv, { encoding: 'utf8', timeout: 30000 });
-  const output = (result.stdout || '').slice(0, MAX_OUTPUT_CHARS);
+  // Either cap leaves files unsearched: say so instead of returning a partial result as complete
+  const truncatedBy = walk.truncated ? 'files' : (output.length > MAX_OUTPUT_CHARS || searched < files.length ? 'output' : null);
+  output = output.slice(0, MAX_OUTPUT_CHARS);
   const matches = output.split('\n').filter(Boolean);
 
   return {
     ok: true,
-    tool: 'grep',
+    tool,
     pattern,
     path: resolvedPath,
     matches,
     matchCount: matches.length,
+    filesSearched: searched,
+    truncated: !!truncatedBy,
+    ...(truncatedBy ? {
+      truncatedBy,
+      message: truncatedBy === 'files'
+        ? `Stopped after scanning ${searched} files (limit ${limit}) — narrow path, extensions or exclude to search the rest`
+        : `Output capped at ${MAX_OUTPUT_CHARS} characters after ${searched} of ${files.length} files`,
+    } : {}),
     output,
+    skipped: skipped.toJSON(),
   };
 }
 
@@ -418,11 +545,13 @@ function actionSearch(resolvedPath, options) {
 // ---------------------------------------------------------------------------
 
 function actionExplore(resolvedPath, options) {
-  const { maxFiles = DEFAULT_MAX_FILES, maxFileSize = DEFAULT_MAX_FILE_SIZE, maxDepth = DEFAULT_MAX_DEPTH, exclude } = options;
-  const excludeList = [...DEFAULT_EXCLUDES, ...(exclude || [])];
+  const { maxFiles = DEFAULT_MAX_FILES, maxFileSize = DEFAULT_MAX_FILE_SIZE, maxDepth = DEFAULT_MAX_DEPTH, exclude, largeFileSize } = options;
+  const matcher = createMatcher(resolvedPath, exclude);
+  const skipped = ignoreRules.createSkipLog();
+  const walkOptions = { matcher, skipped, largeFileSize };
 
   // Step 1: Build tree
-  const treeResult = actionTree(resolvedPath, { maxDepth, exclude: excludeList });
+  const treeResult = actionTree(resolvedPath, { maxDepth, matcher, skipped, largeFileSize });
   if (!treeResult.ok) return treeResult;
 
   const summary = {
@@ -441,7 +570,7 @@ function actionExplore(resolvedPath, options) {
   for (const keyFile of KEY_FILES_PRIORITY) {
     if (filesRead >= maxFiles) break;
     const candidate = path.join(resolvedPath, keyFile);
-    if (fs.existsSync(candidate)) {
+    if (fs.existsSync(candidate) && !skipEntry(candidate, false, walkOptions)) {
       const result = readSingleFile(candidate, readOptions);
       if (result.ok) {
         summary.keyFiles.push({
@@ -460,7 +589,7 @@ function actionExplore(resolvedPath, options) {
   for (const entryPattern of ENTRY_POINT_PATTERNS) {
     if (filesRead >= maxFiles) break;
     const candidate = path.join(resolvedPath, entryPattern);
-    if (fs.existsSync(candidate)) {
+    if (fs.existsSync(candidate) && !skipEntry(candidate, false, walkOptions)) {
       // Don't double-read if already in keyFiles
       const alreadyRead = summary.keyFiles.some(f => f.path === candidate);
       if (!alreadyRead) {
@@ -479,10 +608,97 @@ function actionExplore(resolvedPath, options) {
     }
   }
 
+  // Step 4: Preview documents at the top level (PDF, DOCX, XLSX, CSV, EPUB)
+  let topLevel = [];
+  try { topLevel = fs.readdirSync(resolvedPath).sort(); } catch (_) {}
+  summary.documents = [];
+  for (const name of topLevel) {
+    if (summary.documents.length >= EXPLORE_MAX_DOCUMENTS || filesRead >= maxFiles) break;
+    const candidate = path.join(resolvedPath, name);
+    if (matcher.test(candidate, false) || !_documentFormat(candidate)) continue;
+    const result = readSingleFile(candidate, { maxFileSize: EXPLORE_DOCUMENT_PREVIEW_CHARS });
+    if (!result.ok) continue;
+    summary.documents.push({
+      name,
+      path: candidate,
+      format: result.format,
+      content: result.content,
+      truncated: result.truncated,
+      meta: result.meta,
+      size: result.size,
+    });
+    filesRead++;
+  }
+
+  // Step 5: If this project is already indexed, surface the most-imported modules
+  const projectRoot = codeIndex.findProjectRoot(resolvedPath);
+  const indexed = projectRoot && codeIndex.peekIndex(projectRoot);
+  if (indexed) summary.centralFiles = indexed.centralFiles(10);
+
+  summary.skipped = skipped.toJSON();
   summary.totalFilesRead = filesRead;
   return summary;
 }
 
+// ---------------------------------------------------------------------------
+// Actions: symbols / references / semantic_search — persistent code index
+// ---------------------------------------------------------------------------
+
+async function _openIndex(resolvedPath, options) {
+  let root;
+  if (options.root) {
+    root = resolvePath(options.root);
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) return { error: `root is not a directory: ${root}` };
+    if (!isPathSafe(root)) return { error: `root is outside allowed roots (must be under home dir or /tmp): ${root}` };
+    if (resolvedPath !== root && !resolvedPath.startsWith(root + path.sep)) return { error: `path ${resolvedPath} is not under root ${root}` };
+  } else {
+    root = codeIndex.findProjectRoot(resolvedPath);
+    if (!root) {
+      return { error: `No project root above ${resolvedPath} (no .git, package.json, …) — pass root to index a directory anyway` };
+    }
+  }
+  const index = await codeIndex.getIndex(root, {
+    excludes: [...DEFAULT_EXCLUDES, ...(options.exclude || [])],
+    rebuild: !!options.reindex,
+  });
+  return { root, index };
+}
+
+async function actionSymbols(resolvedPath, options) {
+  const { query, kind, limit = DEFAULT_INDEX_LIMIT } = options;
+  const { root, index, error } = await _openIndex(resolvedPath, options);
+  if (error) return { ok: false, error };
+  const rel = path.relative(root, resolvedPath);
+  const file = rel && index.files[rel] ? rel : undefined;
+  const symbols = index.symbols({ query, kind, file, limit });
+  return { ok: true, root, query: query || null, symbols, count: symbols.length, index: index.stats() };
+}
+
+async function actionReferences(resolvedPath, options) {
+  const { symbol, query, limit = 100 } = options;
+  const { root, index, error } = await _openIndex(resolvedPath, options);
+  if (error) return { ok: false, error };
+  let name = symbol || query;
+  if (!name) {
+    // A file path on its own asks for that file's import graph
+    const rel = path.relative(root, resolvedPath);
+    if (!rel || !index.files[rel]) return { ok: false, error: 'symbol is required (a symbol name, or path pointing at an indexed file)' };
+    name = rel;
+  }
+  return { ok: true, root, ...index.references(name, { limit }), index: index.stats() };
+}
+
+async function actionSemanticSearch(resolvedPath, options) {
+  const { query, limit = DEFAULT_INDEX_LIMIT } = options;
+  if (!query) return { ok: false, error: 'query is required for semantic_search' };
+  const { root, index, error } = await _openIndex(resolvedPath, options);
+  if (error) return { ok: false, error };
+  const rel = path.relative(root, resolvedPath);
+  const under = rel && fs.statSync(resolvedPath).isDirectory() ? rel + path.sep : rel || null;
+  const results = index.search(query, { limit, under });
+  return { ok: true, root, query, results, count: results.length, index: index.stats() };
+}
+
 // ---------------------------------------------------------------------------
 // Action: tail — last N lines of a file
 // ---------------------------------------------------------------------------
@@ -591,6 +807,14 @@ async function fsRead(args) {
     extensions,
     exclude,
     encoding,
+    raw,
+    query,
+    symbol,
+    kind,
+    limit,
+    reindex,
+    root,
+    largeFileSize,
   } = args || {};
 
   logger.info('fs.read invoked', { action, path: inputPath });
@@ -617,19 +841,19 @@ async function fsRead(args) {
 
   switch (action) {
     case 'tree':
-      result = actionTree(targetPath, { maxDepth, exclude });
+      result = actionTree(targetPath, { maxDepth, exclude, largeFileSize });
       break;
 
     case 'read':
-      result = actionRead({ path: inputPath, paths, maxFileSize, encoding });
+      result = actionRead({ path: inputPath, paths, maxFileSize, encoding, raw });
       break;
 
     case 'search':
-      result = actionSearch(targetPath, { pattern, extensions, exclude });
+      result = actionSearch(targetPath, { pattern, extensions, exclude, largeFileSize, maxFiles });
       break;
 
     case 'explore':
-      result = actionExplore(targetPath, { maxFiles, maxFileSize, maxDepth, exclude });
+      result = actionExplore(targetPath, { maxFiles, maxFileSize, maxDepth, exclude, largeFileSize });
       break;
 
     case 'tail':
@@ -640,8 +864,20 @@ async function fsRead(args) {
       result = actionStat(targetPath);
       break;
 
+    case 'symbols':
+      result = await actionSymbols(targetPath, { query, kind, limit, exclude, reindex, root });
+      break;
+
+    case 'references':
+      result = await actionReferences(targetPath, { symbol, query, limit, exclude, reindex, root });
+      break;
+
+    case 'semantic_search':
+      result = await actionSemanticSearch(targetPath, { query, limit, exclude, reindex, root });
+      break;
+
     default:
-      return { ok: false, action, error: `Unknown action: "${action}". Valid: tree | read | search | explore | tail | stat` };
+      return { ok: false, action, error: `Unknown action: "${action}". Valid: tree | read | search | explore | tail | stat | symbols | references | semantic_search` };
   }
 
   logger.info('fs.read completed', { action, ok: result.ok });
@@ -670,8 +906,20 @@ function getOutputContract(result) {
     }
   } else if (result.matches && Array.isArray(result.matches)) {
     files = result.matches.map(m => m.path || m).filter(Boolean);
+  } else if (result.root && (result.results || result.symbols)) {
+    // Code index actions: project-relative hits → absolute, de-duplicated
+    files = [...new Set((result.results || result.symbols).map(r => path.join(result.root, r.file)))];
   }
 
+  // Documents: the citable units (page / sheet range / chapter / paragraph) per file
+  const documents = (result.files || [])
+    .filter(f => f.ok && f.format)
+    .map(f => ({
+      path: f.path,
+      format: f.format,
+      refs: (f.pages || f.sheets || f.chapters || f.blocks || []).map(u => (u.range ? `${u.ref}!${u.range}` : u.ref)),
+    }));
+
   return {
     skill: 'fs.read',
     timestamp: Date.now(),
@@ -683,6 +931,7 @@ function getOutputContract(result) {
       files: { type: 'array', value: files },
       tree: { type: 'text', value: result.tree || '' },
       content: { type: 'text', value: result.content || result.stdout || '' },
+      documents: { type: 'array', value: documents },
       action: { type: 'text', value: result.action || '' },
       path: { type: 'text', value: result.path || '' }
     },
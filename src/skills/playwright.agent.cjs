@@ -15455,6 +15455,7 @@ Output a JSON plan: { "plan": [ { "action": "type", "selector": "eXX", "text": "
             return { ..._failureAskUser(`External skill "${skillName}" failed: ${outcome.error}`), transcript };
           }
           totalRepairs++;
+          postProgress(_progressCallbackUrl, { type: 'agent:repair', agentId, stepIndex: _stepIndex, turn: stepIndex + 1, repair: totalRepairs, maxRepairs, reason: outcome.error });
           logger.info(`[playwright.agent] external_skill ${skillName} failed — repair ${totalRepairs}/${maxRepairs}: ${outcome.error}`);
           // Take a fresh snapshot to give repair LLM current page state
           const repairSnap = await _fastSnapshot(sessionId, headed, timeoutMs);
@@ -15554,6 +15555,7 @@ Output a JSON plan: { "plan": [ { "action": "type", "selector": "eXX", "text": "
                 // Re-plan from the fresh snapshot instead of retrying with potentially stale refs
                 if (totalRepairs < maxRepairs) {
                   totalRepairs++;
+                  postProgress(_progressCallbackUrl, { type: 'agent:repair', agentId, stepIndex: _stepIndex, turn: stepIndex + 1, repair: totalRepairs, maxRepairs, reason: 'page recovered from about:blank — re-planning' });
                   try {
                     const _recoverRepairRaw = await askWithMessages([
                       { role: 'system', content: REPAIR_SYSTEM_PROMPT + domainLockBlock },
@@ -15594,6 +15596,7 @@ Output a JSON plan: { "plan": [ { "action": "type", "selector": "eXX", "text": "
               return { ..._failureAskUser(`Page stayed blank — cannot execute ${step.action}`), transcript };
             }
             totalRepairs++;
+            postProgress(_progressCallbackUrl, { type: 'agent:repair', agentId, stepIndex: _stepIndex, turn: stepIndex + 1, repair: totalRepairs, maxRepairs, reason: outcome.error });
             const _guardSnap = await _fastSnapshot(sessionId, headed, timeoutMs);
             if (_guardSnap.ok && _guardSnap.result) currentSnapshot = _guardSnap.result;
             try {
@@ -15879,6 +15882,7 @@ Output a JSON plan: { "plan": [ { "action": "type", "selector": "eXX", "text": "
           let _httpRetryPlan = null;
           if (_httpErr && totalRepairs < maxRepairs && url) {
             totalRepairs++;
+            postProgress(_progressCallbackUrl, { type: 'agent:repair', agentId, stepIndex: _stepIndex, turn: stepIndex + 1, repair: totalRepairs, maxRepairs, reason: `HTTP ${_httpErr} error page` });
             logger.warn(`[playwright.agent] HTTP ${_httpErr} error page detected in getPageText — full retry ${totalRepairs}/${maxRepairs}`);
             try {
               await browserAct({ action: 'navigate', url, sessionId, headed, timeoutMs: Math.max(timeoutMs, 30000) });
@@ -16033,6 +16037,7 @@ Output a JSON plan: { "plan": [ { "action": "type", "selector": "eXX", "text": "
               } else if (failureAnalysis.cause === 'error_page' || failureAnalysis.cause === 'server_error') {
                 if (totalRepairs < maxRepairs) {
                   totalRepairs++;
+                  postProgress(_progressCallbackUrl, { type: 'agent:repair', agentId, stepIndex: _stepIndex, turn: stepIndex + 1, repair: totalRepairs, maxRepairs, reason: `${failureAnalysis.cause}: ${expectationResult.reason}` });
                   logger.warn(`[playwright.agent] ${failureAnalysis.cause} detected — attempting repair ${totalRepairs}/${maxRepairs}`);
                   // Trigger repair logic similar to existing error handling
                   outcome = { ok: false, error: `${failureAnalysis.cause}: ${expectationResult.reason}` };
@@ -16190,6 +16195,7 @@ Output a JSON plan: { "plan": [ { "action": "type", "selector": "eXX", "text": "
       }
 
       totalRepairs++;
+      postProgress(_progressCallbackUrl, { type: 'agent:repair', agentId, stepIndex: _stepIndex, turn: stepIndex + 1, repair: totalRepairs, maxRepairs, reason: outcome.error });
       logger.info(`[playwright.agent] step ${stepIndex + 1} failed — repair ${totalRepairs}/${maxRepairs}: ${outcome.error}`);
 
       // ── Overlay-blocked click recovery (force-click → eval-click → Escape) ────
@@ -16978,6 +16984,7 @@ Set canRetry:false only if the goal is fundamentally impossible on this page/sit
 
           if (_canRetry && totalRepairs < maxRepairs) {
             totalRepairs++;
+            postProgress(_progressCallbackUrl, { type: 'agent:repair', agentId, stepIndex: _stepIndex, turn: stepIndex + 1, repair: totalRepairs, maxRepairs, reason: _judgeResult.reason });
             logger.warn(`[playwright.agent] Goal not achieved — adaptive replan ${totalRepairs}/${maxRepairs}: ${_judgeResult.reason}`);
 
             const _replanSnap = await _fastSnapshot(sessionId, headed, timeoutMs);
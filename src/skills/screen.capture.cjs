@@ -12,20 +12,53 @@
  * This is OCR-based (Tesseract), not vision-LLM. It returns raw visible text.
  * For visual analysis / verification, use ui.screen.verify instead.
  *
- * Args:
- *   (none required)
+ * When the service is unreachable (or mode is 'local'), the screen is grabbed
+ * in-process with screenshot-desktop and OCR'd through skill-helpers/screen-ocr.cjs
+ * (Tesseract CLI when installed; pluggable engines). Same return contract.
+ *
+ * Args (all optional):
+ *   mode:       'auto' (default: service, then local fallback) | 'service' | 'local'
+ *               (default from SCREEN_CAPTURE_MODE)
+ *   imagePath:  OCR this PNG instead of the live display (implies local).
+ *               THINKDROP_SCREEN_FIXTURE replaces the live display for the local
+ *               path only, so the service-down fallback can be tested headless
+ *   engine:     local OCR engine: 'auto' | 'tesseract' | 'stub' | registered name
+ *   lang:       Tesseract language (default 'eng')
+ *   timeoutMs:  service request timeout (default 20000)
+ *
+ * Selectors (any of them implies local capture — the service only does full screens):
+ *   display:    display id to grab (see screenshot-desktop listDisplays)
+ *   region:     { x, y, width, height } or "x,y,width,height" in capture pixels
+ *   window:     'title or app substring' | { title?, app? } — crops to that window's
+ *               bounds (front-most match); appName/windowTitle come from it
+ *   scale:      capture pixels per window-bound unit (default 1; 2 on Retina Macs)
+ *
+ * Diff mode:
+ *   diff:       true — compare with the previous capture of the same target
+ *               (display + region + window, or diffKey) and return only the lines
+ *               that appeared or disappeared. The first capture is the baseline.
+ *   diffKey:    explicit name for the target when the selectors are not stable
  *
  * Returns:
- *   { success: true, text, appName, windowTitle, url, confidence, elapsed, stdout }
+ *   { success: true, text, appName, windowTitle, url, confidence, elapsed, stdout,
+ *     source: 'service' | 'local', engine?, region? }
+ *   diff mode adds: { diff: true, baseline, changed, appeared, disappeared, fullText }
+ *     where appeared/disappeared are [{ text, bbox, confidence }] (bbox null when the
+ *     service did the OCR) and text/stdout hold only the appeared lines
  *   { success: false, error: string }
  */
 
 const http = require('http');
 const logger = require('../logger.cjs');
+const screenOcr = require('../skill-helpers/screen-ocr.cjs');
 
 const SCREEN_SERVICE_HOST = process.env.SCREEN_SERVICE_HOST || '127.0.0.1';
 const SCREEN_SERVICE_PORT = parseInt(process.env.SCREEN_INTEL_PORT || '3008', 10);
 const DEFAULT_TIMEOUT = 20000;
+const DIFF_HISTORY_LIMIT = 20;
+
+// Previous capture per diff target, most recently used last: key → { lines, at }
+const _previousCaptures = new Map();
 
 function httpPost(host, port, urlPath, body, timeoutMs = 15000) {
   return new Promise((resolve, reject) => {
@@ -63,9 +96,8 @@ function httpPost(host, port, urlPath, body, timeoutMs = 15000) {
   });
 }
 
-async function screenCapture(args = {}) {
+async function captureViaService(args, startTime) {
   const baseTimeoutMs = Math.min(60000, Math.max(5000, parseInt(args.timeoutMs || DEFAULT_TIMEOUT, 10)));
-  const startTime = Date.now();
   const MAX_RETRIES = 2;
 
   let lastError = null;
@@ -108,18 +140,168 @@ async function screenCapture(args = {}) {
         confidence: result.confidence || null,
         elapsed,
         stdout: text,  // expose as stdout so synthesize can consume it via {{prev_stdout}}
+        source: 'service',
       };
     } catch (err) {
       lastError = err.message;
       logger.warn('[screen.capture] attempt failed', { attempt: attempt + 1, error: err.message });
+      // Nothing is listening — retrying will not help, go straight to the fallback
+      if (err.code === 'ECONNREFUSED') break;
       if (attempt < MAX_RETRIES) {
         await new Promise(r => setTimeout(r, 1000 * (attempt + 1)));
       }
     }
   }
 
-  logger.error('[screen.capture] Failed after retries', { error: lastError });
-  return { success: false, error: `screen.capture failed: ${lastError}` };
+  return { success: false, error: lastError };
+}
+
+function parseRegion(region) {
+  if (region === undefined || region === null) return null;
+  const parts = typeof region === 'string'
+    ? region.split(',').map(Number)
+    : [region.x, region.y, region.width, region.height].map(Number);
+  const [x, y, width, height] = parts;
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n)) || width <= 0 || height <= 0) {
+    throw new Error(`Invalid region ${JSON.stringify(region)} — expected { x, y, width, height } or "x,y,width,height"`);
+  }
+  return { x, y, width, height };
+}
+
+async function captureLocally(args, startTime) {
+  try {
+    let image = await screenOcr.grabScreen({ imagePath: args.imagePath, display: args.display });
+    let crop = parseRegion(args.region);
+    let win;
+
+    if (args.window) {
+      const match = await screenOcr.findWindow(args.window);
+      if (!match) throw new Error(`No open window matches ${JSON.stringify(args.window)}`);
+      const scale = Number(args.scale) > 0 ? Number(args.scale) : 1;
+      const b = match.bounds;
+      const windowRegion = { x: b.x * scale, y: b.y * scale, width: b.width * scale, height: b.height * scale };
+      // A region together with a window is relative to the window
+      crop = crop
+        ? { ...crop, x: windowRegion.x + crop.x, y: windowRegion.y + crop.y }
+        : windowRegion;
+      win = { appName: match.appName, windowTitle: match.windowTitle, url: match.url || null };
+    } else {
+      // A fixture has no live window behind it
+      win = image.source === 'display'
+        ? await screenOcr.activeWindow()
+        : { appName: null, windowTitle: null, url: null };
+    }
+
+    if (crop) image = await screenOcr.cropImage(image, crop);
+    const ocr = await screenOcr.recognize(image, { engine: args.engine, lang: args.lang });
+    const elapsed = Date.now() - startTime;
+
+    logger.info('[screen.capture] Done (local)', {
+      chars: ocr.text.length,
+      confidence: ocr.confidence,
+      engine: ocr.engine,
+      app: win.appName,
+      source: image.source,
+      region: image.region || null,
+      elapsed,
+    });
+
+    return {
+      success: true,
+      text: ocr.text,
+      appName: win.appName,
+      windowTitle: win.windowTitle,
+      url: win.url,
+      confidence: ocr.confidence,
+      elapsed,
+      stdout: ocr.text,
+      source: 'local',
+      engine: ocr.engine,
+      region: image.region || null,
+      lines: ocr.lines,
+    };
+  } catch (err) {
+    logger.warn('[screen.capture] local capture failed', { error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+function diffTargetKey(args) {
+  if (args.diffKey) return String(args.diffKey);
+  return JSON.stringify({ display: args.display ?? null, region: args.region ?? null, window: args.window ?? null });
+}
+
+/** Replace the capture's text with what changed since the last capture of the same target. */
+function applyDiff(result, lines, args) {
+  const key = diffTargetKey(args);
+  const previous = _previousCaptures.get(key);
+
+  _previousCaptures.delete(key);
+  _previousCaptures.set(key, { lines, at: Date.now() });
+  while (_previousCaptures.size > DIFF_HISTORY_LIMIT) {
+    _previousCaptures.delete(_previousCaptures.keys().next().value);
+  }
+
+  const pick = l => ({ text: l.text, bbox: l.bbox || null, confidence: l.confidence ?? null });
+  const { appeared, disappeared } = previous
+    ? screenOcr.diffLines(previous.lines, lines)
+    : { appeared: [], disappeared: [] };
+  const text = appeared.map(l => l.text).join('\n');
+
+  return {
+    ...result,
+    diff: true,
+    baseline: !previous,
+    changed: appeared.length > 0 || disappeared.length > 0,
+    appeared: appeared.map(pick),
+    disappeared: disappeared.map(pick),
+    previousAt: previous ? new Date(previous.at).toISOString() : null,
+    fullText: result.text,
+    text,
+    stdout: text,
+  };
+}
+
+function finish(result, args) {
+  // The service only returns text, so its lines have no boxes
+  const { lines = result.text.split('\n').map(text => ({ text, bbox: null, confidence: null })), ...rest } = result;
+  return args.diff ? applyDiff(rest, lines, args) : rest;
+}
+
+async function screenCapture(args = {}) {
+  const startTime = Date.now();
+  const mode = args.mode || process.env.SCREEN_CAPTURE_MODE || 'auto';
+  if (!['auto', 'service', 'local'].includes(mode)) {
+    return { success: false, error: `screen.capture: unknown mode "${mode}" (auto | service | local)` };
+  }
+
+  const hasSelector = args.region != null || args.window != null || args.display != null;
+  if (mode === 'service' && hasSelector) {
+    return { success: false, error: 'screen.capture: display/region/window selectors need local capture (mode "auto" or "local")' };
+  }
+
+  const localOnly = mode === 'local' || !!args.imagePath || hasSelector;
+  let serviceError = null;
+
+  if (!localOnly) {
+    const result = await captureViaService(args, startTime);
+    if (result.success) return finish(result, args);
+    serviceError = result.error;
+    if (mode === 'service') {
+      logger.error('[screen.capture] Failed after retries', { error: serviceError });
+      return { success: false, error: `screen.capture failed: ${serviceError}` };
+    }
+    logger.warn('[screen.capture] screen-intelligence-service unavailable — falling back to local capture', { error: serviceError });
+  }
+
+  const local = await captureLocally(args, startTime);
+  if (local.success) return finish(local, args);
+
+  const error = serviceError
+    ? `screen.capture failed: ${serviceError}; local fallback: ${local.error}`
+    : `screen.capture failed: ${local.error}`;
+  logger.error('[screen.capture] Failed', { error });
+  return { success: false, error };
 }
 
 module.exports = { screenCapture };
@@ -0,0 +1,504 @@
+'use strict';
+
+/**
+ * skill: shell.pipeline
+ *
+ * Ordered multi-step shell work that fails and resumes per step instead of as
+ * one long `bash -c` heredoc. Every step is a shell.run call (same allowlist,
+ * policy, audit, undo journal). After each successful step the run is
+ * checkpointed to disk; a failed run can be resumed from the failed step with
+ * the variables captured so far.
+ *
+ * Args schema:
+ * {
+ *   action:   'run' | 'resume' | 'save' | 'list' | 'show' | 'delete' | 'runs'  — default 'run'
+ *   name:     string   — saved pipeline name (run/save/show/delete); run by name when steps are omitted
+ *   steps:    Step[]   — step definitions (run/save; on resume, replaces the stored definitions)
+ *   vars:     object   — initial variables, merged over the saved pipeline's vars
+ *   cwd:      string   — default working directory for steps
+ *   save:     boolean  — run: also save steps/vars under `name`
+ *   runId:    string   — resume/show: the pipeline run to continue (from a previous result)
+ *   fromStep: string|number — resume: restart at this step id/index instead of the failed one
+ *   policyApproval: string — resume: policyApprovalToken from the result whose step asked, once confirmed
+ *   limit:    number   — runs: how many recent runs to list (default 20)
+ * }
+ *
+ * Step:
+ * {
+ *   id:             string   — unique within the pipeline (default 'step<N>')
+ *   cmd, argv, goal, cwd, env, stdin, timeoutMs — passed to shell.run
+ *   expectOutputs:  (string|{ path, type })[]   — paths the step must create (shell.run verifies)
+ *   capture:        { VAR: 'stdout' | 'stderr' | 'exitCode' | '/regex/' } — variables set from the result;
+ *                   a regex captures its first group (or whole match) from stdout
+ *   continueOnError: boolean — a failure is recorded but does not stop the pipeline
+ * }
+ *
+ * Variables: `{{VAR}}` in cmd/argv/goal/cwd/env/stdin/expectOutputs is replaced
+ * with the variable's value; `{{steps.<id>.stdout}}` (also .stderr/.exitCode)
+ * reads a previous step's result. Every variable is also exported to later
+ * steps as TD_VAR_<NAME> — prefixed, so a captured PATH or LD_PRELOAD cannot
+ * hijack the next step's environment.
+ *
+ * Captured output is never pasted into program text: a placeholder inside the
+ * script argument of an interpreter (`bash -c`, `sh -c`, `python -c`,
+ * `node -e`, `perl -e`, …) is refused when the pipeline is loaded. Scripts
+ * read the value from the environment instead ("$TD_VAR_VERSION").
+ *
+ * Storage (override the root with THINKDROP_PIPELINES_DIR):
+ *   ~/.thinkdrop/pipelines/saved/<name>.json  — { name, steps, vars, cwd, savedAt }
+ *   ~/.thinkdrop/pipelines/runs/<runId>.json  — checkpoint: { runId, name, status, steps, vars,
+ *                                               cwd, nextStep, results, startedAt, updatedAt }
+ *
+ * Returns (run/resume):
+ * {
+ *   ok, runId, name, status: 'completed' | 'failed' | 'awaiting_approval' | 'aborted',
+ *   results: [{ id, index, ok, exitCode, stdout, stderr, error?, executionTime }],
+ *   vars, failedStep?: { id, index, error }, resumeHint?: string,
+ *   askUser?, question?, options?, policyApprovalToken? — surfaced from a policy `ask` on the failed step
+ * }
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const os     = require('os');
+const crypto = require('crypto');
+const logger = require('../logger.cjs');
+const { shellRun } = require('./shell.run.cjs');
+
+const PIPELINES_DIR = process.env.THINKDROP_PIPELINES_DIR || path.join(os.homedir(), '.thinkdrop', 'pipelines');
+const SAVED_DIR = path.join(PIPELINES_DIR, 'saved');
+const RUNS_DIR = path.join(PIPELINES_DIR, 'runs');
+const MAX_STORED_OUTPUT = 64 * 1024; // per stream, per step, in checkpoints
+const MAX_RUNS_KEPT = 100;
+const NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const RUN_ID_RE = /^pl_[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const VAR_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}/;
+const VAR_ENV_PREFIX = 'TD_VAR_';
+
+// Interpreters and the flags whose next argument is program text
+const SCRIPT_FLAGS = {
+  bash: /^-[A-Za-z]*c[A-Za-z]*$/,
+  sh: /^-[A-Za-z]*c[A-Za-z]*$/,
+  zsh: /^-[A-Za-z]*c[A-Za-z]*$/,
+  dash: /^-[A-Za-z]*c[A-Za-z]*$/,
+  ksh: /^-[A-Za-z]*c[A-Za-z]*$/,
+  fish: /^(-c|--command)$/,
+  python: /^-[A-Za-z]*c$/,
+  node: /^(-e|-p|--eval|--print)$/,
+  perl: /^-[A-Za-z]*[eE]$/,
+  ruby: /^-[A-Za-z]*e$/,
+  php: /^-r$/,
+  osascript: /^-e$/,
+};
+
+// ── Storage ──────────────────────────────────────────────────────────────────
+
+function _readJson(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (_) { return null; }
+}
+
+function _writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Both return null for anything that is not a well-formed name / run id, so a
+// caller-supplied value can never point outside the pipelines directory.
+function _savedPath(name) {
+  if (!NAME_RE.test(String(name || ''))) return null;
+  return path.join(SAVED_DIR, `${name}.json`);
+}
+
+function _runPath(runId) {
+  if (!RUN_ID_RE.test(String(runId || ''))) return null;
+  return path.join(RUNS_DIR, `${runId}.json`);
+}
+
+function _pruneRuns() {
+  let files = [];
+  try { files = fs.readdirSync(RUNS_DIR).filter(f => f.endsWith('.json')); } catch (_) { return; }
+  if (files.length <= MAX_RUNS_KEPT) return;
+  files
+    .map(f => ({ f, mtime: fs.statSync(path.join(RUNS_DIR, f)).mtimeMs }))
+    .sort((a, b) => a.mtime - b.mtime)
+    .slice(0, files.length - MAX_RUNS_KEPT)
+    .forEach(({ f }) => fs.rmSync(path.join(RUNS_DIR, f), { force: true }));
+}
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+/** The first {{…}} placeholder inside an interpreter's script argument, or null. */
+function _scriptPlaceholder(step) {
+  const interpreter = path.basename(String(step.cmd || '')).replace(/[\d.]+$/, ''); // python3.12 → python
+  const flag = SCRIPT_FLAGS[interpreter];
+  if (!flag || !Array.isArray(step.argv)) return null;
+  for (let i = 1; i < step.argv.length; i++) {
+    if (!flag.test(String(step.argv[i - 1])) || typeof step.argv[i] !== 'string') continue;
+    const m = step.argv[i].match(PLACEHOLDER_RE);
+    if (m) return { expr: m[1], flag: step.argv[i - 1] };
+  }
+  return null;
+}
+
+function _normalizeSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) return { error: 'steps must be a non-empty array' };
+  const seen = new Set();
+  const out = [];
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i] || {};
+    const id = step.id != null ? String(step.id) : `step${i + 1}`;
+    if (seen.has(id)) return { error: `Duplicate step id "${id}"` };
+    seen.add(id);
+    if (!step.cmd && !step.goal) return { error: `Step "${id}" needs cmd (+argv) or goal` };
+    for (const name of Object.keys(step.capture || {})) {
+      if (!VAR_RE.test(name)) return { error: `Step "${id}" captures into invalid variable name "${name}"` };
+    }
+    const inScript = _scriptPlaceholder(step);
+    if (inScript) {
+      const how = inScript.expr.startsWith('steps.')
+        ? `capture it on that step (capture: { NAME: 'stdout' }) and read "$${VAR_ENV_PREFIX}NAME"`
+        : `read "$${VAR_ENV_PREFIX}${inScript.expr}"`;
+      return { error: `Step "${id}" puts {{${inScript.expr}}} inside its ${path.basename(String(step.cmd))} ${inScript.flag} script, which would run the value as code — ${how} from the environment instead` };
+    }
+    out.push({ ...step, id });
+  }
+  return { steps: out };
+}
+
+// ── Variables ────────────────────────────────────────────────────────────────
+
+function _lookup(expr, vars, results) {
+  const m = expr.match(/^steps\.([^.]+)\.(stdout|stderr|exitCode)$/);
+  if (m) {
+    const r = results.find(x => x.id === m[1]);
+    return r ? String(m[2] === 'exitCode' ? r.exitCode : (r[m[2]] || '').trim()) : undefined;
+  }
+  return vars[expr] != null ? String(vars[expr]) : undefined;
+}
+
+/** Replace {{VAR}} / {{steps.id.stdout}} in every string of `value`; unknown names are reported. */
+function _interpolate(value, vars, results, missing) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}/g, (whole, expr) => {
+      const v = _lookup(expr, vars, results);
+      if (v === undefined) { missing.add(expr); return whole; }
+      return v;
+    });
+  }
+  if (Array.isArray(value)) return value.map(v => _interpolate(v, vars, results, missing));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, _interpolate(v, vars, results, missing)]));
+  }
+  return value;
+}
+
+function _capture(spec, result) {
+  if (spec === 'stdout' || spec === 'stderr') return String(result[spec] || '').trim();
+  if (spec === 'exitCode') return String(result.exitCode);
+  const m = typeof spec === 'string' && spec.match(/^\/(.*)\/([a-z]*)$/s);
+  if (m) {
+    const found = String(result.stdout || '').match(new RegExp(m[1], m[2]));
+    return found ? (found[1] !== undefined ? found[1] : found[0]) : null;
+  }
+  return null;
+}
+
+function _clip(text) {
+  const str = String(text || '');
+  return str.length > MAX_STORED_OUTPUT ? str.slice(0, MAX_STORED_OUTPUT) + '\n…[truncated]' : str;
+}
+
+// ── Execution ────────────────────────────────────────────────────────────────
+
+function _stepIndex(steps, ref) {
+  if (ref == null) return -1;
+  if (typeof ref === 'number' || /^\d+$/.test(String(ref))) {
+    const i = Number(ref);
+    return i >= 0 && i < steps.length ? i : -1;
+  }
+  return steps.findIndex(s => s.id === String(ref));
+}
+
+async function _execute(run, runtime) {
+  const { _progressCallback, _abortSignal, _onChildProcess, _runId, policyApproval } = runtime;
+  const progress = evt => { if (typeof _progressCallback === 'function') { try { _progressCallback(evt); } catch (_) {} } };
+
+  const startStep = run.nextStep;
+  let policyApprovalToken = null; // kept off the checkpoint — it is only good in this process
+  run.status = 'running';
+  _writeJson(_runPath(run.runId), run);
+
+  for (let i = run.nextStep; i < run.steps.length; i++) {
+    const step = run.steps[i];
+    if (_abortSignal?.aborted) {
+      run.status = 'aborted';
+      break;
+    }
+
+    const missing = new Set();
+    const resolved = _interpolate({
+      cmd: step.cmd,
+      argv: step.argv,
+      goal: step.goal,
+      cwd: step.cwd || run.cwd,
+      env: step.env,
+      stdin: step.stdin,
+      expectOutputs: step.expectOutputs,
+    }, run.vars, run.results, missing);
+
+    if (missing.size) {
+      const error = `Step "${step.id}" references undefined variable(s): ${[...missing].join(', ')}`;
+      run.results = run.results.filter(r => r.id !== step.id).concat({ id: step.id, index: i, ok: false, exitCode: -1, stdout: '', stderr: '', error });
+      run.status = 'failed';
+      run.failedStep = { id: step.id, index: i, error };
+      run.nextStep = i;
+      break;
+    }
+
+    // Variables reach scripts as TD_VAR_* env vars; the prefix keeps them off PATH, HOME, NODE_OPTIONS…
+    const env = {
+      ...Object.fromEntries(Object.entries(run.vars).filter(([k]) => VAR_RE.test(k)).map(([k, v]) => [VAR_ENV_PREFIX + k, String(v)])),
+      ...(resolved.env || {}),
+    };
+
+    progress({ type: 'pipeline:step_start', runId: run.runId, stepId: step.id, index: i, total: run.steps.length });
+    logger.info(`[shell.pipeline] ${run.runId} step ${i + 1}/${run.steps.length} "${step.id}"`);
+
+    const result = await shellRun({
+      ...resolved,
+      env,
+      timeoutMs: step.timeoutMs,
+      ...(i === startStep && policyApproval ? { policyApproval } : {}),
+      _originSkill: 'shell.pipeline',
+      _stepIndex: i,
+      _runId: _runId || run.runId,
+      _abortSignal,
+      _onChildProcess,
+      _progressCallback,
+    });
+
+    const record = {
+      id: step.id,
+      index: i,
+      ok: !!result.ok,
+      exitCode: result.exitCode,
+      stdout: _clip(result.stdout),
+      stderr: _clip(result.stderr),
+      cmd: result.cmd,
+      executionTime: result.executionTime,
+      ...(result.ok ? {} : { error: result.error || `exit code ${result.exitCode}` }),
+      ...(result.verifiedOutputs ? { verifiedOutputs: result.verifiedOutputs } : {}),
+      ...(result.undo ? { undo: result.undo } : {}),
+    };
+    run.results = run.results.filter(r => r.id !== step.id).concat(record);
+    progress({ type: 'pipeline:step_done', runId: run.runId, stepId: step.id, index: i, ok: record.ok });
+
+    if (result.ok) {
+      for (const [name, spec] of Object.entries(step.capture || {})) {
+        const value = _capture(spec, result);
+        if (value != null) run.vars[name] = value;
+      }
+    }
+
+    if (!result.ok && !step.continueOnError) {
+      run.status = result.askUser ? 'awaiting_approval' : (result.aborted ? 'aborted' : 'failed');
+      run.failedStep = { id: step.id, index: i, error: record.error };
+      run.nextStep = i;
+      run.pending = result.askUser ? { question: result.question, options: result.options, policyRule: result.policyRule || null } : null;
+      policyApprovalToken = result.policyApprovalToken || null;
+      break;
+    }
+
+    // Checkpoint: everything before nextStep is done.
+    run.nextStep = i + 1;
+    run.failedStep = null;
+    run.pending = null;
+    run.updatedAt = new Date().toISOString();
+    _writeJson(_runPath(run.runId), run);
+  }
+
+  if (run.status === 'running') run.status = run.nextStep >= run.steps.length ? 'completed' : 'aborted';
+  run.updatedAt = new Date().toISOString();
+  _writeJson(_runPath(run.runId), run);
+  _pruneRuns();
+  const out = _toResult(run);
+  if (policyApprovalToken) {
+    out.policyApprovalToken = policyApprovalToken;
+    out.resumeHint = `shell.pipeline { action: "resume", runId: "${run.runId}", policyApproval: <policyApprovalToken, once the user confirms> }`;
+  }
+  return out;
+}
+
+function _toResult(run) {
+  const ok = run.status === 'completed';
+  const out = {
+    ok,
+    runId: run.runId,
+    name: run.name || null,
+    status: run.status,
+    results: run.results,
+    vars: run.vars,
+  };
+  if (!ok && run.failedStep) {
+    out.failedStep = run.failedStep;
+    out.error = `Step "${run.failedStep.id}" failed: ${run.failedStep.error}`;
+    out.resumeHint = `shell.pipeline { action: "resume", runId: "${run.runId}" }`;
+  }
+  if (run.pending) {
+    out.askUser = true;
+    out.question = run.pending.question;
+    out.options = run.pending.options;
+    out.policyRule = run.pending.policyRule;
+  }
+  return out;
+}
+
+// ── Actions ──────────────────────────────────────────────────────────────────
+
+async function _run(args, runtime) {
+  let { name = null, steps, vars = {}, cwd = null } = args;
+  if (name != null && !NAME_RE.test(name)) return { ok: false, error: `Invalid pipeline name "${name}"` };
+
+  if (!steps && name) {
+    const saved = _readJson(_savedPath(name));
+    if (!saved) return { ok: false, error: `No saved pipeline named "${name}"` };
+    steps = saved.steps;
+    vars = { ...(saved.vars || {}), ...vars };
+    cwd = cwd || saved.cwd || null;
+  }
+  const norm = _normalizeSteps(steps);
+  if (norm.error) return { ok: false, error: norm.error };
+
+  if (args.save) {
+    if (!name) return { ok: false, error: 'save: true requires a name' };
+    _writeJson(_savedPath(name), { name, steps: norm.steps, vars, cwd, savedAt: new Date().toISOString() });
+  }
+
+  const now = new Date().toISOString();
+  const run = {
+    runId: `pl_${crypto.randomUUID()}`,
+    name,
+    status: 'pending',
+    steps: norm.steps,
+    vars: { ...vars },
+    cwd,
+    nextStep: 0,
+    results: [],
+    failedStep: null,
+    pending: null,
+    startedAt: now,
+    updatedAt: now,
+  };
+  logger.info(`[shell.pipeline] start ${run.runId}`, { name, steps: run.steps.length });
+  return await _execute(run, runtime);
+}
+
+async function _resume(args, runtime) {
+  const { runId, fromStep, steps } = args;
+  if (!runId) return { ok: false, error: 'resume requires runId' };
+  if (!_runPath(runId)) return { ok: false, error: `Invalid pipeline runId "${runId}"` };
+  const run = _readJson(_runPath(runId));
+  if (!run) return { ok: false, error: `No pipeline run ${runId}` };
+  if (run.status === 'completed' && fromStep == null) return { ok: false, error: `Pipeline run ${runId} already completed` };
+
+  if (steps) {
+    const norm = _normalizeSteps(steps);
+    if (norm.error) return { ok: false, error: norm.error };
+    run.steps = norm.steps;
+  }
+  if (fromStep != null) {
+    const i = _stepIndex(run.steps, fromStep);
+    if (i === -1) return { ok: false, error: `Unknown step ${fromStep}` };
+    if (i > run.nextStep) return { ok: false, error: `Cannot skip ahead to step ${fromStep} — steps before it have not completed` };
+    run.nextStep = i;
+  }
+  // Drop results (not variables) of steps that will run again.
+  const rerun = new Set(run.steps.slice(run.nextStep).map(s => s.id));
+  run.results = run.results.filter(r => !rerun.has(r.id));
+  logger.info(`[shell.pipeline] resume ${runId} at step ${run.nextStep}`);
+  return await _execute(run, runtime);
+}
+
+function _save(args) {
+  const { name, vars = {}, cwd = null } = args;
+  if (!name || !NAME_RE.test(name)) return { ok: false, error: 'save requires a valid name (letters, digits, . _ -)' };
+  const norm = _normalizeSteps(args.steps);
+  if (norm.error) return { ok: false, error: norm.error };
+  const saved = { name, steps: norm.steps, vars, cwd, savedAt: new Date().toISOString() };
+  _writeJson(_savedPath(name), saved);
+  return { ok: true, pipeline: saved };
+}
+
+function _list() {
+  let files = [];
+  try { files = fs.readdirSync(SAVED_DIR).filter(f => f.endsWith('.json')); } catch (_) {}
+  const pipelines = files
+    .map(f => _readJson(path.join(SAVED_DIR, f)))
+    .filter(Boolean)
+    .map(p => ({ name: p.name, steps: p.steps.map(s => s.id), savedAt: p.savedAt }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return { ok: true, pipelines };
+}
+
+function _runs({ limit = 20 }) {
+  let files = [];
+  try { files = fs.readdirSync(RUNS_DIR).filter(f => f.endsWith('.json')); } catch (_) {}
+  const runs = files
+    .map(f => _readJson(path.join(RUNS_DIR, f)))
+    .filter(Boolean)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit)
+    .map(r => ({ runId: r.runId, name: r.name, status: r.status, nextStep: r.nextStep, steps: r.steps.length, failedStep: r.failedStep, updatedAt: r.updatedAt }));
+  return { ok: true, runs };
+}
+
+function _show({ name, runId }) {
+  if (runId) {
+    if (!_runPath(runId)) return { ok: false, error: `Invalid pipeline runId "${runId}"` };
+    const run = _readJson(_runPath(runId));
+    return run ? { ok: true, run } : { ok: false, error: `No pipeline run ${runId}` };
+  }
+  if (!name || !NAME_RE.test(name)) return { ok: false, error: 'show requires name or runId' };
+  const pipeline = _readJson(_savedPath(name));
+  return pipeline ? { ok: true, pipeline } : { ok: false, error: `No saved pipeline named "${name}"` };
+}
+
+function _delete({ name }) {
+  if (!name || !NAME_RE.test(name)) return { ok: false, error: 'delete requires a valid name' };
+  if (!fs.existsSync(_savedPath(name))) return { ok: false, error: `No saved pipeline named "${name}"` };
+  fs.rmSync(_savedPath(name));
+  return { ok: true, deleted: name };
+}
+
+async function shellPipeline(args = {}) {
+  const { action = 'run' } = args;
+  const runtime = {
+    _progressCallback: args._progressCallback,
+    _abortSignal: args._abortSignal || null,
+    _onChildProcess: args._onChildProcess || null,
+    _runId: args._runId || null,
+    policyApproval: args.policyApproval || null,
+  };
+
+  try {
+    switch (action) {
+      case 'run':    return { action, ...(await _run(args, runtime)) };
+      case 'resume': return { action, ...(await _resume(args, runtime)) };
+      case 'save':   return { action, ..._save(args) };
+      case 'list':   return { action, ..._list() };
+      case 'runs':   return { action, ..._runs(args) };
+      case 'show':   return { action, ..._show(args) };
+      case 'delete': return { action, ..._delete(args) };
+      default:
+        return { ok: false, action, error: `Unknown shell.pipeline action: ${action} (run | resume | save | list | runs | show | delete)` };
+    }
+  } catch (err) {
+    logger.error(`[shell.pipeline] ${action} failed: ${err.message}`);
+    return { ok: false, action, error: err.message };
+  }
+}
+
+module.exports = { shellPipeline, PIPELINES_DIR };
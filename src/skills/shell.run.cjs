@@ -14,11 +14,39 @@
  *   cwd:        string   — working directory (must be under CWD_ROOTS, optional)
  *   env:        object   — additional env vars to merge (optional)
  *   timeoutMs:  number   — max execution time, default 30000, max 300000
- *   dryRun:     boolean  — validate + preview without executing (default false)
+ *   dryRun:     boolean  — validate + preview without executing (default false). The result
+ *               carries `effects`: files/directories created, modified, moved or deleted,
+ *               network hosts and packages, inferred statically from the (goal-resolved)
+ *               script — see skill-helpers/shell-effects.cjs
  *   stdin:      string   — optional stdin to pipe into the process
  *   goal:       string   — plain-language goal (alternative to cmd+argv); resolved via internal LLM
+ *   policyApproval: string — token from a policy `ask` result (policyApprovalToken); approves that
+ *               rule for exactly that command, once
+ *   sandbox:    boolean|{ network?: boolean, allowUnisolated?: boolean } — preview the command against a
+ *               throwaway copy of cwd and return the file-system diff instead of running it (network
+ *               off unless network: true). Without bubblewrap the preview is refused unless
+ *               allowUnisolated: true. Default for goal-resolved scripts when SHELL_RUN_SANDBOX_GOALS=true.
+ *   sandboxApproval: string — token from a sandbox preview; runs exactly the previewed command for real
+ *   expectOutputs: (string|{ path, type?: 'file'|'dir'|'any' })[] — paths the command must leave
+ *               behind; checked with the inferred outputs after a successful exit (used by shell.pipeline)
  * }
  *
+ * Policy: ~/.thinkdrop/shell-policy.json holds per-command allow/deny/ask rules
+ * (see skill-helpers/shell-policy.cjs). validate() reports the matched rule as
+ * `policyRule`; an `ask` rule surfaces as askUser with the rule's reason and a
+ * one-time policyApprovalToken that the confirmed re-run passes as policyApproval.
+ *
+ * Internal (injected by the server, never sent by planners):
+ *   _progressCallback  fn           — progress events (goal resolution, stdout chunks)
+ *   _abortSignal       AbortSignal  — kills the spawned process when the run is cancelled
+ *   _onChildProcess    fn           — ({ pid, state: 'spawned'|'exited' }) for per-run cleanup
+ *   _originSkill       string       — skill/route that asked for the command (audit trail)
+ *   _stepIndex         number       — plan step index, when run as part of a plan (audit trail)
+ *   _runId             string       — command.automate runId (audit trail)
+ *
+ * Every execution — and every command refused by validate() — is appended to
+ * the shell audit log (utils/shell-audit.cjs, queryable via GET /shell.audit).
+ *
  * Returns:
  * {
  *   ok:            boolean
@@ -29,6 +57,11 @@
  *   cmd:           string  (resolved full command string, for audit)
  *   dryRun:        boolean
  *   error?:        string
+ *   effects?:      { files, directories, network, packages, commands, unresolved } — dry runs only
+ *   sandbox?:      { backend, isolation, networkIsolated, diff, approvalToken } — preview runs only
+ *   policyApprovalToken?: string — with askUser from a policy `ask` rule; pass back as policyApproval
+ *   undo?:         { id, counts, notRestorable } — journal entry for mv/rm/cp/rename runs;
+ *                  restore with the shell.undo skill (skill-helpers/shell-undo.cjs)
  * }
  */
 
@@ -38,6 +71,11 @@ const os = require('os');
 const fs = require('fs');
 const logger = require('../logger.cjs');
 const skillLlm = require('../skill-helpers/skill-llm.cjs');
+const shellAudit = require('../utils/shell-audit.cjs');
+const shellPolicy = require('../skill-helpers/shell-policy.cjs');
+const shellSandbox = require('../skill-helpers/shell-sandbox.cjs');
+const shellUndo = require('../skill-helpers/shell-undo.cjs');
+const shellEffects = require('../skill-helpers/shell-effects.cjs');
 
 // ---------------------------------------------------------------------------
 // Internal LLM prompt — translates a plain-language goal into a concrete bash
@@ -770,16 +808,32 @@ function _applyStrictShellMode(baseName, argv = []) {
   return { argv: nextArgv, strictModeInjected: true };
 }
 
-function _verifyExpectedOutputs(result, baseName, argv, cwd) {
+/**
+ * Declared outputs (args.expectOutputs) — 'path' or { path, type: 'file'|'dir'|'any' } —
+ * normalized to the same shape _extractExpectedOutputs produces.
+ */
+function _normalizeDeclaredOutputs(declared, cwd) {
+  if (!Array.isArray(declared)) return [];
+  return declared
+    .map((entry) => (typeof entry === 'string' ? { path: entry } : entry || {}))
+    .map((entry) => ({ path: _resolveOutputPath(entry.path, cwd), type: entry.type || 'any', toolName: 'expectOutputs' }))
+    .filter((entry) => entry.path);
+}
+
+function _verifyExpectedOutputs(result, baseName, argv, cwd, declared = []) {
   if (!result.ok) return result;
 
   const expected = _extractExpectedOutputs(baseName, argv, cwd);
+  for (const entry of _normalizeDeclaredOutputs(declared, cwd)) {
+    if (!expected.some((e) => e.path === entry.path)) expected.push(entry);
+  }
   if (expected.length === 0) return result;
 
   const missing = expected.find((entry) => {
     try {
       if (!fs.existsSync(entry.path)) return true;
       if (entry.type === 'dir') return !fs.statSync(entry.path).isDirectory();
+      if (entry.type === 'any') return false;
       // For mv/cp where dest is an existing directory, the files land inside it —
       // the directory itself existing is sufficient verification; don't require isFile().
       const stat = fs.statSync(entry.path);
@@ -835,7 +889,36 @@ function validate(args) {
 
   const baseName = path.basename(cmd);
 
-  if (!_isCommandAllowed(baseName)) {
+  // Declarative per-command policy — evaluated before the flat allowlist so a
+  // deny rule wins over an allowlisted command and an allow rule can admit one.
+  const policyRule = shellPolicy.evaluate(
+    cmd,
+    Array.isArray(argv) ? argv.filter(a => typeof a === 'string') : [],
+    { cwd, cwdRoots: getCwdRoots() }
+  );
+  if (policyRule?.verdict === 'deny') {
+    return {
+      ok: false,
+      error: `Blocked by shell policy rule "${policyRule.rule}": ${policyRule.reason}`,
+      policyRule,
+    };
+  }
+  const approvalKey = { rule: policyRule?.rule, cmd, argv: Array.isArray(argv) ? argv : [] };
+  if (policyRule?.verdict === 'ask' && !shellPolicy.takeApproval(args.policyApproval, approvalKey)) {
+    return {
+      ok: false,
+      askUser: true,
+      question: `${policyRule.reason} Run \`${[cmd, ...(argv || [])].join(' ').slice(0, 200)}\` anyway?`,
+      options: ['Yes, run once', 'No, skip this step'],
+      commandName: policyRule.command,
+      policyRule,
+      policyApprovalToken: shellPolicy.createApproval(approvalKey),
+      _isShellPolicy: true,  // Marker: re-run with policyApproval: policyApprovalToken on "Yes"
+    };
+  }
+  const policyAllowsCommand = policyRule?.verdict === 'allow' && policyRule.command === baseName;
+
+  if (!policyAllowsCommand && !_isCommandAllowed(baseName)) {
     // Return askUser response for unknown commands
     // This triggers the ASK_USER flow in the UI
     return {
@@ -922,13 +1005,25 @@ function validate(args) {
     }
   }
 
-  return { ok: true };
+  return { ok: true, policyRule };
 }
 
 // ---------------------------------------------------------------------------
 // Execution
 // ---------------------------------------------------------------------------
 
+// Commands run in their own process group (detached: the child's pid is the
+// group id), so a timeout or cancel reaches everything a `bash -c` script
+// started, not just the shell. Falls back to the child alone where groups are
+// unavailable (Windows).
+function _killGroup(proc, signal) {
+  try {
+    process.kill(-proc.pid, signal);
+  } catch (_) {
+    try { proc.kill(signal); } catch (_) {}
+  }
+}
+
 function runProcess(cmd, argv, options, onProgress) {
   return new Promise((resolve) => {
     const startTime = Date.now();
@@ -937,8 +1032,16 @@ function runProcess(cmd, argv, options, onProgress) {
       cwd: options.cwd || process.cwd(),
       env: { ...process.env, ...(options.env || {}) },
       stdio: ['pipe', 'pipe', 'pipe'],
+      detached: process.platform !== 'win32',
     };
 
+    if (options.signal?.aborted) {
+      return resolve({
+        ok: false, stdout: '', stderr: '', exitCode: -1, executionTime: 0,
+        aborted: true, error: 'Command aborted before start',
+      });
+    }
+
     let proc;
     try {
       proc = spawn(cmd, argv, spawnOpts);
@@ -1000,9 +1103,24 @@ function runProcess(cmd, argv, options, onProgress) {
       proc.stdin.end();
     }
 
+    // Cancellation: the server aborts the run's signal on /automation.cancel.
+    // Only this process group is killed — other runs' children are untouched.
+    let aborted = false;
+    const onAbort = () => {
+      aborted = true;
+      _killGroup(proc, 'SIGTERM');
+      setTimeout(() => _killGroup(proc, 'SIGKILL'), 2000);
+    };
+    if (options.signal) options.signal.addEventListener('abort', onAbort, { once: true });
+    if (options.onChildProcess && proc.pid) options.onChildProcess({ pid: proc.pid, state: 'spawned' });
+    const _detach = () => {
+      if (options.signal) options.signal.removeEventListener('abort', onAbort);
+      if (options.onChildProcess && proc.pid) options.onChildProcess({ pid: proc.pid, state: 'exited' });
+    };
+
     const timer = setTimeout(() => {
-      proc.kill('SIGTERM');
-      setTimeout(() => { try { proc.kill('SIGKILL'); } catch (_) {} }, 2000);
+      _killGroup(proc, 'SIGTERM');
+      setTimeout(() => _killGroup(proc, 'SIGKILL'), 2000);
       resolve({
         ok: false,
         stdout: stdoutBuf,
@@ -1015,8 +1133,18 @@ function runProcess(cmd, argv, options, onProgress) {
 
     proc.on('close', (code) => {
       clearTimeout(timer);
+      _detach();
+      // Flush the debounced tail so the last output chunk reaches onProgress
+      // before the result does (streamed runs close on the result event).
+      if (_chunkTimer) { clearTimeout(_chunkTimer); _flushChunk(); }
       const executionTime = Date.now() - startTime;
       const exitCode = code ?? -1;
+      if (aborted) {
+        return resolve({
+          ok: false, stdout: stdoutBuf, stderr: stderrBuf, exitCode, executionTime,
+          aborted: true, error: 'Command aborted (cancelled)',
+        });
+      }
       resolve({
         ok: exitCode === 0,
         stdout: stdoutBuf,
@@ -1029,6 +1157,7 @@ function runProcess(cmd, argv, options, onProgress) {
 
     proc.on('error', (err) => {
       clearTimeout(timer);
+      _detach();
       resolve({
         ok: false,
         stdout: stdoutBuf,
@@ -1055,9 +1184,47 @@ async function shellRun(args) {
     dryRun = false,
     stdin,
     goal,
+    sandbox = null,
+    sandboxApproval = null,
+    expectOutputs = null,
     _progressCallback,
+    _abortSignal = null,
+    _onChildProcess = null,
+    _originSkill = null,
+    _stepIndex = null,
+    _runId = null,
   } = args || {};
 
+  const startedAt = Date.now();
+  let origin = goal && !cmd ? 'goal' : 'argv';
+
+  // ── Approved sandbox preview ─────────────────────────────────────────────
+  // Run exactly the command that was previewed — never re-resolve the goal,
+  // the LLM could produce a different script the second time.
+  if (sandboxApproval) {
+    const approved = shellSandbox.takeApproval(sandboxApproval);
+    if (!approved) {
+      return { ok: false, stdout: '', stderr: '', exitCode: -1, executionTime: 0, cmd: '', dryRun, error: 'Sandbox approval token is unknown or expired — preview the command again' };
+    }
+    ({ cmd, argv, cwd, env, stdin, timeoutMs } = approved);
+    goal = approved.goal;
+    origin = approved.origin;
+    sandbox = null;
+    logger.info('[shell.run] Running approved sandbox preview for real', { cmd, cwd });
+  }
+  const audit = (fields) => shellAudit.appendRecord({
+    ts: new Date(startedAt).toISOString(),
+    finishedAt: new Date().toISOString(),
+    command: cmd ? path.basename(cmd) : null,
+    cwd: cwd || process.cwd(),
+    origin,
+    goal: origin === 'goal' ? goal : null,
+    originSkill: _originSkill,
+    stepIndex: _stepIndex,
+    runId: _runId,
+    ...fields,
+  });
+
   // ── Goal resolution path ─────────────────────────────────────────────────
   // When the planner passes a plain-language args.goal instead of args.argv,
   // resolve it to a concrete command via the internal LLM before proceeding.
@@ -1077,10 +1244,25 @@ async function shellRun(args) {
 
   logger.info('shell.run invoked', { cmd, argv, cwd, timeoutMs, dryRun });
 
-  // Validate
-  const validation = validate({ ...args, cmd, argv });
+  // Validate — an approved run is checked with the options that were previewed,
+  // not with the (token-only) args of this call.
+  const validation = validate(sandboxApproval ? { cmd, argv, cwd, env, stdin, timeoutMs } : { ...args, cmd, argv });
   if (!validation.ok) {
     logger.warn('shell.run validation failed', { error: validation.error, cmd, argv });
+    audit({
+      cmd: originalCmdString,
+      envVarNames: Object.keys(env || {}).sort(),
+      status: 'blocked',
+      ok: false,
+      exitCode: -1,
+      durationMs: Date.now() - startedAt,
+      aborted: false,
+      retried: false,
+      error: validation.error || validation.question || 'validation failed',
+      policyRule: validation.policyRule?.rule || null,
+      stdout: shellAudit.digestOutput(''),
+      stderr: shellAudit.digestOutput(''),
+    });
     return {
       ok: false,
       stdout: '',
@@ -1089,11 +1271,20 @@ async function shellRun(args) {
       executionTime: 0,
       cmd: originalCmdString,
       dryRun,
-      error: validation.error,
+      error: validation.error || validation.question,
       userAllowlistHint: !!validation.userAllowlistHint,
       commandName: validation.commandName || null,
       userAllowlistPath: validation.userAllowlistPath || null,
       _shellStringInCmd: !!validation._shellStringInCmd,
+      ...(validation.askUser ? {
+        askUser: true,
+        question: validation.question,
+        options: validation.options,
+        _isShellAllowlist: !!validation._isShellAllowlist,
+        _isShellPolicy: !!validation._isShellPolicy,
+        ...(validation.policyApprovalToken ? { policyApprovalToken: validation.policyApprovalToken } : {}),
+      } : {}),
+      policyRule: validation.policyRule || null,
     };
   }
 
@@ -1101,9 +1292,10 @@ async function shellRun(args) {
   const { argv: runArgv, strictModeInjected } = _applyStrictShellMode(baseName, argv);
   const resolvedCmdString = [cmd, ...runArgv].join(' ');
 
-  // Dry-run: return preview without executing
+  // Dry-run: return preview without executing, plus the inferred effects plan
   if (dryRun) {
     logger.info('shell.run dry-run', { cmd, argv: runArgv, cwd });
+    const effects = shellEffects.inferEffects(baseName, argv, cwd || process.cwd());
     return {
       ok: true,
       stdout: '',
@@ -1112,13 +1304,99 @@ async function shellRun(args) {
       executionTime: 0,
       cmd: resolvedCmdString,
       dryRun: true,
-      preview: `Would run: ${resolvedCmdString}${cwd ? ` (in ${cwd})` : ''}`,
+      preview: `Would run: ${resolvedCmdString}${cwd ? ` (in ${cwd})` : ''}\nPlan: ${shellEffects.summarizeEffects(effects)}`,
+      strictModeInjected,
+      effects,
+      ...(origin === 'goal' ? { goal } : {}),
+    };
+  }
+
+  // ── Sandbox preview ──────────────────────────────────────────────────────
+  const sandboxOpts = sandbox ?? (origin === 'goal' && process.env.SHELL_RUN_SANDBOX_GOALS === 'true' ? {} : null);
+  if (sandboxOpts && !sandboxApproval) {
+    const network = typeof sandboxOpts === 'object' && sandboxOpts.network === true;
+    const allowUnisolated = typeof sandboxOpts === 'object' && sandboxOpts.allowUnisolated === true;
+    const previewCwd = cwd || process.cwd();
+    if (_progressCallback) _progressCallback({ type: 'shell:sandbox_preview', cmd: resolvedCmdString, cwd: previewCwd, network });
+    const preview = await shellSandbox.runInSandbox({
+      cmd,
+      argv: runArgv,
+      cwd: previewCwd,
+      // Tokens are only worth injecting when the preview may reach the network.
+      env: network ? { ...(await loadOAuthEnv()), ...env } : { ...env },
+      stdin,
+      timeoutMs: Math.min(timeoutMs, MAX_TIMEOUT_MS),
+      network,
+      allowUnisolated,
+      signal: _abortSignal,
+    }, runProcess);
+    audit({
+      cmd: resolvedCmdString,
+      envVarNames: Object.keys(env || {}).sort(),
+      status: 'sandboxed',
+      policyRule: validation.policyRule?.rule || null,
+      ok: !!preview.ok && !!preview.scriptOk,
+      exitCode: preview.ok ? preview.exitCode : -1,
+      durationMs: Date.now() - startedAt,
+      aborted: !!preview.aborted,
+      retried: false,
+      error: preview.ok ? (preview.scriptError || null) : preview.error,
+      stdout: shellAudit.digestOutput(preview.stdout),
+      stderr: shellAudit.digestOutput(preview.stderr),
+    });
+    if (!preview.ok) {
+      return { ok: false, stdout: '', stderr: '', exitCode: -1, executionTime: Date.now() - startedAt, cmd: resolvedCmdString, dryRun: false, error: preview.error };
+    }
+
+    const approvalToken = shellSandbox.createApproval({ cmd, argv, cwd, env, stdin, timeoutMs, origin, goal: origin === 'goal' ? goal : null });
+    const unisolatedNote = preview.isolation === 'filesystem' ? '' :
+      ` WARNING: this preview was NOT isolated — it ran with your permissions, so anything it wrote outside ${previewCwd}` +
+      `${preview.networkIsolated ? '' : ' or sent over the network'} already happened.`;
+    const question = `In a ${preview.isolation === 'filesystem' ? 'sandbox' : 'copy of its working directory'} this ` +
+      `${origin === 'goal' ? 'generated script' : 'command'} would ${shellSandbox.summarizeDiff(preview.diff)}` +
+      `${preview.scriptOk ? '' : ` (and exited with code ${preview.exitCode})`}.${unisolatedNote} Run it for real?`;
+    logger.info('[shell.run] sandbox preview ready', { cmd, backend: preview.backend, counts: preview.diff.counts });
+    return {
+      ok: false,
+      stdout: preview.stdout,
+      stderr: preview.stderr,
+      exitCode: preview.exitCode,
+      executionTime: preview.executionTime,
+      cmd: resolvedCmdString,
+      dryRun: false,
+      pendingApproval: true,
+      askUser: true,
+      question,
+      options: ['Yes, run it for real', 'No, discard'],
+      error: question,
+      sandbox: {
+        backend: preview.backend,
+        isolation: preview.isolation,
+        networkIsolated: preview.networkIsolated,
+        diff: preview.diff,
+        approvalToken,
+        expiresInMs: shellSandbox.APPROVAL_TTL_MS,
+      },
       strictModeInjected,
     };
   }
 
   // Execute
   const oauthEnv = await loadOAuthEnv();
+  const auditExecution = (res, retried) => audit({
+    cmd: resolvedCmdString,
+    envVarNames: Object.keys({ ...oauthEnv, ...env }).sort(),
+    status: 'executed',
+    policyRule: validation.policyRule?.rule || null,
+    ok: !!res.ok,
+    exitCode: res.exitCode,
+    durationMs: Date.now() - startedAt,
+    aborted: !!res.aborted,
+    retried,
+    error: res.ok ? null : (res.error || null),
+    stdout: shellAudit.digestOutput(res.stdout),
+    stderr: shellAudit.digestOutput(res.stderr),
+  });
 
   // ── sudo visibility — emit event before execution so the UI can warn the user ──
   const isShellScript = ['bash', 'sh', 'zsh'].includes(path.basename(cmd));
@@ -1131,15 +1409,25 @@ async function shellRun(args) {
     });
   }
 
+  // Undo journal — snapshot what mv/rm/cp/rename are about to touch.
+  const undoPlan = shellUndo.prepare({
+    baseName,
+    argv: runArgv,
+    cwd,
+    expectedPaths: _extractExpectedOutputs(baseName, runArgv, cwd).map(e => e.path),
+  });
+
   const result = await runProcess(cmd, runArgv, {
     cwd,
     // OAuth vars are the lowest priority — explicit env arg and process.env override them
     env: { ...oauthEnv, ...env },
     timeoutMs: Math.min(timeoutMs, MAX_TIMEOUT_MS),
     stdin,
+    signal: _abortSignal,
+    onChildProcess: _onChildProcess,
   }, _progressCallback || null);
 
-  const verifiedResult = _verifyExpectedOutputs(result, baseName, runArgv, cwd);
+  const verifiedResult = _verifyExpectedOutputs(result, baseName, runArgv, cwd, expectOutputs);
 
   logger.info('shell.run completed', {
     cmd,
@@ -1166,7 +1454,7 @@ async function shellRun(args) {
     /invalid_token/i.test(combinedOutput)
   );
 
-  if (looksLike401) {
+  if (looksLike401 && !verifiedResult.aborted) {
     logger.warn('[shell.run] 401/403 detected in output — forcing token refresh and retrying once');
     // Invalidate all cached tokens by clearing issued_at so loadOAuthEnv
     // re-evaluates expiry and refreshes each provider.
@@ -1190,26 +1478,34 @@ async function shellRun(args) {
       env: { ...freshEnv, ...env },
       timeoutMs: Math.min(timeoutMs, MAX_TIMEOUT_MS),
       stdin,
+      signal: _abortSignal,
+      onChildProcess: _onChildProcess,
     });
-    const verifiedRetryResult = _verifyExpectedOutputs(retryResult, baseName, runArgv, cwd);
+    const verifiedRetryResult = _verifyExpectedOutputs(retryResult, baseName, runArgv, cwd, expectOutputs);
     logger.info('shell.run retry completed', {
       cmd, exitCode: verifiedRetryResult.exitCode, executionTime: verifiedRetryResult.executionTime, ok: verifiedRetryResult.ok,
     });
+    auditExecution(verifiedRetryResult, true);
+    const retryUndo = shellUndo.commit(undoPlan, { cmd: resolvedCmdString, runId: _runId, ok: verifiedRetryResult.ok });
     return {
       ...verifiedRetryResult,
       cmd: resolvedCmdString,
       dryRun: false,
       retried: true,
       strictModeInjected,
+      ...(retryUndo ? { undo: retryUndo } : {}),
     };
   }
   // ────────────────────────────────────────────────────────────────────────
 
+  auditExecution(verifiedResult, false);
+  const undo = shellUndo.commit(undoPlan, { cmd: resolvedCmdString, runId: _runId, ok: verifiedResult.ok });
   return {
     ...verifiedResult,
     cmd: resolvedCmdString,
     dryRun: false,
     strictModeInjected,
+    ...(undo ? { undo } : {}),
   };
 }
 
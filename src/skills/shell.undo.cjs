@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * skill: shell.undo
+ *
+ * Restores file operations that shell.run journaled before running mv, rm, cp,
+ * rename or rmdir (see skill-helpers/shell-undo.cjs for how the journal works).
+ *
+ * Args schema:
+ * {
+ *   action:  'undo' | 'list'  — default 'undo'
+ *   steps:   number   — undo the last N not-yet-undone operations (default 1)
+ *   id:      string   — undo one specific journal entry instead (from shell.run result.undo.id)
+ *   dryRun:  boolean  — report what would be restored without touching anything
+ *   limit:   number   — list: how many entries to return (default 20)
+ * }
+ *
+ * Returns:
+ * {
+ *   ok:       boolean
+ *   action:   'undo' | 'list'
+ *   undone?:  [{ id, cmd, counts, actions: string[], errors: string[] }]
+ *   entries?: [{ id, ts, cmd, undone, counts, notRestorable }]
+ *   error?:   string
+ * }
+ */
+
+const logger = require('../logger.cjs');
+const journal = require('../skill-helpers/shell-undo.cjs');
+
+async function shellUndo(args = {}) {
+  const { action = 'undo', steps = 1, id = null, dryRun = false, limit = 20 } = args;
+
+  if (action === 'list') {
+    return { ok: true, action, entries: journal.listEntries({ limit }) };
+  }
+  if (action !== 'undo') {
+    return { ok: false, action, error: `Unknown shell.undo action: ${action} (undo | list)` };
+  }
+  if (!Number.isInteger(steps) || steps < 1) {
+    return { ok: false, action, error: 'steps must be a positive integer' };
+  }
+
+  logger.info('shell.undo invoked', { steps, id, dryRun });
+  const result = journal.undo({ steps, id, dryRun });
+  return { action, ...result };
+}
+
+module.exports = { shellUndo };
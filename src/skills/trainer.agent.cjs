@@ -18,6 +18,7 @@ const path    = require('path');
 const http    = require('http');
 const logger  = require('../logger.cjs');
 const { askWithMessages } = require('../skill-helpers/skill-llm.cjs');
+const { CAPTURE_SOURCE: FINGERPRINT_CAPTURE_SOURCE, toSelector: fingerprintSelector } = require('../skill-helpers/element-fingerprint.cjs');
 
 const OVERLAY_PORT = parseInt(process.env.OVERLAY_CONTROL_PORT || '3010', 10);
 const AGENTS_DIR   = path.join(os.homedir(), '.thinkdrop', 'agents');
@@ -42,6 +43,39 @@ function _skillFileName(skillName) {
   return `${skillName}.skill.json`;
 }
 
+// Waypoint types whose target also carries an element fingerprint (see
+// skill-helpers/element-fingerprint.cjs), tried before the recorded CSS on replay.
+// Paste, focus, submit and keycombo steps keep CSS only: they are replayed
+// through in-page querySelector or the keyboard.
+const FINGERPRINT_WAYPOINT_TYPES = new Set(['click', 'dblclick', 'rightclick', 'fill', 'select', 'check', 'hover']);
+
+// Target fields for a waypoint built from a recorded event
+function _waypointTarget(evt) {
+  const target = { selector: evt.selector, altSelectors: evt.altSelectors || [] };
+  if (evt.fingerprint && FINGERPRINT_WAYPOINT_TYPES.has(evt.type)) target.fingerprint = evt.fingerprint;
+  return target;
+}
+
+// Identity of a waypoint's target, for dedupe. The CSS comes first: a fingerprint
+// records position, so two clicks on the same element can differ in it.
+function _waypointTargetKey(wp) {
+  return wp.selector || (wp.fingerprint ? fingerprintSelector(wp.fingerprint) : '');
+}
+
+// The LLM writes waypoints from the selectors it was shown; map them back to the
+// recorded events by selector and attach the element's fingerprint.
+function _attachFingerprints(waypoints, events) {
+  const bySelector = new Map();
+  for (const evt of events) {
+    if (evt.fingerprint && evt.selector) bySelector.set(evt.selector, evt.fingerprint);
+  }
+  return waypoints.map((wp) => {
+    if (!FINGERPRINT_WAYPOINT_TYPES.has(wp.type) || wp.fingerprint) return wp;
+    const fingerprint = bySelector.get(wp.selector) || (wp.altSelectors || []).map(s => bySelector.get(s)).find(Boolean);
+    return fingerprint ? { ...wp, fingerprint } : wp;
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Progress reporting to Electron UI
 // ---------------------------------------------------------------------------
@@ -200,6 +234,13 @@ const CDP_RECORDER_SCRIPT = `
     return fallback;
   }
 
+  // ── Element fingerprint (skill-helpers/element-fingerprint.cjs) ──────────
+  // Recipes store this instead of CSS; browser.act re-finds the element by similarity.
+  ${FINGERPRINT_CAPTURE_SOURCE}
+  function fingerprintOf(el) {
+    try { return __tdFingerprint(el); } catch (e) { return null; }
+  }
+
   function getAltSelectors(el) {
     var alts = [];
     if (!el || !el.tagName) return alts;
@@ -411,6 +452,7 @@ const CDP_RECORDER_SCRIPT = `
       var label = (el.labels && el.labels[0]) ? el.labels[0].textContent.trim().substring(0, 60) : '';
       window.__tdTrainEvents.push({
         type: 'check', selector: getSelector(el), altSelectors: getAltSelectors(el),
+        fingerprint: fingerprintOf(el),
         checked: el.checked, label: label, inputType: el.type,
         elementTag: 'input', url: location.href, timestamp: Date.now()
       });
@@ -431,6 +473,7 @@ const CDP_RECORDER_SCRIPT = `
     var debugInfo = window.__tdLastCleanDebug || null;
     window.__tdTrainEvents.push({
       type: 'click', selector: selector, altSelectors: getAltSelectors(el),
+      fingerprint: fingerprintOf(el),
       elementText: text, elementTag: el.tagName.toLowerCase(),
       href: href, url: location.href, timestamp: Date.now(),
       _debug: debugInfo
@@ -446,6 +489,7 @@ const CDP_RECORDER_SCRIPT = `
     if (selector === 'body' || selector === 'html') return;
     window.__tdTrainEvents.push({
       type: 'dblclick', selector: selector, altSelectors: getAltSelectors(el),
+      fingerprint: fingerprintOf(el),
       elementText: cleanElementText(el),
       elementTag: el.tagName.toLowerCase(),
       url: location.href, timestamp: Date.now()
@@ -461,6 +505,7 @@ const CDP_RECORDER_SCRIPT = `
     if (selector === 'body' || selector === 'html') return;
     window.__tdTrainEvents.push({
       type: 'rightclick', selector: selector, altSelectors: getAltSelectors(el),
+      fingerprint: fingerprintOf(el),
       elementTag: el.tagName.toLowerCase(),
       url: location.href, timestamp: Date.now()
     });
@@ -540,6 +585,7 @@ const CDP_RECORDER_SCRIPT = `
       window.__tdTrainEvents.push({
         type: isRange ? 'fill' : (el.tagName === 'SELECT' ? 'select' : 'fill'),
         selector: selector, altSelectors: getAltSelectors(el),
+        fingerprint: fingerprintOf(el),
         value: String(value).substring(0, 2000),
         elementText: elementText,
         placeholder: el.placeholder || '',
@@ -566,6 +612,7 @@ const CDP_RECORDER_SCRIPT = `
     window.__tdTrainEvents.push({
       type: el.tagName === 'SELECT' ? 'select' : 'fill',
       selector: selector, altSelectors: getAltSelectors(el),
+      fingerprint: fingerprintOf(el),
       value: el.value,
       elementText: elementText,
       placeholder: el.placeholder || '',
@@ -590,6 +637,7 @@ const CDP_RECORDER_SCRIPT = `
     _hoverTimers[selector] = setTimeout(function() {
       window.__tdTrainEvents.push({
         type: 'hover', selector: selector, altSelectors: getAltSelectors(el),
+        fingerprint: fingerprintOf(el),
         elementTag: el.tagName.toLowerCase(),
         url: location.href, timestamp: Date.now()
       });
@@ -722,6 +770,7 @@ const CDP_RECORDER_SCRIPT = `
       var href = el.href || (el.closest('a') || {}).href || '';
       window.__tdTrainEvents.push({
         type: 'click', selector: selector, altSelectors: getAltSelectors(el),
+        fingerprint: fingerprintOf(el),
         elementText: text, elementTag: el.tagName.toLowerCase(),
         href: href, url: location.href, inShadow: true, timestamp: Date.now()
       });
@@ -742,6 +791,7 @@ const CDP_RECORDER_SCRIPT = `
         var fieldLabel = (el.getAttribute('aria-label') || el.placeholder || el.getAttribute('name') || el.getAttribute('id') || '').trim();
         window.__tdTrainEvents.push({
           type: 'fill', selector: selector, altSelectors: getAltSelectors(el),
+          fingerprint: fingerprintOf(el),
           value: String(value).substring(0, 2000),
           elementText: cleanElementText(el) || fieldLabel,
           placeholder: el.placeholder || '',
@@ -2651,20 +2701,20 @@ async function _buildSkillPreview(session, events, eventStart, eventEnd, skillNa
       const intent = evt._expectedResult
         ? `Click the "${evt.elementText}" ${evt.elementTag || 'element'} to trigger navigation (expect: ${evt._expectedResult.pattern})`
         : `Click the "${evt.elementText}" ${evt.elementTag || 'element'}`;
-      const wp = { step, type: 'click', intent, selector: evt.selector, altSelectors: evt.altSelectors || [], elementText: evt.elementText, href: evt.href || '' };
+      const wp = { step, type: 'click', intent, ..._waypointTarget(evt), elementText: evt.elementText, href: evt.href || '' };
       if (evt._expectedResult) wp.expectedResult = evt._expectedResult;
       waypoints.push(wp);
     } else if (evt.type === 'dblclick') {
       step++;
       const intent = `Double-click the "${evt.elementText || 'element'}" ${evt.elementTag || 'element'}`;
-      const wp = { step, type: 'dblclick', intent, selector: evt.selector, altSelectors: evt.altSelectors || [], elementText: evt.elementText || '' };
+      const wp = { step, type: 'dblclick', intent, ..._waypointTarget(evt), elementText: evt.elementText || '' };
       if (evt._expectedResult) wp.expectedResult = evt._expectedResult;
       waypoints.push(wp);
     } else if (evt.type === 'fill') {
       step++;
       const fillText = evt.value || '';
       const intent = `Type "${fillText.substring(0, 50)}" into the "${(evt.elementText || evt.selector || '').substring(0, 40)}" field`;
-      waypoints.push({ step, type: 'fill', intent, selector: evt.selector, altSelectors: evt.altSelectors || [], value: evt.value || '', paramRef: evt._paramRef || undefined, originalValue: evt._originalValue || undefined });
+      waypoints.push({ step, type: 'fill', intent, ..._waypointTarget(evt), value: evt.value || '', paramRef: evt._paramRef || undefined, originalValue: evt._originalValue || undefined });
     } else if (evt.type === 'paste') {
       step++;
       const intent = `Paste text into the "${(evt.elementText || evt.selector || '').substring(0, 40)}" field`;
@@ -2672,11 +2722,11 @@ async function _buildSkillPreview(session, events, eventStart, eventEnd, skillNa
     } else if (evt.type === 'select') {
       step++;
       const intent = `Select "${evt.value || ''}" from the dropdown`;
-      waypoints.push({ step, type: 'select', intent, selector: evt.selector, value: evt.value || '', paramRef: evt._paramRef || undefined });
+      waypoints.push({ step, type: 'select', intent, ..._waypointTarget(evt), value: evt.value || '', paramRef: evt._paramRef || undefined });
     } else if (evt.type === 'check') {
       step++;
       const intent = `Check the "${evt.label || 'checkbox'}" ${evt.inputType || 'checkbox'}`;
-      waypoints.push({ step, type: 'check', intent, selector: evt.selector, label: evt.label || '', checked: evt.checked });
+      waypoints.push({ step, type: 'check', intent, ..._waypointTarget(evt), label: evt.label || '', checked: evt.checked });
     } else if (evt.type === 'submit') {
       step++;
       waypoints.push({ step, type: 'submit', intent: 'Submit the form', selector: evt.selector });
@@ -2696,7 +2746,7 @@ async function _buildSkillPreview(session, events, eventStart, eventEnd, skillNa
     const prev = deduped[deduped.length - 1];
     if (prev &&
         prev.type === wp.type &&
-        prev.selector === wp.selector &&
+        _waypointTargetKey(prev) === _waypointTargetKey(wp) &&
         (prev.elementText || '') === (wp.elementText || '') &&
         !prev.expectedResult && !wp.expectedResult) {
       // Skip duplicate — keep the first one
@@ -3163,6 +3213,7 @@ Map each RAW EVENT to the appropriate waypoint type from the catalog. Output ONL
         }
         return w;
       });
+      recipe.waypoints = _attachFingerprints(recipe.waypoints, collapsedEvents);
     }
 
     return recipe;
@@ -3287,8 +3338,7 @@ function _buildFallbackRecipe(session, skillName) {
       waypoints.push({
         step,
         type: 'click',
-        selector: evt.selector,
-        altSelectors: evt.altSelectors || [],
+        ..._waypointTarget(evt),
         elementText: evt.elementText,
         href: evt.href || '',
         expectedResult: `Navigate or interact with "${evt.elementText}"`,
@@ -3297,14 +3347,14 @@ function _buildFallbackRecipe(session, skillName) {
       step++;
       waypoints.push({
         step, type: 'dblclick',
-        selector: evt.selector, altSelectors: evt.altSelectors || [],
+        ..._waypointTarget(evt),
         elementText: evt.elementText || '',
       });
     } else if (evt.type === 'fill') {
       step++;
       waypoints.push({
         step, type: 'fill',
-        selector: evt.selector, altSelectors: evt.altSelectors || [],
+        ..._waypointTarget(evt),
         value: evt.value || '',
         paramRef: evt._paramRef || undefined,
       });
@@ -3320,14 +3370,14 @@ function _buildFallbackRecipe(session, skillName) {
       step++;
       waypoints.push({
         step, type: 'select',
-        selector: evt.selector, value: evt.value || '',
+        ..._waypointTarget(evt), value: evt.value || '',
         paramRef: evt._paramRef || undefined,
       });
     } else if (evt.type === 'check') {
       step++;
       waypoints.push({
         step, type: 'check',
-        selector: evt.selector, label: evt.label || '', checked: evt.checked,
+        ..._waypointTarget(evt), label: evt.label || '', checked: evt.checked,
       });
     } else if (evt.type === 'submit') {
       step++;
@@ -0,0 +1,259 @@
+'use strict';
+
+/**
+ * admission-control.cjs — Concurrency limits for /command.automate runs
+ *
+ * Two browser agents driving the same Chrome profile, or ten playwright.agent
+ * runs started at once, step on each other. Every executeAutomation() call
+ * asks for a slot here first. A run needs a free slot for its skill and, for
+ * the skills that drive a browser profile (browser.agent — which also hosts
+ * trainer.agent runs — and playwright.agent), for its browser session. Session
+ * slots are keyed on the session id alone, so a browser.agent run and a
+ * playwright.agent run on the same profile queue behind each other. When no slot is free the run either waits in a FIFO
+ * queue or is turned away with a busy error.
+ *
+ * Nesting: a granted session slot comes with a lease id that the server passes
+ * to the skill as args._admissionLease. A nested call that forwards the lease
+ * (browser.agent → playwright.agent over loopback on its own session) shares
+ * the holder's slot instead of queueing behind it and deadlocking.
+ *
+ * browser.act is the primitive those agents call on their own session while
+ * they hold it, so it never takes a session slot — two plain browser.act
+ * clients on one session are not serialized. Limit it with perSkill instead.
+ *
+ * Config: ~/.thinkdrop/concurrency.json (override with THINKDROP_CONCURRENCY_FILE),
+ * re-read when its mtime changes. Missing keys fall back to DEFAULT_LIMITS.
+ *   {
+ *     "mode": "queue",            // "queue" | "reject" — what to do when over limit
+ *     "queueTimeoutMs": 300000,   // queued runs give up with a busy error after this
+ *     "maxQueue": 50,             // queue length cap; further runs are rejected
+ *     "defaultPerSkill": 0,       // per-skill cap for skills not in perSkill (0 = unlimited)
+ *     "perSkill": { "playwright.agent": 2 },
+ *     "perSession": 1             // agent runs per browser session; 0 = unlimited
+ *   }
+ * A caller can override the mode for one request with args._onBusy ('queue' | 'reject').
+ *
+ * API:
+ *   acquire({ skill, args, signal }) → Promise<{ ok: true, release, lease } | { ok: false, busy, aborted, error }>
+ *   snapshot()                       → { activeBySkill, activeBySession, queueDepth, queuedBySkill, limits }
+ *   resolveSessionId(skill, args)    → browser session the run will drive, or null
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const os     = require('os');
+const crypto = require('crypto');
+const logger = require('../logger.cjs');
+
+const CONFIG_PATH = process.env.THINKDROP_CONCURRENCY_FILE || path.join(os.homedir(), '.thinkdrop', 'concurrency.json');
+
+const DEFAULT_LIMITS = {
+  mode: 'queue',
+  queueTimeoutMs: 5 * 60 * 1000,
+  maxQueue: 50,
+  defaultPerSkill: 0,
+  perSkill: {},
+  perSession: 1,
+};
+
+// Skills that drive a browser profile, and the session they fall back to when
+// the caller does not pass args.sessionId (mirrors each skill's own default).
+const SESSION_SKILLS = {
+  'browser.act':      () => 'default',
+  'playwright.agent': () => 'playwright_agent',
+  'browser.agent':    (args) => (args.agentId ? `${String(args.agentId).replace('.agent', '')}_agent` : null),
+};
+
+// Skills whose runs hold their browser session for the whole run
+const SESSION_LIMITED_SKILLS = new Set(['browser.agent', 'playwright.agent']);
+
+function resolveSessionId(skill, args = {}) {
+  if (args.sessionId) return String(args.sessionId);
+  const fallback = SESSION_SKILLS[skill];
+  return fallback ? fallback(args) : null;
+}
+
+let _config = { ...DEFAULT_LIMITS };
+let _configMtime = 0;
+
+function _loadLimits() {
+  try {
+    const mtime = fs.statSync(CONFIG_PATH).mtimeMs;
+    if (mtime === _configMtime) return _config;
+    const parsed = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    _config = {
+      ...DEFAULT_LIMITS,
+      ...parsed,
+      perSkill: { ...(parsed.perSkill || {}) },
+    };
+    _configMtime = mtime;
+    logger.info(`[admission] loaded limits from ${CONFIG_PATH}`, { mode: _config.mode, perSession: _config.perSession });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      _config = { ...DEFAULT_LIMITS };
+      _configMtime = 0;
+    } else {
+      // Keep the last good limits; a half-saved edit should not lift every cap.
+      logger.warn(`[admission] could not read ${CONFIG_PATH}: ${err.message} — keeping previous limits`);
+    }
+  }
+  return _config;
+}
+
+// In-memory accounting. Counts only — runs themselves live in the server registry.
+const _activeBySkill = new Map();   // skill → count
+const _activeBySession = new Map(); // sessionId → count
+const _sessionSkills = new Map();   // sessionId → Map(skill → count), for snapshot()
+const _leases = new Map();          // lease id → sessionId, while the slot is held
+const _queue = [];                  // FIFO of waiters
+
+// Session slot a run needs, or null (no session, browser.act, or a nested call
+// that carries the lease of the run holding the session)
+function _sessionKey(skill, sessionId, args) {
+  if (!sessionId || !SESSION_LIMITED_SKILLS.has(skill)) return null;
+  if (args._admissionLease && _leases.get(args._admissionLease) === sessionId) return null;
+  return sessionId;
+}
+
+function _skillLimit(limits, skill) {
+  const n = limits.perSkill[skill] ?? limits.defaultPerSkill;
+  return Number(n) > 0 ? Number(n) : Infinity;
+}
+
+function _sessionLimit(limits) {
+  return Number(limits.perSession) > 0 ? Number(limits.perSession) : Infinity;
+}
+
+function _hasCapacity(skill, sessionKey, limits) {
+  if ((_activeBySkill.get(skill) || 0) >= _skillLimit(limits, skill)) return false;
+  if (sessionKey && (_activeBySession.get(sessionKey) || 0) >= _sessionLimit(limits)) return false;
+  return true;
+}
+
+function _inc(map, key) { map.set(key, (map.get(key) || 0) + 1); }
+function _dec(map, key) {
+  const n = (map.get(key) || 0) - 1;
+  if (n > 0) map.set(key, n); else map.delete(key);
+}
+
+function _grant(skill, sessionKey) {
+  _inc(_activeBySkill, skill);
+  let lease = null;
+  if (sessionKey) {
+    _inc(_activeBySession, sessionKey);
+    if (!_sessionSkills.has(sessionKey)) _sessionSkills.set(sessionKey, new Map());
+    _inc(_sessionSkills.get(sessionKey), skill);
+    lease = crypto.randomUUID();
+    _leases.set(lease, sessionKey);
+  }
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    _dec(_activeBySkill, skill);
+    if (sessionKey) {
+      _dec(_activeBySession, sessionKey);
+      const bySkill = _sessionSkills.get(sessionKey);
+      _dec(bySkill, skill);
+      if (!bySkill.size) _sessionSkills.delete(sessionKey);
+      _leases.delete(lease);
+    }
+    _drain();
+  };
+  return { ok: true, release, lease };
+}
+
+// Admit queued runs in arrival order. A waiter whose skill/session is still
+// full is skipped so it cannot block unrelated skills queued behind it.
+function _drain() {
+  const limits = _loadLimits();
+  for (let i = 0; i < _queue.length; i++) {
+    const w = _queue[i];
+    if (!_hasCapacity(w.skill, w.sessionKey, limits)) continue;
+    _queue.splice(i, 1);
+    i--;
+    w.settle(_grant(w.skill, w.sessionKey));
+  }
+}
+
+function _busyError(skill, sessionId, reason) {
+  const target = sessionId && SESSION_LIMITED_SKILLS.has(skill) ? `${skill} on browser session "${sessionId}"` : skill;
+  return { ok: false, busy: true, aborted: false, error: `busy: ${target} is at its concurrency limit (${reason})` };
+}
+
+/**
+ * Wait for (or refuse) a slot for one run.
+ * @param {Object} opts
+ * @param {string} opts.skill
+ * @param {Object} [opts.args] - skill args; sessionId/agentId pick the session, _onBusy overrides the mode,
+ *                               _admissionLease joins the slot of the run that holds the session
+ * @param {AbortSignal} [opts.signal] - cancels a queued run
+ */
+function acquire({ skill, args = {}, signal = null }) {
+  const limits = _loadLimits();
+  const sessionId = resolveSessionId(skill, args);
+  const sessionKey = _sessionKey(skill, sessionId, args);
+
+  if (_hasCapacity(skill, sessionKey, limits)) {
+    return Promise.resolve(_grant(skill, sessionKey));
+  }
+
+  const mode = args._onBusy === 'reject' || args._onBusy === 'queue' ? args._onBusy : limits.mode;
+  if (mode === 'reject') {
+    return Promise.resolve(_busyError(skill, sessionId, 'rejected, not queued'));
+  }
+  if (_queue.length >= Number(limits.maxQueue || 0)) {
+    return Promise.resolve(_busyError(skill, sessionId, `queue full at ${_queue.length}`));
+  }
+  if (signal && signal.aborted) {
+    return Promise.resolve({ ok: false, busy: false, aborted: true, error: 'Run cancelled while waiting for a concurrency slot' });
+  }
+
+  return new Promise((resolve) => {
+    let timer = null;
+    const waiter = { skill, sessionKey, sessionId, queuedAt: Date.now(), settle: null };
+    const onAbort = () => {
+      waiter.settle({ ok: false, busy: false, aborted: true, error: 'Run cancelled while waiting for a concurrency slot' });
+    };
+    waiter.settle = (outcome) => {
+      const idx = _queue.indexOf(waiter);
+      if (idx !== -1) _queue.splice(idx, 1);
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(outcome);
+    };
+
+    _queue.push(waiter);
+    logger.info(`[admission] queued ${sessionKey ? `${skill}@${sessionKey}` : skill} (queue depth ${_queue.length})`);
+
+    const timeoutMs = Number(limits.queueTimeoutMs) || 0;
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => waiter.settle(_busyError(skill, sessionId, `waited ${timeoutMs}ms in queue`)), timeoutMs);
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function snapshot() {
+  const limits = _loadLimits();
+  const queuedBySkill = {};
+  for (const w of _queue) queuedBySkill[w.skill] = (queuedBySkill[w.skill] || 0) + 1;
+  const activeBySession = {};
+  for (const [sessionId, bySkill] of _sessionSkills) activeBySession[sessionId] = Object.fromEntries(bySkill);
+  return {
+    activeBySkill: Object.fromEntries(_activeBySkill),
+    activeBySession,
+    queueDepth: _queue.length,
+    queuedBySkill,
+    limits: {
+      mode: limits.mode,
+      defaultPerSkill: limits.defaultPerSkill,
+      perSkill: limits.perSkill,
+      perSession: limits.perSession,
+      maxQueue: limits.maxQueue,
+      queueTimeoutMs: limits.queueTimeoutMs,
+    },
+  };
+}
+
+module.exports = { acquire, snapshot, resolveSessionId, CONFIG_PATH, DEFAULT_LIMITS };
@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * automation-stream.cjs — Streaming progress channel for /command.automate
+ *
+ * Long-running skills (playwright.agent, browser.agent, explore.agent scans,
+ * app.agent monitors) already report progress, but only as fire-and-forget
+ * POSTs to `_progressCallbackUrl` or — for shell.run — through an in-process
+ * `_progressCallback`. This module gives each streaming run a channel that
+ * collects both, normalises them into a small set of structured event kinds,
+ * and fans them out to whoever is listening (SSE response or ws socket).
+ *
+ * Event kinds (every event also keeps the raw skill payload under `event`):
+ *   run:started      — emitted once by the server before the skill is invoked
+ *   step:started     — agent:turn_live, learn:action_executing, …
+ *   step:finished    — agent:turn, learn:action_executed, …
+ *   repair:attempted — agent:repair
+ *   output           — shell:stdout_chunk (runProcess onProgress output)
+ *   progress         — anything else a skill reports
+ *   result           — final skill result, always the last event
+ *
+ * API:
+ *   createStream({ forwardUrl })  → { id, emit, subscribe, close, closed }
+ *   getStream(id)                 → stream | null
+ *   normalizeEvent(raw)           → { kind, type, ts, event }
+ *   writeSse(res, evt)            → writes one SSE frame
+ */
+
+const crypto = require('crypto');
+const http   = require('http');
+const { EventEmitter } = require('events');
+const logger = require('../logger.cjs');
+
+// Raw skill event type → structured kind. Types not listed here fall through
+// to 'progress' so new skill events still reach the client untouched.
+const KIND_BY_TYPE = {
+  'agent:turn_live':         'step:started',
+  'learn:micro_step_start':  'step:started',
+  'learn:action_executing':  'step:started',
+  'explore:scan_start':      'step:started',
+  'explore:url_scan_start':  'step:started',
+  'agent:turn':              'step:finished',
+  'learn:action_executed':   'step:finished',
+  'explore:scan_complete':   'step:finished',
+  'explore:url_scan_complete': 'step:finished',
+  'agent:repair':            'repair:attempted',
+  'shell:stdout_chunk':      'output',
+};
+
+const STREAMS = new Map();
+
+function normalizeEvent(raw) {
+  const event = raw && typeof raw === 'object' ? raw : { type: 'progress', message: String(raw) };
+  const type = event.type || 'progress';
+  return { kind: KIND_BY_TYPE[type] || 'progress', type, ts: Date.now(), event };
+}
+
+// Fire-and-forget re-POST so a caller-supplied _progressCallbackUrl keeps
+// receiving events while the server is also streaming them.
+function _forward(url, event) {
+  try {
+    const body = JSON.stringify(event);
+    const u = new URL(url);
+    const req = http.request({
+      hostname: u.hostname,
+      port:     parseInt(u.port || '80', 10),
+      path:     u.pathname,
+      method:   'POST',
+      headers:  { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout:  2000,
+    }, res => res.resume());
+    req.on('error', () => {});
+    req.write(body);
+    req.end();
+  } catch (_) {}
+}
+
+/**
+ * Create a stream channel. Events emitted before a subscriber attaches are
+ * buffered so nothing between run:started and the first listener is lost.
+ * @param {Object} [opts]
+ * @param {string} [opts.forwardUrl] - original _progressCallbackUrl to tee raw events to
+ */
+function createStream({ forwardUrl = null } = {}) {
+  const id = crypto.randomUUID();
+  const emitter = new EventEmitter();
+  const backlog = [];
+  let subscribers = 0;
+  let closed = false;
+
+  const stream = {
+    id,
+    get closed() { return closed; },
+
+    /** Push a raw skill event (or a pre-built { kind } event) into the stream. */
+    emit(raw) {
+      if (closed) return;
+      const evt = raw && raw.kind ? { ts: Date.now(), ...raw } : normalizeEvent(raw);
+      if (forwardUrl && !raw?.kind) _forward(forwardUrl, raw);
+      if (subscribers === 0) backlog.push(evt);
+      else emitter.emit('event', evt);
+    },
+
+    /** Attach a listener; flushes the backlog first. Returns an unsubscribe fn. */
+    subscribe(listener) {
+      subscribers++;
+      while (backlog.length) listener(backlog.shift());
+      emitter.on('event', listener);
+      return () => { subscribers--; emitter.off('event', listener); };
+    },
+
+    /** Emit the final result event and drop the channel from the registry. */
+    close(result, meta = {}) {
+      if (closed) return;
+      stream.emit({ kind: 'result', type: 'result', ...meta, result });
+      closed = true;
+      emitter.removeAllListeners();
+      STREAMS.delete(id);
+    },
+  };
+
+  STREAMS.set(id, stream);
+  logger.debug(`[automation-stream] opened ${id}${forwardUrl ? ` (forwarding to ${forwardUrl})` : ''}`);
+  return stream;
+}
+
+function getStream(id) {
+  return STREAMS.get(id) || null;
+}
+
+function writeSse(res, evt) {
+  res.write(`event: ${evt.kind}\ndata: ${JSON.stringify(evt)}\n\n`);
+}
+
+module.exports = { createStream, getStream, normalizeEvent, writeSse, KIND_BY_TYPE };
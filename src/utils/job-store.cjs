@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * job-store.cjs — Durable job records for long-running automations
+ *
+ * A job is a /command.automate payload submitted through POST /jobs. Instead of
+ * holding the HTTP socket open, the caller gets a runId back immediately and
+ * polls /jobs/:id. Every state change is written to disk so a client timeout
+ * never loses the result, and a service restart can tell the caller which runs
+ * were cut short.
+ *
+ * Storage: one JSON file per job under ~/.thinkdrop/jobs/<runId>.json
+ *          (override with THINKDROP_JOBS_DIR). Writes go through a temp file +
+ *          rename so a crash mid-write never leaves a truncated record.
+ *
+ * Record shape:
+ *   { id, skill, args, status, result, error, createdAt, startedAt, finishedAt, updatedAt }
+ *   status: queued | running | succeeded | failed | cancelled | interrupted
+ *
+ * Stored args are redacted: every value under `env`, and any field named like a
+ * credential (password, secret, secretKey, token, apiKey, credentials, cookie,
+ * authorization) at any depth, becomes "[redacted]". The run itself gets the
+ * real args in memory; only the record on disk is redacted.
+ *
+ * API:
+ *   createJob({ skill, args })      → record
+ *   updateJob(id, patch)            → record | null
+ *   getJob(id)                      → record | null
+ *   listJobs({ status, skill, limit }) → record[] (newest first, without result)
+ *   markInterrupted()               → number of jobs flagged (call once at startup)
+ *   pruneJobs(maxAgeMs)             → number of finished job files deleted
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const os     = require('os');
+const crypto = require('crypto');
+const logger = require('../logger.cjs');
+
+const JOBS_DIR = process.env.THINKDROP_JOBS_DIR || path.join(os.homedir(), '.thinkdrop', 'jobs');
+const JOB_ID_RE = /^[A-Za-z0-9_-]+$/;
+
+const REDACTED = '[redacted]';
+const SECRET_FIELD_RE = /passw(?:or)?d|secret|token|api[-_]?key|credential|cookie|authorization|private[-_]?key/i;
+
+const ACTIVE_STATUSES   = new Set(['queued', 'running']);
+const TERMINAL_STATUSES = new Set(['succeeded', 'failed', 'cancelled', 'interrupted']);
+
+function _jobPath(id) {
+  if (!JOB_ID_RE.test(String(id || ''))) return null;
+  return path.join(JOBS_DIR, `${id}.json`);
+}
+
+function _write(record) {
+  fs.mkdirSync(JOBS_DIR, { recursive: true });
+  const file = _jobPath(record.id);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(record, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function _read(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+function _redactArgs(value) {
+  if (Array.isArray(value)) return value.map(v => _redactArgs(v));
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (k === 'env' && v && typeof v === 'object' && !Array.isArray(v)) {
+      out[k] = Object.fromEntries(Object.keys(v).map(name => [name, REDACTED]));
+    } else if (SECRET_FIELD_RE.test(k) && v !== null && v !== undefined && v !== '') {
+      out[k] = REDACTED;
+    } else {
+      out[k] = _redactArgs(v);
+    }
+  }
+  return out;
+}
+
+function createJob({ skill, args = {} }) {
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    skill,
+    // JSON round-trip drops in-process callbacks (_progressCallback) and any
+    // other non-serialisable values before they reach disk.
+    args: _redactArgs(JSON.parse(JSON.stringify(args || {}))),
+    status: 'queued',
+    result: null,
+    error: null,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: now,
+  };
+  _write(record);
+  return record;
+}
+
+function getJob(id) {
+  const file = _jobPath(id);
+  return file ? _read(file) : null;
+}
+
+function updateJob(id, patch = {}) {
+  const current = getJob(id);
+  if (!current) return null;
+  const now = new Date().toISOString();
+  const next = { ...current, ...patch, updatedAt: now };
+  if (patch.status === 'running' && !current.startedAt) next.startedAt = now;
+  if (TERMINAL_STATUSES.has(patch.status) && !current.finishedAt) next.finishedAt = now;
+  _write(next);
+  return next;
+}
+
+function _allJobs() {
+  let files = [];
+  try {
+    files = fs.readdirSync(JOBS_DIR).filter(f => f.endsWith('.json'));
+  } catch (_) {
+    return [];
+  }
+  return files.map(f => _read(path.join(JOBS_DIR, f))).filter(Boolean);
+}
+
+function listJobs({ status, skill, limit = 50 } = {}) {
+  return _allJobs()
+    .filter(j => (!status || j.status === status) && (!skill || j.skill === skill))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, Math.max(1, limit))
+    .map(({ result, ...rest }) => ({ ...rest, hasResult: result != null }));
+}
+
+/**
+ * Flag every job still queued/running on disk as interrupted. Must run before
+ * the server accepts new jobs — at that point nothing can legitimately be running.
+ */
+function markInterrupted() {
+  let count = 0;
+  for (const job of _allJobs()) {
+    if (!ACTIVE_STATUSES.has(job.status)) continue;
+    updateJob(job.id, { status: 'interrupted', error: 'Interrupted by command-service restart' });
+    count++;
+  }
+  return count;
+}
+
+function pruneJobs(maxAgeMs = 7 * 24 * 60 * 60 * 1000) {
+  const cutoff = Date.now() - maxAgeMs;
+  let pruned = 0;
+  for (const job of _allJobs()) {
+    if (!TERMINAL_STATUSES.has(job.status)) continue;
+    if (Date.parse(job.finishedAt || job.updatedAt) > cutoff) continue;
+    try {
+      fs.rmSync(_jobPath(job.id), { force: true });
+      pruned++;
+    } catch (err) {
+      logger.debug(`[job-store] prune ${job.id} failed: ${err.message}`);
+    }
+  }
+  return pruned;
+}
+
+module.exports = {
+  createJob,
+  updateJob,
+  getJob,
+  listJobs,
+  markInterrupted,
+  pruneJobs,
+  JOBS_DIR,
+  ACTIVE_STATUSES,
+  TERMINAL_STATUSES,
+};
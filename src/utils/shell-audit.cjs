@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * shell-audit.cjs — Append-only audit trail of shell.run executions
+ *
+ * Answers "what did the agent run on my machine?" without trawling winston
+ * logs. shellRun() appends one record per execution (and per command refused
+ * by validate()), GET /shell.audit queries them.
+ *
+ * Storage: JSON Lines at ~/.thinkdrop/audit/shell-run.jsonl
+ *          (override with THINKDROP_SHELL_AUDIT_FILE). Records are only ever
+ *          appended — nothing in this module rewrites or deletes the file.
+ *
+ * Record shape:
+ *   {
+ *     id, ts, finishedAt,
+ *     command,        // base name of the executable (git, bash, npm, …)
+ *     cmd, cwd,       // resolved command string as run, working directory
+ *     envVarNames,    // names of env vars injected on top of process.env — never values
+ *     origin,         // 'goal' (LLM-resolved from args.goal) | 'argv' (explicit cmd/argv)
+ *     goal,           // the plain-language goal when origin === 'goal'
+ *     originSkill, stepIndex, runId,
+ *     status,         // 'executed' | 'blocked' (refused by validate, never spawned) | 'sandboxed' (preview run)
+ *     policyRule,     // id of the shell policy rule that matched (skill-helpers/shell-policy.cjs), or null
+ *     ok, exitCode, durationMs, aborted, retried, error,
+ *     stdout, stderr  // { bytes, sha256 } — hash truncated to 16 hex chars, content never stored
+ *   }
+ *
+ * API:
+ *   appendRecord(record)                                     → stored record
+ *   digestOutput(text)                                       → { bytes, sha256 }
+ *   queryAudit({ since, until, command, exitCode, ok, status, limit }) → record[] (newest first)
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const os     = require('os');
+const crypto = require('crypto');
+const logger = require('../logger.cjs');
+
+const AUDIT_FILE = process.env.THINKDROP_SHELL_AUDIT_FILE || path.join(os.homedir(), '.thinkdrop', 'audit', 'shell-run.jsonl');
+const HASH_CHARS = 16;
+
+function digestOutput(text) {
+  const str = typeof text === 'string' ? text : '';
+  return {
+    bytes: Buffer.byteLength(str),
+    sha256: str ? crypto.createHash('sha256').update(str).digest('hex').slice(0, HASH_CHARS) : null,
+  };
+}
+
+/**
+ * Append one record. Never throws — an unwritable audit file must not turn a
+ * successful command into a failed step; it is logged loudly instead.
+ */
+function appendRecord(record) {
+  const stored = { id: crypto.randomUUID(), ...record };
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(stored) + '\n', { encoding: 'utf8', mode: 0o600 });
+  } catch (err) {
+    logger.error(`[shell-audit] could not append to ${AUDIT_FILE}: ${err.message}`, { cmd: record.cmd });
+  }
+  return stored;
+}
+
+function _toMs(value) {
+  if (value == null || value === '') return null;
+  const n = typeof value === 'number' ? value : (/^\d+$/.test(String(value)) ? Number(value) : Date.parse(value));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * @param {Object} [filter]
+ * @param {string|number} [filter.since]   - ISO date or epoch ms (inclusive)
+ * @param {string|number} [filter.until]   - ISO date or epoch ms (inclusive)
+ * @param {string}        [filter.command] - executable base name, e.g. 'git'
+ * @param {number}        [filter.exitCode]
+ * @param {boolean}       [filter.ok]      - true = succeeded, false = failed or blocked
+ * @param {string}        [filter.status]  - 'executed' | 'blocked' | 'sandboxed'
+ * @param {number}        [filter.limit=100]
+ */
+function queryAudit({ since, until, command, exitCode, ok, status, limit = 100 } = {}) {
+  let raw = '';
+  try {
+    raw = fs.readFileSync(AUDIT_FILE, 'utf8');
+  } catch (_) {
+    return [];
+  }
+  const sinceMs = _toMs(since);
+  const untilMs = _toMs(until);
+  const out = [];
+  const lines = raw.split('\n');
+  // Newest records are at the end of the file — walk backwards and stop at limit.
+  for (let i = lines.length - 1; i >= 0 && out.length < Math.max(1, limit); i--) {
+    if (!lines[i]) continue;
+    let rec;
+    try { rec = JSON.parse(lines[i]); } catch (_) { continue; }
+    const ts = Date.parse(rec.ts);
+    if (sinceMs != null && ts < sinceMs) continue;
+    if (untilMs != null && ts > untilMs) continue;
+    if (command && rec.command !== command) continue;
+    if (exitCode != null && rec.exitCode !== exitCode) continue;
+    if (ok != null && rec.ok !== ok) continue;
+    if (status && rec.status !== status) continue;
+    out.push(rec);
+  }
+  return out;
+}
+
+module.exports = { appendRecord, digestOutput, queryAudit, AUDIT_FILE };
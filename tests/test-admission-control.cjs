@@ -0,0 +1,159 @@
+'use strict';
+/**
+ * tests/test-admission-control.cjs
+ *
+ * Unit tests for executeAutomation admission control: per-skill and
+ * per-browser-session limits (keyed on the session across skills, with lease
+ * nesting), queue vs reject, queue timeout, abort while queued, and the
+ * /health snapshot. Uses a throwaway THINKDROP_CONCURRENCY_FILE
+ * so ~/.thinkdrop is never touched.
+ *
+ * Run: node tests/test-admission-control.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-admission-'));
+const configFile = path.join(tmpDir, 'concurrency.json');
+process.env.THINKDROP_CONCURRENCY_FILE = configFile;
+
+function writeConfig(cfg) {
+  fs.writeFileSync(configFile, JSON.stringify(cfg));
+  // Bump mtime explicitly — two writes inside one mtime tick would be ignored.
+  const t = new Date(Date.now() + Math.floor(Math.random() * 100000));
+  fs.utimesSync(configFile, t, t);
+}
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+const tick = () => new Promise(r => setImmediate(r));
+
+// ─── Load module ──────────────────────────────────────────────────────────────
+
+const admission = require(path.resolve(__dirname, '../src/utils/admission-control.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- session resolution ---');
+
+  await test('resolveSessionId falls back to each browser skill default', () => {
+    assert.equal(admission.resolveSessionId('browser.act', {}), 'default');
+    assert.equal(admission.resolveSessionId('playwright.agent', {}), 'playwright_agent');
+    assert.equal(admission.resolveSessionId('browser.agent', { agentId: 'gmail.agent' }), 'gmail_agent');
+    assert.equal(admission.resolveSessionId('browser.act', { sessionId: 's1' }), 's1');
+    assert.equal(admission.resolveSessionId('shell.run', {}), null);
+  });
+
+  console.log('\n--- limits ---');
+
+  await test('per-session limit queues another agent on the same session until release, across skills', async () => {
+    writeConfig({ perSession: 1 });
+    const first = await admission.acquire({ skill: 'browser.agent', args: { agentId: 'gmail.agent' } });
+    assert.equal(first.ok, true);
+    assert.ok(first.lease);
+    let admitted = null;
+    const pending = admission.acquire({ skill: 'playwright.agent', args: { sessionId: 'gmail_agent' } }).then(t => { admitted = t; return t; });
+    await tick();
+    assert.equal(admitted, null);
+    assert.equal(admission.snapshot().queueDepth, 1);
+    first.release();
+    const second = await pending;
+    assert.equal(second.ok, true);
+    second.release();
+    assert.equal(admission.snapshot().queueDepth, 0);
+  });
+
+  await test('other sessions, browser.act calls and leased nested runs are not blocked', async () => {
+    writeConfig({ perSession: 1 });
+    const agent = await admission.acquire({ skill: 'browser.agent', args: { sessionId: 'a' } });
+    const act = await admission.acquire({ skill: 'browser.act', args: { sessionId: 'a' } });
+    const act2 = await admission.acquire({ skill: 'browser.act', args: { sessionId: 'a' } });
+    const nested = await admission.acquire({ skill: 'playwright.agent', args: { sessionId: 'a', _admissionLease: agent.lease } });
+    const other = await admission.acquire({ skill: 'playwright.agent', args: { sessionId: 'b' } });
+    assert.ok(agent.ok && act.ok && act2.ok && nested.ok && other.ok);
+    assert.equal(act.lease, null, 'browser.act takes no session slot');
+    const snap = admission.snapshot();
+    assert.equal(snap.activeBySkill['playwright.agent'], 2);
+    assert.deepEqual(snap.activeBySession.a, { 'browser.agent': 1 });
+    assert.deepEqual(snap.activeBySession.b, { 'playwright.agent': 1 });
+    agent.release(); act.release(); act2.release(); nested.release(); other.release();
+    assert.deepEqual(admission.snapshot().activeBySkill, {});
+
+    // A lease stops working once its run releases the slot
+    const holder = await admission.acquire({ skill: 'browser.agent', args: { sessionId: 'a' } });
+    const stale = await admission.acquire({ skill: 'playwright.agent', args: { sessionId: 'a', _admissionLease: agent.lease, _onBusy: 'reject' } });
+    assert.equal(stale.busy, true);
+    assert.match(stale.error, /playwright\.agent on browser session "a"/);
+    holder.release();
+  });
+
+  await test('reject mode returns a busy error instead of queueing', async () => {
+    writeConfig({ mode: 'reject', perSkill: { 'shell.run': 1 } });
+    const first = await admission.acquire({ skill: 'shell.run', args: {} });
+    const second = await admission.acquire({ skill: 'shell.run', args: {} });
+    assert.equal(second.ok, false);
+    assert.equal(second.busy, true);
+    assert.match(second.error, /^busy: shell\.run is at its concurrency limit/);
+    first.release();
+  });
+
+  await test('args._onBusy overrides the configured mode per request', async () => {
+    writeConfig({ mode: 'queue', perSkill: { 'shell.run': 1 } });
+    const first = await admission.acquire({ skill: 'shell.run', args: {} });
+    const second = await admission.acquire({ skill: 'shell.run', args: { _onBusy: 'reject' } });
+    assert.equal(second.busy, true);
+    assert.equal(admission.snapshot().queueDepth, 0);
+    first.release();
+  });
+
+  await test('queued runs give up with a busy error after queueTimeoutMs', async () => {
+    writeConfig({ perSkill: { 'fs.read': 1 }, queueTimeoutMs: 20 });
+    const first = await admission.acquire({ skill: 'fs.read', args: {} });
+    const second = await admission.acquire({ skill: 'fs.read', args: {} });
+    assert.equal(second.busy, true);
+    assert.match(second.error, /waited 20ms in queue/);
+    first.release();
+  });
+
+  await test('aborting a queued run removes it from the queue', async () => {
+    writeConfig({ perSkill: { 'fs.read': 1 } });
+    const first = await admission.acquire({ skill: 'fs.read', args: {} });
+    const controller = new AbortController();
+    const pending = admission.acquire({ skill: 'fs.read', args: {}, signal: controller.signal });
+    await tick();
+    controller.abort();
+    const second = await pending;
+    assert.equal(second.aborted, true);
+    assert.equal(admission.snapshot().queueDepth, 0);
+    first.release();
+  });
+
+  summary();
+})();
@@ -0,0 +1,256 @@
+'use strict';
+/**
+ * tests/test-automation-cancel.cjs
+ *
+ * Tests for scoped cancellation (server.cancelRuns via POST /automation.cancel):
+ * a runId cancel stops only that run and kills its whole process group —
+ * grandchildren of `sh -c` included — while other runs keep going; requestIds
+ * already in flight are refused on every transport; a sessionId cancel with no
+ * run behind it still closes that browser session's Chrome (and no other); a
+ * job whose id clashes with a live run is refused with 409.
+ *
+ * The server runs on a free local port with HOME pointed at a temp dir. The
+ * "Chrome" processes are plain sh processes carrying a --user-data-dir argument
+ * under that HOME, with a random session id.
+ *
+ * Run: node tests/test-automation-cancel.cjs
+ */
+
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'td-cancel-'));
+process.env.HOME = tmpHome;
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+const _spawned = [];
+
+function summary() {
+  for (const pid of _spawned) { try { process.kill(-pid, 'SIGKILL'); } catch (_) {} }
+  fs.rmSync(tmpHome, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function freePort() {
+  return new Promise((resolve) => {
+    const srv = http.createServer();
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+let PORT = 0;
+
+function request(method, urlPath, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port: PORT, path: urlPath, method, headers: { 'Content-Type': 'application/json' } }, (res) => {
+      let data = '';
+      res.on('data', c => { data += c; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+/** Start a streamed run; resolves `output` with the first output chunk, `done` with all events. */
+function streamRun(payload, requestId) {
+  let onOutput;
+  const output = new Promise(r => { onOutput = r; });
+  const done = new Promise((resolve, reject) => {
+    const req = http.request({ port: PORT, path: '/command.automate/stream', method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
+      const events = [];
+      let buf = '';
+      res.on('data', (chunk) => {
+        buf += chunk;
+        let idx;
+        while ((idx = buf.indexOf('\n\n')) !== -1) {
+          const evt = JSON.parse((buf.slice(0, idx).match(/^data: (.*)$/m) || [])[1]);
+          buf = buf.slice(idx + 2);
+          events.push(evt);
+          if (evt.kind === 'output') onOutput(evt.event.text);
+        }
+      });
+      res.on('end', () => resolve(events));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify({ payload, requestId }));
+  });
+  return { output, done };
+}
+
+// Alive and not a zombie (reparented orphans may never be reaped in a container)
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (_) {
+    return false;
+  }
+  try {
+    return fs.readFileSync(`/proc/${pid}/stat`, 'utf8').split(') ')[1][0] !== 'Z';
+  } catch (_) {
+    return true;
+  }
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    if (await check()) return true;
+    await sleep(50);
+  }
+  return false;
+}
+
+// A script that backgrounds a grandchild, prints its pid and waits on it
+const withGrandchild = { skill: 'shell.run', args: { cmd: 'sh', argv: ['-c', 'sleep 30 & echo $!; wait'], timeoutMs: 60000 } };
+
+function fakeChrome(sessionId) {
+  const dataDir = path.join(tmpHome, '.thinkdrop', 'browser-profiles', sessionId);
+  const proc = spawn('sh', ['-c', 'sleep 30; :', 'chrome', `--user-data-dir=${dataDir}`], { stdio: 'ignore', detached: true });
+  _spawned.push(proc.pid);
+  return proc;
+}
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const CommandServiceMCPServer = require(path.resolve(__dirname, '../src/server.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  PORT = await freePort();
+  process.env.PORT = String(PORT);
+  const server = new CommandServiceMCPServer();
+  await server.start();
+  await waitFor(async () => (await request('GET', '/ping').catch(() => ({}))).status === 200);
+
+  console.log('\n--- runId scope ---');
+
+  const runA = streamRun(withGrandchild, 'cancel-a');
+  const runB = streamRun(withGrandchild, 'cancel-b');
+  const grandchildA = Number((await runA.output).trim());
+  const grandchildB = Number((await runB.output).trim());
+
+  await test('a requestId already in flight is refused on every transport', async () => {
+    const plain = await request('POST', '/command.automate', { payload: withGrandchild, requestId: 'cancel-a' });
+    assert.equal(plain.status, 409);
+    assert.match(plain.body.error, /requestId "cancel-a" is already in progress/);
+
+    const sse = await request('POST', '/command.automate/stream', { payload: withGrandchild, requestId: 'cancel-a' });
+    assert.equal(sse.status, 409);
+
+    const WebSocket = require('ws');
+    const ws = new WebSocket(`ws://127.0.0.1:${PORT}/command.automate/ws`);
+    await new Promise(resolve => ws.on('open', resolve));
+    const reply = new Promise(resolve => ws.once('message', d => resolve(JSON.parse(d.toString()))));
+    ws.send(JSON.stringify({ payload: withGrandchild, requestId: 'cancel-a' }));
+    assert.match((await reply).error, /requestId "cancel-a" is already in progress/);
+    ws.close();
+
+    const runs = (await request('GET', '/automation.runs')).body.runs;
+    assert.deepEqual(runs.map(r => r.runId).sort(), ['cancel-a', 'cancel-b']);
+  });
+
+  await test('cancelling one runId kills its process group, grandchildren included, and leaves the other run', async () => {
+    assert.ok(isRunning(grandchildA) && isRunning(grandchildB));
+    const t0 = Date.now();
+    const res = await request('POST', '/automation.cancel', { runId: 'cancel-a' });
+    assert.equal(res.body.ok, true);
+    assert.equal(res.body.aborted, 1);
+    assert.deepEqual(res.body.stopped.runs.map(r => r.runId), ['cancel-a']);
+    assert.equal(res.body.stopped.childProcesses.length, 1);
+    assert.deepEqual(res.body.stopped.browserSessions, []);
+
+    // The result must not wait for the orphaned grandchild to finish its sleep
+    const events = await runA.done;
+    assert.ok(Date.now() - t0 < 5000, `the cancelled run took ${Date.now() - t0}ms to finish`);
+    assert.equal(events[events.length - 1].kind, 'result');
+    assert.equal(events[events.length - 1].aborted, true);
+    assert.ok(await waitFor(() => !isRunning(grandchildA)), `grandchild ${grandchildA} survived the cancel`);
+
+    assert.ok(isRunning(grandchildB), 'the other run\'s grandchild was killed');
+    assert.deepEqual((await request('GET', '/automation.runs')).body.runs.map(r => r.runId), ['cancel-b']);
+
+    await request('POST', '/automation.cancel', { runId: 'cancel-b' });
+    await runB.done;
+    assert.ok(await waitFor(() => !isRunning(grandchildB)));
+  });
+
+  await test('an unknown runId cancels nothing', async () => {
+    const res = await request('POST', '/automation.cancel', { runId: 'no-such-run' });
+    assert.equal(res.body.aborted, 0);
+    assert.deepEqual(res.body.stopped, { runs: [], browserSessions: [], childProcesses: [] });
+  });
+
+  await test('a job whose id is already held by a live run is refused with 409', async () => {
+    const run = streamRun(withGrandchild, 'job-clash');
+    await run.output;
+    const realUUID = crypto.randomUUID;
+    crypto.randomUUID = () => 'job-clash';
+    let res;
+    try {
+      res = await request('POST', '/jobs', { payload: { skill: 'shell.run', args: { cmd: 'true' } } });
+    } finally {
+      crypto.randomUUID = realUUID;
+    }
+    assert.equal(res.status, 409);
+    assert.match(res.body.error, /A run with id "job-clash" is already in progress/);
+    assert.equal((await request('GET', '/jobs/job-clash')).body.job.status, 'failed');
+
+    // The live run is untouched and still cancellable
+    assert.deepEqual((await request('GET', '/automation.runs')).body.runs.map(r => r.runId), ['job-clash']);
+    await request('POST', '/automation.cancel', { runId: 'job-clash' });
+    await run.done;
+  });
+
+  console.log('\n--- sessionId scope ---');
+
+  await test('a sessionId with no run still closes that session\'s Chrome and nothing else', async () => {
+    const target = `td-test-${crypto.randomUUID()}`;
+    const other = `td-test-${crypto.randomUUID()}`;
+    const targetChrome = fakeChrome(target);
+    const otherChrome = fakeChrome(other);
+    await sleep(100);
+
+    const res = await request('POST', '/automation.cancel', { sessionId: target });
+    assert.equal(res.body.aborted, 0);
+    assert.equal(res.body.stopped.browserSessions.length, 1);
+    const [session] = res.body.stopped.browserSessions;
+    assert.equal(session.sessionId, target);
+    assert.equal(session.chromeKilled, true);
+
+    assert.ok(await waitFor(() => !isRunning(targetChrome.pid)), 'the session\'s Chrome survived');
+    assert.ok(isRunning(otherChrome.pid), 'another session\'s Chrome was killed');
+  });
+
+  summary();
+})();
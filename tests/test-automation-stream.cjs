@@ -0,0 +1,320 @@
+'use strict';
+/**
+ * tests/test-automation-stream.cjs
+ *
+ * Tests for streamed command.automate runs: the automation-stream channel
+ * (normalised kinds, backlog buffering, result-last close, forwarding to a
+ * caller's _progressCallbackUrl), server._runStreamed, and the live endpoints —
+ * POST /command.automate/stream (SSE), POST /automation.progress/<streamId>
+ * and the /command.automate/ws WebSocket — including event ordering, cleanup
+ * when the client disconnects, and unknown stream ids.
+ *
+ * The server runs on a free local port with HOME pointed at a temp dir; the
+ * streamed skill is shell.run with plain echo/sleep commands.
+ *
+ * Run: node tests/test-automation-stream.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'td-stream-'));
+process.env.HOME = tmpHome;
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpHome, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function freePort() {
+  return new Promise((resolve) => {
+    const srv = http.createServer();
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+let PORT = 0;
+
+function request(method, urlPath, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port: PORT, path: urlPath, method, headers: { 'Content-Type': 'application/json' } }, (res) => {
+      let data = '';
+      res.on('data', c => { data += c; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)));
+  });
+}
+
+/**
+ * POST /command.automate/stream and parse the SSE frames as they arrive.
+ * onEvent(evt, req) sees each event; `done` resolves with all events on end.
+ */
+function streamRun(payload, onEvent = () => {}) {
+  const events = [];
+  let req;
+  const done = new Promise((resolve, reject) => {
+    req = http.request({ port: PORT, path: '/command.automate/stream', method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
+      assert.equal(res.headers['content-type'], 'text/event-stream');
+      let buf = '';
+      res.on('data', (chunk) => {
+        buf += chunk;
+        let idx;
+        while ((idx = buf.indexOf('\n\n')) !== -1) {
+          const frame = buf.slice(0, idx);
+          buf = buf.slice(idx + 2);
+          const name = (frame.match(/^event: (.*)$/m) || [])[1];
+          const evt = JSON.parse((frame.match(/^data: (.*)$/m) || [])[1]);
+          assert.equal(name, evt.kind);
+          events.push(evt);
+          onEvent(evt, req);
+        }
+      });
+      res.on('end', () => resolve(events));
+      res.on('error', () => resolve(events));
+    });
+    req.on('error', (err) => (req.destroyed ? resolve(events) : reject(err)));
+    req.end(JSON.stringify({ payload }));
+  });
+  return { done, events, get req() { return req; } };
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    if (await check()) return true;
+    await sleep(50);
+  }
+  return false;
+}
+
+const echo = (...lines) => ({ skill: 'shell.run', args: { cmd: 'sh', argv: ['-c', lines.map(l => `echo ${l}`).join('; sleep 0.2; ')] } });
+const sleeper = seconds => ({ skill: 'shell.run', args: { cmd: 'sleep', argv: [String(seconds)], timeoutMs: 60000 } });
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const automationStream = require(path.resolve(__dirname, '../src/utils/automation-stream.cjs'));
+const CommandServiceMCPServer = require(path.resolve(__dirname, '../src/server.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- automation-stream ---');
+
+  await test('normalizeEvent maps known skill events to kinds and falls back to progress', async () => {
+    assert.equal(automationStream.normalizeEvent({ type: 'agent:turn_live' }).kind, 'step:started');
+    assert.equal(automationStream.normalizeEvent({ type: 'agent:turn' }).kind, 'step:finished');
+    assert.equal(automationStream.normalizeEvent({ type: 'agent:repair' }).kind, 'repair:attempted');
+    assert.equal(automationStream.normalizeEvent({ type: 'shell:stdout_chunk', text: 'x' }).kind, 'output');
+    const other = automationStream.normalizeEvent({ type: 'video:frame', n: 3 });
+    assert.deepEqual([other.kind, other.type, other.event.n], ['progress', 'video:frame', 3]);
+    assert.deepEqual(automationStream.normalizeEvent('plain text').event, { type: 'progress', message: 'plain text' });
+  });
+
+  await test('events before the first subscriber are buffered; result is always last and closes the channel', async () => {
+    const stream = automationStream.createStream();
+    assert.equal(automationStream.getStream(stream.id), stream);
+    stream.emit({ kind: 'run:started', type: 'run:started' });
+    stream.emit({ type: 'agent:turn_live' });
+
+    const seen = [];
+    const unsubscribe = stream.subscribe(evt => seen.push(evt.kind));
+    assert.deepEqual(seen, ['run:started', 'step:started']);
+    stream.emit({ type: 'agent:turn' });
+    stream.close({ ok: true }, { aborted: false });
+    stream.emit({ type: 'agent:turn' });
+    unsubscribe();
+
+    assert.deepEqual(seen, ['run:started', 'step:started', 'step:finished', 'result']);
+    assert.equal(stream.closed, true);
+    assert.equal(automationStream.getStream(stream.id), null);
+  });
+
+  await test('raw skill events are forwarded to the caller\'s own progress URL', async () => {
+    const received = [];
+    const sink = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', c => { body += c; });
+      req.on('end', () => { received.push(JSON.parse(body)); res.end('{}'); });
+    });
+    await new Promise(r => sink.listen(0, '127.0.0.1', r));
+    try {
+      const stream = automationStream.createStream({ forwardUrl: `http://127.0.0.1:${sink.address().port}/progress` });
+      stream.subscribe(() => {});
+      stream.emit({ kind: 'run:started', type: 'run:started' });
+      stream.emit({ type: 'agent:turn', turn: 1 });
+      stream.close({ ok: true });
+      assert.ok(await waitFor(() => received.length === 1));
+      await sleep(100);
+      assert.deepEqual(received, [{ type: 'agent:turn', turn: 1 }]);
+    } finally {
+      sink.close();
+    }
+  });
+
+  console.log('\n--- _runStreamed ---');
+
+  await test('_runStreamed wires both progress paths and sends run:started first, result last', async () => {
+    const server = new CommandServiceMCPServer();
+    server.port = 1;
+    let seenArgs = null;
+    server.executeAutomation = async ({ args }) => {
+      seenArgs = args;
+      args._progressCallback({ type: 'agent:turn_live', turn: 1 });
+      automationStream.getStream(args._progressCallbackUrl.split('/').pop()).emit({ type: 'agent:turn', turn: 1 });
+      return { ok: true, answer: 42 };
+    };
+    const events = [];
+    const result = await server._runStreamed({ skill: 'browser.agent', args: { action: 'run' } }, 'run-1', new AbortController(), e => events.push(e));
+
+    assert.deepEqual(result, { ok: true, answer: 42 });
+    assert.match(seenArgs._progressCallbackUrl, /^http:\/\/127\.0\.0\.1:1\/automation\.progress\/[0-9a-f-]{36}$/);
+    assert.deepEqual(events.map(e => e.kind), ['run:started', 'step:started', 'step:finished', 'result']);
+    assert.deepEqual([events[0].runId, events[0].skill, events[0].action], ['run-1', 'browser.agent', 'run']);
+    assert.equal(events[0].streamId, seenArgs._progressCallbackUrl.split('/').pop());
+    assert.deepEqual(events[3].result, { ok: true, answer: 42 });
+    assert.equal(automationStream.getStream(events[0].streamId), null);
+  });
+
+  await test('_runStreamed turns a thrown skill error into the result event and reports aborts', async () => {
+    const server = new CommandServiceMCPServer();
+    const controller = new AbortController();
+    server.executeAutomation = async () => { controller.abort(); throw new Error('boom'); };
+    const events = [];
+    const result = await server._runStreamed({ skill: 'shell.run', args: {} }, 'run-2', controller, e => events.push(e));
+    assert.deepEqual(result, { ok: false, error: 'boom' });
+    assert.deepEqual(events.map(e => e.kind), ['run:started', 'result']);
+    assert.equal(events[1].aborted, true);
+  });
+
+  console.log('\n--- endpoints ---');
+
+  PORT = await freePort();
+  process.env.PORT = String(PORT);
+  const server = new CommandServiceMCPServer();
+  await server.start();
+  await waitFor(async () => (await request('GET', '/ping').catch(() => ({}))).status === 200);
+
+  await test('SSE streams run:started, output in order, and the result last', async () => {
+    const events = await streamRun(echo('hi', 'bye')).done;
+    assert.equal(events[0].kind, 'run:started');
+    assert.equal(events[events.length - 1].kind, 'result');
+    assert.equal(events.filter(e => e.kind === 'result').length, 1);
+    const output = events.filter(e => e.kind === 'output').map(e => e.event.text).join('');
+    assert.equal(output, 'hi\nbye\n');
+    const last = events[events.length - 1];
+    assert.equal(last.aborted, false);
+    assert.equal(last.result.stdout, 'hi\nbye\n');
+    assert.deepEqual((await request('GET', '/automation.runs')).body.runs, []);
+  });
+
+  await test('progress posted to /automation.progress/<streamId> lands before the result; unknown ids get 404', async () => {
+    let posted = null;
+    const run = streamRun(sleeper(1), (evt) => {
+      if (evt.kind === 'run:started') posted = request('POST', `/automation.progress/${evt.streamId}`, { type: 'agent:repair', note: 'retrying' });
+    });
+    const events = await run.done;
+    assert.equal((await posted).status, 200);
+    assert.deepEqual(events.map(e => e.kind), ['run:started', 'repair:attempted', 'result']);
+    assert.equal(events[1].event.note, 'retrying');
+
+    const after = await request('POST', `/automation.progress/${events[0].streamId}`, { type: 'agent:turn' });
+    assert.equal(after.status, 404);
+    const unknown = await request('POST', '/automation.progress/not-a-stream', { type: 'agent:turn' });
+    assert.equal(unknown.status, 404);
+    assert.match(unknown.body.error, /Unknown stream: not-a-stream/);
+  });
+
+  await test('a client that disconnects mid-run aborts it and the run and stream are cleaned up', async () => {
+    let started = null;
+    const run = streamRun(sleeper(30), (evt, req) => {
+      if (evt.kind === 'run:started') { started = evt; req.destroy(); }
+    });
+    await run.done;
+    assert.ok(started, 'run:started was not received');
+    const t0 = Date.now();
+    assert.ok(await waitFor(async () => (await request('GET', '/automation.runs')).body.runs.length === 0), 'run still registered');
+    assert.ok(Date.now() - t0 < 5000);
+    assert.ok(await waitFor(async () => (await request('POST', `/automation.progress/${started.streamId}`, {})).status === 404), 'stream still open');
+  });
+
+  await test('a malformed SSE body is rejected with 400 before any stream opens', async () => {
+    const res = await request('POST', '/command.automate/stream', '{oops');
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /Invalid JSON body/);
+  });
+
+  await test('WebSocket streams one message per event, result last, then closes normally', async () => {
+    const WebSocket = require('ws');
+    const ws = new WebSocket(`ws://127.0.0.1:${PORT}/command.automate/ws`);
+    const messages = [];
+    const closed = new Promise(resolve => ws.on('close', code => resolve(code)));
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      messages.push(msg);
+      // A second payload on the same socket is refused while the first runs
+      if (msg.kind === 'run:started') ws.send(JSON.stringify({ payload: echo('again') }));
+    });
+    await new Promise(resolve => ws.on('open', resolve));
+    ws.send(JSON.stringify({ payload: echo('one', 'two') }));
+    assert.equal(await closed, 1000);
+
+    const kinds = messages.map(m => m.kind);
+    assert.equal(kinds[0], 'run:started');
+    assert.equal(kinds[kinds.length - 1], 'result');
+    assert.ok(messages.some(m => m.kind === 'error' && /already in progress/.test(m.error)));
+    assert.equal(messages.filter(m => m.kind === 'output').map(m => m.event.text).join(''), 'one\ntwo\n');
+  });
+
+  await test('WebSocket cancel aborts the run and the result reports it', async () => {
+    const WebSocket = require('ws');
+    const ws = new WebSocket(`ws://127.0.0.1:${PORT}/command.automate/ws`);
+    const messages = [];
+    const closed = new Promise(resolve => ws.on('close', resolve));
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      messages.push(msg);
+      if (msg.kind === 'run:started') ws.send(JSON.stringify({ type: 'cancel' }));
+    });
+    await new Promise(resolve => ws.on('open', resolve));
+    const t0 = Date.now();
+    ws.send(JSON.stringify({ payload: sleeper(30) }));
+    await closed;
+    assert.ok(Date.now() - t0 < 10000, 'cancel did not stop the run');
+    const result = messages[messages.length - 1];
+    assert.equal(result.kind, 'result');
+    assert.equal(result.aborted, true);
+    assert.deepEqual((await request('GET', '/automation.runs')).body.runs, []);
+  });
+
+  summary();
+})();
@@ -0,0 +1,180 @@
+'use strict';
+/**
+ * tests/test-bridge-adapters.cjs
+ *
+ * Tests for bridge-watcher's platform adapters (skill-helpers/bridge-adapters.cjs):
+ * platform detection, the commands each desktop adapter runs (through an injected
+ * runner, so no notify-send / xclip / osascript is needed), tool fallbacks, the
+ * headless adapter's trigger files, and a real bridge-watcher run in headless mode.
+ *
+ * Run: node tests/test-bridge-adapters.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-adapters-'));
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Records every command; `failing` commands exit 1, `installed` limits hasCommand
+function fakeShell({ installed = null, failing = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    run: (cmd, args, { input } = {}) => {
+      calls.push({ cmd, args, input });
+      return failing.includes(cmd) ? { ok: false, status: 1, error: `${cmd} failed` } : { ok: true, status: 0 };
+    },
+    hasCommand: cmd => !installed || installed.includes(cmd),
+  };
+}
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const { createAdapter, detectAdapter } = require(path.resolve(__dirname, '../src/skill-helpers/bridge-adapters.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- selection ---');
+
+  await test('auto picks macos, linux with a display, headless otherwise', async () => {
+    assert.equal(detectAdapter({ platform: 'darwin', env: {} }), 'macos');
+    assert.equal(detectAdapter({ platform: 'linux', env: { DISPLAY: ':0' } }), 'linux');
+    assert.equal(detectAdapter({ platform: 'linux', env: { WAYLAND_DISPLAY: 'wayland-0' } }), 'linux');
+    assert.equal(detectAdapter({ platform: 'linux', env: {} }), 'headless');
+    assert.equal(detectAdapter({ platform: 'win32', env: {} }), 'headless');
+    assert.equal(createAdapter('auto', { platform: 'linux', env: {}, triggerDir: tmpDir }).name, 'headless');
+    assert.throws(() => createAdapter('amiga'), /Unknown bridge adapter/);
+  });
+
+  console.log('\n--- desktop adapters ---');
+
+  await test('macos runs osascript, pbcopy and open -a', async () => {
+    const shell = fakeShell();
+    const mac = createAdapter('macos', shell);
+    assert.equal(mac.notify('ThinkDrop → Cursor', 'Say "hi"\nplease').ok, true);
+    mac.copy('full text');
+    mac.focus('vscode');
+    assert.deepEqual(shell.calls.map(c => c.cmd), ['osascript', 'pbcopy', 'open']);
+    assert.match(shell.calls[0].args[1], /display notification "Say \\"hi\\" please" with title "ThinkDrop → Cursor"/);
+    assert.equal(shell.calls[1].input, 'full text');
+    assert.deepEqual(shell.calls[2].args, ['-a', 'Visual Studio Code']);
+  });
+
+  await test('linux uses notify-send, xclip and wmctrl on X11', async () => {
+    const shell = fakeShell();
+    const linux = createAdapter('linux', { ...shell, env: { DISPLAY: ':0' } });
+    assert.deepEqual(linux.notify('Title', 'Body'), { ok: true, via: 'notify-send' });
+    assert.deepEqual(linux.copy('text'), { ok: true, via: 'xclip' });
+    assert.deepEqual(linux.focus('windsurf'), { ok: true, via: 'wmctrl' });
+    assert.deepEqual(shell.calls[1].args, ['-selection', 'clipboard']);
+    assert.deepEqual(shell.calls[2].args, ['-a', 'Windsurf']);
+  });
+
+  await test('linux prefers wl-copy on Wayland and falls back through the tool chain', async () => {
+    const wayland = fakeShell();
+    createAdapter('linux', { ...wayland, env: { WAYLAND_DISPLAY: 'wayland-0' } }).copy('text');
+    assert.equal(wayland.calls[0].cmd, 'wl-copy');
+
+    const partial = fakeShell({ installed: ['gdbus', 'xsel', 'xdotool'], failing: [] });
+    const linux = createAdapter('linux', { ...partial, env: { DISPLAY: ':0' } });
+    assert.equal(linux.notify('T', 'B').via, 'gdbus');
+    assert.ok(partial.calls[0].args.includes('org.freedesktop.Notifications.Notify'));
+    assert.equal(linux.copy('x').via, 'xsel');
+    assert.equal(linux.focus('cursor').via, 'xdotool');
+
+    const broken = fakeShell({ installed: ['wmctrl', 'xdotool'], failing: ['wmctrl'] });
+    const res = createAdapter('linux', { ...broken, env: { DISPLAY: ':0' } }).focus('cursor');
+    assert.deepEqual([res.ok, res.via], [true, 'xdotool']);
+
+    const none = createAdapter('linux', { ...fakeShell({ installed: [] }), env: { DISPLAY: ':0' } }).notify('T', 'B');
+    assert.equal(none.ok, false);
+    assert.match(none.error, /none of notify-send, gdbus is installed/);
+  });
+
+  console.log('\n--- headless ---');
+
+  await test('headless writes notification and clipboard trigger files only', async () => {
+    const shell = fakeShell();
+    const headless = createAdapter('headless', { ...shell, triggerDir: path.join(tmpDir, 'unit') });
+    headless.notify('ThinkDrop → Windsurf', 'first line\nsecond');
+    headless.notify('again', 'x');
+    headless.copy('## Instruction\nbody');
+    assert.equal(headless.focus('windsurf').ok, false);
+    assert.equal(shell.calls.length, 0, 'no external commands');
+
+    const lines = fs.readFileSync(headless.notificationsFile, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(lines.map(l => l.body), ['first line second', 'x']);
+    assert.equal(fs.readFileSync(headless.clipboardFile, 'utf8'), '## Instruction\nbody');
+  });
+
+  await test('bridge-watcher in headless mode reacts to a new TD block', async () => {
+    const bridgeFile = path.join(tmpDir, 'watch', 'bridge.md');
+    fs.mkdirSync(path.dirname(bridgeFile), { recursive: true });
+    fs.writeFileSync(bridgeFile, '# ThinkDrop Bridge\n\n');
+
+    const child = spawn(process.execPath, [
+      path.resolve(__dirname, '../src/bridge-watcher.cjs'),
+      '--bridge-file', bridgeFile, '--adapter', 'headless', '--debounce', '50',
+    ], { stdio: ['ignore', 'pipe', 'inherit'] });
+    const killTimer = setTimeout(() => child.kill('SIGKILL'), 15000);
+    const messages = [];
+    let buffered = '';
+    child.stdout.on('data', (d) => {
+      buffered += d;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) if (line.trim()) messages.push(JSON.parse(line));
+    });
+
+    try {
+      for (let i = 0; i < 50 && !messages.some(m => m.type === 'ready'); i++) await sleep(100);
+      assert.equal(messages.find(m => m.type === 'ready').adapter, 'headless');
+
+      fs.appendFileSync(bridgeFile, '\n<!-- TD:INSTRUCTION id=td_1 ts=2030-01-01T00:00:00Z status=pending -->\nRun the linter\n<!-- TD:END -->\n');
+      for (let i = 0; i < 50 && !messages.some(m => m.type === 'td_block'); i++) await sleep(100);
+
+      assert.equal(messages.find(m => m.type === 'td_block').block.id, 'td_1');
+      assert.match(fs.readFileSync(path.join(tmpDir, 'watch', '.bridge-clipboard.md'), 'utf8'), /## ThinkDrop Instruction \[td_1\]/);
+      assert.match(fs.readFileSync(path.join(tmpDir, 'watch', '.bridge-notifications.jsonl'), 'utf8'), /Run the linter/);
+      assert.match(fs.readFileSync(path.join(tmpDir, 'watch', '.bridge-trigger.md'), 'utf8'), /Run the linter/);
+      assert.equal(messages.filter(m => m.type === 'adapter_error').length, 0);
+    } finally {
+      child.kill('SIGTERM');
+      await new Promise(r => child.once('exit', r));
+      clearTimeout(killTimer);
+    }
+  });
+
+  summary();
+})();
@@ -0,0 +1,252 @@
+'use strict';
+/**
+ * tests/test-browser-attach.cjs
+ *
+ * Tests for attaching browser-engine sessions to an already-running Chrome over
+ * CDP: attach spec resolution (launch opts, string specs, THINKDROP_BROWSER_CDP_URL),
+ * validation errors, the error a launch gets when nothing listens on the
+ * endpoint, and — against a fake CDP browser — that a session in the browser's
+ * own context only instruments and closes its own tab, and that browser.act's
+ * keys, pdf, resize and state actions stay on the attached browser. No Chrome is
+ * started; HOME points at a throwaway directory.
+ *
+ * Run: node tests/test-browser-attach.cjs
+ */
+
+const assert = require('assert').strict;
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'td-attach-'));
+process.env.HOME = tmpHome;
+delete process.env.THINKDROP_BROWSER_CDP_URL;
+delete process.env.THINKDROP_BROWSER_ENGINE;
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpHome, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+// A port nothing is listening on: bind, read the port, release it
+function closedPort() {
+  return new Promise((resolve) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// A connectOverCDP result with one context holding the user's tab
+function fakeCdpBrowser() {
+  const ctx = new EventEmitter();
+  const pages = [];
+  const page = (url) => {
+    const p = new EventEmitter();
+    let closed = false;
+    Object.assign(p, {
+      routes: 0,
+      keys: [],
+      viewport: null,
+      pdfPath: null,
+      pdfError: null,
+      evaluated: [],
+      url: () => url,
+      isClosed: () => closed,
+      close: async () => { closed = true; },
+      context: () => ctx,
+      route: async () => { p.routes++; },
+      addInitScript: async () => {},
+      keyboard: {
+        down: async (k) => { p.keys.push(`down:${k}`); },
+        up: async (k) => { p.keys.push(`up:${k}`); },
+      },
+      setViewportSize: async (size) => { p.viewport = size; },
+      pdf: async ({ path: file }) => {
+        if (p.pdfError) throw new Error(p.pdfError);
+        p.pdfPath = file;
+      },
+      evaluate: async (fn, arg) => { p.evaluated.push(arg); },
+    });
+    pages.push(p);
+    return p;
+  };
+  Object.assign(ctx, {
+    routes: 0,
+    cookies: [],
+    pages: () => pages.filter(p => !p.isClosed()),
+    storageState: async ({ path: file }) => {
+      fs.writeFileSync(file, JSON.stringify({
+        cookies: [{ name: 'sid', value: 'abc', domain: 'mail.example.com', path: '/' }],
+        origins: [{ origin: 'https://mail.example.com', localStorage: [{ name: 'theme', value: 'dark' }] }],
+      }));
+    },
+    addCookies: async (cookies) => { ctx.cookies.push(...cookies); },
+    newPage: async () => page('about:blank'),
+    route: async () => { ctx.routes++; },
+    addInitScript: async () => {},
+  });
+  const browser = new EventEmitter();
+  Object.assign(browser, { closed: false, contexts: () => [ctx], close: async () => { browser.closed = true; } });
+  return { browser, ctx, userTab: page('https://mail.example.com/') };
+}
+
+const fakeRequest = url => ({ url: () => url, method: () => 'GET', resourceType: () => 'fetch', headers: () => ({}) });
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const engine = require(path.resolve(__dirname, '../src/skills/browser-engine.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- spec ---');
+
+  await test('resolveAttach reads attach, cdpUrl and the env default', async () => {
+    assert.equal(engine.resolveAttach({}, 'chromium', {}), null);
+    assert.deepEqual(
+      engine.resolveAttach({ cdpUrl: 'http://127.0.0.1:9222' }, 'chromium', {}),
+      { cdpUrl: 'http://127.0.0.1:9222', context: 'default', tab: 'new', timeoutMs: 15000, headers: undefined },
+    );
+    const full = engine.resolveAttach({ attach: { cdpUrl: 'ws://127.0.0.1:9222/devtools/browser/abc', context: 'new', tab: 'active', timeoutMs: 500 } }, 'chromium', {});
+    assert.deepEqual([full.context, full.tab, full.timeoutMs], ['new', 'active', 500]);
+    assert.equal(engine.resolveAttach({ attach: 'http://localhost:9333' }, 'chromium', {}).cdpUrl, 'http://localhost:9333');
+
+    const env = { THINKDROP_BROWSER_CDP_URL: 'http://127.0.0.1:9222' };
+    assert.equal(engine.resolveAttach({}, 'chromium', env).cdpUrl, 'http://127.0.0.1:9222');
+    assert.equal(engine.resolveAttach({}, 'firefox', env), null, 'the env default only applies to Chromium sessions');
+  });
+
+  await test('resolveAttach rejects other engines and malformed specs', async () => {
+    assert.throws(() => engine.resolveAttach({ cdpUrl: 'http://127.0.0.1:9222' }, 'webkit', {}), /CDP attach needs a Chromium browser, not webkit/);
+    assert.throws(() => engine.resolveAttach({ cdpUrl: '127.0.0.1:9222' }, 'chromium', {}), /cdpUrl must be a ws:\/\/ or http:\/\/ DevTools endpoint/);
+    assert.throws(() => engine.resolveAttach({ attach: { cdpUrl: 'http://x:1', context: 'shared' } }, 'chromium', {}), /attach\.context must be default \| new/);
+    assert.throws(() => engine.resolveAttach({ attach: { cdpUrl: 'http://x:1', tab: 'first' } }, 'chromium', {}), /attach\.tab must be new \| active/);
+  });
+
+  console.log('\n--- launch ---');
+
+  await test('launch reports an unreachable endpoint without creating a profile', async () => {
+    const port = await closedPort();
+    await assert.rejects(
+      engine.launch('attach_session', { attach: { cdpUrl: `http://127.0.0.1:${port}?token=secret`, timeoutMs: 2000 } }),
+      (err) => {
+        assert.match(err.message, new RegExp(`Could not attach to Chrome at http://127\\.0\\.0\\.1:${port}`));
+        assert.match(err.message, /--remote-debugging-port/);
+        assert.doesNotMatch(err.message, /token=secret/, 'credentials in the endpoint stay out of errors');
+        return true;
+      },
+    );
+    assert.equal(engine.isSessionActive('attach_session'), false);
+    assert.equal(engine.isAttachedSession('attach_session'), false);
+    assert.equal(fs.existsSync(path.join(tmpHome, '.thinkdrop', 'browser-profiles', 'attach_session')), false);
+  });
+
+  await test('in the browser\'s own context only the session\'s tab is instrumented, and only it is closed', async () => {
+    const { chromium } = require('playwright');
+    const fake = fakeCdpBrowser();
+    const connectOverCDP = chromium.connectOverCDP;
+    chromium.connectOverCDP = async () => fake.browser;
+    try {
+      await engine.launch('attach_scope', { attach: { cdpUrl: 'http://127.0.0.1:9222' } });
+      const tab = engine.getPage('attach_scope');
+      assert.notEqual(tab, fake.userTab);
+
+      assert.equal(fake.ctx.routes, 0, 'no route on the user\'s context');
+      assert.equal(fake.ctx.listenerCount('request'), 0, 'no inspector on the user\'s context');
+      assert.equal(fake.userTab.listenerCount('request'), 0);
+      assert.equal(tab.routes, 1);
+
+      fake.userTab.emit('request', fakeRequest('https://mail.example.com/api/inbox'));
+      tab.emit('request', fakeRequest('https://x.test/api/session'));
+      const popup = new EventEmitter();
+      tab.emit('popup', popup);
+      popup.emit('request', fakeRequest('https://x.test/oauth'));
+      const inspector = engine.getNetworkInspector('attach_scope');
+      assert.deepEqual(inspector.list().map(e => e.url), ['https://x.test/api/session', 'https://x.test/oauth']);
+
+      await engine.closeSession('attach_scope');
+      assert.equal(tab.isClosed(), true, 'the session\'s tab is closed');
+      assert.equal(fake.userTab.isClosed(), false, 'the user\'s tab stays open');
+      assert.equal(fake.browser.closed, true, 'detached');
+    } finally {
+      chromium.connectOverCDP = connectOverCDP;
+    }
+  });
+
+  console.log('\n--- browser.act on an attached session ---');
+
+  await test('keys, pdf, resize and saved state run on the attached browser, never the CLI', async () => {
+    const { chromium } = require('playwright');
+    const { browserAct } = require(path.resolve(__dirname, '../src/skills/browser.act.cjs'));
+    const fake = fakeCdpBrowser();
+    const connectOverCDP = chromium.connectOverCDP;
+    chromium.connectOverCDP = async () => fake.browser;
+    const act = args => browserAct({ sessionId: 'attach_act', headed: false, ...args });
+    try {
+      const attached = await act({ action: 'attach', cdpUrl: 'http://127.0.0.1:9222' });
+      assert.equal(attached.ok, true, attached.error);
+      const tab = engine.getPage('attach_act');
+
+      assert.equal((await act({ action: 'keydown', key: 'Shift' })).ok, true);
+      assert.equal((await act({ action: 'keyup', key: 'Shift' })).ok, true);
+      assert.deepEqual(tab.keys, ['down:Shift', 'up:Shift']);
+      assert.match((await act({ action: 'keydown' })).error, /key is required for keydown/);
+
+      const resized = await act({ action: 'resize', width: 800, height: 600 });
+      assert.equal(resized.ok, true, resized.error);
+      assert.deepEqual(tab.viewport, { width: 800, height: 600 });
+
+      const pdfPath = path.join(tmpHome, 'page.pdf');
+      const pdf = await act({ action: 'pdf', filePath: pdfPath });
+      assert.equal(pdf.ok, true, pdf.error);
+      assert.equal(tab.pdfPath, pdfPath);
+
+      const statePath = path.join(tmpHome, 'state.json');
+      assert.equal((await act({ action: 'state-save', filePath: statePath })).ok, true);
+      const loaded = await act({ action: 'state-load', filePath: statePath });
+      assert.equal(loaded.ok, true, loaded.error);
+      assert.deepEqual([loaded.cookies, loaded.origins], [1, 1]);
+      assert.deepEqual(fake.ctx.cookies.map(c => c.name), ['sid']);
+      assert.deepEqual(fake.userTab.evaluated, [[{ name: 'theme', value: 'dark' }]]);
+
+      // An engine failure is reported as such instead of handing the session to playwright-cli
+      tab.pdfError = 'PDF generation is only supported for Headless Chrome';
+      const failed = await act({ action: 'pdf', filePath: pdfPath });
+      assert.equal(failed.ok, false);
+      assert.match(failed.error, /attach_act is attached to a running browser over CDP — not falling back to a locally launched browser: PDF generation/);
+      const missing = await act({ action: 'state-load' });
+      assert.match(missing.error, /Could not read saved state .*attach_act\.json/);
+
+      assert.equal((await act({ action: 'close' })).detached, true);
+      assert.equal(fake.userTab.isClosed(), false);
+    } finally {
+      chromium.connectOverCDP = connectOverCDP;
+    }
+  });
+
+  summary();
+})();
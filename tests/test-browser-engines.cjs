@@ -0,0 +1,136 @@
+'use strict';
+/**
+ * tests/test-browser-engines.cjs
+ *
+ * Tests for browser-engine's multi-browser support: engine name resolution
+ * (aliases, THINKDROP_BROWSER_ENGINE), per-engine profile directories, session
+ * pins set by agent descriptors, the engine-specific DOM scanner script, and
+ * browser.act failing (not falling back to the CLI Chrome) when a requested
+ * engine cannot launch.
+ * Nothing is launched — no Playwright browser install is needed. HOME points at a
+ * throwaway directory so profile dirs never touch the real ~/.thinkdrop.
+ *
+ * Run: node tests/test-browser-engines.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'td-engines-'));
+process.env.HOME = tmpHome;
+delete process.env.THINKDROP_BROWSER_ENGINE;
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpHome, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const engine = require(path.resolve(__dirname, '../src/skills/browser-engine.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- engines ---');
+
+  await test('resolveBrowser accepts engines and aliases, honours the env default', async () => {
+    assert.deepEqual(engine.SUPPORTED_BROWSERS, ['chromium', 'firefox', 'webkit']);
+    assert.equal(engine.resolveBrowser(), 'chromium');
+    assert.equal(engine.resolveBrowser('Firefox'), 'firefox');
+    assert.equal(engine.resolveBrowser('chrome'), 'chromium');
+    assert.equal(engine.resolveBrowser('safari'), 'webkit');
+    process.env.THINKDROP_BROWSER_ENGINE = 'webkit';
+    try {
+      assert.equal(engine.resolveBrowser(), 'webkit');
+      assert.equal(engine.resolveBrowser('firefox'), 'firefox', 'explicit choice beats the env');
+    } finally {
+      delete process.env.THINKDROP_BROWSER_ENGINE;
+    }
+    assert.throws(() => engine.resolveBrowser('opera'), /Unknown browser engine "opera" — expected one of chromium, firefox, webkit/);
+  });
+
+  await test('each engine keeps its own profile directory; Chromium keeps the original path', async () => {
+    const root = path.join(tmpHome, '.thinkdrop', 'browser-profiles');
+    assert.equal(engine.sessionProfileDir('slack_agent'), path.join(root, 'slack_agent'));
+    assert.equal(engine.sessionProfileDir('slack_agent', 'chromium'), path.join(root, 'slack_agent'));
+    assert.equal(engine.sessionProfileDir('slack_agent', 'firefox'), path.join(root, 'slack_agent.firefox'));
+    assert.ok(fs.statSync(path.join(root, 'slack_agent.firefox')).isDirectory());
+
+    // Chrome lock cleanup never touches another engine's profile
+    const ffLock = path.join(root, 'slack_agent.firefox', 'SingletonLock');
+    fs.writeFileSync(ffLock, '');
+    engine.clearProfileLock('slack_agent', 'firefox');
+    assert.ok(fs.existsSync(ffLock));
+  });
+
+  await test('launch rejects unknown engines and pinned sessions resolve before launching', async () => {
+    await assert.rejects(engine.launch('bad_engine_session', { browser: 'netscape' }), /Unknown browser engine "netscape"/);
+    engine.pinSessionBrowser('pinned_session', 'ff');
+    await assert.rejects(engine.launch('pinned_session', { browser: 'lynx' }), /Unknown browser engine "lynx"/, 'explicit opts.browser wins over the pin');
+    assert.throws(() => engine.pinSessionBrowser('pinned_session', 'lynx'), /Unknown browser engine/);
+    engine.pinSessionBrowser('pinned_session', null);
+    assert.equal(engine.getSessionBrowser('pinned_session'), null, 'nothing launched');
+  });
+
+  console.log('\n--- DOM scanner ---');
+
+  await test('scanner script is specialised per engine', async () => {
+    assert.equal(engine._DOM_SCANNER_SCRIPT, engine.domScannerScript('chromium'));
+    assert.match(engine.domScannerScript('firefox'), /const ENGINE = 'firefox';/);
+    assert.doesNotMatch(engine.domScannerScript('webkit'), /__TD_ENGINE__/);
+    assert.match(engine._DOM_SCANNER_SCRIPT, /ENGINE !== 'chromium' && typeof el\.checkVisibility === 'function'/);
+    // Every variant must still parse as a script
+    for (const b of engine.SUPPORTED_BROWSERS) new Function(engine.domScannerScript(b));
+
+    // Pages from contexts this module did not launch are treated as Chromium
+    assert.equal(engine.browserForPage({ context: () => ({}) }), 'chromium');
+    assert.equal(engine.browserForPage({}), 'chromium');
+  });
+
+  console.log('\n--- browser.act ---');
+
+  await test('navigate fails instead of falling back to Chrome when the engine cannot launch', async () => {
+    const { browserAct } = require(path.resolve(__dirname, '../src/skills/browser.act.cjs'));
+    const unknown = await browserAct({ action: 'navigate', url: 'https://example.com/', sessionId: 'engine_unknown', browser: 'netscape', headed: false });
+    assert.equal(unknown.ok, false);
+    assert.match(unknown.error, /Unknown browser engine "netscape"/);
+
+    // A pinned Firefox whose binary is missing reports the install command
+    engine.pinSessionBrowser('engine_pinned', 'firefox');
+    const realLaunch = engine.launch;
+    engine.launch = async () => { throw new Error("browserType.launchPersistentContext: Executable doesn't exist at /ms-playwright/firefox/firefox"); };
+    try {
+      const pinned = await browserAct({ action: 'navigate', url: 'https://example.com/', sessionId: 'engine_pinned', headed: false });
+      assert.equal(pinned.ok, false);
+      assert.match(pinned.error, /Could not launch firefox for session engine_pinned: .*Executable doesn't exist.* install it with "npx playwright install firefox"/);
+    } finally {
+      engine.launch = realLaunch;
+      engine.pinSessionBrowser('engine_pinned', null);
+    }
+  });
+
+  summary();
+})();
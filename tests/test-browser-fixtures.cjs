@@ -0,0 +1,243 @@
+'use strict';
+/**
+ * tests/test-browser-fixtures.cjs
+ *
+ * Tests for browser-engine's network record / replay (skill-helpers/browser-fixtures.cjs):
+ * spec resolution (launch opts and per-session THINKDROP_BROWSER_FIXTURES paths),
+ * recording responses into a fixture directory without credential headers, HAR
+ * sanitizing, and replaying them through context.route — URL
+ * normalization, request-body matching, in-order repeats and notFound handling —
+ * and browser.act refusing to fall back to the live browser when a fixture
+ * session cannot launch. A fake context stands in for Playwright's BrowserContext,
+ * so no browser is needed; HOME points at a throwaway directory.
+ *
+ * Run: node tests/test-browser-fixtures.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-fixtures-'));
+process.env.HOME = path.join(tmpDir, 'home');
+delete process.env.THINKDROP_BROWSER_FIXTURES;
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+function fakeRequest(method, url, postData = null) {
+  return {
+    method: () => method,
+    url: () => url,
+    resourceType: () => 'fetch',
+    postDataBuffer: () => (postData === null ? null : Buffer.from(postData)),
+  };
+}
+
+function fakeResponse(req, { status = 200, headers = {}, body = null }) {
+  return {
+    request: () => req,
+    url: () => req.url(),
+    status: () => status,
+    statusText: () => (status === 200 ? 'OK' : ''),
+    headers: () => headers,
+    allHeaders: async () => headers,
+    body: async () => {
+      if (body === null) throw new Error('Response body is unavailable for redirect responses');
+      return Buffer.from(body);
+    },
+  };
+}
+
+// Just enough of a BrowserContext: response listeners and a single route handler
+function fakeContext() {
+  const listeners = [];
+  let handler = null;
+  return {
+    on: (event, fn) => { if (event === 'response') listeners.push(fn); },
+    route: async (_pattern, fn) => { handler = fn; },
+    emit: res => listeners.forEach(fn => fn(res)),
+    // Runs a request through the route handler → { action, options }
+    request: async (method, url, postData) => {
+      let outcome = null;
+      const route = {
+        request: () => fakeRequest(method, url, postData),
+        fulfill: async options => { outcome = { action: 'fulfill', ...options, body: String(options.body) }; },
+        abort: async code => { outcome = { action: 'abort', code }; },
+        fallback: async () => { outcome = { action: 'fallback' }; },
+      };
+      await handler(route);
+      return outcome;
+    },
+  };
+}
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const fixtures = require(path.resolve(__dirname, '../src/skill-helpers/browser-fixtures.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- spec ---');
+
+  await test('resolves launch opts and THINKDROP_BROWSER_FIXTURES, rejects bad specs', async () => {
+    assert.equal(fixtures.resolveSpec(undefined, {}), null);
+    assert.equal(fixtures.resolveSpec(false, { THINKDROP_BROWSER_FIXTURES: 'record:/tmp/x' }), null);
+
+    const fromEnv = fixtures.resolveSpec(undefined, { THINKDROP_BROWSER_FIXTURES: `record:${tmpDir}/gmail` });
+    assert.deepEqual([fromEnv.mode, fromEnv.format, fromEnv.path, fromEnv.notFound], ['record', 'dir', path.join(tmpDir, 'gmail'), 'abort']);
+    const har = fixtures.resolveSpec({ mode: 'record', path: `${tmpDir}/spotify.har`, url: 'spotify\\.com' });
+    assert.equal(har.format, 'har');
+    assert.ok(har.url.test('https://open.spotify.com/'));
+
+    assert.throws(() => fixtures.resolveSpec(undefined, { THINKDROP_BROWSER_FIXTURES: 'rewind:/x' }), /must be "record:<path>"/);
+    assert.throws(() => fixtures.resolveSpec({ mode: 'play', path: tmpDir }), /mode must be record \| replay/);
+    assert.throws(() => fixtures.resolveSpec({ mode: 'replay', path: `${tmpDir}/missing` }), /No recorded fixtures at .*index\.json/);
+    assert.throws(() => fixtures.resolveSpec({ mode: 'replay', path: `${tmpDir}/missing.har` }), /No recorded fixtures/);
+    assert.throws(() => fixtures.resolveSpec({ mode: 'record', path: tmpDir, notFound: 'ignore' }), /notFound must be abort \| fallback/);
+  });
+
+  await test('THINKDROP_BROWSER_FIXTURES gives every session its own recording', async () => {
+    const env = { THINKDROP_BROWSER_FIXTURES: `record:${tmpDir}/shared` };
+    assert.equal(fixtures.resolveSpec(undefined, env, 'agent_a').path, path.join(tmpDir, 'shared', 'agent_a'));
+    assert.equal(fixtures.resolveSpec(undefined, env, 'agent/../b').path, path.join(tmpDir, 'shared', 'agent_.._b'));
+    const har = fixtures.resolveSpec(undefined, { THINKDROP_BROWSER_FIXTURES: `record:${tmpDir}/run.har` }, 'agent_a');
+    assert.equal(har.path, path.join(tmpDir, 'run.agent_a.har'));
+    // Explicit specs are used as given
+    assert.equal(fixtures.resolveSpec({ mode: 'record', path: `${tmpDir}/shared` }, env, 'agent_a').path, path.join(tmpDir, 'shared'));
+
+    // Replay prefers the session's own recording, else the shared one
+    fs.mkdirSync(path.join(tmpDir, 'shared', 'agent_a'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'shared', 'agent_a', 'index.json'), '{"entries":[]}');
+    fs.writeFileSync(path.join(tmpDir, 'shared', 'index.json'), '{"entries":[]}');
+    const replay = { THINKDROP_BROWSER_FIXTURES: `replay:${tmpDir}/shared` };
+    assert.equal(fixtures.resolveSpec(undefined, replay, 'agent_a').path, path.join(tmpDir, 'shared', 'agent_a'));
+    assert.equal(fixtures.resolveSpec(undefined, replay, 'agent_b').path, path.join(tmpDir, 'shared'));
+  });
+
+  await test('requestKey ignores query order and fragments', async () => {
+    assert.equal(
+      fixtures.requestKey('get', 'https://mail.example.com/inbox?b=2&a=1#msg'),
+      fixtures.requestKey('GET', 'https://mail.example.com/inbox?a=1&b=2'),
+    );
+    assert.notEqual(fixtures.requestKey('GET', 'https://x.test/?a=1'), fixtures.requestKey('POST', 'https://x.test/?a=1'));
+  });
+
+  console.log('\n--- record ---');
+
+  const dir = path.join(tmpDir, 'mail');
+
+  await test('records responses, bodies and redirects into a fixture directory', async () => {
+    const ctx = fakeContext();
+    const recorder = await fixtures.attach(ctx, fixtures.resolveSpec({ mode: 'record', path: dir }));
+    const page = fakeRequest('GET', 'https://mail.example.com/inbox?tab=primary');
+    ctx.emit(fakeResponse(fakeRequest('GET', 'https://mail.example.com/'), { status: 302, headers: { location: '/inbox?tab=primary' } }));
+    ctx.emit(fakeResponse(page, {
+      headers: { 'content-type': 'text/html', 'content-encoding': 'gzip', 'Set-Cookie': 'SID=abc; Secure', authorization: 'Bearer t', 'x-csrf-token': 'c' },
+      body: '<h1>Inbox</h1>',
+    }));
+    ctx.emit(fakeResponse(fakeRequest('POST', 'https://mail.example.com/api/poll', '{"since":1}'), { body: '{"unread":1}' }));
+    ctx.emit(fakeResponse(fakeRequest('POST', 'https://mail.example.com/api/poll', '{"since":1}'), { body: '{"unread":2}' }));
+    ctx.emit(fakeResponse(fakeRequest('POST', 'https://mail.example.com/api/poll', '{"since":9}'), { body: '{"unread":9}' }));
+    ctx.emit(fakeResponse(fakeRequest('POST', 'https://mail.example.com/telemetry/collect', 'x'), { body: '' }));
+    ctx.emit(fakeResponse(fakeRequest('GET', 'data:image/png;base64,AAAA'), { body: 'AAAA' }));
+    await recorder.flush();
+
+    const index = fixtures.loadIndex(dir);
+    assert.deepEqual(index.entries.map(e => `${e.method} ${e.status}`), ['GET 302', 'GET 200', 'POST 200', 'POST 200', 'POST 200']);
+    assert.equal(index.entries[0].bodyFile, null);
+    assert.equal(fs.readFileSync(path.join(dir, index.entries[1].bodyFile), 'utf8'), '<h1>Inbox</h1>');
+    assert.deepEqual(index.entries[1].headers, { 'content-type': 'text/html', 'content-encoding': 'gzip' }, 'credential headers are not recorded');
+    assert.equal(index.entries[2].postDataSha1, index.entries[3].postDataSha1);
+    assert.deepEqual(recorder.stats(), { mode: 'record', format: 'dir', path: dir, recorded: 5, skipped: 2 });
+  });
+
+  await test('a recorded HAR loses its credential headers and cookies when finalized', async () => {
+    const harPath = path.join(tmpDir, 'mail.har');
+    const recorder = await fixtures.attach({ routeFromHAR: async () => {} }, fixtures.resolveSpec({ mode: 'record', path: harPath }));
+    // What Playwright writes when the context closes
+    fs.writeFileSync(harPath, JSON.stringify({ log: { entries: [{
+      request: { method: 'GET', url: 'https://mail.example.com/', headers: [{ name: 'Cookie', value: 'SID=abc' }, { name: 'Accept', value: '*/*' }], cookies: [{ name: 'SID', value: 'abc' }] },
+      response: { status: 200, headers: [{ name: 'set-cookie', value: 'SID=def' }, { name: 'Content-Type', value: 'text/html' }], cookies: [{ name: 'SID', value: 'def' }] },
+    }] } }));
+    await recorder.finalize();
+    const [entry] = JSON.parse(fs.readFileSync(harPath, 'utf8')).log.entries;
+    assert.deepEqual(entry.request.headers, [{ name: 'Accept', value: '*/*' }]);
+    assert.deepEqual(entry.response.headers, [{ name: 'Content-Type', value: 'text/html' }]);
+    assert.deepEqual([entry.request.cookies, entry.response.cookies], [[], []]);
+  });
+
+  console.log('\n--- replay ---');
+
+  await test('replays recorded responses through context.route', async () => {
+    const ctx = fakeContext();
+    const player = await fixtures.attach(ctx, fixtures.resolveSpec({ mode: 'replay', path: dir }));
+
+    const redirect = await ctx.request('GET', 'https://mail.example.com/');
+    assert.deepEqual([redirect.action, redirect.status, redirect.headers.location], ['fulfill', 302, '/inbox?tab=primary']);
+
+    const inbox = await ctx.request('GET', 'https://mail.example.com/inbox?tab=primary#thread-1');
+    assert.equal(inbox.body, '<h1>Inbox</h1>');
+    assert.equal(inbox.headers['content-encoding'], undefined, 'stored body is already decoded');
+    assert.equal(inbox.headers['content-type'], 'text/html');
+
+    // Same request body: served in recorded order, then the last one repeats
+    const polls = [];
+    for (let i = 0; i < 3; i++) polls.push((await ctx.request('POST', 'https://mail.example.com/api/poll', '{"since":1}')).body);
+    assert.deepEqual(polls, ['{"unread":1}', '{"unread":2}', '{"unread":2}']);
+    assert.equal((await ctx.request('POST', 'https://mail.example.com/api/poll', '{"since":9}')).body, '{"unread":9}');
+
+    const miss = await ctx.request('GET', 'https://mail.example.com/settings');
+    assert.deepEqual(miss, { action: 'abort', code: 'internetdisconnected' });
+    assert.equal((await ctx.request('GET', 'blob:https://mail.example.com/1')).action, 'fallback');
+
+    const stats = player.stats();
+    assert.deepEqual([stats.served, stats.missed, stats.misses], [6, 1, ['GET https://mail.example.com/settings']]);
+  });
+
+  await test('notFound fallback and url filters pass other requests to the network', async () => {
+    const ctx = fakeContext();
+    await fixtures.attach(ctx, fixtures.resolveSpec({ mode: 'replay', path: dir, notFound: 'fallback', url: '/api/' }));
+    assert.equal((await ctx.request('GET', 'https://mail.example.com/api/missing')).action, 'fallback');
+    assert.equal((await ctx.request('GET', 'https://mail.example.com/inbox?tab=primary')).action, 'fallback', 'outside the url filter');
+    assert.equal((await ctx.request('POST', 'https://mail.example.com/api/poll', '{"since":1}')).body, '{"unread":1}');
+  });
+
+  console.log('\n--- browser.act ---');
+
+  await test('a fixture session that cannot launch fails navigate instead of using the live browser', async () => {
+    const { browserAct } = require(path.resolve(__dirname, '../src/skills/browser.act.cjs'));
+    const res = await browserAct({
+      action: 'navigate', url: 'https://mail.example.com/', sessionId: 'fixture_missing', headed: false,
+      fixtures: { mode: 'replay', path: path.join(tmpDir, 'never-recorded') },
+    });
+    assert.equal(res.ok, false);
+    assert.match(res.error, /not falling back to the live browser: No recorded fixtures/);
+  });
+
+  summary();
+})();
@@ -0,0 +1,243 @@
+'use strict';
+/**
+ * tests/test-code-index.cjs
+ *
+ * Tests for the persistent code index behind fs.read's symbols / references /
+ * semantic_search actions: symbol extraction, import-graph references, BM25
+ * ranking with synonyms, persistence, and incremental refresh through the
+ * file.watch subscription, idle watcher shutdown, and refusing paths outside any
+ * project. Uses a throwaway project and THINKDROP_CODE_INDEX_DIR.
+ *
+ * Run: node tests/test-code-index.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-code-index-'));
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-code-index-state-'));
+process.env.THINKDROP_CODE_INDEX_DIR = stateDir;
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+async function summary() {
+  const { fileWatch, WATCHERS } = require(path.resolve(__dirname, '../src/skills/file.watch.cjs'));
+  for (const watchId of [...WATCHERS.keys()]) await fileWatch({ action: 'stop', watchId });
+  fs.rmSync(projectDir, { recursive: true, force: true });
+  fs.rmSync(stateDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+const write = (rel, text) => {
+  fs.mkdirSync(path.dirname(path.join(projectDir, rel)), { recursive: true });
+  fs.writeFileSync(path.join(projectDir, rel), text);
+};
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+write('package.json', '{ "name": "demo" }\n');
+write('src/auth/session.js', [
+  "const { findUser } = require('../db/users');",
+  '',
+  '/** Sign the user in and open a session. */',
+  'async function handleSignIn(req, res) {',
+  '  const user = await findUser(req.body.email);',
+  '  if (!user || !user.checkPassword(req.body.password)) return res.status(401).end();',
+  '  req.session.userId = user.id;',
+  '  res.redirect("/dashboard");',
+  '}',
+  '',
+  'module.exports = { handleSignIn };',
+  '',
+].join('\n'));
+write('src/db/users.js', [
+  'class UserRepository {',
+  '  constructor(pool) { this.pool = pool; }',
+  '  async byEmail(email) {',
+  '    return this.pool.query("select * from users where email = $1", [email]);',
+  '  }',
+  '}',
+  '',
+  'function findUser(email) {',
+  '  return new UserRepository(global.pool).byEmail(email);',
+  '}',
+  '',
+  'module.exports = { UserRepository, findUser };',
+  '',
+].join('\n'));
+write('src/routes.ts', [
+  "import { handleSignIn } from './auth/session';",
+  "import express from 'express';",
+  '',
+  'export const router = express.Router();',
+  "router.post('/login', handleSignIn);",
+  '',
+  'export interface RouteOptions { prefix: string }',
+  '',
+].join('\n'));
+write('tools/report.py', [
+  'from .helpers import render',
+  '',
+  'class Report:',
+  '    def build_invoice_total(self, lines):',
+  '        return sum(l.amount for l in lines)',
+  '',
+  'def main():',
+  '    print(render(Report()))',
+  '',
+].join('\n'));
+write('node_modules/lib/index.js', 'function shouldNotBeIndexed() {}\n');
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const codeIndex = require(path.resolve(__dirname, '../src/skill-helpers/code-index.cjs'));
+const { fsRead } = require(path.resolve(__dirname, '../src/skills/fs.read.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- tokenizing / parsing ---');
+
+  await test('identifiers split on camelCase and snake_case', async () => {
+    const terms = codeIndex.tokenize('handleUserLogin build_invoice_total');
+    for (const t of ['handle', 'user', 'login', 'build', 'invoice', 'total']) assert.ok(terms.includes(t), t);
+  });
+
+  await test('symbols: functions, classes, methods, exports across languages', async () => {
+    const res = await fsRead({ action: 'symbols', path: projectDir, limit: 100 });
+    assert.equal(res.ok, true, res.error);
+    const byName = Object.fromEntries(res.symbols.map(s => [s.name, s]));
+    assert.deepEqual([byName.handleSignIn.kind, byName.handleSignIn.exported, byName.handleSignIn.line], ['function', true, 4]);
+    assert.equal(byName.UserRepository.kind, 'class');
+    assert.equal(byName.byEmail.parent, 'UserRepository');
+    assert.equal(byName.RouteOptions.kind, 'interface');
+    assert.equal(byName.build_invoice_total.kind, 'method');
+    assert.equal(byName.shouldNotBeIndexed, undefined, 'node_modules is excluded');
+
+    const filtered = await fsRead({ action: 'symbols', path: projectDir, query: 'user', kind: 'class' });
+    assert.deepEqual(filtered.symbols.map(s => s.name), ['UserRepository']);
+  });
+
+  console.log('\n--- references ---');
+
+  await test('references: definition, importers and usages of a symbol', async () => {
+    const res = await fsRead({ action: 'references', path: projectDir, symbol: 'handleSignIn' });
+    assert.equal(res.ok, true, res.error);
+    assert.deepEqual(res.definitions.map(d => d.file), [path.join('src', 'auth', 'session.js')]);
+    assert.deepEqual(res.importedBy.map(i => i.file), ['src/routes.ts']);
+    const usageLines = res.occurrences.map(o => `${o.file}:${o.line}`);
+    assert.ok(usageLines.includes('src/routes.ts:5'), usageLines.join(', '));
+  });
+
+  await test('references on a file path returns its import graph', async () => {
+    const res = await fsRead({ action: 'references', path: path.join(projectDir, 'src/db/users.js') });
+    assert.equal(res.ok, true, res.error);
+    assert.deepEqual(res.importedBy.map(i => i.file), ['src/auth/session.js']);
+    const explore = await fsRead({ action: 'explore', path: projectDir, maxFiles: 2 });
+    assert.equal(explore.centralFiles[0].importedBy, 1);
+  });
+
+  console.log('\n--- semantic_search ---');
+
+  await test('"where is the login handler" ranks the sign-in code first', async () => {
+    const res = await fsRead({ action: 'semantic_search', path: projectDir, query: 'where is the login handler', limit: 3 });
+    assert.equal(res.ok, true, res.error);
+    assert.ok(['src/auth/session.js', 'src/routes.ts'].includes(res.results[0].file), res.results[0].file);
+    const session = res.results.find(r => r.file === 'src/auth/session.js');
+    assert.ok(session && session.symbols.includes('handleSignIn'));
+    assert.match(session.snippet, /handleSignIn/);
+
+    const invoice = await fsRead({ action: 'semantic_search', path: projectDir, query: 'invoice total' });
+    assert.equal(invoice.results[0].file, 'tools/report.py');
+  });
+
+  console.log('\n--- persistence / incremental ---');
+
+  await test('the index is persisted and picks up edits via file.watch', async () => {
+    assert.equal(fs.readdirSync(stateDir).filter(f => f.endsWith('.json')).length, 1);
+    const index = codeIndex.peekIndex(projectDir);
+    for (let i = 0; i < 20 && !index.stats().watching; i++) await sleep(50);
+    assert.equal(index.stats().watching, true, 'watcher attached');
+
+    write('src/billing/refund.js', 'export function issueRefund(order) { return order.total; }\n');
+    for (let i = 0; i < 40 && !index.dirty.size; i++) await sleep(50);
+    const res = await fsRead({ action: 'symbols', path: projectDir, query: 'issueRefund' });
+    assert.deepEqual(res.symbols.map(s => s.file), ['src/billing/refund.js']);
+
+    fs.unlinkSync(path.join(projectDir, 'tools/report.py'));
+    for (let i = 0; i < 40 && !index.dirty.size; i++) await sleep(50);
+    const gone = await fsRead({ action: 'symbols', path: projectDir, query: 'Report', kind: 'class' });
+    assert.equal(gone.count, 0);
+  });
+
+  await test('reindex rebuilds the stored index from scratch', async () => {
+    const data = JSON.parse(fs.readFileSync(path.join(stateDir, fs.readdirSync(stateDir)[0]), 'utf8'));
+    assert.ok(data.files['src/routes.ts']);
+    const res = await fsRead({ action: 'semantic_search', path: projectDir, query: 'refund', reindex: true });
+    assert.equal(res.results[0].file, 'src/billing/refund.js');
+  });
+
+  await test('an index left idle stops its watcher and is dropped from memory', async () => {
+    const { WATCHERS } = require(path.resolve(__dirname, '../src/skills/file.watch.cjs'));
+    const idleDir = path.join(projectDir, 'tools', 'idle');
+    fs.mkdirSync(idleDir, { recursive: true });
+    fs.writeFileSync(path.join(idleDir, 'go.mod'), 'module idle\n');
+    fs.writeFileSync(path.join(idleDir, 'main.go'), 'package main\n\nfunc main() {}\n');
+
+    const index = await codeIndex.getIndex(idleDir, { idleMs: 400 });
+    for (let i = 0; i < 20 && !index.stats().watching; i++) await sleep(50);
+    const { watchId } = index;
+    assert.ok(watchId && WATCHERS.has(watchId), 'watcher attached');
+
+    for (let i = 0; i < 40 && WATCHERS.has(watchId); i++) await sleep(50);
+    assert.equal(WATCHERS.has(watchId), false, 'watcher stopped');
+    assert.notEqual(codeIndex.peekIndex(idleDir), index);
+    assert.equal(codeIndex.peekIndex(idleDir).stats().watching, false);
+
+    const again = await codeIndex.getIndex(idleDir, { idleMs: 400 });
+    assert.deepEqual(again.symbols({ query: 'main' }).map(s => s.file), ['main.go']);
+  });
+
+  console.log('\n--- project roots ---');
+
+  await test('a path outside any project is refused unless root is given', async () => {
+    const loose = fs.mkdtempSync(path.join(os.tmpdir(), 'td-code-index-loose-'));
+    try {
+      fs.writeFileSync(path.join(loose, 'notes.js'), 'function jotDown() {}\n');
+      assert.equal(codeIndex.findProjectRoot(loose), null);
+      assert.equal(codeIndex.findProjectRoot(path.join(projectDir, 'src', 'auth')), projectDir);
+
+      const refused = await fsRead({ action: 'symbols', path: loose, query: 'jotDown' });
+      assert.equal(refused.ok, false);
+      assert.match(refused.error, /No project root above .* pass root/);
+
+      const res = await fsRead({ action: 'symbols', path: loose, root: loose, query: 'jotDown' });
+      assert.deepEqual(res.symbols.map(s => s.file), ['notes.js']);
+      const outside = await fsRead({ action: 'symbols', path: loose, root: projectDir });
+      assert.match(outside.error, /is not under root/);
+    } finally {
+      fs.rmSync(loose, { recursive: true, force: true });
+    }
+  });
+
+  await summary();
+})();
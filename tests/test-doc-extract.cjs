@@ -0,0 +1,313 @@
+'use strict';
+/**
+ * tests/test-doc-extract.cjs
+ *
+ * Tests for format-aware fs.read: PDF pages (plain, compressed, ToUnicode and
+ * object-stream fonts), DOCX headings/paragraphs/tables, XLSX typed sheets
+ * with dates and shared strings, CSV sniffing and EPUB chapters, and the
+ * decompression caps that stop ZIP/PDF bombs. Fixtures are generated in a
+ * temp dir — no binary files are checked in.
+ *
+ * Run: node tests/test-doc-extract.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-docs-'));
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+// ─── Fixture builders ─────────────────────────────────────────────────────────
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** Minimal ZIP writer: { 'name': string|Buffer } → Buffer (deflated entries). */
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const comp = zlib.deflateRawSync(data);
+    const nameBuf = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); local.writeUInt16LE(20, 4); local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc32(data), 14); local.writeUInt32LE(comp.length, 18); local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); central.writeUInt16LE(20, 4); central.writeUInt16LE(20, 6); central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc32(data), 16); central.writeUInt32LE(comp.length, 20); central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28); central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, comp);
+    centrals.push(central, nameBuf);
+    offset += 30 + nameBuf.length + comp.length;
+  }
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  const count = Object.keys(files).length;
+  eocd.writeUInt32LE(0x06054b50, 0); eocd.writeUInt16LE(count, 8); eocd.writeUInt16LE(count, 10);
+  eocd.writeUInt32LE(cd.length, 12); eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cd, eocd]);
+}
+
+/** Minimal PDF writer: objects are [num, dictString, streamBuffer?]. */
+function pdf(objects, rootNum) {
+  const parts = [Buffer.from('%PDF-1.5\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let size = parts[0].length;
+  const offsets = {};
+  for (const [num, dict, stream] of objects) {
+    offsets[num] = size;
+    const chunk = stream
+      ? Buffer.concat([Buffer.from(`${num} 0 obj\n${dict.replace('LEN', String(stream.length))}\nstream\n`, 'latin1'), stream, Buffer.from('\nendstream\nendobj\n')])
+      : Buffer.from(`${num} 0 obj\n${dict}\nendobj\n`, 'latin1');
+    parts.push(chunk);
+    size += chunk.length;
+  }
+  parts.push(Buffer.from(`trailer\n<< /Root ${rootNum} 0 R /Size ${objects.length + 1} >>\nstartxref\n${size}\n%%EOF\n`));
+  return Buffer.concat(parts);
+}
+
+function buildPdf() {
+  const page1 = Buffer.from([
+    'BT /F1 12 Tf 72 720 Td (Quarterly Report) Tj',
+    '0 -16 Td [(Rev) 20 (enue gr) -10 (ew) -300 (12%) ] TJ',
+    'T* (Costs \\(net\\) fell) Tj ET',
+  ].join('\n'));
+  // Page 2: Type0 font with a ToUnicode CMap, hex glyph ids, Flate-compressed content.
+  const cmap = Buffer.from([
+    '/CIDInit /ProcSet findresource begin 12 dict begin begincmap',
+    '1 begincodespacerange <0000> <FFFF> endcodespacerange',
+    '2 beginbfchar <0001> <0048> <0002> <0069> endbfchar',
+    '1 beginbfrange <0003> <0005> <0041> endbfrange',
+    'endcmap end end',
+  ].join('\n'));
+  const page2 = zlib.deflateSync(Buffer.from('BT /F2 10 Tf 1 0 0 1 72 700 Tm <00010002> Tj 1 0 0 1 72 680 Tm <000300040005> Tj ET'));
+  // Page 2's page object lives in an object stream (PDF 1.5).
+  const page2Obj = '<< /Type /Page /Parent 2 0 R /Resources << /Font << /F2 7 0 R >> >> /Contents 6 0 R >>';
+  const objStm = Buffer.from(`5 0 ${page2Obj}`);
+  return pdf([
+    [1, '<< /Type /Catalog /Pages 2 0 R >>'],
+    [2, '<< /Type /Pages /Kids [3 0 R 5 0 R] /Count 2 /Resources << /Font << /F1 4 0 R >> >> >>'],
+    [3, '<< /Type /Page /Parent 2 0 R /Contents 10 0 R >>'],
+    [4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'],
+    [6, '<< /Length LEN /Filter /FlateDecode >>', page2],
+    [7, '<< /Type /Font /Subtype /Type0 /BaseFont /Custom /Encoding /Identity-H /ToUnicode 8 0 R >>'],
+    [8, '<< /Length LEN >>', cmap],
+    [9, `<< /Type /ObjStm /N 1 /First 4 /Length LEN >>`, objStm],
+    [10, '<< /Length LEN >>', page1],
+  ], 1);
+}
+
+function buildDocx() {
+  const p = (text, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+  const cell = text => `<w:tc><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:tc>`;
+  const body = [
+    p('Project Plan', 'Title'),
+    p('Scope', 'Heading1'),
+    p('We ship &amp; support <b>two</b> platforms.'.replace('<b>', '&lt;b&gt;').replace('</b>', '&lt;/b&gt;')),
+    p('Risks', 'Kop2'),
+    `<w:tbl><w:tr>${cell('Risk')}${cell('Owner')}</w:tr><w:tr>${cell('Delay')}${cell('Ana')}</w:tr></w:tbl>`,
+    p('Closing words.'),
+  ].join('');
+  return zip({
+    '[Content_Types].xml': '<Types/>',
+    'word/document.xml': `<?xml version="1.0"?><w:document xmlns:w="x"><w:body>${body}<w:sectPr/></w:body></w:document>`,
+    'word/styles.xml': '<w:styles><w:style w:type="paragraph" w:styleId="Kop2"><w:name w:val="heading 2"/></w:style></w:styles>',
+    'docProps/core.xml': '<cp:coreProperties><dc:title>Plan</dc:title><dc:creator>Sam</dc:creator></cp:coreProperties>',
+  });
+}
+
+function buildXlsx() {
+  const c = (ref, v, t, s) => `<c r="${ref}"${t ? ` t="${t}"` : ''}${s ? ` s="${s}"` : ''}><v>${v}</v></c>`;
+  const sheet1 = `<worksheet><sheetData>
+    <row r="1">${c('A1', 0, 's')}${c('B1', 1, 's')}${c('C1', 2, 's')}</row>
+    <row r="2">${c('A2', 3, 's')}${c('B2', 45292, null, 1)}${c('C2', 19.5)}</row>
+    <row r="3">${c('A3', 4, 's')}${c('B3', 45323, null, 1)}${c('C3', 7)}</row>
+  </sheetData></worksheet>`;
+  const sheet2 = `<worksheet><sheetData><row r="7"><c r="B7" t="inlineStr"><is><t>total</t></is></c>${c('C7', 1, 'b')}</row></sheetData></worksheet>`;
+  return zip({
+    'xl/workbook.xml': '<workbook><sheets><sheet name="Sales" sheetId="1" r:id="rId1"/><sheet name="Sheet2" sheetId="2" r:id="rId2"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Target="worksheets/sheet2.xml"/></Relationships>',
+    'xl/sharedStrings.xml': '<sst><si><t>Item</t></si><si><t>Date</t></si><si><t>Amount</t></si><si><r><t>Tea</t></r><r><t xml:space="preserve"> &amp; cake</t></r></si><si><t>Coffee</t></si></sst>',
+    'xl/styles.xml': '<styleSheet><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>',
+    'xl/worksheets/sheet1.xml': sheet1,
+    'xl/worksheets/sheet2.xml': sheet2,
+  });
+}
+
+function buildEpub() {
+  return zip({
+    mimetype: 'application/epub+zip',
+    'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>',
+    'OEBPS/content.opf': `<package><metadata><dc:title>Short Tales</dc:title><dc:creator>R. Writer</dc:creator></metadata>
+      <manifest><item id="c1" href="text/one.xhtml" media-type="application/xhtml+xml"/><item id="c2" href="text/two.xhtml" media-type="application/xhtml+xml"/><item id="css" href="s.css" media-type="text/css"/></manifest>
+      <spine><itemref idref="c2"/><itemref idref="c1"/></spine></package>`,
+    'OEBPS/text/one.xhtml': '<html><head><title>One</title><style>p{}</style></head><body><h1>The End</h1><p>They left.</p></body></html>',
+    'OEBPS/text/two.xhtml': '<html><body><h2>Beginning</h2><p>It was a <em>dark</em>&#160;night.</p><p>Rain.</p></body></html>',
+  });
+}
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const { fsRead, getOutputContract } = require(path.resolve(__dirname, '../src/skills/fs.read.cjs'));
+const docExtract = require(path.resolve(__dirname, '../src/skill-helpers/doc-extract.cjs'));
+
+const write = (name, data) => { const p = path.join(tmpDir, name); fs.writeFileSync(p, data); return p; };
+const readOne = async (p, extra = {}) => {
+  const res = await fsRead({ action: 'read', path: p, ...extra });
+  assert.equal(res.ok, true, res.error);
+  return res.files[0];
+};
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- fs.read documents ---');
+
+  await test('PDF text per page, including ToUnicode fonts in object streams', async () => {
+    const f = await readOne(write('report.pdf', buildPdf()));
+    assert.equal(f.format, 'pdf');
+    assert.equal(f.meta.pageCount, 2);
+    assert.equal(f.pages[0].ref, 'page 1');
+    assert.equal(f.pages[0].text, 'Quarterly Report\nRevenue grew 12%\nCosts (net) fell');
+    assert.equal(f.pages[1].text, 'Hi\nABC');
+    assert.match(f.content, /^\[Page 1\]\nQuarterly Report[\s\S]*\[Page 2\]\nHi/);
+  });
+
+  await test('DOCX headings (Title, built-in and localized styles), paragraphs and tables', async () => {
+    const f = await readOne(write('plan.docx', buildDocx()));
+    assert.equal(f.format, 'docx');
+    assert.deepEqual(f.blocks.map(b => [b.type, b.level ?? null, b.text]), [
+      ['heading', 0, 'Project Plan'],
+      ['heading', 1, 'Scope'],
+      ['paragraph', null, 'We ship & support <b>two</b> platforms.'],
+      ['heading', 2, 'Risks'],
+      ['table', null, 'Risk | Owner\nDelay | Ana'],
+      ['paragraph', null, 'Closing words.'],
+    ]);
+    assert.deepEqual(f.blocks[4].rows, [['Risk', 'Owner'], ['Delay', 'Ana']]);
+    assert.equal(f.meta.author, 'Sam');
+    assert.match(f.content, /# Project Plan\n\n# Scope/);
+  });
+
+  await test('XLSX sheets are typed tables with A1 coordinates', async () => {
+    const f = await readOne(write('sales.xlsx', buildXlsx()));
+    const [sales, sheet2] = f.sheets;
+    assert.equal(sales.range, 'A1:C3');
+    assert.deepEqual(sales.header, ['Item', 'Date', 'Amount']);
+    assert.deepEqual(sales.rows[1], ['Tea & cake', '2024-01-01', 19.5]);
+    assert.deepEqual(sales.columnTypes, ['string', 'date', 'number']);
+    assert.equal(sheet2.range, 'B7:C7');
+    assert.deepEqual(sheet2.rows, [['total', true]]);
+    assert.match(f.content, /\[Sheet2!B7:C7\]\n\tB\tC\n7\ttotal\ttrue/);
+    assert.deepEqual(getOutputContract({ ok: true, action: 'read', files: [f] }).outputs.documents.value[0].refs, ['Sales!A1:C3', 'Sheet2!B7:C7']);
+  });
+
+  await test('CSV delimiter sniffing, quoted fields and typed cells', async () => {
+    const f = await readOne(write('data.csv', 'name;score;joined\n"Lee; Jr.";9.5;2023-05-01\nKim;"007";2024-02-29\n'));
+    const [sheet] = f.sheets;
+    assert.equal(f.meta.delimiter, ';');
+    assert.equal(sheet.ref, 'data');
+    assert.deepEqual(sheet.rows, [['name', 'score', 'joined'], ['Lee; Jr.', 9.5, '2023-05-01'], ['Kim', '007', '2024-02-29']]);
+    assert.deepEqual(sheet.columnTypes, ['string', 'mixed', 'date']);
+  });
+
+  await test('EPUB chapters follow the spine order', async () => {
+    const f = await readOne(write('tales.epub', buildEpub()));
+    assert.deepEqual(f.chapters.map(c => [c.ref, c.title, c.text]), [
+      ['chapter 1', 'Beginning', 'Beginning\n\nIt was a dark night.\n\nRain.'],
+      ['chapter 2', 'The End', 'The End\n\nThey left.'],
+    ]);
+    assert.equal(f.meta.title, 'Short Tales');
+  });
+
+  await test('raw: true and mislabelled files fall back to plain reads', async () => {
+    const raw = await readOne(path.join(tmpDir, 'data.csv'), { raw: true });
+    assert.equal(raw.format, undefined);
+    assert.match(raw.content, /^name;score/);
+    const fake = await readOne(write('notes.pdf', 'just text, not a pdf'));
+    assert.equal(fake.format, undefined);
+    assert.equal(fake.content, 'just text, not a pdf');
+  });
+
+  await test('explore previews top-level documents', async () => {
+    const res = await fsRead({ action: 'explore', path: tmpDir });
+    assert.equal(res.ok, true, res.error);
+    assert.deepEqual(res.documents.map(d => d.format).sort(), ['csv', 'docx', 'epub', 'pdf', 'xlsx']);
+  });
+
+  console.log('\n--- decompression bombs ---');
+
+  await test('a ZIP part that inflates past the per-part cap fails the read with a clear error', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'bombs'));
+    const bomb = path.join(tmpDir, 'bombs', 'bomb.docx');
+    fs.writeFileSync(bomb, zip({ 'word/document.xml': Buffer.alloc(65 * 1024 * 1024, 0x20) }));
+    assert.ok(fs.statSync(bomb).size < 1024 * 1024);
+
+    const res = await fsRead({ action: 'read', path: bomb });
+    const f = res.files[0];
+    assert.equal(f.ok, false);
+    assert.match(f.error, /Document too large after decompression: word\/document\.xml inflates past 64 MB/);
+  });
+
+  await test('ZIP parts and PDF streams share a per-document total cap', async () => {
+    const parts = {};
+    for (let i = 0; i < 3; i++) parts[`OEBPS/text/${i}.xhtml`] = Buffer.alloc(512 * 1024, 'word ');
+    parts['META-INF/container.xml'] = '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>';
+    parts['OEBPS/content.opf'] = `<package><manifest>${[0, 1, 2].map(i => `<item id="c${i}" href="text/${i}.xhtml" media-type="application/xhtml+xml"/>`).join('')}</manifest>
+      <spine>${[0, 1, 2].map(i => `<itemref idref="c${i}"/>`).join('')}</spine></package>`;
+    const epub = write('bombs/wide.epub', zip(parts));
+    assert.throws(() => docExtract.extractDocument(epub, { maxInflatedBytes: 1024 * 1024 }),
+      /Document too large after decompression: parts inflate past 1 MB in total/);
+    assert.equal(docExtract.extractDocument(epub).meta.chapterCount, 3);
+
+    const content = zlib.deflateSync(Buffer.alloc(2 * 1024 * 1024, 0x20));
+    const bombPdf = write('bombs/bomb.pdf', pdf([
+      [1, '<< /Type /Catalog /Pages 2 0 R >>'],
+      [2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+      [3, '<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>'],
+      [4, '<< /Length LEN /Filter /FlateDecode >>', content],
+    ], 1));
+    assert.throws(() => docExtract.extractDocument(bombPdf, { maxInflatedBytes: 1024 * 1024 }),
+      /Document too large after decompression: streams inflate past 1 MB in total/);
+    assert.equal(docExtract.extractDocument(bombPdf).meta.pageCount, 1);
+  });
+
+  summary();
+})();
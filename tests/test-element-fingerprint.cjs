@@ -0,0 +1,262 @@
+'use strict';
+/**
+ * tests/test-element-fingerprint.cjs
+ *
+ * Tests for persistent element fingerprints (skill-helpers/element-fingerprint.cjs):
+ * capture against a small fake DOM (accessible name, labels, context, structural
+ * path), similarity scoring across re-renders, the "fp:" selector form, recipe
+ * waypoint selector lists, and resolve() against a fake page — tagging the best
+ * match, retrying when it detaches, and refusing matches below the threshold.
+ * Nothing runs in a browser.
+ *
+ * Run: node tests/test-element-fingerprint.cjs
+ */
+
+const assert = require('assert').strict;
+const path = require('path');
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+const viewport = { width: 1280, height: 800 };
+
+// The compose form's Send button as the trainer recorded it
+const recordedSend = {
+  v: 1, tag: 'button', role: 'button', type: 'submit', name: 'Send', text: 'Send', label: '',
+  context: 'New message To Subject', placeholder: '', attrs: { id: '', name: '', testId: '', href: '' },
+  path: ['body', 'div[3]', 'form', 'div[2]', 'button[1]'],
+  rect: { x: 900, y: 700, width: 80, height: 32 }, viewport,
+};
+
+// The same button after a re-render: new wrapper index, moved, slightly wider
+const rerenderedSend = {
+  ...recordedSend, path: ['body', 'div[4]', 'form', 'div', 'div[2]', 'button[1]'],
+  rect: { x: 880, y: 690, width: 96, height: 32 },
+};
+
+const cancel = {
+  ...recordedSend, type: 'button', name: 'Cancel', text: 'Cancel',
+  path: ['body', 'div[4]', 'form', 'div', 'div[2]', 'button[2]'],
+  rect: { x: 990, y: 690, width: 80, height: 32 },
+};
+
+// A fake page: string evaluates run the candidate collector, function evaluates tag
+function fakePage(candidates, { detachFirst = false } = {}) {
+  const calls = { collect: 0, tag: [] };
+  let detach = detachFirst;
+  return {
+    calls,
+    evaluate: async (script, arg) => {
+      if (typeof script === 'string') { calls.collect++; return candidates; }
+      calls.tag.push(arg);
+      if (detach) { detach = false; return false; }
+      return true;
+    },
+  };
+}
+
+// Just enough DOM for the capture function: h(tag, attrs, ...children|text)
+function h(tag, attrs = {}, ...children) {
+  const el = {
+    nodeType: 1,
+    tagName: tag.toUpperCase(),
+    attrs,
+    children: [],
+    text: '',
+    parentNode: null,
+    rect: attrs._rect || { left: 0, top: 0, width: 10, height: 10 },
+    get id() { return attrs.id || ''; },
+    get type() { return attrs.type || (tag === 'input' ? 'text' : ''); },
+    get value() { return attrs.value || ''; },
+    get parentElement() { return el.parentNode && el.parentNode.nodeType === 1 ? el.parentNode : null; },
+    get previousElementSibling() {
+      const sibs = el.parentNode ? el.parentNode.children : [];
+      return sibs[sibs.indexOf(el) - 1] || null;
+    },
+    get textContent() { return el.text + el.children.map(c => c.textContent).join(' '); },
+    getAttribute: n => (n in attrs && !n.startsWith('_') ? String(attrs[n]) : null),
+    hasAttribute: n => n in attrs,
+    getBoundingClientRect: () => el.rect,
+    getRootNode: () => fakeDocument,
+    closest(sel) {
+      for (let n = el; n && n.nodeType === 1; n = n.parentNode) if (n.tagName.toLowerCase() === sel) return n;
+      return null;
+    },
+    querySelector(sel) {
+      const wanted = sel.split(',').map(x => x.trim());
+      const walk = (n) => {
+        for (const c of n.children) {
+          if (wanted.includes(c.tagName.toLowerCase()) || (wanted.includes('[role="heading"]') && c.attrs.role === 'heading')) return c;
+          const found = walk(c);
+          if (found) return found;
+        }
+        return null;
+      };
+      return walk(el);
+    },
+  };
+  for (const c of children) {
+    if (typeof c === 'string') el.text += c;
+    else { c.parentNode = el; el.children.push(c); }
+  }
+  return el;
+}
+
+const all = n => [n, ...n.children.flatMap(all)];
+const fakeDocument = {
+  body: null,
+  getElementById: id => all(fakeDocument.body).find(n => n.attrs.id === id) || null,
+};
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const fingerprint = require(path.resolve(__dirname, '../src/skill-helpers/element-fingerprint.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- capture ---');
+
+  await test('capture reads the accessible name, nearby label, context and structural path', async () => {
+    const to = h('input', { id: 'to-field', 'aria-labelledby': 'to-lbl', placeholder: 'Recipients', _rect: { left: 100, top: 40, width: 300, height: 24 } });
+    const email = h('input', { id: ':r3:', name: 'email', type: 'email' });
+    const emailLabel = h('label', {}, 'Email');
+    email.labels = [emailLabel];
+    const send = h('button', { type: 'submit', 'data-testid': 'send-btn' }, 'Send');
+    const form = h('form', {},
+      h('h2', {}, 'New message'),
+      h('div', {}, h('span', { id: 'to-lbl' }, 'To'), to),
+      h('div', {}, h('p', {}, 'Contact details'), h('div', {}, emailLabel, email)),
+      send);
+    fakeDocument.body = h('body', {}, h('div', {}), h('div', {}, form));
+    global.document = fakeDocument;
+    global.window = { scrollX: 0, scrollY: 200, innerWidth: 1280, innerHeight: 800 };
+    try {
+      const toFp = fingerprint.captureElement(to);
+      assert.equal(toFp.role, 'textbox');
+      assert.equal(toFp.name, 'To');
+      assert.equal(toFp.label, 'New message'); // its own span is the name; the wrapper's heading is next
+      assert.equal(toFp.placeholder, 'Recipients');
+      assert.equal(toFp.context, 'New message');
+      assert.equal(toFp.attrs.id, 'to-field');
+      assert.deepEqual(toFp.path, ['div[2]', 'form', 'div[1]', 'input']);
+      assert.deepEqual(toFp.rect, { x: 100, y: 240, width: 300, height: 24 });
+
+      // <label> text names the field; the wrapper's preceding text becomes its label.
+      // React-style ids are dropped.
+      const emailFp = fingerprint.captureElement(email);
+      assert.deepEqual([emailFp.name, emailFp.label, emailFp.type], ['Email', 'Contact details', 'email']);
+      assert.deepEqual(emailFp.attrs, { id: '', name: 'email', testId: '', href: '' });
+      assert.deepEqual(emailFp.path, ['div[2]', 'form', 'div[2]', 'div', 'input']);
+
+      const sendFp = fingerprint.captureElement(send);
+      assert.deepEqual([sendFp.role, sendFp.name, sendFp.text, sendFp.attrs.testId], ['button', 'Send', '', 'send-btn']);
+      assert.deepEqual(sendFp.path, ['div[2]', 'form', 'button']);
+      assert.equal(fingerprint.captureElement({ nodeType: 3 }), null);
+    } finally {
+      delete global.document;
+      delete global.window;
+    }
+  });
+
+  console.log('\n--- similarity ---');
+
+  await test('a re-rendered element outscores its neighbours and clears the threshold', async () => {
+    const ranked = fingerprint.rank(recordedSend, [cancel, rerenderedSend]);
+    assert.equal(ranked[0].index, 1);
+    assert.ok(ranked[0].score >= fingerprint.DEFAULT_THRESHOLD, `send scored ${ranked[0].score}`);
+    assert.ok(ranked[1].score < fingerprint.DEFAULT_THRESHOLD, `cancel scored ${ranked[1].score}`);
+    assert.equal(ranked[0].parts.name, 1);
+    assert.ok(ranked[0].parts.path > 0 && ranked[0].parts.path < 1);
+
+    // Unknown recorded features are skipped, not counted as mismatches
+    const { parts } = fingerprint.similarity({ tag: 'button', name: 'Send' }, rerenderedSend);
+    assert.deepEqual(Object.keys(parts).sort(), ['name', 'tag']);
+  });
+
+  await test('textSimilarity gives credit for equal, contained and shared-word text', async () => {
+    assert.equal(fingerprint.textSimilarity('Send', '  send '), 1);
+    assert.ok(fingerprint.textSimilarity('Send', 'Send now') > 0.7);
+    assert.ok(fingerprint.textSimilarity('Search mail', 'Search all mail') > 0.5);
+    assert.equal(fingerprint.textSimilarity('Send', 'Cancel'), 0);
+    assert.equal(fingerprint.textSimilarity('', 'Send'), 0);
+  });
+
+  console.log('\n--- selectors ---');
+
+  await test('fp: selectors round-trip and reject bad input', async () => {
+    const sel = fingerprint.toSelector(recordedSend);
+    assert.ok(fingerprint.isFingerprintSelector(sel));
+    assert.deepEqual(fingerprint.parseSelector(sel), recordedSend);
+    assert.equal(fingerprint.parseSelector('button.send'), null);
+    assert.throws(() => fingerprint.parseSelector('fp:{oops'), /Invalid fingerprint selector/);
+    assert.throws(() => fingerprint.toSelector({ context: 'x' }), /needs at least a tag, role or name/);
+
+    assert.equal(fingerprint.describe(recordedSend), 'button "Send"');
+    assert.equal(fingerprint.describe({ tag: 'input', role: 'textbox', placeholder: 'Recipients', label: 'To' }), 'textbox "Recipients" near "To"');
+  });
+
+  await test('waypointSelectors puts the fingerprint first; scanner entries become fingerprints', async () => {
+    const wp = { fingerprint: recordedSend, selector: '#send', altSelectors: ['text=Send'] };
+    assert.deepEqual(fingerprint.waypointSelectors(wp), [fingerprint.toSelector(recordedSend), '#send', 'text=Send']);
+    assert.deepEqual(fingerprint.waypointSelectors({ selector: '#send' }), ['#send']);
+
+    const fp = fingerprint.fromScannerEntry({ tag: 'input', role: 'textbox', label: 'To', placeholder: 'Recipients' });
+    assert.deepEqual([fp.tag, fp.type, fp.name, fp.placeholder], ['input', 'text', 'To', 'Recipients']);
+  });
+
+  await test('capture source is ES5-embeddable and yields a page function', async () => {
+    new Function(fingerprint.CAPTURE_SOURCE);
+    assert.match(fingerprint.CAPTURE_SOURCE, /^var __tdFingerprint = function/);
+    assert.equal(typeof fingerprint.captureElement, 'function');
+  });
+
+  console.log('\n--- resolve ---');
+
+  await test('resolve tags the best match and reports score, margin and runners-up', async () => {
+    const page = fakePage([cancel, rerenderedSend]);
+    const res = await fingerprint.resolve(page, recordedSend);
+    assert.match(res.selector, /^\[data-td-fp="fp\d+"\]$/);
+    assert.equal(page.calls.tag[0].index, 1);
+    assert.equal(res.match, rerenderedSend);
+    assert.ok(res.margin > 0);
+    assert.deepEqual(res.candidates.map(c => c.element), ['button "Send"', 'button "Cancel"']);
+  });
+
+  await test('resolve re-collects once when the match detaches, and throws below the threshold', async () => {
+    const page = fakePage([rerenderedSend], { detachFirst: true });
+    const res = await fingerprint.resolve(page, recordedSend);
+    assert.equal(page.calls.collect, 2);
+    assert.notEqual(page.calls.tag[0].token, page.calls.tag[1].token);
+    assert.equal(res.selector, `[data-td-fp="${page.calls.tag[1].token}"]`);
+
+    await assert.rejects(
+      fingerprint.resolve(fakePage([cancel]), recordedSend),
+      /No element matches fingerprint button "Send" \(best button "Cancel" scored 0\.\d+; threshold 0\.65\)/,
+    );
+    await assert.rejects(fingerprint.resolve(fakePage([]), recordedSend), /best candidate: none/);
+  });
+
+  summary();
+})();
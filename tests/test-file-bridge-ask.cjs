@@ -0,0 +1,150 @@
+'use strict';
+/**
+ * tests/test-file-bridge-ask.cjs
+ *
+ * Tests for file.bridge's `ask` round trip: the reply is matched by ref, its body
+ * parsed (fenced JSON, code blocks, Markdown sections), progress replies are
+ * skipped, reminders are written on timeout and replies to them count, and
+ * timeouts / error replies fail cleanly. A fake agent appends WS: blocks to the
+ * channel's Markdown file the way an IDE would. Runs in a throwaway
+ * THINKDROP_BRIDGE_DIR.
+ *
+ * Run: node tests/test-file-bridge-ask.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-bridge-ask-'));
+process.env.THINKDROP_BRIDGE_DIR = baseDir;
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(baseDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const channels = require(path.resolve(__dirname, '../src/skill-helpers/bridge-channels.cjs'));
+const { fileBridge } = require(path.resolve(__dirname, '../src/skills/file.bridge.cjs'));
+
+/**
+ * Fake IDE agent: after a delay, appends each reply to the newest TD request on
+ * the channel (or, with refTo 'latest', to the newest TD block — e.g. a reminder).
+ */
+async function agent(channel, replies, { delayMs = 150 } = {}) {
+  const ch = channels.resolveChannel(channel);
+  for (const reply of replies) {
+    await sleep(reply.delayMs ?? delayMs);
+    const blocks = channels.parseBlocks(fs.readFileSync(ch.mdFile, 'utf8')).filter(b => b.prefix === 'TD');
+    const requests = blocks.filter(b => b.type !== 'REMINDER');
+    const target = reply.refTo === 'latest' ? blocks[blocks.length - 1] : requests[requests.length - 1];
+    fs.appendFileSync(ch.mdFile,
+      `\n<!-- WS:RESPONSE id=ws_${Date.now()}${Math.random().toString(36).slice(2, 6)} ref=${target.id} ts=${new Date().toISOString()} status=${reply.status || 'done'} -->\n${reply.body}\n<!-- WS:END -->\n`);
+  }
+}
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- ask ---');
+
+  await test('returns the reply that refs the request, with fenced JSON and sections parsed', async () => {
+    // Noise first: a reply to some other block must not be picked up
+    const other = await fileBridge({ action: 'write', channel: 'ide', message: 'older request' });
+    const body = [
+      '## Summary',
+      'Renamed `parse` to `parseLine` in 3 files.',
+      '',
+      '## Result',
+      '```json',
+      '{ "changedFiles": 3, "tests": "passing" }',
+      '```',
+      '',
+      '```bash',
+      '# not a heading',
+      'npm test',
+      '```',
+    ].join('\n');
+    const ready = agent('ide', [
+      { status: 'working', body: 'on it' },
+      { body },
+    ]);
+    setTimeout(() => {
+      fs.appendFileSync(channels.resolveChannel('ide').mdFile,
+        `\n<!-- WS:RESPONSE id=ws_noise ref=${other.blockId} ts=${new Date().toISOString()} status=done -->\nnot for you\n<!-- WS:END -->\n`);
+    }, 50);
+
+    const res = await fileBridge({ action: 'ask', channel: 'ide', message: 'Rename parse to parseLine', pollTimeoutMs: 5000 });
+    await ready;
+    assert.equal(res.ok, true, res.error);
+    assert.equal(res.response.refId, res.requestId);
+    assert.deepEqual(res.json, { changedFiles: 3, tests: 'passing' });
+    assert.deepEqual(res.codeBlocks.map(b => b.lang), ['json', 'bash']);
+    assert.deepEqual(res.sections.map(s => s.heading), ['Summary', 'Result']);
+    assert.equal(res.byHeading.Summary, 'Renamed `parse` to `parseLine` in 3 files.');
+    assert.deepEqual(res.progress.map(p => p.body), ['on it']);
+    assert.equal(res.reminders, 0);
+  });
+
+  await test('writes a reminder after a silent attempt and accepts a reply to it', async () => {
+    const ready = agent('slow', [{ refTo: 'latest', body: '{"answer": 42}', delayMs: 1300 }]);
+    const res = await fileBridge({ action: 'ask', channel: 'slow', message: 'What is the answer?', pollTimeoutMs: 1000, retries: 2, expect: 'json' });
+    await ready;
+    assert.equal(res.ok, true, res.error);
+    assert.equal(res.reminders, 1);
+    assert.deepEqual(res.json, { answer: 42 });
+
+    const md = fs.readFileSync(channels.resolveChannel('slow').mdFile, 'utf8');
+    assert.match(md, new RegExp(`<!-- TD:REMINDER id=\\S+ ts=\\S+ status=pending ref=${res.requestId} -->\\nReminder 1/2`));
+    const thread = await fileBridge({ action: 'thread', channel: 'slow', refId: res.requestId });
+    assert.deepEqual(thread.blocks.map(b => b.type), ['INSTRUCTION', 'REMINDER', 'RESPONSE']);
+  });
+
+  await test('times out after every attempt and reports error replies', async () => {
+    const silent = await fileBridge({ action: 'ask', channel: 'silent', message: 'hello?', pollTimeoutMs: 600, retries: 1 });
+    assert.equal(silent.ok, false);
+    assert.equal(silent.timedOut, true);
+    assert.equal(silent.reminders, 1);
+    assert.match(silent.error, /after 2 attempt\(s\) of 600ms/);
+
+    const ready = agent('failing', [{ status: 'error', body: 'Build failed: missing module\nstack…' }]);
+    const failed = await fileBridge({ action: 'ask', channel: 'failing', message: 'build it', pollTimeoutMs: 3000 });
+    await ready;
+    assert.equal(failed.ok, false);
+    assert.equal(failed.error, 'Agent reported an error: Build failed: missing module');
+    assert.equal(failed.response.status, 'error');
+
+    const ready2 = agent('prose', [{ body: 'Just prose, no JSON.' }]);
+    const prose = await fileBridge({ action: 'ask', channel: 'prose', message: 'json please', pollTimeoutMs: 3000, expect: 'json' });
+    await ready2;
+    assert.match(prose.error, /did not contain a JSON value/);
+    assert.match((await fileBridge({ action: 'ask', channel: 'prose', message: '' })).error, /message is required/);
+  });
+
+  summary();
+})();
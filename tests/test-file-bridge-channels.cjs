@@ -0,0 +1,212 @@
+'use strict';
+/**
+ * tests/test-file-bridge-channels.cjs
+ *
+ * Tests for file.bridge's channel layer (skill-helpers/bridge-channels.cjs):
+ * named channels, locked appends from concurrent processes, the JSONL sidecar
+ * (including blocks appended to the Markdown by external agents), refId threads,
+ * per-reader poll cursors and clear(). Everything lives in a throwaway
+ * THINKDROP_BRIDGE_DIR.
+ *
+ * Run: node tests/test-file-bridge-channels.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-bridge-'));
+process.env.THINKDROP_BRIDGE_DIR = baseDir;
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(baseDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+const readJsonl = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const channelsPath = path.resolve(__dirname, '../src/skill-helpers/bridge-channels.cjs');
+const channels = require(channelsPath);
+const { fileBridge } = require(path.resolve(__dirname, '../src/skills/file.bridge.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- channels ---');
+
+  await test('named channels get their own Markdown file and sidecar', async () => {
+    const res = await fileBridge({ action: 'write', channel: 'cursor', message: 'Refactor the parser' });
+    assert.equal(res.ok, true, res.error);
+    assert.equal(res.channel, 'cursor');
+    assert.equal(res.bridgeFile, path.join(baseDir, 'bridge', 'cursor.md'));
+    assert.equal(res.seq, 1);
+
+    const md = fs.readFileSync(res.bridgeFile, 'utf8');
+    assert.match(md, /^# ThinkDrop Bridge/);
+    assert.match(md, /\*\*Channel:\*\* cursor/);
+    assert.match(md, new RegExp(`<!-- TD:INSTRUCTION id=${res.blockId} ts=\\S+ status=pending -->\\nRefactor the parser\\n<!-- TD:END -->`));
+
+    const [record] = readJsonl(`${res.bridgeFile}.jsonl`);
+    assert.deepEqual([record.seq, record.id, record.body, record.channel], [1, res.blockId, 'Refactor the parser', 'cursor']);
+    assert.equal(Buffer.from(md).subarray(record.mdOffset, record.mdEnd).toString().startsWith('<!-- TD:INSTRUCTION'), true);
+
+    await fileBridge({ action: 'write', message: 'default channel' });
+    assert.equal(fs.existsSync(path.join(baseDir, 'bridge.md')), true);
+    const list = await fileBridge({ action: 'channels' });
+    assert.deepEqual(list.channels.map(c => c.channel), ['default', 'cursor']);
+    assert.match((await fileBridge({ action: 'read', channel: '../etc' })).error, /Invalid channel name/);
+  });
+
+  await test('concurrent writers from several processes never interleave', async () => {
+    const script = `
+      process.env.THINKDROP_BRIDGE_DIR = ${JSON.stringify(baseDir)};
+      const { fileBridge } = require(${JSON.stringify(path.resolve(__dirname, '../src/skills/file.bridge.cjs'))});
+      (async () => {
+        for (let i = 0; i < 15; i++) {
+          const res = await fileBridge({ action: 'write', channel: 'busy', prefix: 'W' + process.argv[1], message: 'line ' + i + '\\n'.repeat(3) + 'x'.repeat(2000) });
+          if (!res.ok) { console.error(res.error); process.exit(1); }
+        }
+      })();`;
+    const codes = await Promise.all([1, 2, 3].map(n => new Promise((resolve) => {
+      const child = spawn(process.execPath, ['-e', script, String(n)], { stdio: ['ignore', 'ignore', 'inherit'] });
+      const timer = setTimeout(() => child.kill('SIGKILL'), 30000);
+      child.on('exit', code => { clearTimeout(timer); resolve(code); });
+    })));
+    assert.deepEqual(codes, [0, 0, 0]);
+
+    const ch = channels.resolveChannel('busy');
+    const records = readJsonl(ch.jsonlFile);
+    assert.equal(records.length, 45);
+    assert.deepEqual(records.map(r => r.seq), Array.from({ length: 45 }, (_, i) => i + 1));
+    const parsed = channels.parseBlocks(fs.readFileSync(ch.mdFile, 'utf8'));
+    assert.deepEqual(parsed.map(b => b.id), records.map(r => r.id), 'sidecar mirrors Markdown order');
+    assert.equal(fs.existsSync(ch.lockFile), false, 'lock released');
+  });
+
+  await test('a stale lock left by a dead process is broken', async () => {
+    const ch = channels.resolveChannel('stale');
+    fs.mkdirSync(path.dirname(ch.lockFile), { recursive: true });
+    fs.writeFileSync(ch.lockFile, '999999');
+    const res = await fileBridge({ action: 'write', channel: 'stale', message: 'after crash' });
+    assert.equal(res.ok, true, res.error);
+  });
+
+  await test('waiting for a busy lock does not block the event loop', async () => {
+    const ch = channels.resolveChannel('held');
+    fs.mkdirSync(path.dirname(ch.lockFile), { recursive: true });
+    fs.writeFileSync(ch.lockFile, String(process.ppid)); // a live process that is not us
+    let ticks = 0;
+    const ticker = setInterval(() => { ticks++; }, 10);
+    setTimeout(() => fs.unlinkSync(ch.lockFile), 300);
+    try {
+      const res = await fileBridge({ action: 'write', channel: 'held', message: 'after release' });
+      assert.equal(res.ok, true, res.error);
+    } finally {
+      clearInterval(ticker);
+    }
+    assert.ok(ticks >= 10, `only ${ticks} timer ticks ran while waiting for the lock`);
+    assert.equal(fs.existsSync(ch.lockFile), false, 'lock released');
+  });
+
+  console.log('\n--- sidecar, threads and cursors ---');
+
+  await test('blocks appended to the Markdown by external agents are mirrored incrementally', async () => {
+    const q = await fileBridge({ action: 'write', channel: 'windsurf', message: 'Add tests for the lexer' });
+    fs.appendFileSync(q.bridgeFile,
+      `\n<!-- WS:RESPONSE id="ws_1" ref="${q.blockId}" ts=2030-01-01T00:00:00Z status=done -->\nDone — added 12 tests ✓\n<!-- WS:END -->\n` +
+      `\n<!-- WS:NOTE id=ws_half ts=2030-01-01T00:00:01Z status=info -->\nstill typing`);
+    let read = await fileBridge({ action: 'read', channel: 'windsurf', filterPrefix: 'ws' });
+    assert.deepEqual(read.blocks.map(b => [b.id, b.refId, b.body]), [['ws_1', q.blockId, 'Done — added 12 tests ✓']]);
+
+    fs.appendFileSync(q.bridgeFile, '\n<!-- WS:END -->\n');
+    read = await fileBridge({ action: 'read', channel: 'windsurf' });
+    assert.deepEqual(read.blocks.map(b => b.seq), [1, 2, 3]);
+    assert.equal(read.blocks[2].body, 'still typing');
+
+    // A later write still lands after the external blocks, in seq order
+    const next = await fileBridge({ action: 'write', channel: 'windsurf', message: 'next' });
+    assert.equal(next.seq, 4);
+  });
+
+  await test('thread follows refId from any block up to the root and down to replies', async () => {
+    const root = await fileBridge({ action: 'write', channel: 'thread', message: 'Question' });
+    await fileBridge({ action: 'write', channel: 'thread', message: 'Unrelated' });
+    const reply = await fileBridge({ action: 'write', channel: 'thread', prefix: 'WS', blockType: 'RESPONSE', status: 'done', refId: root.blockId, message: 'Answer' });
+    await fileBridge({ action: 'write', channel: 'thread', blockType: 'FOLLOWUP', refId: reply.blockId, message: 'Thanks' });
+
+    const thread = await fileBridge({ action: 'thread', channel: 'thread', refId: reply.blockId });
+    assert.equal(thread.ok, true, thread.error);
+    assert.equal(thread.rootId, root.blockId);
+    assert.deepEqual(thread.blocks.map(b => [b.body, b.depth]), [['Question', 0], ['Answer', 1], ['Thanks', 2]]);
+
+    const replies = await fileBridge({ action: 'read', channel: 'thread', refId: root.blockId });
+    assert.deepEqual(replies.blocks.map(b => b.body), ['Answer']);
+    assert.match((await fileBridge({ action: 'thread', channel: 'thread', refId: 'nope' })).error, /not found/);
+  });
+
+  await test('poll returns only blocks each reader has not seen', async () => {
+    const ask = await fileBridge({ action: 'write', channel: 'poll', message: 'ping' });
+    // The reply lands before the first poll — the cursor pinned by write still catches it
+    fs.appendFileSync(ask.bridgeFile, `\n<!-- WS:RESPONSE id=ws_p1 ref=${ask.blockId} ts=${new Date().toISOString()} status=done -->\npong\n<!-- WS:END -->\n`);
+
+    const first = await fileBridge({ action: 'poll', channel: 'poll', pollTimeoutMs: 1000 });
+    assert.deepEqual(first.newBlocks.map(b => b.id), ['ws_p1']);
+    const again = await fileBridge({ action: 'poll', channel: 'poll', pollTimeoutMs: 600 });
+    assert.equal(again.changed, false, 'already seen');
+
+    // Another reader has its own cursor; with sinceTs its first poll starts at the beginning
+    const other = await fileBridge({ action: 'poll', channel: 'poll', reader: 'dashboard', sinceTs: '2000-01-01T00:00:00Z', pollTimeoutMs: 600 });
+    assert.deepEqual(other.newBlocks.map(b => b.id), ['ws_p1']);
+
+    setTimeout(() => {
+      fs.appendFileSync(ask.bridgeFile, `\n<!-- WS:RESPONSE id=ws_p2 ts=${new Date().toISOString()} status=done -->\nlate\n<!-- WS:END -->\n`);
+    }, 300);
+    const late = await fileBridge({ action: 'poll', channel: 'poll', pollTimeoutMs: 3000 });
+    assert.deepEqual(late.newBlocks.map(b => b.body), ['late']);
+
+    const status = await fileBridge({ action: 'status', channel: 'poll' });
+    assert.deepEqual(Object.keys(status.cursors).sort(), ['dashboard', 'thinkdrop']);
+    assert.equal(status.cursors.thinkdrop.seq, 3);
+  });
+
+  await test('clear rewrites the Markdown and keeps seq numbers and cursors valid', async () => {
+    const ch = channels.resolveChannel('poll');
+    const cleared = await fileBridge({ action: 'clear', channel: 'poll', filterPrefix: 'TD' });
+    assert.equal(cleared.ok, true, cleared.error);
+    assert.equal(cleared.remaining, 2);
+    assert.deepEqual(readJsonl(ch.jsonlFile).map(r => [r.id, r.seq]), [['ws_p1', 2], ['ws_p2', 3]]);
+    assert.doesNotMatch(fs.readFileSync(ch.mdFile, 'utf8'), /TD:INSTRUCTION/);
+
+    const quiet = await fileBridge({ action: 'poll', channel: 'poll', pollTimeoutMs: 600 });
+    assert.equal(quiet.changed, false, 'cleared file does not replay old blocks');
+    await fileBridge({ action: 'write', channel: 'poll', prefix: 'WS', message: 'after clear' });
+    const fresh = await fileBridge({ action: 'poll', channel: 'poll', pollTimeoutMs: 1000 });
+    assert.deepEqual(fresh.newBlocks.map(b => [b.body, b.seq]), [['after clear', 4]]);
+  });
+
+  summary();
+})();
@@ -0,0 +1,188 @@
+'use strict';
+/**
+ * tests/test-ignore-rules.cjs
+ *
+ * Tests for the gitignore-semantics matcher (skill-helpers/ignore-rules.cjs) and
+ * its use by fs.read tree / search / explore: negations, directory-only and
+ * anchored patterns, nested ignore files, binary and large-file skips (UTF-16
+ * text with a BOM is not binary), the `skipped` report, and search's
+ * truncation report.
+ *
+ * Run: node tests/test-ignore-rules.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-ignore-'));
+process.env.THINKDROP_CODE_INDEX_DIR = path.join(projectDir, '.index-state');
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(projectDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+const write = (rel, content) => {
+  fs.mkdirSync(path.dirname(path.join(projectDir, rel)), { recursive: true });
+  fs.writeFileSync(path.join(projectDir, rel), content);
+};
+const at = rel => path.join(projectDir, rel);
+
+fs.mkdirSync(at('.git/info'), { recursive: true });
+write('.git/info/exclude', 'local-notes.txt\n');
+write('.gitignore', [
+  '# logs',
+  '*.log',
+  '!keep.log',
+  '/tmp/',
+  'cache/',
+  'docs/**/*.draft.md',
+  'secrets',
+  '\\#literal.txt',
+].join('\n'));
+write('src/.gitignore', 'generated/\n!important.log\n');
+write('src/app.js', 'const token = "needle";\n');
+write('src/debug.log', 'needle in a log\n');
+write('src/important.log', 'needle kept by nested negation\n');
+write('src/generated/out.js', 'needle generated\n');
+write('src/cache', 'a file named cache is not a directory\n');
+write('keep.log', 'needle kept\n');
+write('tmp/scratch.js', 'needle\n');
+write('lib/tmp/helper.js', 'needle not anchored\n');
+write('docs/guide/intro.draft.md', 'needle draft\n');
+write('docs/guide/intro.md', 'needle docs\n');
+write('local-notes.txt', 'needle local\n');
+write('#literal.txt', 'hash\n');
+write('secrets', 'x\n');
+write('assets/logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0]));
+write('data/blob.dat', Buffer.from([1, 2, 0, 3, 4, 0, 5]));
+write('data/big.txt', 'needle\n'.repeat(2000));
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const { createIgnoreMatcher, classifyFile } = require(path.resolve(__dirname, '../src/skill-helpers/ignore-rules.cjs'));
+const { fsRead } = require(path.resolve(__dirname, '../src/skills/fs.read.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- matcher ---');
+
+  const matcher = createIgnoreMatcher(projectDir, { patterns: ['node_modules'] });
+  const ignored = (rel, isDir = false) => !!matcher.test(at(rel), isDir);
+
+  await test('globs, negation and last-match-wins', async () => {
+    assert.equal(ignored('src/debug.log'), true);
+    assert.equal(ignored('keep.log'), false);
+    assert.equal(ignored('src/important.log'), false, 'nested .gitignore re-includes');
+    assert.equal(matcher.test(at('src/debug.log')).source, '.gitignore:2');
+  });
+
+  await test('directory-only and anchored patterns', async () => {
+    assert.equal(ignored('tmp', true), true);
+    assert.equal(ignored('lib/tmp', true), false, '/tmp/ is anchored to the root');
+    assert.equal(ignored('src/cache', false), false, 'cache/ only matches directories');
+    assert.equal(ignored('src/generated/out.js'), true, 'inside an ignored directory');
+    assert.equal(ignored('docs/guide/intro.draft.md'), true);
+    assert.equal(ignored('docs/guide/intro.md'), false);
+  });
+
+  await test('escapes, .git/info/exclude, base patterns and .git itself', async () => {
+    assert.equal(ignored('#literal.txt'), true);
+    assert.equal(ignored('local-notes.txt'), true);
+    assert.equal(ignored('a/b/node_modules', true), true);
+    assert.equal(ignored('.git/config'), true);
+  });
+
+  await test('a walk started inside an ignored directory still lists it', async () => {
+    const inner = createIgnoreMatcher(at('src/generated'));
+    assert.equal(inner.test(at('src/generated/out.js')), null);
+  });
+
+  await test('binary and large files are classified', async () => {
+    assert.equal(classifyFile(at('assets/logo.png')).reason, 'binary');
+    assert.equal(classifyFile(at('data/blob.dat')).detail, 'contains NUL bytes');
+    assert.equal(classifyFile(at('data/big.txt'), { maxBytes: 1024 }).reason, 'large');
+    assert.equal(classifyFile(at('src/app.js')), null);
+  });
+
+  await test('UTF-16 text with a BOM is text, not binary', async () => {
+    write('notes/utf16le.txt', Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('hello utf-16\n', 'utf16le')]));
+    write('notes/utf16be.txt', Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from('hello utf-16\n', 'utf16le').swap16()]));
+    assert.equal(classifyFile(at('notes/utf16le.txt')), null);
+    assert.equal(classifyFile(at('notes/utf16be.txt')), null);
+    const res = await fsRead({ action: 'tree', path: at('notes') });
+    assert.match(res.tree, /utf16le\.txt/);
+    assert.match(res.tree, /utf16be\.txt/);
+  });
+
+  console.log('\n--- fs.read ---');
+
+  await test('tree hides ignored, binary and large files and says why', async () => {
+    const res = await fsRead({ action: 'tree', path: projectDir, largeFileSize: 4096 });
+    assert.equal(res.ok, true, res.error);
+    assert.match(res.tree, /app\.js/);
+    assert.match(res.tree, /keep\.log/);
+    assert.match(res.tree, /important\.log/);
+    for (const hidden of ['debug.log', 'generated/', 'scratch.js', 'logo.png', 'blob.dat', 'big.txt', 'local-notes.txt']) {
+      assert.ok(!res.tree.includes(hidden), `${hidden} should be hidden`);
+    }
+    assert.match(res.tree, /lib\/\n.*tmp\//);
+    const byPath = Object.fromEntries(res.skipped.entries.map(e => [path.relative(projectDir, e.path), e]));
+    assert.equal(byPath['src/debug.log'].rule, '*.log');
+    assert.equal(byPath['assets/logo.png'].reason, 'binary');
+    assert.equal(byPath['data/big.txt'].reason, 'large');
+    assert.ok(res.skipped.counts.ignored >= 5);
+  });
+
+  await test('search only looks at files tree would show', async () => {
+    const res = await fsRead({ action: 'search', path: projectDir, pattern: 'needle', largeFileSize: 4096 });
+    assert.equal(res.ok, true, res.error);
+    const hitFiles = [...new Set(res.matches.map(m => path.relative(projectDir, m.split(':')[0])))].sort();
+    assert.deepEqual(hitFiles, ['docs/guide/intro.md', 'keep.log', 'lib/tmp/helper.js', 'src/app.js', 'src/important.log']);
+    assert.equal(res.skipped.counts.large, 1);
+  });
+
+  await test('search says when the file cap stops it and how many files it scanned', async () => {
+    const full = await fsRead({ action: 'search', path: projectDir, pattern: 'needle', largeFileSize: 4096 });
+    assert.equal(full.truncated, false);
+    assert.equal(full.truncatedBy, undefined);
+    assert.ok(full.filesSearched >= 5, `scanned ${full.filesSearched}`);
+
+    const capped = await fsRead({ action: 'search', path: projectDir, pattern: 'needle', largeFileSize: 4096, maxFiles: 2 });
+    assert.equal(capped.ok, true, capped.error);
+    assert.deepEqual([capped.truncated, capped.truncatedBy, capped.filesSearched], [true, 'files', 2]);
+    assert.match(capped.message, /Stopped after scanning 2 files \(limit 2\)/);
+  });
+
+  await test('explore reports skipped entries alongside the tree', async () => {
+    const res = await fsRead({ action: 'explore', path: projectDir, maxFiles: 3 });
+    assert.equal(res.ok, true, res.error);
+    assert.ok(res.skipped.total > 0);
+    assert.ok(res.skipped.entries.some(e => e.reason === 'binary'));
+  });
+
+  summary();
+})();
@@ -0,0 +1,136 @@
+'use strict';
+/**
+ * tests/test-job-store.cjs
+ *
+ * Unit tests for the durable job store behind POST /jobs: record lifecycle,
+ * listing/filtering, restart recovery (markInterrupted) and pruning.
+ * Uses a throwaway THINKDROP_JOBS_DIR so ~/.thinkdrop is never touched.
+ *
+ * Run: node tests/test-job-store.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-jobs-'));
+process.env.THINKDROP_JOBS_DIR = tmpDir;
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+function test(name, fn) {
+  _testCount++;
+  try {
+    fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+// ─── Load module ──────────────────────────────────────────────────────────────
+
+const jobStore = require(path.resolve(__dirname, '../src/utils/job-store.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+console.log('\n--- lifecycle ---');
+
+test('createJob persists a queued record and strips functions from args', () => {
+  const job = jobStore.createJob({ skill: 'shell.run', args: { cmd: 'echo', argv: ['hi'], _progressCallback: () => {} } });
+  assert.equal(job.status, 'queued');
+  assert.ok(fs.existsSync(path.join(tmpDir, `${job.id}.json`)));
+  assert.equal(jobStore.getJob(job.id).args._progressCallback, undefined);
+  assert.deepEqual(jobStore.getJob(job.id).args.argv, ['hi']);
+});
+
+test('createJob redacts env values and credential fields before writing args', () => {
+  const args = {
+    cmd: 'deploy',
+    env: { GITHUB_TOKEN: 'ghp_x', NODE_ENV: 'production' },
+    credentials: { user: 'ann', pass: 'p' },
+    secretKey: 'sk-1',
+    nested: { steps: [{ apiKey: 'k', url: 'https://x.test' }], password: '' },
+  };
+  const job = jobStore.createJob({ skill: 'shell.run', args });
+  const stored = fs.readFileSync(path.join(tmpDir, `${job.id}.json`), 'utf8');
+  for (const secret of ['ghp_x', 'production', 'sk-1', '"p"', '"k"']) assert.ok(!stored.includes(secret), `${secret} reached disk`);
+  assert.deepEqual(jobStore.getJob(job.id).args, {
+    cmd: 'deploy',
+    env: { GITHUB_TOKEN: '[redacted]', NODE_ENV: '[redacted]' },
+    credentials: '[redacted]',
+    secretKey: '[redacted]',
+    nested: { steps: [{ apiKey: '[redacted]', url: 'https://x.test' }], password: '' },
+  });
+  assert.equal(args.env.GITHUB_TOKEN, 'ghp_x', 'the caller\'s args are untouched');
+  jobStore.updateJob(job.id, { status: 'succeeded' });
+});
+
+test('updateJob stamps startedAt on running and finishedAt on terminal status', () => {
+  const job = jobStore.createJob({ skill: 'shell.run', args: {} });
+  const running = jobStore.updateJob(job.id, { status: 'running' });
+  assert.ok(running.startedAt);
+  assert.equal(running.finishedAt, null);
+  const done = jobStore.updateJob(job.id, { status: 'succeeded', result: { ok: true } });
+  assert.ok(done.finishedAt);
+  assert.deepEqual(jobStore.getJob(job.id).result, { ok: true });
+});
+
+test('getJob rejects ids that could escape the jobs dir', () => {
+  assert.equal(jobStore.getJob('../../etc/passwd'), null);
+  assert.equal(jobStore.updateJob('../x', { status: 'failed' }), null);
+});
+
+console.log('\n--- listing ---');
+
+test('listJobs filters by status and skill and omits result bodies', () => {
+  const a = jobStore.createJob({ skill: 'browser.agent', args: {} });
+  jobStore.updateJob(a.id, { status: 'failed', result: { ok: false } });
+  const failed = jobStore.listJobs({ status: 'failed', skill: 'browser.agent' });
+  assert.equal(failed.length, 1);
+  assert.equal(failed[0].id, a.id);
+  assert.equal(failed[0].result, undefined);
+  assert.equal(failed[0].hasResult, true);
+});
+
+console.log('\n--- restart recovery ---');
+
+test('markInterrupted flags queued and running jobs only', () => {
+  const q = jobStore.createJob({ skill: 'shell.run', args: {} });
+  const r = jobStore.createJob({ skill: 'shell.run', args: {} });
+  jobStore.updateJob(r.id, { status: 'running' });
+  const before = jobStore.listJobs({ status: 'succeeded' }).length;
+  const count = jobStore.markInterrupted();
+  assert.equal(count, 3); // q, r and the untouched job from the first test
+  assert.equal(jobStore.getJob(q.id).status, 'interrupted');
+  assert.equal(jobStore.getJob(r.id).status, 'interrupted');
+  assert.ok(jobStore.getJob(r.id).finishedAt);
+  assert.equal(jobStore.listJobs({ status: 'succeeded' }).length, before);
+});
+
+test('pruneJobs removes finished records older than the cutoff', () => {
+  const old = jobStore.createJob({ skill: 'shell.run', args: {} });
+  jobStore.updateJob(old.id, { status: 'succeeded' });
+  const file = path.join(tmpDir, `${old.id}.json`);
+  const rec = JSON.parse(fs.readFileSync(file, 'utf8'));
+  rec.finishedAt = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(file, JSON.stringify(rec));
+  assert.equal(jobStore.pruneJobs(), 1);
+  assert.equal(jobStore.getJob(old.id), null);
+});
+
+summary();
@@ -0,0 +1,167 @@
+'use strict';
+/**
+ * tests/test-log-follow.cjs
+ *
+ * Tests for file.watch's follow mode (skill-helpers/log-follow.cjs): line
+ * parsers, the filter expression language, offset tracking across appends,
+ * rotation and truncation, threshold alerts, and the follow/poll actions.
+ *
+ * Run: node tests/test-log-follow.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-follow-'));
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+async function summary() {
+  for (const watchId of [...WATCHERS.keys()]) await fileWatch({ action: 'stop', watchId });
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+const at = p => path.join(tmpDir, p);
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const { parseLine, compileFilter, LogFollower } = require(path.resolve(__dirname, '../src/skill-helpers/log-follow.cjs'));
+const { fileWatch, WATCHERS } = require(path.resolve(__dirname, '../src/skills/file.watch.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- parsing ---');
+
+  await test('auto-detects json, logfmt, nginx, winston and plain lines', async () => {
+    const json = parseLine('{"level":50,"msg":"db down","code":"ECONNREFUSED","time":1700000000000}');
+    assert.deepEqual([json.format, json.level, json.message, json.fields.code], ['json', 'error', 'db down', 'ECONNREFUSED']);
+
+    const logfmt = parseLine('ts=2024-05-01T10:00:00Z level=warn msg="slow query" duration_ms=812');
+    assert.deepEqual([logfmt.format, logfmt.level, logfmt.message, logfmt.fields.duration_ms], ['logfmt', 'warn', 'slow query', 812]);
+
+    const nginx = parseLine('10.0.0.1 - - [01/May/2024:10:00:00 +0000] "GET /api/users HTTP/1.1" 502 157 "-" "curl/8.0"');
+    assert.deepEqual([nginx.format, nginx.level, nginx.fields.status, nginx.fields.path], ['nginx', 'error', 502, '/api/users']);
+
+    const nginxErr = parseLine('2024/05/01 10:00:00 [crit] 123#0: *4 connect() failed (111: Connection refused)');
+    assert.deepEqual([nginxErr.format, nginxErr.level], ['nginx', 'fatal']);
+
+    const winston = parseLine('2026-10-19T12:39:44.241Z [\u001b[31merror\u001b[39m]: payment failed {"orderId":42}');
+    assert.deepEqual([winston.format, winston.level, winston.message, winston.fields.orderId], ['winston', 'error', 'payment failed', 42]);
+
+    const plain = parseLine('[2024-05-01 10:00:00] WARNING disk almost full');
+    assert.deepEqual([plain.format, plain.level], ['plain', 'warn']);
+  });
+
+  await test('filter expressions: comparisons, regex, boolean logic, lone literals', async () => {
+    const rec = parseLine('10.0.0.1 - - [01/May/2024:10:00:00 +0000] "POST /login HTTP/1.1" 503 0 "-" "ua"');
+    assert.equal(compileFilter('level == "ERROR" && status >= 500')(rec), true);
+    assert.equal(compileFilter('status < 500 or method == get')(rec), false);
+    assert.equal(compileFilter('path ~ /^\\/log/ and not (status == 404)')(rec), true);
+    assert.equal(compileFilter('fields.user_agent !~ "bot"')(rec), true);
+    assert.equal(compileFilter('"POST /login"')(rec), true);
+    assert.equal(compileFilter('remote_user')(rec), false);
+    assert.throws(() => compileFilter('status >= '), /end of filter/);
+    assert.throws(() => compileFilter('(level == error'), /Missing "\)"/);
+  });
+
+  console.log('\n--- follower ---');
+
+  await test('reads only appended bytes, across rotation and truncation', async () => {
+    const file = at('app.log');
+    fs.writeFileSync(file, 'info: old line\n'.repeat(1000));
+    const follower = new LogFollower(file, { filter: 'level == error' });
+    assert.equal(follower.read().records.length, 0, 'existing content is skipped');
+
+    fs.appendFileSync(file, 'info: fine\nerror: first');
+    let out = follower.read();
+    assert.equal(out.records.length, 0, 'partial line is held back');
+    fs.appendFileSync(file, ' failure\n');
+    out = follower.read();
+    assert.deepEqual(out.records.map(r => r.message), ['first failure']);
+
+    // Rotation: the writer appends one last line, then the file is renamed and recreated
+    fs.appendFileSync(file, 'error: before rotate\n');
+    fs.renameSync(file, at('app.log.1'));
+    fs.writeFileSync(file, 'error: after rotate\n');
+    out = follower.read();
+    assert.equal(out.rotated, true);
+    assert.deepEqual(out.records.map(r => r.message), ['before rotate', 'after rotate']);
+
+    // Truncation in place (copytruncate)
+    fs.writeFileSync(file, 'error: after truncate\n');
+    out = follower.read();
+    assert.equal(out.truncated, true);
+    assert.deepEqual(out.records.map(r => r.message), ['after truncate']);
+    assert.equal(follower.stats.rotations, 1);
+    follower.close();
+  });
+
+  await test('threshold alerts on more than N matches inside the window', async () => {
+    const file = at('burst.log');
+    fs.writeFileSync(file, '');
+    const follower = new LogFollower(file, { threshold: { count: 5, windowMs: 60000, filter: 'level == error' } });
+    const t0 = Date.now();
+    fs.appendFileSync(file, 'ERROR a\nERROR b\nINFO c\nERROR d\nERROR e\nERROR f\n');
+    assert.equal(follower.read(t0).alerts.length, 0, 'exactly 5 is not more than 5');
+    fs.appendFileSync(file, 'ERROR g\n');
+    const out = follower.read(t0 + 1000);
+    assert.equal(out.alerts.length, 1);
+    assert.equal(out.alerts[0].count, 6);
+    assert.equal(out.records.length, 1, 'no filter: every record is emitted');
+    fs.appendFileSync(file, 'ERROR h\n');
+    assert.equal(follower.read(t0 + 2000).alerts.length, 0, 'no repeat alert inside the same window');
+    follower.close();
+  });
+
+  console.log('\n--- file.watch follow ---');
+
+  await test('follow + poll return new matching records and alerts', async () => {
+    const file = at('service.log');
+    fs.writeFileSync(file, '{"level":"error","msg":"before follow"}\n');
+    const started = await fileWatch({
+      action: 'follow', path: file, format: 'json', filter: 'level == error',
+      threshold: { count: 1, windowMs: 60000 },
+    });
+    assert.equal(started.ok, true, started.error);
+
+    fs.appendFileSync(file, '{"level":"info","msg":"ok"}\n{"level":"error","msg":"boom","status":500}\n{"level":"error","msg":"boom again"}\n');
+    const polled = await fileWatch({ action: 'poll', watchId: started.watchId, pollTimeoutMs: 2000 });
+    assert.equal(polled.ok, true, polled.error);
+    assert.deepEqual(polled.records.map(r => r.message), ['boom', 'boom again']);
+    assert.equal(polled.records[0].fields.status, 500);
+    assert.equal(polled.alerts.length, 1);
+
+    const again = await fileWatch({ action: 'poll', watchId: started.watchId });
+    assert.equal(again.changed, false);
+    const listed = await fileWatch({ action: 'list' });
+    assert.equal(listed.watchers[0].mode, 'follow');
+    assert.match((await fileWatch({ action: 'follow', path: tmpDir })).error, /needs a file/);
+    assert.equal((await fileWatch({ action: 'follow', path: file })).alreadyWatching, true);
+    fs.writeFileSync(at('other.log'), '');
+    assert.match((await fileWatch({ action: 'follow', path: at('other.log'), filter: 'level ==' })).error, /Invalid follow options/);
+  });
+
+  await summary();
+})();
@@ -0,0 +1,226 @@
+'use strict';
+/**
+ * tests/test-network-inspector.cjs
+ *
+ * Tests for the per-session network inspector behind browser.act's network-*
+ * actions (skill-helpers/network-inspector.cjs): ring-buffer eviction, header
+ * and body-field redaction, body capture and size caps, timing and initiator
+ * frames, filters, and waitFor for responses that already finished or arrive
+ * later. A fake context emits Playwright-shaped request events, so no browser
+ * is needed.
+ *
+ * Run: node tests/test-network-inspector.cjs
+ */
+
+const assert = require('assert').strict;
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+const tick = () => new Promise(r => setImmediate(r));
+
+const mainFrame = { url: () => 'https://mail.example.com/', name: () => '', parentFrame: () => null };
+const iframe = { url: () => 'https://ads.example.net/slot', name: () => 'ad', parentFrame: () => mainFrame };
+
+// A fake BrowserContext: fire() runs one request through request → response → finished/failed
+function fakeContext() {
+  const ctx = new EventEmitter();
+  ctx.bodyReads = 0;
+  ctx.fire = async ({ method = 'GET', url, type = 'fetch', frame = mainFrame, reqHeaders = {}, postData = null,
+    status = 200, resHeaders = {}, body = '', fail = null, redirectedFrom = null, responseEnd = 42 }) => {
+    const req = {
+      method: () => method,
+      url: () => url,
+      resourceType: () => type,
+      frame: () => frame,
+      headers: () => reqHeaders,
+      postDataBuffer: () => (postData === null ? null : Buffer.from(postData)),
+      redirectedFrom: () => redirectedFrom,
+      failure: () => (fail ? { errorText: fail } : null),
+      timing: () => ({ startTime: Date.now(), responseStart: 10, responseEnd }),
+    };
+    ctx.emit('request', req);
+    if (fail) {
+      ctx.emit('requestfailed', req);
+    } else {
+      ctx.emit('response', {
+        request: () => req,
+        status: () => status,
+        statusText: () => '',
+        headers: () => resHeaders,
+        body: async () => { ctx.bodyReads++; return Buffer.from(body); },
+      });
+      ctx.emit('requestfinished', req);
+    }
+    await tick();
+    return req;
+  };
+  return ctx;
+}
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const { NetworkInspector, compileStatus } = require(path.resolve(__dirname, '../src/skill-helpers/network-inspector.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- capture ---');
+
+  await test('captures every method with headers, bodies, timing and initiator frame', async () => {
+    const ctx = fakeContext();
+    const inspector = new NetworkInspector().attach(ctx);
+    await ctx.fire({
+      method: 'POST', url: 'https://mail.example.com/api/send',
+      reqHeaders: { 'content-type': 'application/json', authorization: 'Bearer secret', 'x-client': 'web' },
+      postData: '{"to":"a@b.c"}',
+      resHeaders: { 'content-type': 'application/json', 'set-cookie': 'sid=1' },
+      body: '{"id":"m1","ok":true}',
+    });
+    await ctx.fire({ url: 'https://ads.example.net/pixel.gif', type: 'image', frame: iframe, resHeaders: { 'content-type': 'image/gif', 'content-length': '6' }, body: 'GIF89a' });
+
+    const [send, pixel] = inspector.list();
+    assert.deepEqual([send.method, send.state, send.status, send.durationMs], ['POST', 'done', 200, 42]);
+    const full = inspector.get(send.id);
+    assert.equal(full.requestHeaders.authorization, '[redacted]');
+    assert.equal(full.requestHeaders['x-client'], 'web');
+    assert.equal(full.responseHeaders['set-cookie'], '[redacted]');
+    assert.deepEqual(full.requestBody, { text: '{"to":"a@b.c"}', size: 14, truncated: false });
+    assert.equal(full.responseBody.text, '{"id":"m1","ok":true}');
+    assert.equal(full.timing.responseEnd, 42);
+    assert.equal(full._request, undefined, 'Playwright handles are not exposed');
+
+    assert.deepEqual(pixel.frame, { url: 'https://ads.example.net/slot', name: 'ad', isMain: false });
+    assert.deepEqual(inspector.get(pixel.id).responseBody, { omitted: 'binary', size: 6 });
+    assert.equal(ctx.bodyReads, 1, 'the binary body was never fetched');
+  });
+
+  await test('bodies over maxBodyBytes by Content-Length are not fetched', async () => {
+    const ctx = fakeContext();
+    const inspector = new NetworkInspector({ maxBodyBytes: 8 }).attach(ctx);
+    await ctx.fire({ url: 'https://x.test/export.csv', resHeaders: { 'content-type': 'text/csv', 'content-length': '5000000' }, body: 'a,b\n' });
+    await ctx.fire({ url: 'https://x.test/video', resHeaders: { 'content-type': 'video/mp4' }, body: 'mp4' });
+    const [csv, video] = inspector.list().map(e => inspector.get(e.id));
+    assert.deepEqual(csv.responseBody, { omitted: 'too-large', size: 5000000 });
+    assert.deepEqual(video.responseBody, { omitted: 'binary', size: null });
+    assert.equal(ctx.bodyReads, 0);
+  });
+
+  await test('credential fields in form and JSON request bodies are redacted', async () => {
+    const ctx = fakeContext();
+    const inspector = new NetworkInspector({ redactFields: ['pin_code'] }).attach(ctx);
+    const form = { 'content-type': 'application/x-www-form-urlencoded; charset=UTF-8' };
+    const json = { 'content-type': 'application/json' };
+    await ctx.fire({ method: 'POST', url: 'https://x.test/login', reqHeaders: form, postData: 'user=ann&password=hunter2&pin_code=1234&remember=1' });
+    await ctx.fire({ method: 'POST', url: 'https://x.test/graphql', reqHeaders: json,
+      postData: JSON.stringify({ query: 'mutation Login', variables: { email: 'a@b.c', credentials: { password: 'hunter2' }, apiKey: 'k-1', tokens: ['t1'] } }) });
+    await ctx.fire({ method: 'POST', url: 'https://x.test/cut', reqHeaders: json, postData: '{"user":"ann","client_secret":"s3cr\\"et","refresh_token":42,"note":"pas' });
+    await ctx.fire({ method: 'POST', url: 'https://x.test/plain', reqHeaders: { 'content-type': 'text/plain' }, postData: 'password=visible' });
+
+    const [login, gql, cut, plain] = inspector.list().map(e => inspector.get(e.id).requestBody.text);
+    assert.equal(login, 'user=ann&password=%5Bredacted%5D&pin_code=%5Bredacted%5D&remember=1');
+    assert.deepEqual(JSON.parse(gql).variables, { email: 'a@b.c', credentials: { password: '[redacted]' }, apiKey: '[redacted]', tokens: '[redacted]' });
+    assert.equal(cut, '{"user":"ann","client_secret":"[redacted]","refresh_token":"[redacted]","note":"pas');
+    assert.equal(plain, 'password=visible');
+  });
+
+  await test('ring buffer evicts oldest entries; bodies are size-capped; failures and redirects are kept', async () => {
+    const ctx = fakeContext();
+    const inspector = new NetworkInspector({ capacity: 3, maxBodyBytes: 8, redactHeaders: ['X-Session'] }).attach(ctx);
+    const first = await ctx.fire({ url: 'https://x.test/old', status: 301, resHeaders: { location: '/new' } });
+    await ctx.fire({ url: 'https://x.test/new', redirectedFrom: first, reqHeaders: { 'x-session': 's' }, resHeaders: { 'content-type': 'text/plain' }, body: 'abcdefghijklmnop' });
+    await ctx.fire({ url: 'https://x.test/down', fail: 'net::ERR_CONNECTION_REFUSED' });
+
+    const [old, moved, down] = inspector.list();
+    const movedFull = inspector.get(moved.id);
+    assert.equal(movedFull.redirectedFrom, old.id);
+    assert.equal(movedFull.requestHeaders['x-session'], '[redacted]');
+    assert.deepEqual(movedFull.responseBody, { text: 'abcdefgh', size: 16, truncated: true });
+    assert.deepEqual([down.state, down.failure, down.status], ['failed', 'net::ERR_CONNECTION_REFUSED', null]);
+
+    await ctx.fire({ url: 'https://x.test/newest' });
+    assert.deepEqual(inspector.list().map(e => e.url.split('/').pop()), ['new', 'down', 'newest']);
+    assert.equal(inspector.get(old.id), null);
+    assert.equal(inspector.dropped, 1);
+  });
+
+  console.log('\n--- queries ---');
+
+  await test('list / find filter by url pattern, method, status class and seq', async () => {
+    const ctx = fakeContext();
+    const inspector = new NetworkInspector().attach(ctx);
+    await ctx.fire({ url: 'https://mail.example.com/api/send', method: 'POST', status: 500 });
+    await ctx.fire({ url: 'https://mail.example.com/api/send', method: 'POST', status: 200 });
+    await ctx.fire({ url: 'https://mail.example.com/inbox', type: 'document' });
+    const mark = inspector.seq;
+    await ctx.fire({ url: 'https://mail.example.com/api/poll' });
+
+    assert.equal(inspector.list({ url: '/api/' }).length, 3);
+    assert.equal(inspector.list({ url: '/\\/API\\/(send|poll)$/i', method: 'post' }).length, 2);
+    assert.deepEqual(inspector.list({ status: '5xx' }).map(e => e.status), [500]);
+    assert.equal(inspector.list({ status: [200, 201] }).length, 3);
+    assert.equal(inspector.list({ resourceType: 'document' })[0].url, 'https://mail.example.com/inbox');
+    assert.deepEqual(inspector.list({ sinceSeq: mark }).map(e => e.url), ['https://mail.example.com/api/poll']);
+    assert.equal(inspector.list({ limit: 1 })[0].url, 'https://mail.example.com/api/poll');
+    assert.equal(inspector.find({ url: '/api/send' }).status, 200, 'newest match');
+
+    assert.equal(compileStatus('2xx')(204), true);
+    assert.equal(compileStatus(undefined)(null), true);
+    assert.throws(() => compileStatus('ok'), /Invalid status filter/);
+  });
+
+  await test('waitFor sees recent responses, waits for new ones and times out with pending info', async () => {
+    const ctx = fakeContext();
+    const inspector = new NetworkInspector().attach(ctx);
+    const before = Date.now();
+    await ctx.fire({ url: 'https://mail.example.com/api/send', method: 'POST', status: 200 });
+
+    const already = await inspector.waitFor({ url: '/api/send', method: 'POST' }, { timeoutMs: 200, sinceTs: before });
+    assert.equal(already.status, 200);
+
+    const mark = inspector.seq;
+    const later = inspector.waitFor({ url: '/api/send' }, { timeoutMs: 2000, sinceSeq: mark });
+    setTimeout(() => ctx.fire({ url: 'https://mail.example.com/api/send', method: 'POST', status: 503, body: 'busy' }), 50);
+    const res = await later;
+    assert.deepEqual([res.status, res.responseBody.text], [503, 'busy']);
+
+    // A request that never finishes: the timeout message says it is still pending
+    ctx.emit('request', {
+      method: () => 'GET', url: () => 'https://mail.example.com/api/slow', resourceType: () => 'fetch',
+      frame: () => mainFrame, headers: () => ({}), postDataBuffer: () => null, redirectedFrom: () => null,
+    });
+    await assert.rejects(inspector.waitFor({ url: '/api/slow' }, { timeoutMs: 100 }), /within 100ms \(1 matching request\(s\) still pending\)/);
+
+    const orphan = inspector.waitFor({ url: '/never' }, { timeoutMs: 5000 });
+    await sleep(10);
+    inspector.dispose();
+    await assert.rejects(orphan, /Browser session closed/);
+    assert.equal(inspector.waiters.size, 0);
+  });
+
+  summary();
+})();
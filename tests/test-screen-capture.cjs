@@ -0,0 +1,247 @@
+'use strict';
+/**
+ * tests/test-screen-capture.cjs
+ *
+ * Tests for screen.capture's in-process fallback (skill-helpers/screen-ocr.cjs):
+ * Tesseract TSV parsing, engine selection and registration, the stub engine fed
+ * by fixture sidecars, the skill falling back to local capture when the
+ * screen-intelligence-service is down, region / window selectors and diff mode.
+ * Fixture PNGs are generated with jimp and windows come from
+ * THINKDROP_SCREEN_WINDOWS_FIXTURE; no live display or Tesseract install is needed.
+ *
+ * Run: node tests/test-screen-capture.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-screen-'));
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+async function writeFixture(name, ocr, { width = 64, height = 32 } = {}) {
+  const Jimp = require('jimp');
+  const file = path.join(tmpDir, name);
+  const image = await new Promise((resolve, reject) => {
+    new Jimp(width, height, 0xffffffff, (err, img) => (err ? reject(err) : resolve(img)));
+  });
+  await image.writeAsync(file);
+  if (ocr) fs.writeFileSync(`${file}.ocr.json`, JSON.stringify(ocr));
+  return file;
+}
+
+const line = (text, x, y, width = 80, height = 12) => ({ text, confidence: 90, bbox: { x, y, width, height } });
+
+// A port nothing listens on, so the service request is refused
+async function closedPort() {
+  const server = net.createServer();
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const { port } = server.address();
+  await new Promise(r => server.close(r));
+  return port;
+}
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  process.env.SCREEN_INTEL_PORT = String(await closedPort());
+  const screenOcr = require(path.resolve(__dirname, '../src/skill-helpers/screen-ocr.cjs'));
+  const { screenCapture } = require(path.resolve(__dirname, '../src/skills/screen.capture.cjs'));
+
+  console.log('\n--- engines ---');
+
+  await test('parses Tesseract TSV into lines, boxes and mean confidence', async () => {
+    const header = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+    const rows = [
+      '1\t1\t0\t0\t0\t0\t0\t0\t800\t600\t-1\t',
+      '5\t1\t1\t1\t1\t1\t10\t20\t50\t12\t96.5\tBuild',
+      '5\t1\t1\t1\t1\t2\t65\t20\t70\t12\t91.5\tfinished',
+      '5\t1\t2\t1\t1\t1\t10\t200\t40\t10\t80\tInbox',
+      '5\t1\t2\t1\t1\t2\t60\t200\t5\t10\t-1\t ',
+    ];
+    const res = screenOcr.parseTesseractTsv([header, ...rows].join('\n'));
+    assert.equal(res.text, 'Build finished\n\nInbox');
+    assert.equal(res.words.length, 3);
+    assert.deepEqual(res.lines[0].bbox, { x: 10, y: 20, width: 125, height: 12 });
+    assert.equal(res.lines[0].confidence, 94);
+    assert.equal(Math.round(res.confidence * 10) / 10, 89.3);
+  });
+
+  await test('stub reads fixture sidecars; registered engines plug in', async () => {
+    const file = await writeFixture('editor.png', { text: 'const x = 1;\nSaved', confidence: 88 });
+    const image = await screenOcr.grabScreen({ imagePath: file });
+    assert.equal(image.source, 'file');
+    assert.equal(image.buffer.subarray(1, 4).toString(), 'PNG');
+    const res = await screenOcr.recognize(image, { engine: 'stub' });
+    assert.deepEqual([res.engine, res.text, res.confidence, res.lines.length], ['stub', 'const x = 1;\nSaved', 88, 2]);
+
+    screenOcr.registerEngine({ name: 'upper', recognize: async img => ({ text: path.basename(img.path).toUpperCase(), confidence: 50 }) });
+    assert.equal((await screenOcr.recognize(image, { engine: 'upper' })).text, 'EDITOR.PNG');
+    await assert.rejects(screenOcr.recognize(image, { engine: 'nope' }), /Unknown OCR engine "nope"/);
+    assert.throws(() => screenOcr.registerEngine({ name: 'broken' }), /recognize/);
+  });
+
+  await test('auto prefers tesseract, then registered engines, never the stub', async () => {
+    const hasTesseract = await screenOcr.pickEngine('tesseract').then(() => true, () => false);
+    const picked = await screenOcr.pickEngine('auto');
+    assert.equal(picked.name, hasTesseract ? 'tesseract' : 'upper');
+  });
+
+  console.log('\n--- screen.capture ---');
+
+  await test('imagePath goes straight to local OCR with the usual contract', async () => {
+    const file = await writeFixture('chat.png', { text: 'New message from Ana' });
+    const res = await screenCapture({ imagePath: file, engine: 'stub' });
+    assert.equal(res.success, true, res.error);
+    assert.deepEqual(
+      [res.text, res.stdout, res.source, res.engine, res.appName, res.windowTitle, res.confidence],
+      ['New message from Ana', 'New message from Ana', 'local', 'stub', null, null, 100],
+    );
+    assert.equal(typeof res.elapsed, 'number');
+  });
+
+  await test('falls back to local capture when the service is down, and fails cleanly in service mode', async () => {
+    process.env.THINKDROP_SCREEN_FIXTURE = await writeFixture('fallback.png', { text: 'Build finished in 12s' });
+    try {
+      const started = Date.now();
+      const res = await screenCapture({ engine: 'stub' });
+      assert.equal(res.success, true, res.error);
+      assert.equal(res.source, 'local');
+      assert.equal(res.text, 'Build finished in 12s');
+      assert.ok(Date.now() - started < 3000, 'a refused connection is not retried');
+
+      const serviceOnly = await screenCapture({ mode: 'service' });
+      assert.equal(serviceOnly.success, false);
+      assert.match(serviceOnly.error, /ECONNREFUSED/);
+
+      const missing = await screenCapture({ imagePath: path.join(tmpDir, 'missing.png'), engine: 'stub' });
+      assert.equal(missing.success, false);
+      assert.match(missing.error, /ENOENT/);
+      assert.match((await screenCapture({ mode: 'remote' })).error, /unknown mode/);
+    } finally {
+      delete process.env.THINKDROP_SCREEN_FIXTURE;
+    }
+  });
+
+  console.log('\n--- selectors ---');
+
+  const desktop = await writeFixture('desktop.png', {
+    lines: [
+      line('File Edit View', 0, 0, 200),
+      line('$ npm run build', 20, 120),
+      line('compiling...', 20, 140),
+      line('Inbox (3)', 420, 60),
+    ],
+  }, { width: 640, height: 400 });
+
+  await test('region crops the capture and keeps boxes in screen coordinates', async () => {
+    const res = await screenCapture({ imagePath: desktop, engine: 'stub', region: '0,100,300,100' });
+    assert.equal(res.success, true, res.error);
+    assert.equal(res.text, '$ npm run build\ncompiling...');
+    assert.deepEqual(res.region, { x: 0, y: 100, width: 300, height: 100 });
+
+    const clamped = await screenOcr.cropImage(await screenOcr.grabScreen({ imagePath: desktop }), { x: 600, y: 350, width: 500, height: 500 });
+    assert.deepEqual(clamped.region, { x: 600, y: 350, width: 40, height: 50 });
+    const Jimp = require('jimp');
+    assert.equal((await Jimp.read(clamped.buffer)).bitmap.width, 40);
+    const lines = (await screenOcr.recognize(clamped, { engine: 'stub' })).lines;
+    assert.equal(lines.length, 0);
+
+    const inRegion = await screenOcr.recognize(await screenOcr.cropImage(await screenOcr.grabScreen({ imagePath: desktop }), { x: 400, y: 40, width: 200, height: 60 }), { engine: 'stub' });
+    assert.deepEqual(inRegion.lines[0].bbox, { x: 420, y: 60, width: 80, height: 12 });
+
+    assert.match((await screenCapture({ imagePath: desktop, engine: 'stub', region: { x: 0, y: 0, width: 0, height: 5 } })).error, /Invalid region/);
+    assert.match((await screenCapture({ imagePath: desktop, engine: 'stub', region: '700,500,10,10' })).error, /outside the 640x400 capture/);
+  });
+
+  await test('window crops to the matching window and reports its app and title', async () => {
+    const windowsFile = path.join(tmpDir, 'windows.json');
+    fs.writeFileSync(windowsFile, JSON.stringify([
+      { appName: 'Mail', windowTitle: 'Inbox', bounds: { x: 400, y: 40, width: 240, height: 200 } },
+      { appName: 'iTerm2', windowTitle: 'zsh — build', bounds: { x: 0, y: 100, width: 300, height: 100 } },
+    ]));
+    process.env.THINKDROP_SCREEN_WINDOWS_FIXTURE = windowsFile;
+    try {
+      const term = await screenCapture({ imagePath: desktop, engine: 'stub', window: 'iterm' });
+      assert.equal(term.success, true, term.error);
+      assert.deepEqual([term.appName, term.windowTitle, term.text], ['iTerm2', 'zsh — build', '$ npm run build\ncompiling...']);
+
+      const mail = await screenCapture({ imagePath: desktop, engine: 'stub', window: { app: 'mail', title: 'inbox' } });
+      assert.equal(mail.text, 'Inbox (3)');
+      const half = await screenCapture({ imagePath: desktop, engine: 'stub', window: { title: 'build' }, scale: 0.5 });
+      assert.deepEqual(half.region, { x: 0, y: 50, width: 150, height: 50 });
+
+      assert.match((await screenCapture({ imagePath: desktop, engine: 'stub', window: 'Slack' })).error, /No open window matches "Slack"/);
+      assert.match((await screenCapture({ mode: 'service', window: 'Mail' })).error, /selectors need local capture/);
+    } finally {
+      delete process.env.THINKDROP_SCREEN_WINDOWS_FIXTURE;
+    }
+  });
+
+  console.log('\n--- diff ---');
+
+  await test('diff returns only lines that appeared or disappeared since the last capture of the target', async () => {
+    const before = await writeFixture('term-1.png', { lines: [line('$ npm run build', 0, 0), line('compiling...', 0, 20)] });
+    const after = await writeFixture('term-2.png', {
+      lines: [line('$ npm run build', 0, 0), line('Build finished in 4.2s', 0, 20, 160), line('$', 0, 40, 10)],
+    });
+
+    const first = await screenCapture({ imagePath: before, engine: 'stub', diff: true, diffKey: 'terminal' });
+    assert.equal(first.success, true, first.error);
+    assert.deepEqual([first.baseline, first.changed, first.text], [true, false, '']);
+    assert.equal(first.fullText, '$ npm run build\ncompiling...');
+
+    const second = await screenCapture({ imagePath: after, engine: 'stub', diff: true, diffKey: 'terminal' });
+    assert.deepEqual([second.baseline, second.changed], [false, true]);
+    assert.deepEqual(second.appeared.map(l => l.text), ['Build finished in 4.2s', '$']);
+    assert.deepEqual(second.appeared[0].bbox, { x: 0, y: 20, width: 160, height: 12 });
+    assert.deepEqual(second.disappeared.map(l => l.text), ['compiling...']);
+    assert.equal(second.stdout, 'Build finished in 4.2s\n$');
+
+    const third = await screenCapture({ imagePath: after, engine: 'stub', diff: true, diffKey: 'terminal' });
+    assert.equal(third.changed, false);
+
+    // Another target keeps its own history
+    const other = await screenCapture({ imagePath: after, engine: 'stub', diff: true, region: '0,0,64,32' });
+    assert.equal(other.baseline, true);
+  });
+
+  await test('diffLines treats lines as a multiset and ignores whitespace noise', async () => {
+    const t = text => ({ text });
+    const { appeared, disappeared, unchanged } = screenOcr.diffLines(
+      [t('ok'), t('ok'), t('a   b'), t('gone')],
+      [t('ok'), t('a b'), t('ok'), t('ok'), t('')],
+    );
+    assert.deepEqual(appeared.map(l => l.text), ['ok']);
+    assert.deepEqual(disappeared.map(l => l.text), ['gone']);
+    assert.equal(unchanged, 3);
+  });
+
+  summary();
+})();
@@ -0,0 +1,96 @@
+'use strict';
+/**
+ * tests/test-shell-audit.cjs
+ *
+ * Unit tests for the shell.run audit trail: records written by shellRun for
+ * executed and blocked commands, env var names without values, and the
+ * queryAudit filters behind GET /shell.audit. Uses a throwaway
+ * THINKDROP_SHELL_AUDIT_FILE so ~/.thinkdrop is never touched.
+ *
+ * Run: node tests/test-shell-audit.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-audit-'));
+process.env.THINKDROP_SHELL_AUDIT_FILE = path.join(tmpDir, 'shell-run.jsonl');
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const shellAudit = require(path.resolve(__dirname, '../src/utils/shell-audit.cjs'));
+const { shellRun } = require(path.resolve(__dirname, '../src/skills/shell.run.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- recording ---');
+
+  await test('executed command is recorded with env var names but not values', async () => {
+    await shellRun({ cmd: 'echo', argv: ['hello'], env: { TD_AUDIT_SECRET: 'hunter2' }, _originSkill: 'test', _stepIndex: 3 });
+    const [rec] = shellAudit.queryAudit({ command: 'echo' });
+    assert.equal(rec.status, 'executed');
+    assert.equal(rec.cmd, 'echo hello');
+    assert.equal(rec.exitCode, 0);
+    assert.equal(rec.origin, 'argv');
+    assert.equal(rec.originSkill, 'test');
+    assert.equal(rec.stepIndex, 3);
+    assert.ok(rec.envVarNames.includes('TD_AUDIT_SECRET'));
+    assert.equal(rec.stdout.bytes, 6);
+    assert.equal(rec.stdout.sha256.length, 16);
+    assert.ok(!fs.readFileSync(shellAudit.AUDIT_FILE, 'utf8').includes('hunter2'));
+  });
+
+  await test('command refused by validate is recorded as blocked', async () => {
+    await shellRun({ cmd: 'shutdown', argv: [] });
+    const [rec] = shellAudit.queryAudit({ status: 'blocked' });
+    assert.equal(rec.command, 'shutdown');
+    assert.equal(rec.ok, false);
+    assert.ok(rec.error);
+  });
+
+  console.log('\n--- querying ---');
+
+  await test('queryAudit filters by exit code, ok and time range', async () => {
+    await shellRun({ cmd: 'ls', argv: [path.join(tmpDir, 'missing')] });
+    assert.equal(shellAudit.queryAudit({ command: 'ls', exitCode: 0 }).length, 0);
+    assert.equal(shellAudit.queryAudit({ command: 'ls', ok: false }).length, 1);
+    assert.equal(shellAudit.queryAudit({ since: Date.now() + 60000 }).length, 0);
+    assert.equal(shellAudit.queryAudit({ until: new Date(Date.now() + 60000).toISOString() }).length, 3);
+  });
+
+  await test('queryAudit returns newest first and honours limit', () => {
+    const recs = shellAudit.queryAudit({ limit: 2 });
+    assert.equal(recs.length, 2);
+    assert.equal(recs[0].command, 'ls');
+  });
+
+  summary();
+})();
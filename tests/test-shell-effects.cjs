@@ -0,0 +1,115 @@
+'use strict';
+/**
+ * tests/test-shell-effects.cjs
+ *
+ * Tests for the static effects preview shell.run returns on dry runs: file and
+ * directory changes from mkdir/mv/cp/rm/redirects, network hosts, package
+ * installs, variable-dependent paths, and the `effects` field on a dryRun.
+ *
+ * Run: node tests/test-shell-effects.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-effects-'));
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-effects-state-'));
+process.env.THINKDROP_SHELL_AUDIT_FILE = path.join(stateDir, 'audit.jsonl');
+process.env.THINKDROP_UNDO_DIR = path.join(stateDir, 'journal');
+process.env.SHELL_RUN_CWD_ROOTS = tmpDir;
+
+fs.mkdirSync(path.join(tmpDir, 'docs'));
+fs.writeFileSync(path.join(tmpDir, 'notes.txt'), 'notes\n');
+fs.writeFileSync(path.join(tmpDir, 'old.log'), 'log\n');
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  fs.rmSync(stateDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const { inferEffects, summarizeEffects } = require(path.resolve(__dirname, '../src/skill-helpers/shell-effects.cjs'));
+const { shellRun } = require(path.resolve(__dirname, '../src/skills/shell.run.cjs'));
+
+const at = p => path.join(tmpDir, p);
+const paths = list => list.map(e => e.path);
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- inferEffects ---');
+
+  await test('file operations are classified created / modified / moved / deleted', () => {
+    const script = 'mkdir -p out && cp notes.txt out/copy.txt && mv notes.txt docs && rm old.log && echo hi >> notes.txt && echo x > new.txt';
+    const fx = inferEffects('bash', ['-c', script], tmpDir);
+    assert.deepEqual(paths(fx.directories.created), [at('out')]);
+    assert.deepEqual(fx.files.moved, [{ from: at('notes.txt'), to: at('docs/notes.txt') }]);
+    assert.deepEqual(paths(fx.files.deleted), [at('old.log')]);
+    assert.deepEqual(paths(fx.files.created), [at('out/copy.txt'), at('new.txt')]);
+    assert.deepEqual(paths(fx.files.modified), [at('notes.txt')]);
+    assert.deepEqual(fx.commands, ['mkdir', 'cp', 'mv', 'rm', 'echo', 'echo']);
+  });
+
+  await test('network hosts and package installs are listed', () => {
+    const script = 'curl -sL https://example.com/setup.sh -o setup.sh; git clone git@github.com:acme/tool.git; npm install lodash left-pad; pip install requests';
+    const fx = inferEffects('bash', ['-c', script], tmpDir);
+    assert.deepEqual(fx.network.hosts, ['example.com', 'github.com', 'registry.npmjs.org', 'pypi.org']);
+    assert.deepEqual(fx.packages.map(p => `${p.manager}:${p.name}`), ['npm:lodash', 'npm:left-pad', 'pip:requests']);
+    assert.ok(paths(fx.files.created).includes(at('setup.sh')));
+    assert.ok(paths(fx.directories.created).includes(at('tool')));
+    assert.ok(paths(fx.directories.created).includes(at('node_modules')));
+  });
+
+  await test('variable paths are flagged dynamic and opaque commands are unresolved', () => {
+    const fx = inferEffects('bash', ['-c', 'for f in *.txt; do mv "$f" "$DEST/"; done; python3 build.py'], tmpDir);
+    assert.equal(fx.files.moved.length, 1);
+    assert.equal(fx.files.moved[0].dynamic, true);
+    assert.deepEqual(fx.unresolved.map(u => u.command), ['python3']);
+    assert.match(summarizeEffects(fx), /1 moved; 1 effect\(s\) not predictable/);
+  });
+
+  await test('a file created and then deleted by the same script cancels out', () => {
+    const fx = inferEffects('bash', ['-c', 'echo tmp > scratch.txt && rm scratch.txt'], tmpDir);
+    assert.deepEqual(fx.files.created, []);
+    assert.deepEqual(fx.files.deleted, []);
+  });
+
+  console.log('\n--- shell.run dryRun ---');
+
+  await test('dryRun returns the effects plan and leaves files untouched', async () => {
+    const res = await shellRun({ cmd: 'bash', argv: ['-c', 'mkdir -p archive && mv old.log archive/'], cwd: tmpDir, dryRun: true });
+    assert.equal(res.ok, true, res.error);
+    assert.equal(res.dryRun, true);
+    assert.deepEqual(paths(res.effects.directories.created), [at('archive')]);
+    assert.deepEqual(res.effects.files.moved, [{ from: at('old.log'), to: at('archive/old.log') }]);
+    assert.match(res.preview, /Plan: paths: 1 created, 1 moved/);
+    assert.ok(fs.existsSync(at('old.log')));
+    assert.ok(!fs.existsSync(at('archive')));
+  });
+
+  summary();
+})();
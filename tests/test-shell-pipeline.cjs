@@ -0,0 +1,234 @@
+'use strict';
+/**
+ * tests/test-shell-pipeline.cjs
+ *
+ * Tests for the shell.pipeline skill: step variables and captures, refusing
+ * placeholders in interpreter script text, prefixed variable env vars, declared
+ * expected outputs, checkpoint + resume from the failed step, resuming a step
+ * a policy `ask` rule held back, and saved pipelines re-run by name. Uses
+ * throwaway THINKDROP_PIPELINES_DIR / THINKDROP_SHELL_AUDIT_FILE /
+ * THINKDROP_UNDO_DIR / THINKDROP_SHELL_POLICY_FILE locations.
+ *
+ * Run: node tests/test-shell-pipeline.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-pipeline-'));
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-pipeline-state-'));
+process.env.THINKDROP_PIPELINES_DIR = path.join(stateDir, 'pipelines');
+process.env.THINKDROP_SHELL_AUDIT_FILE = path.join(stateDir, 'audit.jsonl');
+process.env.THINKDROP_UNDO_DIR = path.join(stateDir, 'journal');
+process.env.THINKDROP_SHELL_POLICY_FILE = path.join(stateDir, 'shell-policy.json');
+process.env.SHELL_RUN_CWD_ROOTS = tmpDir;
+fs.writeFileSync(process.env.THINKDROP_SHELL_POLICY_FILE, JSON.stringify({
+  rules: [{ id: 'echo-ask', command: 'echo', verdict: 'ask', reason: 'This echo needs a yes.', match: { argvAny: ['ASK'] } }],
+}));
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  fs.rmSync(stateDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const { shellPipeline } = require(path.resolve(__dirname, '../src/skills/shell.pipeline.cjs'));
+
+const at = p => path.join(tmpDir, p);
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- run ---');
+
+  await test('captured variables feed later steps as {{VAR}} and TD_VAR_* env vars', async () => {
+    const res = await shellPipeline({
+      cwd: tmpDir,
+      vars: { PREFIX: 'build' },
+      steps: [
+        { id: 'version', cmd: 'bash', argv: ['-c', 'echo "version=1.4.2"'], capture: { VERSION: '/version=(\\S+)/' } },
+        { id: 'mkdir', cmd: 'mkdir', argv: ['-p', '{{PREFIX}}-{{VERSION}}'] },
+        { id: 'write', cmd: 'bash', argv: ['-c', 'echo "$TD_VAR_VERSION" > "$TD_VAR_PREFIX-$TD_VAR_VERSION/VERSION"'], expectOutputs: ['{{PREFIX}}-{{VERSION}}/VERSION'] },
+        { id: 'echo', cmd: 'echo', argv: ['{{steps.version.stdout}}'] },
+      ],
+    });
+    assert.equal(res.ok, true, res.error);
+    assert.equal(res.status, 'completed');
+    assert.equal(res.vars.VERSION, '1.4.2');
+    assert.equal(fs.readFileSync(at('build-1.4.2/VERSION'), 'utf8'), '1.4.2\n');
+    assert.equal(res.results[3].stdout.trim(), 'version=1.4.2');
+  });
+
+  await test('a declared output the step does not create fails the step', async () => {
+    const res = await shellPipeline({
+      cwd: tmpDir,
+      steps: [{ id: 'noop', cmd: 'true', expectOutputs: [{ path: 'never.txt', type: 'file' }] }],
+    });
+    assert.equal(res.ok, false);
+    assert.equal(res.failedStep.id, 'noop');
+    assert.match(res.error, /Output not created: .*never\.txt/);
+  });
+
+  await test('placeholders inside interpreter script text are refused before anything runs', async () => {
+    const refused = async (cmd, argv) => {
+      const res = await shellPipeline({ cwd: tmpDir, vars: { X: 'x' }, steps: [{ id: 'first', cmd: 'touch', argv: ['ran.flag'] }, { id: 's', cmd, argv }] });
+      assert.equal(res.ok, false, `${cmd} ${argv.join(' ')} was accepted`);
+      return res.error;
+    };
+    assert.match(await refused('bash', ['-c', 'rm -rf "{{X}}"']), /Step "s" puts \{\{X\}\} inside its bash -c script.*read "\$TD_VAR_X" from the environment/);
+    assert.match(await refused('/bin/sh', ['-ec', 'echo {{ X }}']), /sh -ec script/);
+    assert.match(await refused('python3', ['-c', 'print("{{X}}")']), /python3 -c script/);
+    assert.match(await refused('node', ['-e', 'console.log({{X}})']), /node -e script/);
+    assert.match(await refused('perl', ['-ne', 'print "{{X}}"']), /perl -ne script/);
+    assert.match(await refused('zsh', ['-c', 'echo {{steps.first.stdout}}']), /capture it on that step .* "\$TD_VAR_NAME"/);
+    assert.equal(fs.existsSync(at('ran.flag')), false, 'an earlier step ran before the pipeline was refused');
+
+    // Positional arguments after the script are data, not code
+    const res = await shellPipeline({ cwd: tmpDir, vars: { X: 'a b; echo pwned' }, steps: [{ id: 'arg', cmd: 'bash', argv: ['-c', 'printf "%s" "$1"', 'sh', '{{X}}'] }] });
+    assert.equal(res.ok, true, res.error);
+    assert.equal(res.results[0].stdout, 'a b; echo pwned');
+  });
+
+  await test('variables cannot replace reserved environment variables of later steps', async () => {
+    const res = await shellPipeline({
+      cwd: tmpDir,
+      vars: { HOME: '/nowhere' },
+      steps: [
+        { id: 'set', cmd: 'bash', argv: ['-c', 'echo /tmp/evil-bin'], capture: { PATH: 'stdout', NODE_OPTIONS: 'stdout' } },
+        { id: 'read', cmd: 'bash', argv: ['-c', 'printf "%s|%s|%s|%s" "$PATH" "$HOME" "$TD_VAR_PATH" "$TD_VAR_HOME"'] },
+      ],
+    });
+    assert.equal(res.ok, true, res.error);
+    const [pathVar, home, tdPath, tdHome] = res.results[1].stdout.split('|');
+    assert.notEqual(pathVar, '/tmp/evil-bin');
+    assert.notEqual(home, '/nowhere');
+    assert.deepEqual([tdPath, tdHome], ['/tmp/evil-bin', '/nowhere']);
+  });
+
+  await test('undefined variables stop the pipeline before running the step', async () => {
+    const res = await shellPipeline({ cwd: tmpDir, steps: [{ id: 'a', cmd: 'echo', argv: ['{{NOPE}}'] }] });
+    assert.equal(res.ok, false);
+    assert.match(res.error, /undefined variable\(s\): NOPE/);
+  });
+
+  console.log('\n--- checkpoint / resume ---');
+
+  let failedRunId;
+  await test('a failure checkpoints completed steps and reports the failed one', async () => {
+    const res = await shellPipeline({
+      cwd: tmpDir,
+      steps: [
+        { id: 'one', cmd: 'bash', argv: ['-c', 'echo 1 >> count.log; echo token-abc'], capture: { TOKEN: 'stdout' } },
+        { id: 'two', cmd: 'bash', argv: ['-c', 'test -f ready.flag && echo "$TD_VAR_TOKEN" > two.out'] },
+        { id: 'three', cmd: 'bash', argv: ['-c', 'cat two.out > three.out'] },
+      ],
+    });
+    assert.equal(res.ok, false);
+    assert.equal(res.status, 'failed');
+    assert.deepEqual(res.failedStep && res.failedStep.id, 'two');
+    assert.match(res.resumeHint, /resume/);
+    failedRunId = res.runId;
+    const checkpoint = JSON.parse(fs.readFileSync(path.join(stateDir, 'pipelines', 'runs', `${res.runId}.json`), 'utf8'));
+    assert.equal(checkpoint.nextStep, 1);
+    assert.equal(checkpoint.vars.TOKEN, 'token-abc');
+  });
+
+  await test('resume continues at the failed step without re-running earlier ones', async () => {
+    fs.writeFileSync(at('ready.flag'), '');
+    const res = await shellPipeline({ action: 'resume', runId: failedRunId });
+    assert.equal(res.ok, true, res.error);
+    assert.deepEqual(res.results.map(r => r.id), ['one', 'two', 'three']);
+    assert.equal(fs.readFileSync(at('count.log'), 'utf8'), '1\n');
+    assert.equal(fs.readFileSync(at('three.out'), 'utf8'), 'token-abc\n');
+    const again = await shellPipeline({ action: 'resume', runId: failedRunId });
+    assert.match(again.error, /already completed/);
+  });
+
+  await test('a step held by a policy ask resumes only with the issued one-time token', async () => {
+    const res = await shellPipeline({
+      cwd: tmpDir,
+      steps: [
+        { id: 'before', cmd: 'sh', argv: ['-c', 'echo x >> before.log'] },
+        { id: 'held', cmd: 'echo', argv: ['ASK'] },
+      ],
+    });
+    assert.equal(res.status, 'awaiting_approval');
+    assert.equal(res.askUser, true);
+    assert.equal(res.policyRule.rule, 'echo-ask');
+    assert.ok(res.policyApprovalToken);
+    const checkpoint = fs.readFileSync(path.join(process.env.THINKDROP_PIPELINES_DIR, 'runs', `${res.runId}.json`), 'utf8');
+    assert.ok(!checkpoint.includes(res.policyApprovalToken), 'the token was written to the checkpoint');
+
+    // Naming the rule is not an approval
+    const named = await shellPipeline({ action: 'resume', runId: res.runId, _policyApproved: 'echo-ask', policyApproval: 'echo-ask' });
+    assert.equal(named.status, 'awaiting_approval');
+
+    const resumed = await shellPipeline({ action: 'resume', runId: res.runId, policyApproval: named.policyApprovalToken });
+    assert.equal(resumed.ok, true, resumed.error);
+    assert.equal(resumed.results.find(r => r.id === 'held').stdout, 'ASK\n');
+    assert.equal(fs.readFileSync(at('before.log'), 'utf8'), 'x\n');
+  });
+
+  console.log('\n--- saved pipelines ---');
+
+  await test('save, list, run by name with overriding vars, delete', async () => {
+    const saved = await shellPipeline({
+      action: 'save',
+      name: 'greet',
+      cwd: tmpDir,
+      vars: { WHO: 'world' },
+      steps: [{ id: 'hello', cmd: 'bash', argv: ['-c', 'echo "hello $TD_VAR_WHO" > greeting.txt'] }],
+    });
+    assert.equal(saved.ok, true, saved.error);
+    assert.deepEqual((await shellPipeline({ action: 'list' })).pipelines.map(p => p.name), ['greet']);
+
+    const res = await shellPipeline({ name: 'greet', vars: { WHO: 'pipeline' } });
+    assert.equal(res.ok, true, res.error);
+    assert.equal(fs.readFileSync(at('greeting.txt'), 'utf8'), 'hello pipeline\n');
+
+    assert.equal((await shellPipeline({ action: 'delete', name: 'greet' })).ok, true);
+    assert.match((await shellPipeline({ name: 'greet' })).error, /No saved pipeline/);
+  });
+
+  await test('run ids and names that are not in the stored format never reach the filesystem', async () => {
+    // A JSON file outside the pipelines directory that a traversal id would reach
+    const secret = path.join(stateDir, 'tokens', 'google.json');
+    fs.mkdirSync(path.dirname(secret), { recursive: true });
+    fs.writeFileSync(secret, '{"access_token":"secret"}');
+    const traversal = path.relative(path.join(stateDir, 'pipelines', 'runs'), secret).replace(/\.json$/, '');
+
+    const shown = await shellPipeline({ action: 'show', runId: traversal });
+    assert.equal(shown.ok, false);
+    assert.match(shown.error, /Invalid pipeline runId/);
+    assert.equal(shown.run, undefined);
+    assert.match((await shellPipeline({ action: 'resume', runId: traversal })).error, /Invalid pipeline runId/);
+    assert.match((await shellPipeline({ action: 'show', name: '../../tokens/google' })).error, /requires name or runId/);
+    assert.equal(fs.readFileSync(secret, 'utf8'), '{"access_token":"secret"}');
+  });
+
+  summary();
+})();
@@ -0,0 +1,130 @@
+'use strict';
+/**
+ * tests/test-shell-policy.cjs
+ *
+ * Unit tests for the declarative shell.run policy: default rules, user rules
+ * from THINKDROP_SHELL_POLICY_FILE (allow/deny/ask), bash -c script splitting,
+ * and how validate() reports the matched rule.
+ *
+ * Run: node tests/test-shell-policy.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-policy-'));
+process.env.THINKDROP_SHELL_POLICY_FILE = path.join(tmpDir, 'shell-policy.json');
+process.env.SHELL_RUN_CWD_ROOTS = tmpDir;
+fs.writeFileSync(process.env.THINKDROP_SHELL_POLICY_FILE, JSON.stringify({
+  rules: [
+    { id: 'npm-install', command: ['npm', 'pnpm'], verdict: 'ask', reason: 'Installing packages runs third-party install scripts.', match: { subcommand: ['install', 'i', 'add'] } },
+    { id: 'curl-hosts', command: 'curl', verdict: 'deny', reason: 'curl may only reach approved hosts.', match: { hostsNotIn: ['api.github.com', '*.googleapis.com'] } },
+    { id: 'allow-cowsay', command: 'cowsay', verdict: 'allow' },
+  ],
+}));
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+function test(name, fn) {
+  _testCount++;
+  try {
+    fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const shellPolicy = require(path.resolve(__dirname, '../src/skill-helpers/shell-policy.cjs'));
+const { validate } = require(path.resolve(__dirname, '../src/skills/shell.run.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+console.log('\n--- default rules ---');
+
+test('git push --force is denied, plain git push is not matched', () => {
+  assert.equal(validate({ cmd: 'git', argv: ['push', '--force', 'origin', 'main'] }).policyRule.rule, 'git-no-force-push');
+  assert.equal(validate({ cmd: 'git', argv: ['push', '--force', 'origin'] }).ok, false);
+  assert.deepEqual(validate({ cmd: 'git', argv: ['push', 'origin', 'main'] }), { ok: true, policyRule: null });
+});
+
+test('rm is limited to paths under CWD_ROOTS', () => {
+  assert.equal(validate({ cmd: 'rm', argv: ['-rf', '/etc/hosts'] }).ok, false);
+  assert.equal(validate({ cmd: 'rm', argv: ['-rf', path.join(tmpDir, 'build')] }).ok, true);
+  assert.equal(validate({ cmd: 'rm', argv: ['build'], cwd: tmpDir }).ok, true);
+});
+
+console.log('\n--- user rules ---');
+
+test('ask rule surfaces askUser with the rule reason and a one-time token for that command', () => {
+  const asked = validate({ cmd: 'npm', argv: ['install', 'left-pad'] });
+  assert.equal(asked.askUser, true);
+  assert.match(asked.question, /^Installing packages runs third-party install scripts\./);
+  assert.equal(asked.policyRule.rule, 'npm-install');
+  assert.ok(asked.policyApprovalToken);
+
+  // Naming the rule approves nothing; a token approves its own command, once
+  assert.equal(validate({ cmd: 'npm', argv: ['install', 'left-pad'], _policyApproved: 'npm-install', policyApproval: 'npm-install' }).askUser, true);
+  const other = validate({ cmd: 'npm', argv: ['install', 'left-pad'] }).policyApprovalToken;
+  assert.equal(validate({ cmd: 'npm', argv: ['install', 'evil-pkg'], policyApproval: other }).askUser, true);
+  assert.equal(validate({ cmd: 'npm', argv: ['install', 'left-pad'], policyApproval: other }).askUser, true);
+  assert.equal(validate({ cmd: 'npm', argv: ['install', 'left-pad'], policyApproval: asked.policyApprovalToken }).ok, true);
+  assert.equal(validate({ cmd: 'npm', argv: ['install', 'left-pad'], policyApproval: asked.policyApprovalToken }).askUser, true);
+  assert.equal(validate({ cmd: 'npm', argv: ['test'] }).policyRule, null);
+});
+
+test('hostsNotIn denies unlisted hosts and honours wildcards and value flags', () => {
+  assert.equal(validate({ cmd: 'curl', argv: ['-s', 'https://evil.example.com/x'] }).policyRule.verdict, 'deny');
+  assert.equal(validate({ cmd: 'curl', argv: ['example.org'] }).ok, false);
+  assert.equal(validate({ cmd: 'curl', argv: ['-o', 'out.json', 'https://www.googleapis.com/drive'] }).ok, true);
+});
+
+test('allow rule admits a command missing from the allowlist', () => {
+  const res = validate({ cmd: 'cowsay', argv: ['hi'] });
+  assert.equal(res.ok, true);
+  assert.equal(res.policyRule.rule, 'allow-cowsay');
+});
+
+console.log('\n--- shell scripts ---');
+
+test('splitScript separates commands and drops redirections', () => {
+  assert.deepEqual(
+    shellPolicy.splitScript('rm -rf "a b" 2>&1 >/dev/null; git push -f && echo ok | tee x.log'),
+    [['rm', '-rf', 'a b'], ['git', 'push', '-f'], ['echo', 'ok'], ['tee', 'x.log']]
+  );
+});
+
+test('rules apply to commands inside bash -c scripts', () => {
+  const res = validate({ cmd: 'bash', argv: ['-c', 'cd repo && FOO=1 git push -f origin main'] });
+  assert.equal(res.ok, false);
+  assert.equal(res.policyRule.rule, 'git-no-force-push');
+  assert.equal(validate({ cmd: 'bash', argv: ['-c', 'curl -s https://api.github.com/x | jq .'] }).ok, true);
+});
+
+test('rules see commands inside loop, if and group bodies', () => {
+  const denied = script => validate({ cmd: 'bash', argv: ['-c', script] }).policyRule?.rule;
+  assert.equal(denied('for f in /etc/*.conf; do rm "$f"; done'), 'rm-inside-cwd-roots');
+  assert.equal(denied('if [ -d repo ]; then cd repo; else git push -f origin main; fi'), 'git-no-force-push');
+  assert.equal(denied('while true; do ! sudo rm -rf /var/tmp/x; done'), 'rm-inside-cwd-roots');
+  assert.equal(denied('{ rm -rf /opt/app; }'), 'rm-inside-cwd-roots');
+  assert.equal(validate({ cmd: 'bash', argv: ['-c', `for f in ${tmpDir}/*.tmp; do rm "$f"; done`], cwd: tmpDir }).ok, true);
+});
+
+summary();
@@ -0,0 +1,121 @@
+'use strict';
+/**
+ * tests/test-shell-sandbox.cjs
+ *
+ * Tests for shell.run sandbox previews: the real working directory is left
+ * untouched, the diff reports created/modified/deleted files, an approval
+ * token runs exactly the previewed command once (checked against the previewed
+ * cwd, not the process cwd), and without bubblewrap the unisolated copy backend
+ * needs an explicit opt-in.
+ *
+ * Run: node tests/test-shell-sandbox.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-sandbox-test-'));
+process.env.THINKDROP_SHELL_AUDIT_FILE = path.join(tmpDir, 'audit.jsonl');
+process.env.THINKDROP_UNDO_DIR = path.join(tmpDir, 'undo');
+const workDir = path.join(tmpDir, 'work');
+fs.mkdirSync(path.join(workDir, 'sub'), { recursive: true });
+fs.writeFileSync(path.join(workDir, 'old.txt'), 'old\n');
+fs.writeFileSync(path.join(workDir, 'sub', 'keep.txt'), 'keep\n');
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+// ─── Load module ──────────────────────────────────────────────────────────────
+
+const { shellRun } = require(path.resolve(__dirname, '../src/skills/shell.run.cjs'));
+const { detectCapabilities } = require(path.resolve(__dirname, '../src/skill-helpers/shell-sandbox.cjs'));
+
+// On machines without bubblewrap only the copy backend exists — opt in to it
+const SANDBOX = { allowUnisolated: true };
+
+const SCRIPT = `echo new > new.txt; rm old.txt; echo more >> ${path.join(workDir, 'sub', 'keep.txt')}`;
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  let token = null;
+
+  await test('preview reports the diff and leaves the real directory untouched', async () => {
+    const res = await shellRun({ cmd: 'bash', argv: ['-c', SCRIPT], cwd: workDir, sandbox: SANDBOX });
+    assert.equal(res.pendingApproval, true);
+    assert.equal(res.askUser, true);
+    assert.deepEqual(res.sandbox.diff.counts, { created: 1, modified: 1, deleted: 1 });
+    assert.equal(res.sandbox.diff.created[0].path, path.join(workDir, 'new.txt'));
+    assert.ok(fs.existsSync(path.join(workDir, 'old.txt')));
+    assert.ok(!fs.existsSync(path.join(workDir, 'new.txt')));
+    assert.equal(fs.readFileSync(path.join(workDir, 'sub', 'keep.txt'), 'utf8'), 'keep\n');
+    token = res.sandbox.approvalToken;
+  });
+
+  await test('approval token runs the previewed command for real, once', async () => {
+    // The process cwd must not matter: policy checks use the previewed cwd
+    const prevCwd = process.cwd();
+    process.chdir(path.parse(prevCwd).root);
+    let res;
+    try {
+      res = await shellRun({ sandboxApproval: token });
+    } finally {
+      process.chdir(prevCwd);
+    }
+    assert.equal(res.ok, true, res.error);
+    assert.ok(fs.existsSync(path.join(workDir, 'new.txt')));
+    assert.ok(!fs.existsSync(path.join(workDir, 'old.txt')));
+    const again = await shellRun({ sandboxApproval: token });
+    assert.equal(again.ok, false);
+    assert.match(again.error, /unknown or expired/);
+  });
+
+  await test('the home directory is never copied', async () => {
+    const res = await shellRun({ cmd: 'ls', argv: [], cwd: os.homedir(), sandbox: SANDBOX });
+    assert.equal(res.ok, false);
+    assert.match(res.error, /Refusing to sandbox/);
+  });
+
+  await test('without bubblewrap the preview is refused unless the caller opts in', async () => {
+    const res = await shellRun({ cmd: 'bash', argv: ['-c', 'echo x > x.txt'], cwd: workDir, sandbox: true });
+    if (detectCapabilities().bwrap) {
+      assert.equal(res.sandbox.isolation, 'filesystem');
+      assert.doesNotMatch(res.question, /NOT isolated/);
+      return;
+    }
+    assert.equal(res.ok, false);
+    assert.equal(res.pendingApproval, undefined);
+    assert.match(res.error, /No isolated sandbox is available .*allowUnisolated: true/);
+
+    const optedIn = await shellRun({ cmd: 'bash', argv: ['-c', 'echo x > x.txt'], cwd: workDir, sandbox: SANDBOX });
+    assert.equal(optedIn.sandbox.isolation, 'cwd-only');
+    assert.match(optedIn.question, /WARNING: this preview was NOT isolated/);
+    assert.ok(!fs.existsSync(path.join(workDir, 'x.txt')));
+  });
+
+  summary();
+})();
@@ -0,0 +1,114 @@
+'use strict';
+/**
+ * tests/test-shell-undo.cjs
+ *
+ * Tests for the shell.run undo journal and the shell.undo skill: a loop that
+ * moves a whole "Desktop" into the wrong folder, a cp that overwrites a file
+ * and an rm are each journaled by shell.run and restored in one shell.undo call.
+ * Uses throwaway THINKDROP_UNDO_DIR / THINKDROP_SHELL_AUDIT_FILE locations.
+ *
+ * Run: node tests/test-shell-undo.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-undo-'));
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-undo-state-'));
+process.env.THINKDROP_UNDO_DIR = path.join(stateDir, 'journal');
+process.env.THINKDROP_SHELL_AUDIT_FILE = path.join(stateDir, 'audit.jsonl');
+
+const desktop = path.join(tmpDir, 'Desktop');
+const documents = path.join(tmpDir, 'Documents');
+const wrong = path.join(documents, 'Wrong');
+fs.mkdirSync(path.join(desktop, 'project'), { recursive: true });
+fs.mkdirSync(documents, { recursive: true });
+for (const name of ['a.txt', 'b.txt', 'c.txt']) fs.writeFileSync(path.join(desktop, name), `${name}\n`);
+fs.writeFileSync(path.join(desktop, 'project', 'notes.md'), 'notes\n');
+fs.writeFileSync(path.join(documents, 'keep.txt'), 'original\n');
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+function summary() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  fs.rmSync(stateDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const { shellRun } = require(path.resolve(__dirname, '../src/skills/shell.run.cjs'));
+const { shellUndo } = require(path.resolve(__dirname, '../src/skills/shell.undo.cjs'));
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\n--- journaling ---');
+
+  await test('a variable-driven mv loop is journaled as inode moves', async () => {
+    const script = `mkdir -p "${wrong}"; for f in "${desktop}"/*; do mv "$f" "${wrong}/"; done`;
+    const res = await shellRun({ cmd: 'bash', argv: ['-c', script], cwd: tmpDir });
+    assert.equal(res.ok, true);
+    assert.equal(res.undo.counts.moved, 4);
+    assert.deepEqual(res.undo.notRestorable, []);
+    assert.deepEqual(fs.readdirSync(desktop), []);
+  });
+
+  await test('cp overwrite and rm are backed up before they run', async () => {
+    const cp = await shellRun({ cmd: 'cp', argv: [path.join(wrong, 'a.txt'), path.join(documents, 'keep.txt')] });
+    assert.equal(cp.undo.counts.overwritten, 1);
+    const rm = await shellRun({ cmd: 'rm', argv: [path.join(wrong, 'c.txt')] });
+    assert.equal(rm.undo.counts.deleted, 1);
+  });
+
+  await test('non-destructive commands are not journaled', async () => {
+    const res = await shellRun({ cmd: 'ls', argv: [tmpDir] });
+    assert.equal(res.undo, undefined);
+  });
+
+  console.log('\n--- undo ---');
+
+  await test('list returns newest entries first', async () => {
+    const res = await shellUndo({ action: 'list' });
+    assert.equal(res.entries.length, 3);
+    assert.match(res.entries[0].cmd, /^rm /);
+  });
+
+  await test('dryRun reports actions without touching files', async () => {
+    const res = await shellUndo({ steps: 3, dryRun: true });
+    assert.equal(res.undone.length, 3);
+    assert.ok(!fs.existsSync(path.join(wrong, 'c.txt')));
+  });
+
+  await test('undo of the last 3 operations restores the original layout', async () => {
+    const res = await shellUndo({ steps: 3 });
+    assert.equal(res.ok, true, JSON.stringify(res.undone.map(u => u.errors)));
+    assert.deepEqual(fs.readdirSync(desktop).sort(), ['a.txt', 'b.txt', 'c.txt', 'project']);
+    assert.equal(fs.readFileSync(path.join(desktop, 'project', 'notes.md'), 'utf8'), 'notes\n');
+    assert.equal(fs.readFileSync(path.join(documents, 'keep.txt'), 'utf8'), 'original\n');
+    assert.ok(!fs.existsSync(wrong));
+    assert.equal((await shellUndo({})).error, 'Nothing to undo');
+  });
+
+  summary();
+})();
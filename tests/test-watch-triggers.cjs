@@ -0,0 +1,210 @@
+'use strict';
+/**
+ * tests/test-watch-triggers.cjs
+ *
+ * Tests for persistent file.watch triggers (skill-helpers/watch-triggers.cjs):
+ * glob matching and templated args, shell.run scripts that receive file names
+ * and log lines as TD_* env vars instead of script text, debounce, error-pattern matching on appended
+ * log lines, rate limiting, persistence + re-arm on start(), and the file.watch
+ * trigger actions. Skills are run through an injected runner, and rules are kept
+ * in a throwaway THINKDROP_WATCH_TRIGGERS_FILE.
+ *
+ * Run: node tests/test-watch-triggers.cjs
+ */
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-triggers-'));
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'td-triggers-state-'));
+process.env.THINKDROP_WATCH_TRIGGERS_FILE = path.join(stateDir, 'watch-triggers.json');
+
+// ─── Test helpers ─────────────────────────────────────────────────────────────
+
+let _testCount = 0;
+let _passCount = 0;
+let _failCount = 0;
+
+async function test(name, fn) {
+  _testCount++;
+  try {
+    await fn();
+    _passCount++;
+    console.log(`  ✓ ${name}`);
+  } catch (err) {
+    _failCount++;
+    console.error(`  ✗ ${name}`);
+    console.error(`    ${err.message}`);
+  }
+}
+
+async function summary() {
+  await watchTriggers.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  fs.rmSync(stateDir, { recursive: true, force: true });
+  console.log(`\n=== Results: ${_passCount}/${_testCount} passed, ${_failCount} failed ===`);
+  process.exit(_failCount > 0 ? 1 : 0);
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+const at = p => path.join(tmpDir, p);
+
+// ─── Load modules ─────────────────────────────────────────────────────────────
+
+const watchTriggers = require(path.resolve(__dirname, '../src/skill-helpers/watch-triggers.cjs'));
+const { fileWatch, WATCHERS } = require(path.resolve(__dirname, '../src/skills/file.watch.cjs'));
+const { spawnSync } = require('child_process');
+
+const runs = [];
+const runSkill = async (skill, args, context) => {
+  runs.push({ skill, args, trigger: context.trigger });
+  return { ok: true };
+};
+const runsFor = name => runs.filter(r => r.trigger === name);
+
+// ─── Tests ────────────────────────────────────────────────────────────────────
+
+(async () => {
+  await watchTriggers.start({ runSkill });
+
+  console.log('\n--- firing ---');
+
+  fs.mkdirSync(at('src/lib'), { recursive: true });
+  fs.mkdirSync(at('logs'));
+
+  await test('matching changes fire the skill once per debounce window with templated args', async () => {
+    const res = await watchTriggers.addTrigger({
+      name: 'ts-changed',
+      path: at('src'),
+      match: '*.ts',
+      skill: 'shell.run',
+      args: { cmd: 'echo', argv: ['{{event}}', '{{relativePath}}'], files: '{{paths}}', note: '{{count}} change(s) for {{rule}}' },
+      debounceMs: 150,
+    });
+    assert.equal(res.ok, true, res.error);
+    assert.equal(res.trigger.armed, true);
+
+    fs.writeFileSync(at('src/lib/a.ts'), 'export const a = 1;\n');
+    fs.writeFileSync(at('src/lib/b.ts'), 'export const b = 1;\n');
+    fs.writeFileSync(at('src/lib/readme.md'), 'not matched\n');
+    await sleep(500);
+
+    const fired = runsFor('ts-changed');
+    assert.equal(fired.length, 1, `expected one debounced run, got ${fired.length}`);
+    assert.equal(fired[0].skill, 'shell.run');
+    assert.equal(fired[0].args.argv[0], 'created');
+    assert.equal(fired[0].args.argv[1], path.join('lib', 'a.ts'));
+    assert.deepEqual(fired[0].args.files.sort(), [at('src/lib/a.ts'), at('src/lib/b.ts')]);
+    assert.equal(fired[0].args.note, '2 change(s) for ts-changed');
+  });
+
+  await test('hostile file names reach shell.run scripts as env vars, never as script text', async () => {
+    fs.mkdirSync(at('drop'));
+    const res = await watchTriggers.addTrigger({
+      name: 'hostile',
+      path: at('drop'),
+      skill: 'shell.run',
+      args: { cmd: 'bash', argv: ['-c', `echo "got: {{name}}" > '${at('seen-{{event}}.txt')}'; echo {{name}} >> ${at('seen-bare.txt')}`] },
+      debounceMs: 100,
+    });
+    assert.equal(res.ok, true, res.error);
+
+    const hostile = `$(touch pwned)\`touch pwned\`'";touch pwned`;
+    fs.writeFileSync(path.join(at('drop'), hostile), 'x');
+    await sleep(400);
+
+    const [fired] = runsFor('hostile');
+    assert.ok(fired, 'trigger fired');
+    assert.equal(fired.args.env.TD_NAME, hostile);
+    assert.equal(fired.args.env.TD_EVENT, 'created');
+    assert.ok(!fired.args.argv[1].includes(hostile), 'value is not pasted into the script');
+
+    // Run the templated script the way shell.run would
+    const ran = spawnSync(fired.args.cmd, fired.args.argv, { cwd: tmpDir, env: { ...process.env, ...fired.args.env } });
+    assert.equal(ran.status, 0, String(ran.stderr));
+    assert.ok(!fs.existsSync(at('pwned')), 'command substitution in the file name did not run');
+    assert.equal(fs.readFileSync(at('seen-created.txt'), 'utf8'), `got: ${hostile}\n`);
+    assert.equal(fs.readFileSync(at('seen-bare.txt'), 'utf8'), `${hostile}\n`);
+    await watchTriggers.removeTrigger('hostile');
+  });
+
+  await test('errorPattern only fires on newly appended matching lines', async () => {
+    fs.writeFileSync(at('logs/app.log'), 'ERROR old failure before arming\n');
+    const res = await watchTriggers.addTrigger({
+      name: 'log-errors',
+      path: at('logs'),
+      match: '*.log',
+      events: ['modified'],
+      errorPattern: '/\\b(error|fatal)\\b/i',
+      skill: 'file.bridge',
+      args: { message: 'First: {{match}}\nAll:\n{{lines}}' },
+      debounceMs: 100,
+    });
+    assert.equal(res.ok, true, res.error);
+
+    fs.appendFileSync(at('logs/app.log'), 'info: all good\n');
+    await sleep(300);
+    assert.equal(runsFor('log-errors').length, 0, 'no matching line yet');
+
+    fs.appendFileSync(at('logs/app.log'), 'info: request\nFATAL: db connection lost\nerror: retry failed\n');
+    await sleep(300);
+    const fired = runsFor('log-errors');
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].args.message, 'First: FATAL: db connection lost\nAll:\nFATAL: db connection lost\nerror: retry failed');
+  });
+
+  await test('rate limit drops runs beyond max per window and counts them', async () => {
+    await watchTriggers.addTrigger({
+      name: 'limited', path: at('src'), match: 'limited.txt', skill: 'noop', debounceMs: 20,
+      rateLimit: { max: 2, windowMs: 60000 },
+    });
+    for (let i = 0; i < 4; i++) {
+      fs.writeFileSync(at('src/limited.txt'), `v${i}\n`);
+      await sleep(120);
+    }
+    assert.equal(runsFor('limited').length, 2);
+    const rule = watchTriggers.listTriggers().find(t => t.name === 'limited');
+    assert.ok(rule.suppressed >= 1);
+    assert.equal(rule.fireCount, 2);
+  });
+
+  console.log('\n--- persistence ---');
+
+  await test('rules persist and are re-armed by start() after a restart', async () => {
+    await watchTriggers.stop();
+    assert.equal(WATCHERS.size, 0, 'owned watchers stopped');
+    const stored = JSON.parse(fs.readFileSync(process.env.THINKDROP_WATCH_TRIGGERS_FILE, 'utf8'));
+    assert.deepEqual(stored.map(r => r.name).sort(), ['limited', 'log-errors', 'ts-changed']);
+
+    await watchTriggers.start({ runSkill });
+    assert.ok(watchTriggers.listTriggers().every(t => t.armed));
+    const before = runsFor('ts-changed').length;
+    fs.writeFileSync(at('src/lib/a.ts'), 'export const a = 2;\n');
+    await sleep(450);
+    const after = runsFor('ts-changed');
+    assert.equal(after.length, before + 1);
+    assert.equal(after[after.length - 1].args.argv[0], 'modified');
+  });
+
+  await test('file.watch trigger actions add, disable, list and remove rules', async () => {
+    const added = await fileWatch({
+      action: 'add_trigger', name: 'via-skill', path: at('logs'), match: '*.txt', skill: 'noop', skillArgs: { p: '{{name}}' },
+    });
+    assert.equal(added.ok, true, added.error);
+    const disabled = await fileWatch({ action: 'disable_trigger', name: 'via-skill' });
+    assert.equal(disabled.trigger.armed, false);
+    fs.writeFileSync(at('logs/ignored.txt'), 'x\n');
+    await sleep(1200);
+    assert.equal(runsFor('via-skill').length, 0);
+
+    const list = await fileWatch({ action: 'list_triggers' });
+    assert.equal(list.triggers.find(t => t.name === 'via-skill').enabled, false);
+    assert.equal((await fileWatch({ action: 'remove_trigger', name: 'via-skill' })).ok, true);
+    assert.match((await fileWatch({ action: 'remove_trigger', name: 'via-skill' })).error, /not found/);
+    assert.match((await fileWatch({ action: 'add_trigger', name: 'bad', path: tmpDir, skill: 'x', events: ['touched'] })).error, /events must be/);
+  });
+
+  await summary();
+})();